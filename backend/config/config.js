@@ -41,9 +41,21 @@ class Config {
         accountSid: process.env.TWILIO_ACCOUNT_SID,
         authToken: process.env.TWILIO_AUTH_TOKEN,
         phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+        // Development only; ignored when NODE_ENV=production
+        skipSignatureValidation: process.env.TWILIO_SKIP_SIGNATURE_VALIDATION === 'true',
         webhookUrl: process.env.TWILIO_WEBHOOK_URL || `http://localhost:${this.config?.server?.port || 3001}/api/webhooks/twilio`
       },
 
+      // Outgoing email (send_email agent function); disabled when no host is set
+      smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from: process.env.SMTP_FROM
+      },
+
       // OpenAI configuration
       openai: {
         apiKey: process.env.OPENAI_API_KEY,
@@ -52,12 +64,131 @@ class Config {
         temperature: parseFloat(process.env.OPENAI_TEMPERATURE) || 0.7
       },
 
+      // Language model defaults; agents can add their own fallback chain
+      llm: {
+        defaultProvider: process.env.LLM_PROVIDER || 'openai', // openai | anthropic | azure | openrouter | local | mock
+        // Tried in order when the provider fails, e.g. "anthropic,local"
+        fallbackProviders: (process.env.LLM_FALLBACK_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean),
+        // Recent messages sent with each turn, and how long the model has to start answering
+        historyWindow: parseInt(process.env.LLM_HISTORY_WINDOW) || 10,
+        turnTimeoutMs: parseInt(process.env.LLM_TURN_TIMEOUT_MS) || 10000
+      },
+
+      // Anthropic Messages API
+      anthropic: {
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+        baseUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+      },
+
+      // Azure OpenAI deployment
+      azure: {
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        deployment: process.env.AZURE_OPENAI_DEPLOYMENT,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01'
+      },
+
+      // OpenRouter (many hosted models behind the OpenAI API)
+      openrouter: {
+        apiKey: process.env.OPENROUTER_API_KEY,
+        model: process.env.OPENROUTER_MODEL || 'openai/gpt-4o-mini',
+        appName: process.env.OPENROUTER_APP_NAME,
+        appUrl: process.env.OPENROUTER_APP_URL
+      },
+
+      // Self-hosted model server with the OpenAI chat API (Ollama at /v1, llama.cpp's llama-server)
+      localLlm: {
+        url: process.env.LOCAL_LLM_URL,
+        model: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+        apiKey: process.env.LOCAL_LLM_API_KEY
+      },
+
+      // Scripted stand-in model for running calls offline (LLM_PROVIDER=mock)
+      llmMock: {
+        // JSON file with the replies to give, in order
+        script: process.env.LLM_MOCK_SCRIPT,
+        tokenDelayMs: parseInt(process.env.LLM_MOCK_TOKEN_DELAY_MS) || 0
+      },
+
       // ElevenLabs configuration
       elevenlabs: {
         apiKey: process.env.ELEVENLABS_API_KEY,
         voiceId: process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM'
       },
 
+      // Text-to-speech defaults; agents can set their own primary and fallback voice
+      tts: {
+        provider: process.env.TTS_PROVIDER || 'elevenlabs', // elevenlabs | openai | piper | twilio
+        fallbackProvider: process.env.TTS_FALLBACK_PROVIDER || 'twilio',
+        // Time allowed for the first audio byte before switching to the fallback voice
+        latencyBudgetMs: parseInt(process.env.TTS_LATENCY_BUDGET_MS) || 1500,
+        // Twilio <Say> voice (Polly or Google voices)
+        sayVoice: process.env.TWILIO_SAY_VOICE || 'Polly.Joanna'
+      },
+
+      // OpenAI text-to-speech (uses the OpenAI API key)
+      openaiTts: {
+        model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+        voice: process.env.OPENAI_TTS_VOICE || 'alloy'
+      },
+
+      // Piper (local neural TTS) HTTP server
+      piper: {
+        url: process.env.PIPER_URL,
+        voice: process.env.PIPER_VOICE
+      },
+
+      // Rendered speech, stored once per (text, voice, model) and reused across calls
+      ttsCache: {
+        dir: process.env.TTS_CACHE_DIR || path.join(__dirname, '../data/tts-cache'),
+        maxBytes: (parseInt(process.env.TTS_CACHE_MAX_MB) || 512) * 1024 * 1024,
+        // Signs the audio IDs in <Play> URLs; derived from JWT_SECRET when unset
+        secret: process.env.TTS_AUDIO_SECRET
+      },
+
+      // Call recordings, downloaded from Twilio once a recording completes
+      recordings: {
+        storage: process.env.RECORDING_STORAGE || 'local', // local, or any storage registered with recordingService
+        dir: process.env.RECORDING_DIR || path.join(__dirname, '../data/recordings'),
+        // Remove Twilio's copy once ours is stored
+        deleteFromTwilio: process.env.RECORDING_DELETE_FROM_TWILIO === 'true',
+        // Lifetime of the signed URLs recordings are played from
+        playbackTtlSeconds: parseInt(process.env.RECORDING_PLAYBACK_TTL_SECONDS) || 3600
+      },
+
+      // Speech-to-text defaults; agents can override provider, language and vocabulary
+      stt: {
+        provider: process.env.STT_PROVIDER || 'twilio', // twilio | deepgram | whisper
+        language: process.env.STT_LANGUAGE || 'en-US'
+      },
+
+      // Deepgram configuration (cloud speech-to-text, streaming and prerecorded)
+      deepgram: {
+        apiKey: process.env.DEEPGRAM_API_KEY,
+        model: process.env.DEEPGRAM_MODEL || 'nova-2-phonecall',
+        endpointingMs: parseInt(process.env.DEEPGRAM_ENDPOINTING_MS) || 300
+      },
+
+      // Whisper-compatible transcription server (OpenAI /v1/audio/transcriptions API)
+      whisper: {
+        url: process.env.WHISPER_URL,
+        apiKey: process.env.WHISPER_API_KEY,
+        model: process.env.WHISPER_MODEL || 'whisper-1',
+        silenceMs: parseInt(process.env.WHISPER_SILENCE_MS) || 700
+      },
+
+      // How live call audio flows: 'gather' (a <Gather>/<Play> webhook round trip per turn)
+      // or 'media-streams' (bidirectional audio over a WebSocket, with barge-in)
+      voice: {
+        transport: process.env.VOICE_TRANSPORT || 'gather'
+      },
+
+      // Times the caller is asked "are you still there?" before a silent call is ended; agents can override it
+      calls: {
+        maxSilentReprompts: parseInt(process.env.CALL_MAX_SILENT_REPROMPTS) || 2
+      },
+
       // Retell AI configuration
       retell: {
         apiKey: process.env.RETELL_API_KEY,
@@ -80,6 +211,44 @@ class Config {
         }
       },
 
+      // Live conversation state: 'postgres' survives restarts and is shared
+      // between backend instances, 'memory' is for single-process development
+      conversations: {
+        store: process.env.CONVERSATION_STORE || 'postgres'
+      },
+
+      // Outbound campaigns: how often the dispatcher looks for contacts to call
+      campaigns: {
+        dispatchIntervalMs: parseInt(process.env.CAMPAIGN_DISPATCH_INTERVAL_MS) || 15000
+      },
+
+      // Outgoing event webhooks: request timeout, retries with exponential backoff, and how long deliveries are logged
+      webhooks: {
+        timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+        retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+        dispatchIntervalMs: parseInt(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 10000,
+        logRetentionDays: parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 30
+      },
+
+      // Custom functions and event webhooks may only call public addresses; development only, ignored when NODE_ENV=production
+      outboundUrls: {
+        allowPrivate: process.env.ALLOW_PRIVATE_OUTBOUND_URLS === 'true'
+      },
+
+      // Knowledge bases: upload size, and how many passages go into each reply's prompt
+      knowledge: {
+        maxDocumentBytes: parseInt(process.env.KNOWLEDGE_MAX_DOCUMENT_BYTES) || 5 * 1024 * 1024,
+        topK: parseInt(process.env.KNOWLEDGE_TOP_K) || 3
+      },
+
+      // Usage and cost accounting: prices override the built-in table (see usageService)
+      usage: {
+        // JSON file of prices: { "llm": { "openai:gpt-4o-mini": { "input": 0.15, "output": 0.6 } }, "tts": {...}, "telephony": {...} }
+        priceTable: process.env.PRICE_TABLE_FILE,
+        currency: process.env.PRICE_CURRENCY || 'USD'
+      },
+
       // File upload configuration
       uploads: {
         maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB
@@ -154,7 +323,7 @@ class Config {
     }
 
     if (this.get('server.env') === 'production') {
-      if (!this.get('openai.apiKey')) {
+      if (this.get('llm.defaultProvider') === 'openai' && !this.get('openai.apiKey')) {
         errors.push('OPENAI_API_KEY is required in production');
       }
       if (!this.get('twilio.accountSid')) {
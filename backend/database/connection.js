@@ -51,9 +51,9 @@ const executeQuery = async (query, params = [], retries = 3) => {
 
 // Initialize database tables
 const initializeDatabase = async () => {
+  const client = await pool.connect();
+
   try {
-    const client = await pool.connect();
-    
     // Create agents table
     await client.query(`
       CREATE TABLE IF NOT EXISTS agents (
@@ -118,6 +118,7 @@ const initializeDatabase = async () => {
         status VARCHAR(50) DEFAULT 'active',
         company VARCHAR(255),
         preferences JSONB,
+        permissions JSONB,
         avatar VARCHAR(255),
         last_login TIMESTAMP,
         deleted_at TIMESTAMP,
@@ -134,6 +135,17 @@ const initializeDatabase = async () => {
       await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS avatar VARCHAR(255)');
       await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS last_login TIMESTAMP');
       await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP');
+      await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS organization_id INTEGER');
+      // Existing users each become the owner of their own organization
+      await client.query('UPDATE users SET organization_id = id WHERE organization_id IS NULL');
+      await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS permissions JSONB');
+      // Team permissions used to be stored in preferences; move them to their own column
+      await client.query(`
+        UPDATE users SET permissions = preferences, preferences = NULL
+        WHERE permissions IS NULL AND jsonb_typeof(preferences) = 'array'
+      `);
+      // Organization owners registered with the legacy 'user' role are admins
+      await client.query('UPDATE users SET role = \'admin\' WHERE role = \'user\' AND organization_id = id');
     } catch (migrationError) {
       console.log('ℹ️  Users table migration note:', migrationError.message);
     }
@@ -186,8 +198,7 @@ const initializeDatabase = async () => {
         last_called TIMESTAMP,
         call_count INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(phone_number)
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       )
     `);
 
@@ -276,6 +287,503 @@ const initializeDatabase = async () => {
       )
     `);
 
+    // Create organization_settings table (per-tenant replacement for platform_settings)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS organization_settings (
+        organization_id INTEGER PRIMARY KEY,
+        settings JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create conversation_state table (live call state shared across backend instances)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS conversation_state (
+        namespace VARCHAR(50) NOT NULL,
+        key VARCHAR(255) NOT NULL,
+        data JSONB NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+
+    // Create leads table (captured by the create_lead agent function)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leads (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        agent_id VARCHAR(255) REFERENCES agents(agent_id),
+        call_id VARCHAR(255) REFERENCES calls(id),
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255),
+        phone VARCHAR(20),
+        company VARCHAR(255),
+        notes TEXT,
+        source VARCHAR(50) DEFAULT 'phone_call',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create campaigns table (outbound calling campaigns)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaigns (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        agent_id VARCHAR(255) NOT NULL REFERENCES agents(agent_id),
+        name VARCHAR(255) NOT NULL,
+        status VARCHAR(50) DEFAULT 'running',
+        contact_filter JSONB DEFAULT '{}',
+        timezone VARCHAR(64) DEFAULT 'UTC',
+        calling_window_start VARCHAR(5) DEFAULT '09:00',
+        calling_window_end VARCHAR(5) DEFAULT '17:00',
+        calling_days JSONB DEFAULT '[1, 2, 3, 4, 5]',
+        max_concurrent_calls INTEGER DEFAULT 1,
+        max_attempts INTEGER DEFAULT 3,
+        retry_delay_minutes INTEGER DEFAULT 30,
+        start_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_by INTEGER,
+        completed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create campaign_contacts table (one row per contact in a campaign, with its disposition)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS campaign_contacts (
+        id SERIAL PRIMARY KEY,
+        campaign_id INTEGER NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+        contact_id INTEGER REFERENCES contacts(id) ON DELETE SET NULL,
+        phone_number VARCHAR(20) NOT NULL,
+        customer_name VARCHAR(255),
+        timezone VARCHAR(64),
+        status VARCHAR(50) DEFAULT 'pending',
+        disposition VARCHAR(50),
+        attempts INTEGER DEFAULT 0,
+        last_call_id VARCHAR(255),
+        last_attempt_at TIMESTAMP,
+        next_attempt_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (campaign_id, contact_id)
+      )
+    `);
+
+    // Create phone_numbers table (routes inbound calls on a Twilio number to an agent)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS phone_numbers (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        phone_number VARCHAR(20) NOT NULL UNIQUE,
+        agent_id VARCHAR(255) NOT NULL REFERENCES agents(agent_id) ON DELETE CASCADE,
+        friendly_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create recordings table (Twilio call recordings, copied to our own storage)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS recordings (
+        id SERIAL PRIMARY KEY,
+        call_id VARCHAR(255) NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+        organization_id INTEGER,
+        twilio_recording_sid VARCHAR(64) NOT NULL UNIQUE,
+        status VARCHAR(20) DEFAULT 'processing',
+        channels INTEGER DEFAULT 1,
+        duration INTEGER,
+        started_at TIMESTAMP,
+        storage_backend VARCHAR(30),
+        storage_key TEXT,
+        content_type VARCHAR(50),
+        size_bytes BIGINT,
+        error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create agent versions table (immutable snapshots of an agent's behaviour, plus its draft)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_versions (
+        id SERIAL PRIMARY KEY,
+        agent_id VARCHAR(255) NOT NULL REFERENCES agents(agent_id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'draft',
+        config JSONB NOT NULL,
+        note TEXT,
+        created_by INTEGER,
+        published_by INTEGER,
+        published_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (agent_id, version)
+      )
+    `);
+
+    // Create knowledge base tables: uploaded documents, their indexed chunks, and the agents using them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_bases (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        revision INTEGER NOT NULL DEFAULT 0,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_documents (
+        id SERIAL PRIMARY KEY,
+        knowledge_base_id INTEGER NOT NULL REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+        filename VARCHAR(255) NOT NULL,
+        format VARCHAR(20) NOT NULL,
+        size_bytes INTEGER,
+        status VARCHAR(20) NOT NULL DEFAULT 'processing',
+        error TEXT,
+        chunk_count INTEGER DEFAULT 0,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS knowledge_chunks (
+        id SERIAL PRIMARY KEY,
+        document_id INTEGER NOT NULL REFERENCES knowledge_documents(id) ON DELETE CASCADE,
+        knowledge_base_id INTEGER NOT NULL REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        location VARCHAR(255),
+        content TEXT NOT NULL,
+        terms JSONB NOT NULL,
+        term_count INTEGER NOT NULL
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS agent_knowledge_bases (
+        agent_id VARCHAR(255) NOT NULL REFERENCES agents(agent_id) ON DELETE CASCADE,
+        knowledge_base_id INTEGER NOT NULL REFERENCES knowledge_bases(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (agent_id, knowledge_base_id)
+      )
+    `);
+
+    // Create outgoing webhook tables: account endpoints, queued event deliveries and each attempt to send them
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_endpoints (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER NOT NULL,
+        url TEXT NOT NULL,
+        description TEXT,
+        events JSONB NOT NULL DEFAULT '[]',
+        secret VARCHAR(255) NOT NULL,
+        enabled BOOLEAN NOT NULL DEFAULT true,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        endpoint_id INTEGER REFERENCES webhook_endpoints(id) ON DELETE SET NULL,
+        agent_id VARCHAR(255),
+        event_id VARCHAR(64) NOT NULL,
+        event VARCHAR(50) NOT NULL,
+        url TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP,
+        last_status_code INTEGER,
+        last_error TEXT,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+        id SERIAL PRIMARY KEY,
+        delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+        attempt INTEGER NOT NULL,
+        status_code INTEGER,
+        error TEXT,
+        response_body TEXT,
+        duration_ms INTEGER,
+        attempted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Create usage and cost tables: what each call used and cost, and each account's monthly budget
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS usage_records (
+        id SERIAL PRIMARY KEY,
+        organization_id INTEGER,
+        call_id VARCHAR(255),
+        agent_id VARCHAR(255),
+        category VARCHAR(20) NOT NULL,
+        provider VARCHAR(30) NOT NULL,
+        model VARCHAR(100),
+        purpose VARCHAR(30),
+        turn INTEGER,
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        characters INTEGER,
+        seconds INTEGER,
+        cost NUMERIC(12, 6) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS organization_budgets (
+        organization_id INTEGER PRIMARY KEY,
+        monthly_limit NUMERIC(12, 2) NOT NULL,
+        alert_percent INTEGER NOT NULL DEFAULT 80,
+        block_calls BOOLEAN NOT NULL DEFAULT false,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // One row per alert sent, so each threshold alerts once a month
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS budget_alerts (
+        organization_id INTEGER NOT NULL,
+        month DATE NOT NULL,
+        threshold INTEGER NOT NULL,
+        spent NUMERIC(12, 6) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (organization_id, month, threshold)
+      )
+    `);
+
+    // Add ownership columns (migration for existing tables). Every query is scoped
+    // to an organization, so rows left without one would vanish for every tenant:
+    // the migration either gives all of them an owner or fails startup.
+    try {
+      await client.query('BEGIN');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS organization_id INTEGER');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS created_by INTEGER');
+      await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS organization_id INTEGER');
+      await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS created_by INTEGER');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS organization_id INTEGER');
+      await client.query('ALTER TABLE agent_functions ADD COLUMN IF NOT EXISTS organization_id INTEGER');
+
+      // Rows with a known creator belong to the creator's organization
+      await client.query(`
+        UPDATE agents a SET organization_id = u.organization_id
+        FROM users u WHERE a.organization_id IS NULL AND a.created_by = u.id AND u.organization_id IS NOT NULL
+      `);
+      await client.query(`
+        UPDATE contacts c SET organization_id = u.organization_id
+        FROM users u WHERE c.organization_id IS NULL AND c.created_by = u.id AND u.organization_id IS NOT NULL
+      `);
+
+      // Rows from before organizations belong to the first admin's organization
+      const owner = await client.query(`
+        SELECT organization_id FROM users
+        WHERE organization_id IS NOT NULL AND deleted_at IS NULL
+        ORDER BY (role = 'admin') DESC, id ASC
+        LIMIT 1
+      `);
+      const ownerOrganizationId = owner.rows[0]?.organization_id ?? null;
+      if (ownerOrganizationId !== null) {
+        await client.query('UPDATE agents SET organization_id = $1 WHERE organization_id IS NULL', [ownerOrganizationId]);
+      }
+
+      // Calls and agent functions follow their agent
+      await client.query(`
+        UPDATE calls c SET organization_id = a.organization_id
+        FROM agents a WHERE c.organization_id IS NULL AND c.agent_id = a.agent_id
+      `);
+      await client.query(`
+        UPDATE agent_functions f SET organization_id = a.organization_id
+        FROM agents a WHERE f.organization_id IS NULL AND f.agent_id = a.agent_id
+      `);
+      if (ownerOrganizationId !== null) {
+        for (const table of ['contacts', 'calls', 'agent_functions']) {
+          await client.query(`UPDATE ${table} SET organization_id = $1 WHERE organization_id IS NULL`, [ownerOrganizationId]);
+        }
+      }
+
+      for (const table of ['agents', 'contacts', 'calls', 'agent_functions']) {
+        const orphans = await client.query(`SELECT COUNT(*)::int AS count FROM ${table} WHERE organization_id IS NULL`);
+        if (orphans.rows[0].count > 0) {
+          throw new Error(`${orphans.rows[0].count} ${table} rows have no organization and there is no user to own them; register an account first`);
+        }
+        await client.query(`ALTER TABLE ${table} ALTER COLUMN organization_id SET NOT NULL`);
+      }
+
+      // Phone numbers are unique per organization, not globally
+      await client.query('ALTER TABLE contacts DROP CONSTRAINT IF EXISTS contacts_phone_number_key');
+      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_org_phone ON contacts(organization_id, phone_number)');
+      await client.query('COMMIT');
+    } catch (migrationError) {
+      await client.query('ROLLBACK');
+      console.error('❌ Ownership migration failed:', migrationError.message);
+      throw migrationError;
+    }
+
+    // Organization-wide custom functions are not tied to an agent; they are addressed by function_id
+    try {
+      await client.query('ALTER TABLE agent_functions ADD COLUMN IF NOT EXISTS function_id VARCHAR(255)');
+      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_functions_function_id ON agent_functions(function_id)');
+    } catch (migrationError) {
+      console.log('ℹ️  Custom functions migration note:', migrationError.message);
+    }
+
+    // Campaign calls and contact time zones for calling windows
+    try {
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS campaign_id INTEGER');
+      await client.query('ALTER TABLE contacts ADD COLUMN IF NOT EXISTS timezone VARCHAR(64)');
+    } catch (migrationError) {
+      console.log('ℹ️  Campaigns migration note:', migrationError.message);
+    }
+
+    // Outcome of transfers to a human, one per call
+    try {
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_status VARCHAR(50)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_department VARCHAR(100)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_target VARCHAR(255)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_summary TEXT');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transfer_duration INTEGER');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMP');
+    } catch (migrationError) {
+      console.log('ℹ️  Call transfer migration note:', migrationError.message);
+    }
+
+    // Inbound calls are created by the webhook, so calls record which way they went
+    try {
+      await client.query("ALTER TABLE calls ADD COLUMN IF NOT EXISTS direction VARCHAR(20) DEFAULT 'outbound'");
+    } catch (migrationError) {
+      console.log('ℹ️  Inbound calls migration note:', migrationError.message);
+    }
+
+    // Per-agent speech recognition; NULL falls back to the STT_* settings
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS stt_provider VARCHAR(30)');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS stt_language VARCHAR(20)');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS stt_keywords JSONB');
+    } catch (migrationError) {
+      console.log('ℹ️  Speech recognition migration note:', migrationError.message);
+    }
+
+    // Per-agent primary and fallback voices; NULL falls back to the TTS_* settings
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS voice_config JSONB');
+    } catch (migrationError) {
+      console.log('ℹ️  Voice configuration migration note:', migrationError.message);
+    }
+
+    // Per-agent language model settings and fallback chain; NULL falls back to the LLM_* and OPENAI_* settings
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS llm_config JSONB');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS llm_provider VARCHAR(30)');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS temperature REAL');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS max_tokens INTEGER');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS history_window INTEGER');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS turn_timeout_ms INTEGER');
+    } catch (migrationError) {
+      console.log('ℹ️  Language model configuration migration note:', migrationError.message);
+    }
+
+    // Per-agent call recording
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS recording_enabled BOOLEAN DEFAULT false');
+      await client.query("ALTER TABLE agents ADD COLUMN IF NOT EXISTS recording_channels VARCHAR(10) DEFAULT 'mono'");
+    } catch (migrationError) {
+      console.log('ℹ️  Call recording migration note:', migrationError.message);
+    }
+
+    // Post-call analysis: what each agent extracts, and the results on each call
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS analysis_config JSONB');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS analysis_status VARCHAR(20)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS summary TEXT');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS sentiment VARCHAR(20)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS disposition VARCHAR(50)');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS extracted_fields JSONB');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS analysis_error TEXT');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS analyzed_at TIMESTAMP');
+    } catch (migrationError) {
+      console.log('ℹ️  Post-call analysis migration note:', migrationError.message);
+    }
+
+    // Conversation-flow agents: 'prompt' agents run on ai_prompt alone, 'flow' agents on nodes
+    try {
+      await client.query("ALTER TABLE agents ADD COLUMN IF NOT EXISTS agent_type VARCHAR(20) DEFAULT 'prompt'");
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS flow_definition JSONB');
+    } catch (migrationError) {
+      console.log('ℹ️  Conversation flow migration note:', migrationError.message);
+    }
+
+    // When calls end: per-agent limits (NULL means no limit, or the platform default for reprompts) and why each call ended
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS max_duration_seconds INTEGER');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS max_turns INTEGER');
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS max_silent_reprompts INTEGER');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS end_reason VARCHAR(30)');
+    } catch (migrationError) {
+      console.log('ℹ️  Call ending migration note:', migrationError.message);
+    }
+
+    // Agent versioning: agents that predate it get their current configuration as version 1
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS published_version INTEGER');
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS agent_version INTEGER');
+      await client.query(`
+        INSERT INTO agent_versions (agent_id, version, status, config, created_by, published_at)
+        SELECT agent_id, 1, 'published', jsonb_build_object(
+          'name', name, 'description', description, 'ai_prompt', ai_prompt, 'voice', voice,
+          'language', language, 'model', model, 'webhook_url', webhook_url,
+          'llm_provider', llm_provider, 'temperature', temperature, 'max_tokens', max_tokens,
+          'history_window', history_window, 'turn_timeout_ms', turn_timeout_ms,
+          'max_duration_seconds', max_duration_seconds, 'max_turns', max_turns, 'max_silent_reprompts', max_silent_reprompts,
+          'stt_provider', stt_provider, 'stt_language', stt_language, 'stt_keywords', stt_keywords,
+          'voice_config', voice_config, 'llm_config', llm_config, 'recording_enabled', recording_enabled,
+          'recording_channels', recording_channels, 'analysis_config', analysis_config,
+          'agent_type', agent_type, 'flow_definition', flow_definition
+        ), created_by, CURRENT_TIMESTAMP
+        FROM agents
+        WHERE published_version IS NULL
+        ON CONFLICT (agent_id, version) DO NOTHING
+      `);
+      await client.query('UPDATE agents SET published_version = 1 WHERE published_version IS NULL');
+    } catch (migrationError) {
+      console.log('ℹ️  Agent versioning migration note:', migrationError.message);
+    }
+
+    // Knowledge base passages an assistant message was given, for reviewing transcripts
+    try {
+      await client.query('ALTER TABLE conversations ADD COLUMN IF NOT EXISTS citations JSONB');
+    } catch (migrationError) {
+      console.log('ℹ️  Knowledge base migration note:', migrationError.message);
+    }
+
+    // Secret that signs events sent to an agent's own webhook URL
+    try {
+      await client.query('ALTER TABLE agents ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(255)');
+    } catch (migrationError) {
+      console.log('ℹ️  Outgoing webhook migration note:', migrationError.message);
+    }
+
+    // Running cost of each call (see usage_records)
+    try {
+      await client.query('ALTER TABLE calls ADD COLUMN IF NOT EXISTS cost NUMERIC(12, 6) NOT NULL DEFAULT 0');
+    } catch (migrationError) {
+      console.log('ℹ️  Usage and cost migration note:', migrationError.message);
+    }
+
 
     // Create indexes for performance
     await createIndexes(client);
@@ -283,10 +791,13 @@ const initializeDatabase = async () => {
     // Cleanup old tables
     await cleanupDynamicForms(client);
     
-    client.release();
     console.log('✅ Database tables and indexes initialized successfully');
   } catch (error) {
     console.error('❌ Error initializing database:', error);
+    // Serving requests on a half-migrated schema would lose or expose data
+    throw error;
+  } finally {
+    client.release();
   }
 };
 
@@ -298,6 +809,7 @@ const createIndexes = async (client) => {
     // Agents table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_agents_status ON agents(status)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_agents_created_at ON agents(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_agents_organization_id ON agents(organization_id)');
     
     // Sessions table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_agent_id ON sessions(agent_id)');
@@ -311,6 +823,7 @@ const createIndexes = async (client) => {
     
     // Users table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_organization_id ON users(organization_id)');
     
     // Agent functions table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_agent_functions_agent_id ON agent_functions(agent_id)');
@@ -327,6 +840,7 @@ const createIndexes = async (client) => {
     await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_name ON contacts(name)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_created_at ON contacts(created_at)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_is_verified ON contacts(is_verified)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_contacts_organization_id ON contacts(organization_id)');
     
     // Calls table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_calls_agent_id ON calls(agent_id)');
@@ -334,10 +848,51 @@ const createIndexes = async (client) => {
     await client.query('CREATE INDEX IF NOT EXISTS idx_calls_started_at ON calls(started_at)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_calls_phone_number ON calls(phone_number)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_calls_twilio_call_sid ON calls(twilio_call_sid)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calls_organization_id ON calls(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calls_disposition ON calls(disposition)');
     
     // Conversations table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_conversations_call_id ON conversations(call_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_conversations_timestamp ON conversations(timestamp)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_conversation_state_updated_at ON conversation_state(updated_at)');
+
+    // Campaign tables indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_campaigns_organization_id ON campaigns(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_campaign_contacts_queue ON campaign_contacts(campaign_id, status, next_attempt_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calls_campaign_id ON calls(campaign_id)');
+
+    // Phone numbers table indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_phone_numbers_organization_id ON phone_numbers(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_phone_numbers_agent_id ON phone_numbers(agent_id)');
+
+    // Recordings table indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_recordings_call_id ON recordings(call_id)');
+
+    // Knowledge base indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_knowledge_bases_organization_id ON knowledge_bases(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_knowledge_documents_knowledge_base_id ON knowledge_documents(knowledge_base_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_knowledge_base_id ON knowledge_chunks(knowledge_base_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_knowledge_chunks_document_id ON knowledge_chunks(document_id)');
+
+    // Outgoing webhook indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_organization_id ON webhook_endpoints(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_organization_created ON webhook_deliveries(organization_id, created_at DESC)');
+    await client.query("CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending'");
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_created_at ON webhook_deliveries(created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_delivery_attempts_delivery_id ON webhook_delivery_attempts(delivery_id)');
+
+    // Usage and cost indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_usage_records_organization_created ON usage_records(organization_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_usage_records_call_id ON usage_records(call_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_usage_records_agent_created ON usage_records(agent_id, created_at)');
+
+    // Calls per agent version
+    await client.query('CREATE INDEX IF NOT EXISTS idx_calls_agent_version ON calls(agent_id, agent_version)');
+
+    // Leads table indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_leads_organization_id ON leads(organization_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_leads_call_id ON leads(call_id)');
     
     // Appointment bookings table indexes
     await client.query('CREATE INDEX IF NOT EXISTS idx_appointment_bookings_agent_id ON appointment_bookings(agent_id)');
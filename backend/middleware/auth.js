@@ -1,4 +1,13 @@
 const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../database/connection');
+
+// Decode a signed-in user's token; throws when it is missing, forged or expired
+const decodeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  // Tokens issued before organizations existed belong to the user's own organization
+  decoded.organizationId = decoded.organizationId || decoded.userId;
+  return decoded;
+};
 
 // Verify token middleware
 const verifyToken = (req, res, next) => {
@@ -9,12 +18,37 @@ const verifyToken = (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    req.user = decodeToken(token);
     next();
   } catch (error) {
     res.status(400).json({ error: 'Invalid token.' });
   }
 };
 
-module.exports = { verifyToken };
\ No newline at end of file
+// Ensure the agent referenced by the request belongs to the caller's organization.
+// Responds 404 (not 403) so other tenants' agent IDs are not disclosed.
+const requireAgentAccess = (getAgentId = (req) => req.params.agentId) => async (req, res, next) => {
+  const agentId = getAgentId(req);
+
+  if (!agentId) {
+    return next();
+  }
+
+  try {
+    const result = await executeQuery(
+      'SELECT 1 FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agentId, req.user.organizationId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Agent not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking agent access:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify agent access' });
+  }
+};
+
+module.exports = { decodeToken, verifyToken, requireAgentAccess };
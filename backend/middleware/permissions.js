@@ -0,0 +1,90 @@
+const { executeQuery } = require('../database/connection');
+
+// Default permissions granted by each team role
+const ROLE_PERMISSIONS = {
+  admin: ['manage_agents', 'view_analytics', 'manage_team', 'manage_billing', 'manage_settings', 'manage_contacts', 'make_calls'],
+  manager: ['manage_agents', 'view_analytics', 'view_team', 'manage_contacts', 'make_calls'],
+  member: ['view_agents', 'view_analytics', 'view_contacts', 'make_calls'],
+  viewer: ['view_agents', 'view_contacts']
+};
+
+// A manage_* permission always includes the matching view_* permission
+const IMPLIED_PERMISSIONS = {
+  manage_agents: ['view_agents'],
+  manage_team: ['view_team'],
+  manage_contacts: ['view_contacts']
+};
+
+const getDefaultPermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS.viewer;
+};
+
+/**
+ * Resolve a user's effective permissions: explicit overrides saved on the
+ * team member win over role defaults, then implied permissions are added.
+ */
+const getEffectivePermissions = (role, storedPermissions) => {
+  const base = Array.isArray(storedPermissions) ? storedPermissions : getDefaultPermissions(role);
+  const effective = new Set(base);
+
+  base.forEach(permission => {
+    (IMPLIED_PERMISSIONS[permission] || []).forEach(implied => effective.add(implied));
+  });
+
+  return Array.from(effective);
+};
+
+/**
+ * Load the current user's permissions once per request. Removed, suspended and
+ * not yet activated users have none.
+ */
+const loadPermissions = async (req) => {
+  if (!req.permissions) {
+    const result = await executeQuery(
+      `SELECT role, permissions FROM users
+       WHERE id = $1 AND deleted_at IS NULL AND COALESCE(status, 'active') = 'active'`,
+      [req.user.userId]
+    );
+
+    req.permissions = result.rows.length > 0
+      ? getEffectivePermissions(result.rows[0].role, result.rows[0].permissions)
+      : [];
+  }
+
+  return req.permissions;
+};
+
+/**
+ * Require a permission. Pass one string for every method, or
+ * { read, write } to pick by method (GET/HEAD/OPTIONS are reads).
+ */
+const requirePermission = (permission) => async (req, res, next) => {
+  const isRead = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  const required = typeof permission === 'string'
+    ? permission
+    : (isRead ? permission.read : permission.write);
+
+  try {
+    const permissions = await loadPermissions(req);
+
+    if (!permissions.includes(required)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to perform this action',
+        requiredPermission: required
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Error checking permissions:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify permissions' });
+  }
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getDefaultPermissions,
+  getEffectivePermissions,
+  requirePermission
+};
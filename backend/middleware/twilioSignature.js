@@ -0,0 +1,113 @@
+const twilio = require('twilio');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const databaseService = require('../services/postgresDatabaseService');
+const twilioService = require('../services/twilioService');
+
+/**
+ * Organization a webhook is about: the call it names (by our callId in the
+ * query string or Twilio's CallSid), or for a call we have no record of yet,
+ * the number that was dialed. Undefined when the identifiers disagree.
+ */
+const resolveOrganizationId = async (req) => {
+  const { CallSid, To } = req.body || {};
+  const organizations = new Set();
+
+  const calls = await Promise.all([
+    req.query?.callId ? databaseService.getCallById(req.query.callId) : null,
+    CallSid ? databaseService.getCallByTwilioSid(CallSid) : null
+  ]);
+  calls.filter(Boolean).forEach(call => organizations.add(call.organization_id));
+
+  if (organizations.size === 0 && To) {
+    const route = await databaseService.getPhoneNumberByNumber(To);
+    if (route) {
+      organizations.add(route.organization_id);
+    }
+  }
+
+  if (organizations.size > 1) {
+    return undefined;
+  }
+  return organizations.size === 1 ? [...organizations][0] : null;
+};
+
+/**
+ * Auth token a webhook must have been signed with: that of the Twilio account
+ * the call or number belongs to. Calls and numbers we do not know are checked
+ * against the platform account only, so saving another organization's
+ * AccountSid in settings does not let anyone sign for it.
+ */
+const resolveAuthTokens = async (req) => {
+  const organizationId = await resolveOrganizationId(req);
+  if (organizationId === undefined) {
+    return [];
+  }
+
+  const orgTwilio = await twilioService.forOrganization(organizationId);
+  return [orgTwilio?.authToken || config.get('twilio.authToken')].filter(Boolean);
+};
+
+// Local development only: lets webhooks through without a signature (e.g. curl testing)
+const isBypassEnabled = () => {
+  return config.get('twilio.skipSignatureValidation') === true
+    && config.get('server.env') !== 'production';
+};
+
+// Twilio only reads TwiML, so a rejection still has to be valid TwiML
+const rejectRequest = (res, reason) => {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.hangup();
+
+  res.status(403).type('text/xml').send(twiml.toString());
+  logger.warn('Rejected Twilio webhook', { reason });
+};
+
+/**
+ * Build the signature validator. Dependencies are injectable so the
+ * middleware can be exercised without a database (see test/twilio-signature.test.js).
+ */
+const createTwilioSignatureValidator = ({
+  getAuthTokens = resolveAuthTokens,
+  getBaseUrl = () => config.get('server.ngrokUrl'),
+  isBypassed = isBypassEnabled
+} = {}) => async (req, res, next) => {
+  // Media fetches from <Play> are unsigned GETs; only callbacks carry a signature
+  if (req.method === 'GET') {
+    return next();
+  }
+
+  if (isBypassed()) {
+    logger.warn('Twilio signature validation skipped (TWILIO_SKIP_SIGNATURE_VALIDATION)', { path: req.originalUrl });
+    return next();
+  }
+
+  const signature = req.header('X-Twilio-Signature');
+  if (!signature) {
+    return rejectRequest(res, 'Missing X-Twilio-Signature header');
+  }
+
+  try {
+    const url = `${getBaseUrl().replace(/\/$/, '')}${req.originalUrl}`;
+    const params = req.body || {};
+    const authTokens = await getAuthTokens(req);
+
+    if (authTokens.length === 0) {
+      return rejectRequest(res, 'No Twilio auth token to check against');
+    }
+
+    const isValid = authTokens.some(authToken => twilio.validateRequest(authToken, signature, url, params));
+    if (!isValid) {
+      return rejectRequest(res, `Invalid signature for ${url}`);
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error validating Twilio signature:', error);
+    rejectRequest(res, 'Signature validation failed');
+  }
+};
+
+const validateTwilioSignature = createTwilioSignatureValidator();
+
+module.exports = { validateTwilioSignature, createTwilioSignatureValidator, isBypassEnabled };
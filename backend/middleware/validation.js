@@ -1,4 +1,11 @@
 const { body, param, query, validationResult } = require('express-validator');
+const conversationFlowService = require('../services/conversationFlowService');
+const mockLlmService = require('../services/mockLlmService');
+const { assertPublicUrl } = require('../utils/outboundUrl');
+
+// Language model providers an agent can use; the scripted mock is not offered in production
+const LLM_PROVIDERS = ['openai', 'anthropic', 'azure', 'openrouter', 'local', ...(mockLlmService.isEnabled() ? ['mock'] : [])];
+const LLM_PROVIDER_ERROR = `Language model provider must be ${LLM_PROVIDERS.slice(0, -1).join(', ')} or ${LLM_PROVIDERS[LLM_PROVIDERS.length - 1]}`;
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -47,6 +54,154 @@ const validateAgent = [
     .trim()
     .isLength({ max: 100 })
     .withMessage('Model must be less than 100 characters'),
+  body('webhookUrl')
+    .optional({ values: 'falsy' })
+    .trim()
+    .custom(url => assertPublicUrl(url)),
+  body('llmProvider')
+    .optional({ values: 'falsy' })
+    .isIn(LLM_PROVIDERS)
+    .withMessage(LLM_PROVIDER_ERROR),
+  body('temperature')
+    .optional({ values: 'null' })
+    .if(value => value !== '')
+    .isFloat({ min: 0, max: 2 })
+    .withMessage('Temperature must be between 0 and 2')
+    .toFloat(),
+  body('maxTokens')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 16, max: 4096 })
+    .withMessage('Max tokens must be between 16 and 4096')
+    .toInt(),
+  body('historyWindow')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 2, max: 100 })
+    .withMessage('History window must be between 2 and 100 messages')
+    .toInt(),
+  body('turnTimeoutMs')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1000, max: 60000 })
+    .withMessage('Turn timeout must be between 1000 and 60000 ms')
+    .toInt(),
+  body('maxDurationSeconds')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 30, max: 14400 })
+    .withMessage('Max call duration must be between 30 and 14400 seconds')
+    .toInt(),
+  body('maxTurns')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Max turns must be between 1 and 500')
+    .toInt(),
+  body('maxSilentReprompts')
+    .optional({ values: 'null' })
+    .if(value => value !== '')
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Silent reprompts must be between 0 and 10')
+    .toInt(),
+  body('sttProvider')
+    .optional({ values: 'falsy' })
+    .isIn(['twilio', 'deepgram', 'whisper'])
+    .withMessage('Speech-to-text provider must be twilio, deepgram or whisper'),
+  body('sttLanguage')
+    .optional({ values: 'falsy' })
+    .trim()
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+    .withMessage('Speech-to-text language must be a locale code such as en-US'),
+  body('sttKeywords')
+    .optional({ values: 'null' })
+    // Accept a list or comma-separated text
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(keyword => String(keyword).trim())
+      .filter(Boolean))
+    .custom(keywords => keywords.length <= 100 && keywords.every(keyword => keyword.length <= 100))
+    .withMessage('Speech-to-text vocabulary is limited to 100 terms of up to 100 characters'),
+  body('voiceConfig')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Voice configuration must be an object'),
+  body(['voiceConfig.primary.provider', 'voiceConfig.fallback.provider'])
+    .optional({ values: 'falsy' })
+    .isIn(['elevenlabs', 'openai', 'piper', 'twilio'])
+    .withMessage('Voice provider must be elevenlabs, openai, piper or twilio'),
+  body(['voiceConfig.primary.voice', 'voiceConfig.fallback.voice'])
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Voice must be less than 100 characters'),
+  body('voiceConfig.latencyBudgetMs')
+    .optional({ values: 'falsy' })
+    .isInt({ min: 200, max: 10000 })
+    .withMessage('Voice latency budget must be between 200 and 10000 ms')
+    .toInt(),
+  body('llmConfig')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Language model configuration must be an object'),
+  body('llmConfig.fallbacks')
+    .optional({ values: 'null' })
+    .isArray({ max: 3 })
+    .withMessage('Up to 3 fallback language models can be set'),
+  body('llmConfig.fallbacks.*.provider')
+    .isIn(LLM_PROVIDERS)
+    .withMessage(LLM_PROVIDER_ERROR),
+  body('llmConfig.fallbacks.*.model')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Language model must be less than 100 characters'),
+  body('recordingEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Recording enabled must be true or false')
+    .toBoolean(),
+  body('recordingChannels')
+    .optional({ values: 'falsy' })
+    .isIn(['mono', 'dual'])
+    .withMessage('Recording channels must be mono or dual'),
+  body('analysisConfig')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Analysis configuration must be an object'),
+  body('analysisConfig.dispositions')
+    .optional({ values: 'null' })
+    // Accept a list or comma-separated text
+    .customSanitizer(value => (Array.isArray(value) ? value : String(value).split(','))
+      .map(disposition => String(disposition).trim())
+      .filter(Boolean))
+    .custom(dispositions => dispositions.length <= 20 && dispositions.every(disposition => disposition.length <= 50))
+    .withMessage('Analysis dispositions are limited to 20 outcomes of up to 50 characters'),
+  body('analysisConfig.fields')
+    .optional({ values: 'null' })
+    .isArray({ max: 20 })
+    .withMessage('Analysis fields must be a list of up to 20 fields'),
+  body('analysisConfig.fields.*.name')
+    .matches(/^[a-zA-Z][a-zA-Z0-9_]{0,49}$/)
+    .withMessage('Field names must start with a letter and contain only letters, numbers and underscores'),
+  body('analysisConfig.fields.*.type')
+    .isIn(['string', 'number', 'boolean', 'date'])
+    .withMessage('Field type must be string, number, boolean or date'),
+  body('analysisConfig.fields.*.description')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Field descriptions must be less than 300 characters'),
+  body('agentType')
+    .optional({ values: 'falsy' })
+    .isIn(['prompt', 'flow'])
+    .withMessage('Agent type must be prompt or flow'),
+  body('flowDefinition')
+    .if(body('agentType').equals('flow'))
+    .isObject()
+    .withMessage('Flow agents need a flow definition')
+    .bail()
+    .custom(definition => {
+      const errors = conversationFlowService.validateDefinition(definition);
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      return true;
+    }),
   handleValidationErrors
 ];
 
@@ -75,6 +230,10 @@ const validateContact = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage('Notes must be less than 1000 characters'),
+  body('timezone')
+    .optional({ values: 'falsy' })
+    .custom(timeZone => Boolean(new Intl.DateTimeFormat('en-US', { timeZone })))
+    .withMessage('Time zone must be an IANA name such as America/New_York'),
   handleValidationErrors
 ];
 
@@ -105,6 +264,56 @@ const validateId = [
   handleValidationErrors
 ];
 
+// Agent status (live/paused); not part of an agent version
+const validateAgentStatus = [
+  param('id').trim().isLength({ min: 1 }).withMessage('ID parameter is required'),
+  body('status')
+    .isIn(['active', 'paused', 'inactive'])
+    .withMessage('Status must be active, paused or inactive'),
+  handleValidationErrors
+];
+
+// Agent version routes
+const validateAgentVersion = [
+  param('id').trim().isLength({ min: 1 }).withMessage('ID parameter is required'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+    .toInt(),
+  handleValidationErrors
+];
+
+const validateVersionDiff = [
+  param('id').trim().isLength({ min: 1 }).withMessage('ID parameter is required'),
+  query(['from', 'to'])
+    .matches(/^(\d+|draft|published)$/)
+    .withMessage('from and to must be a version number, draft or published'),
+  handleValidationErrors
+];
+
+const validatePublish = [
+  param('id').trim().isLength({ min: 1 }).withMessage('ID parameter is required'),
+  body('note')
+    .optional({ values: 'falsy' })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must be less than 500 characters'),
+  handleValidationErrors
+];
+
+// Knowledge bases an agent answers from
+const validateAgentKnowledgeBases = [
+  param('id').trim().isLength({ min: 1 }).withMessage('ID parameter is required'),
+  body('knowledgeBaseIds')
+    .isArray()
+    .withMessage('Knowledge base IDs must be an array'),
+  body('knowledgeBaseIds.*')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Knowledge base IDs must be integers'),
+  handleValidationErrors
+];
+
 // Pagination validation
 const validatePagination = [
   query('page')
@@ -158,6 +367,11 @@ module.exports = {
   validateContact,
   validateCall,
   validateId,
+  validateAgentStatus,
+  validateAgentVersion,
+  validateVersionDiff,
+  validatePublish,
+  validateAgentKnowledgeBases,
   validatePagination,
   validateLogin,
   validateRegister
@@ -1,6 +1,8 @@
 const express = require('express');
 const { pool, executeQuery } = require('../database/connection');
-const { validateAgent, validateId, validatePagination } = require('../middleware/validation');
+const { validateAgent, validateId, validatePagination, validateAgentStatus, validateAgentVersion, validateVersionDiff, validatePublish, validateAgentKnowledgeBases } = require('../middleware/validation');
+const agentVersionService = require('../services/agentVersionService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
 const router = express.Router();
 
 // Get all agents with pagination
@@ -22,13 +24,17 @@ router.get('/', validatePagination, async (req, res) => {
         MAX(s.start_time) as last_active
       FROM agents a
       LEFT JOIN sessions s ON a.agent_id = s.agent_id
+      WHERE a.organization_id = $3
       GROUP BY a.id, a.agent_id
       ORDER BY a.created_at DESC
       LIMIT $1 OFFSET $2
-    `, [limit, offset]);
+    `, [limit, offset, req.user.organizationId]);
     
     // Get total count for pagination
-    const countResult = await executeQuery('SELECT COUNT(*) FROM agents');
+    const countResult = await executeQuery(
+      'SELECT COUNT(*) FROM agents WHERE organization_id = $1',
+      [req.user.organizationId]
+    );
     const totalCount = parseInt(countResult.rows[0].count);
     const totalPages = Math.ceil(totalCount / limit);
 
@@ -51,7 +57,26 @@ router.get('/', validatePagination, async (req, res) => {
         'Never',
       createdAt: agent.created_at,
       apiKey: agent.api_key,
-      webhookUrl: agent.webhook_url
+      webhookUrl: agent.webhook_url,
+      llmProvider: agent.llm_provider || '',
+      temperature: agent.temperature ?? null,
+      maxTokens: agent.max_tokens ?? null,
+      historyWindow: agent.history_window ?? null,
+      turnTimeoutMs: agent.turn_timeout_ms ?? null,
+      maxDurationSeconds: agent.max_duration_seconds ?? null,
+      maxTurns: agent.max_turns ?? null,
+      maxSilentReprompts: agent.max_silent_reprompts ?? null,
+      sttProvider: agent.stt_provider || '',
+      sttLanguage: agent.stt_language || '',
+      sttKeywords: agent.stt_keywords || [],
+      voiceConfig: agent.voice_config || null,
+      llmConfig: agent.llm_config || null,
+      recordingEnabled: !!agent.recording_enabled,
+      recordingChannels: agent.recording_channels || 'mono',
+      analysisConfig: agent.analysis_config || null,
+      agentType: agent.agent_type || 'prompt',
+      flowDefinition: agent.flow_definition || null,
+      publishedVersion: agent.published_version
     }));
 
     res.json({
@@ -88,9 +113,9 @@ router.get('/:id', async (req, res) => {
         MAX(s.start_time) as last_active
       FROM agents a
       LEFT JOIN sessions s ON a.agent_id = s.agent_id
-      WHERE a.agent_id = $1
+      WHERE a.agent_id = $1 AND a.organization_id = $2
       GROUP BY a.id, a.agent_id
-    `, [id]);
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Agent not found' });
@@ -116,7 +141,27 @@ router.get('/:id', async (req, res) => {
         'Never',
       createdAt: agent.created_at,
       apiKey: agent.api_key,
-      webhookUrl: agent.webhook_url
+      webhookUrl: agent.webhook_url,
+      llmProvider: agent.llm_provider || '',
+      temperature: agent.temperature ?? null,
+      maxTokens: agent.max_tokens ?? null,
+      historyWindow: agent.history_window ?? null,
+      turnTimeoutMs: agent.turn_timeout_ms ?? null,
+      maxDurationSeconds: agent.max_duration_seconds ?? null,
+      maxTurns: agent.max_turns ?? null,
+      maxSilentReprompts: agent.max_silent_reprompts ?? null,
+      sttProvider: agent.stt_provider || '',
+      sttLanguage: agent.stt_language || '',
+      sttKeywords: agent.stt_keywords || [],
+      voiceConfig: agent.voice_config || null,
+      llmConfig: agent.llm_config || null,
+      recordingEnabled: !!agent.recording_enabled,
+      recordingChannels: agent.recording_channels || 'mono',
+      analysisConfig: agent.analysis_config || null,
+      agentType: agent.agent_type || 'prompt',
+      flowDefinition: agent.flow_definition || null,
+      publishedVersion: agent.published_version,
+      draft: formatDraft(await agentVersionService.getDraft(id))
     };
 
     res.json(agentData);
@@ -129,17 +174,30 @@ router.get('/:id', async (req, res) => {
 // Create new agent
 router.post('/', validateAgent, async (req, res) => {
   try {
-    const { name, description, aiPrompt, voice, language, model, webhookUrl } = req.body;
+    const { name, description, aiPrompt, voice, language, model, webhookUrl, llmProvider, temperature, maxTokens, historyWindow, turnTimeoutMs, maxDurationSeconds, maxTurns, maxSilentReprompts, sttProvider, sttLanguage, sttKeywords, voiceConfig, llmConfig, recordingEnabled, recordingChannels, analysisConfig, agentType, flowDefinition } = req.body;
     
     // Generate unique agent ID
     const agentId = `agent_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const apiKey = `rt_sk_${Math.random().toString(36).substr(2, 16)}`;
 
     const result = await executeQuery(`
-      INSERT INTO agents (agent_id, name, description, ai_prompt, voice, language, model, api_key, webhook_url, status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'inactive')
+      INSERT INTO agents (agent_id, name, description, ai_prompt, voice, language, model, api_key, webhook_url, status, organization_id, created_by,
+        stt_provider, stt_language, stt_keywords, voice_config, recording_enabled, recording_channels, analysis_config,
+        agent_type, flow_definition, llm_config, llm_provider, temperature, max_tokens, history_window, turn_timeout_ms,
+        max_duration_seconds, max_turns, max_silent_reprompts)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'inactive', $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21,
+        $22, $23, $24, $25, $26, $27, $28, $29)
       RETURNING *
-    `, [agentId, name, description, aiPrompt, voice, language, model, apiKey, webhookUrl]);
+    `, [agentId, name, description, aiPrompt, voice, language, model || null, apiKey, webhookUrl, req.user.organizationId, req.user.userId,
+      sttProvider || null, sttLanguage || null, sttKeywords ? JSON.stringify(sttKeywords) : null,
+      voiceConfig ? JSON.stringify(voiceConfig) : null, recordingEnabled === true, recordingChannels || 'mono',
+      analysisConfig ? JSON.stringify(analysisConfig) : null,
+      agentType || 'prompt', flowDefinition ? JSON.stringify(flowDefinition) : null,
+      llmConfig ? JSON.stringify(llmConfig) : null, llmProvider || null, numberOrNull(temperature), numberOrNull(maxTokens),
+      numberOrNull(historyWindow), numberOrNull(turnTimeoutMs), numberOrNull(maxDurationSeconds), numberOrNull(maxTurns),
+      numberOrNull(maxSilentReprompts)]);
+
+    await agentVersionService.createInitialVersion(result.rows[0], req.user.userId);
 
     res.status(201).json({
       id: result.rows[0].agent_id,
@@ -152,6 +210,25 @@ router.post('/', validateAgent, async (req, res) => {
       model: result.rows[0].model,
       apiKey: result.rows[0].api_key,
       webhookUrl: result.rows[0].webhook_url,
+      llmProvider: result.rows[0].llm_provider || '',
+      temperature: result.rows[0].temperature ?? null,
+      maxTokens: result.rows[0].max_tokens ?? null,
+      historyWindow: result.rows[0].history_window ?? null,
+      turnTimeoutMs: result.rows[0].turn_timeout_ms ?? null,
+      maxDurationSeconds: result.rows[0].max_duration_seconds ?? null,
+      maxTurns: result.rows[0].max_turns ?? null,
+      maxSilentReprompts: result.rows[0].max_silent_reprompts ?? null,
+      sttProvider: result.rows[0].stt_provider || '',
+      sttLanguage: result.rows[0].stt_language || '',
+      sttKeywords: result.rows[0].stt_keywords || [],
+      voiceConfig: result.rows[0].voice_config || null,
+      llmConfig: result.rows[0].llm_config || null,
+      recordingEnabled: !!result.rows[0].recording_enabled,
+      recordingChannels: result.rows[0].recording_channels || 'mono',
+      analysisConfig: result.rows[0].analysis_config || null,
+      agentType: result.rows[0].agent_type || 'prompt',
+      flowDefinition: result.rows[0].flow_definition || null,
+      publishedVersion: 1,
       createdAt: result.rows[0].created_at
     });
   } catch (error) {
@@ -160,34 +237,33 @@ router.post('/', validateAgent, async (req, res) => {
   }
 });
 
-// Update agent
+// Update agent. Changes to the agent's behaviour are saved to its draft and
+// only reach live calls once published; status applies straight away.
 router.put('/:id', validateId, validateAgent, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, aiPrompt, status, voice, language, model, webhookUrl } = req.body;
-
-    const result = await executeQuery(`
-      UPDATE agents 
-      SET name = $1, description = $2, ai_prompt = $3, status = $4, voice = $5, language = $6, model = $7, webhook_url = $8, updated_at = CURRENT_TIMESTAMP
-      WHERE agent_id = $9
-      RETURNING *
-    `, [name, description, aiPrompt, status, voice, language, model, webhookUrl, id]);
+    const { status } = req.body;
 
-    if (result.rows.length === 0) {
+    let agent = await findAgent(id, req.user.organizationId);
+    if (!agent) {
       return res.status(404).json({ error: 'Agent not found' });
     }
 
+    if (status && status !== agent.status) {
+      agent = await updateStatus(id, status);
+    }
+
+    // Saving an unchanged agent does not start a draft
+    const config = configFromBody(req.body);
+    const published = configFromBody(formatConfig(agentVersionService.snapshot(agent)));
+    let draft = await agentVersionService.getDraft(id);
+    if (draft || agentVersionService.diff(published, config).length > 0) {
+      draft = await agentVersionService.saveDraft(id, config, req.user.userId);
+    }
+
     res.json({
-      id: result.rows[0].agent_id,
-      name: result.rows[0].name,
-      description: result.rows[0].description,
-      aiPrompt: result.rows[0].ai_prompt || '',
-      status: result.rows[0].status,
-      voice: result.rows[0].voice,
-      language: result.rows[0].language,
-      model: result.rows[0].model,
-      webhookUrl: result.rows[0].webhook_url,
-      updatedAt: result.rows[0].updated_at
+      ...formatAgent(agent),
+      draft: formatDraft(draft)
     });
   } catch (error) {
     console.error('Error updating agent:', error);
@@ -195,11 +271,222 @@ router.put('/:id', validateId, validateAgent, async (req, res) => {
   }
 });
 
+// Set whether the agent takes calls
+router.put('/:id/status', validateAgentStatus, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const agent = await updateStatus(id, req.body.status);
+    res.json(formatAgent(agent));
+  } catch (error) {
+    console.error('Error updating agent status:', error);
+    res.status(500).json({ error: 'Failed to update agent status' });
+  }
+});
+
+// List the agent's versions, newest first
+router.get('/:id/versions', validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const agent = await findAgent(id, req.user.organizationId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const versions = await agentVersionService.listVersions(id);
+    res.json({
+      publishedVersion: agent.published_version,
+      versions: versions.map(version => ({
+        version: version.version,
+        status: version.status,
+        live: version.version === agent.published_version,
+        note: version.note,
+        publishedBy: version.published_by_email,
+        publishedAt: version.published_at,
+        createdAt: version.created_at,
+        updatedAt: version.updated_at,
+        calls: parseInt(version.call_count) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching agent versions:', error);
+    res.status(500).json({ error: 'Failed to fetch agent versions' });
+  }
+});
+
+// Compare two versions; from and to are version numbers, 'draft' or 'published'
+router.get('/:id/versions/diff', validateVersionDiff, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const agent = await findAgent(id, req.user.organizationId);
+    if (!agent) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const [from, to] = await Promise.all([resolveConfig(agent, req.query.from), resolveConfig(agent, req.query.to)]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      from: from.version,
+      to: to.version,
+      changes: agentVersionService.diff(from.config, to.config).map(change => ({
+        ...change,
+        field: toCamelCase(change.field)
+      }))
+    });
+  } catch (error) {
+    console.error('Error comparing agent versions:', error);
+    res.status(500).json({ error: 'Failed to compare agent versions' });
+  }
+});
+
+// Get one version's configuration
+router.get('/:id/versions/:version', validateAgentVersion, async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const row = await agentVersionService.getVersion(id, version);
+    if (!row || row.status === 'discarded') {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    res.json({
+      version: row.version,
+      status: row.status,
+      note: row.note,
+      publishedAt: row.published_at,
+      createdAt: row.created_at,
+      config: formatConfig(row.config)
+    });
+  } catch (error) {
+    console.error('Error fetching agent version:', error);
+    res.status(500).json({ error: 'Failed to fetch agent version' });
+  }
+});
+
+// Publish the draft, making it what new calls use
+router.post('/:id/publish', validatePublish, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const agent = await agentVersionService.publishDraft(id, req.user.userId, req.body.note || null);
+    if (!agent) {
+      return res.status(404).json({ error: 'There is no draft to publish' });
+    }
+
+    res.json({ ...formatAgent(agent), draft: null });
+  } catch (error) {
+    console.error('Error publishing agent:', error);
+    res.status(500).json({ error: 'Failed to publish agent' });
+  }
+});
+
+// Throw the draft away
+router.delete('/:id/draft', validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    if (!await agentVersionService.discardDraft(id)) {
+      return res.status(404).json({ error: 'There is no draft to discard' });
+    }
+
+    res.json({ message: 'Draft discarded' });
+  } catch (error) {
+    console.error('Error discarding agent draft:', error);
+    res.status(500).json({ error: 'Failed to discard draft' });
+  }
+});
+
+// Make an earlier published version live again. The draft, if any, is kept.
+router.post('/:id/versions/:version/rollback', validateAgentVersion, async (req, res) => {
+  try {
+    const { id, version } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const agent = await agentVersionService.rollback(id, version);
+    if (!agent) {
+      return res.status(404).json({ error: 'Only published versions can be rolled back to' });
+    }
+
+    res.json(formatAgent(agent));
+  } catch (error) {
+    console.error('Error rolling back agent:', error);
+    res.status(500).json({ error: 'Failed to roll back agent' });
+  }
+});
+
+// Knowledge bases the agent answers from
+router.get('/:id/knowledge-bases', validateId, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const knowledgeBases = await knowledgeBaseService.getAgentKnowledgeBases(id);
+    res.json({ knowledgeBases });
+  } catch (error) {
+    console.error('Error fetching agent knowledge bases:', error);
+    res.status(500).json({ error: 'Failed to fetch knowledge bases' });
+  }
+});
+
+// Replace the agent's knowledge bases. Takes effect on the next caller turn.
+router.put('/:id/knowledge-bases', validateAgentKnowledgeBases, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!await findAgent(id, req.user.organizationId)) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
+    const knowledgeBases = await knowledgeBaseService.setAgentKnowledgeBases(req.user.organizationId, id, req.body.knowledgeBaseIds);
+    res.json({ knowledgeBases });
+  } catch (error) {
+    console.error('Error updating agent knowledge bases:', error);
+    res.status(500).json({ error: 'Failed to update knowledge bases' });
+  }
+});
+
 // Delete agent
 router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
 
+    // Make sure the agent belongs to the caller before touching related data
+    const owned = await executeQuery(
+      'SELECT 1 FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [id, req.user.organizationId]
+    );
+
+    if (owned.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
+
     // First, delete related agent functions
     await executeQuery(`
       DELETE FROM agent_functions WHERE agent_id = $1
@@ -217,8 +504,8 @@ router.delete('/:id', validateId, async (req, res) => {
 
     // Finally delete the agent
     const result = await executeQuery(`
-      DELETE FROM agents WHERE agent_id = $1 RETURNING *
-    `, [id]);
+      DELETE FROM agents WHERE agent_id = $1 AND organization_id = $2 RETURNING *
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Agent not found' });
@@ -239,6 +526,149 @@ router.delete('/:id', validateId, async (req, res) => {
   }
 });
 
+// Versioned agent columns and their API names
+const CONFIG_FIELDS = {
+  name: 'name',
+  description: 'description',
+  ai_prompt: 'aiPrompt',
+  voice: 'voice',
+  language: 'language',
+  model: 'model',
+  webhook_url: 'webhookUrl',
+  llm_provider: 'llmProvider',
+  temperature: 'temperature',
+  max_tokens: 'maxTokens',
+  history_window: 'historyWindow',
+  turn_timeout_ms: 'turnTimeoutMs',
+  max_duration_seconds: 'maxDurationSeconds',
+  max_turns: 'maxTurns',
+  max_silent_reprompts: 'maxSilentReprompts',
+  stt_provider: 'sttProvider',
+  stt_language: 'sttLanguage',
+  stt_keywords: 'sttKeywords',
+  voice_config: 'voiceConfig',
+  llm_config: 'llmConfig',
+  recording_enabled: 'recordingEnabled',
+  recording_channels: 'recordingChannels',
+  analysis_config: 'analysisConfig',
+  agent_type: 'agentType',
+  flow_definition: 'flowDefinition'
+};
+
+const toCamelCase = (field) => CONFIG_FIELDS[field] || field;
+
+async function findAgent(id, organizationId) {
+  const result = await executeQuery(
+    'SELECT * FROM agents WHERE agent_id = $1 AND organization_id = $2',
+    [id, organizationId]
+  );
+  return result.rows[0] || null;
+}
+
+async function updateStatus(id, status) {
+  const result = await executeQuery(`
+    UPDATE agents SET status = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE agent_id = $1
+    RETURNING *
+  `, [id, status]);
+  return result.rows[0];
+}
+
+// Numeric settings left blank in a form arrive as ''
+const numberOrNull = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+// A request body's versioned fields, as agents columns
+function configFromBody(body) {
+  return {
+    name: body.name,
+    description: body.description || null,
+    ai_prompt: body.aiPrompt,
+    voice: body.voice || null,
+    language: body.language || null,
+    model: body.model || null,
+    webhook_url: body.webhookUrl || null,
+    llm_provider: body.llmProvider || null,
+    temperature: numberOrNull(body.temperature),
+    max_tokens: numberOrNull(body.maxTokens),
+    history_window: numberOrNull(body.historyWindow),
+    turn_timeout_ms: numberOrNull(body.turnTimeoutMs),
+    max_duration_seconds: numberOrNull(body.maxDurationSeconds),
+    max_turns: numberOrNull(body.maxTurns),
+    max_silent_reprompts: numberOrNull(body.maxSilentReprompts),
+    stt_provider: body.sttProvider || null,
+    stt_language: body.sttLanguage || null,
+    stt_keywords: body.sttKeywords?.length ? body.sttKeywords : null,
+    voice_config: body.voiceConfig || null,
+    llm_config: body.llmConfig || null,
+    recording_enabled: body.recordingEnabled === true,
+    recording_channels: body.recordingChannels || 'mono',
+    analysis_config: body.analysisConfig || null,
+    agent_type: body.agentType || 'prompt',
+    flow_definition: body.flowDefinition || null
+  };
+}
+
+// A version's configuration, in the same shape as the agent responses
+function formatConfig(config) {
+  return {
+    name: config.name,
+    description: config.description,
+    aiPrompt: config.ai_prompt || '',
+    voice: config.voice,
+    language: config.language,
+    model: config.model,
+    webhookUrl: config.webhook_url,
+    llmProvider: config.llm_provider || '',
+    temperature: config.temperature ?? null,
+    maxTokens: config.max_tokens ?? null,
+    historyWindow: config.history_window ?? null,
+    turnTimeoutMs: config.turn_timeout_ms ?? null,
+    maxDurationSeconds: config.max_duration_seconds ?? null,
+    maxTurns: config.max_turns ?? null,
+    maxSilentReprompts: config.max_silent_reprompts ?? null,
+    sttProvider: config.stt_provider || '',
+    sttLanguage: config.stt_language || '',
+    sttKeywords: config.stt_keywords || [],
+    voiceConfig: config.voice_config || null,
+    llmConfig: config.llm_config || null,
+    recordingEnabled: !!config.recording_enabled,
+    recordingChannels: config.recording_channels || 'mono',
+    analysisConfig: config.analysis_config || null,
+    agentType: config.agent_type || 'prompt',
+    flowDefinition: config.flow_definition || null
+  };
+}
+
+function formatAgent(agent) {
+  return {
+    id: agent.agent_id,
+    ...formatConfig(agent),
+    status: agent.status,
+    publishedVersion: agent.published_version,
+    updatedAt: agent.updated_at
+  };
+}
+
+function formatDraft(draft) {
+  return draft ? {
+    version: draft.version,
+    updatedAt: draft.updated_at,
+    config: formatConfig(draft.config)
+  } : null;
+}
+
+// The configuration a diff endpoint refers to: a version number, 'draft' or 'published'
+async function resolveConfig(agent, reference) {
+  if (reference === 'published') {
+    return { version: agent.published_version, config: agentVersionService.snapshot(agent) };
+  }
+
+  const row = reference === 'draft'
+    ? await agentVersionService.getDraft(agent.agent_id)
+    : await agentVersionService.getVersion(agent.agent_id, parseInt(reference));
+  return row && row.status !== 'discarded' ? { version: row.version, config: row.config } : null;
+}
+
 // Helper function to calculate time ago
 function getTimeAgo(date) {
   const now = new Date();
@@ -2,6 +2,8 @@ const express = require('express');
 const { pool, executeQuery } = require('../database/connection');
 const router = express.Router();
 const { query, validationResult } = require('express-validator');
+const usageService = require('../services/usageService');
+const elevenlabsService = require('../services/elevenlabsService');
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -56,16 +58,16 @@ router.get('/', validateAnalyticsQuery, async (req, res) => {
     }
 
     // Get key metrics
-    const metrics = await getKeyMetrics(startDate, endDate, agent_id);
+    const metrics = await getKeyMetrics(startDate, endDate, agent_id, req.user.organizationId);
     
     // Get call volume over time
-    const callVolume = await getCallVolume(startDate, endDate, agent_id);
+    const callVolume = await getCallVolume(startDate, endDate, agent_id, req.user.organizationId);
     
     // Get duration trends
-    const durationTrends = await getDurationTrends(startDate, endDate, agent_id);
+    const durationTrends = await getDurationTrends(startDate, endDate, agent_id, req.user.organizationId);
     
     // Get success rate trends
-    const successRateTrends = await getSuccessRateTrends(startDate, endDate, agent_id);
+    const successRateTrends = await getSuccessRateTrends(startDate, endDate, agent_id, req.user.organizationId);
 
     res.json({
       success: true,
@@ -89,6 +91,241 @@ router.get('/', validateAnalyticsQuery, async (req, res) => {
   }
 });
 
+// Get post-call analysis outcomes: calls by disposition and caller sentiment, and the analyzed calls
+router.get('/outcomes', [
+  ...validateAnalyticsQuery.slice(0, -1),
+  query('disposition')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('disposition must be a valid string'),
+  query('sentiment')
+    .optional()
+    .isIn(['positive', 'neutral', 'negative'])
+    .withMessage('sentiment must be positive, neutral or negative'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const { date_from, date_to, agent_id, disposition, sentiment } = req.query;
+
+    // Get date range (default to last 7 days)
+    const endDate = date_to ? new Date(date_to) : new Date();
+    const startDate = date_from ? new Date(date_from) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date'
+      });
+    }
+
+    const params = [startDate, endDate, req.user.organizationId];
+    let where = `
+      WHERE c.started_at >= $1 AND c.started_at <= $2
+        AND c.organization_id = $3
+        AND c.analysis_status = 'completed'
+    `;
+
+    if (agent_id) {
+      params.push(agent_id);
+      where += ` AND c.agent_id = $${params.length}`;
+    }
+    if (disposition) {
+      params.push(disposition);
+      where += ` AND c.disposition = $${params.length}`;
+    }
+    if (sentiment) {
+      params.push(sentiment);
+      where += ` AND c.sentiment = $${params.length}`;
+    }
+
+    const [dispositions, sentiments, calls] = await Promise.all([
+      executeQuery(`SELECT c.disposition, COUNT(*) AS calls FROM calls c ${where} GROUP BY c.disposition ORDER BY calls DESC`, params),
+      executeQuery(`SELECT c.sentiment, COUNT(*) AS calls FROM calls c ${where} GROUP BY c.sentiment ORDER BY calls DESC`, params),
+      executeQuery(`
+        SELECT c.*, a.name AS agent_name
+        FROM calls c
+        LEFT JOIN agents a ON a.agent_id = c.agent_id
+        ${where}
+        ORDER BY c.started_at DESC
+        LIMIT 50
+      `, params)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        dateRange: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        dispositions: dispositions.rows.map(row => ({ disposition: row.disposition, calls: parseInt(row.calls) })),
+        sentiments: sentiments.rows.map(row => ({ sentiment: row.sentiment, calls: parseInt(row.calls) })),
+        calls: calls.rows.map(row => ({
+          id: row.id,
+          agentId: row.agent_id,
+          agentName: row.agent_name,
+          customerName: row.customer_name,
+          phoneNumber: row.phone_number,
+          startedAt: row.started_at,
+          duration: row.duration,
+          summary: row.summary,
+          sentiment: row.sentiment,
+          disposition: row.disposition,
+          fields: row.extracted_fields || {}
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching call outcomes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call outcomes'
+    });
+  }
+});
+
+// Get usage costs: totals by category, per day, per agent and the most expensive calls
+router.get('/costs', validateAnalyticsQuery, async (req, res) => {
+  try {
+    const { date_from, date_to, agent_id } = req.query;
+
+    // Get date range (default to last 7 days)
+    const endDate = date_to ? new Date(date_to) : new Date();
+    const startDate = date_from ? new Date(date_from) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+
+    if (startDate > endDate) {
+      return res.status(400).json({
+        success: false,
+        error: 'Start date must be before end date'
+      });
+    }
+
+    const params = [startDate, endDate, req.user.organizationId];
+    let where = `
+      WHERE r.created_at >= $1 AND r.created_at <= $2
+        AND r.organization_id = $3
+    `;
+
+    if (agent_id) {
+      params.push(agent_id);
+      where += ` AND r.agent_id = $${params.length}`;
+    }
+
+    const categoryCosts = usageService.categories
+      .map(category => `COALESCE(SUM(r.cost) FILTER (WHERE r.category = '${category}'), 0) AS ${category}`)
+      .join(', ');
+
+    const [totals, days, agents, calls, budget, ttsAccount] = await Promise.all([
+      executeQuery(`
+        SELECT r.category, SUM(r.cost) AS cost, SUM(r.input_tokens) AS input_tokens, SUM(r.output_tokens) AS output_tokens,
+               SUM(r.characters) AS characters, SUM(r.seconds) AS seconds, COUNT(DISTINCT r.call_id) AS calls
+        FROM usage_records r ${where}
+        GROUP BY r.category
+      `, params),
+      executeQuery(`
+        SELECT DATE(r.created_at) AS date, SUM(r.cost) AS cost, ${categoryCosts}
+        FROM usage_records r ${where}
+        GROUP BY DATE(r.created_at)
+        ORDER BY date ASC
+      `, params),
+      executeQuery(`
+        SELECT r.agent_id, a.name AS agent_name, SUM(r.cost) AS cost, COUNT(DISTINCT r.call_id) AS calls, ${categoryCosts}
+        FROM usage_records r
+        LEFT JOIN agents a ON a.agent_id = r.agent_id
+        ${where}
+        GROUP BY r.agent_id, a.name
+        ORDER BY cost DESC
+      `, params),
+      executeQuery(`
+        SELECT r.call_id, c.customer_name, c.phone_number, c.started_at, c.duration, a.name AS agent_name,
+               SUM(r.cost) AS cost, ${categoryCosts}
+        FROM usage_records r
+        JOIN calls c ON c.id = r.call_id
+        LEFT JOIN agents a ON a.agent_id = r.agent_id
+        ${where}
+        GROUP BY r.call_id, c.customer_name, c.phone_number, c.started_at, c.duration, a.name
+        ORDER BY cost DESC
+        LIMIT 20
+      `, params),
+      usageService.getBudgetStatus(req.user.organizationId),
+      getElevenLabsUsage()
+    ]);
+
+    const byCategory = Object.fromEntries(usageService.categories.map(category => [category, {
+      cost: 0, inputTokens: 0, outputTokens: 0, characters: 0, seconds: 0
+    }]));
+    totals.rows.forEach(row => {
+      byCategory[row.category] = {
+        cost: parseFloat(row.cost),
+        inputTokens: parseInt(row.input_tokens) || 0,
+        outputTokens: parseInt(row.output_tokens) || 0,
+        characters: parseInt(row.characters) || 0,
+        seconds: parseInt(row.seconds) || 0
+      };
+    });
+
+    const totalCost = Object.values(byCategory).reduce((total, category) => total + category.cost, 0);
+    const callCount = agents.rows.reduce((total, row) => total + parseInt(row.calls), 0);
+    const splitCosts = (row) => Object.fromEntries(usageService.categories.map(category => [category, parseFloat(row[category])]));
+
+    res.json({
+      success: true,
+      data: {
+        dateRange: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        currency: budget.currency,
+        totals: {
+          cost: totalCost,
+          calls: callCount,
+          costPerCall: callCount > 0 ? totalCost / callCount : 0,
+          byCategory
+        },
+        days: days.rows.map(row => ({
+          date: row.date,
+          cost: parseFloat(row.cost),
+          ...splitCosts(row)
+        })),
+        agents: agents.rows.map(row => ({
+          agentId: row.agent_id,
+          agentName: row.agent_name,
+          calls: parseInt(row.calls),
+          cost: parseFloat(row.cost),
+          costPerCall: parseFloat(row.cost) / (parseInt(row.calls) || 1),
+          ...splitCosts(row)
+        })),
+        calls: calls.rows.map(row => ({
+          id: row.call_id,
+          agentName: row.agent_name,
+          customerName: row.customer_name,
+          phoneNumber: row.phone_number,
+          startedAt: row.started_at,
+          duration: row.duration,
+          cost: parseFloat(row.cost),
+          ...splitCosts(row)
+        })),
+        budget: {
+          ...budget.budget,
+          configured: !!budget.budget,
+          spent: budget.spent,
+          percentUsed: budget.percentUsed,
+          exceeded: budget.exceeded,
+          blocked: budget.blocked
+        },
+        ttsAccount
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching usage costs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch usage costs'
+    });
+  }
+});
+
 // Get agent-specific analytics
 router.get('/agent/:agentId', [
   query('date_from')
@@ -119,8 +356,8 @@ router.get('/agent/:agentId', [
 
     // Get agent details
     const agentResult = await executeQuery(`
-      SELECT name, description FROM agents WHERE agent_id = $1
-    `, [agentId]);
+      SELECT name, description FROM agents WHERE agent_id = $1 AND organization_id = $2
+    `, [agentId, req.user.organizationId]);
 
     if (agentResult.rows.length === 0) {
       return res.status(404).json({
@@ -132,16 +369,16 @@ router.get('/agent/:agentId', [
     const agent = agentResult.rows[0];
     
     // Get agent-specific metrics
-    const metrics = await getKeyMetrics(startDate, endDate, agentId);
+    const metrics = await getKeyMetrics(startDate, endDate, agentId, req.user.organizationId);
     
     // Get call volume over time for this agent
-    const callVolume = await getCallVolume(startDate, endDate, agentId);
+    const callVolume = await getCallVolume(startDate, endDate, agentId, req.user.organizationId);
     
     // Get duration trends for this agent
-    const durationTrends = await getDurationTrends(startDate, endDate, agentId);
+    const durationTrends = await getDurationTrends(startDate, endDate, agentId, req.user.organizationId);
     
     // Get success rate trends for this agent
-    const successRateTrends = await getSuccessRateTrends(startDate, endDate, agentId);
+    const successRateTrends = await getSuccessRateTrends(startDate, endDate, agentId, req.user.organizationId);
 
     // Get recent calls for this agent
     const recentCalls = await getRecentCalls(agentId, 10);
@@ -175,7 +412,7 @@ router.get('/agent/:agentId', [
 });
 
 // Helper function to get key metrics
-async function getKeyMetrics(startDate, endDate, agentId) {
+async function getKeyMetrics(startDate, endDate, agentId, organizationId) {
   try {
     let query = `
       SELECT 
@@ -187,12 +424,13 @@ async function getKeyMetrics(startDate, endDate, agentId) {
         MAX(start_time) as last_call
       FROM sessions 
       WHERE start_time >= $1 AND start_time <= $2
+        AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $3)
     `;
     
-    const params = [startDate, endDate];
+    const params = [startDate, endDate, organizationId];
     
     if (agentId) {
-      query += ` AND agent_id = $3`;
+      query += ` AND agent_id = $4`;
       params.push(agentId);
     }
     
@@ -226,7 +464,7 @@ async function getKeyMetrics(startDate, endDate, agentId) {
 }
 
 // Helper function to get call volume over time
-async function getCallVolume(startDate, endDate, agentId) {
+async function getCallVolume(startDate, endDate, agentId, organizationId) {
   try {
     let query = `
       SELECT 
@@ -234,12 +472,13 @@ async function getCallVolume(startDate, endDate, agentId) {
         COUNT(*) as calls
       FROM sessions 
       WHERE start_time >= $1 AND start_time <= $2
+        AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $3)
     `;
     
-    const params = [startDate, endDate];
+    const params = [startDate, endDate, organizationId];
     
     if (agentId) {
-      query += ` AND agent_id = $3`;
+      query += ` AND agent_id = $4`;
       params.push(agentId);
     }
     
@@ -257,7 +496,7 @@ async function getCallVolume(startDate, endDate, agentId) {
 }
 
 // Helper function to get duration trends
-async function getDurationTrends(startDate, endDate, agentId) {
+async function getDurationTrends(startDate, endDate, agentId, organizationId) {
   try {
     let query = `
       SELECT 
@@ -265,12 +504,13 @@ async function getDurationTrends(startDate, endDate, agentId) {
         AVG(CASE WHEN status = 'completed' THEN duration ELSE NULL END) as avg_duration
       FROM sessions 
       WHERE start_time >= $1 AND start_time <= $2
+        AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $3)
     `;
     
-    const params = [startDate, endDate];
+    const params = [startDate, endDate, organizationId];
     
     if (agentId) {
-      query += ` AND agent_id = $3`;
+      query += ` AND agent_id = $4`;
       params.push(agentId);
     }
     
@@ -288,7 +528,7 @@ async function getDurationTrends(startDate, endDate, agentId) {
 }
 
 // Helper function to get success rate trends
-async function getSuccessRateTrends(startDate, endDate, agentId) {
+async function getSuccessRateTrends(startDate, endDate, agentId, organizationId) {
   try {
     let query = `
       SELECT 
@@ -297,12 +537,13 @@ async function getSuccessRateTrends(startDate, endDate, agentId) {
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as successful_calls
       FROM sessions 
       WHERE start_time >= $1 AND start_time <= $2
+        AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $3)
     `;
     
-    const params = [startDate, endDate];
+    const params = [startDate, endDate, organizationId];
     
     if (agentId) {
-      query += ` AND agent_id = $3`;
+      query += ` AND agent_id = $4`;
       params.push(agentId);
     }
     
@@ -358,6 +599,28 @@ async function getRecentCalls(agentId, limit = 10) {
   }
 }
 
+// ElevenLabs character quota for the billing period, when ElevenLabs is set up
+async function getElevenLabsUsage() {
+  if (!elevenlabsService.isConfigured()) {
+    return null;
+  }
+
+  try {
+    const subscription = await elevenlabsService.getApiUsage();
+    return {
+      provider: 'elevenlabs',
+      tier: subscription.tier,
+      characterCount: subscription.character_count,
+      characterLimit: subscription.character_limit,
+      resetsAt: subscription.next_character_count_reset_unix
+        ? new Date(subscription.next_character_count_reset_unix * 1000).toISOString()
+        : null
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
 // Health check for analytics
 router.get('/health', (req, res) => {
   res.json({
@@ -366,6 +629,8 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       'analytics': 'GET /api/analytics',
+      'outcomes': 'GET /api/analytics/outcomes',
+      'costs': 'GET /api/analytics/costs',
       'agent-analytics': 'GET /api/analytics/agent/:agentId'
     }
   });
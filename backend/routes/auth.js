@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { pool, executeQuery } = require('../database/connection');
 const { verifyToken } = require('../middleware/auth');
+const { getEffectivePermissions } = require('../middleware/permissions');
 const { validateRegister, validateLogin } = require('../middleware/validation');
 const router = express.Router();
 
@@ -25,17 +26,22 @@ router.post('/register', validateRegister, async (req, res) => {
     const saltRounds = 10;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
-    // Create user
-    const result = await executeQuery(
-      'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id, email, name, created_at',
+    // Create user as the owner of a new organization
+    const inserted = await executeQuery(
+      'INSERT INTO users (email, password_hash, name, role) VALUES ($1, $2, $3, \'admin\') RETURNING id',
       [email, passwordHash, name]
     );
 
+    const result = await executeQuery(
+      'UPDATE users SET organization_id = id WHERE id = $1 RETURNING id, email, name, role, permissions, organization_id, created_at',
+      [inserted.rows[0].id]
+    );
+
     const user = result.rows[0];
 
     // Generate JWT token
     const token = jwt.sign(
-      { userId: user.id, email: user.email },
+      { userId: user.id, email: user.email, organizationId: user.organization_id },
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
@@ -47,6 +53,9 @@ router.post('/register', validateRegister, async (req, res) => {
         id: user.id,
         email: user.email,
         name: user.name,
+        role: user.role,
+        permissions: getEffectivePermissions(user.role, user.permissions),
+        organizationId: user.organization_id,
         createdAt: user.created_at
       }
     });
@@ -63,7 +72,7 @@ router.post('/login', validateLogin, async (req, res) => {
 
     // Find user
     const result = await executeQuery(
-      'SELECT id, email, password_hash, name FROM users WHERE email = $1',
+      'SELECT id, email, password_hash, name, role, status, permissions, organization_id FROM users WHERE email = $1 AND deleted_at IS NULL',
       [email]
     );
 
@@ -80,9 +89,21 @@ router.post('/login', validateLogin, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    if (user.status === 'suspended') {
+      return res.status(403).json({ error: 'This account has been suspended' });
+    }
+
+    // Signing in with the invitation's temporary password accepts it
+    if (user.status === 'pending') {
+      await executeQuery(
+        "UPDATE users SET status = 'active', updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'pending'",
+        [user.id]
+      );
+    }
+
     // Generate JWT token
     const token = jwt.sign(
-      { userId: user.id, email: user.email },
+      { userId: user.id, email: user.email, organizationId: user.organization_id },
       process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
@@ -93,7 +114,10 @@ router.post('/login', validateLogin, async (req, res) => {
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        role: user.role,
+        permissions: getEffectivePermissions(user.role, user.permissions),
+        organizationId: user.organization_id
       }
     });
   } catch (error) {
@@ -107,7 +131,7 @@ router.post('/login', validateLogin, async (req, res) => {
 router.get('/me', verifyToken, async (req, res) => {
   try {
     const result = await executeQuery(
-      'SELECT id, email, name, role, created_at FROM users WHERE id = $1',
+      'SELECT id, email, name, role, permissions, organization_id, created_at FROM users WHERE id = $1',
       [req.user.userId]
     );
 
@@ -121,6 +145,8 @@ router.get('/me', verifyToken, async (req, res) => {
       email: user.email,
       name: user.name,
       role: user.role,
+      permissions: getEffectivePermissions(user.role, user.permissions),
+      organizationId: user.organization_id,
       createdAt: user.created_at
     });
   } catch (error) {
@@ -8,6 +8,8 @@ const router = express.Router();
 const calComBookingService = require('../services/calcomBookingService');
 const externalCalendarService = require('../services/externalCalendarService');
 const logger = require('../utils/logger');
+const { executeQuery } = require('../database/connection');
+const { requireAgentAccess } = require('../middleware/auth');
 const { body, param, query, validationResult } = require('express-validator');
 
 // Validation middleware
@@ -27,6 +29,32 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Ensure the booking belongs to one of the caller's agents
+const requireBookingAccess = async (req, res, next) => {
+  try {
+    const result = await executeQuery(`
+      SELECT 1 FROM appointment_bookings b
+      JOIN agents a ON b.agent_id = a.agent_id
+      WHERE b.id = $1 AND a.organization_id = $2
+    `, [req.params.id, req.user.organizationId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error checking booking access', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to verify booking access'
+    });
+  }
+};
+
 /**
  * Create a new booking
  * POST /api/calcom-bookings
@@ -39,7 +67,8 @@ router.post('/', [
   body('startTime').isISO8601().withMessage('Valid start time is required'),
   body('endTime').isISO8601().withMessage('Valid end time is required'),
   body('eventTypeId').optional().trim().isLength({ min: 1 }),
-  handleValidationErrors
+  handleValidationErrors,
+  requireAgentAccess(req => req.body.agentId)
 ], async (req, res) => {
   try {
     const {
@@ -100,7 +129,8 @@ router.get('/availability', [
   query('date').isISO8601().withMessage('Valid date is required'),
   query('eventTypeId').optional().trim().isLength({ min: 1 }),
   query('duration').optional().isInt({ min: 15, max: 480 }).withMessage('Duration must be between 15 and 480 minutes'),
-  handleValidationErrors
+  handleValidationErrors,
+  requireAgentAccess(req => req.query.agentId)
 ], async (req, res) => {
   try {
     const { agentId, date, eventTypeId, duration = 30 } = req.query;
@@ -140,7 +170,8 @@ router.get('/availability', [
  */
 router.get('/:id', [
   param('id').trim().isLength({ min: 1 }).withMessage('Booking ID is required'),
-  handleValidationErrors
+  handleValidationErrors,
+  requireBookingAccess
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -174,7 +205,8 @@ router.get('/:id', [
 router.delete('/:id', [
   param('id').trim().isLength({ min: 1 }).withMessage('Booking ID is required'),
   body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
-  handleValidationErrors
+  handleValidationErrors,
+  requireBookingAccess
 ], async (req, res) => {
   try {
     const { id } = req.params;
@@ -210,7 +242,8 @@ router.get('/agent/:agentId', [
   param('agentId').trim().isLength({ min: 1 }).withMessage('Agent ID is required'),
   query('startDate').optional().isISO8601().withMessage('Valid start date is required'),
   query('endDate').optional().isISO8601().withMessage('Valid end date is required'),
-  handleValidationErrors
+  handleValidationErrors,
+  requireAgentAccess()
 ], async (req, res) => {
   try {
     const { agentId } = req.params;
@@ -252,7 +285,8 @@ router.get('/agent/:agentId', [
  */
 router.get('/event-types', async (req, res) => {
   try {
-    const result = await externalCalendarService.getEventTypes();
+    const calCom = await externalCalendarService.forOrganization(req.user.organizationId);
+    const result = await calCom.getEventTypes();
 
     if (result.success) {
       res.json({
@@ -280,7 +314,8 @@ router.get('/event-types', async (req, res) => {
  */
 router.get('/test-connection', async (req, res) => {
   try {
-    const result = await externalCalendarService.validateConfiguration();
+    const calCom = await externalCalendarService.forOrganization(req.user.organizationId);
+    const result = await calCom.validateConfiguration();
 
     if (result.valid) {
       res.json({
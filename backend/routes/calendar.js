@@ -7,8 +7,11 @@ const express = require('express');
 const router = express.Router();
 const { body, param, validationResult } = require('express-validator');
 const { executeQuery } = require('../database/connection');
+const { requireAgentAccess } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 const calComIntegrationService = require('../services/externalCalendarService');
 const calendarService = require('../services/calendarService');
+const outgoingWebhookService = require('../services/outgoingWebhookService');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 
@@ -35,11 +38,12 @@ const handleValidationErrors = (req, res, next) => {
  */
 router.get('/calcom/status', async (req, res) => {
   try {
-    const validation = await calComIntegrationService.validateConfiguration();
+    const calCom = await calComIntegrationService.forOrganization(req.user.organizationId);
+    const validation = await calCom.validateConfiguration();
     
     res.json({
       success: true,
-      configured: await calComIntegrationService.isCalComReady(),
+      configured: await calCom.isCalComReady(),
       valid: validation.valid,
       error: validation.error,
       eventTypesCount: validation.eventTypesCount
@@ -60,7 +64,8 @@ router.get('/calcom/status', async (req, res) => {
  */
 router.get('/calcom/event-types', async (req, res) => {
   try {
-    const result = await calComIntegrationService.getEventTypes();
+    const calCom = await calComIntegrationService.forOrganization(req.user.organizationId);
+    const result = await calCom.getEventTypes();
     
     if (result.success) {
       res.json({
@@ -98,7 +103,8 @@ router.get('/calcom/availability/:eventTypeId', [
     const defaultStartTime = new Date();
     const defaultEndTime = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
 
-    const result = await calComIntegrationService.getAvailableSlots(
+    const calCom = await calComIntegrationService.forOrganization(req.user.organizationId);
+    const result = await calCom.getAvailableSlots(
       eventTypeId,
       startTime || defaultStartTime.toISOString(),
       endTime || defaultEndTime.toISOString(),
@@ -143,12 +149,23 @@ router.post('/calcom/book', [
   try {
     const bookingData = req.body;
     
-    const result = await calComIntegrationService.createBooking(
+    const calCom = await calComIntegrationService.forOrganization(req.user.organizationId);
+    const result = await calCom.createBooking(
       bookingData.eventTypeId,
       bookingData
     );
 
     if (result.success) {
+      outgoingWebhookService.emit('booking.created', {
+        bookingId: result.bookingId,
+        provider: 'calcom',
+        startTime: bookingData.startTime,
+        endTime: bookingData.endTime,
+        customerName: bookingData.customerName,
+        customerEmail: bookingData.customerEmail,
+        customerPhone: bookingData.customerPhone || null
+      }, { organizationId: req.user.organizationId });
+
       res.json({
         success: true,
         bookingId: result.bookingId,
@@ -184,9 +201,16 @@ router.delete('/calcom/booking/:bookingId', [
     const { bookingId } = req.params;
     const { reason } = req.body;
 
-    const result = await calComIntegrationService.cancelBooking(bookingId, reason);
+    const calCom = await calComIntegrationService.forOrganization(req.user.organizationId);
+    const result = await calCom.cancelBooking(bookingId, reason);
 
     if (result.success) {
+      outgoingWebhookService.emit('booking.cancelled', {
+        bookingId,
+        provider: 'calcom',
+        reason: reason || null
+      }, { organizationId: req.user.organizationId });
+
       res.json({
         success: true,
         message: 'Booking cancelled successfully'
@@ -213,7 +237,7 @@ router.delete('/calcom/booking/:bookingId', [
  */
 router.get('/internal/settings/:agentId', [
   param('agentId').notEmpty().withMessage('Agent ID is required')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireAgentAccess(), async (req, res) => {
   try {
     const { agentId } = req.params;
     
@@ -251,7 +275,7 @@ router.put('/internal/settings/:agentId', [
   body('advance_booking_days').optional().isInt({ min: 1, max: 365 }).withMessage('Advance booking days must be between 1 and 365'),
   body('buffer_time').optional().isInt({ min: 0, max: 120 }).withMessage('Buffer time must be between 0 and 120 minutes'),
   body('timezone').optional().isString().withMessage('Timezone must be a string')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireAgentAccess(), requirePermission('manage_agents'), async (req, res) => {
   try {
     const { agentId } = req.params;
     const settings = req.body;
@@ -287,7 +311,7 @@ router.put('/internal/settings/:agentId', [
 router.get('/internal/availability/:agentId', [
   param('agentId').notEmpty().withMessage('Agent ID is required'),
   body('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireAgentAccess(), async (req, res) => {
   try {
     const { agentId } = req.params;
     const { limit = 5 } = req.body;
@@ -322,7 +346,7 @@ router.post('/internal/book', [
   body('endTime').optional().isISO8601().withMessage('Valid end time is required'),
   body('title').optional().isString().withMessage('Title must be a string'),
   body('notes').optional().isString().withMessage('Notes must be a string')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireAgentAccess(req => req.body.agentId), async (req, res) => {
   try {
     const bookingData = req.body;
     
@@ -359,7 +383,7 @@ router.get('/internal/bookings/:agentId', [
   param('agentId').notEmpty().withMessage('Agent ID is required'),
   body('startDate').optional().isISO8601().withMessage('Start date must be valid ISO 8601 date'),
   body('endDate').optional().isISO8601().withMessage('End date must be valid ISO 8601 date')
-], handleValidationErrors, async (req, res) => {
+], handleValidationErrors, requireAgentAccess(), async (req, res) => {
   try {
     const { agentId } = req.params;
     const { startDate, endDate } = req.body;
@@ -297,7 +297,7 @@ router.get('/:callId/status', async (req, res) => {
     const agent = await databaseService.getAgentById(call.agent_id);
 
     // Get conversation summary if available
-    const conversationSummary = dynamicAIService.getConversationSummary(callId);
+    const conversationSummary = await dynamicAIService.getConversationSummary(callId);
 
     // Get Twilio call details if available
     let twilioDetails = null;
@@ -438,7 +438,7 @@ router.post('/:callId/hangup', async (req, res) => {
     });
 
     // Cleanup conversation
-    dynamicAIService.cleanupConversation(callId);
+    await dynamicAIService.cleanupConversation(callId);
 
     logger.info('Call hung up', { callId });
 
@@ -508,7 +508,7 @@ router.get('/:callId/conversation', async (req, res) => {
 router.get('/stats', async (req, res) => {
   try {
     const stats = await databaseService.getPlatformStats();
-    const activeConversations = dynamicAIService.getActiveConversationsCount();
+    const activeConversations = await dynamicAIService.getActiveConversationsCount();
 
     res.json({
       success: true,
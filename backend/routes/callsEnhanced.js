@@ -8,8 +8,23 @@ const router = express.Router();
 const twilioService = require('../services/twilioService');
 const { executeQuery } = require('../database/connection');
 const dynamicAIService = require('../services/dynamicAIService');
+const recordingService = require('../services/recordingService');
+const callAnalysisService = require('../services/callAnalysisService');
+const agentVersionService = require('../services/agentVersionService');
+const usageService = require('../services/usageService');
 const logger = require('../utils/logger');
 
+// Post-call analysis results of a call row
+const formatAnalysis = (call) => ({
+  status: call.analysis_status || null,
+  summary: call.summary,
+  sentiment: call.sentiment,
+  disposition: call.disposition,
+  fields: call.extracted_fields || {},
+  error: call.analysis_error,
+  analyzedAt: call.analyzed_at
+});
+
 // Middleware to check if Twilio is configured
 const checkTwilioConfig = (req, res, next) => {
   if (!twilioService.isTwilioConfigured()) {
@@ -28,7 +43,7 @@ const checkTwilioConfig = (req, res, next) => {
  */
 router.post('/initiate-with-validation', async (req, res) => {
   try {
-    const { agentId, phoneNumber, customerName } = req.body;
+    const { agentId, phoneNumber, customerName, useDraft } = req.body;
 
     // Validate required fields
     if (!agentId || !phoneNumber) {
@@ -39,8 +54,11 @@ router.post('/initiate-with-validation', async (req, res) => {
     }
 
     // Check if agent exists and has a prompt
-    const agentResult = await executeQuery('SELECT * FROM agents WHERE agent_id = $1', [agentId]);
-    const agent = agentResult.rows[0];
+    const agentResult = await executeQuery(
+      'SELECT * FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agentId, req.user.organizationId]
+    );
+    let agent = agentResult.rows[0];
     if (!agent) {
       return res.status(404).json({
         success: false,
@@ -48,6 +66,20 @@ router.post('/initiate-with-validation', async (req, res) => {
       });
     }
 
+    // Test calls run on the agent's unpublished draft
+    let agentVersion = agent.published_version;
+    if (useDraft) {
+      const draft = await agentVersionService.getDraft(agentId);
+      if (!draft) {
+        return res.status(400).json({
+          success: false,
+          error: 'This agent has no draft to test'
+        });
+      }
+      agent = agentVersionService.applyConfig(agent, draft.config);
+      agentVersion = draft.version;
+    }
+
     // Validate that agent has a prompt
     if (!agent.ai_prompt || agent.ai_prompt.trim().length === 0) {
       return res.status(400).json({
@@ -59,6 +91,16 @@ router.post('/initiate-with-validation', async (req, res) => {
       });
     }
 
+    // Accounts that blocked calls past their monthly budget start no new ones
+    const budgetCheck = await usageService.canStartCall(req.user.organizationId);
+    if (!budgetCheck.allowed) {
+      return res.status(402).json({
+        success: false,
+        error: `${budgetCheck.reason}. Raise the budget or turn off call blocking in Settings to make calls.`,
+        budgetExceeded: true
+      });
+    }
+
     // Process and validate phone number
     let processedPhoneNumber = phoneNumber.replace(/\s+/g, '');
     
@@ -97,16 +139,17 @@ router.post('/initiate-with-validation', async (req, res) => {
     // Create call record in calls table
     const callId = `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const callResult = await executeQuery(`
-      INSERT INTO calls (id, agent_id, phone_number, customer_name, status, started_at, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, 'initiating', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      INSERT INTO calls (id, agent_id, phone_number, customer_name, status, organization_id, agent_version, started_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 'initiating', $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING *
-    `, [callId, agentId, processedPhoneNumber, customerName?.trim() || 'Unknown']);
+    `, [callId, agentId, processedPhoneNumber, customerName?.trim() || 'Unknown', agent.organization_id, agentVersion]);
     const call = callResult.rows[0];
 
     // Try to initiate Twilio call if configured, otherwise create mock call
-    if (twilioService.isTwilioConfigured()) {
+    const orgTwilio = await twilioService.forOrganization(req.user.organizationId);
+    if (orgTwilio.isTwilioConfigured()) {
       try {
-        const twilioResult = await twilioService.initiateCall({
+        const twilioResult = await orgTwilio.initiateCall({
           to: processedPhoneNumber,
           agent: agent,
           customerName: customerName?.trim() || 'Unknown',
@@ -136,6 +179,7 @@ router.post('/initiate-with-validation', async (req, res) => {
               id: call.id,
               agentId,
               agentName: agent.name,
+              agentVersion,
               phoneNumber: processedPhoneNumber,
               status: 'initiated',
               twilioCallSid: twilioResult.callSid
@@ -173,6 +217,7 @@ router.post('/initiate-with-validation', async (req, res) => {
             id: call.id,
             agentId,
             agentName: agent.name,
+            agentVersion,
             phoneNumber: processedPhoneNumber,
             status: 'mock',
             mock: true
@@ -201,6 +246,7 @@ router.post('/initiate-with-validation', async (req, res) => {
           id: call.id,
           agentId,
           agentName: agent.name,
+          agentVersion,
           phoneNumber: processedPhoneNumber,
           status: 'mock',
           twilioCallSid: 'mock-call-' + call.id
@@ -218,13 +264,145 @@ router.post('/initiate-with-validation', async (req, res) => {
   }
 });
 
+/**
+ * List the organization's calls, newest first
+ * GET /api/calls?limit=50&agentId=...&status=...&disposition=...&sentiment=...
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { agentId, status, disposition, sentiment } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const params = [req.user.organizationId];
+    const conditions = ['c.organization_id = $1'];
+    if (agentId) {
+      params.push(agentId);
+      conditions.push(`c.agent_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`c.status = $${params.length}`);
+    }
+    if (disposition) {
+      params.push(disposition);
+      conditions.push(`c.disposition = $${params.length}`);
+    }
+    if (sentiment) {
+      params.push(sentiment);
+      conditions.push(`c.sentiment = $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await executeQuery(`
+      SELECT c.*, a.name AS agent_name,
+        EXISTS (SELECT 1 FROM recordings r WHERE r.call_id = c.id AND r.status = 'stored') AS has_recording
+      FROM calls c
+      LEFT JOIN agents a ON a.agent_id = c.agent_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.started_at DESC NULLS LAST
+      LIMIT $${params.length}
+    `, params);
+
+    const calls = result.rows.map(({ agent_name: agentName, ...call }) => ({
+      ...call,
+      agent: { id: call.agent_id, name: agentName }
+    }));
+
+    res.json({
+      success: true,
+      calls,
+      count: calls.length
+    });
+  } catch (error) {
+    logger.error('Error getting calls', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get calls'
+    });
+  }
+});
+
+/**
+ * Get a call's transcript and its recording. Each message has its offset
+ * into the recording in seconds, so players can follow along.
+ * GET /api/calls/:callId/conversation
+ */
+router.get('/:callId/conversation', async (req, res) => {
+  try {
+    const callResult = await executeQuery(`
+      SELECT c.*, a.name AS agent_name
+      FROM calls c
+      LEFT JOIN agents a ON a.agent_id = c.agent_id
+      WHERE c.id = $1 AND c.organization_id = $2
+    `, [req.params.callId, req.user.organizationId]);
+    const call = callResult.rows[0];
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const recording = await recordingService.getForCall(call.id);
+
+    // Offsets are computed in SQL: both timestamps come from the database clock
+    const messagesResult = await executeQuery(`
+      SELECT cv.role, cv.content, cv.citations, cv.timestamp,
+        EXTRACT(EPOCH FROM (cv.timestamp - r.started_at)) AS offset_seconds
+      FROM conversations cv
+      LEFT JOIN recordings r ON r.id = $2
+      WHERE cv.call_id = $1
+      ORDER BY cv.timestamp ASC
+    `, [call.id, recording?.id || null]);
+
+    res.json({
+      success: true,
+      call: {
+        id: call.id,
+        agentId: call.agent_id,
+        agentName: call.agent_name,
+        phoneNumber: call.phone_number,
+        customerName: call.customer_name,
+        direction: call.direction,
+        status: call.status,
+        duration: call.duration,
+        startedAt: call.started_at
+      },
+      recording: recording && {
+        id: recording.id,
+        channels: recording.channels,
+        duration: recording.duration,
+        startedAt: recording.started_at,
+        // Relative to the API base URL; the token expires after RECORDING_PLAYBACK_TTL_SECONDS
+        audioPath: `/recordings/${recording.id}/audio?token=${recordingService.createPlaybackToken(recording)}`
+      },
+      conversation: messagesResult.rows.map(message => ({
+        role: message.role,
+        content: message.content,
+        timestamp: message.timestamp,
+        offsetSeconds: message.offset_seconds === null ? null : Math.max(parseFloat(message.offset_seconds), 0),
+        citations: message.citations || []
+      }))
+    });
+  } catch (error) {
+    logger.error('Error getting call conversation', { error: error.message, callId: req.params.callId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get call conversation'
+    });
+  }
+});
+
 /**
  * Get agents with prompt validation status
  * GET /api/calls/agents-with-validation
  */
 router.get('/agents-with-validation', async (req, res) => {
   try {
-    const result = await executeQuery('SELECT * FROM agents ORDER BY created_at DESC');
+    const result = await executeQuery(
+      'SELECT * FROM agents WHERE organization_id = $1 ORDER BY created_at DESC',
+      [req.user.organizationId]
+    );
     const agents = result.rows;
     
     const agentsWithValidation = agents.map(agent => ({
@@ -269,7 +447,10 @@ router.post('/validate-agent', async (req, res) => {
     }
 
     // Get agent
-    const agentResult = await executeQuery('SELECT * FROM agents WHERE agent_id = $1', [agentId]);
+    const agentResult = await executeQuery(
+      'SELECT * FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agentId, req.user.organizationId]
+    );
     const agent = agentResult.rows[0];
     if (!agent) {
       return res.status(404).json({
@@ -285,7 +466,8 @@ router.post('/validate-agent', async (req, res) => {
     const isActive = agent.status === 'active';
     
     // Check if Twilio is configured
-    const twilioConfigured = twilioService.isTwilioConfigured();
+    const orgTwilio = await twilioService.forOrganization(req.user.organizationId);
+    const twilioConfigured = orgTwilio.isTwilioConfigured();
 
     const validation = {
       agentId: agent.agent_id,
@@ -323,4 +505,91 @@ router.post('/validate-agent', async (req, res) => {
   }
 });
 
+/**
+ * Get a call with its post-call analysis
+ * GET /api/calls/:callId
+ */
+router.get('/:callId', async (req, res) => {
+  try {
+    const result = await executeQuery(`
+      SELECT c.*, a.name AS agent_name
+      FROM calls c
+      LEFT JOIN agents a ON a.agent_id = c.agent_id
+      WHERE c.id = $1 AND c.organization_id = $2
+    `, [req.params.callId, req.user.organizationId]);
+    const call = result.rows[0];
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      call: {
+        id: call.id,
+        agentId: call.agent_id,
+        agentName: call.agent_name,
+        phoneNumber: call.phone_number,
+        customerName: call.customer_name,
+        direction: call.direction,
+        status: call.status,
+        duration: call.duration,
+        startedAt: call.started_at,
+        endedAt: call.ended_at,
+        endReason: call.end_reason,
+        cost: parseFloat(call.cost) || 0,
+        analysis: formatAnalysis(call)
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting call', { error: error.message, callId: req.params.callId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get call'
+    });
+  }
+});
+
+/**
+ * Run post-call analysis again (e.g. after it failed or the agent's fields changed)
+ * POST /api/calls/:callId/analysis
+ */
+router.post('/:callId/analysis', async (req, res) => {
+  try {
+    const result = await executeQuery(
+      'SELECT id FROM calls WHERE id = $1 AND organization_id = $2',
+      [req.params.callId, req.user.organizationId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found'
+      });
+    }
+
+    const call = await callAnalysisService.analyzeCall(req.params.callId);
+    if (call.analysis_status === 'failed') {
+      // The language model failed or answered with something unusable
+      return res.status(502).json({
+        success: false,
+        error: call.analysis_error,
+        analysis: formatAnalysis(call)
+      });
+    }
+
+    res.json({
+      success: true,
+      analysis: formatAnalysis(call)
+    });
+  } catch (error) {
+    logger.error('Error analyzing call', { error: error.message, callId: req.params.callId });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to analyze call'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,214 @@
+/**
+ * Campaign Routes
+ * API endpoints for outbound calling campaigns
+ */
+
+const express = require('express');
+const router = express.Router();
+const campaignService = require('../services/campaignService');
+const logger = require('../utils/logger');
+const { body, param, validationResult } = require('express-validator');
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+  next();
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Campaign validation rules
+const validateCampaign = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Campaign name is required and must be less than 255 characters'),
+  body('agentId')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Agent ID is required'),
+  body('contactIds')
+    .optional()
+    .isArray()
+    .withMessage('Contact IDs must be an array'),
+  body('contactIds.*')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Contact IDs must be integers'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .withMessage('Tags must be strings'),
+  body()
+    .custom(({ contactIds = [], tags = [] }) => contactIds.length > 0 || tags.length > 0)
+    .withMessage('Select at least one contact or tag'),
+  body('timezone')
+    .optional()
+    .custom(timezone => campaignService.isValidTimeZone(timezone))
+    .withMessage('Time zone must be an IANA name such as America/New_York'),
+  body('callingWindowStart')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Calling window start must be HH:MM'),
+  body('callingWindowEnd')
+    .optional()
+    .matches(TIME_PATTERN)
+    .withMessage('Calling window end must be HH:MM'),
+  body('callingWindowEnd')
+    .custom((end = '17:00', { req }) => end > (req.body.callingWindowStart || '09:00'))
+    .withMessage('Calling window must end after it starts'),
+  body('callingDays')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Pick at least one calling day'),
+  body('callingDays.*')
+    .isInt({ min: 0, max: 6 })
+    .toInt()
+    .withMessage('Calling days are 0 (Sunday) to 6 (Saturday)'),
+  body('maxConcurrentCalls')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage('Max concurrent calls must be between 1 and 50'),
+  body('maxAttempts')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Max attempts must be between 1 and 10'),
+  body('retryDelayMinutes')
+    .optional()
+    .isInt({ min: 1, max: 10080 })
+    .toInt()
+    .withMessage('Retry delay must be between 1 minute and 1 week'),
+  body('startAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Start time must be an ISO 8601 date'),
+  handleValidationErrors
+];
+
+// ID parameter validation
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Campaign ID must be an integer'),
+  handleValidationErrors
+];
+
+/**
+ * List campaigns
+ * GET /api/campaigns
+ */
+router.get('/', async (req, res) => {
+  try {
+    const campaigns = await campaignService.getCampaigns(req.user.organizationId);
+    res.json({ success: true, campaigns });
+  } catch (error) {
+    logger.error('Error fetching campaigns', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns'
+    });
+  }
+});
+
+/**
+ * Create a campaign. It starts calling at startAt (default: now).
+ * POST /api/campaigns
+ */
+router.post('/', validateCampaign, async (req, res) => {
+  try {
+    const result = await campaignService.createCampaign(req.user.organizationId, req.user.userId, req.body);
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json({
+      ...result,
+      message: `Campaign created with ${result.contactCount} contacts`
+    });
+  } catch (error) {
+    logger.error('Error creating campaign', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign'
+    });
+  }
+});
+
+/**
+ * Campaign report with per-contact dispositions
+ * GET /api/campaigns/:id/report
+ */
+router.get('/:id/report', validateId, async (req, res) => {
+  try {
+    const report = await campaignService.getReport(req.user.organizationId, req.params.id);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    res.json({ success: true, report });
+  } catch (error) {
+    logger.error('Error fetching campaign report', { error: error.message, campaignId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign report'
+    });
+  }
+});
+
+/**
+ * Pause a campaign
+ * POST /api/campaigns/:id/pause
+ */
+router.post('/:id/pause', validateId, async (req, res) => {
+  try {
+    const result = await campaignService.pauseCampaign(req.user.organizationId, req.params.id);
+    res.status(result.success ? 200 : (result.notFound ? 404 : 409)).json(result);
+  } catch (error) {
+    logger.error('Error pausing campaign', { error: error.message, campaignId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause campaign'
+    });
+  }
+});
+
+/**
+ * Resume a paused campaign
+ * POST /api/campaigns/:id/resume
+ */
+router.post('/:id/resume', validateId, async (req, res) => {
+  try {
+    const result = await campaignService.resumeCampaign(req.user.organizationId, req.params.id);
+    res.status(result.success ? 200 : (result.notFound ? 404 : 409)).json(result);
+  } catch (error) {
+    logger.error('Error resuming campaign', { error: error.message, campaignId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume campaign'
+    });
+  }
+});
+
+module.exports = router;
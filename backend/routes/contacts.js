@@ -32,15 +32,16 @@ router.get('/', async (req, res) => {
     
     let sql = `
       SELECT 
-        id, name, phone_number, email, company, notes, tags,
+        id, name, phone_number, email, company, notes, tags, timezone,
         is_verified, verification_status, last_called, call_count,
         created_at, updated_at
       FROM contacts
+      WHERE organization_id = $1
     `;
-    let params = [];
+    let params = [req.user.organizationId];
     
     if (search && search !== 'undefined') {
-      sql += ' WHERE name ILIKE $1 OR phone_number ILIKE $1 OR email ILIKE $1';
+      sql += ' AND (name ILIKE $2 OR phone_number ILIKE $2 OR email ILIKE $2)';
       params.push(`%${search}%`);
     }
     
@@ -79,12 +80,12 @@ router.get('/:id', async (req, res) => {
     
     const result = await executeQuery(`
       SELECT 
-        id, name, phone_number, email, company, notes, tags,
+        id, name, phone_number, email, company, notes, tags, timezone,
         is_verified, verification_status, last_called, call_count,
         created_at, updated_at
       FROM contacts 
-      WHERE id = $1
-    `, [id]);
+      WHERE id = $1 AND organization_id = $2
+    `, [id, req.user.organizationId]);
     
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -134,7 +135,7 @@ router.post('/', validateContact, async (req, res) => {
       body: req.body
     });
     
-    const { name, phone_number, email, company, notes, tags } = req.body;
+    const { name, phone_number, email, company, notes, tags, timezone } = req.body;
     
     // Validate required fields
     if (!name || !phone_number) {
@@ -189,8 +190,8 @@ router.post('/', validateContact, async (req, res) => {
     });
     
     const existingContact = await executeQuery(
-      'SELECT id FROM contacts WHERE phone_number = $1',
-      [processedPhoneNumber]
+      'SELECT id FROM contacts WHERE phone_number = $1 AND organization_id = $2',
+      [processedPhoneNumber, req.user.organizationId]
     );
     
     if (existingContact.rows.length > 0) {
@@ -207,11 +208,12 @@ router.post('/', validateContact, async (req, res) => {
     // Validate with Twilio if configured
     let verificationStatus = 'pending';
     let isVerified = false;
+    const orgTwilio = await twilioService.forOrganization(req.user.organizationId);
     
-    if (twilioService.isTwilioConfigured()) {
+    if (orgTwilio.isTwilioConfigured()) {
       try {
         // Test if we can make a call to validate the number
-        const validationResult = await twilioService.testConnection();
+        const validationResult = await orgTwilio.testConnection();
         if (validationResult.success) {
           verificationStatus = 'validated';
           isVerified = true;
@@ -237,8 +239,8 @@ router.post('/', validateContact, async (req, res) => {
     });
     
     const result = await executeQuery(`
-      INSERT INTO contacts (name, phone_number, email, company, notes, tags, is_verified, verification_status)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO contacts (name, phone_number, email, company, notes, tags, is_verified, verification_status, organization_id, created_by, timezone)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
       RETURNING *
     `, [
       name.trim(),
@@ -248,7 +250,10 @@ router.post('/', validateContact, async (req, res) => {
       notes?.trim() || null,
       tags || null,
       isVerified,
-      verificationStatus
+      verificationStatus,
+      req.user.organizationId,
+      req.user.userId,
+      timezone || null
     ]);
     
     logger.info('Contact added successfully', {
@@ -285,7 +290,7 @@ router.post('/', validateContact, async (req, res) => {
 router.put('/:id', validateId, validateContact, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, phone_number, email, company, notes, tags } = req.body;
+    const { name, phone_number, email, company, notes, tags, timezone } = req.body;
     
     // Validate required fields
     if (!name || !phone_number) {
@@ -323,8 +328,8 @@ router.put('/:id', validateId, validateContact, async (req, res) => {
     
     // Check if phone number is already used by another contact
     const existingContact = await executeQuery(
-      'SELECT id FROM contacts WHERE phone_number = $1 AND id != $2',
-      [processedPhoneNumber, id]
+      'SELECT id FROM contacts WHERE phone_number = $1 AND id != $2 AND organization_id = $3',
+      [processedPhoneNumber, id, req.user.organizationId]
     );
     
     if (existingContact.rows.length > 0) {
@@ -337,8 +342,8 @@ router.put('/:id', validateId, validateContact, async (req, res) => {
     // Update contact
     const result = await executeQuery(`
       UPDATE contacts 
-      SET name = $1, phone_number = $2, email = $3, company = $4, notes = $5, tags = $6, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $7
+      SET name = $1, phone_number = $2, email = $3, company = $4, notes = $5, tags = $6, timezone = $7, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $8 AND organization_id = $9
       RETURNING *
     `, [
       name.trim(),
@@ -347,7 +352,9 @@ router.put('/:id', validateId, validateContact, async (req, res) => {
       company?.trim() || null,
       notes?.trim() || null,
       tags || null,
-      id
+      timezone || null,
+      id,
+      req.user.organizationId
     ]);
     
     if (result.rows.length === 0) {
@@ -387,8 +394,8 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     
     const result = await executeQuery(
-      'DELETE FROM contacts WHERE id = $1 RETURNING *',
-      [id]
+      'DELETE FROM contacts WHERE id = $1 AND organization_id = $2 RETURNING *',
+      [id, req.user.organizationId]
     );
     
     if (result.rows.length === 0) {
@@ -424,8 +431,9 @@ router.delete('/:id', async (req, res) => {
 router.post('/:id/verify', async (req, res) => {
   try {
     const { id } = req.params;
+    const orgTwilio = await twilioService.forOrganization(req.user.organizationId);
     
-    if (!twilioService.isTwilioConfigured()) {
+    if (!orgTwilio.isTwilioConfigured()) {
       return res.status(503).json({
         success: false,
         error: 'Twilio is not configured. Cannot verify phone numbers.'
@@ -434,8 +442,8 @@ router.post('/:id/verify', async (req, res) => {
     
     // Get contact
     const contactResult = await executeQuery(
-      'SELECT * FROM contacts WHERE id = $1',
-      [id]
+      'SELECT * FROM contacts WHERE id = $1 AND organization_id = $2',
+      [id, req.user.organizationId]
     );
     
     if (contactResult.rows.length === 0) {
@@ -449,7 +457,7 @@ router.post('/:id/verify', async (req, res) => {
     
     // Test Twilio connection
     try {
-      const validationResult = await twilioService.testConnection();
+      const validationResult = await orgTwilio.testConnection();
       if (validationResult.success) {
         // Update contact verification status
         await executeQuery(`
@@ -512,8 +520,8 @@ router.get('/:id/calls', async (req, res) => {
     
     // Check if contact exists
     const contactResult = await executeQuery(
-      'SELECT phone_number FROM contacts WHERE id = $1',
-      [id]
+      'SELECT phone_number FROM contacts WHERE id = $1 AND organization_id = $2',
+      [id, req.user.organizationId]
     );
     
     if (contactResult.rows.length === 0) {
@@ -529,13 +537,13 @@ router.get('/:id/calls', async (req, res) => {
     const callsResult = await executeQuery(`
       SELECT 
         c.id, c.status, c.duration, c.started_at, c.ended_at,
-        a.name as agent_name, a.id as agent_id
+        a.name as agent_name, a.agent_id as agent_id
       FROM calls c
-      LEFT JOIN agents a ON c.agent_id = a.id
-      WHERE c.phone_number = $1
+      LEFT JOIN agents a ON c.agent_id = a.agent_id
+      WHERE c.phone_number = $1 AND c.organization_id = $2
       ORDER BY c.started_at DESC
-      LIMIT $2
-    `, [phoneNumber, parseInt(limit)]);
+      LIMIT $3
+    `, [phoneNumber, req.user.organizationId, parseInt(limit)]);
     
     res.json({
       success: true,
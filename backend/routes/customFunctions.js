@@ -63,7 +63,11 @@ const validateId = [
  */
 router.post('/', validateCustomFunction, async (req, res) => {
   try {
-    const functionData = req.body;
+    const functionData = {
+      ...req.body,
+      userId: req.user.userId,
+      organizationId: req.user.organizationId
+    };
 
     // Create function
     const result = await customFunctionService.createFunction(functionData);
@@ -95,7 +99,7 @@ router.post('/', validateCustomFunction, async (req, res) => {
  */
 router.get('/', async (req, res) => {
   try {
-    const result = await customFunctionService.getFunctions();
+    const result = await customFunctionService.getFunctions(req.user.organizationId);
 
     if (result.success) {
       res.json(result);
@@ -119,7 +123,7 @@ router.get('/', async (req, res) => {
 router.get('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await customFunctionService.getFunctionById(id);
+    const result = await customFunctionService.getFunctionById(id, req.user.organizationId);
 
     if (result.success) {
       res.json(result);
@@ -145,7 +149,7 @@ router.put('/:id', validateId, validateCustomFunction, async (req, res) => {
     const { id } = req.params;
     const functionData = req.body;
 
-    const result = await customFunctionService.updateFunction(id, functionData);
+    const result = await customFunctionService.updateFunction(id, functionData, req.user.organizationId);
 
     if (result.success) {
       logger.info('Custom function updated via API', { 
@@ -174,7 +178,7 @@ router.put('/:id', validateId, validateCustomFunction, async (req, res) => {
 router.delete('/:id', validateId, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await customFunctionService.deleteFunction(id);
+    const result = await customFunctionService.deleteFunction(id, req.user.organizationId);
 
     if (result.success) {
       logger.info('Custom function deleted via API', { functionId: id });
@@ -201,7 +205,7 @@ router.post('/:id/test', validateId, async (req, res) => {
     const { id } = req.params;
     const { params } = req.body;
 
-    const result = await customFunctionService.testFunction(id, params);
+    const result = await customFunctionService.testFunction(id, params, req.user.organizationId);
 
     if (result.success) {
       res.json(result);
@@ -1,5 +1,9 @@
 const express = require('express');
 const { pool, executeQuery } = require('../database/connection');
+const { requireAgentAccess } = require('../middleware/auth');
+const customFunctionService = require('../services/customFunctionService');
+const externalCalendarService = require('../services/externalCalendarService');
+const twilioService = require('../services/twilioService');
 const router = express.Router();
 const { body, param, validationResult } = require('express-validator');
 
@@ -20,6 +24,35 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Transfer destinations are E.164 numbers or SIP URIs
+const TRANSFER_TARGET_PATTERN = /^(\+[1-9]\d{1,14}|sips?:\S+@\S+)$/;
+
+/**
+ * transfer_call functions need at least one department with a dialable destination
+ */
+const checkTransferDepartments = (departments) => {
+  if (!Array.isArray(departments) || departments.length === 0) {
+    throw new Error('Transfer functions need at least one department');
+  }
+
+  const names = new Set();
+  departments.forEach(department => {
+    if (!department?.name || !String(department.name).trim()) {
+      throw new Error('Every department needs a name');
+    }
+    if (!TRANSFER_TARGET_PATTERN.test(department.destination || '')) {
+      throw new Error(`Department "${department.name}" needs a phone number in E.164 format or a SIP URI`);
+    }
+    const key = String(department.name).trim().toLowerCase();
+    if (names.has(key)) {
+      throw new Error(`Department "${department.name}" is listed twice`);
+    }
+    names.add(key);
+  });
+
+  return true;
+};
+
 // Function validation rules
 const validateFunction = [
   body('function_type')
@@ -39,6 +72,29 @@ const validateFunction = [
     .optional()
     .isObject()
     .withMessage('Config must be a valid object'),
+  body('config')
+    .custom((config, { req }) => req.body.function_type !== 'transfer_call' || checkTransferDepartments(config?.departments)),
+  body('config')
+    .custom(async (config, { req }) => {
+      if (req.body.function_type === 'custom') {
+        await customFunctionService._validateWebhookConfig(config || {});
+      }
+    }),
+  handleValidationErrors
+];
+
+// Config checks for updates, where the function type is not resent
+const validateFunctionConfig = [
+  body('config')
+    .optional()
+    .custom(config => config.departments === undefined || checkTransferDepartments(config.departments)),
+  body('config')
+    .optional()
+    .custom(async config => {
+      if (config.url !== undefined || config.endpoint !== undefined) {
+        await customFunctionService._validateWebhookConfig(config);
+      }
+    }),
   handleValidationErrors
 ];
 
@@ -59,7 +115,7 @@ const validateFunctionId = [
 ];
 
 // Get all functions for an agent
-router.get('/agent/:agentId', validateAgentId, async (req, res) => {
+router.get('/agent/:agentId', validateAgentId, requireAgentAccess(), async (req, res) => {
   try {
     const { agentId } = req.params;
     
@@ -95,16 +151,16 @@ router.get('/agent/:agentId', validateAgentId, async (req, res) => {
 });
 
 // Create a new function for an agent
-router.post('/agent/:agentId', validateAgentId, validateFunction, async (req, res) => {
+router.post('/agent/:agentId', validateAgentId, requireAgentAccess(), validateFunction, async (req, res) => {
   try {
     const { agentId } = req.params;
     const { function_type, name, description, config } = req.body;
     
     const result = await executeQuery(`
-      INSERT INTO agent_functions (agent_id, function_type, name, description, config, is_active)
-      VALUES ($1, $2, $3, $4, $5, true)
+      INSERT INTO agent_functions (agent_id, function_type, name, description, config, is_active, organization_id)
+      VALUES ($1, $2, $3, $4, $5, true, $6)
       RETURNING *
-    `, [agentId, function_type, name, description, JSON.stringify(config || {})]);
+    `, [agentId, function_type, name, description, JSON.stringify(config || {}), req.user.organizationId]);
 
     const newFunction = {
       id: result.rows[0].id,
@@ -133,7 +189,7 @@ router.post('/agent/:agentId', validateAgentId, validateFunction, async (req, re
 });
 
 // Update a function
-router.put('/:functionId', validateFunctionId, async (req, res) => {
+router.put('/:functionId', validateFunctionId, validateFunctionConfig, async (req, res) => {
   try {
     const { functionId } = req.params;
     const { name, description, config, isActive } = req.body;
@@ -167,12 +223,12 @@ router.put('/:functionId', validateFunctionId, async (req, res) => {
     }
 
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(functionId);
+    values.push(functionId, req.user.organizationId);
 
     const result = await executeQuery(`
       UPDATE agent_functions 
       SET ${updates.join(', ')}
-      WHERE id = $${paramCount}
+      WHERE id = $${paramCount} AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $${paramCount + 1})
       RETURNING *
     `, values);
 
@@ -216,9 +272,9 @@ router.delete('/:functionId', validateFunctionId, async (req, res) => {
     
     const result = await executeQuery(`
       DELETE FROM agent_functions 
-      WHERE id = $1
+      WHERE id = $1 AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $2)
       RETURNING *
-    `, [functionId]);
+    `, [functionId, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -249,8 +305,8 @@ router.post('/:functionId/execute', validateFunctionId, async (req, res) => {
     // Get function details
     const functionResult = await executeQuery(`
       SELECT * FROM agent_functions 
-      WHERE id = $1 AND is_active = true
-    `, [functionId]);
+      WHERE id = $1 AND is_active = true AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $2)
+    `, [functionId, req.user.organizationId]);
 
     if (functionResult.rows.length === 0) {
       return res.status(404).json({
@@ -267,17 +323,26 @@ router.post('/:functionId/execute', validateFunctionId, async (req, res) => {
     // Execute based on function type
     switch (func.function_type) {
       case 'check_availability':
-        result = await checkCalendarAvailability(config, params);
+        result = await checkCalendarAvailability(req.user.organizationId, params || {});
         break;
       case 'book_appointment':
-        result = await bookAppointment(config, params);
+        result = await bookAppointment(req.user.organizationId, params || {});
         break;
       case 'send_sms':
-        result = await sendSMS(config, params);
+        result = await sendSMS(req.user.organizationId, params || {});
         break;
       case 'end_call':
         result = { success: true, message: 'Call ended successfully' };
         break;
+      case 'transfer_call':
+        result = { success: false, error: 'Transfers can only be made during a live call' };
+        break;
+      case 'custom':
+        result = await customFunctionService.executeWebhook(config, params || {}, {
+          agentId: func.agent_id,
+          organizationId: req.user.organizationId
+        });
+        break;
       default:
         result = { success: false, error: 'Unknown function type' };
     }
@@ -297,46 +362,29 @@ router.post('/:functionId/execute', validateFunctionId, async (req, res) => {
   }
 });
 
-// Built-in function implementations
-async function checkCalendarAvailability(config, params) {
+// Built-in function implementations, run with the calling organization's own integrations
+async function checkCalendarAvailability(organizationId, params) {
   try {
-    // Check if Cal.com integration is configured
-    const calcomResult = await executeQuery(`
-      SELECT value FROM platform_settings 
-      WHERE key = 'calcom' AND category = 'integrations'
-    `);
-
-    if (calcomResult.rows.length === 0) {
+    const calendar = await externalCalendarService.forOrganization(organizationId);
+    if (!(await calendar.isCalComReady())) {
       return {
         success: false,
         error: 'Calendar integration not configured'
       };
     }
 
-    const calcomConfig = JSON.parse(calcomResult.rows[0].value);
-    if (!calcomConfig.apiKey) {
-      return {
-        success: false,
-        error: 'Calendar API key not configured'
-      };
-    }
-
-    // Call Cal.com API to get available slots
     const { startDate, endDate, eventTypeId } = params;
-    const calcomUrl = `https://api.cal.com/v1/slots?eventTypeId=${eventTypeId}&startTime=${startDate}T00:00:00.000Z&endTime=${endDate}T23:59:59.999Z&apiKey=${calcomConfig.apiKey}`;
-    
-    const response = await fetch(calcomUrl);
-    if (!response.ok) {
+    const slots = await calendar.getAvailableSlots(eventTypeId, `${startDate}T00:00:00.000Z`, `${endDate}T23:59:59.999Z`);
+    if (!slots.success) {
       return {
         success: false,
         error: 'Failed to fetch calendar availability'
       };
     }
 
-    const data = await response.json();
     return {
       success: true,
-      availableSlots: data.slots || []
+      availableSlots: slots.slots
     };
   } catch (error) {
     return {
@@ -346,59 +394,35 @@ async function checkCalendarAvailability(config, params) {
   }
 }
 
-async function bookAppointment(config, params) {
+async function bookAppointment(organizationId, params) {
   try {
-    // Check if Cal.com integration is configured
-    const calcomResult = await executeQuery(`
-      SELECT value FROM platform_settings 
-      WHERE key = 'calcom' AND category = 'integrations'
-    `);
-
-    if (calcomResult.rows.length === 0) {
+    const calendar = await externalCalendarService.forOrganization(organizationId);
+    if (!(await calendar.isCalComReady())) {
       return {
         success: false,
         error: 'Calendar integration not configured'
       };
     }
 
-    const calcomConfig = JSON.parse(calcomResult.rows[0].value);
-    if (!calcomConfig.apiKey) {
-      return {
-        success: false,
-        error: 'Calendar API key not configured'
-      };
-    }
-
-    // Create booking via Cal.com API
-    const { eventTypeId, start, responses } = params;
-    const bookingData = {
-      eventTypeId,
-      start,
-      responses: responses || {},
-      timeZone: 'UTC',
-      language: 'en'
-    };
-
-    const response = await fetch(`https://api.cal.com/v1/bookings?apiKey=${calcomConfig.apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(bookingData)
+    const { eventTypeId, start, end, responses = {} } = params;
+    const booking = await calendar.createBooking(eventTypeId, {
+      customerName: responses.name,
+      customerEmail: responses.email,
+      customerPhone: responses.phone,
+      startTime: start,
+      endTime: end
     });
 
-    if (!response.ok) {
-      const errorData = await response.json();
+    if (!booking.success) {
       return {
         success: false,
-        error: errorData.message || 'Failed to create booking'
+        error: booking.error || 'Failed to create booking'
       };
     }
 
-    const booking = await response.json();
     return {
       success: true,
-      bookingId: booking.id,
+      bookingId: booking.bookingId,
       message: 'Appointment booked successfully'
     };
   } catch (error) {
@@ -409,36 +433,28 @@ async function bookAppointment(config, params) {
   }
 }
 
-async function sendSMS(config, params) {
+async function sendSMS(organizationId, params) {
   try {
-    // Check if Twilio integration is configured
-    const twilioResult = await executeQuery(`
-      SELECT value FROM platform_settings 
-      WHERE key = 'twilio_account_sid' AND category = 'twilio'
-    `);
-
-    if (twilioResult.rows.length === 0) {
+    const twilio = await twilioService.forOrganization(organizationId);
+    if (!twilio.isTwilioConfigured()) {
       return {
         success: false,
         error: 'SMS service not configured'
       };
     }
 
-    // Use TwilioService for SMS
-    const twilioService = require('../services/twilioService');
     const { phoneNumber, message } = params;
+    const result = await twilio.sendSMS(phoneNumber, message);
 
-    const result = await twilioService.sendSMS(phoneNumber, message);
-    
     return {
-      success: result.success,
-      messageId: result.messageId || `sms_${Date.now()}`,
-      message: result.success ? 'SMS sent successfully' : result.error
+      success: true,
+      messageId: result.messageSid,
+      message: 'SMS sent successfully'
     };
   } catch (error) {
     return {
       success: false,
-      error: error.message
+      error: 'Failed to send SMS'
     };
   }
 }
@@ -0,0 +1,274 @@
+/**
+ * Knowledge Base Routes
+ * API endpoints for knowledge bases and the documents agents answer from
+ */
+
+const express = require('express');
+const router = express.Router();
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const logger = require('../utils/logger');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+  next();
+};
+
+// Knowledge base validation rules
+const validateKnowledgeBase = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name is required and must be less than 255 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters'),
+  handleValidationErrors
+];
+
+// ID parameter validation
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Knowledge base ID must be an integer'),
+  handleValidationErrors
+];
+
+// Uploads arrive as base64 in JSON, like the rest of the API
+const validateDocument = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Knowledge base ID must be an integer'),
+  body('filename')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('File name is required'),
+  body('data')
+    .isBase64()
+    .withMessage('File contents must be base64 encoded'),
+  handleValidationErrors
+];
+
+const validateDocumentId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Knowledge base ID must be an integer'),
+  param('documentId')
+    .isInt({ min: 1 })
+    .withMessage('Document ID must be an integer'),
+  handleValidationErrors
+];
+
+const validateSearch = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Knowledge base ID must be an integer'),
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Enter a question to search for'),
+  handleValidationErrors
+];
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Knowledge base not found'
+});
+
+/**
+ * List knowledge bases
+ * GET /api/knowledge-bases
+ */
+router.get('/', async (req, res) => {
+  try {
+    const knowledgeBases = await knowledgeBaseService.listKnowledgeBases(req.user.organizationId);
+    res.json({ success: true, knowledgeBases });
+  } catch (error) {
+    logger.error('Error fetching knowledge bases', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch knowledge bases'
+    });
+  }
+});
+
+/**
+ * Create a knowledge base
+ * POST /api/knowledge-bases
+ */
+router.post('/', validateKnowledgeBase, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.createKnowledgeBase(req.user.organizationId, req.user.userId, req.body);
+    res.status(201).json({ success: true, knowledgeBase });
+  } catch (error) {
+    logger.error('Error creating knowledge base', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create knowledge base'
+    });
+  }
+});
+
+/**
+ * Knowledge base with its documents
+ * GET /api/knowledge-bases/:id
+ */
+router.get('/:id', validateId, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.getKnowledgeBase(req.user.organizationId, req.params.id);
+    if (!knowledgeBase) {
+      return notFound(res);
+    }
+
+    const documents = await knowledgeBaseService.getDocuments(knowledgeBase.id);
+    res.json({ success: true, knowledgeBase, documents });
+  } catch (error) {
+    logger.error('Error fetching knowledge base', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch knowledge base'
+    });
+  }
+});
+
+/**
+ * Rename or describe a knowledge base
+ * PUT /api/knowledge-bases/:id
+ */
+router.put('/:id', validateId, validateKnowledgeBase, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.updateKnowledgeBase(req.user.organizationId, req.params.id, req.body);
+    if (!knowledgeBase) {
+      return notFound(res);
+    }
+
+    res.json({ success: true, knowledgeBase });
+  } catch (error) {
+    logger.error('Error updating knowledge base', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update knowledge base'
+    });
+  }
+});
+
+/**
+ * Delete a knowledge base, its documents and its links to agents
+ * DELETE /api/knowledge-bases/:id
+ */
+router.delete('/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await knowledgeBaseService.deleteKnowledgeBase(req.user.organizationId, req.params.id);
+    if (!deleted) {
+      return notFound(res);
+    }
+
+    res.json({ success: true, message: 'Knowledge base deleted' });
+  } catch (error) {
+    logger.error('Error deleting knowledge base', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete knowledge base'
+    });
+  }
+});
+
+/**
+ * Upload a document (PDF, Markdown, HTML, CSV or text). A document that
+ * cannot be read is still saved, with status 'failed' and the reason.
+ * POST /api/knowledge-bases/:id/documents
+ */
+router.post('/:id/documents', validateDocument, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.getKnowledgeBase(req.user.organizationId, req.params.id);
+    if (!knowledgeBase) {
+      return notFound(res);
+    }
+
+    const result = await knowledgeBaseService.addDocument(knowledgeBase, req.user.userId, {
+      filename: req.body.filename,
+      buffer: Buffer.from(req.body.data, 'base64')
+    });
+
+    if (!result.success) {
+      return res.status(400).json(result);
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error('Error uploading knowledge document', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload document'
+    });
+  }
+});
+
+/**
+ * Remove a document
+ * DELETE /api/knowledge-bases/:id/documents/:documentId
+ */
+router.delete('/:id/documents/:documentId', validateDocumentId, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.getKnowledgeBase(req.user.organizationId, req.params.id);
+    if (!knowledgeBase) {
+      return notFound(res);
+    }
+
+    const deleted = await knowledgeBaseService.deleteDocument(knowledgeBase.id, req.params.documentId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Document not found'
+      });
+    }
+
+    res.json({ success: true, message: 'Document deleted' });
+  } catch (error) {
+    logger.error('Error deleting knowledge document', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete document'
+    });
+  }
+});
+
+/**
+ * Passages an agent would be given for a question
+ * GET /api/knowledge-bases/:id/search?q=
+ */
+router.get('/:id/search', validateSearch, async (req, res) => {
+  try {
+    const knowledgeBase = await knowledgeBaseService.getKnowledgeBase(req.user.organizationId, req.params.id);
+    if (!knowledgeBase) {
+      return notFound(res);
+    }
+
+    const passages = await knowledgeBaseService.searchKnowledgeBase(knowledgeBase, req.query.q);
+    res.json({ success: true, passages });
+  } catch (error) {
+    logger.error('Error searching knowledge base', { error: error.message, knowledgeBaseId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search knowledge base'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,254 @@
+/**
+ * Outgoing Webhook Routes
+ * API endpoints for the account's event webhook endpoints and their delivery log
+ */
+
+const express = require('express');
+const router = express.Router();
+const outgoingWebhookService = require('../services/outgoingWebhookService');
+const logger = require('../utils/logger');
+const { assertPublicUrl } = require('../utils/outboundUrl');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+  next();
+};
+
+// Endpoint validation rules
+const validateEndpoint = [
+  body('url')
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must start with http:// or https://')
+    .bail()
+    .custom(url => assertPublicUrl(url)),
+  body('description')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be less than 500 characters'),
+  body('events')
+    .optional()
+    .isArray()
+    .withMessage('Events must be an array'),
+  body('events.*')
+    .isIn(outgoingWebhookService.eventTypes)
+    .withMessage(`Events must be among: ${outgoingWebhookService.eventTypes.join(', ')}`),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Enabled must be true or false'),
+  handleValidationErrors
+];
+
+// ID parameter validation
+const validateId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('ID must be an integer'),
+  handleValidationErrors
+];
+
+const validateDeliveryFilters = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'succeeded', 'failed'])
+    .withMessage('Status must be pending, succeeded or failed'),
+  query('event')
+    .optional()
+    .isIn(outgoingWebhookService.eventTypes)
+    .withMessage('Unknown event'),
+  query('endpointId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Endpoint ID must be an integer'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+/**
+ * Account endpoints, agents' own webhook URLs, and the events there are
+ * GET /api/outgoing-webhooks/endpoints
+ */
+router.get('/endpoints', async (req, res) => {
+  try {
+    const [endpoints, agentEndpoints] = await Promise.all([
+      outgoingWebhookService.listEndpoints(req.user.organizationId),
+      outgoingWebhookService.listAgentEndpoints(req.user.organizationId)
+    ]);
+
+    res.json({ success: true, endpoints, agentEndpoints, eventTypes: outgoingWebhookService.eventTypes });
+  } catch (error) {
+    logger.error('Error fetching webhook endpoints', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook endpoints'
+    });
+  }
+});
+
+/**
+ * Add an endpoint. Its signing secret is generated and returned with it.
+ * POST /api/outgoing-webhooks/endpoints
+ */
+router.post('/endpoints', validateEndpoint, async (req, res) => {
+  try {
+    const endpoint = await outgoingWebhookService.createEndpoint(req.user.organizationId, req.user.userId, req.body);
+    res.status(201).json({ success: true, endpoint });
+  } catch (error) {
+    logger.error('Error creating webhook endpoint', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook endpoint'
+    });
+  }
+});
+
+/**
+ * Change an endpoint's URL, events or whether it is enabled
+ * PUT /api/outgoing-webhooks/endpoints/:id
+ */
+router.put('/endpoints/:id', validateId, validateEndpoint, async (req, res) => {
+  try {
+    const endpoint = await outgoingWebhookService.updateEndpoint(req.user.organizationId, req.params.id, req.body);
+    if (!endpoint) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({ success: true, endpoint });
+  } catch (error) {
+    logger.error('Error updating webhook endpoint', { error: error.message, endpointId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook endpoint'
+    });
+  }
+});
+
+/**
+ * Delete an endpoint; its deliveries stay in the log
+ * DELETE /api/outgoing-webhooks/endpoints/:id
+ */
+router.delete('/endpoints/:id', validateId, async (req, res) => {
+  try {
+    const deleted = await outgoingWebhookService.deleteEndpoint(req.user.organizationId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook endpoint not found'
+      });
+    }
+
+    res.json({ success: true, message: 'Webhook endpoint deleted' });
+  } catch (error) {
+    logger.error('Error deleting webhook endpoint', { error: error.message, endpointId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete webhook endpoint'
+    });
+  }
+});
+
+/**
+ * Delivery log, newest first (filter with status, event, endpointId)
+ * GET /api/outgoing-webhooks/deliveries
+ */
+router.get('/deliveries', validateDeliveryFilters, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 25;
+
+    const { deliveries, total } = await outgoingWebhookService.listDeliveries(req.user.organizationId, {
+      status: req.query.status,
+      event: req.query.event,
+      endpointId: req.query.endpointId,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook deliveries', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries'
+    });
+  }
+});
+
+/**
+ * A delivery with its payload and every attempt
+ * GET /api/outgoing-webhooks/deliveries/:id
+ */
+router.get('/deliveries/:id', validateId, async (req, res) => {
+  try {
+    const delivery = await outgoingWebhookService.getDelivery(req.user.organizationId, req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery not found'
+      });
+    }
+
+    res.json({ success: true, delivery });
+  } catch (error) {
+    logger.error('Error fetching webhook delivery', { error: error.message, deliveryId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook delivery'
+    });
+  }
+});
+
+/**
+ * Send a failed delivery again, once
+ * POST /api/outgoing-webhooks/deliveries/:id/replay
+ */
+router.post('/deliveries/:id/replay', validateId, async (req, res) => {
+  try {
+    const result = await outgoingWebhookService.replay(req.user.organizationId, req.params.id);
+    res.status(result.success ? 200 : (result.notFound ? 404 : 409)).json(result);
+  } catch (error) {
+    logger.error('Error replaying webhook delivery', { error: error.message, deliveryId: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to replay webhook delivery'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,166 @@
+/**
+ * Phone Number Routes
+ * Route inbound calls on an organization's Twilio numbers to an agent
+ */
+
+const express = require('express');
+const router = express.Router();
+const databaseService = require('../services/postgresDatabaseService');
+const twilioService = require('../services/twilioService');
+const { executeQuery } = require('../database/connection');
+const logger = require('../utils/logger');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+  next();
+};
+
+// Phone number validation rules
+const validatePhoneNumber = [
+  body('phoneNumber')
+    .trim()
+    .matches(/^\+[1-9]\d{1,14}$/)
+    .withMessage('Phone number must be in E.164 format, e.g. +14155550100'),
+  body('agentId')
+    .trim()
+    .isLength({ min: 1 })
+    .withMessage('Agent ID is required'),
+  body('friendlyName')
+    .optional()
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Name must be less than 255 characters'),
+  handleValidationErrors
+];
+
+/**
+ * List phone numbers, optionally for one agent
+ * GET /api/phone-numbers?agentId=...
+ */
+router.get('/', [
+  query('agentId').optional().trim(),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const phoneNumbers = await databaseService.getPhoneNumbers(req.user.organizationId, req.query.agentId || null);
+    res.json({ success: true, phoneNumbers });
+  } catch (error) {
+    logger.error('Error fetching phone numbers', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch phone numbers'
+    });
+  }
+});
+
+/**
+ * Route a number to an agent and point its Twilio Voice URL at the inbound webhook
+ * POST /api/phone-numbers
+ */
+router.post('/', validatePhoneNumber, async (req, res) => {
+  try {
+    const { phoneNumber, agentId, friendlyName } = req.body;
+    const organizationId = req.user.organizationId;
+
+    const agentResult = await executeQuery(
+      'SELECT agent_id FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agentId, organizationId]
+    );
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agent not found'
+      });
+    }
+
+    const existing = await databaseService.getPhoneNumberByNumber(phoneNumber);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: 'This number is already routed to an agent'
+      });
+    }
+
+    // Only numbers on the organization's own Twilio account can be routed; inbound
+    // calls are matched on the number alone, so anyone else's would be taken over
+    const orgTwilio = await twilioService.forOrganization(organizationId, { fallback: false });
+    if (!orgTwilio) {
+      return res.status(400).json({
+        success: false,
+        error: 'Connect your Twilio account in Settings before adding phone numbers'
+      });
+    }
+    if (!await orgTwilio.findIncomingNumber(phoneNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This number is not on your Twilio account'
+      });
+    }
+
+    const created = await databaseService.createPhoneNumber({ organizationId, phoneNumber, agentId, friendlyName });
+
+    // The route is saved either way; without the Voice URL Twilio just won't send calls here yet
+    let warning = null;
+    try {
+      await orgTwilio.configureInboundNumber(phoneNumber);
+    } catch (twilioError) {
+      logger.warn('Could not configure inbound number', { error: twilioError.message, phoneNumberId: created.id });
+      warning = `Saved, but the number's Voice URL could not be set: ${twilioError.message}`;
+    }
+
+    res.status(201).json({
+      success: true,
+      phoneNumber: created,
+      warning,
+      message: 'Phone number routed to agent'
+    });
+  } catch (error) {
+    logger.error('Error creating phone number', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add phone number'
+    });
+  }
+});
+
+/**
+ * Stop routing a number to its agent
+ * DELETE /api/phone-numbers/:id
+ */
+router.delete('/:id', [
+  param('id').isInt({ min: 1 }).withMessage('Phone number ID must be an integer'),
+  handleValidationErrors
+], async (req, res) => {
+  try {
+    const deleted = await databaseService.deletePhoneNumber(req.params.id, req.user.organizationId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Phone number not found'
+      });
+    }
+
+    res.json({ success: true, message: 'Phone number removed' });
+  } catch (error) {
+    logger.error('Error deleting phone number', { error: error.message, id: req.params.id });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove phone number'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,91 @@
+/**
+ * Recording Playback Routes
+ * Serves stored call recordings to the browser with HTTP range support, so
+ * players can seek without downloading the whole file. Requests are
+ * authorized by the signed token in the URL that GET /api/calls/:callId/conversation
+ * hands out, since <audio> elements cannot send the Authorization header.
+ */
+
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const recordingService = require('../services/recordingService');
+const logger = require('../utils/logger');
+
+/**
+ * Parse a Range header against the file size
+ * @returns {{start: number, end: number}|null|false} The range (end inclusive),
+ *   null to send the whole file, false if it cannot be satisfied
+ */
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  // Multiple ranges are allowed to be answered with the whole file
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+};
+
+/**
+ * Stream a recording's audio
+ * GET /api/recordings/:recordingId/audio?token=...
+ */
+router.get('/:recordingId/audio', async (req, res) => {
+  const payload = recordingService.verifyPlaybackToken(req.query.token);
+  if (!payload || String(payload.recordingId) !== req.params.recordingId) {
+    return res.status(401).json({ success: false, error: 'Invalid or expired playback link' });
+  }
+
+  try {
+    const recording = await recordingService.getById(payload.recordingId, payload.organizationId);
+    const size = recording?.status === 'stored' ? await recordingService.getSize(recording) : null;
+    if (size === null) {
+      return res.status(404).json({ success: false, error: 'Recording not found' });
+    }
+
+    const range = parseRange(req.headers.range, size);
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+
+    res.setHeader('Content-Type', recording.content_type);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+      res.setHeader('Content-Length', range.end - range.start + 1);
+    } else {
+      res.setHeader('Content-Length', size);
+    }
+
+    await pipeline(recordingService.open(recording, range || undefined), res);
+
+  } catch (error) {
+    // Players abort requests whenever they seek
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      return;
+    }
+    logger.error('Error streaming recording', { error: error.message, recordingId: req.params.recordingId });
+
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: 'Failed to stream recording' });
+    }
+  }
+});
+
+module.exports = router;
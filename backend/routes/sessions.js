@@ -13,11 +13,11 @@ router.get('/', async (req, res) => {
         a.name as agent_name
       FROM sessions s
       LEFT JOIN agents a ON s.agent_id = a.agent_id
-      WHERE 1=1
+      WHERE a.organization_id = $1
     `;
     
-    const queryParams = [];
-    let paramCount = 0;
+    const queryParams = [req.user.organizationId];
+    let paramCount = 1;
 
     if (status && status !== 'all') {
       paramCount++;
@@ -71,11 +71,11 @@ router.get('/', async (req, res) => {
     let countQuery = `
       SELECT COUNT(*) as total
       FROM sessions s
-      WHERE 1=1
+      WHERE s.agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $1)
     `;
     
-    const countParams = [];
-    let countParamCount = 0;
+    const countParams = [req.user.organizationId];
+    let countParamCount = 1;
 
     if (status && status !== 'all') {
       countParamCount++;
@@ -139,11 +139,11 @@ router.get('/stats', async (req, res) => {
         AVG(CASE WHEN status = 'completed' THEN duration ELSE NULL END) as avg_duration,
         AVG(satisfaction) as avg_satisfaction
       FROM sessions
-      WHERE 1=1
+      WHERE agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $1)
     `;
     
-    const queryParams = [];
-    let paramCount = 0;
+    const queryParams = [req.user.organizationId];
+    let paramCount = 1;
 
     if (date_from) {
       paramCount++;
@@ -185,8 +185,8 @@ router.get('/:id', async (req, res) => {
         a.name as agent_name
       FROM sessions s
       LEFT JOIN agents a ON s.agent_id = a.agent_id
-      WHERE s.session_id = $1
-    `, [id]);
+      WHERE s.session_id = $1 AND a.organization_id = $2
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Session not found' });
@@ -217,6 +217,15 @@ router.get('/:id', async (req, res) => {
 router.post('/', async (req, res) => {
   try {
     const { agent_id, customer_id, type, transcript } = req.body;
+
+    const agentResult = await executeQuery(
+      'SELECT 1 FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agent_id, req.user.organizationId]
+    );
+
+    if (agentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Agent not found' });
+    }
     
     // Generate unique session ID
     const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
@@ -291,6 +300,10 @@ router.put('/:id', async (req, res) => {
     query += updates.join(', ') + ` WHERE session_id = $${paramCount}`;
     queryParams.push(id);
 
+    paramCount++;
+    query += ` AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $${paramCount})`;
+    queryParams.push(req.user.organizationId);
+
     const result = await executeQuery(query, queryParams);
 
     if (result.rowCount === 0) {
@@ -310,8 +323,10 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
 
     const result = await executeQuery(`
-      DELETE FROM sessions WHERE session_id = $1 RETURNING *
-    `, [id]);
+      DELETE FROM sessions
+      WHERE session_id = $1 AND agent_id IN (SELECT agent_id FROM agents WHERE organization_id = $2)
+      RETURNING *
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Session not found' });
@@ -4,50 +4,113 @@ const logger = require('../utils/logger');
 const { executeQuery } = require('../database/connection');
 const twilioService = require('../services/twilioService');
 const calComIntegrationService = require('../services/externalCalendarService');
+const usageService = require('../services/usageService');
+const { body, validationResult } = require('express-validator');
+
+// Validation error handler middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array().map(err => ({
+        field: err.path,
+        message: err.msg,
+        value: err.value
+      }))
+    });
+  }
+  next();
+};
+
+// Budget validation rules; a null limit removes the budget
+const validateBudget = [
+  body('monthlyLimit')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .toFloat()
+    .withMessage('Monthly limit must be an amount of zero or more'),
+  body('alertPercent')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .toInt()
+    .withMessage('Alert percent must be between 1 and 100'),
+  body('blockCalls')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('Block calls must be true or false'),
+  handleValidationErrors
+];
+
+/**
+ * Default settings for an organization that has not saved any yet
+ */
+const getDefaultSettings = () => ({
+  general: {
+    platformName: 'AI Calling Platform',
+    timezone: 'UTC',
+    language: 'en',
+    notifications: true
+  },
+  twilio: {
+    enabled: false,
+    accountSid: '',
+    authToken: '',
+    phoneNumber: ''
+  },
+  integrations: {
+    calcom: {
+      enabled: false,
+      apiKey: '',
+      webhookUrl: ''
+    }
+  }
+});
+
+/**
+ * Load an organization's settings, falling back to defaults
+ */
+const loadSettings = async (organizationId) => {
+  const result = await executeQuery(`
+    SELECT settings FROM organization_settings WHERE organization_id = $1
+  `, [organizationId]);
+
+  return result.rows.length > 0 ? result.rows[0].settings : getDefaultSettings();
+};
+
+/**
+ * Save an organization's settings and drop cached service clients
+ */
+const saveSettings = async (organizationId, settings) => {
+  await executeQuery(`
+    INSERT INTO organization_settings (organization_id, settings)
+    VALUES ($1, $2)
+    ON CONFLICT (organization_id) DO UPDATE SET
+      settings = EXCLUDED.settings,
+      updated_at = CURRENT_TIMESTAMP
+  `, [organizationId, JSON.stringify(settings)]);
+
+  twilioService.resetOrganization(organizationId);
+  calComIntegrationService.resetOrganization(organizationId);
+};
+
+/**
+ * Whether Twilio credentials being saved are new and have to be checked with
+ * Twilio first; unchecked ones would let an organization claim another's account
+ */
+const hasNewTwilioCredentials = (twilio, current) => Boolean(twilio?.accountSid)
+  && (twilio.accountSid !== current?.accountSid || twilio.authToken !== current?.authToken);
+
+const TWILIO_REJECTED_ERROR = 'Twilio did not accept this Account SID and Auth Token';
 
 /**
  * Get platform settings
  */
 router.get('/', async (req, res) => {
   try {
-    // Get settings from database
-    const result = await executeQuery(`
-      SELECT * FROM platform_settings WHERE id = 1
-    `);
-
-    let settings;
-    if (result.rows.length === 0) {
-      // Create default settings if none exist
-      settings = {
-        general: {
-          platformName: 'AI Calling Platform',
-          timezone: 'UTC',
-          language: 'en',
-          notifications: true
-        },
-        twilio: {
-          enabled: false,
-          accountSid: '',
-          authToken: '',
-          phoneNumber: ''
-        },
-        integrations: {
-          calcom: {
-            enabled: false,
-            apiKey: '',
-            webhookUrl: ''
-          }
-        }
-      };
-      
-      // Save default settings
-      await executeQuery(`
-        INSERT INTO platform_settings (id, settings)
-        VALUES (1, $1)
-      `, [JSON.stringify(settings)]);
-    } else {
-      settings = result.rows[0].settings;
-    }
+    const settings = await loadSettings(req.user.organizationId);
 
     // Hide sensitive data
     if (settings.twilio) {
@@ -70,30 +133,29 @@ router.get('/', async (req, res) => {
 router.put('/', async (req, res) => {
   try {
     const settings = req.body;
+    const current = await loadSettings(req.user.organizationId);
+
+    // Keep the stored auth token when the client echoes back the masked value
+    if (settings.twilio?.authToken === '***hidden***') {
+      settings.twilio.authToken = current.twilio?.authToken || '';
+    }
+
+    if (hasNewTwilioCredentials(settings.twilio, current.twilio)
+      && !(await twilioService.verifyCredentials(settings.twilio.accountSid, settings.twilio.authToken))) {
+      return res.status(400).json({
+        success: false,
+        error: TWILIO_REJECTED_ERROR
+      });
+    }
     
     // Save to database
-    await executeQuery(`
-      INSERT INTO platform_settings (id, settings)
-      VALUES (1, $1)
-      ON CONFLICT (id) DO UPDATE SET
-        settings = EXCLUDED.settings,
-        updated_at = CURRENT_TIMESTAMP
-    `, [JSON.stringify(settings)]);
-    
-    // Update Cal.com service credentials if Cal.com settings were updated
-    if (settings.integrations?.calcom) {
-      const calcomConfig = settings.integrations.calcom;
-      await calComIntegrationService.updateCredentials(
-        calcomConfig.apiKey || '',
-        calcomConfig.webhookUrl || '',
-        calcomConfig.enabled || false
-      );
-    }
+    await saveSettings(req.user.organizationId, settings);
     
     logger.info('Settings updated', { 
+      organizationId: req.user.organizationId,
       general: settings.general,
       twilio: settings.twilio ? { enabled: settings.twilio.enabled } : null,
-      integrations: settings.integrations 
+      integrations: settings.integrations ? Object.keys(settings.integrations) : null
     });
     
     res.json({
@@ -125,65 +187,31 @@ router.post('/twilio', async (req, res) => {
     }
 
     // Get current settings
-    const result = await executeQuery(`
-      SELECT * FROM platform_settings WHERE id = 1
-    `);
-
-    let settings;
-    if (result.rows.length === 0) {
-      settings = {
-        general: {
-          platformName: 'AI Calling Platform',
-          timezone: 'UTC',
-          language: 'en',
-          notifications: true
-        },
-        twilio: {
-          enabled: true,
-          accountSid,
-          authToken,
-          phoneNumber
-        },
-        integrations: {
-          calcom: {
-            enabled: false,
-            apiKey: '',
-            webhookUrl: ''
-          }
-        }
-      };
-    } else {
-      settings = result.rows[0].settings;
-      settings.twilio = {
-        enabled: true,
-        accountSid,
-        authToken,
-        phoneNumber
-      };
+    const settings = await loadSettings(req.user.organizationId);
+    if (hasNewTwilioCredentials({ accountSid, authToken }, settings.twilio)
+      && !(await twilioService.verifyCredentials(accountSid, authToken))) {
+      return res.status(400).json({
+        success: false,
+        error: TWILIO_REJECTED_ERROR
+      });
     }
 
-    // Save to database
-    await executeQuery(`
-      INSERT INTO platform_settings (id, settings)
-      VALUES (1, $1)
-      ON CONFLICT (id) DO UPDATE SET
-        settings = EXCLUDED.settings,
-        updated_at = CURRENT_TIMESTAMP
-    `, [JSON.stringify(settings)]);
+    settings.twilio = {
+      enabled: true,
+      accountSid,
+      authToken,
+      phoneNumber
+    };
+
+    // Save to database (also resets the organization's cached Twilio client)
+    await saveSettings(req.user.organizationId, settings);
 
     logger.info('Twilio configuration updated', { 
+      organizationId: req.user.organizationId,
       accountSid: accountSid.substring(0, 8) + '...',
       phoneNumber 
     });
 
-    // Reinitialize TwilioService with new credentials
-    try {
-      await twilioService.initialize();
-      logger.info('TwilioService reinitialized with new credentials');
-    } catch (error) {
-      logger.error('Failed to reinitialize TwilioService:', error);
-    }
-
     res.json({
       success: true,
       message: 'Twilio configuration saved successfully',
@@ -208,18 +236,16 @@ router.post('/twilio', async (req, res) => {
 router.post('/twilio/test', async (req, res) => {
   try {
     // Get Twilio settings
-    const result = await executeQuery(`
-      SELECT settings FROM platform_settings WHERE id = 1
-    `);
+    const settings = await loadSettings(req.user.organizationId);
 
-    if (result.rows.length === 0 || !result.rows[0].settings.twilio?.enabled) {
+    if (!settings.twilio?.enabled) {
       return res.status(400).json({
         success: false,
         error: 'Twilio is not configured'
       });
     }
 
-    const twilioConfig = result.rows[0].settings.twilio;
+    const twilioConfig = settings.twilio;
     
     // Test Twilio connection
     const twilio = require('twilio')(twilioConfig.accountSid, twilioConfig.authToken);
@@ -261,15 +287,50 @@ router.post('/twilio/test', async (req, res) => {
   }
 });
 
+/**
+ * Get the monthly budget and this month's spend
+ * GET /api/settings/budget
+ */
+router.get('/budget', async (req, res) => {
+  try {
+    const status = await usageService.getBudgetStatus(req.user.organizationId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Failed to get budget', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get budget'
+    });
+  }
+});
+
+/**
+ * Set or remove the monthly budget
+ * PUT /api/settings/budget
+ * Body: { monthlyLimit: number | null, alertPercent, blockCalls }
+ */
+router.put('/budget', validateBudget, async (req, res) => {
+  try {
+    const { monthlyLimit = null, alertPercent, blockCalls } = req.body;
+    await usageService.setBudget(req.user.organizationId, { monthlyLimit, alertPercent, blockCalls });
+
+    const status = await usageService.getBudgetStatus(req.user.organizationId);
+    res.json({ success: true, ...status });
+  } catch (error) {
+    logger.error('Failed to update budget', { error: error.message });
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update budget'
+    });
+  }
+});
+
 /**
  * Get integrations
  */
 router.get('/integrations', async (req, res) => {
   try {
-    const result = await executeQuery(`
-      SELECT key, value FROM platform_settings 
-      WHERE category = 'integrations'
-    `);
+    const settings = await loadSettings(req.user.organizationId);
 
     const integrations = {
       calcom: {
@@ -295,15 +356,10 @@ router.get('/integrations', async (req, res) => {
       }
     };
 
-    // Update integrations with database values
-    result.rows.forEach(row => {
-      try {
-        const config = JSON.parse(row.value);
-        if (integrations[row.key]) {
-          Object.assign(integrations[row.key], config);
-        }
-      } catch (parseError) {
-        logger.warn('Failed to parse integration config', { key: row.key, error: parseError.message });
+    // Update integrations with saved values
+    Object.entries(settings.integrations || {}).forEach(([key, config]) => {
+      if (integrations[key]) {
+        Object.assign(integrations[key], config);
       }
     });
 
@@ -329,25 +385,11 @@ router.put('/integrations/:name', async (req, res) => {
     const config = req.body;
     
     // Save integration config to database
-    await executeQuery(`
-      INSERT INTO platform_settings (key, value, category, updated_at)
-      VALUES ($1, $2, 'integrations', CURRENT_TIMESTAMP)
-      ON CONFLICT (key, category) 
-      DO UPDATE SET 
-        value = EXCLUDED.value,
-        updated_at = CURRENT_TIMESTAMP
-    `, [name, JSON.stringify(config)]);
-    
-    // Update Cal.com service credentials if Cal.com integration was updated
-    if (name === 'calcom') {
-      await calComIntegrationService.updateCredentials(
-        config.apiKey || '',
-        config.webhookUrl || '',
-        config.enabled || false
-      );
-    }
+    const settings = await loadSettings(req.user.organizationId);
+    settings.integrations = { ...settings.integrations, [name]: config };
+    await saveSettings(req.user.organizationId, settings);
     
-    logger.info('Integration updated', { name, config });
+    logger.info('Integration updated', { name, organizationId: req.user.organizationId, enabled: !!config.enabled });
     
     res.json({
       success: true,
@@ -379,19 +421,15 @@ router.post('/integrations/:name/test', async (req, res) => {
     logger.info('Integration test requested', { name });
     
     // Get integration config from database
-    const result = await executeQuery(`
-      SELECT value FROM platform_settings 
-      WHERE key = $1 AND category = 'integrations'
-    `, [name]);
+    const settings = await loadSettings(req.user.organizationId);
+    const config = settings.integrations?.[name];
 
-    if (result.rows.length === 0) {
+    if (!config) {
       return res.status(404).json({
         success: false,
         error: 'Integration not found'
       });
     }
-
-    const config = JSON.parse(result.rows[0].value);
     
     // Test integration based on type
     let testResult;
@@ -414,11 +452,8 @@ router.post('/integrations/:name/test', async (req, res) => {
     }
 
     // Update last test time in database
-    await executeQuery(`
-      UPDATE platform_settings 
-      SET value = $1, updated_at = CURRENT_TIMESTAMP
-      WHERE key = $2 AND category = 'integrations'
-    `, [JSON.stringify({ ...config, lastTested: new Date().toISOString() }), name]);
+    settings.integrations[name] = { ...config, lastTested: new Date().toISOString() };
+    await saveSettings(req.user.organizationId, settings);
 
     res.json({
       success: testResult.connected,
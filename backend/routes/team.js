@@ -5,6 +5,13 @@ const logger = require('../utils/logger');
 const { body, param, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { ROLE_PERMISSIONS, getEffectivePermissions } = require('../middleware/permissions');
+
+// Every permission string that can be granted explicitly
+const KNOWN_PERMISSIONS = Array.from(new Set([
+  ...Object.values(ROLE_PERMISSIONS).flat(),
+  'view_team'
+]));
 
 // Validation error handler middleware
 const handleValidationErrors = (req, res, next) => {
@@ -55,11 +62,11 @@ router.get('/', async (req, res) => {
     const result = await executeQuery(`
       SELECT 
         id, name, email, role, status, created_at as joinedAt, 
-        last_login as lastActive, avatar, preferences as permissions
+        last_login as lastActive, avatar, permissions
       FROM users 
-      WHERE deleted_at IS NULL
+      WHERE deleted_at IS NULL AND organization_id = $1
       ORDER BY created_at DESC
-    `);
+    `, [req.user.organizationId]);
 
     const teamMembers = result.rows.map(member => ({
       id: member.id,
@@ -70,7 +77,7 @@ router.get('/', async (req, res) => {
       joinedAt: member.joinedat,
       lastActive: member.lastactive,
       avatar: member.avatar,
-      permissions: member.permissions || getDefaultPermissions(member.role)
+      permissions: getEffectivePermissions(member.role, member.permissions)
     }));
 
     res.json({
@@ -96,10 +103,10 @@ router.get('/:id', validateTeamMemberId, async (req, res) => {
     const result = await executeQuery(`
       SELECT 
         id, name, email, role, status, created_at as joinedAt, 
-        last_login as lastActive, avatar, preferences as permissions
+        last_login as lastActive, avatar, permissions
       FROM users 
-      WHERE id = $1 AND deleted_at IS NULL
-    `, [id]);
+      WHERE id = $1 AND deleted_at IS NULL AND organization_id = $2
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -118,7 +125,7 @@ router.get('/:id', validateTeamMemberId, async (req, res) => {
       joinedAt: member.joinedat,
       lastActive: member.lastactive,
       avatar: member.avatar,
-      permissions: member.permissions || getDefaultPermissions(member.role)
+      permissions: getEffectivePermissions(member.role, member.permissions)
     };
 
     res.json({
@@ -159,10 +166,10 @@ router.post('/', validateTeamMember, async (req, res) => {
 
     // Create user
     const result = await executeQuery(`
-      INSERT INTO users (name, email, password_hash, role, status, preferences, created_at)
+      INSERT INTO users (name, email, password_hash, role, status, organization_id, created_at)
       VALUES ($1, $2, $3, $4, 'pending', $5, CURRENT_TIMESTAMP)
       RETURNING id, name, email, role, status, created_at
-    `, [name, email, hashedPassword, role, JSON.stringify(getDefaultPermissions(role))]);
+    `, [name, email, hashedPassword, role, req.user.organizationId]);
 
     const newMember = result.rows[0];
 
@@ -184,7 +191,7 @@ router.post('/', validateTeamMember, async (req, res) => {
         joinedAt: newMember.created_at,
         lastActive: null,
         avatar: null,
-        permissions: getDefaultPermissions(newMember.role)
+        permissions: getEffectivePermissions(newMember.role, null)
       },
       message: 'Team member invited successfully',
       tempPassword: tempPassword // Remove this in production
@@ -216,14 +223,25 @@ router.put('/:id', validateTeamMemberId, [
     .isIn(['active', 'pending', 'suspended'])
     .withMessage('Status must be one of: active, pending, suspended'),
   body('permissions')
-    .optional()
+    .optional({ nullable: true })
     .isArray()
     .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(KNOWN_PERMISSIONS)
+    .withMessage(`Permissions must be any of: ${KNOWN_PERMISSIONS.join(', ')}`),
   handleValidationErrors
 ], async (req, res) => {
   try {
     const { id } = req.params;
     const { name, role, status, permissions } = req.body;
+
+    // Guard against an admin locking themselves out of team management
+    if (String(id) === String(req.user.userId) && (role !== undefined || status !== undefined || permissions !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role, status or permissions'
+      });
+    }
     
     // Build update query dynamically
     const updates = [];
@@ -237,17 +255,17 @@ router.put('/:id', validateTeamMemberId, [
     if (role !== undefined) {
       updates.push(`role = $${paramCount++}`);
       values.push(role);
-      // Update permissions when role changes
-      updates.push(`preferences = $${paramCount++}`);
-      values.push(JSON.stringify(permissions || getDefaultPermissions(role)));
+      // Role changes reset explicit permissions unless new ones are given
+      updates.push(`permissions = $${paramCount++}`);
+      values.push(permissions ? JSON.stringify(permissions) : null);
     }
     if (status !== undefined) {
       updates.push(`status = $${paramCount++}`);
       values.push(status);
     }
     if (permissions !== undefined && role === undefined) {
-      updates.push(`preferences = $${paramCount++}`);
-      values.push(JSON.stringify(permissions));
+      updates.push(`permissions = $${paramCount++}`);
+      values.push(permissions ? JSON.stringify(permissions) : null);
     }
 
     if (updates.length === 0) {
@@ -258,13 +276,13 @@ router.put('/:id', validateTeamMemberId, [
     }
 
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(id);
+    values.push(id, req.user.organizationId);
 
     const result = await executeQuery(`
       UPDATE users 
       SET ${updates.join(', ')}
-      WHERE id = $${paramCount} AND deleted_at IS NULL
-      RETURNING id, name, email, role, status, preferences, created_at, updated_at
+      WHERE id = $${paramCount} AND organization_id = $${paramCount + 1} AND deleted_at IS NULL
+      RETURNING id, name, email, role, status, permissions, created_at, updated_at
     `, values);
 
     if (result.rows.length === 0) {
@@ -287,7 +305,7 @@ router.put('/:id', validateTeamMemberId, [
         joinedAt: updatedMember.created_at,
         lastActive: null,
         avatar: null,
-        permissions: updatedMember.preferences
+        permissions: getEffectivePermissions(updatedMember.role, updatedMember.permissions)
       },
       message: 'Team member updated successfully'
     });
@@ -306,14 +324,21 @@ router.put('/:id', validateTeamMemberId, [
 router.delete('/:id', validateTeamMemberId, async (req, res) => {
   try {
     const { id } = req.params;
+
+    if (String(id) === String(req.user.userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot remove yourself from the team'
+      });
+    }
     
     // Soft delete user
     const result = await executeQuery(`
       UPDATE users 
       SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1 AND deleted_at IS NULL
+      WHERE id = $1 AND organization_id = $2 AND deleted_at IS NULL
       RETURNING id, name, email
-    `, [id]);
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -349,8 +374,8 @@ router.post('/:id/resend-invitation', validateTeamMemberId, async (req, res) =>
     
     const result = await executeQuery(`
       SELECT email, name FROM users 
-      WHERE id = $1 AND status = 'pending' AND deleted_at IS NULL
-    `, [id]);
+      WHERE id = $1 AND organization_id = $2 AND status = 'pending' AND deleted_at IS NULL
+    `, [id, req.user.organizationId]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -381,16 +406,6 @@ router.post('/:id/resend-invitation', validateTeamMemberId, async (req, res) =>
 });
 
 // Helper functions
-function getDefaultPermissions(role) {
-  const permissions = {
-    admin: ['manage_agents', 'view_analytics', 'manage_team', 'manage_billing', 'manage_settings'],
-    manager: ['manage_agents', 'view_analytics', 'view_team'],
-    member: ['view_agents', 'view_analytics'],
-    viewer: ['view_agents']
-  };
-  return permissions[role] || permissions.viewer;
-}
-
 function generateTempPassword() {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let password = '';
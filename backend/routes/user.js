@@ -47,7 +47,7 @@ const validateUserProfile = [
 router.get('/profile', async (req, res) => {
   try {
     // Get user ID from token (in real implementation, extract from JWT)
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     
     const result = await executeQuery(`
       SELECT id, name, email, role, company, preferences, created_at, updated_at
@@ -96,7 +96,7 @@ router.get('/profile', async (req, res) => {
  */
 router.put('/profile', validateUserProfile, async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     const { name, email, preferences } = req.body;
     
     // Build update query dynamically
@@ -171,7 +171,7 @@ router.put('/profile', validateUserProfile, async (req, res) => {
  */
 router.get('/preferences', async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     
     const result = await executeQuery(`
       SELECT preferences FROM users WHERE id = $1
@@ -218,7 +218,7 @@ router.put('/preferences', [
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     const { preferences } = req.body;
     
     const result = await executeQuery(`
@@ -255,7 +255,7 @@ router.put('/preferences', [
  */
 router.get('/stats', async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     
     // Get user's total calls
     const callsResult = await executeQuery(`
@@ -359,7 +359,7 @@ router.put('/password', [
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     const { currentPassword, newPassword } = req.body;
     
     // Get current user
@@ -419,7 +419,7 @@ router.delete('/account', [
   handleValidationErrors
 ], async (req, res) => {
   try {
-    const userId = req.user?.id || 'user-1'; // Default for development
+    const userId = req.user.userId;
     const { password } = req.body;
     
     // Get current user
@@ -3,16 +3,42 @@
  * Handles incoming webhooks from Twilio for call events
  */
 
+const crypto = require('crypto');
 const express = require('express');
+const { pipeline } = require('stream/promises');
 const router = express.Router();
 const twilio = require('twilio');
 const twilioService = require('../services/twilioService');
 const databaseService = require('../services/postgresDatabaseService');
 const { executeQuery } = require('../database/connection');
 const dynamicAIService = require('../services/dynamicAIService');
-const elevenlabsService = require('../services/elevenlabsService');
+const aiFunctionService = require('../services/retellAIStyleService');
+const campaignService = require('../services/campaignService');
+const sttService = require('../services/sttService');
+const ttsService = require('../services/ttsService');
+const recordingService = require('../services/recordingService');
+const callAnalysisService = require('../services/callAnalysisService');
+const outgoingWebhookService = require('../services/outgoingWebhookService');
+const usageService = require('../services/usageService');
+const conversationStore = require('../services/conversationStore');
 const logger = require('../utils/logger');
 const config = require('../config/config');
+const SentenceChunker = require('../utils/sentenceChunker');
+
+// Turns whose reply is streaming to the caller, by call ID (see streamReply). Kept in the
+// conversation store so whichever server Twilio's next request reaches can act on them.
+const PENDING_TURN_NAMESPACE = 'pending_turn';
+const PENDING_TURN_WAIT_MS = 10000;
+const PENDING_TURN_POLL_MS = 100;
+
+// Why a call ended, for calls that ended on Twilio's side rather than the agent's
+const CALL_STATUS_END_REASONS = {
+  completed: 'caller_hung_up',
+  busy: 'busy',
+  'no-answer': 'no_answer',
+  failed: 'failed',
+  canceled: 'canceled'
+};
 
 /**
  * Call start webhook
@@ -27,6 +53,11 @@ router.post('/call-start', async (req, res) => {
     // Get call from database using Twilio Call SID
     const call = await databaseService.getCallByTwilioSid(CallSid);
     if (!call) {
+      // Calls we did not place are inbound; route them by the dialed number
+      if (req.body.Direction === 'inbound') {
+        return answerInboundCall(req, res);
+      }
+
       logger.error('Call not found in database', { CallSid });
       const errorTwiml = twilioService.generateTwiML('hangup', {
         message: 'Sorry, there was an error processing your call. Please try again later.'
@@ -35,7 +66,7 @@ router.post('/call-start', async (req, res) => {
     }
 
     // Get agent information
-    const agent = await databaseService.getAgentById(call.agent_id);
+    const agent = await databaseService.getAgentForCall(call);
     if (!agent) {
       logger.error('Agent not found', { callId: call.id, agentId: call.agent_id });
       const errorTwiml = twilioService.generateTwiML('hangup', {
@@ -45,7 +76,8 @@ router.post('/call-start', async (req, res) => {
     }
 
     // Update call status
-    await databaseService.updateCallStatus(call.id, 'in_progress');
+    const startedCall = await databaseService.updateCallStatus(call.id, 'in_progress');
+    outgoingWebhookService.emitForCall('call.started', startedCall || call);
 
     // Initialize conversation with the agent
     const aiResponse = await dynamicAIService.initializeConversation(
@@ -56,7 +88,7 @@ router.post('/call-start', async (req, res) => {
     );
 
     // Generate TwiML with TTS
-    const twiml = createTwiMLWithTTS(aiResponse.response, agent.voice_id, '/api/webhooks/speech');
+    const twiml = await createConversationTwiML(call.id, aiResponse.response, agent);
 
     res.type('text/xml').send(twiml);
 
@@ -71,19 +103,19 @@ router.post('/call-start', async (req, res) => {
 });
 
 /**
- * Speech processing webhook
+ * Inbound call webhook (the Voice URL of numbers routed to an agent)
+ * POST /api/webhooks/inbound
+ */
+router.post('/inbound', (req, res) => answerInboundCall(req, res));
+
+/**
+ * Speech processing webhook - the caller's turn, as Twilio <Gather> speech
+ * or a <Record>ing for the agent's speech-to-text provider
  * POST /webhook/speech
  */
 router.post('/speech', async (req, res) => {
   try {
-    const { CallSid, SpeechResult, Confidence } = req.body;
-    
-    logger.info('Speech received', { 
-      CallSid, 
-      speech: SpeechResult,
-      confidence: Confidence,
-      speechLength: SpeechResult?.length || 0
-    });
+    const { CallSid } = req.body;
 
     // Get call from database
     const call = await databaseService.getCallByTwilioSid(CallSid);
@@ -96,7 +128,7 @@ router.post('/speech', async (req, res) => {
     }
 
     // Get agent information
-    const agent = await databaseService.getAgentById(call.agent_id);
+    const agent = await databaseService.getAgentForCall(call);
     if (!agent) {
       logger.error('Agent not found', { callId: call.id, agentId: call.agent_id });
       const errorTwiml = twilioService.generateTwiML('hangup', {
@@ -105,45 +137,50 @@ router.post('/speech', async (req, res) => {
       return res.type('text/xml').send(errorTwiml);
     }
 
+    // The caller talked over a streamed reply: it has to finish first, and may have ended the conversation
+    const interrupted = await takePendingTurn(call.id);
+    if (interrupted?.transfer) {
+      return res.type('text/xml').send(await createTransferTwiML(call, interrupted.transfer, null));
+    }
+    if (interrupted?.conversationComplete) {
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+    }
+
+    const sttSettings = sttService.resolveSettings(agent);
+    const speech = await sttService.transcribeWebhook(
+      req.body,
+      sttSettings,
+      await twilioService.forOrganization(call.organization_id)
+    );
+
+    logger.info('Speech received', {
+      CallSid,
+      provider: sttSettings.provider,
+      speech: speech.text,
+      confidence: speech.confidence,
+      speechLength: speech.text.length
+    });
+
     // Handle low confidence speech - lowered threshold for better recognition
-    if (!SpeechResult || Confidence < 0.1) {
+    if (!sttService.isUsable(speech)) {
       const fallbackMessage = "I didn't catch that clearly. Could you please repeat what you said?";
-      const fallbackTwiml = createTwiMLWithTTS(fallbackMessage, agent.voice_id, '/api/webhooks/speech');
+      const fallbackTwiml = await createTwiMLWithTTS(fallbackMessage, '/api/webhooks/speech', agent, call.id);
       return res.type('text/xml').send(fallbackTwiml);
     }
 
-    // Log interruption detection with full speech
-    logger.info('User input received (possible interruption)', {
-      CallSid,
-      speech: SpeechResult,
-      confidence: Confidence,
-      isInterruption: true,
-      speechLength: SpeechResult?.length || 0
-    });
+    // Speak the reply as it is generated when the agent's voices allow it
+    if (ttsService.canStreamSpeech(ttsService.resolveVoices(agent))) {
+      return res.type('text/xml').send(await streamReply(call, agent, speech.text));
+    }
 
     // Process user input with AI
     const aiResponse = await dynamicAIService.processUserInput(
       call.id,
-      SpeechResult,
+      speech.text,
       call.phone_number
     );
 
-    // Generate response TwiML
-    let twiml;
-    if (aiResponse.conversationComplete) {
-      // End the call
-      const voiceId = agent.voice || config.get('elevenlabs.voiceId') || '21m00Tcm4TlvDq8ikWAM';
-      twiml = twilioService.generateTwiML('play-audio', {
-        audioUrl: await getTTSUrl(aiResponse.response, voiceId),
-        nextAction: 'hangup'
-      });
-    } else {
-      // Continue conversation
-      const voiceId = agent.voice || config.get('elevenlabs.voiceId') || '21m00Tcm4TlvDq8ikWAM';
-      twiml = createTwiMLWithTTS(aiResponse.response, voiceId, '/api/webhooks/speech');
-    }
-
-    res.type('text/xml').send(twiml);
+    res.type('text/xml').send(await createReplyTwiML(call, agent, aiResponse));
 
   } catch (error) {
     logger.error('Error in speech webhook', { 
@@ -151,15 +188,186 @@ router.post('/speech', async (req, res) => {
       CallSid: req.body.CallSid 
     });
     
-    const fallbackTwiml = createTwiMLWithTTS(
+    const fallbackTwiml = await createTwiMLWithTTS(
       "I'm having trouble understanding. Could you please repeat that?", 
-      config.get('elevenlabs.voiceId'), 
       '/api/webhooks/speech'
     );
     res.type('text/xml').send(fallbackTwiml);
   }
 });
 
+/**
+ * A streamed reply has finished playing: listen for the caller, or carry
+ * out the transfer or hangup the turn ended with
+ * POST /api/webhooks/reply-end?callId=...
+ */
+router.post('/reply-end', async (req, res) => {
+  const { callId } = req.query;
+
+  try {
+    const call = await databaseService.getCallById(callId);
+    if (!call) {
+      logger.error('Reply ended for unknown call', { callId });
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+    }
+
+    const agent = await databaseService.getAgentForCall(call);
+    // Missing if the turn never finished; listening is the safe choice
+    const aiResponse = await takePendingTurn(call.id);
+
+    let twiml;
+    if (aiResponse?.transfer) {
+      twiml = await createTransferTwiML(call, aiResponse.transfer, null);
+    } else if (aiResponse?.conversationComplete) {
+      twiml = twilioService.generateTwiML('hangup', {});
+    } else {
+      const baseUrl = config.get('server.ngrokUrl');
+      twiml = sttService.buildListenTwiML(sttService.resolveSettings(agent), {
+        prompt: null,
+        actionUrl: `${baseUrl}/api/webhooks/speech`,
+        partialUrl: `${baseUrl}/api/webhooks/speech-partial`,
+        noInputUrl: `${baseUrl}/api/webhooks/no-input?callId=${encodeURIComponent(call.id)}`
+      });
+    }
+
+    res.type('text/xml').send(twiml);
+  } catch (error) {
+    logger.error('Error in reply-end webhook', { callId, error: error.message });
+    res.type('text/xml').send(await createTwiMLWithTTS(
+      "I'm having trouble understanding. Could you please repeat that?",
+      '/api/webhooks/speech'
+    ));
+  }
+});
+
+/**
+ * The caller said nothing after the agent spoke: ask whether they are still
+ * there, or hang up once the agent's silent reprompts are used up
+ * POST /api/webhooks/no-input?callId=...
+ */
+router.post('/no-input', async (req, res) => {
+  const { callId } = req.query;
+
+  try {
+    const call = await databaseService.getCallById(callId);
+    if (!call) {
+      logger.error('No input for unknown call', { callId });
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+    }
+
+    const agent = await databaseService.getAgentForCall(call);
+    const aiResponse = await dynamicAIService.handleSilence(call.id);
+
+    res.type('text/xml').send(await createReplyTwiML(call, agent, aiResponse));
+  } catch (error) {
+    logger.error('Error in no-input webhook', { callId, error: error.message });
+    res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+  }
+});
+
+/**
+ * Transfer for Media Streams calls: the stream session redirects the live
+ * call here once the agent has finished speaking
+ * POST /api/webhooks/transfer-connect?callId=...
+ */
+router.post('/transfer-connect', async (req, res) => {
+  const { callId } = req.query;
+
+  try {
+    const call = await databaseService.getCallById(callId);
+    const { activeTransfer } = call ? await aiFunctionService.getConversationState(call.id) : {};
+    if (!activeTransfer) {
+      logger.error('No transfer pending for call', { callId });
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {
+        message: 'Sorry, we could not connect your call. Please call back later.'
+      }));
+    }
+
+    res.type('text/xml').send(await createTransferTwiML(call, activeTransfer, null));
+
+  } catch (error) {
+    logger.error('Error in transfer-connect webhook', { error: error.message, callId });
+    res.type('text/xml').send(twilioService.generateTwiML('hangup', {
+      message: 'Sorry, we could not connect your call. Please call back later.'
+    }));
+  }
+});
+
+/**
+ * Warm transfer whisper - played to the human before the caller is connected
+ * POST /webhook/transfer-whisper?callId=...
+ */
+router.post('/transfer-whisper', async (req, res) => {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  try {
+    const call = await databaseService.getCallById(req.query.callId);
+    const agent = call && await databaseService.getAgentForCall(call);
+
+    if (call?.transfer_summary) {
+      const callerName = call.customer_name ? ` from ${call.customer_name}` : '';
+      ttsService.appendSpeech(twiml, await getSpeech(`Transferred call${callerName}. ${call.transfer_summary}`, agent, call.id));
+    }
+  } catch (error) {
+    logger.error('Error in transfer-whisper webhook', { error: error.message, callId: req.query.callId });
+  }
+
+  // Connecting matters more than the summary, so always answer with valid TwiML
+  res.type('text/xml').send(twiml.toString());
+});
+
+/**
+ * Transfer status webhook - Dial action once the human leg ends
+ * POST /webhook/transfer-status?callId=...
+ */
+router.post('/transfer-status', async (req, res) => {
+  const { callId } = req.query;
+  const { DialCallStatus, DialCallDuration } = req.body;
+
+  try {
+    logger.info('Transfer finished', { callId, DialCallStatus, DialCallDuration });
+
+    const call = await databaseService.getCallById(callId);
+    if (!call) {
+      logger.error('Call not found for transfer status', { callId });
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+    }
+
+    await databaseService.updateCallTransfer(call.id, {
+      status: DialCallStatus,
+      duration: parseInt(DialCallDuration) || 0
+    });
+    // The leg to the human is an outbound call of its own
+    await usageService.recordTelephony(call.id, {
+      direction: 'outbound',
+      seconds: parseInt(DialCallDuration) || 0,
+      purpose: 'transfer'
+    });
+
+    // The caller spoke to the human; the call is over when they hang up
+    if (['completed', 'answered'].includes(DialCallStatus)) {
+      await databaseService.setCallEndReason(call.id, 'transferred');
+      return res.type('text/xml').send(twilioService.generateTwiML('hangup', {}));
+    }
+
+    // Nobody picked up: tell the caller and carry on with the AI agent
+    const { activeTransfer } = await aiFunctionService.getConversationState(call.id);
+    const fallbackMessage = activeTransfer?.fallbackMessage
+      || "I'm sorry, nobody is available to take your call right now. Is there anything else I can help you with?";
+    await aiFunctionService.updateConversationState(call.id, { activeTransfer: null });
+    await dynamicAIService.addAssistantMessage(call.id, fallbackMessage);
+
+    const agent = await databaseService.getAgentForCall(call);
+    res.type('text/xml').send(await createConversationTwiML(call.id, fallbackMessage, agent));
+
+  } catch (error) {
+    logger.error('Error in transfer-status webhook', { error: error.message, callId });
+    res.type('text/xml').send(twilioService.generateTwiML('hangup', {
+      message: 'Sorry, we could not connect your call. Please call back later.'
+    }));
+  }
+});
+
 /**
  * Partial speech webhook - handles real-time speech detection for interruptions
  * POST /webhook/speech-partial
@@ -210,13 +418,40 @@ router.post('/call-status', async (req, res) => {
         status = 'failed';
       }
 
-      await databaseService.updateCallStatus(call.id, status, {
+      // Nothing else ended the call, so Twilio's status says why it ended
+      if (CALL_STATUS_END_REASONS[CallStatus]) {
+        await databaseService.setCallEndReason(call.id, CALL_STATUS_END_REASONS[CallStatus]);
+      }
+
+      const updatedCall = await databaseService.updateCallStatus(call.id, status, {
         duration: parseInt(Duration) || 0,
         ended_at: new Date().toISOString()
       });
 
+      // Campaign calls report their outcome so busy / no-answer can be retried
+      await campaignService.handleCallStatus(call, CallStatus);
+
+      // Summarize the finished conversation (the transcript stays in conversations)
+      if (CallStatus === 'completed') {
+        callAnalysisService.analyzeInBackground(call.id);
+      }
+
       // Cleanup conversation when call ends
       if (['completed', 'failed', 'busy', 'no-answer', 'canceled'].includes(CallStatus)) {
+        await usageService.recordTelephony(call.id, {
+          direction: call.direction || 'outbound',
+          seconds: parseInt(Duration) || 0
+        });
+
+        outgoingWebhookService.emitForCall('call.ended', updatedCall || call, {
+          status: CallStatus,
+          duration: parseInt(Duration) || 0,
+          endedAt: updatedCall?.ended_at || new Date().toISOString(),
+          endReason: updatedCall?.end_reason || CALL_STATUS_END_REASONS[CallStatus]
+        });
+
+        await conversationStore.deleteState(PENDING_TURN_NAMESPACE, call.id);
+
         setTimeout(() => {
           dynamicAIService.cleanupConversation(call.id);
         }, 5000);
@@ -232,63 +467,50 @@ router.post('/call-status', async (req, res) => {
 });
 
 /**
- * TTS streaming endpoint
- * GET /webhook/tts-stream
+ * Recording status webhook - a call recording finished (or could not be made)
+ * POST /api/webhooks/recording-status
  */
-router.get('/tts-stream', async (req, res) => {
+router.post('/recording-status', async (req, res) => {
+  const { CallSid, RecordingSid, RecordingStatus } = req.body;
+
+  logger.info('Recording status update', { CallSid, RecordingSid, RecordingStatus });
+
+  // Downloading can outlast Twilio's callback timeout, so acknowledge first
+  res.status(200).send('OK');
+
   try {
-    const { text, voice_id } = req.query;
-    
-    logger.info('TTS stream request', { 
-      text: text?.substring(0, 50) + (text?.length > 50 ? '...' : ''),
-      voice_id,
-      textLength: text?.length
-    });
-    
-    if (!text || !text.trim()) {
-      logger.error('TTS stream missing text', { text, voice_id });
-      return res.status(400).send('Missing text parameter');
-    }
+    await recordingService.handleStatusCallback(req.body);
+  } catch (error) {
+    logger.error('Error in recording-status webhook', { error: error.message, CallSid, RecordingSid });
+  }
+});
 
-    const voiceId = (voice_id && voice_id !== 'undefined') ? voice_id : (config.get('elevenlabs.voiceId') || '21m00Tcm4TlvDq8ikWAM');
+/**
+ * TTS audio endpoint - what <Play> fetches. Audio is referenced by a signed
+ * ID from getSpeech (rendering or cached), never by text.
+ * GET /webhook/tts-stream/:audioId
+ */
+router.get('/tts-stream/:audioId', async (req, res) => {
+  const { audioId } = req.params;
 
-    // Generate TTS with ElevenLabs
-    const audioBuffer = await elevenlabsService.generateSpeech(text.trim(), voiceId);
-    
-    logger.info('TTS generated successfully', { 
-      audioSize: audioBuffer.length,
-      voiceId,
-      textLength: text.trim().length
-    });
-    
-    res.setHeader('Content-Type', 'audio/mpeg');
-    res.setHeader('Cache-Control', 'public, max-age=300');
-    res.send(audioBuffer);
+  try {
+    const audio = await ttsService.openAudio(audioId);
+    if (!audio) {
+      logger.warn('TTS audio not found or not signed', { audioId });
+      return res.status(404).send('Audio not found');
+    }
+
+    res.setHeader('Content-Type', audio.contentType);
+    // The ID is a hash of the audio's text and voice, so it never changes
+    res.setHeader('Cache-Control', 'public, max-age=86400, immutable');
+    await pipeline(audio.stream, res);
 
   } catch (error) {
-    logger.error('TTS streaming error', { 
-      error: error.message,
-      text: req.query.text?.substring(0, 50),
-      voice_id: req.query.voice_id,
-      textLength: text?.length
-    });
-    
-    // Try fallback with shorter text if it's too long and timed out
-    if (text && text.length > 200 && error.message.includes('timeout')) {
-      try {
-        logger.info('Attempting fallback with shorter text', { originalLength: text.length });
-        const shorterText = text.substring(0, 200) + '...';
-        const fallbackAudio = await elevenlabsService.generateSpeech(shorterText, voiceId);
-        
-        res.setHeader('Content-Type', 'audio/mpeg');
-        res.setHeader('Cache-Control', 'public, max-age=300');
-        return res.send(fallbackAudio);
-      } catch (fallbackError) {
-        logger.error('Fallback TTS also failed', { error: fallbackError.message });
-      }
+    logger.error('TTS streaming error', { error: error.message, audioId });
+
+    if (!res.headersSent) {
+      res.status(503).send('TTS unavailable');
     }
-    
-    res.status(500).send('TTS error');
   }
 });
 
@@ -303,9 +525,16 @@ router.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     endpoints: {
       'call-start': 'POST /webhook/call-start',
+      'inbound': 'POST /api/webhooks/inbound',
       'speech': 'POST /api/webhooks/speech',
+      'reply-end': 'POST /api/webhooks/reply-end',
+      'no-input': 'POST /api/webhooks/no-input',
       'call-status': 'POST /webhook/call-status',
-      'tts-stream': 'GET /webhook/tts-stream'
+      'transfer-connect': 'POST /api/webhooks/transfer-connect',
+      'transfer-whisper': 'POST /api/webhooks/transfer-whisper',
+      'transfer-status': 'POST /api/webhooks/transfer-status',
+      'recording-status': 'POST /api/webhooks/recording-status',
+      'tts-stream': 'GET /webhook/tts-stream/:audioId'
     }
   });
 });
@@ -313,39 +542,293 @@ router.get('/health', (req, res) => {
 // Helper Functions
 
 /**
- * Create TwiML with TTS
+ * Media Streams needs streaming speech-to-text; without it calls stay on webhooks
  */
-function createTwiMLWithTTS(message, voiceId, nextUrl) {
-  const ttsUrl = `${config.get('server.ngrokUrl')}/api/webhooks/tts-stream?text=${encodeURIComponent(message)}&voice_id=${voiceId}&v=${Date.now()}`;
-  
-  // Create TwiML with interruption handling
-  const twiml = new twilio.twiml.VoiceResponse();
-  
-  // Start speech gathering FIRST (before playing audio) - optimized for interruptions
-  const gather = twiml.gather({
-    input: 'speech',
-    timeout: 10,
-    action: `${config.get('server.ngrokUrl')}/api/webhooks/speech`,
-    method: 'POST',
-    speechTimeout: 'auto',
-    speechModel: 'phone_call',
-    enhanced: true,
-    profanityFilter: false,
-    hints: 'yes, no, hello, goodbye, help, repeat, speak, talk, wait, stop, interrupt, already, book, schedule, appointment, available, time, date',
-    language: 'en-US',
-    speechStartTimeout: 0.8, // Faster interruption detection
-    speechEndTimeout: 0.3,   // Shorter pause detection
-    partialResultCallback: `${config.get('server.ngrokUrl')}/api/webhooks/speech-partial`,
-    partialResultCallbackMethod: 'POST'
+function useMediaStreams(sttSettings) {
+  if (config.get('voice.transport') !== 'media-streams') {
+    return false;
+  }
+
+  if (!sttService.getStreamingProvider(sttSettings)) {
+    logger.warn('VOICE_TRANSPORT=media-streams but no streaming speech-to-text provider is configured; using webhooks');
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * TwiML that (re)starts the conversation with the agent's latest message:
+ * either connect a Media Stream, whose session speaks the last assistant
+ * message, or <Play> it and listen for the reply
+ */
+async function createConversationTwiML(callId, message, agent) {
+  if (useMediaStreams(sttService.resolveSettings(agent))) {
+    return twilioService.generateTwiML('stream', {
+      url: `${config.get('server.ngrokUrl').replace(/^http/, 'ws')}/media-stream`,
+      parameters: { callId }
+    });
+  }
+
+  return createTwiMLWithTTS(message, '/api/webhooks/speech', agent, callId);
+}
+
+/**
+ * Record the transfer and build the <Dial> to the department, after the
+ * agent's handoff line (speech from getSpeech) if there is one
+ */
+async function createTransferTwiML(call, transfer, speech) {
+  const baseUrl = config.get('server.ngrokUrl');
+
+  await databaseService.updateCallTransfer(call.id, {
+    status: 'initiated',
+    department: transfer.department,
+    target: transfer.target,
+    summary: transfer.summary,
+    transferredAt: new Date().toISOString()
+  });
+
+  logger.info('Transferring call', { callId: call.id, department: transfer.department, warm: transfer.warm });
+
+  return twilioService.generateTwiML('transfer', {
+    ...speech,
+    target: transfer.target,
+    timeout: transfer.timeout,
+    callerId: transfer.callerId,
+    actionUrl: `${baseUrl}/api/webhooks/transfer-status?callId=${encodeURIComponent(call.id)}`,
+    whisperUrl: transfer.warm && transfer.summary
+      ? `${baseUrl}/api/webhooks/transfer-whisper?callId=${encodeURIComponent(call.id)}`
+      : null
+  });
+}
+
+/**
+ * TwiML for a finished turn: speak the reply, then transfer, hang up or listen
+ */
+async function createReplyTwiML(call, agent, aiResponse) {
+  if (aiResponse.transfer) {
+    // Hand the caller to a human once the agent has told them
+    return createTransferTwiML(call, aiResponse.transfer, await getSpeech(aiResponse.response, agent, call.id));
+  }
+
+  if (aiResponse.conversationComplete) {
+    if (!aiResponse.response) {
+      return twilioService.generateTwiML('hangup', {});
+    }
+    // End the call
+    return twilioService.generateTwiML('play-audio', {
+      ...await getSpeech(aiResponse.response, agent, call.id),
+      nextAction: 'hangup'
+    });
+  }
+
+  // Continue conversation
+  return createTwiMLWithTTS(aiResponse.response, '/api/webhooks/speech', agent, call.id);
+}
+
+/**
+ * Run the caller's turn and answer Twilio as soon as the first sentence of
+ * the reply is audible: each sentence goes to text-to-speech as soon as the
+ * LLM has finished it, and all of them play as one <Play> stream. What
+ * follows the reply is decided at /reply-end, once it has played.
+ * @returns {Promise<string>} TwiML
+ */
+async function streamReply(call, agent, text) {
+  const speechStream = ttsService.createSpeechStream(ttsService.resolveVoices(agent), { callId: call.id });
+  const chunker = new SentenceChunker();
+  let streamed = false;
+
+  const turnId = crypto.randomUUID();
+  await conversationStore.setState(PENDING_TURN_NAMESPACE, call.id, { turnId, done: false });
+
+  const turn = dynamicAIService.processUserInput(call.id, text, call.phone_number, {
+    onTextDelta: (delta) => {
+      chunker.push(delta).forEach(sentence => {
+        streamed = true;
+        speechStream.add(sentence);
+      });
+    }
+  }).then(async aiResponse => {
+    const rest = chunker.flush();
+    if (rest) {
+      streamed = true;
+      speechStream.add(rest);
+    }
+    // Fallback replies (errors, unconfigured LLM) are never streamed
+    if (!streamed && aiResponse.response) {
+      speechStream.add(aiResponse.response);
+    }
+
+    // Saved before the audio ends, so it is there when /reply-end asks. A request
+    // that gave up waiting has removed the entry, and then nothing is saved.
+    try {
+      const pending = await conversationStore.getState(PENDING_TURN_NAMESPACE, call.id);
+      if (pending?.turnId === turnId) {
+        await conversationStore.setState(PENDING_TURN_NAMESPACE, call.id, {
+          turnId,
+          done: true,
+          transfer: aiResponse.transfer || null,
+          conversationComplete: Boolean(aiResponse.conversationComplete)
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to save streamed turn', { callId: call.id, error: error.message });
+    }
+    return aiResponse;
+  }).finally(() => speechStream.end());
+
+  if (!await speechStream.started) {
+    // No voice could speak any of it; answer the usual way (Twilio <Say> at worst)
+    const aiResponse = await turn;
+    await conversationStore.deleteState(PENDING_TURN_NAMESPACE, call.id);
+    return createReplyTwiML(call, agent, aiResponse);
+  }
+
+  const baseUrl = config.get('server.ngrokUrl');
+  return sttService.buildListenTwiML(sttService.resolveSettings(agent), {
+    prompt: { audioUrl: `${baseUrl}/api/webhooks/tts-stream/${speechStream.audioId}` },
+    actionUrl: `${baseUrl}/api/webhooks/speech`,
+    partialUrl: `${baseUrl}/api/webhooks/speech-partial`,
+    redirectUrl: `${baseUrl}/api/webhooks/reply-end?callId=${encodeURIComponent(call.id)}`
+  });
+}
+
+/**
+ * The outcome of the call's streamed turn, removed once read. Waits for a turn
+ * that is still being generated, e.g. when the caller talked over its reply.
+ * @returns {Promise<{transfer: object|null, conversationComplete: boolean}|null>} Null without a finished turn
+ */
+async function takePendingTurn(callId) {
+  const deadline = Date.now() + PENDING_TURN_WAIT_MS;
+  let pending = await conversationStore.getState(PENDING_TURN_NAMESPACE, callId);
+
+  while (pending && !pending.done && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, PENDING_TURN_POLL_MS));
+    pending = await conversationStore.getState(PENDING_TURN_NAMESPACE, callId);
+  }
+
+  if (!pending) {
+    return null;
+  }
+  await conversationStore.deleteState(PENDING_TURN_NAMESPACE, callId);
+  if (!pending.done) {
+    logger.warn('Streamed turn did not finish in time', { callId });
+    return null;
+  }
+  return pending;
+}
+
+/**
+ * Answer a call made to one of our numbers: create its call record, look up
+ * the caller in contacts and start the conversation with the number's agent
+ */
+async function answerInboundCall(req, res) {
+  const { CallSid, From, To } = req.body;
+
+  try {
+    logger.info('Inbound call received', { CallSid, From, To });
+
+    const route = await databaseService.getPhoneNumberByNumber(To);
+    if (!route) {
+      logger.warn('Inbound call to a number with no agent', { CallSid, To });
+      const errorTwiml = twilioService.generateTwiML('hangup', {
+        message: 'Sorry, this number is not in service.'
+      });
+      return res.type('text/xml').send(errorTwiml);
+    }
+
+    // The number is routed by whichever organization claimed it; the call has to
+    // come from that organization's Twilio account too
+    const orgTwilio = await twilioService.forOrganization(route.organization_id);
+    if (!req.body.AccountSid || req.body.AccountSid !== orgTwilio.accountSid) {
+      logger.warn('Inbound call from a Twilio account that does not own the number', { CallSid, To, AccountSid: req.body.AccountSid });
+      const errorTwiml = twilioService.generateTwiML('hangup', {
+        message: 'Sorry, this number is not in service.'
+      });
+      return res.type('text/xml').send(errorTwiml);
+    }
+
+    const agent = await databaseService.getAgentById(route.agent_id);
+    if (!agent) {
+      logger.error('Agent not found', { agentId: route.agent_id, To });
+      const errorTwiml = twilioService.generateTwiML('hangup', {
+        message: 'Sorry, the agent is not available. Please try again later.'
+      });
+      return res.type('text/xml').send(errorTwiml);
+    }
+
+    // Accounts that blocked calls past their monthly budget take no new ones
+    const existingCall = await databaseService.getCallByTwilioSid(CallSid);
+    const budgetCheck = existingCall ? { allowed: true } : await usageService.canStartCall(route.organization_id);
+    if (!budgetCheck.allowed) {
+      logger.warn('Inbound call refused, monthly budget reached', { CallSid, To, organizationId: route.organization_id });
+      const errorTwiml = twilioService.generateTwiML('hangup', {
+        message: 'Sorry, we are unable to take your call right now. Please try again later.'
+      });
+      return res.type('text/xml').send(errorTwiml);
+    }
+
+    const contact = await databaseService.getContactByPhone(From, route.organization_id);
+
+    // Twilio may retry the webhook; reuse the call record it already created
+    const call = existingCall || await databaseService.createInboundCall({
+      organizationId: route.organization_id,
+      agentId: agent.agent_id,
+      phoneNumber: From,
+      customerName: contact?.name || 'Unknown caller',
+      twilioCallSid: CallSid
+    });
+
+    if (!existingCall) {
+      outgoingWebhookService.emitForCall('call.started', call);
+    }
+
+    if (contact) {
+      await databaseService.updateContactCallInfo(contact.id, 1, new Date().toISOString());
+    }
+
+    const caller = await dynamicAIService.buildCallerContext(route.organization_id, From, call.id);
+
+    const aiResponse = await dynamicAIService.initializeConversation(
+      call.id,
+      agent.agent_id,
+      From,
+      contact?.name || null,
+      { direction: 'inbound', caller }
+    );
+
+    const twiml = await createConversationTwiML(call.id, aiResponse.response, agent);
+
+    res.type('text/xml').send(twiml);
+
+    // Outbound calls are created recording; an inbound call can only start once answered
+    if (agent.recording_enabled && !existingCall) {
+      await orgTwilio.startRecording(CallSid, agent);
+    }
+
+  } catch (error) {
+    logger.error('Error answering inbound call', { error: error.message, CallSid });
+
+    const errorTwiml = twilioService.generateTwiML('hangup', {
+      message: 'Sorry, we are experiencing technical difficulties. Please call back later.'
+    });
+    res.type('text/xml').send(errorTwiml);
+  }
+}
+
+/**
+ * Create TwiML that speaks the message in the agent's voice and listens for
+ * the reply with the agent's speech-to-text settings
+ */
+async function createTwiMLWithTTS(message, nextUrl, agent = null, callId = null) {
+  const baseUrl = config.get('server.ngrokUrl');
+
+  return sttService.buildListenTwiML(sttService.resolveSettings(agent), {
+    prompt: await getSpeech(message, agent, callId),
+    actionUrl: `${baseUrl}${nextUrl}`,
+    partialUrl: `${baseUrl}/api/webhooks/speech-partial`,
+    noInputUrl: callId ? `${baseUrl}/api/webhooks/no-input?callId=${encodeURIComponent(callId)}` : null
   });
-  
-  // Play the AI response INSIDE the gather (this allows interruption)
-  gather.play(ttsUrl);
-  
-  // Fallback if no speech is detected
-  twiml.say('I didn\'t hear anything. Please try again.');
-  
-  return twiml.toString();
 }
 
 /**
@@ -372,7 +855,7 @@ router.post('/ai-call', async (req, res) => {
     }
 
     // Get agent information
-    const agent = await databaseService.getAgentById(call.agent_id);
+    const agent = await databaseService.getAgentForCall(call);
     if (!agent) {
       logger.error('Agent not found', { callId: call.id, agentId: call.agent_id });
       const errorTwiml = twilioService.generateTwiML('hangup', {
@@ -382,7 +865,8 @@ router.post('/ai-call', async (req, res) => {
     }
 
     // Update call status
-    await databaseService.updateCallStatus(call.id, 'in_progress');
+    const startedCall = await databaseService.updateCallStatus(call.id, 'in_progress');
+    outgoingWebhookService.emitForCall('call.started', startedCall || call);
 
     // Initialize conversation with the agent
     const conversationContext = {
@@ -403,8 +887,7 @@ router.post('/ai-call', async (req, res) => {
     );
 
     // Generate TwiML with TTS
-    const voiceId = agent.voice || config.get('elevenlabs.voiceId') || '21m00Tcm4TlvDq8ikWAM';
-    const twiml = createTwiMLWithTTS(aiResponse.response, voiceId, '/api/webhooks/speech');
+    const twiml = await createConversationTwiML(call.id, aiResponse.response, agent);
 
     res.type('text/xml').send(twiml);
 
@@ -415,9 +898,8 @@ router.post('/ai-call', async (req, res) => {
       stack: error.stack
     });
     
-    const errorTwiml = createTwiMLWithTTS(
+    const errorTwiml = await createTwiMLWithTTS(
       "I'm having trouble connecting right now. Please call back in a few minutes.", 
-      config.get('elevenlabs.voiceId'), 
       '/api/webhooks/speech'
     );
     res.type('text/xml').send(errorTwiml);
@@ -425,12 +907,18 @@ router.post('/ai-call', async (req, res) => {
 });
 
 /**
- * Get TTS URL
+ * Speech for a line in the agent's voice: a <Play> URL for audio that is
+ * cached or already being rendered, or text for Twilio <Say>. Speech made
+ * for a call is recorded against it.
+ * @returns {Promise<{audioUrl: string}|{say: {text: string, voice: string}}>}
  */
-async function getTTSUrl(text, voiceId) {
-  // Ensure voiceId is never undefined in the URL
-  const safeVoiceId = (voiceId && voiceId !== 'undefined') ? voiceId : (config.get('elevenlabs.voiceId') || '21m00Tcm4TlvDq8ikWAM');
-  return `${config.get('server.ngrokUrl')}/api/webhooks/tts-stream?text=${encodeURIComponent(text)}&voice_id=${safeVoiceId}&v=${Date.now()}`;
+async function getSpeech(text, agent, callId = null) {
+  const speech = await ttsService.prepareSpeech(text, ttsService.resolveVoices(agent), { callId });
+  if (speech.say) {
+    return speech;
+  }
+
+  return { audioUrl: `${config.get('server.ngrokUrl')}/api/webhooks/tts-stream/${speech.audioId}` };
 }
 
 module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * First Audio Benchmark
+ * How long a caller waits, after they stop talking, before the agent's
+ * reply starts to play. Runs the same reply three ways against the mock LLM
+ * and a fake text-to-speech voice with a fixed time to first byte:
+ *   - buffered: the whole reply is generated, then spoken (the old <Play> path)
+ *   - streamed <Play>: sentences are spoken as they are generated (ttsService.createSpeechStream)
+ *   - media stream: a MediaStreamSession speaking onto a fake socket
+ * No database, API keys or network needed.
+ *
+ * Usage: node scripts/benchmark-first-audio.js [--runs 5] [--llm-first-token-ms 400]
+ *          [--token-delay-ms 40] [--tts-first-byte-ms 250]
+ */
+
+// Only the mock language model may answer
+['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'LOCAL_LLM_URL',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDERS', 'LLM_MOCK_SCRIPT', 'LLM_MOCK_TOKEN_DELAY_MS'].forEach(name => { process.env[name] = ''; });
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const WebSocket = require('ws');
+const config = require('../config/config');
+const llmService = require('../services/llmService');
+const mockLlmService = require('../services/mockLlmService');
+const ttsService = require('../services/ttsService');
+const ttsCacheService = require('../services/ttsCacheService');
+const MediaStreamSession = require('../services/mediaStreamSession');
+const SentenceChunker = require('../utils/sentenceChunker');
+
+const REPLY = 'Of course, I can help you with that. We have openings on Tuesday morning at nine and on Thursday afternoon at two. Which of those works better for you?';
+const MESSAGES = [{ role: 'user', content: 'I would like to book a cleaning next week.' }];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Voice that takes firstByteMs to start, then streams the rest of its audio
+ */
+class FakeVoice {
+  constructor(firstByteMs) {
+    this.name = 'benchmark';
+    this.label = 'Benchmark voice';
+    this.producesAudio = true;
+    this.playContentType = 'audio/mpeg';
+    this.defaultVoice = 'benchmark-voice';
+    this.model = 'benchmark';
+    this.firstByteMs = firstByteMs;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async synthesize(text, voice, { format, signal }) {
+    await sleep(this.firstByteMs);
+    if (signal?.aborted) {
+      throw new Error('Request aborted');
+    }
+
+    const chunks = async function* () {
+      for (let offset = 0; offset < text.length; offset += 20) {
+        yield Buffer.alloc(400, 0xff);
+        await sleep(5);
+      }
+    };
+    return { stream: Readable.from(chunks()), contentType: format === 'ulaw_8000' ? 'audio/basic' : 'audio/mpeg' };
+  }
+}
+
+// Read audio to the end, as Twilio would play it
+const drain = async (iterator) => {
+  while (!(await iterator.next()).done) { /* discard */ }
+};
+
+class FirstAudioBenchmark {
+  constructor({ runs, llmFirstTokenMs, tokenDelayMs, ttsFirstByteMs }) {
+    this.runs = runs;
+    this.llmFirstTokenMs = llmFirstTokenMs;
+    this.tokenDelayMs = tokenDelayMs;
+    this.ttsFirstByteMs = ttsFirstByteMs;
+  }
+
+  async run() {
+    console.log('⏱️  Time to first audio');
+    console.log(`   LLM first token ${this.llmFirstTokenMs}ms, then a word every ${this.tokenDelayMs}ms; TTS first byte ${this.ttsFirstByteMs}ms; ${this.runs} runs\n`);
+
+    ttsService.registerProvider(new FakeVoice(this.ttsFirstByteMs));
+    config.set('llmMock.tokenDelayMs', this.tokenDelayMs);
+    ttsCacheService.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tts-benchmark-'));
+
+    const modes = [
+      ['buffered', () => this.buffered()],
+      ['streamed <Play>', () => this.streamedPlay()],
+      ['media stream', () => this.mediaStream()]
+    ];
+    const results = [];
+
+    try {
+      for (const [name, measure] of modes) {
+        const times = [];
+        for (let run = 0; run < this.runs; run++) {
+          // A voice of its own, so nothing is served from the audio cache
+          this.voices = { primary: { provider: 'benchmark', voice: `${name}-${run}` }, fallback: null, latencyBudgetMs: 5000 };
+          mockLlmService.setScript([{ content: REPLY, delayMs: this.llmFirstTokenMs }]);
+          times.push(await measure());
+        }
+        results.push({ name, times });
+      }
+    } finally {
+      await fs.promises.rm(ttsCacheService.dir, { recursive: true, force: true });
+    }
+
+    const median = (times) => [...times].sort((a, b) => a - b)[Math.floor(times.length / 2)];
+    const baseline = median(results[0].times);
+    results.forEach(({ name, times }) => {
+      const saved = baseline - median(times);
+      console.log(`${name.padEnd(16)} median ${String(median(times)).padStart(5)}ms  min ${String(Math.min(...times)).padStart(5)}ms  max ${String(Math.max(...times)).padStart(5)}ms${saved > 0 ? `  (${saved}ms sooner)` : ''}`);
+    });
+  }
+
+  /**
+   * The whole reply, then speech for all of it
+   */
+  async buffered() {
+    const startedAt = Date.now();
+    // Streamed but not listened to: the mock only takes its time per word when streaming, like a model generating
+    const reply = await llmService.streamResponse(MESSAGES, { provider: 'mock' });
+    const { stream } = await ttsService.synthesize(reply.content, this.voices, { format: 'play' });
+
+    const iterator = stream[Symbol.asyncIterator]();
+    await iterator.next();
+    const firstAudioMs = Date.now() - startedAt;
+
+    await drain(iterator);
+    return firstAudioMs;
+  }
+
+  /**
+   * Sentences spoken as one <Play> stream while the reply is generated
+   */
+  async streamedPlay() {
+    const startedAt = Date.now();
+    const speechStream = ttsService.createSpeechStream(this.voices);
+    const chunker = new SentenceChunker();
+
+    const turn = llmService.streamResponse(MESSAGES, { provider: 'mock' }, (delta) => {
+      chunker.push(delta).forEach(sentence => speechStream.add(sentence));
+    }).then(() => {
+      const rest = chunker.flush();
+      if (rest) {
+        speechStream.add(rest);
+      }
+    }).finally(() => speechStream.end());
+
+    await speechStream.started;
+    const firstAudioMs = Date.now() - startedAt;
+
+    await turn;
+    const { stream } = await ttsService.openAudio(speechStream.audioId);
+    await drain(stream[Symbol.asyncIterator]());
+    return firstAudioMs;
+  }
+
+  /**
+   * A Media Streams session speaking the reply onto a socket
+   */
+  async mediaStream() {
+    const ws = new EventEmitter();
+    ws.readyState = WebSocket.OPEN;
+    let firstAudioAt = null;
+    ws.send = (data) => {
+      if (!firstAudioAt && JSON.parse(data).event === 'media') {
+        firstAudioAt = Date.now();
+      }
+    };
+
+    const session = new MediaStreamSession(ws, {
+      tts: ttsService,
+      ai: {
+        processUserInput: async (callId, text, phone, { onTextDelta }) => {
+          const reply = await llmService.streamResponse(MESSAGES, { provider: 'mock' }, onTextDelta);
+          return { response: reply.content, conversationComplete: false, transfer: null };
+        }
+      }
+    });
+    session.call = { id: null, phone_number: null };
+    session.streamSid = 'MZbenchmark';
+    session.voices = this.voices;
+
+    const startedAt = Date.now();
+    await session.respond(MESSAGES[0].content);
+    await session.speechQueue;
+    return firstAudioAt - startedAt;
+  }
+}
+
+const parseArgs = (argv) => {
+  const args = { runs: 5, llmFirstTokenMs: 400, tokenDelayMs: 40, ttsFirstByteMs: 250 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    args[key] = parseInt(argv[++i]);
+  }
+  return args;
+};
+
+if (require.main === module) {
+  new FirstAudioBenchmark(parseArgs(process.argv.slice(2))).run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ First audio benchmark failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = FirstAudioBenchmark;
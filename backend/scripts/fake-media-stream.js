@@ -0,0 +1,302 @@
+/**
+ * Fake Twilio Media Streams client
+ * Replays a WAV file to the /media-stream WebSocket the way Twilio does:
+ * connected and start events, then 20 ms μ-law media frames in real time.
+ * Agent audio is "played" at 8 kHz: marks are echoed once the audio before
+ * them has played, clear drops whatever is still queued. What was played is
+ * saved to a WAV file so you can listen to the agent.
+ *
+ * The call has to exist and have its conversation started (the ai-call,
+ * call-start or inbound webhook does both before connecting a stream), and
+ * --call-sid has to be its Twilio call SID. The upgrade is signed with
+ * --auth-token like Twilio would, which only checks out when --url is the
+ * public URL the backend is configured with; otherwise run the backend with
+ * TWILIO_SKIP_SIGNATURE_VALIDATION=true.
+ *
+ * Usage: node scripts/fake-media-stream.js <input.wav> --call-id <id> --call-sid <CA...>
+ *          [--auth-token <token>] [--url ws://localhost:5000/media-stream] [--out agent.wav] [--listen 10]
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const { getExpectedTwilioSignature } = require('twilio');
+const { readWav, resamplePcm16, pcm16ToMulaw, mulawToPcm16, writeWav } = require('../utils/audio');
+
+const SAMPLE_RATE = 8000;
+const FRAME_BYTES = 160; // 20 ms of 8 kHz μ-law
+const SILENCE_BYTE = 0xff; // μ-law zero
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class FakeMediaStreamClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Media stream WebSocket URL
+   * @param {string} options.callId - Sent as the callId custom parameter
+   * @param {string} options.callSid - Twilio call SID to report in the start event
+   * @param {number} options.frameMs - Real time per 20 ms frame; lower runs faster (tests)
+   * @param {string} [options.authToken] - Sign the upgrade with X-Twilio-Signature using this auth token
+   */
+  constructor({ url, callId, callSid = `CA${Date.now()}`, frameMs = 20, authToken = null }) {
+    this.url = url;
+    this.authToken = authToken;
+    this.callId = callId;
+    this.callSid = callSid;
+    this.frameMs = frameMs;
+    this.streamSid = `MZ${Date.now()}`;
+    this.ws = null;
+    this.sequenceNumber = 0;
+    this.timestamp = 0;
+
+    this.playbackQueue = []; // { audio: Buffer } | { mark: string }
+    this.played = [];
+    this.events = []; // { event, at, name? } for everything the server sent
+    this.inputEndedAt = null;
+    this.firstAudioAfterInput = null;
+    this.listeners = [];
+  }
+
+  async connect() {
+    const headers = this.authToken
+      ? { 'X-Twilio-Signature': getExpectedTwilioSignature(this.authToken, this.url, {}) }
+      : {};
+    this.ws = new WebSocket(this.url, { headers });
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+    });
+
+    this.ws.on('message', (data) => this.handleServerMessage(JSON.parse(data)));
+    this.player = setInterval(() => this.playFrame(), this.frameMs);
+
+    this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+    this.send({
+      event: 'start',
+      sequenceNumber: String(++this.sequenceNumber),
+      streamSid: this.streamSid,
+      start: {
+        streamSid: this.streamSid,
+        accountSid: 'ACfake',
+        callSid: this.callSid,
+        tracks: ['inbound'],
+        customParameters: { callId: this.callId },
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: SAMPLE_RATE, channels: 1 }
+      }
+    });
+  }
+
+  handleServerMessage(message) {
+    const now = Date.now();
+
+    switch (message.event) {
+      case 'media': {
+        const audio = Buffer.from(message.media.payload, 'base64');
+        this.playbackQueue.push({ audio });
+        if (this.inputEndedAt && !this.firstAudioAfterInput) {
+          this.firstAudioAfterInput = now;
+        }
+        break;
+      }
+      case 'mark':
+        this.playbackQueue.push({ mark: message.mark.name });
+        break;
+      case 'clear': {
+        // Twilio drops buffered audio and returns the marks that were waiting behind it
+        const marks = this.playbackQueue.filter(item => item.mark).map(item => item.mark);
+        this.playbackQueue = [];
+        marks.forEach(name => this.echoMark(name));
+        break;
+      }
+      default:
+        break;
+    }
+
+    this.events.push({ event: message.event, at: now, name: message.mark?.name });
+    this.listeners.forEach(listener => listener(message));
+  }
+
+  /**
+   * Play 20 ms of queued agent audio, echoing marks as they are reached
+   */
+  playFrame() {
+    let remaining = FRAME_BYTES;
+
+    while (remaining > 0 && this.playbackQueue.length > 0) {
+      const head = this.playbackQueue[0];
+
+      if (head.mark) {
+        this.playbackQueue.shift();
+        this.echoMark(head.mark);
+        continue;
+      }
+
+      const take = head.audio.subarray(0, remaining);
+      this.played.push(take);
+      remaining -= take.length;
+      head.audio = head.audio.subarray(take.length);
+      if (head.audio.length === 0) {
+        this.playbackQueue.shift();
+      }
+    }
+
+    // Marks right after the last audio are reached as soon as it finishes
+    while (this.playbackQueue[0]?.mark) {
+      this.echoMark(this.playbackQueue.shift().mark);
+    }
+  }
+
+  echoMark(name) {
+    this.send({ event: 'mark', sequenceNumber: String(++this.sequenceNumber), streamSid: this.streamSid, mark: { name } });
+  }
+
+  /**
+   * Stream caller audio in 20 ms frames, paced like a live call
+   * @param {Buffer} mulaw - 8 kHz μ-law audio
+   * @param {Object} options - speech: false for filler that should not restart the latency clock
+   */
+  async sendAudio(mulaw, { speech = true } = {}) {
+    for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+      const frame = mulaw.subarray(offset, offset + FRAME_BYTES);
+      this.timestamp += 20;
+      this.send({
+        event: 'media',
+        sequenceNumber: String(++this.sequenceNumber),
+        streamSid: this.streamSid,
+        media: { track: 'inbound', chunk: String(this.sequenceNumber), timestamp: String(this.timestamp), payload: frame.toString('base64') }
+      });
+      await sleep(this.frameMs);
+    }
+
+    if (speech) {
+      this.inputEndedAt = Date.now();
+      this.firstAudioAfterInput = null;
+    }
+  }
+
+  /**
+   * Keep the line open with silence, as a real call does between turns
+   */
+  async sendSilence(ms) {
+    await this.sendAudio(Buffer.alloc(Math.round(ms / 20) * FRAME_BYTES, SILENCE_BYTE), { speech: false });
+  }
+
+  /**
+   * Wait for a server event matching a predicate
+   */
+  waitFor(predicate, timeoutMs = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.listeners = this.listeners.filter(listener => listener !== check);
+        reject(new Error(`Timed out after ${timeoutMs}ms waiting for server event`));
+      }, timeoutMs);
+      const check = (message) => {
+        if (predicate(message)) {
+          clearTimeout(timer);
+          this.listeners = this.listeners.filter(listener => listener !== check);
+          resolve(message);
+        }
+      };
+      this.listeners.push(check);
+    });
+  }
+
+  /**
+   * Wait for the server to send a mark, including one that already arrived
+   */
+  async waitForMark(name, timeoutMs = 5000) {
+    if (this.events.some(e => e.event === 'mark' && e.name === name)) {
+      return;
+    }
+    await this.waitFor(message => message.event === 'mark' && message.mark.name === name, timeoutMs);
+  }
+
+  /**
+   * Wait until everything the agent sent has been played
+   */
+  async drainPlayback(timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.playbackQueue.length > 0) {
+      if (Date.now() > deadline) {
+        throw new Error('Timed out waiting for agent audio to finish');
+      }
+      await sleep(this.frameMs);
+    }
+  }
+
+  playedAudio() {
+    return Buffer.concat(this.played);
+  }
+
+  send(message) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  async close() {
+    clearInterval(this.player);
+    this.send({ event: 'stop', sequenceNumber: String(++this.sequenceNumber), streamSid: this.streamSid, stop: { callSid: this.callSid } });
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      await new Promise(resolve => {
+        this.ws.once('close', resolve);
+        this.ws.close();
+      });
+    }
+  }
+}
+
+const parseArgs = (argv) => {
+  const args = { input: null, url: 'ws://localhost:5000/media-stream', out: 'agent.wav', listen: 10 };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    if (!flag.startsWith('--')) {
+      args.input = flag;
+      continue;
+    }
+    const key = flag.slice(2).replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    args[key] = argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input || !args.callId || !args.callSid) {
+    console.error('Usage: node scripts/fake-media-stream.js <input.wav> --call-id <id> --call-sid <CA...> [--auth-token <token>] [--url ws://localhost:5000/media-stream] [--out agent.wav] [--listen 10]');
+    process.exit(1);
+  }
+
+  const { sampleRate, pcm } = readWav(fs.readFileSync(args.input));
+  const mulaw = pcm16ToMulaw(resamplePcm16(pcm, sampleRate, SAMPLE_RATE));
+
+  const client = new FakeMediaStreamClient({ url: args.url, callId: args.callId, callSid: args.callSid, authToken: args.authToken });
+  console.log(`📞 Connecting to ${args.url} as call ${args.callId}`);
+  await client.connect();
+
+  // Let the greeting play before the caller speaks
+  await client.sendSilence(3000);
+  console.log(`🎙️  Replaying ${args.input} (${(mulaw.length / SAMPLE_RATE).toFixed(1)}s)`);
+  await client.sendAudio(mulaw);
+  await client.sendSilence(parseFloat(args.listen) * 1000);
+  await client.close();
+
+  fs.writeFileSync(args.out, writeWav(mulawToPcm16(client.playedAudio()), SAMPLE_RATE));
+
+  const count = (event) => client.events.filter(e => e.event === event).length;
+  console.log(`\n🔊 Agent audio played: ${(client.playedAudio().length / SAMPLE_RATE).toFixed(1)}s → ${args.out}`);
+  console.log(`   media frames: ${count('media')}, marks: ${count('mark')}, clears: ${count('clear')}`);
+  if (client.firstAudioAfterInput) {
+    console.log(`⏱️  First agent audio ${client.firstAudioAfterInput - client.inputEndedAt}ms after the caller stopped`);
+  } else {
+    console.log('⚠️  No agent audio after the caller spoke');
+  }
+};
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fake media stream failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = FakeMediaStreamClient;
@@ -7,9 +7,15 @@ require('dotenv').config();
 
 // Initialize database
 const { initializeDatabase } = require('./database/connection');
+const { verifyToken } = require('./middleware/auth');
+const { requirePermission } = require('./middleware/permissions');
+const { validateTwilioSignature } = require('./middleware/twilioSignature');
 
 // Initialize services
 const twilioService = require('./services/twilioService');
+const campaignService = require('./services/campaignService');
+const outgoingWebhookService = require('./services/outgoingWebhookService');
+const websocketService = require('./services/websocketService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -42,21 +48,34 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Routes
-app.use('/api/agents', require('./routes/agents'));
-app.use('/api/analytics', require('./routes/analytics'));
-app.use('/api/sessions', require('./routes/sessions'));
+// Public: auth handles its own per-route protection, Twilio webhooks must carry a valid Twilio signature
 app.use('/api/auth', require('./routes/auth'));
-app.use('/api/functions', require('./routes/functions'));
-app.use('/api/calcom', require('./routes/calcom'));
-app.use('/api/calcom-bookings', require('./routes/calcomBookings'));
-app.use('/api/settings', require('./routes/settings'));
-app.use('/api/user', require('./routes/user'));
-app.use('/api/webhooks', require('./routes/webhooks'));
-app.use('/api/custom-functions', require('./routes/customFunctions'));
-app.use('/api/contacts', require('./routes/contacts'));
-app.use('/api/calls', require('./routes/callsEnhanced'));
-app.use('/api/team', require('./routes/team'));
-app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/webhooks', validateTwilioSignature, require('./routes/webhooks'));
+// Recording audio is played by <audio> elements, which cannot send a bearer token; the URL carries a signed one
+app.use('/api/recordings', require('./routes/recordings'));
+
+// Everything else requires an authenticated user with the right team permission
+// ({ read, write } picks the permission by HTTP method)
+const agentAccess = requirePermission({ read: 'view_agents', write: 'manage_agents' });
+
+app.use('/api/agents', verifyToken, agentAccess, require('./routes/agents'));
+app.use('/api/analytics', verifyToken, requirePermission('view_analytics'), require('./routes/analytics'));
+app.use('/api/sessions', verifyToken, requirePermission({ read: 'view_analytics', write: 'manage_agents' }), require('./routes/sessions'));
+app.use('/api/functions', verifyToken, agentAccess, require('./routes/functions'));
+app.use('/api/calcom', verifyToken, agentAccess, require('./routes/calcom'));
+app.use('/api/calcom-bookings', verifyToken, requirePermission({ read: 'view_agents', write: 'make_calls' }), require('./routes/calcomBookings'));
+app.use('/api/settings', verifyToken, requirePermission('manage_settings'), require('./routes/settings'));
+app.use('/api/outgoing-webhooks', verifyToken, requirePermission('manage_settings'), require('./routes/outgoingWebhooks'));
+// Profile routes only ever touch the caller's own account
+app.use('/api/user', verifyToken, require('./routes/user'));
+app.use('/api/custom-functions', verifyToken, agentAccess, require('./routes/customFunctions'));
+app.use('/api/knowledge-bases', verifyToken, agentAccess, require('./routes/knowledgeBases'));
+app.use('/api/contacts', verifyToken, requirePermission({ read: 'view_contacts', write: 'manage_contacts' }), require('./routes/contacts'));
+app.use('/api/calls', verifyToken, requirePermission({ read: 'view_agents', write: 'make_calls' }), require('./routes/callsEnhanced'));
+app.use('/api/team', verifyToken, requirePermission({ read: 'view_team', write: 'manage_team' }), require('./routes/team'));
+app.use('/api/phone-numbers', verifyToken, agentAccess, require('./routes/phoneNumbers'));
+app.use('/api/campaigns', verifyToken, requirePermission({ read: 'view_agents', write: 'make_calls' }), require('./routes/campaigns'));
+app.use('/api/calendar', verifyToken, requirePermission({ read: 'view_agents', write: 'make_calls' }), require('./routes/calendar'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -89,14 +108,23 @@ const startServer = async () => {
     
     // Initialize TwilioService with user credentials
     await twilioService.initialize();
+
+    // Start placing calls for running outbound campaigns
+    campaignService.start();
+
+    // Retry event webhook deliveries that failed
+    outgoingWebhookService.start();
     
     // Start server
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
       console.log(`🌐 Frontend URL: ${process.env.FRONTEND_URL}`);
       console.log(`📞 Twilio configured: ${twilioService.isTwilioConfigured()}`);
     });
+
+    // Live audio: Twilio Media Streams and the LLM WebSocket share the HTTP server
+    websocketService.initialize(server);
   } catch (error) {
     console.error('❌ Failed to start server:', error);
     process.exit(1);
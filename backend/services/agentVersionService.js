@@ -0,0 +1,255 @@
+/**
+ * Agent Version Service
+ * Agent behaviour (prompt, voice, model, flow, ...) is versioned. Edits go to
+ * a draft, which can be tried out on test calls; publishing it copies it onto
+ * the agents row, which is what live calls use. Published versions are never
+ * changed, so any of them can be rolled back to.
+ *
+ * Each call records the version it started on (calls.agent_version) and
+ * keeps using it for its whole length, even if another version is published
+ * meanwhile.
+ *
+ * Only agents columns are versioned. An agent's functions (agent_functions)
+ * and knowledge base links (agent_knowledge_bases) live in their own tables,
+ * are edited directly and are read on every turn, so a change to them reaches
+ * all calls at once, whatever version they run on.
+ *
+ * agent_versions.status: 'draft' (at most one per agent, editable),
+ * 'published' or 'discarded'. Version numbers are never reused.
+ */
+
+const logger = require('../utils/logger');
+const { pool, executeQuery } = require('../database/connection');
+
+// agents columns that belong to a version; everything else (status, API key, ...) is operational.
+// Functions and knowledge base links are not agents columns and are left out on purpose, see above
+const VERSIONED_FIELDS = [
+  'name', 'description', 'ai_prompt', 'voice', 'language', 'model', 'webhook_url',
+  'llm_provider', 'temperature', 'max_tokens', 'history_window', 'turn_timeout_ms',
+  'max_duration_seconds', 'max_turns', 'max_silent_reprompts',
+  'stt_provider', 'stt_language', 'stt_keywords', 'voice_config', 'llm_config',
+  'recording_enabled', 'recording_channels', 'analysis_config', 'agent_type', 'flow_definition'
+];
+// Stored as JSONB on the agents row
+const JSON_FIELDS = ['stt_keywords', 'voice_config', 'llm_config', 'analysis_config', 'flow_definition'];
+
+/**
+ * JSON text for comparing values; JSONB does not keep object key order
+ */
+const canonical = (value) => JSON.stringify(value ?? null, (key, nested) => (
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+    : nested
+));
+
+class AgentVersionService {
+  /**
+   * The versioned part of an agent row
+   */
+  snapshot(agent) {
+    return Object.fromEntries(VERSIONED_FIELDS.map(field => [field, agent[field] ?? null]));
+  }
+
+  /**
+   * The agent as a given version configures it
+   * @param {Object} agent - agents row
+   * @param {Object} config - agent_versions.config
+   */
+  applyConfig(agent, config) {
+    return { ...agent, ...this.snapshot({ ...agent, ...config }) };
+  }
+
+  /**
+   * Load an agent as a call should see it: the version the call started on,
+   * or the published one for calls without a recorded version
+   * @param {string} agentId - Agent ID
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object|null>} The agent row, with the call's version applied
+   */
+  async loadAgentForCall(agentId, callId) {
+    const result = await executeQuery(`
+      SELECT a.*, v.config AS call_version_config
+      FROM agents a
+      LEFT JOIN calls c ON c.id = $2
+      LEFT JOIN agent_versions v ON v.agent_id = a.agent_id AND v.version = c.agent_version
+        AND c.agent_version IS DISTINCT FROM a.published_version
+      WHERE a.agent_id = $1
+    `, [agentId, callId]);
+
+    const row = result.rows[0];
+    if (!row) {
+      return null;
+    }
+
+    const { call_version_config: versionConfig, ...agent } = row;
+    return versionConfig ? this.applyConfig(agent, versionConfig) : agent;
+  }
+
+  async listVersions(agentId) {
+    const result = await executeQuery(`
+      SELECT v.id, v.version, v.status, v.note, v.created_at, v.updated_at, v.published_at,
+        u.email AS published_by_email,
+        (SELECT COUNT(*) FROM calls c WHERE c.agent_id = v.agent_id AND c.agent_version = v.version) AS call_count
+      FROM agent_versions v
+      LEFT JOIN users u ON u.id = v.published_by
+      WHERE v.agent_id = $1 AND v.status <> 'discarded'
+      ORDER BY v.version DESC
+    `, [agentId]);
+    return result.rows;
+  }
+
+  async getVersion(agentId, version) {
+    const result = await executeQuery(
+      'SELECT * FROM agent_versions WHERE agent_id = $1 AND version = $2',
+      [agentId, version]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getDraft(agentId) {
+    const result = await executeQuery(
+      "SELECT * FROM agent_versions WHERE agent_id = $1 AND status = 'draft'",
+      [agentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record an agent's current configuration as its first published version
+   * @param {Object} agent - agents row
+   * @param {number} userId - Who created it
+   */
+  async createInitialVersion(agent, userId) {
+    await executeQuery(`
+      INSERT INTO agent_versions (agent_id, version, status, config, created_by, published_by, published_at)
+      VALUES ($1, 1, 'published', $2, $3, $3, CURRENT_TIMESTAMP)
+    `, [agent.agent_id, JSON.stringify(this.snapshot(agent)), userId]);
+    await executeQuery('UPDATE agents SET published_version = 1 WHERE agent_id = $1', [agent.agent_id]);
+  }
+
+  /**
+   * Save changes to the agent's draft, starting one if there is none
+   * @param {string} agentId - Agent ID
+   * @param {Object} config - Versioned fields, keyed by agents column
+   * @param {number} userId - Who made the change
+   * @returns {Promise<Object>} The draft version
+   */
+  async saveDraft(agentId, config, userId) {
+    const updated = await executeQuery(`
+      UPDATE agent_versions SET config = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE agent_id = $1 AND status = 'draft'
+      RETURNING *
+    `, [agentId, JSON.stringify(config)]);
+    if (updated.rows.length > 0) {
+      return updated.rows[0];
+    }
+
+    const created = await executeQuery(`
+      INSERT INTO agent_versions (agent_id, version, status, config, created_by)
+      SELECT $1, COALESCE(MAX(version), 0) + 1, 'draft', $2, $3 FROM agent_versions WHERE agent_id = $1
+      RETURNING *
+    `, [agentId, JSON.stringify(config), userId]);
+    return created.rows[0];
+  }
+
+  async discardDraft(agentId) {
+    const result = await executeQuery(`
+      UPDATE agent_versions SET status = 'discarded', updated_at = CURRENT_TIMESTAMP
+      WHERE agent_id = $1 AND status = 'draft'
+      RETURNING *
+    `, [agentId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Make the draft the live version
+   * @returns {Promise<Object|null>} The updated agents row, or null without a draft
+   */
+  async publishDraft(agentId, userId, note = null) {
+    return this._transaction(async (client) => {
+      const draft = await client.query(
+        "SELECT * FROM agent_versions WHERE agent_id = $1 AND status = 'draft' FOR UPDATE",
+        [agentId]
+      );
+      if (draft.rows.length === 0) {
+        return null;
+      }
+      const { version, config } = draft.rows[0];
+
+      await client.query(`
+        UPDATE agent_versions
+        SET status = 'published', note = $3, published_by = $4, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE agent_id = $1 AND version = $2
+      `, [agentId, version, note, userId]);
+
+      const agent = await this._applyToAgent(client, agentId, version, config);
+      logger.info('Agent version published', { agentId, version });
+      return agent;
+    });
+  }
+
+  /**
+   * Make an earlier published version live again
+   * @returns {Promise<Object|null>} The updated agents row, or null if that version was never published
+   */
+  async rollback(agentId, version) {
+    return this._transaction(async (client) => {
+      const target = await client.query(
+        "SELECT * FROM agent_versions WHERE agent_id = $1 AND version = $2 AND status = 'published'",
+        [agentId, version]
+      );
+      if (target.rows.length === 0) {
+        return null;
+      }
+
+      const agent = await this._applyToAgent(client, agentId, version, target.rows[0].config);
+      logger.info('Agent rolled back', { agentId, version });
+      return agent;
+    });
+  }
+
+  /**
+   * Fields that differ between two configurations
+   * @returns {Array<{field: string, from: *, to: *}>}
+   */
+  diff(fromConfig, toConfig) {
+    return VERSIONED_FIELDS
+      .filter(field => canonical(fromConfig?.[field]) !== canonical(toConfig?.[field]))
+      .map(field => ({ field, from: fromConfig?.[field] ?? null, to: toConfig?.[field] ?? null }));
+  }
+
+  async _applyToAgent(client, agentId, version, config) {
+    const snapshot = this.snapshot(config);
+    const values = VERSIONED_FIELDS.map(field => (
+      JSON_FIELDS.includes(field) && snapshot[field] !== null ? JSON.stringify(snapshot[field]) : snapshot[field]
+    ));
+    const assignments = VERSIONED_FIELDS.map((field, index) => `${field} = $${index + 3}`).join(', ');
+
+    const result = await client.query(`
+      UPDATE agents SET ${assignments}, published_version = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE agent_id = $1
+      RETURNING *
+    `, [agentId, version, ...values]);
+    return result.rows[0];
+  }
+
+  async _transaction(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Create singleton instance
+const agentVersionService = new AgentVersionService();
+
+module.exports = agentVersionService;
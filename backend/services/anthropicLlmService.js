@@ -0,0 +1,261 @@
+/**
+ * Anthropic LLM provider (see llmService)
+ * Claude through the Messages API. Conversations arrive in the OpenAI chat
+ * format the rest of the platform uses and are translated here: system
+ * messages become the system prompt, tool calls become tool_use blocks and
+ * tool results become tool_result blocks in the next user turn.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+
+const API_VERSION = '2023-06-01';
+
+// The Messages API needs a token limit on every request
+const DEFAULT_MAX_TOKENS = 1024;
+
+// A conversation has to open with a user turn; an agent greeting has none yet
+const CALL_CONNECTED = '(The call has connected.)';
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_use: 'tool_calls',
+  max_tokens: 'length'
+};
+
+/**
+ * Server-sent events from a response stream, as { event, data }
+ */
+async function* readEvents(stream) {
+  let buffer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+      });
+      if (data.length > 0) {
+        yield { event, data: JSON.parse(data.join('\n')) };
+      }
+    }
+  }
+}
+
+const parseArguments = (text) => {
+  try {
+    const parsed = JSON.parse(text || '{}');
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+class AnthropicLlmService {
+  constructor() {
+    this.name = 'anthropic';
+    this.label = 'Anthropic (Claude)';
+    this.defaultModel = config.get('anthropic.model');
+    this.apiKey = config.get('anthropic.apiKey');
+    this.baseUrl = config.get('anthropic.baseUrl').replace(/\/+$/, '');
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Provider interface: one reply to a conversation, streamed to onTextDelta when given
+   * @param {Object} request - { messages, model, temperature, maxTokens, tools, toolChoice, responseFormat }
+   * @param {Object} options - { signal, onTextDelta }
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  async generate(request, { signal, onTextDelta } = {}) {
+    const body = this.buildRequest(request);
+    const stream = !!onTextDelta;
+
+    const response = await axios.post(`${this.baseUrl}/v1/messages`, { ...body, stream }, {
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION,
+        'content-type': 'application/json'
+      },
+      responseType: stream ? 'stream' : 'json',
+      signal,
+      validateStatus: () => true
+    });
+
+    if (response.status >= 400) {
+      throw new Error(`Anthropic API error ${response.status}: ${await this.errorMessage(response, stream)}`);
+    }
+
+    return stream ? this.readStream(response.data, onTextDelta) : this.parseMessage(response.data);
+  }
+
+  /**
+   * Messages API request body for an OpenAI-format request
+   */
+  buildRequest(request) {
+    const system = [];
+    const messages = [];
+
+    // Consecutive turns from the same side are merged into one
+    const append = (role, blocks) => {
+      const last = messages[messages.length - 1];
+      if (last?.role === role) {
+        last.content.push(...blocks);
+      } else {
+        messages.push({ role, content: blocks });
+      }
+    };
+
+    request.messages.forEach(message => {
+      if (message.role === 'system') {
+        system.push(message.content);
+      } else if (message.role === 'tool') {
+        append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content ?? '') }]);
+      } else {
+        const blocks = [];
+        if (message.content) {
+          blocks.push({ type: 'text', text: message.content });
+        }
+        (message.tool_calls || []).forEach(toolCall => blocks.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseArguments(toolCall.function.arguments)
+        }));
+        if (blocks.length > 0) {
+          append(message.role === 'assistant' ? 'assistant' : 'user', blocks);
+        }
+      }
+    });
+
+    if (messages[0]?.role !== 'user') {
+      messages.unshift({ role: 'user', content: [{ type: 'text', text: CALL_CONNECTED }] });
+    }
+
+    // There is no JSON mode; asking is enough for the short answers it is used for
+    if (request.responseFormat?.type === 'json_object') {
+      system.push('Reply with a single JSON object and nothing else.');
+    }
+
+    const body = {
+      model: request.model,
+      max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+      messages
+    };
+    if (system.length > 0) {
+      body.system = system.join('\n\n');
+    }
+    if (request.temperature !== undefined && request.temperature !== null) {
+      // OpenAI temperatures go up to 2, Anthropic's to 1
+      body.temperature = Math.min(request.temperature, 1);
+    }
+    if (request.tools?.length > 0) {
+      body.tools = request.tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description || '',
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+      }));
+      body.tool_choice = this.toolChoice(request.toolChoice);
+    }
+
+    return body;
+  }
+
+  toolChoice(choice) {
+    if (choice === 'none') return { type: 'none' };
+    if (choice === 'required') return { type: 'any' };
+    if (choice?.function?.name) return { type: 'tool', name: choice.function.name };
+    return { type: 'auto' };
+  }
+
+  parseMessage(message) {
+    const content = message.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const toolCalls = message.content
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+
+    return {
+      content,
+      toolCalls,
+      finishReason: FINISH_REASONS[message.stop_reason] || 'stop',
+      usage: message.usage
+        ? { inputTokens: message.usage.input_tokens || 0, outputTokens: message.usage.output_tokens || 0 }
+        : null
+    };
+  }
+
+  async readStream(stream, onTextDelta) {
+    let content = '';
+    let finishReason = 'stop';
+    const usage = { inputTokens: 0, outputTokens: 0 };
+    const blocks = [];
+
+    for await (const { event, data } of readEvents(stream)) {
+      if (event === 'message_start') {
+        usage.inputTokens = data.message?.usage?.input_tokens || 0;
+      } else if (event === 'content_block_start') {
+        blocks[data.index] = { ...data.content_block, json: '' };
+      } else if (event === 'content_block_delta') {
+        if (data.delta.type === 'text_delta') {
+          content += data.delta.text;
+          onTextDelta(data.delta.text);
+        } else if (data.delta.type === 'input_json_delta') {
+          blocks[data.index].json += data.delta.partial_json;
+        }
+      } else if (event === 'message_delta') {
+        finishReason = FINISH_REASONS[data.delta?.stop_reason] || finishReason;
+        usage.outputTokens = data.usage?.output_tokens || usage.outputTokens;
+      } else if (event === 'error') {
+        throw new Error(`Anthropic stream error: ${data.error?.message || 'unknown error'}`);
+      }
+    }
+
+    const toolCalls = blocks
+      .filter(block => block?.type === 'tool_use')
+      .map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(parseArguments(block.json)) }
+      }));
+
+    return { content, toolCalls, finishReason, usage };
+  }
+
+  async errorMessage(response, stream) {
+    let data = response.data;
+    if (stream) {
+      let text = '';
+      for await (const chunk of data) {
+        text += chunk.toString('utf8');
+      }
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        return text.slice(0, 200);
+      }
+    }
+    return data?.error?.message || JSON.stringify(data).slice(0, 200);
+  }
+}
+
+// Create singleton instance
+const anthropicLlmService = new AnthropicLlmService();
+
+module.exports = anthropicLlmService;
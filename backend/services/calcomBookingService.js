@@ -6,6 +6,7 @@
 const { executeQuery } = require('../database/connection');
 const externalCalendarService = require('./externalCalendarService');
 const logger = require('../utils/logger');
+const outgoingWebhookService = require('./outgoingWebhookService');
 const { v4: uuidv4 } = require('uuid');
 
 class CalComBookingService {
@@ -88,6 +89,8 @@ class CalComBookingService {
               customerEmail
             });
 
+            this._emitCreated(internalBooking.rows[0], 'calcom');
+
             return {
               success: true,
               bookingId: bookingId,
@@ -109,6 +112,8 @@ class CalComBookingService {
               error: calComResult.error
             });
 
+            this._emitCreated(internalBooking.rows[0], 'internal');
+
             return {
               success: true,
               bookingId: bookingId,
@@ -131,6 +136,8 @@ class CalComBookingService {
             WHERE id = $2
           `, [`\nCal.com error: ${calComError.message}`, bookingId]);
 
+          this._emitCreated(internalBooking.rows[0], 'internal');
+
           return {
             success: true,
             bookingId: bookingId,
@@ -147,6 +154,8 @@ class CalComBookingService {
           agentId
         });
 
+        this._emitCreated(internalBooking.rows[0], 'internal');
+
         return {
           success: true,
           bookingId: bookingId,
@@ -346,6 +355,12 @@ class CalComBookingService {
         reason
       });
 
+      outgoingWebhookService.emit('booking.cancelled', {
+        bookingId,
+        provider: bookingData.provider || 'calcom',
+        reason
+      }, { agentId: bookingData.agent_id, callId: bookingData.call_id });
+
       return {
         success: true,
         message: 'Booking cancelled successfully'
@@ -489,6 +504,22 @@ class CalComBookingService {
       };
     }
   }
+
+  /**
+   * Tell the account's webhooks about a booking that was saved
+   * @private
+   */
+  _emitCreated(booking, provider) {
+    outgoingWebhookService.emit('booking.created', {
+      bookingId: booking.id,
+      provider,
+      startTime: booking.start_time,
+      endTime: booking.end_time,
+      customerName: booking.customer_name,
+      customerEmail: booking.customer_email,
+      customerPhone: booking.customer_phone
+    }, { agentId: booking.agent_id, callId: booking.call_id });
+  }
 }
 
 module.exports = new CalComBookingService();
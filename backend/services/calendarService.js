@@ -5,6 +5,7 @@
 
 const { executeQuery } = require('../database/connection');
 const logger = require('../utils/logger');
+const outgoingWebhookService = require('./outgoingWebhookService');
 const { v4: uuidv4 } = require('uuid');
 
 class CalendarService {
@@ -128,7 +129,8 @@ class CalendarService {
         startTime,
         endTime,
         title,
-        notes
+        notes,
+        callId
       } = bookingData;
 
       const slotId = uuidv4();
@@ -169,6 +171,16 @@ class CalendarService {
         startTime
       });
 
+      outgoingWebhookService.emit('booking.created', {
+        bookingId: existingSlot.rows[0].id,
+        provider: 'internal',
+        startTime,
+        endTime,
+        customerName,
+        customerEmail,
+        customerPhone
+      }, { agentId, callId });
+
       return {
         success: true,
         bookingId: existingSlot.rows[0].id,
@@ -431,13 +443,14 @@ class CalendarService {
    */
   async cancelBooking(bookingId, reason = 'Cancelled by customer') {
     try {
-      await executeQuery(`
+      const result = await executeQuery(`
         UPDATE calendar_slots 
         SET 
           status = 'cancelled',
           notes = COALESCE(notes, '') || $1,
           updated_at = CURRENT_TIMESTAMP
         WHERE id = $2
+        RETURNING agent_id
       `, [`\nCancelled: ${reason}`, bookingId]);
 
       logger.info('Booking cancelled successfully', {
@@ -445,6 +458,14 @@ class CalendarService {
         reason
       });
 
+      if (result.rows[0]) {
+        outgoingWebhookService.emit('booking.cancelled', {
+          bookingId,
+          provider: 'internal',
+          reason
+        }, { agentId: result.rows[0].agent_id });
+      }
+
       return {
         success: true,
         message: 'Booking cancelled successfully'
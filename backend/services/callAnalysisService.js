@@ -0,0 +1,246 @@
+/**
+ * Post-Call Analysis Service
+ * When a call completes its transcript (the conversations table) is run
+ * through the LLM once, producing a summary, the caller's sentiment, a
+ * disposition and the structured fields the agent asks for. Results are
+ * stored on the call.
+ *
+ * An agent's analysis_config:
+ *   dispositions: ['booked', 'not_interested', ...] (DEFAULT_DISPOSITIONS when empty)
+ *   fields: [{ name: 'budget', type: 'number', description: 'Monthly budget in USD' }]
+ *     - type is string, number, boolean or date (YYYY-MM-DD)
+ */
+
+const logger = require('../utils/logger');
+const { executeQuery } = require('../database/connection');
+const llmService = require('./llmService');
+const outgoingWebhookService = require('./outgoingWebhookService');
+
+const SENTIMENTS = ['positive', 'neutral', 'negative'];
+const DEFAULT_DISPOSITIONS = ['booked', 'interested', 'not_interested', 'callback_requested', 'voicemail', 'wrong_number'];
+// Catch-all for calls that fit none of the agent's dispositions
+const OTHER_DISPOSITION = 'other';
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date'];
+// Long transcripts keep their start and end; the middle is elided
+const MAX_TRANSCRIPT_CHARS = 24000;
+
+/**
+ * 'Callback requested' -> 'callback_requested'
+ */
+const toDispositionKey = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_+|_+$/g, '');
+
+class CallAnalysisService {
+  constructor() {
+    this.llm = llmService;
+  }
+
+  /**
+   * Analyze a call in the background once it has ended. Only the first
+   * request for a call runs, so repeated status callbacks are harmless.
+   * @param {string} callId - Call ID
+   */
+  analyzeInBackground(callId) {
+    (async () => {
+      const claimed = await executeQuery(
+        "UPDATE calls SET analysis_status = 'pending' WHERE id = $1 AND analysis_status IS NULL RETURNING id",
+        [callId]
+      );
+      if (claimed.rows.length > 0) {
+        await this.analyzeCall(callId);
+      }
+    })().catch(error => {
+      logger.error('Error in post-call analysis', { callId, error: error.message });
+    });
+  }
+
+  /**
+   * Analyze a call now and store the results on it
+   * @param {string} callId - Call ID
+   * @returns {Promise<Object>} The updated call row
+   */
+  async analyzeCall(callId) {
+    const callResult = await executeQuery(`
+      SELECT c.*, a.analysis_config, a.name AS agent_name
+      FROM calls c
+      LEFT JOIN agents a ON a.agent_id = c.agent_id
+      WHERE c.id = $1
+    `, [callId]);
+    const call = callResult.rows[0];
+    if (!call) {
+      throw new Error('Call not found');
+    }
+
+    const messagesResult = await executeQuery(
+      'SELECT role, content FROM conversations WHERE call_id = $1 ORDER BY timestamp ASC',
+      [callId]
+    );
+    const messages = messagesResult.rows;
+
+    // Nothing to analyze unless the caller said something
+    if (!messages.some(message => message.role === 'user')) {
+      return this._save(callId, { status: 'skipped', error: 'The caller did not speak' });
+    }
+
+    try {
+      const analysis = await this.analyzeTranscript(messages, call.analysis_config, { customerName: call.customer_name, direction: call.direction, callId });
+      logger.info('Call analyzed', { callId, disposition: analysis.disposition, sentiment: analysis.sentiment });
+      const analyzed = await this._save(callId, { status: 'completed', ...analysis });
+      outgoingWebhookService.emitForCall('call.analyzed', analyzed, {
+        summary: analysis.summary,
+        sentiment: analysis.sentiment,
+        disposition: analysis.disposition,
+        extractedFields: analysis.fields
+      });
+      return analyzed;
+    } catch (error) {
+      logger.error('Call analysis failed', { callId, error: error.message });
+      return this._save(callId, { status: 'failed', error: error.message });
+    }
+  }
+
+  /**
+   * Ask the LLM about a transcript
+   * @param {Array} messages - [{ role: 'user' | 'assistant', content }]
+   * @param {Object|null} analysisConfig - The agent's analysis_config
+   * @param {Object} context - { customerName, direction, callId }; the tokens are recorded against callId
+   * @returns {Promise<{summary: string, sentiment: string, disposition: string, fields: Object}>}
+   */
+  async analyzeTranscript(messages, analysisConfig, context = {}) {
+    const dispositions = this.getDispositions(analysisConfig);
+    const fields = this.getFields(analysisConfig);
+
+    const reply = await this.llm.generateResponse([
+      { role: 'system', content: this.buildInstructions(dispositions, fields) },
+      { role: 'user', content: this.formatTranscript(messages, context) }
+    ], {
+      temperature: 0,
+      maxTokens: 800,
+      timeout: 30000,
+      responseFormat: { type: 'json_object' },
+      usageContext: context.callId ? { callId: context.callId, purpose: 'analysis' } : null
+    });
+
+    let parsed;
+    try {
+      parsed = JSON.parse(reply.content.replace(/^```(?:json)?\s*|\s*```$/g, ''));
+    } catch (error) {
+      throw new Error('The analysis was not valid JSON');
+    }
+
+    return this.normalize(parsed, dispositions, fields);
+  }
+
+  /**
+   * Dispositions an agent's calls are sorted into, always ending with 'other'
+   */
+  getDispositions(analysisConfig) {
+    const configured = (analysisConfig?.dispositions || []).map(toDispositionKey).filter(Boolean);
+    const dispositions = configured.length > 0 ? configured : DEFAULT_DISPOSITIONS;
+    return Array.from(new Set([...dispositions, OTHER_DISPOSITION]));
+  }
+
+  /**
+   * Structured fields an agent extracts, with unknown types read as strings
+   */
+  getFields(analysisConfig) {
+    return (analysisConfig?.fields || [])
+      .filter(field => field?.name)
+      .map(field => ({
+        name: field.name,
+        type: FIELD_TYPES.includes(field.type) ? field.type : 'string',
+        description: field.description || ''
+      }));
+  }
+
+  buildInstructions(dispositions, fields) {
+    const fieldLines = fields.length > 0
+      ? fields.map(field => `  - "${field.name}" (${field.type === 'date' ? 'date as YYYY-MM-DD' : field.type})${field.description ? `: ${field.description}` : ''}`).join('\n')
+      : '  (none; use an empty object)';
+
+    return `You analyze transcripts of phone calls between an AI agent and a caller.
+Reply with a JSON object with exactly these keys:
+- "summary": two or three sentences on what the call was about and how it ended
+- "sentiment": the caller's overall sentiment, one of ${SENTIMENTS.map(value => `"${value}"`).join(', ')}
+- "disposition": the outcome of the call, one of ${dispositions.map(value => `"${value}"`).join(', ')}
+- "fields": an object with these keys, each null when the call did not establish it:
+${fieldLines}
+Only use what the transcript says; do not guess.`;
+  }
+
+  formatTranscript(messages, { customerName, direction } = {}) {
+    const lines = messages.map(message => `${message.role === 'assistant' ? 'Agent' : 'Caller'}: ${message.content}`);
+
+    let transcript = lines.join('\n');
+    if (transcript.length > MAX_TRANSCRIPT_CHARS) {
+      const half = MAX_TRANSCRIPT_CHARS / 2;
+      transcript = `${transcript.slice(0, half)}\n[... part of the call omitted ...]\n${transcript.slice(-half)}`;
+    }
+
+    const header = [
+      direction ? `Direction: ${direction}` : null,
+      customerName && customerName !== 'Unknown' ? `Caller name on file: ${customerName}` : null
+    ].filter(Boolean).join('\n');
+
+    return `${header ? `${header}\n\n` : ''}Transcript:\n${transcript}`;
+  }
+
+  /**
+   * Keep the model's answer within what the agent allows
+   */
+  normalize(parsed, dispositions, fields) {
+    const sentiment = String(parsed?.sentiment || '').toLowerCase();
+    const disposition = toDispositionKey(parsed?.disposition);
+    const values = parsed?.fields && typeof parsed.fields === 'object' ? parsed.fields : {};
+
+    return {
+      summary: typeof parsed?.summary === 'string' ? parsed.summary.trim() : '',
+      sentiment: SENTIMENTS.includes(sentiment) ? sentiment : 'neutral',
+      disposition: dispositions.includes(disposition) ? disposition : OTHER_DISPOSITION,
+      fields: Object.fromEntries(fields.map(field => [field.name, this._coerce(values[field.name], field.type)]))
+    };
+  }
+
+  _coerce(value, type) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    switch (type) {
+      case 'number': {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+        return Number.isFinite(number) ? number : null;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (/^(true|yes)$/i.test(String(value))) return true;
+        if (/^(false|no)$/i.test(String(value))) return false;
+        return null;
+      case 'date': {
+        const match = /^\d{4}-\d{2}-\d{2}/.exec(String(value));
+        return match ? match[0] : null;
+      }
+      default:
+        return String(value);
+    }
+  }
+
+  async _save(callId, { status, summary = null, sentiment = null, disposition = null, fields = null, error = null }) {
+    const result = await executeQuery(`
+      UPDATE calls
+      SET analysis_status = $1, summary = $2, sentiment = $3, disposition = $4, extracted_fields = $5,
+          analysis_error = $6, analyzed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING *
+    `, [status, summary, sentiment, disposition, fields ? JSON.stringify(fields) : null, error, callId]);
+    return result.rows[0];
+  }
+}
+
+// Create singleton instance
+const callAnalysisService = new CallAnalysisService();
+
+module.exports = callAnalysisService;
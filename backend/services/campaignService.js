@@ -0,0 +1,572 @@
+/**
+ * Campaign Service
+ * Outbound calling campaigns: works through a campaign's contacts inside their
+ * calling window, keeps at most max_concurrent_calls in flight, and retries
+ * busy / no-answer outcomes with exponential backoff.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { pool, executeQuery } = require('../database/connection');
+const twilioService = require('./twilioService');
+const usageService = require('./usageService');
+
+const CAMPAIGN_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed'
+};
+
+// Queue state of a contact within a campaign; disposition holds the last call outcome
+const CONTACT_STATUS = {
+  PENDING: 'pending',
+  CALLING: 'calling',
+  RETRY: 'retry',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const FINAL_CALL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+const RETRYABLE_CALL_STATUSES = ['busy', 'no-answer'];
+
+// A call whose status callback never arrives is given up on after this long
+const STALE_CALL_MINUTES = 60;
+
+// How many due contacts to look at per free slot; some may be outside their window
+const CANDIDATES_PER_SLOT = 5;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+class CampaignService {
+  constructor() {
+    this.timer = null;
+    this.isDispatching = false;
+  }
+
+  /**
+   * Start the dispatcher loop
+   */
+  start(intervalMs = config.get('campaigns.dispatchIntervalMs')) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.dispatch(), intervalMs);
+    logger.info('Campaign dispatcher started', { intervalMs });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * The dispatcher's clock, for calling windows
+   */
+  now() {
+    return new Date();
+  }
+
+  /**
+   * Whether timeZone is an IANA zone name this runtime knows
+   */
+  isValidTimeZone(timeZone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Day of week (0 = Sunday) and minutes past midnight in a time zone
+   */
+  getLocalTime(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(p => p.type === type).value;
+
+    return {
+      day: WEEKDAYS.indexOf(part('weekday')),
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+  }
+
+  /**
+   * Whether a contact in timeZone may be called now. The contact's own time zone
+   * wins; the campaign time zone covers contacts without one.
+   */
+  isWithinCallingWindow(campaign, timeZone, now = new Date()) {
+    const zone = timeZone && this.isValidTimeZone(timeZone) ? timeZone : campaign.timezone || 'UTC';
+    const { day, minutes } = this.getLocalTime(now, zone);
+
+    if (!(campaign.calling_days || []).includes(day)) {
+      return false;
+    }
+
+    return minutes >= toMinutes(campaign.calling_window_start) && minutes < toMinutes(campaign.calling_window_end);
+  }
+
+  /**
+   * Backoff before the next attempt: retry_delay_minutes, doubled after every failed attempt
+   */
+  getRetryDelayMinutes(campaign, attempts) {
+    return campaign.retry_delay_minutes * Math.pow(2, Math.max(attempts - 1, 0));
+  }
+
+  /**
+   * Create a campaign from a contact list and/or a tag filter. Matching
+   * contacts are copied in at creation so later contact edits do not change it.
+   */
+  async createCampaign(organizationId, userId, data) {
+    const {
+      name,
+      agentId,
+      contactIds = [],
+      tags = [],
+      timezone = 'UTC',
+      callingWindowStart = '09:00',
+      callingWindowEnd = '17:00',
+      callingDays = [1, 2, 3, 4, 5],
+      maxConcurrentCalls = 1,
+      maxAttempts = 3,
+      retryDelayMinutes = 30,
+      startAt = null
+    } = data;
+
+    const agentResult = await executeQuery(
+      'SELECT agent_id, ai_prompt FROM agents WHERE agent_id = $1 AND organization_id = $2',
+      [agentId, organizationId]
+    );
+    if (agentResult.rows.length === 0) {
+      return { success: false, error: 'Agent not found' };
+    }
+    if (!agentResult.rows[0].ai_prompt?.trim()) {
+      return { success: false, error: 'Agent must have a prompt configured before it can run a campaign' };
+    }
+
+    const campaignResult = await executeQuery(`
+      INSERT INTO campaigns (
+        organization_id, agent_id, name, status, contact_filter, timezone,
+        calling_window_start, calling_window_end, calling_days,
+        max_concurrent_calls, max_attempts, retry_delay_minutes, start_at, created_by
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, CURRENT_TIMESTAMP), $14)
+      RETURNING *
+    `, [
+      organizationId, agentId, name.trim(), CAMPAIGN_STATUS.RUNNING,
+      JSON.stringify({ contactIds, tags }), timezone,
+      callingWindowStart, callingWindowEnd, JSON.stringify(callingDays),
+      maxConcurrentCalls, maxAttempts, retryDelayMinutes, startAt, userId
+    ]);
+    const campaign = campaignResult.rows[0];
+
+    const contactsResult = await executeQuery(`
+      INSERT INTO campaign_contacts (campaign_id, contact_id, phone_number, customer_name, timezone)
+      SELECT $1, id, phone_number, name, timezone
+      FROM contacts
+      WHERE organization_id = $2 AND (id = ANY($3::int[]) OR tags && $4::text[])
+      ON CONFLICT (campaign_id, contact_id) DO NOTHING
+    `, [campaign.id, organizationId, contactIds, tags]);
+
+    if (contactsResult.rowCount === 0) {
+      await executeQuery('DELETE FROM campaigns WHERE id = $1', [campaign.id]);
+      return { success: false, error: 'No contacts match the selected contacts or tags' };
+    }
+
+    logger.info('Campaign created', { campaignId: campaign.id, agentId, contactCount: contactsResult.rowCount });
+
+    return { success: true, campaign, contactCount: contactsResult.rowCount };
+  }
+
+  /**
+   * List an organization's campaigns with progress counts
+   */
+  async getCampaigns(organizationId) {
+    const result = await executeQuery(`
+      SELECT c.*, a.name AS agent_name,
+             COUNT(cc.id) AS total_contacts,
+             COUNT(cc.id) FILTER (WHERE cc.status IN ('completed', 'failed')) AS finished_contacts,
+             COUNT(cc.id) FILTER (WHERE cc.disposition = 'answered') AS answered_contacts
+      FROM campaigns c
+      LEFT JOIN agents a ON a.agent_id = c.agent_id
+      LEFT JOIN campaign_contacts cc ON cc.campaign_id = c.id
+      WHERE c.organization_id = $1
+      GROUP BY c.id, a.name
+      ORDER BY c.created_at DESC
+    `, [organizationId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      total_contacts: parseInt(row.total_contacts),
+      finished_contacts: parseInt(row.finished_contacts),
+      answered_contacts: parseInt(row.answered_contacts)
+    }));
+  }
+
+  async getCampaign(organizationId, campaignId) {
+    const result = await executeQuery(
+      'SELECT * FROM campaigns WHERE id = $1 AND organization_id = $2',
+      [campaignId, organizationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Campaign report: counts by queue status and by disposition, plus every contact
+   */
+  async getReport(organizationId, campaignId) {
+    const campaign = await this.getCampaign(organizationId, campaignId);
+    if (!campaign) {
+      return null;
+    }
+
+    const [statusResult, dispositionResult, contactsResult] = await Promise.all([
+      executeQuery(
+        'SELECT status, COUNT(*) AS count FROM campaign_contacts WHERE campaign_id = $1 GROUP BY status',
+        [campaignId]
+      ),
+      executeQuery(
+        'SELECT disposition, COUNT(*) AS count FROM campaign_contacts WHERE campaign_id = $1 AND disposition IS NOT NULL GROUP BY disposition',
+        [campaignId]
+      ),
+      executeQuery(
+        'SELECT * FROM campaign_contacts WHERE campaign_id = $1 ORDER BY id ASC',
+        [campaignId]
+      )
+    ]);
+
+    const toCounts = (rows, key) => Object.fromEntries(rows.map(row => [row[key], parseInt(row.count)]));
+
+    return {
+      campaign,
+      byStatus: toCounts(statusResult.rows, 'status'),
+      byDisposition: toCounts(dispositionResult.rows, 'disposition'),
+      totalAttempts: contactsResult.rows.reduce((sum, contact) => sum + contact.attempts, 0),
+      contacts: contactsResult.rows
+    };
+  }
+
+  /**
+   * Stop placing new calls. Calls already in progress finish normally.
+   */
+  async pauseCampaign(organizationId, campaignId) {
+    return this._setStatus(organizationId, campaignId, CAMPAIGN_STATUS.PAUSED, [CAMPAIGN_STATUS.RUNNING]);
+  }
+
+  async resumeCampaign(organizationId, campaignId) {
+    return this._setStatus(organizationId, campaignId, CAMPAIGN_STATUS.RUNNING, [CAMPAIGN_STATUS.PAUSED]);
+  }
+
+  /**
+   * @private
+   */
+  async _setStatus(organizationId, campaignId, status, allowedFrom) {
+    const result = await executeQuery(`
+      UPDATE campaigns SET status = $1, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND organization_id = $3 AND status = ANY($4::text[])
+      RETURNING *
+    `, [status, campaignId, organizationId, allowedFrom]);
+
+    if (result.rows.length === 0) {
+      const campaign = await this.getCampaign(organizationId, campaignId);
+      return campaign
+        ? { success: false, error: `Campaign is ${campaign.status} and cannot be set to ${status}` }
+        : { success: false, error: 'Campaign not found', notFound: true };
+    }
+
+    logger.info('Campaign status changed', { campaignId, status });
+    return { success: true, campaign: result.rows[0] };
+  }
+
+  /**
+   * One dispatcher pass over every running campaign. Skipped if the previous
+   * pass is still going.
+   */
+  async dispatch() {
+    if (this.isDispatching) {
+      return;
+    }
+    this.isDispatching = true;
+
+    try {
+      await this._expireStaleCalls();
+
+      const campaigns = await executeQuery(
+        'SELECT * FROM campaigns WHERE status = $1 AND start_at <= CURRENT_TIMESTAMP ORDER BY id ASC',
+        [CAMPAIGN_STATUS.RUNNING]
+      );
+
+      for (const campaign of campaigns.rows) {
+        try {
+          await this._dispatchCampaign(campaign);
+        } catch (error) {
+          logger.error('Campaign dispatch failed', { campaignId: campaign.id, error: error.message });
+        }
+      }
+    } catch (error) {
+      logger.error('Campaign dispatcher error', { error: error.message });
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _dispatchCampaign(campaign) {
+    const counts = await executeQuery(`
+      SELECT COUNT(*) FILTER (WHERE status = $2) AS calling,
+             COUNT(*) FILTER (WHERE status IN ($3, $4)) AS remaining
+      FROM campaign_contacts WHERE campaign_id = $1
+    `, [campaign.id, CONTACT_STATUS.CALLING, CONTACT_STATUS.PENDING, CONTACT_STATUS.RETRY]);
+
+    const calling = parseInt(counts.rows[0].calling);
+    const remaining = parseInt(counts.rows[0].remaining);
+
+    if (calling === 0 && remaining === 0) {
+      await executeQuery(
+        'UPDATE campaigns SET status = $1, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [CAMPAIGN_STATUS.COMPLETED, campaign.id]
+      );
+      logger.info('Campaign completed', { campaignId: campaign.id });
+      return;
+    }
+
+    const freeSlots = campaign.max_concurrent_calls - calling;
+    if (freeSlots <= 0 || remaining === 0) {
+      return;
+    }
+
+    const candidates = await executeQuery(`
+      SELECT * FROM campaign_contacts
+      WHERE campaign_id = $1 AND status IN ($2, $3)
+        AND (next_attempt_at IS NULL OR next_attempt_at <= CURRENT_TIMESTAMP)
+      ORDER BY next_attempt_at ASC NULLS FIRST, id ASC
+      LIMIT $4
+    `, [campaign.id, CONTACT_STATUS.PENDING, CONTACT_STATUS.RETRY, freeSlots * CANDIDATES_PER_SLOT]);
+
+    const now = this.now();
+    const due = candidates.rows
+      .filter(entry => this.isWithinCallingWindow(campaign, entry.timezone, now))
+      .slice(0, freeSlots);
+
+    if (due.length === 0) {
+      return;
+    }
+
+    const orgTwilio = await twilioService.forOrganization(campaign.organization_id);
+    if (!orgTwilio.isTwilioConfigured()) {
+      await executeQuery(
+        'UPDATE campaigns SET status = $1, last_error = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [CAMPAIGN_STATUS.PAUSED, 'Twilio is not configured', campaign.id]
+      );
+      logger.warn('Campaign paused, Twilio is not configured', { campaignId: campaign.id });
+      return;
+    }
+
+    const budgetCheck = await usageService.canStartCall(campaign.organization_id);
+    if (!budgetCheck.allowed) {
+      await executeQuery(
+        'UPDATE campaigns SET status = $1, last_error = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        [CAMPAIGN_STATUS.PAUSED, budgetCheck.reason, campaign.id]
+      );
+      logger.warn('Campaign paused, monthly budget reached', { campaignId: campaign.id });
+      return;
+    }
+
+    const agentResult = await executeQuery('SELECT * FROM agents WHERE agent_id = $1', [campaign.agent_id]);
+    const agent = agentResult.rows[0];
+
+    for (const entry of due) {
+      await this._placeCall(campaign, agent, orgTwilio, entry);
+    }
+  }
+
+  /**
+   * Claim a contact and call it (see _claimEntry)
+   * @private
+   */
+  async _placeCall(campaign, agent, orgTwilio, entry) {
+    // Campaign calls run on the agent's published version; without one there is nothing to call with
+    if (agent?.published_version == null) {
+      await executeQuery(`
+        UPDATE campaign_contacts
+        SET status = $1, disposition = $2, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3 AND status IN ($4, $5)
+      `, [CONTACT_STATUS.FAILED, 'agent-not-published', entry.id, CONTACT_STATUS.PENDING, CONTACT_STATUS.RETRY]);
+      logger.warn('Campaign contact failed, the agent has no published version', { campaignId: campaign.id, entryId: entry.id, agentId: campaign.agent_id });
+      return;
+    }
+
+    const claimed = await this._claimEntry(campaign, entry);
+    if (!claimed) {
+      return;
+    }
+
+    const callId = `call_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    await executeQuery(`
+      INSERT INTO calls (id, agent_id, phone_number, customer_name, status, organization_id, campaign_id, agent_version, started_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, 'initiating', $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [callId, campaign.agent_id, claimed.phone_number, claimed.customer_name || 'Unknown', campaign.organization_id, campaign.id, agent.published_version]);
+
+    await executeQuery(
+      'UPDATE campaign_contacts SET last_call_id = $1 WHERE id = $2',
+      [callId, claimed.id]
+    );
+
+    if (claimed.contact_id) {
+      await executeQuery(
+        'UPDATE contacts SET last_called = CURRENT_TIMESTAMP, call_count = call_count + 1 WHERE id = $1',
+        [claimed.contact_id]
+      );
+    }
+
+    try {
+      const twilioResult = await orgTwilio.initiateCall({
+        to: claimed.phone_number,
+        agent,
+        customerName: claimed.customer_name,
+        callId
+      });
+
+      if (!twilioResult.success) {
+        throw new Error(twilioResult.error || 'Failed to initiate call');
+      }
+
+      await executeQuery(
+        'UPDATE calls SET status = $1, twilio_call_sid = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+        ['initiated', twilioResult.callSid, callId]
+      );
+
+      logger.info('Campaign call placed', { campaignId: campaign.id, callId, attempt: claimed.attempts });
+    } catch (error) {
+      logger.warn('Campaign call could not be placed', { campaignId: campaign.id, callId, error: error.message });
+      await executeQuery(
+        'UPDATE calls SET status = $1, ended_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        ['failed', callId]
+      );
+      await this._recordOutcome(campaign, claimed, 'failed');
+    }
+  }
+
+  /**
+   * Claim a contact for calling. The claim is a conditional update, so two
+   * backend instances never call the same contact, and it only succeeds
+   * while the campaign has fewer than max_concurrent_calls contacts in
+   * "calling". Claims for a campaign hold its row lock, so each one counts the
+   * calls every other instance has placed.
+   * @private
+   * @returns {Promise<Object|null>} The claimed contact, or null when it was taken or no slot is free
+   */
+  async _claimEntry(campaign, entry) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM campaigns WHERE id = $1 FOR UPDATE', [campaign.id]);
+      const claim = await client.query(`
+        UPDATE campaign_contacts
+        SET status = $1, attempts = attempts + 1, last_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND status IN ($3, $4)
+          AND (SELECT COUNT(*) FROM campaign_contacts WHERE campaign_id = $5 AND status = $1) < $6
+        RETURNING *
+      `, [CONTACT_STATUS.CALLING, entry.id, CONTACT_STATUS.PENDING, CONTACT_STATUS.RETRY, campaign.id, campaign.max_concurrent_calls]);
+      await client.query('COMMIT');
+      return claim.rows[0] || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a campaign call's final Twilio status (from the call-status webhook)
+   */
+  async handleCallStatus(call, callStatus) {
+    if (!call.campaign_id || !FINAL_CALL_STATUSES.includes(callStatus)) {
+      return;
+    }
+
+    const [campaignResult, entryResult] = await Promise.all([
+      executeQuery('SELECT * FROM campaigns WHERE id = $1', [call.campaign_id]),
+      executeQuery(
+        'SELECT * FROM campaign_contacts WHERE campaign_id = $1 AND last_call_id = $2 AND status = $3',
+        [call.campaign_id, call.id, CONTACT_STATUS.CALLING]
+      )
+    ]);
+
+    if (campaignResult.rows.length === 0 || entryResult.rows.length === 0) {
+      return;
+    }
+
+    await this._recordOutcome(campaignResult.rows[0], entryResult.rows[0], callStatus);
+  }
+
+  /**
+   * Busy and no-answer go back in the queue until max_attempts; everything
+   * else is final.
+   * @private
+   */
+  async _recordOutcome(campaign, entry, outcome) {
+    const canRetry = RETRYABLE_CALL_STATUSES.includes(outcome) && entry.attempts < campaign.max_attempts;
+
+    if (canRetry) {
+      const delayMinutes = this.getRetryDelayMinutes(campaign, entry.attempts);
+      await executeQuery(`
+        UPDATE campaign_contacts
+        SET status = $1, disposition = $2, next_attempt_at = CURRENT_TIMESTAMP + ($3 * INTERVAL '1 minute'), updated_at = CURRENT_TIMESTAMP
+        WHERE id = $4
+      `, [CONTACT_STATUS.RETRY, outcome, delayMinutes, entry.id]);
+
+      logger.info('Campaign contact will be retried', { campaignId: campaign.id, entryId: entry.id, outcome, delayMinutes });
+      return;
+    }
+
+    const answered = outcome === 'completed';
+    await executeQuery(
+      'UPDATE campaign_contacts SET status = $1, disposition = $2, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [answered ? CONTACT_STATUS.COMPLETED : CONTACT_STATUS.FAILED, answered ? 'answered' : outcome, entry.id]
+    );
+
+    logger.info('Campaign contact finished', { campaignId: campaign.id, entryId: entry.id, outcome });
+  }
+
+  /**
+   * Contacts stuck in "calling" because a status callback was lost would
+   * otherwise hold a concurrency slot forever
+   * @private
+   */
+  async _expireStaleCalls() {
+    const stale = await executeQuery(`
+      SELECT cc.*, c.max_attempts, c.retry_delay_minutes
+      FROM campaign_contacts cc
+      JOIN campaigns c ON c.id = cc.campaign_id
+      WHERE cc.status = $1 AND cc.last_attempt_at < CURRENT_TIMESTAMP - ($2 * INTERVAL '1 minute')
+    `, [CONTACT_STATUS.CALLING, STALE_CALL_MINUTES]);
+
+    for (const entry of stale.rows) {
+      logger.warn('Campaign call never reported a final status', { campaignId: entry.campaign_id, callId: entry.last_call_id });
+      await this._recordOutcome(
+        { id: entry.campaign_id, max_attempts: entry.max_attempts, retry_delay_minutes: entry.retry_delay_minutes },
+        entry,
+        'no-status'
+      );
+    }
+  }
+}
+
+module.exports = new CampaignService();
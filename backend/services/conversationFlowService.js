@@ -0,0 +1,294 @@
+/**
+ * Conversation Flow Service
+ * Runs flow agents: instead of one free-form prompt, the conversation moves
+ * through nodes, each with its own instructions and tools. The agent's
+ * ai_prompt still applies to every node (personality, company facts).
+ *
+ * An agent's flow_definition:
+ *   startNodeId: 'greeting'
+ *   nodes: [{
+ *     id: 'greeting',
+ *     name: 'Greeting',
+ *     type: 'conversation' | 'end',     // the call hangs up after an end node replies
+ *     prompt: 'Find out why they are calling.',
+ *     tools: ['check_availability'],    // omitted: all of the agent's tools; []: none
+ *     transitions: [
+ *       { to: 'booking', type: 'llm', condition: 'The caller wants to book an appointment' },
+ *       { to: 'goodbye', type: 'keyword', keywords: ['bye', "that's all"] },
+ *       { to: 'confirmed', type: 'tool', tool: 'book_appointment' },
+ *       { to: 'handoff', type: 'turns', turns: 4 }
+ *     ],
+ *     position: { x: 0, y: 0 }          // where the editor draws it
+ *   }]
+ *
+ * Transitions are checked when the caller speaks, before the agent replies.
+ * Rule transitions (keyword, tool, turns) are tried first, in order; if none
+ * matches, the LLM judges the node's llm conditions. At most one transition
+ * is taken per caller turn.
+ */
+
+const logger = require('../utils/logger');
+const llmService = require('./llmService');
+
+const NODE_TYPES = ['conversation', 'end'];
+const TRANSITION_TYPES = ['llm', 'keyword', 'tool', 'turns'];
+const MAX_NODES = 50;
+// Messages the LLM sees when judging llm transitions
+const TRANSITION_CONTEXT_MESSAGES = 6;
+
+class ConversationFlowService {
+  constructor() {
+    this.llm = llmService;
+  }
+
+  /**
+   * Whether an agent runs a conversation flow
+   */
+  isFlowAgent(agent) {
+    return agent?.agent_type === 'flow' && Array.isArray(agent.flow_definition?.nodes);
+  }
+
+  /**
+   * Check a flow definition
+   * @param {Object} definition - A flow_definition
+   * @returns {string[]} Problems found; empty when the flow can run
+   */
+  validateDefinition(definition) {
+    const errors = [];
+    const nodes = definition?.nodes;
+
+    if (!Array.isArray(nodes) || nodes.length === 0) {
+      return ['A flow needs at least one node'];
+    }
+    if (nodes.length > MAX_NODES) {
+      errors.push(`A flow can have at most ${MAX_NODES} nodes`);
+    }
+
+    const ids = new Set();
+    nodes.forEach((node, index) => {
+      const label = node?.name || node?.id || `Node ${index + 1}`;
+
+      if (typeof node?.id !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(node.id)) {
+        errors.push(`${label}: id must be 1 to 50 letters, numbers, dashes or underscores`);
+      } else if (ids.has(node.id)) {
+        errors.push(`${label}: id "${node.id}" is used by more than one node`);
+      }
+      ids.add(node?.id);
+
+      if (node?.type && !NODE_TYPES.includes(node.type)) {
+        errors.push(`${label}: type must be conversation or end`);
+      }
+      if (typeof node?.prompt !== 'string' || node.prompt.trim().length === 0) {
+        errors.push(`${label}: instructions are required`);
+      }
+      if (node?.tools !== undefined && (!Array.isArray(node.tools) || !node.tools.every(tool => typeof tool === 'string'))) {
+        errors.push(`${label}: tools must be a list of tool names`);
+      }
+    });
+
+    nodes.forEach((node, index) => {
+      const label = node?.name || node?.id || `Node ${index + 1}`;
+      const transitions = node?.transitions || [];
+
+      if (!Array.isArray(transitions)) {
+        errors.push(`${label}: transitions must be a list`);
+        return;
+      }
+
+      transitions.forEach((transition, i) => {
+        const where = `${label}, transition ${i + 1}`;
+        if (!ids.has(transition?.to)) {
+          errors.push(`${where}: goes to an unknown node`);
+        }
+
+        switch (transition?.type) {
+          case 'llm':
+            if (!transition.condition?.trim()) errors.push(`${where}: a condition is required`);
+            break;
+          case 'keyword':
+            if (!Array.isArray(transition.keywords) || !transition.keywords.some(keyword => String(keyword).trim())) {
+              errors.push(`${where}: at least one keyword is required`);
+            }
+            break;
+          case 'tool':
+            if (!transition.tool?.trim()) errors.push(`${where}: a tool name is required`);
+            break;
+          case 'turns':
+            if (!Number.isInteger(transition.turns) || transition.turns < 1) {
+              errors.push(`${where}: turns must be a whole number of at least 1`);
+            }
+            break;
+          default:
+            errors.push(`${where}: type must be one of ${TRANSITION_TYPES.join(', ')}`);
+        }
+      });
+    });
+
+    if (definition.startNodeId && !ids.has(definition.startNodeId)) {
+      errors.push('The start node does not exist');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Flow state for a new conversation, at the start node
+   */
+  createState(definition) {
+    const startNodeId = definition.startNodeId || definition.nodes[0].id;
+    return this._enterNode({ path: [] }, startNodeId);
+  }
+
+  getNode(definition, nodeId) {
+    return definition.nodes.find(node => node.id === nodeId) || null;
+  }
+
+  /**
+   * Take the first transition whose condition is met, if any
+   * @param {Object} definition - The agent's flow_definition
+   * @param {Object} state - conversation.flow, updated in place
+   * @param {string} userInput - What the caller just said
+   * @param {Array} messages - The conversation so far, including userInput
+   * @param {Object} [usageContext] - { callId, turn } the condition check's tokens are recorded against
+   * @returns {Promise<Object|null>} The transition taken
+   */
+  async advance(definition, state, userInput, messages, usageContext = null) {
+    const node = this.getNode(definition, state.nodeId);
+    if (!node) {
+      return null;
+    }
+
+    state.nodeTurns++;
+
+    const transition = this.matchRule(node, state, userInput) || await this.judgeConditions(node, messages, usageContext);
+    if (!transition) {
+      return null;
+    }
+
+    logger.info('Flow transition', { from: node.id, to: transition.to, type: transition.type });
+    this._enterNode(state, transition.to);
+    return transition;
+  }
+
+  /**
+   * The first rule transition (keyword, tool, turns) that matches
+   */
+  matchRule(node, state, userInput) {
+    const input = String(userInput || '').toLowerCase();
+
+    return (node.transitions || []).find(transition => {
+      switch (transition.type) {
+        case 'keyword':
+          return transition.keywords.some(keyword => {
+            const phrase = String(keyword).trim().toLowerCase();
+            return phrase && input.includes(phrase);
+          });
+        case 'tool':
+          return state.toolsCalled.includes(transition.tool);
+        case 'turns':
+          return state.nodeTurns >= transition.turns;
+        default:
+          return false;
+      }
+    }) || null;
+  }
+
+  /**
+   * Ask the LLM which of a node's llm conditions the conversation meets.
+   * Any failure keeps the conversation where it is.
+   */
+  async judgeConditions(node, messages, usageContext = null) {
+    const candidates = (node.transitions || []).filter(transition => transition.type === 'llm');
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const transcript = messages
+      .filter(message => message.role === 'user' || (message.role === 'assistant' && message.content))
+      .slice(-TRANSITION_CONTEXT_MESSAGES)
+      .map(message => `${message.role === 'assistant' ? 'Agent' : 'Caller'}: ${message.content}`)
+      .join('\n');
+
+    try {
+      const reply = await this.llm.generateResponse([
+        {
+          role: 'system',
+          content: `You decide whether a phone conversation has moved on from its current step, "${node.name || node.id}".
+Conditions:
+${candidates.map((transition, index) => `${index + 1}. ${transition.condition}`).join('\n')}
+Reply with a JSON object {"condition": n} where n is the number of the first condition the conversation now meets, or 0 if none is met.`
+        },
+        { role: 'user', content: transcript }
+      ], {
+        temperature: 0,
+        maxTokens: 20,
+        timeout: 5000,
+        responseFormat: { type: 'json_object' },
+        usageContext: usageContext && { ...usageContext, purpose: 'flow' }
+      });
+
+      const choice = parseInt(JSON.parse(reply.content).condition);
+      return candidates[choice - 1] || null;
+    } catch (error) {
+      logger.warn('Flow condition check failed; staying on the current node', { nodeId: node.id, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Only the tools the node allows
+   * @param {Object} toolset - From aiFunctionService.getToolsForAgent
+   * @param {Object} node - The current node
+   */
+  filterToolset(toolset, node) {
+    if (!Array.isArray(node.tools)) {
+      return toolset;
+    }
+
+    return {
+      definitions: toolset.definitions.filter(tool => node.tools.includes(tool.function.name)),
+      handlers: new Map(Array.from(toolset.handlers).filter(([name]) => node.tools.includes(name)))
+    };
+  }
+
+  /**
+   * Note tools that succeeded on the current node, for tool transitions
+   */
+  recordToolResults(state, executionResults) {
+    executionResults
+      .filter(({ result }) => result?.success !== false)
+      .forEach(({ function: name }) => {
+        if (!state.toolsCalled.includes(name)) {
+          state.toolsCalled.push(name);
+        }
+      });
+  }
+
+  /**
+   * System prompt section for the current node
+   */
+  buildNodeInstructions(node) {
+    let instructions = `\n\nCURRENT STEP: ${node.name || node.id}\n${node.prompt.trim()}`;
+
+    if (node.type === 'end') {
+      instructions += '\nThis is the last step: wrap up and say goodbye in this reply. The call ends after it.';
+    } else {
+      instructions += '\nStay on this step; the conversation moves on to the next one automatically.';
+    }
+
+    return instructions;
+  }
+
+  _enterNode(state, nodeId) {
+    state.nodeId = nodeId;
+    state.nodeTurns = 0;
+    state.toolsCalled = [];
+    state.path.push(nodeId);
+    return state;
+  }
+}
+
+// Create singleton instance
+const conversationFlowService = new ConversationFlowService();
+
+module.exports = conversationFlowService;
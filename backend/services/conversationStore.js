@@ -0,0 +1,225 @@
+/**
+ * Conversation Store
+ * Holds live call state (conversation context, function-call state, active
+ * Twilio calls) so calls survive restarts and work across backend instances.
+ *
+ * Messages are not duplicated here: they are written to the conversations
+ * table as they happen and read back from it when a conversation is rehydrated.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { executeQuery } = require('../database/connection');
+const agentVersionService = require('./agentVersionService');
+
+const CONVERSATION_NAMESPACE = 'conversation';
+
+// Conversation fields that are loaded from their own tables rather than stored
+const NON_PERSISTED_FIELDS = ['agent', 'messages'];
+
+/**
+ * Single-process store. State is lost on restart; use for local development.
+ * Entries are copied in and out, so callers see the same thing they would from
+ * Postgres: changes only count once they are saved.
+ */
+class InMemoryConversationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  _key(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  async getConversation(callId) {
+    return this.getState(CONVERSATION_NAMESPACE, callId);
+  }
+
+  async saveConversation(conversation) {
+    await this.setState(CONVERSATION_NAMESPACE, conversation.callId, conversation);
+  }
+
+  async deleteConversation(callId) {
+    return this.deleteState(CONVERSATION_NAMESPACE, callId);
+  }
+
+  async listConversations() {
+    const conversations = await this.listState(CONVERSATION_NAMESPACE);
+    return conversations.map(conversation => ({
+      ...conversation,
+      agentName: conversation.agent?.name,
+      messageCount: conversation.messages.length
+    }));
+  }
+
+  async getState(namespace, key) {
+    const entry = this.entries.get(this._key(namespace, key));
+    return entry ? structuredClone(entry.data) : null;
+  }
+
+  async setState(namespace, key, data) {
+    this.entries.set(this._key(namespace, key), { namespace, data: structuredClone(data), updatedAt: Date.now() });
+  }
+
+  async deleteState(namespace, key) {
+    return this.entries.delete(this._key(namespace, key));
+  }
+
+  async listState(namespace) {
+    return Array.from(this.entries.values())
+      .filter(entry => entry.namespace === namespace)
+      .map(entry => structuredClone(entry.data));
+  }
+
+  async deleteOlderThan(cutoff) {
+    let deleted = 0;
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.updatedAt < cutoff.getTime()) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+}
+
+/**
+ * Postgres-backed store shared by every backend instance
+ */
+class PostgresConversationStore {
+  async getConversation(callId) {
+    const stored = await this.getState(CONVERSATION_NAMESPACE, callId);
+    const conversation = stored || await this._conversationFromCall(callId);
+
+    if (!conversation) {
+      return null;
+    }
+
+    const [agent, messagesResult] = await Promise.all([
+      agentVersionService.loadAgentForCall(conversation.agentId, callId),
+      executeQuery('SELECT role, content FROM conversations WHERE call_id = $1 ORDER BY timestamp ASC', [callId])
+    ]);
+
+    if (!agent) {
+      logger.warn('Cannot rehydrate conversation, agent no longer exists', { callId, agentId: conversation.agentId });
+      return null;
+    }
+
+    logger.info('Conversation rehydrated', { callId, messageCount: messagesResult.rows.length });
+
+    return {
+      ...conversation,
+      agent,
+      messages: messagesResult.rows.map(({ role, content }) => ({ role, content })),
+      startTime: new Date(conversation.startTime)
+    };
+  }
+
+  /**
+   * Calls that started before conversation state was persisted only have
+   * their call row and transcript to go on.
+   * @private
+   */
+  async _conversationFromCall(callId) {
+    const result = await executeQuery(
+      'SELECT id, agent_id, phone_number, customer_name, started_at FROM calls WHERE id = $1',
+      [callId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const call = result.rows[0];
+    return {
+      callId: call.id,
+      agentId: call.agent_id,
+      customerPhone: call.phone_number,
+      customerName: call.customer_name,
+      startTime: call.started_at
+    };
+  }
+
+  async saveConversation(conversation) {
+    const data = { ...conversation };
+    NON_PERSISTED_FIELDS.forEach(field => delete data[field]);
+
+    await this.setState(CONVERSATION_NAMESPACE, conversation.callId, data);
+  }
+
+  async deleteConversation(callId) {
+    return this.deleteState(CONVERSATION_NAMESPACE, callId);
+  }
+
+  async listConversations() {
+    const result = await executeQuery(
+      `SELECT s.data, a.name AS agent_name,
+              (SELECT COUNT(*) FROM conversations c WHERE c.call_id = s.key) AS message_count
+       FROM conversation_state s
+       LEFT JOIN agents a ON a.agent_id = s.data->>'agentId'
+       WHERE s.namespace = $1
+       ORDER BY s.created_at ASC`,
+      [CONVERSATION_NAMESPACE]
+    );
+
+    return result.rows.map(row => ({
+      ...row.data,
+      agentName: row.agent_name,
+      messageCount: parseInt(row.message_count),
+      startTime: new Date(row.data.startTime)
+    }));
+  }
+
+  async getState(namespace, key) {
+    const result = await executeQuery(
+      'SELECT data FROM conversation_state WHERE namespace = $1 AND key = $2',
+      [namespace, key]
+    );
+    return result.rows[0]?.data || null;
+  }
+
+  async setState(namespace, key, data) {
+    await executeQuery(
+      `INSERT INTO conversation_state (namespace, key, data, created_at, updated_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (namespace, key) DO UPDATE SET data = EXCLUDED.data, updated_at = CURRENT_TIMESTAMP`,
+      [namespace, key, JSON.stringify(data)]
+    );
+  }
+
+  async deleteState(namespace, key) {
+    const result = await executeQuery(
+      'DELETE FROM conversation_state WHERE namespace = $1 AND key = $2',
+      [namespace, key]
+    );
+    return result.rowCount > 0;
+  }
+
+  async listState(namespace) {
+    const result = await executeQuery(
+      'SELECT data FROM conversation_state WHERE namespace = $1 ORDER BY created_at ASC',
+      [namespace]
+    );
+    return result.rows.map(row => row.data);
+  }
+
+  async deleteOlderThan(cutoff) {
+    const result = await executeQuery('DELETE FROM conversation_state WHERE updated_at < $1', [cutoff]);
+    return result.rowCount;
+  }
+}
+
+const createConversationStore = (type = config.get('conversations.store')) => {
+  if (type === 'memory') {
+    logger.warn('Using in-memory conversation store; live calls will not survive a restart');
+    return new InMemoryConversationStore();
+  }
+
+  if (type !== 'postgres') {
+    logger.warn('Unknown conversation store, falling back to postgres', { type });
+  }
+
+  return new PostgresConversationStore();
+};
+
+module.exports = createConversationStore();
@@ -3,9 +3,62 @@
  * Manages user-defined functions with their configurations (like Retell AI)
  */
 
+const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const { assertPublicUrl, OUTBOUND_REQUEST_OPTIONS } = require('../utils/outboundUrl');
 const databaseService = require('./postgresDatabaseService');
+const outgoingWebhookService = require('./outgoingWebhookService');
+
+const FUNCTION_TYPES = ['calcom', 'check_availability', 'book_appointment', 'internal', 'utility', 'webhook'];
+
+// Webhook results are handed to the LLM, so keep them short
+const MAX_WEBHOOK_RESULT_LENGTH = 2000;
+
+/**
+ * Resolve a dotted path such as "data.items[0].name" against an object
+ */
+const getValueAtPath = (source, path) => {
+  return String(path)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+};
+
+/**
+ * Fill {{path}} placeholders in a template. A string that is exactly one
+ * placeholder keeps the value's type (numbers, objects); placeholders inside
+ * longer strings are converted to text. Objects and arrays are rendered recursively.
+ */
+const renderTemplate = (template, variables, encode = value => value) => {
+  if (typeof template === 'string') {
+    const single = template.match(/^\{\{\s*([\w.[\]]+)\s*\}\}$/);
+    if (single) {
+      return getValueAtPath(variables, single[1]) ?? null;
+    }
+
+    return template.replace(/\{\{\s*([\w.[\]]+)\s*\}\}/g, (match, path) => {
+      const value = getValueAtPath(variables, path);
+      if (value === undefined || value === null) {
+        return '';
+      }
+      return encode(typeof value === 'object' ? JSON.stringify(value) : String(value));
+    });
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, variables, encode));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, renderTemplate(value, variables, encode)])
+    );
+  }
+
+  return template;
+};
 
 class CustomFunctionService {
   constructor() {
@@ -39,7 +92,9 @@ class CustomFunctionService {
         timezone = 'UTC',
         functionType = 'calcom', // calcom, internal, utility
         parameters = {},
-        userId = 'default'
+        config: functionSettings = {},
+        userId = 'default',
+        organizationId = null
       } = functionData;
 
       // Validate required fields
@@ -47,10 +102,18 @@ class CustomFunctionService {
         throw new Error('Function name and description are required');
       }
 
+      if (!FUNCTION_TYPES.includes(functionType)) {
+        throw new Error(`Unknown function type: ${functionType}`);
+      }
+
       if (functionType === 'calcom' && (!apiKey || !eventTypeId)) {
         throw new Error('API key and Event Type ID are required for Cal.com functions');
       }
 
+      if (functionType === 'webhook') {
+        await this._validateWebhookConfig(functionSettings);
+      }
+
       const functionId = `func_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       const functionConfig = {
@@ -62,16 +125,18 @@ class CustomFunctionService {
         timezone,
         functionType,
         parameters,
+        config: functionSettings,
         userId,
+        organizationId,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
       // Store in database
-      await databaseService.createCustomFunction(functionConfig);
+      const storedFunction = await databaseService.createCustomFunction(functionConfig);
       
       // Register the function
-      this._registerFunction(functionConfig);
+      this._registerFunction(storedFunction);
  
       logger.info('Custom function created', { functionId, name, functionType });
       
@@ -91,11 +156,11 @@ class CustomFunctionService {
   }
 
   /**
-   * Get all custom functions for a user
+   * Get all custom functions for an organization
    */
-  async getFunctions(userId = 'default') {
+  async getFunctions(organizationId) {
     try {
-      const functions = await databaseService.getCustomFunctions(userId);
+      const functions = await databaseService.getCustomFunctions(organizationId);
       return {
         success: true,
         functions
@@ -109,15 +174,46 @@ class CustomFunctionService {
     }
   }
 
+  /**
+   * Get a custom function owned by an organization
+   */
+  async getFunctionById(functionId, organizationId) {
+    try {
+      const functionData = await databaseService.getCustomFunction(functionId, organizationId);
+
+      if (!functionData) {
+        return {
+          success: false,
+          error: 'Function not found'
+        };
+      }
+
+      return {
+        success: true,
+        function: functionData
+      };
+    } catch (error) {
+      logger.error('Error getting custom function', { error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Update a custom function
    */
-  async updateFunction(functionId, updateData) {
+  async updateFunction(functionId, updateData, organizationId) {
     try {
+      if (updateData.functionType === 'webhook' && updateData.config) {
+        await this._validateWebhookConfig(updateData.config);
+      }
+
       const updatedFunction = await databaseService.updateCustomFunction(functionId, {
         ...updateData,
         updatedAt: new Date().toISOString()
-      });
+      }, organizationId);
 
       if (updatedFunction) {
         // Re-register the function
@@ -146,13 +242,14 @@ class CustomFunctionService {
   /**
    * Delete a custom function
    */
-  async deleteFunction(functionId) {
+  async deleteFunction(functionId, organizationId) {
     try {
-      const deleted = await databaseService.deleteCustomFunction(functionId);
+      const existing = await databaseService.getCustomFunction(functionId, organizationId);
+      const deleted = existing && await databaseService.deleteCustomFunction(functionId, organizationId);
       
       if (deleted) {
         // Remove from registry
-        this.functions.delete(functionId);
+        this.functions.delete(this._registryKey(existing.name, organizationId));
         
         logger.info('Custom function deleted', { functionId });
         return {
@@ -173,12 +270,22 @@ class CustomFunctionService {
     }
   }
 
+  /**
+   * Registry key for a function name; names only need to be unique within an organization
+   */
+  _registryKey(functionName, organizationId) {
+    return `${organizationId || 'default'}:${functionName}`;
+  }
+
   /**
    * Register a function in the registry
    */
   _registerFunction(functionConfig) {
-    const { id, name, function_type, apiKey, eventTypeId, timezone, parameters } = functionConfig;
-    const functionType = function_type; // Map database field to expected variable name
+    const { name, apiKey, eventTypeId, timezone } = functionConfig;
+    // Database rows use function_type/function_id and keep settings in config; new functions are camelCase
+    const id = functionConfig.function_id || functionConfig.id;
+    const functionType = functionConfig.function_type || functionConfig.functionType;
+    const parameters = functionConfig.parameters || functionConfig.config?.parameters || {};
     
     // Create function implementation based on type
     let implementation;
@@ -190,8 +297,8 @@ class CustomFunctionService {
         // Extract API key and event type ID from nested config
         const config = functionConfig.config || {};
         const nestedConfig = config.config || {};
-        const userApiKey = nestedConfig.api_key || config.api_key || apiKey;
-        const userEventTypeId = nestedConfig.event_type_id || config.event_type_id || eventTypeId;
+        const userApiKey = nestedConfig.api_key || config.api_key || config.apiKey || apiKey;
+        const userEventTypeId = nestedConfig.event_type_id || config.event_type_id || config.eventTypeId || eventTypeId;
         const userTimezone = nestedConfig.timezone || config.timezone || timezone;
         implementation = this._createCalComFunction(userApiKey, userEventTypeId, userTimezone, parameters);
         break;
@@ -201,11 +308,15 @@ class CustomFunctionService {
       case 'utility':
         implementation = this._createUtilityFunction(parameters);
         break;
+      case 'webhook':
+        implementation = this._createWebhookFunction(functionConfig.config?.config || {});
+        break;
       default:
         throw new Error(`Unknown function type: ${functionType}`);
     }
 
-    this.functions.set(name, {
+    const organizationId = functionConfig.organization_id || functionConfig.organizationId;
+    this.functions.set(this._registryKey(name, organizationId), {
       id,
       config: functionConfig,
       implementation
@@ -270,6 +381,14 @@ class CustomFunctionService {
 
           const result = await externalCalendarService.createBooking(eventTypeId, bookingData);
 
+          if (result.success) {
+            outgoingWebhookService.emit('booking.created', {
+              bookingId: result.bookingId,
+              provider: 'calcom',
+              ...bookingData
+            }, { callId: context.callId, agentId: context.agentId, organizationId: context.organizationId });
+          }
+
           return {
             success: true,
             bookingId: result.bookingId,
@@ -322,11 +441,184 @@ class CustomFunctionService {
     };
   }
 
+  /**
+   * Create webhook function implementation
+   */
+  _createWebhookFunction(webhookConfig) {
+    return async (args, context) => this.executeWebhook(webhookConfig, args, context);
+  }
+
+  /**
+   * Check a webhook configuration before it is saved
+   */
+  async _validateWebhookConfig(webhookConfig) {
+    const url = webhookConfig.url || webhookConfig.endpoint;
+    if (!url) {
+      throw new Error('URL is required for webhook functions');
+    }
+
+    if (!/^https?:\/\//i.test(url)) {
+      throw new Error('Webhook URL must start with http:// or https://');
+    }
+
+    // A host built from placeholders is only known once rendered, and is checked before each call
+    const host = url.replace(/^https?:\/\//i, '').split(/[/?#]/)[0];
+    if (!host.includes('{{')) {
+      await assertPublicUrl(url);
+    }
+
+    const method = (webhookConfig.method || 'POST').toUpperCase();
+    if (!['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+      throw new Error(`Unsupported webhook method: ${method}`);
+    }
+  }
+
+  /**
+   * Call an HTTP webhook on behalf of the LLM.
+   *
+   * Config: url, method, headers, bodyTemplate, timeoutMs, retries, responsePath.
+   * The url, headers and bodyTemplate may use {{args.<name>}} for LLM arguments
+   * and {{call.callId}}, {{call.agentId}}, {{call.callerPhone}}, {{call.customerName}}
+   * for call context. Without a bodyTemplate the LLM arguments are sent as-is
+   * (as the query string for GET and DELETE).
+   */
+  async executeWebhook(webhookConfig, args = {}, context = {}) {
+    await this._validateWebhookConfig(webhookConfig);
+
+    const method = (webhookConfig.method || 'POST').toUpperCase();
+    const timeout = parseInt(webhookConfig.timeoutMs || webhookConfig.timeout) || 10000;
+    const retries = Math.max(parseInt(webhookConfig.retries) || 0, 0);
+    const responsePath = webhookConfig.responsePath || webhookConfig.response_path;
+    let bodyTemplate = webhookConfig.bodyTemplate ?? webhookConfig.body_template;
+
+    // Templates entered as text are usually JSON with placeholders inside quoted strings
+    if (typeof bodyTemplate === 'string') {
+      try {
+        bodyTemplate = JSON.parse(bodyTemplate);
+      } catch (error) {
+        // Plain-text body
+      }
+    }
+
+    const variables = {
+      args,
+      call: {
+        callId: context.callId,
+        agentId: context.agentId,
+        callerPhone: context.customerPhone,
+        customerName: context.customerName,
+        organizationId: context.organizationId
+      }
+    };
+
+    const request = {
+      ...OUTBOUND_REQUEST_OPTIONS,
+      method,
+      url: renderTemplate(webhookConfig.url || webhookConfig.endpoint, variables, encodeURIComponent),
+      headers: renderTemplate(webhookConfig.headers || {}, variables),
+      timeout
+    };
+
+    try {
+      await assertPublicUrl(request.url);
+    } catch (error) {
+      logger.warn('Webhook function URL refused', { url: request.url, error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    if (bodyTemplate !== undefined && bodyTemplate !== null && bodyTemplate !== '') {
+      request.data = renderTemplate(bodyTemplate, variables);
+    } else if (['GET', 'DELETE'].includes(method)) {
+      request.params = args;
+    } else {
+      request.data = args;
+    }
+
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const response = await axios(request);
+        const value = responsePath ? getValueAtPath(response.data, responsePath) : response.data;
+
+        logger.info('Webhook function called', { url: request.url, method, status: response.status, attempt });
+
+        return {
+          success: true,
+          status: response.status,
+          data: this._trimWebhookResult(value)
+        };
+      } catch (error) {
+        const status = error.response?.status;
+        // Timeouts, network errors, rate limits and server errors are worth another try
+        const retryable = !status || status === 429 || status >= 500;
+
+        logger.warn('Webhook function call failed', { url: request.url, method, status, attempt, error: error.message });
+
+        if (!retryable || attempt === retries) {
+          return {
+            success: false,
+            status,
+            error: status ? `Webhook responded with HTTP ${status}` : error.message,
+            data: error.response ? this._trimWebhookResult(error.response.data) : undefined
+          };
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500 * (attempt + 1)));
+      }
+    }
+  }
+
+  /**
+   * Cap the size of a webhook result before it is handed to the LLM
+   */
+  _trimWebhookResult(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text === undefined || text.length <= MAX_WEBHOOK_RESULT_LENGTH) {
+      return value;
+    }
+    return `${text.slice(0, MAX_WEBHOOK_RESULT_LENGTH)}... [truncated]`;
+  }
+
+  /**
+   * Run a saved function with sample arguments outside of a call
+   */
+  async testFunction(functionId, params = {}, organizationId) {
+    try {
+      const functionData = await databaseService.getCustomFunction(functionId, organizationId);
+      if (!functionData) {
+        return {
+          success: false,
+          error: 'Function not found'
+        };
+      }
+
+      this._registerFunction(functionData);
+
+      const result = await this.executeFunction(functionData.name, params, {
+        callId: 'test-call',
+        agentId: 'test-agent',
+        organizationId,
+        customerPhone: '+15555550100',
+        customerName: 'Test Caller'
+      });
+
+      return {
+        success: true,
+        result
+      };
+    } catch (error) {
+      logger.error('Error testing custom function', { functionId, error: error.message });
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Execute a custom function
    */
   async executeFunction(functionName, args = {}, context = {}) {
-    const functionData = this.functions.get(functionName);
+    const functionData = this.functions.get(this._registryKey(functionName, context.organizationId));
     
     if (!functionData) {
       throw new Error(`Custom function '${functionName}' not found`);
@@ -353,22 +645,45 @@ class CustomFunctionService {
   /**
    * Get function by name
    */
-  getFunction(functionName) {
-    return this.functions.get(functionName);
+  getFunction(functionName, organizationId) {
+    return this.functions.get(this._registryKey(functionName, organizationId));
   }
 
   /**
    * Check if function exists
    */
-  hasFunction(functionName) {
-    return this.functions.has(functionName);
+  hasFunction(functionName, organizationId) {
+    return this.functions.has(this._registryKey(functionName, organizationId));
+  }
+
+  /**
+   * Get all registered function names for an organization
+   */
+  getAllFunctionNames(organizationId) {
+    const prefix = this._registryKey('', organizationId);
+    return Array.from(this.functions.keys())
+      .filter(key => key.startsWith(prefix))
+      .map(key => key.slice(prefix.length));
   }
 
   /**
-   * Get all registered function names
+   * Load an organization's functions from the database and (re)register them,
+   * so every backend instance executes the current configuration
    */
-  getAllFunctionNames() {
-    return Array.from(this.functions.keys());
+  async loadFunctionsForOrganization(organizationId) {
+    const functions = await databaseService.getCustomFunctions(organizationId);
+    const loaded = [];
+
+    for (const func of functions) {
+      try {
+        this._registerFunction(func);
+        loaded.push(func);
+      } catch (error) {
+        logger.warn('Skipping custom function that cannot be registered', { functionId: func.function_id, error: error.message });
+      }
+    }
+
+    return loaded;
   }
 
   /**
@@ -0,0 +1,243 @@
+/**
+ * Deepgram Speech-to-Text Service
+ * Cloud STT provider (see sttService). Live transcription for Media Streams
+ * calls over Deepgram's streaming API, and prerecorded transcription for
+ * recorded turns. Streaming audio goes in as 16-bit PCM; partial and
+ * end-of-utterance transcripts come back through callbacks.
+ */
+
+const axios = require('axios');
+const WebSocket = require('ws');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const DEEPGRAM_LISTEN_URL = 'wss://api.deepgram.com/v1/listen';
+const DEEPGRAM_PRERECORDED_URL = 'https://api.deepgram.com/v1/listen';
+
+// Intensifier applied to agent vocabulary on models that take keywords
+const KEYWORD_BOOST = 2;
+
+// Deepgram closes idle streams after ~10s without audio or a KeepAlive
+const KEEPALIVE_INTERVAL_MS = 5000;
+
+/**
+ * One live transcription stream (one per call)
+ */
+class StreamingSttSession {
+  constructor({ url, apiKey, onTranscript, onSpeechStarted, onError }) {
+    this.onTranscript = onTranscript || (() => {});
+    this.onSpeechStarted = onSpeechStarted || (() => {});
+    this.onError = onError || (() => {});
+    this.pendingAudio = [];
+    this.finalSegments = [];
+    this.closed = false;
+
+    this.socket = new WebSocket(url, { headers: { Authorization: `Token ${apiKey}` } });
+
+    this.socket.on('open', () => {
+      this.pendingAudio.forEach(chunk => this.socket.send(chunk));
+      this.pendingAudio = [];
+      this.keepAlive = setInterval(() => this._sendControl('KeepAlive'), KEEPALIVE_INTERVAL_MS);
+    });
+
+    this.socket.on('message', (data) => {
+      try {
+        this._handleMessage(JSON.parse(data));
+      } catch (error) {
+        logger.error('Error parsing speech-to-text message', { error: error.message });
+      }
+    });
+
+    this.socket.on('error', (error) => {
+      logger.error('Speech-to-text stream error', { error: error.message });
+      this.onError(error);
+    });
+
+    this.socket.on('close', () => {
+      clearInterval(this.keepAlive);
+    });
+  }
+
+  /**
+   * Send caller audio
+   * @param {Buffer} pcm - 16-bit PCM at the session's sample rate
+   */
+  sendAudio(pcm) {
+    if (this.closed) {
+      return;
+    }
+
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(pcm);
+    } else if (this.socket.readyState === WebSocket.CONNECTING) {
+      this.pendingAudio.push(pcm);
+    }
+  }
+
+  /**
+   * Finish the stream; Deepgram flushes any last transcript before closing
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.keepAlive);
+
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this._sendControl('CloseStream');
+    } else {
+      this.socket.terminate();
+    }
+  }
+
+  _sendControl(type) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type }));
+    }
+  }
+
+  _handleMessage(message) {
+    switch (message.type) {
+      case 'SpeechStarted':
+        this.onSpeechStarted();
+        break;
+
+      case 'Results': {
+        const transcript = message.channel?.alternatives?.[0]?.transcript || '';
+
+        if (message.is_final && transcript) {
+          this.finalSegments.push(transcript);
+        }
+
+        const utterance = [...this.finalSegments, message.is_final ? '' : transcript].join(' ').trim();
+        if (!utterance) {
+          break;
+        }
+
+        // speech_final marks the end of the caller's turn (endpointing)
+        if (message.speech_final) {
+          this._emitUtterance();
+        } else {
+          this.onTranscript({ text: utterance, isFinal: false });
+        }
+        break;
+      }
+
+      // Backstop for noisy lines where endpointing never fires
+      case 'UtteranceEnd':
+        this._emitUtterance();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  _emitUtterance() {
+    const text = this.finalSegments.join(' ').trim();
+    this.finalSegments = [];
+    if (text) {
+      this.onTranscript({ text, isFinal: true });
+    }
+  }
+}
+
+class DeepgramSttService {
+  constructor() {
+    this.name = 'deepgram';
+    this.label = 'Deepgram';
+    this.supportsStreaming = true;
+    this.apiKey = config.get('deepgram.apiKey');
+  }
+
+  /**
+   * Check if Deepgram is available
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Open a live transcription stream
+   * @param {Object} options - { sampleRate, language, keywords, onTranscript, onSpeechStarted, onError }
+   * @returns {StreamingSttSession} Session to send audio to
+   */
+  createSession(options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Deepgram speech-to-text is not configured (DEEPGRAM_API_KEY)');
+    }
+
+    const params = this._buildParams(options);
+    params.set('encoding', 'linear16');
+    params.set('sample_rate', String(options.sampleRate || 8000));
+    params.set('channels', '1');
+    params.set('interim_results', 'true');
+    params.set('vad_events', 'true');
+    params.set('endpointing', String(config.get('deepgram.endpointingMs')));
+    params.set('utterance_end_ms', '1000');
+
+    return new StreamingSttSession({
+      url: `${DEEPGRAM_LISTEN_URL}?${params.toString()}`,
+      apiKey: this.apiKey,
+      onTranscript: options.onTranscript,
+      onSpeechStarted: options.onSpeechStarted,
+      onError: options.onError
+    });
+  }
+
+  /**
+   * Transcribe a recorded utterance
+   * @param {Buffer} audio - Encoded audio (WAV, MP3, ...)
+   * @param {Object} options - { language, keywords, mimeType }
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async transcribe(audio, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Deepgram speech-to-text is not configured (DEEPGRAM_API_KEY)');
+    }
+
+    const params = this._buildParams(options);
+    const response = await axios.post(`${DEEPGRAM_PRERECORDED_URL}?${params.toString()}`, audio, {
+      headers: {
+        Authorization: `Token ${this.apiKey}`,
+        'Content-Type': options.mimeType || 'audio/wav'
+      },
+      timeout: 15000
+    });
+
+    const alternative = response.data?.results?.channels?.[0]?.alternatives?.[0];
+    return {
+      text: (alternative?.transcript || '').trim(),
+      confidence: alternative?.confidence ?? 0
+    };
+  }
+
+  /**
+   * Model, language and vocabulary parameters shared by both APIs
+   */
+  _buildParams({ language, keywords = [] }) {
+    const model = config.get('deepgram.model');
+    const params = new URLSearchParams({
+      model,
+      language: language || config.get('stt.language'),
+      smart_format: 'true'
+    });
+
+    // Nova-3 boosts key terms; earlier models take weighted keywords
+    keywords.forEach(keyword => {
+      if (model.startsWith('nova-3')) {
+        params.append('keyterm', keyword);
+      } else {
+        params.append('keywords', `${keyword}:${KEYWORD_BOOST}`);
+      }
+    });
+
+    return params;
+  }
+}
+
+// Create singleton instance
+const deepgramSttService = new DeepgramSttService();
+
+module.exports = deepgramSttService;
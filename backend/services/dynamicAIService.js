@@ -6,34 +6,47 @@
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const databaseService = require('./postgresDatabaseService');
-const { executeQuery } = require('../database/connection');
 const llmService = require('./llmService');
 // AI function calling
 const aiFunctionService = require('./retellAIStyleService'); // Advanced AI function caller
-const externalCalendarService = require('./externalCalendarService'); // Cal.com integration
-const calendarService = require('./calendarService'); // Internal calendar
+const conversationStore = require('./conversationStore'); // Live conversation state
+const conversationFlowService = require('./conversationFlowService'); // Node-based flow agents
+const agentVersionService = require('./agentVersionService'); // Published and draft agent versions
+const knowledgeBaseService = require('./knowledgeBaseService'); // Document passages for the prompt
+
+// Tool-calling rounds allowed per turn before the model must answer
+const MAX_TOOL_ROUNDS = 5;
+
+// What a silent caller hears (see handleSilence)
+const SILENCE_REPROMPT = "Sorry, I didn't hear anything. Are you still there?";
+const SILENCE_GOODBYE = "I haven't heard from you, so I'll end the call now. Goodbye!";
+
+// How long a conversation has been going, whether its start time is a Date or was read back as a string
+const elapsedMs = (conversation) => Date.now() - new Date(conversation.startTime).getTime();
 
 class DynamicAIService {
   constructor() {
-    // Active conversations storage
-    this.conversations = new Map();
+    // Active conversations live in the store so they survive restarts
+    // and can be picked up by any backend instance
+    this.store = conversationStore;
     
     // Simple function calling initialized
     
-    // Cleanup old conversations every hour
-    setInterval(() => this.cleanupOldConversations(), 60 * 60 * 1000);
+    // Cleanup old conversations every hour; the server keeps the process alive, not this timer
+    setInterval(() => this.cleanupOldConversations(), 60 * 60 * 1000).unref();
   }
 
   // Simple function calling system
 
   /**
-   * Initialize conversation with custom agent
+   * Initialize conversation with custom agent.
+   * context.direction is 'outbound' (default) or 'inbound'; context.caller
+   * carries what is known about an inbound caller (see buildCallerContext).
    */
-  async initializeConversation(callId, agentId, customerPhone = null, customerName = null) {
+  async initializeConversation(callId, agentId, customerPhone = null, customerName = null, context = {}) {
     try {
-      // Get agent configuration from database
-      const agentResult = await executeQuery('SELECT * FROM agents WHERE agent_id = $1', [agentId]);
-      const agent = agentResult.rows[0];
+      // Get agent configuration from database, at the version the call runs on
+      const agent = await agentVersionService.loadAgentForCall(agentId, callId);
       if (!agent) {
         throw new Error('Agent not found');
       }
@@ -45,15 +58,19 @@ class DynamicAIService {
         agent: agent,
         customerPhone,
         customerName,
+        direction: context.direction || 'outbound',
+        caller: context.caller || null,
+        // Flow agents track which node the conversation is on
+        flow: conversationFlowService.isFlowAgent(agent) ? conversationFlowService.createState(agent.flow_definition) : null,
         messages: [],
         startTime: new Date()
       };
 
       // Store conversation
-      this.conversations.set(callId, conversation);
+      await this.store.saveConversation(conversation);
 
       // Generate initial greeting using the agent's custom prompt
-      const greeting = await this.generateResponse(callId, null, 'greeting');
+      const greeting = await this.generateResponse(callId, null, 'greeting', conversation);
 
       // Debug: Log the actual greeting content
       logger.info('Generated greeting', { 
@@ -64,7 +81,7 @@ class DynamicAIService {
 
       // Add greeting to conversation
       conversation.messages.push({ role: 'assistant', content: greeting });
-      this.conversations.set(callId, conversation);
+      await this.store.saveConversation(conversation);
 
       // Store in database
       await databaseService.addConversationMessage(callId, 'assistant', greeting);
@@ -98,11 +115,13 @@ class DynamicAIService {
   }
 
   /**
-   * Process user input with custom agent
+   * Process user input with custom agent.
+   * options.onTextDelta streams the reply as it is generated (Media Streams calls).
    */
-  async processUserInput(callId, userInput, customerPhone = null) {
+  async processUserInput(callId, userInput, customerPhone = null, options = {}) {
     try {
-      const conversation = this.conversations.get(callId);
+      // Rehydrated from the store when this process has not seen the call
+      const conversation = await this.store.getConversation(callId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
@@ -122,23 +141,70 @@ class DynamicAIService {
 
       // Add user message to conversation
       conversation.messages.push({ role: 'user', content: normalizedInput });
-      this.conversations.set(callId, conversation);
+      // The caller spoke, so earlier silences no longer count towards hanging up
+      conversation.silentReprompts = 0;
 
       // Store in database
       await databaseService.addConversationMessage(callId, 'user', normalizedInput);
 
+      // Flow agents may move to another node before replying
+      if (conversation.flow && conversationFlowService.isFlowAgent(agent)) {
+        await conversationFlowService.advance(agent.flow_definition, conversation.flow, userInput, conversation.messages, {
+          callId,
+          turn: conversation.messages.filter(message => message.role === 'user').length
+        });
+      }
+
+      // Passages from the agent's knowledge bases go into this turn's prompt
+      const knowledge = await this.findKnowledge(conversation, userInput);
+
+      // A call at its turn or duration limit ends after this reply, which is asked to wrap up
+      const limitReached = this.getLimitReached(conversation);
+
       // Generate AI response using custom prompt
-      const aiResponse = await this.generateResponse(callId, userInput, 'conversation');
+      const aiResponse = await this.generateResponse(callId, userInput, 'conversation', conversation, {
+        ...options,
+        knowledge,
+        finalTurn: Boolean(limitReached)
+      });
 
       // Add AI response to conversation
       conversation.messages.push({ role: 'assistant', content: aiResponse });
-      this.conversations.set(callId, conversation);
-
-      // Store in database
-      await databaseService.addConversationMessage(callId, 'assistant', aiResponse);
+      await this.store.saveConversation(conversation);
+
+      // Store in database, with the passages it was given as citations
+      const citations = knowledge.length > 0 ? knowledgeBaseService.toCitations(knowledge) : null;
+      await databaseService.addConversationMessage(callId, 'assistant', aiResponse, citations);
+
+      // A transfer_call tool call during this turn hands the caller to a human next;
+      // an end_call hangs up once the reply has been spoken
+      const { pendingTransfer, pendingEnd } = await aiFunctionService.getConversationState(callId);
+      if (pendingTransfer) {
+        await aiFunctionService.updateConversationState(callId, {
+          pendingTransfer: null,
+          activeTransfer: pendingTransfer
+        });
+      }
+      if (pendingEnd) {
+        await aiFunctionService.updateConversationState(callId, { pendingEnd: null });
+      }
 
-      // Check if conversation is complete
-      const conversationComplete = this.isConversationComplete(aiResponse);
+      // Flow agents also end when an end node has replied. A transfer is not an ending.
+      const flowNode = this.getFlowNode(conversation);
+      let endReason = null;
+      if (!pendingTransfer) {
+        if (flowNode?.type === 'end') {
+          endReason = 'flow_completed';
+        } else if (pendingEnd) {
+          endReason = pendingEnd.reason;
+        } else {
+          endReason = limitReached;
+        }
+      }
+      const conversationComplete = Boolean(endReason);
+      if (endReason) {
+        await databaseService.setCallEndReason(callId, endReason);
+      }
 
       logger.info('User input processed', {
         callId,
@@ -146,12 +212,16 @@ class DynamicAIService {
         agentName: agent.name,
         inputLength: userInput.length,
         responseLength: aiResponse.length,
-        complete: conversationComplete
+        flowNode: flowNode?.id,
+        complete: conversationComplete,
+        endReason
       });
 
       return {
         response: aiResponse,
         conversationComplete: conversationComplete,
+        endReason,
+        transfer: pendingTransfer || null,
         agent: agent
       };
 
@@ -170,132 +240,214 @@ class DynamicAIService {
   }
 
   /**
-   * Generate AI response using custom prompt
+   * The caller did not say anything: ask whether they are still there, or
+   * hang up once the agent's silent reprompts are used up
+   * @returns {Promise<{response: string, conversationComplete: boolean, endReason: string|null}>}
    */
-  async generateResponse(callId, userInput, context = 'conversation') {
+  async handleSilence(callId) {
+    const conversation = await this.store.getConversation(callId);
+    if (!conversation) {
+      return { response: SILENCE_REPROMPT, conversationComplete: false, endReason: null };
+    }
+
+    const maxReprompts = conversation.agent.max_silent_reprompts ?? config.get('calls.maxSilentReprompts');
+    conversation.silentReprompts = (conversation.silentReprompts || 0) + 1;
+    const endReason = conversation.silentReprompts > maxReprompts ? 'silence' : null;
+    const response = endReason ? SILENCE_GOODBYE : SILENCE_REPROMPT;
+
+    conversation.messages.push({ role: 'assistant', content: response });
+    await this.store.saveConversation(conversation);
+    await databaseService.addConversationMessage(callId, 'assistant', response);
+
+    if (endReason) {
+      await databaseService.setCallEndReason(callId, endReason);
+    }
+
+    logger.info('Caller silent', { callId, reprompts: conversation.silentReprompts, maxReprompts, endReason });
+
+    return { response, conversationComplete: Boolean(endReason), endReason };
+  }
+
+  /**
+   * 'max_turns' or 'max_duration' once the call has reached the agent's
+   * limit with this caller turn, otherwise null
+   */
+  getLimitReached(conversation) {
+    const { agent } = conversation;
+    const turns = conversation.messages.filter(message => message.role === 'user').length;
+    const elapsedSeconds = elapsedMs(conversation) / 1000;
+
+    if (agent.max_turns && turns >= agent.max_turns) {
+      return 'max_turns';
+    }
+    if (agent.max_duration_seconds && elapsedSeconds >= agent.max_duration_seconds) {
+      return 'max_duration';
+    }
+    return null;
+  }
+
+  /**
+   * Knowledge base passages relevant to what the caller just said. The
+   * previous caller message is included so follow-ups ("how much is it?")
+   * still match. A failed search only costs the passages.
+   */
+  async findKnowledge(conversation, userInput) {
     try {
-      const conversation = this.conversations.get(callId);
+      const previous = conversation.messages.filter(message => message.role === 'user').slice(-2, -1);
+      const query = [...previous.map(message => message.content), userInput].join('\n');
+      return await knowledgeBaseService.search(conversation.agentId, query);
+    } catch (error) {
+      logger.warn('Knowledge base search failed', { callId: conversation.callId, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Add something the agent said outside an LLM turn (e.g. a failed transfer
+   * message) so the model sees it on the next turn
+   */
+  async addAssistantMessage(callId, content) {
+    const conversation = await this.store.getConversation(callId);
+    if (conversation) {
+      conversation.messages.push({ role: 'assistant', content });
+      await this.store.saveConversation(conversation);
+    }
+
+    await databaseService.addConversationMessage(callId, 'assistant', content);
+  }
+
+  /**
+   * Generate AI response using custom prompt. Tool calls requested by the
+   * model are executed and their results fed back until it answers in text.
+   */
+  async generateResponse(callId, userInput, context = 'conversation', conversation = null, options = {}) {
+    try {
+      conversation = conversation || await this.store.getConversation(callId);
       if (!conversation) {
         throw new Error('Conversation not found');
       }
 
-      const { agent, customerName, customerPhone } = conversation;
+      const { agent, customerName, customerPhone, caller } = conversation;
+      const flowNode = this.getFlowNode(conversation);
+
+      // Tools come from the agent's functions and the organization's custom functions,
+      // narrowed to what the current node allows on flow agents
+      let toolset = await aiFunctionService.getToolsForAgent(agent);
+      if (flowNode) {
+        toolset = conversationFlowService.filterToolset(toolset, flowNode);
+      }
 
       // Build the system prompt with custom user prompt
-      let systemPrompt = this.buildSystemPrompt(agent, customerName, customerPhone);
+      let systemPrompt = this.buildSystemPrompt(agent, customerName, customerPhone, toolset.definitions, caller, options.knowledge);
 
       // Add context-specific instructions
-      if (context === 'greeting') {
+      if (context === 'greeting' && conversation.direction === 'inbound') {
+        systemPrompt += '\n\nIMPORTANT: The customer has just called you. Answer the phone with a warm greeting, introduce yourself and ask how you can help. Greet known callers by name.';
+      } else if (context === 'greeting') {
         systemPrompt += '\n\nIMPORTANT: This is the first message of the conversation. Provide a warm, friendly greeting that introduces yourself and asks how you can help.';
       } else if (context === 'conversation') {
         systemPrompt += '\n\nIMPORTANT: Respond naturally to the user\'s input. Be helpful, engaging, and follow the personality and instructions defined in your prompt.';
       }
 
-      // Prepare messages for OpenAI
+      if (flowNode) {
+        systemPrompt += conversationFlowService.buildNodeInstructions(flowNode);
+      }
+
+      if (options.finalTurn) {
+        systemPrompt += '\n\nIMPORTANT: The call has reached its length limit and ends after this reply. Answer briefly, then say goodbye; do not ask the caller anything.';
+      }
+
+      const llmSettings = this.getLlmSettings(agent);
+
+      // Prepare messages for the LLM, with the agent's window of recent history
       const messages = [
         { role: 'system', content: systemPrompt },
-        ...conversation.messages.slice(-10) // Keep last 10 messages for context
+        ...conversation.messages.slice(-llmSettings.historyWindow)
       ];
 
-      // Define available functions for the AI
-      const functions = [
-        {
-          name: 'check_availability',
-          description: 'Check if a specific date and time is available in the Cal.com calendar',
-          parameters: {
-            type: 'object',
-            properties: {
-              date: {
-                type: 'string',
-                description: 'The date to check (e.g., "2025-10-06")'
-              },
-              time: {
-                type: 'string',
-                description: 'The time to check (e.g., "14:00" for 2 PM)'
-              }
-            },
-            required: ['date', 'time']
-          }
-        },
-        {
-          name: 'book_appointment',
-          description: 'Book an appointment in the Cal.com calendar',
-          parameters: {
-            type: 'object',
-            properties: {
-              date: {
-                type: 'string',
-                description: 'The date for the appointment (e.g., "2025-10-06")'
-              },
-              time: {
-                type: 'string',
-                description: 'The time for the appointment (e.g., "14:00" for 2 PM)'
-              },
-              customerName: {
-                type: 'string',
-                description: 'The customer\'s name'
-              },
-              customerEmail: {
-                type: 'string',
-                description: 'The customer\'s email address'
-              },
-              customerPhone: {
-                type: 'string',
-                description: 'The customer\'s phone number'
-              }
-            },
-            required: ['date', 'time', 'customerName', 'customerEmail', 'customerPhone']
+      const toolContext = {
+        callId,
+        agentId: conversation.agentId,
+        organizationId: agent.organization_id,
+        agent,
+        customerName,
+        customerPhone
+      };
+      const executionResults = [];
+      // Streamed text is spoken as it arrives, including what the model says alongside its tool calls
+      const spokenBeforeTools = [];
+      // Usage is recorded per turn: the greeting is turn 0, each caller message starts the next
+      const turn = conversation.messages.filter(message => message.role === 'user').length;
+
+      for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+        // Once the round limit is reached the model has to answer with what it has
+        const toolsAllowed = round < MAX_TOOL_ROUNDS;
+
+        const llmOptions = {
+          provider: llmSettings.provider,
+          model: llmSettings.model,
+          fallbacks: llmSettings.fallbacks,
+          temperature: llmSettings.temperature,
+          maxTokens: llmSettings.maxTokens,
+          timeout: llmSettings.turnTimeoutMs,
+          tools: toolset.definitions,
+          toolChoice: toolsAllowed ? 'auto' : 'none',
+          usageContext: { callId, purpose: 'conversation', turn }
+        };
+        const response = options.onTextDelta
+          ? await llmService.streamResponse(messages, llmOptions, options.onTextDelta)
+          : await llmService.generateResponse(messages, llmOptions);
+
+        let ending = null;
+        if (response.toolCalls.length > 0) {
+          messages.push({ role: 'assistant', content: response.content || null, tool_calls: response.toolCalls });
+
+          for (const toolCall of response.toolCalls) {
+            const result = await aiFunctionService.executeToolCall(toolset, toolCall, toolContext);
+            executionResults.push({ function: toolCall.function.name, result });
+            messages.push({
+              role: 'tool',
+              tool_call_id: toolCall.id,
+              content: typeof result === 'string' ? result : JSON.stringify(result)
+            });
+            if (result?.endsCall) {
+              ending = result;
+            }
           }
-        },
-        {
-          name: 'get_current_time',
-          description: 'Get the current date and time',
-          parameters: {
-            type: 'object',
-            properties: {},
-            required: []
+
+          // Hanging up ends the turn; the model is not asked for anything more
+          if (!ending) {
+            if (options.onTextDelta && response.content.trim()) {
+              spokenBeforeTools.push(response.content.trim());
+            }
+            continue;
           }
         }
-      ];
 
-      // Generate response using LLM service with function calling
-      const response = await llmService.generateResponse(messages, {
-        provider: agent.provider || 'openai',
-        model: agent.model || config.get('openai.model'),
-        temperature: agent.temperature || config.get('openai.temperature'),
-        maxTokens: agent.max_tokens || config.get('openai.maxTokens'),
-        timeout: 10000,
-        functions: functions,
-        functionCall: 'auto'
-      });
+        if (executionResults.length > 0) {
+          if (flowNode) {
+            conversationFlowService.recordToolResults(conversation.flow, executionResults);
+          }
+          logger.info('Tool calls executed', { callId, tools: executionResults.map(r => r.function) });
+          await aiFunctionService.updateConversationState(callId, {
+            lastFunctionExecution: executionResults,
+            timestamp: new Date().toISOString()
+          });
+        }
 
-      // Handle function calling response
-      if (response && typeof response === 'object' && response.function_call) {
-        return await this.handleFunctionCall(callId, response.function_call, conversation);
-      }
+        // The transcript gets everything the caller heard this turn
+        const content = [...spokenBeforeTools, response.content.trim()].filter(Boolean).join(' ');
+        if (ending?.closingLine) {
+          // Spoken after whatever the model said alongside the end_call
+          const separator = content ? ' ' : '';
+          options.onTextDelta?.(`${separator}${ending.closingLine}`);
+          return `${content}${separator}${ending.closingLine}`;
+        }
 
-      if (!response || (typeof response === 'string' && response.trim().length === 0)) {
-        throw new Error('Empty response from AI');
+        return content;
       }
 
-      // Process function calls in AI response
-      const functionContext = {
-        callId,
-        customerName: conversation.customerName,
-        customerPhone: conversation.customerPhone,
-        customerEmail: conversation.customerEmail || 'customer@example.com',
-        agentId: conversation.agentId,
-        agent: conversation.agent
-      };
-      
-      const processedResponse = await aiFunctionService.processAIResponse(response.trim(), functionContext);
-      
-      // Log if response was processed
-      if (processedResponse !== response.trim()) {
-        logger.info('Function calls executed', { callId });
-      }
-      
-      return processedResponse;
+      throw new Error('No response after tool calls');
 
     } catch (error) {
       logger.error('Error generating AI response', { 
@@ -308,6 +460,25 @@ class DynamicAIService {
     }
   }
 
+  /**
+   * The agent's language model settings, with the platform defaults for
+   * anything it leaves unset
+   */
+  getLlmSettings(agent) {
+    const provider = agent.llm_provider || config.get('llm.defaultProvider');
+
+    return {
+      provider,
+      // Agents without a provider of their own predate it; their model is an OpenAI model name
+      model: (agent.llm_provider || provider === 'openai') && agent.model ? agent.model : undefined,
+      fallbacks: agent.llm_config?.fallbacks,
+      temperature: agent.temperature ?? config.get('openai.temperature'),
+      maxTokens: agent.max_tokens ?? config.get('openai.maxTokens'),
+      historyWindow: agent.history_window ?? config.get('llm.historyWindow'),
+      turnTimeoutMs: agent.turn_timeout_ms ?? config.get('llm.turnTimeoutMs')
+    };
+  }
+
   /**
    * Normalize user input for better processing
    */
@@ -346,12 +517,12 @@ class DynamicAIService {
   /**
    * Build system prompt from agent configuration
    */
-  buildSystemPrompt(agent, customerName = null, customerPhone = null) {
+  buildSystemPrompt(agent, customerName = null, customerPhone = null, tools = [], caller = null, knowledge = []) {
     const currentDate = new Date().toLocaleDateString();
     const currentTime = new Date().toLocaleTimeString();
 
     // Start with the user's custom prompt
-    let systemPrompt = agent.prompt;
+    let systemPrompt = agent.ai_prompt || '';
 
     // Add context information
     systemPrompt += `\n\nCONTEXT INFORMATION:
@@ -368,6 +539,10 @@ class DynamicAIService {
       systemPrompt += `\n- Customer phone: ${customerPhone}`;
     }
 
+    if (caller) {
+      systemPrompt += `\n\nCALLER HISTORY:\n${this.formatCallerContext(caller)}`;
+    }
+
     // Add conversation guidelines
     systemPrompt += `\n\nCONVERSATION GUIDELINES:
 - Be natural and conversational
@@ -380,258 +555,129 @@ class DynamicAIService {
 - Pay attention to user interruptions - they may have important information to share
 - Handle user input immediately when they speak, even if you're in the middle of explaining something`;
 
-    // Add function calling information
-    systemPrompt += `\n\nAVAILABLE FUNCTIONS:
-You have access to the following functions to help with appointments:
-
-1. check_availability(date, time) - Check if a specific date and time is available in the Cal.com calendar
-   Example: "Let me check if October 6th at 2 PM is available"
-
-2. book_appointment(date, time, customerName, customerEmail, customerPhone) - Book an appointment in the Cal.com calendar
-   Example: "I'll book your appointment for October 6th at 2 PM"
+    systemPrompt += knowledgeBaseService.buildPromptSection(knowledge);
 
-3. get_current_time() - Get the current date and time
-   Example: "Let me check what time it is now"
-
-4. format_date(date) - Format a date in a readable format
-   Example: "That would be Monday, October 6th"
-
-IMPORTANT: When users ask to book appointments, use these functions in the following order:
-1. First, use check_availability() to verify the time slot is available
-2. If available, use book_appointment() to book the appointment
-3. If not available, suggest alternative times and check availability again
-4. Always confirm the booking details with the user`;
+    // Tool schemas are sent with the request; the prompt only sets the ground rules
+    if (tools.length > 0) {
+      systemPrompt += `\n\nTOOLS:
+You can call these tools: ${tools.map(tool => tool.function.name).join(', ')}.
+- Call a tool whenever the caller's request needs it; do not describe the call in your reply
+- Only tell the caller an action happened (booking made, message sent) if the tool result confirms it
+- If a tool fails, explain briefly and offer an alternative`;
+    }
 
     return systemPrompt;
   }
 
   /**
-   * Handle function calls from the AI
+   * Collect what is known about an inbound caller: their contact record
+   * (if any) and their most recent calls with this organization
    */
-  async handleFunctionCall(callId, functionCall, conversation) {
-    try {
-      const { name, arguments: args } = functionCall;
-      const argsObj = typeof args === 'string' ? JSON.parse(args) : args;
-
-      logger.info('Handling function call', { 
-        callId, 
-        functionName: name, 
-        arguments: argsObj 
-      });
-
-      let functionResult;
-      
-      // Try to use user's custom functions first
-      const customFunctionService = require('./customFunctionService');
-      
-      // Ensure functions are loaded before lookup
-      await customFunctionService.loadFunctionsFromDatabase();
-      
-      const customFunction = customFunctionService.getFunction(name);
-      
-      logger.info('Function lookup result', { 
-        functionName: name, 
-        customFunctionFound: !!customFunction,
-        availableFunctions: customFunctionService.getAllFunctionNames()
-      });
-      
-      if (customFunction) {
-        // Use user's custom function with their API key and configuration
-        logger.info('Using custom function', { functionName: name });
-        functionResult = await customFunctionService.executeFunction(name, argsObj, {
-          callId: callId,
-          agentId: conversation.agentId,
-          customerName: conversation.customerName,
-          customerPhone: conversation.customerPhone
-        });
-      } else {
-        // Fallback to built-in functions
-        logger.info('Using built-in function', { functionName: name });
-        const registry = require('./functionRegistry');
-
-        switch (name) {
-          case 'check_availability':
-            // Try Cal.com first, then fallback to internal calendar
-            functionResult = await registry.checkAvailabilityCal(
-              {
-                date: argsObj.date,
-                time: argsObj.time,
-                eventTypeId: argsObj.eventTypeId || '3053103', // Default to 30 Min Meeting
-                agentId: conversation.agentId,
-                duration: argsObj.duration || 30
-              },
-              { callId: callId }
-            );
-            break;
-
-          case 'book_appointment':
-            // Use Cal.com for booking with proper time handling
-            const formattedTime = argsObj.time ? (argsObj.time.includes(':') ? argsObj.time + ':00' : argsObj.time + ':00:00') : '00:00:00';
-            const startTime = new Date(`${argsObj.date}T${formattedTime}`);
-            const duration = argsObj.duration || 30;
-            const endTime = new Date(startTime.getTime() + duration * 60 * 1000);
-            
-            functionResult = await registry.bookAppointmentCal(
-              {
-                eventTypeId: argsObj.eventTypeId || '3053103', // Default to 30 Min Meeting
-                customerName: conversation.customerName || 'Unknown Customer',
-                customerEmail: argsObj.customerEmail || 'customer@example.com',
-                customerPhone: argsObj.customerPhone || conversation.customerPhone || '+1234567890',
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString(),
-                title: `Appointment with ${conversation.customerName || 'Customer'}`,
-                agentId: conversation.agentId,
-                date: argsObj.date,
-                time: argsObj.time,
-                duration: duration
-              },
-              { callId: callId } // Pass context with callId
-            );
-            break;
-
-          case 'get_current_time':
-            functionResult = await registry.getCurrentTime();
-            break;
-
-          default:
-            functionResult = {
-              success: false,
-              error: `Unknown function: ${name}`
-            };
-            break;
-        }
-      }
-
-      // Add function call and result to conversation
-      conversation.messages.push({ 
-        role: 'assistant', 
-        content: `Calling function: ${name}`,
-        function_call: functionCall
-      });
-      conversation.messages.push({ 
-        role: 'function', 
-        name: name,
-        content: JSON.stringify(functionResult)
-      });
+  async buildCallerContext(organizationId, phoneNumber, currentCallId = null) {
+    const contact = await databaseService.getContactByPhone(phoneNumber, organizationId);
+    const calls = await databaseService.getCallsByPhoneNumber(phoneNumber, 6, organizationId);
 
-      // Generate a natural language response about the function result
-      const responseMessage = this.generateFunctionResponse(name, argsObj, functionResult, conversation);
-      
-      conversation.messages.push({ role: 'assistant', content: responseMessage });
-      this.conversations.set(callId, conversation);
-
-      // Store in database
-      await databaseService.addConversationMessage(callId, 'assistant', responseMessage);
-
-      return responseMessage;
-
-    } catch (error) {
-      logger.error('Error handling function call', { 
-        callId, 
-        functionName: functionCall.name, 
-        error: error.message 
-      });
-
-      return `I apologize, but I encountered an error while trying to ${functionCall.name}. Let me try a different approach.`;
-    }
+    return {
+      contactId: contact?.id || null,
+      name: contact?.name || null,
+      company: contact?.company || null,
+      email: contact?.email || null,
+      notes: contact?.notes || null,
+      tags: contact?.tags || [],
+      previousCalls: calls
+        .filter(call => call.id !== currentCallId)
+        .slice(0, 5)
+        .map(call => ({
+          date: call.started_at,
+          direction: call.direction || 'outbound',
+          status: call.status,
+          duration: call.duration || 0
+        }))
+    };
   }
 
   /**
-   * Generate natural language response for function results
+   * Render caller context as prompt lines
    */
-  generateFunctionResponse(functionName, args, result, conversation) {
-    switch (functionName) {
-      case 'check_availability':
-        if (result.success && result.available) {
-          return `Great news! ${args.date} at ${args.time} is available for booking. Would you like me to book this appointment for you?`;
-        } else if (result.success && !result.available) {
-          return `I'm sorry, but ${args.date} at ${args.time} is not available. Let me suggest some alternative times. What other times work for you?`;
-        } else {
-          return `I'm having trouble checking availability for ${args.date} at ${args.time}. Could you please provide a different date and time?`;
-        }
-
-      case 'book_appointment':
-        if (result.success) {
-          return `Perfect! I've successfully booked your appointment for ${args.date} at ${args.time}. Your booking ID is ${result.bookingId}. Is there anything else I can help you with today?`;
-        } else {
-          return `I apologize, but I wasn't able to book the appointment for ${args.date} at ${args.time}. ${result.error || 'Please try a different time.'}`;
-        }
-
-      case 'get_current_time':
-        return `The current time is ${result.currentTime}. How can I help you with your appointment scheduling?`;
+  formatCallerContext(caller) {
+    const lines = [];
+
+    if (caller.contactId) {
+      lines.push(`- Known contact: ${caller.name}`);
+      if (caller.company) lines.push(`- Company: ${caller.company}`);
+      if (caller.email) lines.push(`- Email on file: ${caller.email}`);
+      if (caller.tags?.length > 0) lines.push(`- Tags: ${caller.tags.join(', ')}`);
+      if (caller.notes) lines.push(`- Notes: ${caller.notes}`);
+    } else {
+      lines.push('- This caller is not in the contacts list; ask for their name if you need it');
+    }
 
-      default:
-        return `I've processed your request. How else can I assist you today?`;
+    if (caller.previousCalls?.length > 0) {
+      lines.push('- Previous calls (most recent first):');
+      caller.previousCalls.forEach(call => {
+        const date = call.date ? new Date(call.date).toLocaleDateString() : 'unknown date';
+        lines.push(`  - ${date}, ${call.direction}, ${call.status}, ${call.duration}s`);
+      });
+    } else {
+      lines.push('- No previous calls from this number');
     }
+
+    return lines.join('\n');
   }
 
   /**
-   * Check if conversation is complete
+   * The flow node a conversation is on, or null for free-form prompt agents
    */
-  isConversationComplete(response) {
-    const completionPhrases = [
-      'goodbye',
-      'thank you',
-      'have a great day',
-      'talk to you later',
-      'see you later',
-      'bye',
-      'farewell',
-      'appointment confirmed',
-      'booking confirmed',
-      'call completed'
-    ];
-    
-    const lowerResponse = response.toLowerCase();
-    return completionPhrases.some(phrase => lowerResponse.includes(phrase));
+  getFlowNode(conversation) {
+    if (!conversation.flow || !conversationFlowService.isFlowAgent(conversation.agent)) {
+      return null;
+    }
+    return conversationFlowService.getNode(conversation.agent.flow_definition, conversation.flow.nodeId);
   }
 
   /**
    * Get conversation history
    */
-  getConversationHistory(callId) {
-    return this.conversations.get(callId) || null;
+  async getConversationHistory(callId) {
+    return await this.store.getConversation(callId);
   }
 
   /**
    * Cleanup conversation
    */
-  cleanupConversation(callId) {
-    const conversation = this.conversations.get(callId);
-    if (conversation) {
-      logger.info('Conversation cleaned up', { 
-        callId, 
-        agentId: conversation.agentId,
-        duration: Date.now() - conversation.startTime.getTime()
-      });
-      this.conversations.delete(callId);
+  async cleanupConversation(callId) {
+    try {
+      const deleted = await this.store.deleteConversation(callId);
+      await aiFunctionService.cleanupConversation(callId);
+      if (deleted) {
+        logger.info('Conversation cleaned up', { callId });
+      }
+    } catch (error) {
+      logger.error('Error cleaning up conversation', { callId, error: error.message });
     }
   }
 
   /**
    * Cleanup old conversations
    */
-  cleanupOldConversations() {
-    const cutoff = Date.now() - (24 * 60 * 60 * 1000); // 24 hours ago
-    let cleaned = 0;
-    
-    for (const [callId, conversation] of this.conversations.entries()) {
-      if (conversation.startTime.getTime() < cutoff) {
-        this.conversations.delete(callId);
-        cleaned++;
+  async cleanupOldConversations() {
+    const cutoff = new Date(Date.now() - (24 * 60 * 60 * 1000)); // 24 hours ago
+
+    try {
+      const cleaned = await this.store.deleteOlderThan(cutoff);
+      if (cleaned > 0) {
+        logger.info('Cleaned up old conversations', { count: cleaned });
       }
-    }
-    
-    if (cleaned > 0) {
-      logger.info('Cleaned up old conversations', { count: cleaned });
+    } catch (error) {
+      logger.error('Error cleaning up old conversations', { error: error.message });
     }
   }
 
   /**
    * Get conversation summary
    */
-  getConversationSummary(callId) {
-    const conversation = this.conversations.get(callId);
+  async getConversationSummary(callId) {
+    const conversation = await this.store.getConversation(callId);
     if (!conversation) {
       return null;
     }
@@ -644,204 +690,33 @@ IMPORTANT: When users ask to book appointments, use these functions in the follo
       customerPhone: conversation.customerPhone,
       messageCount: conversation.messages.length,
       startTime: conversation.startTime,
-      duration: Date.now() - conversation.startTime.getTime()
+      duration: elapsedMs(conversation)
     };
   }
 
   /**
    * Get active conversations count
    */
-  getActiveConversationsCount() {
-    return this.conversations.size;
+  async getActiveConversationsCount() {
+    const conversations = await this.store.listConversations();
+    return conversations.length;
   }
 
   /**
    * Get all active conversations
    */
-  getAllActiveConversations() {
-    const conversations = [];
-    for (const [callId, conversation] of this.conversations.entries()) {
-      conversations.push({
-        callId,
-        agentId: conversation.agentId,
-        agentName: conversation.agent.name,
-        customerName: conversation.customerName,
-        customerPhone: conversation.customerPhone,
-        messageCount: conversation.messages.length,
-        startTime: conversation.startTime,
-        duration: Date.now() - conversation.startTime.getTime()
-      });
-    }
-    return conversations;
-  }
-
-  /**
-   * Detect if user input contains booking intent
-   */
-  detectBookingIntent(userInput) {
-    const input = userInput.toLowerCase();
-    
-    // Booking-related keywords
-    const bookingKeywords = [
-      'book', 'schedule', 'appointment', 'meeting', 'consultation', 'demo',
-      'available', 'availability', 'time slot', 'when can', 'what time',
-      'tomorrow', 'next week', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'
-    ];
-
-    const hasBookingKeywords = bookingKeywords.some(keyword => input.includes(keyword));
-    
-    if (hasBookingKeywords) {
-      // Determine booking type
-      if (input.includes('consultation') || input.includes('demo')) {
-        return { type: 'consultation', intent: 'book_consultation' };
-      } else if (input.includes('support') || input.includes('help')) {
-        return { type: 'support', intent: 'book_support' };
-      } else if (input.includes('appointment') || input.includes('meeting')) {
-        return { type: 'appointment', intent: 'book_appointment' };
-      } else {
-        return { type: 'general', intent: 'check_availability' };
-      }
-    }
-
-    return null;
-  }
-
-  /**
-   * Handle booking-related requests
-   */
-  async handleBookingRequest(callId, userInput, bookingIntent, agent, conversation) {
-    try {
-      logger.info('Handling booking request', {
-        callId,
-        agentId: agent.id,
-        bookingIntent: bookingIntent.type,
-        userInput: userInput.substring(0, 100)
-      });
-
-      // Try Cal.com first, fallback to internal calendar
-      let availability = [];
-      let calendarProvider = 'internal';
-
-      // Check if Cal.com is configured and agent has event type
-      const isCalComReady = await externalCalendarService.isCalComReady();
-
-      if (isCalComReady && agent.calcom_event_type_id) {
-        try {
-          const startDate = new Date().toISOString();
-          const endDate = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(); // Next 7 days
-          
-          const result = await externalCalendarService.getAvailableSlots(
-            agent.calcom_event_type_id,
-            startDate,
-            endDate,
-            30
-          );
-
-          if (result.success && result.slots.length > 0) {
-            availability = result.slots.slice(0, 5);
-            calendarProvider = 'calcom';
-          }
-        } catch (error) {
-          logger.warn('Cal.com failed, falling back to internal calendar', {
-            eventTypeId: agent.calcom_event_type_id,
-            error: error.message
-          });
-        }
-      }
-
-      // Fallback to internal calendar
-      if (availability.length === 0) {
-        availability = await calendarService.getNextAvailableSlots(agent.id, 5);
-        calendarProvider = 'internal';
-      }
-      
-      if (availability.length === 0) {
-        return "I'm sorry, but I don't have any available slots at the moment. Let me check with my team and get back to you. Could you please provide your phone number so I can call you back with available times?";
-      }
-
-      // Format available slots for response
-      const slotsText = availability.slice(0, 3).map(slot => {
-        if (calendarProvider === 'internal') {
-          const date = new Date(slot.date);
-          const dayName = date.toLocaleDateString('en-US', { weekday: 'long' });
-          const time = slot.start_time;
-          return `${dayName} ${date.toLocaleDateString()} at ${time}`;
-        } else {
-          // Cal.com format
-          const start = new Date(slot.start);
-          const dayName = start.toLocaleDateString('en-US', { weekday: 'long' });
-          const time = start.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
-          return `${dayName} ${start.toLocaleDateString()} at ${time}`;
-        }
-      }).join(', ');
-
-      // Store calendar provider in conversation for later use
-      conversation.calendarProvider = calendarProvider;
-      conversation.availableSlots = availability;
-
-      return `Great! I'd be happy to help you schedule a ${bookingIntent.type}. I have several available slots: ${slotsText}. Which date and time works best for you? Please let me know your preferred option and I'll book it for you right away.`;
-
-    } catch (error) {
-      logger.error('Error handling booking request', {
-        callId,
-        agentId: agent.id,
-        error: error.message
-      });
-
-      return "I'm having trouble checking my availability right now. Let me take your information and I'll call you back to schedule your appointment. Could you please provide your name and phone number?";
-    }
-  }
-
-  /**
-   * Process booking confirmation
-   */
-  async processBookingConfirmation(callId, userInput, agent, conversation) {
-    try {
-      // Extract date and time from user input
-      const dateTimeMatch = userInput.match(/(\w+day|\d{1,2}\/\d{1,2}\/\d{4}|\d{4}-\d{2}-\d{2}).*?(\d{1,2}:\d{2}|\d{1,2}\s*(am|pm))/i);
-      
-      if (!dateTimeMatch) {
-        return "I didn't catch the date and time clearly. Could you please tell me again which date and time you'd prefer? For example, you could say 'Monday at 2 PM' or 'tomorrow at 10 AM'.";
-      }
-
-      // Find matching slot
-      const availability = await calendarService.getNextAvailableSlots(agent.id, 10);
-      const selectedSlot = availability.find(slot => {
-        const slotDate = new Date(slot.date);
-        const slotTime = slot.start_time;
-        // Simple matching logic - can be enhanced
-        return userInput.toLowerCase().includes(slotDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase()) ||
-               userInput.includes(slot.date) ||
-               userInput.includes(slotTime);
-      });
-
-      if (!selectedSlot) {
-        return "I couldn't find that exact time slot. Let me give you the available options again: [list available slots]. Which one would you prefer?";
-      }
-
-      // Book the slot
-      const bookingResult = await calendarService.bookSlot(agent.id, selectedSlot.id, {
-        callId,
-        customerName: conversation.customerName || 'Customer',
-        customerPhone: conversation.customerPhone,
-        serviceType: 'consultation'
-      });
-
-      if (bookingResult.success) {
-        return `Perfect! I've booked your appointment for ${selectedSlot.date} at ${selectedSlot.start_time}. You'll receive a confirmation shortly. Is there anything else I can help you with today?`;
-      } else {
-        return "I'm sorry, that slot was just taken by someone else. Let me show you the current available times: [list available slots]. Which one works for you?";
-      }
-
-    } catch (error) {
-      logger.error('Error processing booking confirmation', {
-        callId,
-        agentId: agent.id,
-        error: error.message
-      });
-
-      return "I'm having trouble processing your booking right now. Let me take your information and I'll call you back to confirm your appointment. Could you please provide your name and phone number?";
-    }
+  async getAllActiveConversations() {
+    const conversations = await this.store.listConversations();
+    return conversations.map(conversation => ({
+      callId: conversation.callId,
+      agentId: conversation.agentId,
+      agentName: conversation.agentName,
+      customerName: conversation.customerName,
+      customerPhone: conversation.customerPhone,
+      messageCount: conversation.messageCount,
+      startTime: conversation.startTime,
+      duration: elapsedMs(conversation)
+    }));
   }
 }
 
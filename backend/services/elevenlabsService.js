@@ -2,16 +2,46 @@ const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 
+/**
+ * ElevenLabs Text-to-Speech Service
+ * Cloud TTS provider (see ttsService)
+ */
 class ElevenLabsService {
   constructor() {
+    this.name = 'elevenlabs';
+    this.label = 'ElevenLabs';
+    this.producesAudio = true;
+    this.playContentType = 'audio/mpeg';
+    this.defaultVoice = config.get('elevenlabs.voiceId');
     this.apiKey = config.get('elevenlabs.apiKey');
     this.voiceId = config.get('elevenlabs.voiceId');
     this.model = config.get('elevenlabs.model');
     this.baseUrl = 'https://api.elevenlabs.io/v1';
-    this.ttsCache = new Map(); // Cache for common TTS responses
-    
-    // Pre-warm cache with most common responses
-    this.preWarmCache();
+  }
+
+  /**
+   * Check if ElevenLabs is available
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Provider interface: stream speech for one piece of text
+   * @param {string} text - Text to speak
+   * @param {string} voice - ElevenLabs voice ID
+   * @param {Object} options - format: 'play' (MP3 for <Play>) or 'ulaw_8000' (Media Streams); signal
+   * @returns {Promise<{stream: Readable, contentType: string}>}
+   */
+  async synthesize(text, voice, { format = 'play', signal } = {}) {
+    const telephone = format === 'ulaw_8000';
+    const stream = await this.generateSpeechStream(text, voice || this.voiceId, {
+      outputFormat: telephone ? 'ulaw_8000' : undefined,
+      optimizeStreamingLatency: 3,
+      signal
+    });
+
+    return { stream, contentType: telephone ? 'audio/basic' : 'audio/mpeg' };
   }
 
   async getVoices() {
@@ -100,16 +130,22 @@ class ElevenLabsService {
         voiceId: targetVoiceId 
       });
 
+      // outputFormat 'ulaw_8000' returns raw μ-law that can go straight onto a Twilio Media Stream
       const response = await axios.post(
         `${this.baseUrl}/text-to-speech/${targetVoiceId}/stream`,
         requestData,
         {
           headers: {
-            'Accept': 'audio/mpeg',
+            'Accept': options.outputFormat?.startsWith('ulaw') ? 'audio/basic' : 'audio/mpeg',
             'Content-Type': 'application/json',
             'xi-api-key': this.apiKey
           },
+          params: {
+            ...(options.outputFormat && { output_format: options.outputFormat }),
+            ...(options.optimizeStreamingLatency !== undefined && { optimize_streaming_latency: options.optimizeStreamingLatency })
+          },
           responseType: 'stream',
+          signal: options.signal,
           timeout: 10000 // 10 second timeout for longer text
         }
       );
@@ -186,15 +222,6 @@ class ElevenLabsService {
     try {
       // Start performance monitoring
       // Performance tracking removed for simplicity
-      
-      // Check cache first for common responses
-      const cacheKey = this.generateTtsCacheKey(text, options);
-      const cachedAudio = this.ttsCache.get(cacheKey);
-      if (cachedAudio && (Date.now() - cachedAudio.timestamp) < 1200000) { // 20 min cache for better performance
-        logger.info('Using cached TTS', { textLength: text.length, cacheKey });
-        // Performance tracking removed
-        return this.createStreamFromBuffer(cachedAudio.buffer);
-      }
 
       // ULTRA-FAST voice settings for instant responses
       const optimizedOptions = {
@@ -216,11 +243,6 @@ class ElevenLabsService {
       
       const stream = await Promise.race([streamPromise, timeoutPromise]);
       
-      // Cache the audio for common responses
-      if (this.shouldCacheTts(text)) {
-        this.cacheTtsResponse(cacheKey, stream);
-      }
-      
       // End performance tracking
       // Performance tracking removed
       
@@ -247,125 +269,6 @@ class ElevenLabsService {
       throw new Error('Failed to fetch API usage');
     }
   }
-
-  // TTS Cache management methods
-  generateTtsCacheKey(text, options = {}) {
-    const normalizedText = text.toLowerCase().trim();
-    const optionsKey = JSON.stringify({
-      voiceId: options.voiceId || this.voiceId,
-      model: options.model || 'eleven_turbo_v2'
-    });
-    return `${normalizedText}_${optionsKey}`;
-  }
-
-  shouldCacheTts(text) {
-    // Cache common responses that are likely to be repeated
-    const commonResponses = [
-      'hi! what\'s your name?',
-      'perfect. what date and time work for you?',
-      'what date and time work for you?',
-      'thank you, have a great day!',
-      'say that again?',
-      'is that correct?',
-      'what\'s your correct name and phone number?',
-      'please wait, we\'re booking your slot...',
-      'perfect!',
-      'awesome!',
-      'fantastic!',
-      'wonderful!',
-      'would you like me to book it?',
-      'should i book that for you?',
-      'is now a good time to talk?',
-      'your appointment is confirmed',
-      'what time tomorrow works best',
-      'that\'s totally fine!',
-      'what other date works for you?',
-      'morning or afternoon slots'
-    ];
-    
-    const normalizedText = text.toLowerCase().trim();
-    return commonResponses.some(response => 
-      normalizedText.includes(response) || response.includes(normalizedText)
-    );
-  }
-
-  async cacheTtsResponse(cacheKey, stream) {
-    try {
-      // Convert stream to buffer for caching
-      const chunks = [];
-      stream.on('data', chunk => chunks.push(chunk));
-      
-      await new Promise((resolve, reject) => {
-        stream.on('end', resolve);
-        stream.on('error', reject);
-      });
-      
-      const buffer = Buffer.concat(chunks);
-      
-      this.ttsCache.set(cacheKey, {
-        buffer,
-        timestamp: Date.now()
-      });
-      
-      // Clean old cache entries (keep more for better performance)
-      if (this.ttsCache.size > 150) {
-        const entries = Array.from(this.ttsCache.entries());
-        entries.sort((a, b) => b[1].timestamp - a[1].timestamp);
-        this.ttsCache.clear();
-        entries.slice(0, 100).forEach(([key, value]) => {
-          this.ttsCache.set(key, value);
-        });
-      }
-    } catch (error) {
-      logger.error('Error caching TTS response', { error: error.message });
-    }
-  }
-
-  createStreamFromBuffer(buffer) {
-    const { Readable } = require('stream');
-    const stream = new Readable();
-    stream.push(buffer);
-    stream.push(null);
-    return stream;
-  }
-
-  /**
-   * Pre-warm cache with most common responses for instant delivery
-   */
-  async preWarmCache() {
-    try {
-      logger.info('Pre-warming TTS cache for instant responses');
-      
-      const commonPhrases = [
-        'Perfect!',
-        'Awesome!',
-        'Fantastic!',
-        'Would you like me to book it?',
-        'Should I book that for you?',
-        'What date and time work best for you?',
-        'That\'s totally fine!',
-        'Your appointment is confirmed',
-        'Is now a good time to talk?'
-      ];
-      
-      // Pre-warm in background after 3 seconds
-      setTimeout(async () => {
-        for (const phrase of commonPhrases) {
-          try {
-            await this.generateInstantSpeech(phrase);
-            // Very small delay to avoid rate limits
-            await new Promise(resolve => setTimeout(resolve, 50));
-          } catch (error) {
-            logger.warn('Failed to pre-warm phrase', { phrase, error: error.message });
-          }
-        }
-        logger.info('TTS cache pre-warming completed', { phrases: commonPhrases.length });
-      }, 3000);
-      
-    } catch (error) {
-      logger.error('Pre-warming error', { error: error.message });
-    }
-  }
 }
 
 module.exports = new ElevenLabsService();
@@ -0,0 +1,79 @@
+const nodemailer = require('nodemailer');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Email Service
+ * Sends outgoing email over SMTP using the smtp.* configuration
+ */
+class EmailService {
+  constructor() {
+    this.transporter = null;
+  }
+
+  /**
+   * Check if SMTP is configured
+   * @returns {boolean} True if a host and sender address are set
+   */
+  isConfigured() {
+    return Boolean(config.get('smtp.host') && config.get('smtp.from'));
+  }
+
+  /**
+   * Create the SMTP transport on first use
+   * @private
+   */
+  _getTransporter() {
+    if (!this.transporter) {
+      const user = config.get('smtp.user');
+
+      this.transporter = nodemailer.createTransport({
+        host: config.get('smtp.host'),
+        port: config.get('smtp.port'),
+        secure: config.get('smtp.secure'),
+        auth: user ? { user, pass: config.get('smtp.password') } : undefined
+      });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Send a plain-text email
+   * @param {Object} message - { to, subject, text }
+   * @returns {Promise<Object>} { success, messageId } or { success: false, error }
+   */
+  async sendEmail({ to, subject, text }) {
+    if (!this.isConfigured()) {
+      return { success: false, error: 'Email is not configured (set SMTP_HOST and SMTP_FROM)' };
+    }
+
+    if (!to || !EMAIL_PATTERN.test(to)) {
+      return { success: false, error: `Invalid recipient email address: ${to || '(none)'}` };
+    }
+
+    if (!subject || !text) {
+      return { success: false, error: 'Email subject and body are required' };
+    }
+
+    try {
+      const info = await this._getTransporter().sendMail({
+        from: config.get('smtp.from'),
+        to,
+        subject,
+        text
+      });
+
+      logger.info('Email sent successfully', { messageId: info.messageId, to });
+
+      return { success: true, messageId: info.messageId };
+    } catch (error) {
+      logger.error('Error sending email', { to, error: error.message });
+      return { success: false, error: `Failed to send email: ${error.message}` };
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -8,8 +8,12 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const { executeQuery } = require('../database/connection');
 
+// Per-organization service instances, keyed by organization ID
+const organizationServices = new Map();
+
 class CalComIntegrationService {
-  constructor() {
+  constructor(organizationId = null) {
+    this.organizationId = organizationId;
     this.apiKey = null;
     this.baseUrl = 'https://api.cal.com/v1';
     this.webhookSecret = null;
@@ -17,14 +21,38 @@ class CalComIntegrationService {
     this.userCredentials = null;
   }
 
+  /**
+   * Get a Cal.com service configured with an organization's own credentials.
+   * Falls back to the platform-wide instance when the organization has none.
+   */
+  async forOrganization(organizationId) {
+    if (!organizationId) {
+      return this;
+    }
+
+    if (!organizationServices.has(organizationId)) {
+      organizationServices.set(organizationId, new CalComIntegrationService(organizationId));
+    }
+
+    const service = organizationServices.get(organizationId);
+    return (await service.isCalComReady()) ? service : this;
+  }
+
+  /**
+   * Drop the cached service for an organization so new settings take effect
+   */
+  resetOrganization(organizationId) {
+    organizationServices.delete(organizationId);
+  }
+
   /**
    * Load user credentials from database
    */
   async loadUserCredentials() {
     try {
-      const result = await executeQuery(`
-        SELECT settings FROM platform_settings WHERE id = 1
-      `);
+      const result = this.organizationId
+        ? await executeQuery('SELECT settings FROM organization_settings WHERE organization_id = $1', [this.organizationId])
+        : await executeQuery('SELECT settings FROM platform_settings WHERE id = 1');
 
       if (result.rows.length > 0) {
         const settings = result.rows[0].settings;
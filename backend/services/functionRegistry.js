@@ -7,6 +7,7 @@ const config = require('../config/config');
 const logger = require('../utils/logger');
 const calComIntegrationService = require('./externalCalendarService');
 const calendarService = require('./calendarService');
+const outgoingWebhookService = require('./outgoingWebhookService');
 
 class FunctionRegistry {
   constructor() {
@@ -223,6 +224,16 @@ class FunctionRegistry {
             customerEmail: bookingData.customerEmail
           });
 
+          outgoingWebhookService.emit('booking.created', {
+            bookingId: result.bookingId,
+            provider: 'calcom',
+            startTime: bookingData.startTime,
+            endTime: bookingData.endTime,
+            customerName: bookingData.customerName,
+            customerEmail: bookingData.customerEmail,
+            customerPhone: bookingData.customerPhone
+          }, { callId: context.callId, agentId: context.agentId || agentId, organizationId: context.organizationId });
+
           return {
             success: true,
             bookingId: result.bookingId,
@@ -257,7 +268,8 @@ class FunctionRegistry {
           startTime: new Date(bookingStartTime),
           endTime: new Date(bookingEndTime),
           title: title || `Appointment with ${customerName || 'Customer'}`,
-          notes: `Booked via AI call: ${context.callId || 'unknown'}`
+          notes: `Booked via AI call: ${context.callId || 'unknown'}`,
+          callId: context.callId
         };
 
         const result = await calendarService.bookSlot(bookingData);
@@ -357,7 +369,8 @@ class FunctionRegistry {
         customerPhone,
         startTime: new Date(startTime),
         endTime: new Date(endTime || new Date(new Date(startTime).getTime() + 30 * 60 * 1000)),
-        title: title || `Appointment with ${customerName}`
+        title: title || `Appointment with ${customerName}`,
+        callId: context?.callId
       };
 
       const result = await calendarService.bookSlot(bookingData);
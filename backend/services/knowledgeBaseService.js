@@ -0,0 +1,341 @@
+/**
+ * Knowledge Base Service
+ * Documents uploaded to a knowledge base are split into chunks and indexed
+ * for BM25 keyword search. Agents attach any number of an organization's
+ * knowledge bases; on each caller turn the best-matching chunks are put in
+ * the agent's prompt, and the assistant message records them as citations.
+ *
+ * Search indexes are built in memory per knowledge base and rebuilt when its
+ * revision changes (a document was added or removed), so every backend
+ * instance sees uploads without sharing state.
+ */
+
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { pool, executeQuery } = require('../database/connection');
+const { detectFormat, extractSections, chunkSections } = require('../utils/documentText');
+const { termCounts, Bm25Index } = require('../utils/bm25');
+
+// Characters of a passage kept in a citation, so transcripts stay reviewable after a document is removed
+const CITATION_EXCERPT_CHARS = 200;
+
+class KnowledgeBaseService {
+  constructor() {
+    // knowledge base id -> { revision, index }
+    this.indexes = new Map();
+  }
+
+  async listKnowledgeBases(organizationId) {
+    const result = await executeQuery(`
+      SELECT kb.*,
+        (SELECT COUNT(*) FROM knowledge_documents d WHERE d.knowledge_base_id = kb.id) AS document_count,
+        (SELECT COUNT(*) FROM knowledge_chunks c WHERE c.knowledge_base_id = kb.id) AS chunk_count,
+        (SELECT COUNT(*) FROM agent_knowledge_bases a WHERE a.knowledge_base_id = kb.id) AS agent_count
+      FROM knowledge_bases kb
+      WHERE kb.organization_id = $1
+      ORDER BY kb.created_at DESC
+    `, [organizationId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      document_count: parseInt(row.document_count),
+      chunk_count: parseInt(row.chunk_count),
+      agent_count: parseInt(row.agent_count)
+    }));
+  }
+
+  async getKnowledgeBase(organizationId, knowledgeBaseId) {
+    const result = await executeQuery(
+      'SELECT * FROM knowledge_bases WHERE id = $1 AND organization_id = $2',
+      [knowledgeBaseId, organizationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async getDocuments(knowledgeBaseId) {
+    const result = await executeQuery(`
+      SELECT id, knowledge_base_id, filename, format, size_bytes, status, error, chunk_count, created_at
+      FROM knowledge_documents
+      WHERE knowledge_base_id = $1
+      ORDER BY created_at DESC
+    `, [knowledgeBaseId]);
+    return result.rows;
+  }
+
+  async createKnowledgeBase(organizationId, userId, { name, description }) {
+    const result = await executeQuery(`
+      INSERT INTO knowledge_bases (organization_id, name, description, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [organizationId, name, description || null, userId]);
+    return result.rows[0];
+  }
+
+  async updateKnowledgeBase(organizationId, knowledgeBaseId, { name, description }) {
+    const result = await executeQuery(`
+      UPDATE knowledge_bases SET name = $3, description = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND organization_id = $2
+      RETURNING *
+    `, [knowledgeBaseId, organizationId, name, description || null]);
+    return result.rows[0] || null;
+  }
+
+  async deleteKnowledgeBase(organizationId, knowledgeBaseId) {
+    const result = await executeQuery(
+      'DELETE FROM knowledge_bases WHERE id = $1 AND organization_id = $2 RETURNING id',
+      [knowledgeBaseId, organizationId]
+    );
+    this.indexes.delete(Number(knowledgeBaseId));
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Extract, chunk and index an uploaded document. Documents that cannot be
+   * read are kept with status 'failed' and the reason.
+   * @param {Object} knowledgeBase - knowledge_bases row
+   * @param {number} userId - Uploader
+   * @param {Object} file - { filename, buffer }
+   * @returns {Promise<Object>} { success, document } or { success: false, error }
+   */
+  async addDocument(knowledgeBase, userId, { filename, buffer }) {
+    const format = detectFormat(filename);
+    if (!format) {
+      return { success: false, error: 'Upload a PDF, Markdown, HTML, CSV or text file' };
+    }
+
+    const maxBytes = config.get('knowledge.maxDocumentBytes');
+    if (buffer.length > maxBytes) {
+      return { success: false, error: `Documents can be at most ${Math.floor(maxBytes / (1024 * 1024))} MB` };
+    }
+
+    const created = await executeQuery(`
+      INSERT INTO knowledge_documents (knowledge_base_id, filename, format, size_bytes, status, created_by)
+      VALUES ($1, $2, $3, $4, 'processing', $5)
+      RETURNING *
+    `, [knowledgeBase.id, filename, format, buffer.length, userId]);
+    const document = created.rows[0];
+
+    try {
+      const chunks = chunkSections(await extractSections(buffer, format));
+      if (chunks.length === 0) {
+        throw new Error('No text found in the document');
+      }
+
+      const indexed = await this._transaction(async (client) => {
+        for (const [position, chunk] of chunks.entries()) {
+          const { terms, length } = termCounts(`${chunk.location || ''}\n${chunk.content}`);
+          await client.query(`
+            INSERT INTO knowledge_chunks (document_id, knowledge_base_id, position, location, content, terms, term_count)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+          `, [document.id, knowledgeBase.id, position, chunk.location, chunk.content, JSON.stringify(terms), length]);
+        }
+
+        const updated = await client.query(`
+          UPDATE knowledge_documents SET status = 'ready', chunk_count = $2 WHERE id = $1 RETURNING *
+        `, [document.id, chunks.length]);
+        await this._bumpRevision(client, knowledgeBase.id);
+        return updated.rows[0];
+      });
+
+      logger.info('Knowledge document indexed', { knowledgeBaseId: knowledgeBase.id, documentId: document.id, format, chunks: chunks.length });
+      return { success: true, document: indexed };
+    } catch (error) {
+      logger.warn('Knowledge document could not be indexed', { knowledgeBaseId: knowledgeBase.id, documentId: document.id, error: error.message });
+      const failed = await executeQuery(
+        "UPDATE knowledge_documents SET status = 'failed', error = $2 WHERE id = $1 RETURNING *",
+        [document.id, error.message]
+      );
+      return { success: true, document: failed.rows[0] };
+    }
+  }
+
+  async deleteDocument(knowledgeBaseId, documentId) {
+    return this._transaction(async (client) => {
+      const result = await client.query(
+        'DELETE FROM knowledge_documents WHERE id = $1 AND knowledge_base_id = $2 RETURNING id',
+        [documentId, knowledgeBaseId]
+      );
+      if (result.rows.length === 0) {
+        return false;
+      }
+      await this._bumpRevision(client, knowledgeBaseId);
+      return true;
+    });
+  }
+
+  /**
+   * Knowledge bases an agent uses
+   */
+  async getAgentKnowledgeBases(agentId) {
+    const result = await executeQuery(`
+      SELECT kb.id, kb.name, kb.description
+      FROM agent_knowledge_bases akb
+      JOIN knowledge_bases kb ON kb.id = akb.knowledge_base_id
+      WHERE akb.agent_id = $1
+      ORDER BY kb.name
+    `, [agentId]);
+    return result.rows;
+  }
+
+  /**
+   * Replace the knowledge bases an agent uses. Ids from other organizations are ignored.
+   */
+  async setAgentKnowledgeBases(organizationId, agentId, knowledgeBaseIds) {
+    await this._transaction(async (client) => {
+      await client.query('DELETE FROM agent_knowledge_bases WHERE agent_id = $1', [agentId]);
+      await client.query(`
+        INSERT INTO agent_knowledge_bases (agent_id, knowledge_base_id)
+        SELECT $1, id FROM knowledge_bases WHERE organization_id = $2 AND id = ANY($3::int[])
+      `, [agentId, organizationId, knowledgeBaseIds]);
+    });
+    return this.getAgentKnowledgeBases(agentId);
+  }
+
+  /**
+   * The passages from an agent's knowledge bases that best match a query
+   * @param {string} agentId - Agent ID
+   * @param {string} query - What the caller asked
+   * @param {number} limit - How many passages
+   * @returns {Promise<Array>} [{ chunkId, documentId, documentName, knowledgeBaseId, location, content, score }]
+   */
+  async search(agentId, query, limit = config.get('knowledge.topK')) {
+    const attached = await executeQuery(`
+      SELECT kb.id, kb.revision
+      FROM agent_knowledge_bases akb
+      JOIN knowledge_bases kb ON kb.id = akb.knowledge_base_id
+      WHERE akb.agent_id = $1
+    `, [agentId]);
+    return this._search(attached.rows, query, limit);
+  }
+
+  /**
+   * Search one knowledge base, to check what an agent would find
+   * @param {Object} knowledgeBase - knowledge_bases row
+   */
+  async searchKnowledgeBase(knowledgeBase, query, limit = config.get('knowledge.topK')) {
+    return this._search([knowledgeBase], query, limit);
+  }
+
+  async _search(knowledgeBases, query, limit) {
+    if (knowledgeBases.length === 0 || !String(query || '').trim()) {
+      return [];
+    }
+
+    const indexes = await Promise.all(knowledgeBases.map(kb => this._getIndex(kb.id, kb.revision)));
+    const matches = indexes
+      .flatMap(index => index.search(query, limit))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    if (matches.length === 0) {
+      return [];
+    }
+
+    const result = await executeQuery(`
+      SELECT c.id, c.document_id, c.knowledge_base_id, c.location, c.content, d.filename
+      FROM knowledge_chunks c
+      JOIN knowledge_documents d ON d.id = c.document_id
+      WHERE c.id = ANY($1::int[])
+    `, [matches.map(match => match.id)]);
+    const chunks = new Map(result.rows.map(row => [row.id, row]));
+
+    // A chunk deleted since the index was built is skipped
+    return matches
+      .filter(match => chunks.has(match.id))
+      .map(match => {
+        const chunk = chunks.get(match.id);
+        return {
+          chunkId: chunk.id,
+          documentId: chunk.document_id,
+          documentName: chunk.filename,
+          knowledgeBaseId: chunk.knowledge_base_id,
+          location: chunk.location,
+          content: chunk.content,
+          score: Math.round(match.score * 100) / 100
+        };
+      });
+  }
+
+  /**
+   * System prompt section with the passages found for this turn
+   */
+  buildPromptSection(passages) {
+    if (!passages || passages.length === 0) {
+      return '';
+    }
+
+    const sources = passages.map((passage, index) => (
+      `[${index + 1}] ${passage.documentName}${passage.location ? ` (${passage.location})` : ''}\n${passage.content}`
+    )).join('\n\n');
+
+    return `\n\nKNOWLEDGE BASE:
+These passages from the company's documents may help answer the caller:
+
+${sources}
+
+- Use them for facts such as prices, hours and policies; they take precedence over what you assume
+- If they do not answer the question, say you are not sure rather than guessing
+- Do not read out the source numbers or document names`;
+  }
+
+  /**
+   * What an assistant message records about the passages it was given
+   */
+  toCitations(passages) {
+    return passages.map(passage => ({
+      chunkId: passage.chunkId,
+      documentId: passage.documentId,
+      documentName: passage.documentName,
+      location: passage.location,
+      score: passage.score,
+      excerpt: passage.content.length > CITATION_EXCERPT_CHARS
+        ? `${passage.content.slice(0, CITATION_EXCERPT_CHARS).trimEnd()}…`
+        : passage.content
+    }));
+  }
+
+  async _getIndex(knowledgeBaseId, revision) {
+    const cached = this.indexes.get(knowledgeBaseId);
+    if (cached && cached.revision === revision) {
+      return cached.index;
+    }
+
+    const result = await executeQuery(`
+      SELECT c.id, c.terms, c.term_count
+      FROM knowledge_chunks c
+      JOIN knowledge_documents d ON d.id = c.document_id
+      WHERE c.knowledge_base_id = $1 AND d.status = 'ready'
+    `, [knowledgeBaseId]);
+
+    const index = new Bm25Index(result.rows.map(row => ({ id: row.id, terms: row.terms, length: row.term_count })));
+    this.indexes.set(knowledgeBaseId, { revision, index });
+    logger.info('Knowledge base index loaded', { knowledgeBaseId, revision, chunks: index.size });
+    return index;
+  }
+
+  async _bumpRevision(client, knowledgeBaseId) {
+    await client.query(
+      'UPDATE knowledge_bases SET revision = revision + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [knowledgeBaseId]
+    );
+  }
+
+  async _transaction(work) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// Create singleton instance
+const knowledgeBaseService = new KnowledgeBaseService();
+
+module.exports = knowledgeBaseService;
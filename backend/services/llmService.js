@@ -1,20 +1,53 @@
 /**
  * LLM Service - Support for Multiple LLM Providers
- * Inspired by Retell AI's approach to support multiple LLM providers
+ * One interface to every language model. Conversations use the OpenAI chat
+ * format throughout the platform (system/user/assistant messages, assistant
+ * tool_calls, tool results); each provider adapter translates to its API.
+ *
+ * A provider is an object with:
+ *   name, label, defaultModel, isConfigured()
+ *   generate(request, { signal, onTextDelta }) -> { content, toolCalls, finishReason, usage }
+ *     - request: { messages, model, temperature, maxTokens, tools, toolChoice, responseFormat }
+ *     - with onTextDelta the reply is streamed to it as it is generated
+ *
+ * Every reply, whichever provider gave it, has the same shape:
+ *   { content: string, toolCalls: [{ id, type: 'function', function: { name, arguments } }],
+ *     finishReason: 'stop' | 'tool_calls' | 'length', usage: { inputTokens, outputTokens } | null,
+ *     provider, model }
+ *
+ * Requests go down a fallback chain: the requested provider, then the
+ * agent's fallbacks (LLM_FALLBACK_PROVIDERS when it has none). A provider
+ * that just failed is tried last for a while. If every provider fails the
+ * error is thrown; there is no canned reply.
+ *
+ * With a usageContext ({ callId, purpose, turn }) the tokens a reply used
+ * are recorded against the call (see usageService).
  */
 
-const { OpenAI } = require('openai');
+const { OpenAI, AzureOpenAI } = require('openai');
 const config = require('../config/config');
 const logger = require('../utils/logger');
+const OpenAILlmService = require('./openaiLlmService');
+const anthropicLlmService = require('./anthropicLlmService');
+const mockLlmService = require('./mockLlmService');
+const usageService = require('./usageService');
+
+// A provider that failed is tried last for this long
+const UNHEALTHY_COOLDOWN_MS = 30000;
 
 class LLMService {
   constructor() {
-    this.providers = {
-      openai: this.initializeOpenAI(),
-      azure: this.initializeAzureOpenAI(),
-      openrouter: this.initializeOpenRouter()
-    };
-    
+    this.providers = new Map();
+    this.unhealthyUntil = new Map();
+    [
+      this.initializeOpenAI(),
+      anthropicLlmService,
+      this.initializeAzureOpenAI(),
+      this.initializeOpenRouter(),
+      this.initializeLocal(),
+      ...(mockLlmService.isEnabled() ? [mockLlmService] : [])
+    ].forEach(provider => this.registerProvider(provider));
+
     this.defaultProvider = config.get('llm.defaultProvider') || 'openai';
   }
 
@@ -24,13 +57,18 @@ class LLMService {
   initializeOpenAI() {
     if (!config.get('openai.apiKey')) {
       logger.warn('OpenAI API key not configured');
-      return null;
     }
 
-    return new OpenAI({
-      apiKey: config.get('openai.apiKey'),
-      timeout: 15000,
-      maxRetries: 2
+    return new OpenAILlmService({
+      name: 'openai',
+      label: 'OpenAI',
+      defaultModel: config.get('openai.model') || 'gpt-4o-mini',
+      streamUsage: true,
+      client: config.get('openai.apiKey') ? new OpenAI({
+        apiKey: config.get('openai.apiKey'),
+        timeout: 15000,
+        maxRetries: 2
+      }) : null
     });
   }
 
@@ -38,20 +76,21 @@ class LLMService {
    * Initialize Azure OpenAI provider
    */
   initializeAzureOpenAI() {
-    if (!config.get('azure.apiKey') || !config.get('azure.endpoint')) {
-      logger.warn('Azure OpenAI not configured');
-      return null;
-    }
-
-    return new OpenAI({
-      apiKey: config.get('azure.apiKey'),
-      baseURL: `${config.get('azure.endpoint')}/openai/deployments/${config.get('azure.deployment')}/chat/completions?api-version=${config.get('azure.apiVersion')}`,
-      defaultQuery: { 'api-version': config.get('azure.apiVersion') },
-      defaultHeaders: {
-        'api-key': config.get('azure.apiKey')
-      },
-      timeout: 15000,
-      maxRetries: 2
+    const configured = config.get('azure.apiKey') && config.get('azure.endpoint') && config.get('azure.deployment');
+
+    return new OpenAILlmService({
+      name: 'azure',
+      label: 'Azure OpenAI',
+      defaultModel: config.get('azure.deployment'),
+      streamUsage: true,
+      client: configured ? new AzureOpenAI({
+        apiKey: config.get('azure.apiKey'),
+        endpoint: config.get('azure.endpoint'),
+        deployment: config.get('azure.deployment'),
+        apiVersion: config.get('azure.apiVersion'),
+        timeout: 15000,
+        maxRetries: 2
+      }) : null
     });
   }
 
@@ -59,178 +98,216 @@ class LLMService {
    * Initialize OpenRouter provider
    */
   initializeOpenRouter() {
-    if (!config.get('openrouter.apiKey')) {
-      logger.warn('OpenRouter API key not configured');
-      return null;
-    }
-
-    return new OpenAI({
-      apiKey: config.get('openrouter.apiKey'),
-      baseURL: 'https://openrouter.ai/api/v1',
-      defaultHeaders: {
-        'HTTP-Referer': config.get('openrouter.appName') || 'Dynamic AI Calling Platform',
-        'X-Title': config.get('openrouter.appUrl') || 'https://github.com/yourusername/dynamic-ai-calling-platform'
-      },
-      timeout: 15000,
-      maxRetries: 2
+    return new OpenAILlmService({
+      name: 'openrouter',
+      label: 'OpenRouter',
+      defaultModel: config.get('openrouter.model'),
+      streamUsage: true,
+      client: config.get('openrouter.apiKey') ? new OpenAI({
+        apiKey: config.get('openrouter.apiKey'),
+        baseURL: 'https://openrouter.ai/api/v1',
+        defaultHeaders: {
+          'HTTP-Referer': config.get('openrouter.appUrl') || 'https://github.com/yourusername/dynamic-ai-calling-platform',
+          'X-Title': config.get('openrouter.appName') || 'Dynamic AI Calling Platform'
+        },
+        timeout: 15000,
+        maxRetries: 2
+      }) : null
     });
   }
 
   /**
-   * Generate response using specified provider
+   * Initialize a self-hosted model server (Ollama, llama.cpp) through its OpenAI-compatible API
    */
-  async generateResponse(messages, options = {}) {
-    const {
-      provider = this.defaultProvider,
-      model = this.getDefaultModel(provider),
-      temperature = 0.7,
-      maxTokens = 200,
-      timeout = 10000,
-      functions = null,
-      functionCall = 'auto'
-    } = options;
+  initializeLocal() {
+    const url = config.get('localLlm.url')?.replace(/\/+$/, '');
+
+    return new OpenAILlmService({
+      name: 'local',
+      label: 'Self-hosted (Ollama, llama.cpp)',
+      defaultModel: config.get('localLlm.model'),
+      client: url ? new OpenAI({
+        // The SDK insists on a key; local servers ignore it
+        apiKey: config.get('localLlm.apiKey') || 'local',
+        baseURL: url,
+        timeout: 30000,
+        maxRetries: 0
+      }) : null
+    });
+  }
 
-    const llmClient = this.providers[provider];
-    if (!llmClient) {
-      // Return a fallback response when LLM is not configured
-      logger.warn('LLM provider not available, returning fallback response', { provider });
-      return {
-        content: "Hello! I'm your AI assistant. I'm here to help you. How can I assist you today?",
-        usage: { total_tokens: 0 },
-        fallback: true
-      };
-    }
+  /**
+   * Register a provider
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
 
-    try {
-      logger.info('Generating LLM response', { 
-        provider, 
-        model, 
-        messageCount: messages.length,
-        hasFunctions: !!functions
-      });
+  /**
+   * Providers and whether they can be used
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      defaultModel: provider.defaultModel || null
+    }));
+  }
 
-      const requestOptions = {
-        model: model,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: maxTokens
-      };
-
-      // Add function calling if functions are provided
-      if (functions && functions.length > 0) {
-        requestOptions.functions = functions;
-        requestOptions.function_call = functionCall;
+  /**
+   * The providers a request is tried with, in order: the requested one with
+   * its model, then each fallback. Unconfigured and repeated providers are left out.
+   * @param {Object} options - { provider, model, fallbacks: [{ provider, model }] }
+   * @returns {Array<{provider: string, model: string}>}
+   */
+  resolveChain({ provider = this.defaultProvider, model, fallbacks } = {}) {
+    const fallbackList = fallbacks?.length
+      ? fallbacks
+      : config.get('llm.fallbackProviders').map(name => ({ provider: name }));
+
+    const chain = [];
+    [{ provider, model }, ...fallbackList].forEach(entry => {
+      const adapter = this.providers.get(entry?.provider);
+      if (!adapter?.isConfigured() || chain.some(link => link.provider === adapter.name)) {
+        return;
       }
+      chain.push({ provider: adapter.name, model: entry.model || adapter.defaultModel });
+    });
 
-      const completion = await Promise.race([
-        llmClient.chat.completions.create(requestOptions),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('LLM request timeout')), timeout)
-        )
-      ]);
-
-      const message = completion.choices[0].message;
-
-      // Handle function calling response
-      if (message.function_call) {
-        logger.info('Function call detected', { 
-          functionName: message.function_call.name,
-          arguments: message.function_call.arguments
-        });
-        
-        return {
-          content: message.content,
-          function_call: message.function_call,
-          usage: completion.usage
-        };
-      }
+    return chain;
+  }
 
-      const response = message.content;
+  /**
+   * Generate a reply, going down the fallback chain until a provider answers
+   * @param {Array} messages - OpenAI-format conversation
+   * @param {Object} options - { provider, model, fallbacks, temperature, maxTokens, timeout, tools, toolChoice, responseFormat, usageContext }
+   * @returns {Promise<Object>} The reply (see the file header)
+   */
+  async generateResponse(messages, options = {}) {
+    return this._run(messages, options, null);
+  }
 
-      if (!response || response.trim().length === 0) {
-        throw new Error('Empty response from LLM');
-      }
+  /**
+   * Generate a reply as a stream. Text is passed to onTextDelta as it
+   * arrives; the resolved reply is the same as generateResponse's. Once
+   * text has been passed on, a failure is not retried with a fallback
+   * (the caller may already be hearing it).
+   */
+  async streamResponse(messages, options = {}, onTextDelta = () => {}) {
+    return this._run(messages, options, onTextDelta);
+  }
 
-      logger.info('LLM response generated', { 
-        provider, 
-        model, 
-        responseLength: response.length 
-      });
+  async _run(messages, options, onTextDelta) {
+    const {
+      temperature = 0.7,
+      maxTokens = 200,
+      timeout = 10000,
+      tools = null,
+      toolChoice = 'auto',
+      responseFormat = null
+    } = options;
 
-      return response.trim();
+    const chain = this.resolveChain(options)
+      // Providers that just failed go last
+      .sort((a, b) => this.isHealthy(b.provider) - this.isHealthy(a.provider));
 
-    } catch (error) {
-      logger.error('LLM generation error', { 
-        provider, 
-        model, 
-        error: error.message 
-      });
+    if (chain.length === 0) {
+      throw new Error(`No language model provider is configured (requested ${options.provider || this.defaultProvider})`);
+    }
 
-      // Fallback to default provider if current provider fails
-      if (provider !== this.defaultProvider) {
-        logger.info('Falling back to default provider', { 
-          from: provider, 
-          to: this.defaultProvider 
+    let lastError;
+    for (const link of chain) {
+      const request = { messages, model: link.model, temperature, maxTokens, tools, toolChoice, responseFormat };
+      let streamed = false;
+
+      try {
+        logger.info('Generating LLM response', {
+          provider: link.provider,
+          model: link.model,
+          messageCount: messages.length,
+          toolCount: tools?.length || 0,
+          streaming: !!onTextDelta
         });
-        return this.generateResponse(messages, { 
-          ...options, 
-          provider: this.defaultProvider 
-        });
-      }
 
-      // If all providers fail, return a fallback response
-      logger.warn('All LLM providers failed, returning fallback response', { error: error.message });
-      return {
-        content: "Hello! I'm your AI assistant. I'm here to help you. How can I assist you today?",
-        usage: { total_tokens: 0 },
-        fallback: true
-      };
+        const startedAt = Date.now();
+        const response = await this._attempt(link.provider, request, timeout, onTextDelta && ((text) => {
+          streamed = true;
+          onTextDelta(text);
+        }));
+
+        if (response.toolCalls.length === 0 && response.content.trim().length === 0) {
+          throw new Error('Empty response from LLM');
+        }
+
+        this.unhealthyUntil.delete(link.provider);
+        if (response.toolCalls.length > 0) {
+          logger.info('Tool calls requested', {
+            provider: link.provider,
+            tools: response.toolCalls.map(toolCall => toolCall.function.name)
+          });
+        } else {
+          logger.info('LLM response generated', {
+            provider: link.provider,
+            model: link.model,
+            responseLength: response.content.length,
+            durationMs: Date.now() - startedAt
+          });
+        }
+
+        const reply = { ...response, provider: link.provider, model: link.model };
+        if (options.usageContext) {
+          usageService.recordLlm(options.usageContext.callId, reply, options.usageContext);
+        }
+        return reply;
+      } catch (error) {
+        lastError = error;
+        this.unhealthyUntil.set(link.provider, Date.now() + UNHEALTHY_COOLDOWN_MS);
+        logger.error('LLM generation error', { provider: link.provider, model: link.model, error: error.message });
+
+        if (streamed) {
+          throw error;
+        }
+      }
     }
+
+    throw new Error(`All language model providers failed: ${lastError.message}`);
   }
 
   /**
-   * Get default model for provider
+   * One provider, one try. The timeout covers the whole reply, or when
+   * streaming the time to its first text; once text flows it runs to completion.
    */
-  getDefaultModel(provider) {
-    const defaultModels = {
-      openai: config.get('openai.model') || 'gpt-4o-mini',
-      azure: config.get('azure.deployment') || 'gpt-4o-mini',
-      openrouter: config.get('openrouter.model') || 'openai/gpt-4o-mini'
-    };
+  async _attempt(providerName, request, timeout, onTextDelta) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
 
-    return defaultModels[provider];
+    const textDelta = onTextDelta && ((text) => {
+      clearTimeout(timer);
+      onTextDelta(text);
+    });
+
+    try {
+      return await this.providers.get(providerName).generate(request, { signal: controller.signal, onTextDelta: textDelta });
+    } catch (error) {
+      throw controller.signal.aborted ? new Error(`LLM request timeout after ${timeout}ms`) : error;
+    } finally {
+      clearTimeout(timer);
+    }
   }
 
   /**
-   * Get available providers
+   * Has this provider worked recently (or not been tried)?
    */
-  getAvailableProviders() {
-    const available = [];
-    
-    Object.keys(this.providers).forEach(provider => {
-      if (this.providers[provider]) {
-        available.push({
-          name: provider,
-          displayName: this.getProviderDisplayName(provider),
-          defaultModel: this.getDefaultModel(provider)
-        });
-      }
-    });
-
-    return available;
+  isHealthy(providerName) {
+    return (this.unhealthyUntil.get(providerName) || 0) <= Date.now();
   }
 
   /**
-   * Get provider display name
+   * Get default model for provider
    */
-  getProviderDisplayName(provider) {
-    const displayNames = {
-      openai: 'OpenAI',
-      azure: 'Azure OpenAI',
-      openrouter: 'OpenRouter'
-    };
-
-    return displayNames[provider] || provider;
+  getDefaultModel(provider) {
+    return this.providers.get(provider)?.defaultModel;
   }
 
   /**
@@ -238,37 +315,19 @@ class LLMService {
    */
   async testProvider(provider) {
     try {
-      const testMessages = [
+      const response = await this.generateResponse([
         { role: 'user', content: 'Hello, this is a test message.' }
-      ];
-
-      await this.generateResponse(testMessages, { 
-        provider, 
-        maxTokens: 10 
+      ], {
+        provider,
+        fallbacks: [{ provider }],
+        maxTokens: 10
       });
 
-      return { success: true, message: 'Provider is working' };
+      return { success: true, message: 'Provider is working', model: response.model };
     } catch (error) {
       return { success: false, error: error.message };
     }
   }
-
-  /**
-   * Get provider status
-   */
-  getProviderStatus() {
-    const status = {};
-    
-    Object.keys(this.providers).forEach(provider => {
-      status[provider] = {
-        configured: !!this.providers[provider],
-        displayName: this.getProviderDisplayName(provider),
-        defaultModel: this.getDefaultModel(provider)
-      };
-    });
-
-    return status;
-  }
 }
 
 // Create singleton instance
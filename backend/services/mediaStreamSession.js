@@ -0,0 +1,495 @@
+/**
+ * Media Stream Session
+ * One bidirectional Twilio Media Stream (one live call). Caller audio is
+ * decoded from μ-law and sent to streaming speech-to-text; replies are
+ * streamed from the LLM, spoken sentence by sentence and pushed back as
+ * μ-law. Playback is cleared as soon as the caller starts talking over it.
+ * A caller who stays quiet after the agent has spoken is reprompted, and
+ * hung up on once the agent's silent reprompts are used up.
+ *
+ * Unlike the services, this is a class instantiated per connection by
+ * websocketService. Dependencies are injectable so the session can be
+ * exercised without real providers (see test/media-stream.test.js).
+ */
+
+const WebSocket = require('ws');
+const { validateRequest } = require('twilio');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { mulawToPcm16 } = require('../utils/audio');
+const SentenceChunker = require('../utils/sentenceChunker');
+
+// Twilio Media Streams audio: 8 kHz mono μ-law
+const STREAM_SAMPLE_RATE = 8000;
+const TTS_OUTPUT_FORMAT = 'ulaw_8000';
+// How long the caller can stay quiet after the agent finishes before being reprompted, as on webhook calls
+const SILENCE_TIMEOUT_MS = 10000;
+
+class MediaStreamSession {
+  constructor(ws, deps = {}) {
+    this.ws = ws;
+    this.stt = deps.stt || require('./sttService');
+    this.ai = deps.ai || require('./dynamicAIService');
+    this.tts = deps.tts || require('./ttsService');
+    this.db = deps.db || require('./postgresDatabaseService');
+    this.twilio = deps.twilio || require('./twilioService');
+    this.onClose = deps.onClose || (() => {});
+    this.silenceTimeoutMs = deps.silenceTimeoutMs || SILENCE_TIMEOUT_MS;
+    // X-Twilio-Signature and URL of the WebSocket upgrade
+    this.upgrade = deps.upgrade || {};
+    this.skipSignature = Boolean(deps.skipSignature);
+
+    this.streamSid = null;
+    this.callSid = null;
+    this.call = null;
+    this.voices = null;
+    this.sttSession = null;
+
+    // Bumped on barge-in: speech from an older generation is dropped
+    this.generation = 0;
+    this.turnQueue = Promise.resolve();
+    this.speechQueue = Promise.resolve();
+    this.queuedSpeech = 0;
+    this.pendingMarks = new Set();
+    this.markCount = 0;
+    this.synthesizing = new Set(); // AbortControllers of sentences still being rendered
+    this.turnsInProgress = 0;
+    this.silenceTimer = null;
+    // 'hangup' or 'transfer' once the current reply has finished playing
+    this.afterPlayback = null;
+    this.closed = false;
+
+    ws.on('message', (data) => {
+      this.handleMessage(data).catch(error => {
+        logger.error('Error handling media stream message', { callId: this.call?.id, error: error.message });
+      });
+    });
+    ws.on('close', () => this.close());
+    ws.on('error', (error) => {
+      logger.error('Media stream socket error', { callId: this.call?.id, error: error.message });
+      this.close();
+    });
+  }
+
+  /**
+   * Dispatch a Twilio Media Streams event
+   */
+  async handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      logger.warn('Invalid media stream message', { error: error.message });
+      return;
+    }
+
+    switch (message.event) {
+      case 'connected':
+        break;
+      case 'start':
+        await this.handleStart(message.start);
+        break;
+      case 'media':
+        this.handleMedia(message.media);
+        break;
+      case 'mark':
+        await this.handleMark(message.mark?.name);
+        break;
+      case 'stop':
+        this.close();
+        break;
+      default:
+        logger.debug('Unhandled media stream event', { event: message.event });
+    }
+  }
+
+  /**
+   * Stream started: load the call, open speech-to-text and speak the greeting
+   * the webhook generated before connecting the stream
+   */
+  async handleStart(start) {
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid;
+    const callId = start.customParameters?.callId;
+
+    const call = callId
+      ? await this.db.getCallById(callId)
+      : await this.db.getCallByTwilioSid(this.callSid);
+    // The stream has to belong to the call it names, and the webhooks record the SID before connecting one
+    if (!call || !call.twilio_call_sid || call.twilio_call_sid !== this.callSid) {
+      logger.error('Media stream for unknown call', { callId, callSid: this.callSid });
+      this.ws.close(1008, 'Unknown call');
+      return;
+    }
+
+    if (!this.skipSignature && !(await this.hasValidSignature(call))) {
+      logger.warn('Rejected media stream with an invalid signature', { callId: call.id });
+      this.ws.close(1008, 'Invalid signature');
+      return;
+    }
+
+    this.call = call;
+    const agent = await this.db.getAgentForCall(call);
+    this.voices = this.tts.resolveVoices(agent);
+
+    try {
+      this.sttSession = this.stt.createStream(this.stt.resolveSettings(agent), {
+        sampleRate: STREAM_SAMPLE_RATE,
+        onTranscript: (transcript) => this.handleTranscript(transcript),
+        onSpeechStarted: () => this.handleSpeechStarted(),
+        onError: (error) => logger.error('Speech-to-text failed for media stream', { callId: call.id, error: error.message })
+      });
+    } catch (error) {
+      logger.error('Could not start speech-to-text for media stream', { callId: call.id, error: error.message });
+      this.ws.close(1011, 'Speech-to-text unavailable');
+      return;
+    }
+
+    logger.info('Media stream started', { callId: call.id, streamSid: this.streamSid });
+
+    const conversation = await this.ai.getConversationHistory(call.id);
+    const greeting = [...(conversation?.messages || [])].reverse().find(message => message.role === 'assistant');
+    if (greeting) {
+      this.speakText(greeting.content, this.generation);
+    }
+  }
+
+  /**
+   * Twilio signs the WebSocket upgrade like a webhook without parameters,
+   * with the auth token of the account the call is on. The upgrade does not
+   * say which account that is, so the check waits for the start event.
+   */
+  async hasValidSignature(call) {
+    const { signature, url } = this.upgrade;
+    if (!signature || !url) {
+      return false;
+    }
+
+    const twilioService = await this.twilio.forOrganization(call.organization_id);
+    const authToken = twilioService?.authToken || config.get('twilio.authToken');
+    return Boolean(authToken) && validateRequest(authToken, signature, url, {});
+  }
+
+  /**
+   * Caller audio frame
+   */
+  handleMedia(media) {
+    if (!media?.payload || (media.track && media.track !== 'inbound')) {
+      return;
+    }
+
+    const pcm = mulawToPcm16(Buffer.from(media.payload, 'base64'));
+    this.sttSession?.sendAudio(pcm);
+  }
+
+  /**
+   * Twilio echoes a mark once the audio sent before it has played (or was cleared)
+   */
+  async handleMark(name) {
+    this.pendingMarks.delete(name);
+    await this.runAfterPlayback();
+  }
+
+  /**
+   * The caller started talking (providers without partial transcripts report this instead)
+   */
+  handleSpeechStarted() {
+    this.clearSilenceTimer();
+    if (this.isSpeaking()) {
+      this.bargeIn();
+    }
+  }
+
+  /**
+   * Partial transcripts only interrupt; a finished utterance starts a turn
+   */
+  handleTranscript({ text, isFinal }) {
+    this.clearSilenceTimer();
+    if (this.isSpeaking()) {
+      this.bargeIn();
+    }
+
+    if (!isFinal) {
+      return;
+    }
+
+    logger.info('Caller utterance', { callId: this.call?.id, text });
+    this.queueTurn(() => this.respond(text));
+  }
+
+  /**
+   * Turns run one at a time, in the order they were asked for
+   */
+  queueTurn(turn) {
+    this.turnsInProgress++;
+    this.turnQueue = this.turnQueue
+      .then(turn)
+      .catch(error => logger.error('Error responding on media stream', { callId: this.call?.id, error: error.message }))
+      .finally(() => {
+        this.turnsInProgress--;
+      });
+  }
+
+  /**
+   * Once the agent has finished and nobody is talking, wait for the caller;
+   * if they stay quiet, ask whether they are still there (or hang up)
+   */
+  startSilenceTimer() {
+    this.clearSilenceTimer();
+    this.silenceTimer = setTimeout(() => {
+      this.silenceTimer = null;
+      this.queueTurn(() => this.repromptSilence());
+    }, this.silenceTimeoutMs);
+  }
+
+  clearSilenceTimer() {
+    clearTimeout(this.silenceTimer);
+    this.silenceTimer = null;
+  }
+
+  async repromptSilence() {
+    if (this.closed || this.isSpeaking()) {
+      return;
+    }
+
+    const generation = this.generation;
+    const result = await this.ai.handleSilence(this.call.id);
+    if (generation !== this.generation) {
+      return;
+    }
+
+    this.speakText(result.response, generation);
+    if (result.conversationComplete) {
+      this.afterPlayback = 'hangup';
+    }
+    this.speechQueue = this.speechQueue.then(() => this.runAfterPlayback());
+  }
+
+  /**
+   * Run one conversation turn, speaking each sentence as soon as it is generated
+   */
+  async respond(text) {
+    if (this.closed) {
+      return;
+    }
+
+    const generation = this.generation;
+    const chunker = new SentenceChunker();
+    let streamed = false;
+
+    const result = await this.ai.processUserInput(this.call.id, text, this.call.phone_number, {
+      onTextDelta: (delta) => {
+        if (generation !== this.generation) return;
+        chunker.push(delta).forEach(sentence => {
+          streamed = true;
+          this.enqueueSpeech(sentence, generation);
+        });
+      }
+    });
+
+    // Interrupted mid-reply: the caller's next utterance takes over
+    if (generation !== this.generation) {
+      return;
+    }
+
+    const rest = chunker.flush();
+    if (rest) {
+      streamed = true;
+      this.enqueueSpeech(rest, generation);
+    }
+
+    // Fallback replies (errors, unconfigured LLM) are never streamed
+    if (!streamed && result.response) {
+      this.speakText(result.response, generation);
+    }
+
+    if (result.transfer) {
+      this.afterPlayback = 'transfer';
+    } else if (result.conversationComplete) {
+      this.afterPlayback = 'hangup';
+    }
+
+    this.speechQueue = this.speechQueue.then(() => this.runAfterPlayback());
+  }
+
+  /**
+   * Speak complete text, split into sentences so the first one plays sooner
+   */
+  speakText(text, generation) {
+    const chunker = new SentenceChunker();
+    const sentences = chunker.push(text);
+    const rest = chunker.flush();
+    if (rest) {
+      sentences.push(rest);
+    }
+    sentences.forEach(sentence => this.enqueueSpeech(sentence, generation));
+  }
+
+  /**
+   * Queue a sentence for speech. Synthesis starts now, so later sentences
+   * are already rendering while earlier ones play; they play in the order queued.
+   */
+  enqueueSpeech(text, generation) {
+    this.queuedSpeech++;
+    const audio = this.startSynthesis(text, generation);
+    this.speechQueue = this.speechQueue
+      .then(() => this.playSpeech(audio, generation))
+      .catch(error => logger.error('Error speaking on media stream', { callId: this.call?.id, error: error.message }))
+      .finally(() => {
+        this.queuedSpeech--;
+      });
+  }
+
+  /**
+   * Start TTS for one sentence; barge-in aborts everything started before it
+   * @returns {{promise: Promise, controller: AbortController}|null} null if the sentence is already stale
+   */
+  startSynthesis(text, generation) {
+    if (generation !== this.generation || this.closed) {
+      return null;
+    }
+
+    const controller = new AbortController();
+    this.synthesizing.add(controller);
+
+    // Falls back to the agent's second voice if the first fails or is too slow
+    const promise = this.tts.synthesize(text, this.voices, {
+      format: TTS_OUTPUT_FORMAT,
+      signal: controller.signal,
+      callId: this.call?.id
+    });
+    // Awaited once the sentences before it have played
+    promise.catch(() => {});
+
+    return { promise, controller };
+  }
+
+  /**
+   * Stream one sentence's TTS audio onto the call, followed by a mark
+   */
+  async playSpeech(audio, generation) {
+    if (!audio) {
+      return;
+    }
+    if (generation !== this.generation || this.closed) {
+      this.synthesizing.delete(audio.controller);
+      return;
+    }
+
+    try {
+      const { stream } = await audio.promise;
+
+      for await (const chunk of stream) {
+        if (generation !== this.generation || this.closed) {
+          break;
+        }
+        this.send({ event: 'media', streamSid: this.streamSid, media: { payload: Buffer.from(chunk).toString('base64') } });
+      }
+
+      if (generation === this.generation && !this.closed) {
+        const name = `speech-${++this.markCount}`;
+        this.pendingMarks.add(name);
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+      }
+    } catch (error) {
+      if (!audio.controller.signal.aborted) {
+        logger.error('Text-to-speech failed on media stream', { callId: this.call?.id, error: error.message });
+      }
+    } finally {
+      this.synthesizing.delete(audio.controller);
+    }
+  }
+
+  /**
+   * Cancel every sentence still being rendered
+   */
+  abortSynthesis() {
+    this.synthesizing.forEach(controller => controller.abort());
+    this.synthesizing.clear();
+  }
+
+  /**
+   * Is the agent talking (audio queued, being synthesized or still playing)?
+   */
+  isSpeaking() {
+    return this.queuedSpeech > 0 || this.pendingMarks.size > 0;
+  }
+
+  /**
+   * Caller talked over the agent: stop synthesis and flush Twilio's playback buffer
+   */
+  bargeIn() {
+    this.generation++;
+    this.abortSynthesis();
+    this.pendingMarks.clear();
+    this.afterPlayback = null;
+    this.send({ event: 'clear', streamSid: this.streamSid });
+
+    logger.info('Caller interrupted, playback cleared', { callId: this.call?.id });
+  }
+
+  /**
+   * Hang up or transfer once the final reply has played out
+   */
+  async runAfterPlayback() {
+    if (this.isSpeaking() || this.closed) {
+      return;
+    }
+    if (!this.afterPlayback) {
+      // The agent has had its say; it is the caller's turn unless they already took it
+      if (this.turnsInProgress === 0) {
+        this.startSilenceTimer();
+      }
+      return;
+    }
+
+    const action = this.afterPlayback;
+    this.afterPlayback = null;
+
+    try {
+      const orgTwilio = await this.twilio.forOrganization(this.call.organization_id);
+      if (action === 'transfer') {
+        const baseUrl = config.get('server.ngrokUrl');
+        await orgTwilio.updateCall(this.callSid, `${baseUrl}/api/webhooks/transfer-connect?callId=${encodeURIComponent(this.call.id)}`);
+      } else {
+        await orgTwilio.hangupCall(this.callSid);
+      }
+      logger.info('Media stream call handed off', { callId: this.call.id, action });
+    } catch (error) {
+      logger.error('Error ending media stream call', { callId: this.call.id, action, error: error.message });
+    }
+  }
+
+  /**
+   * Send an event to Twilio
+   */
+  send(message) {
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Stop everything for this stream. Conversation cleanup is left to the call-status webhook.
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.generation++;
+    this.clearSilenceTimer();
+    this.abortSynthesis();
+    this.sttSession?.close();
+
+    if (this.ws.readyState === WebSocket.OPEN) {
+      this.ws.close();
+    }
+
+    logger.info('Media stream closed', { callId: this.call?.id, streamSid: this.streamSid });
+    this.onClose(this);
+  }
+}
+
+module.exports = MediaStreamSession;
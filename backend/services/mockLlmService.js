@@ -0,0 +1,170 @@
+/**
+ * Mock LLM provider (see llmService)
+ * A scripted, deterministic stand-in for a model, so calls can run end to end
+ * offline (LLM_PROVIDER=mock) and tests can drive the voice pipeline.
+ *
+ * The script is a list of replies given in order, one per request:
+ *   "Sure, what day works for you?"
+ *   { "content": "Let me check.", "toolCalls": [{ "name": "check_availability", "arguments": { "date": "2025-01-10" } }] }
+ *   { "error": "Provider unavailable" }      - the request fails (exercises fallbacks)
+ *   { "content": "...", "delayMs": 800 }     - wait before answering
+ * Once the script runs out, the model greets, repeats what the caller said,
+ * or acknowledges a tool result. Streamed replies arrive word by word,
+ * LLM_MOCK_TOKEN_DELAY_MS apart.
+ *
+ * In production the provider only exists when it is the default
+ * (LLM_PROVIDER=mock), so agents there cannot be switched to scripted replies.
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+const GREETING = 'Hello, this is a test agent. How can I help you today?';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(new Error('Request aborted'));
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(new Error('Request aborted'));
+  };
+  // Streamed replies sleep once per word on the same signal, so the listener must not outlive the wait
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Rough token count, so usage is reported the way real providers do
+const countTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+class MockLlmService {
+  constructor() {
+    this.name = 'mock';
+    this.label = 'Mock (scripted, offline)';
+    this.defaultModel = 'mock';
+    this.script = null;
+    this.requests = [];
+    this.toolCallCount = 0;
+  }
+
+  /**
+   * Whether the mock may be used: outside production, or when it was chosen as the default
+   */
+  isEnabled() {
+    return config.get('server.env') !== 'production' || config.get('llm.defaultProvider') === 'mock';
+  }
+
+  isConfigured() {
+    return this.isEnabled();
+  }
+
+  /**
+   * Replace the script (see the file header); requests are logged from here on
+   * @param {Array} steps - Replies, in order
+   */
+  setScript(steps) {
+    this.script = [...steps];
+    this.requests = [];
+    this.toolCallCount = 0;
+  }
+
+  /**
+   * Provider interface: the next scripted reply, streamed to onTextDelta when given
+   * @param {Object} request - { messages, model, temperature, maxTokens, tools, toolChoice, responseFormat }
+   * @param {Object} options - { signal, onTextDelta }
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  async generate(request, { signal, onTextDelta } = {}) {
+    this.requests.push(request);
+    const step = this.nextStep(request);
+
+    if (step.delayMs) {
+      await sleep(step.delayMs, signal);
+    }
+    if (step.error) {
+      throw new Error(step.error);
+    }
+
+    const toolsAllowed = request.tools?.length > 0 && request.toolChoice !== 'none';
+    const toolCalls = toolsAllowed
+      ? (step.toolCalls || []).map(toolCall => ({
+        id: `call_mock_${++this.toolCallCount}`,
+        type: 'function',
+        function: {
+          name: toolCall.name,
+          arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {})
+        }
+      }))
+      : [];
+    const content = step.content || '';
+
+    if (onTextDelta && content) {
+      const tokenDelayMs = config.get('llmMock.tokenDelayMs');
+      for (const token of content.match(/\S+\s*/g) || []) {
+        if (tokenDelayMs) {
+          await sleep(tokenDelayMs, signal);
+        }
+        onTextDelta(token);
+      }
+    }
+
+    return {
+      content,
+      toolCalls,
+      finishReason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+      usage: {
+        inputTokens: request.messages.reduce((total, message) => total + countTokens(message.content), 0),
+        outputTokens: countTokens(content)
+      }
+    };
+  }
+
+  nextStep(request) {
+    if (this.script === null) {
+      this.script = this.loadScript();
+    }
+
+    const step = this.script.shift();
+    if (step !== undefined) {
+      return typeof step === 'string' ? { content: step } : step;
+    }
+
+    const last = request.messages[request.messages.length - 1];
+    if (last?.role === 'tool') {
+      return { content: 'Done.' };
+    }
+    if (last?.role === 'user') {
+      return { content: `You said: ${last.content}` };
+    }
+    return { content: GREETING };
+  }
+
+  loadScript() {
+    const file = config.get('llmMock.script');
+    if (!file) {
+      return [];
+    }
+
+    try {
+      const steps = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(steps)) {
+        throw new Error('the script must be a JSON array');
+      }
+      logger.info('Mock LLM script loaded', { file, steps: steps.length });
+      return steps;
+    } catch (error) {
+      logger.error('Mock LLM script could not be loaded', { file, error: error.message });
+      return [];
+    }
+  }
+}
+
+// Create singleton instance
+const mockLlmService = new MockLlmService();
+
+module.exports = mockLlmService;
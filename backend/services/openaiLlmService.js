@@ -0,0 +1,125 @@
+/**
+ * OpenAI-compatible LLM provider (see llmService)
+ * Chat completions through the OpenAI SDK. The same adapter serves OpenAI,
+ * Azure OpenAI, OpenRouter and self-hosted servers that speak the OpenAI API
+ * (Ollama at /v1, llama.cpp's llama-server); each gets its own client.
+ */
+
+const FINISH_REASONS = {
+  stop: 'stop',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  length: 'length'
+};
+
+class OpenAILlmService {
+  /**
+   * @param {Object} settings
+   * @param {string} settings.name - Provider name agents refer to
+   * @param {string} settings.label - Shown in the agent settings
+   * @param {string} settings.defaultModel - Model used when a request names none
+   * @param {Object|null} settings.client - OpenAI SDK client, or null when not configured
+   * @param {boolean} settings.streamUsage - Ask for token usage at the end of a stream (not every server supports it)
+   */
+  constructor({ name, label, defaultModel, client, streamUsage = false }) {
+    this.name = name;
+    this.label = label;
+    this.defaultModel = defaultModel;
+    this.client = client;
+    this.streamUsage = streamUsage;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  /**
+   * Provider interface: one reply to a conversation, streamed to onTextDelta when given
+   * @param {Object} request - { messages, model, temperature, maxTokens, tools, toolChoice, responseFormat }
+   * @param {Object} options - { signal, onTextDelta }
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  async generate(request, { signal, onTextDelta } = {}) {
+    const body = {
+      model: request.model,
+      messages: request.messages,
+      temperature: request.temperature,
+      max_tokens: request.maxTokens
+    };
+
+    if (request.tools?.length > 0) {
+      body.tools = request.tools;
+      body.tool_choice = request.toolChoice;
+    }
+
+    // e.g. { type: 'json_object' } for machine-readable replies
+    if (request.responseFormat) {
+      body.response_format = request.responseFormat;
+    }
+
+    if (!onTextDelta) {
+      const completion = await this.client.chat.completions.create(body, { signal });
+      const choice = completion.choices[0];
+      return {
+        content: choice.message.content || '',
+        toolCalls: choice.message.tool_calls || [],
+        finishReason: FINISH_REASONS[choice.finish_reason] || choice.finish_reason || 'stop',
+        usage: this.parseUsage(completion.usage)
+      };
+    }
+
+    const stream = await this.client.chat.completions.create({
+      ...body,
+      stream: true,
+      ...(this.streamUsage && { stream_options: { include_usage: true } })
+    }, { signal });
+
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        usage = this.parseUsage(chunk.usage);
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+      finishReason = choice.finish_reason || finishReason;
+
+      const delta = choice.delta || {};
+      if (delta.content) {
+        content += delta.content;
+        onTextDelta(delta.content);
+      }
+
+      // Tool calls arrive in fragments keyed by index
+      (delta.tool_calls || []).forEach(fragment => {
+        const toolCall = toolCalls[fragment.index] || (toolCalls[fragment.index] = {
+          id: '',
+          type: 'function',
+          function: { name: '', arguments: '' }
+        });
+        if (fragment.id) toolCall.id = fragment.id;
+        if (fragment.function?.name) toolCall.function.name += fragment.function.name;
+        if (fragment.function?.arguments) toolCall.function.arguments += fragment.function.arguments;
+      });
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean),
+      finishReason: FINISH_REASONS[finishReason] || finishReason || 'stop',
+      usage
+    };
+  }
+
+  parseUsage(usage) {
+    return usage
+      ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+      : null;
+  }
+}
+
+module.exports = OpenAILlmService;
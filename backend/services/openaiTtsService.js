@@ -0,0 +1,68 @@
+/**
+ * OpenAI Text-to-Speech Service
+ * Cloud TTS provider (see ttsService) using the OpenAI speech API
+ */
+
+const axios = require('axios');
+const { pipeline } = require('stream');
+const config = require('../config/config');
+const { createMulawEncoder } = require('../utils/audio');
+
+const OPENAI_SPEECH_URL = 'https://api.openai.com/v1/audio/speech';
+// response_format 'pcm' is raw 24 kHz 16-bit mono
+const OPENAI_PCM_SAMPLE_RATE = 24000;
+
+class OpenAITtsService {
+  constructor() {
+    this.name = 'openai';
+    this.label = 'OpenAI TTS';
+    this.producesAudio = true;
+    this.playContentType = 'audio/mpeg';
+    this.defaultVoice = config.get('openaiTts.voice');
+    this.apiKey = config.get('openai.apiKey');
+    this.model = config.get('openaiTts.model');
+  }
+
+  /**
+   * Check if OpenAI TTS is available
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Provider interface: stream speech for one piece of text
+   * @param {string} text - Text to speak
+   * @param {string} voice - OpenAI voice (alloy, echo, nova, ...)
+   * @param {Object} options - format: 'play' (MP3 for <Play>) or 'ulaw_8000' (Media Streams); signal
+   * @returns {Promise<{stream: Readable, contentType: string}>}
+   */
+  async synthesize(text, voice, { format = 'play', signal } = {}) {
+    const telephone = format === 'ulaw_8000';
+
+    const response = await axios.post(OPENAI_SPEECH_URL, {
+      model: this.model,
+      voice: voice || this.defaultVoice,
+      input: text,
+      // Telephone audio is transcoded from raw PCM as it arrives
+      response_format: telephone ? 'pcm' : 'mp3'
+    }, {
+      headers: { Authorization: `Bearer ${this.apiKey}` },
+      responseType: 'stream',
+      signal,
+      timeout: 15000
+    });
+
+    if (!telephone) {
+      return { stream: response.data, contentType: 'audio/mpeg' };
+    }
+
+    const stream = pipeline(response.data, createMulawEncoder(OPENAI_PCM_SAMPLE_RATE), () => {});
+    return { stream, contentType: 'audio/basic' };
+  }
+}
+
+// Create singleton instance
+const openaiTtsService = new OpenAITtsService();
+
+module.exports = openaiTtsService;
@@ -0,0 +1,543 @@
+/**
+ * Outgoing Webhook Service
+ * Sends platform events (calls starting and ending, call analyses, bookings,
+ * agent tool calls) to an account's webhook endpoints and to the agent's own
+ * webhook URL.
+ *
+ * Each event is stored as one delivery per receiving endpoint before it is
+ * sent, signed with that endpoint's secret. The first attempt is made right
+ * away; a dispatcher loop retries failures with exponential backoff. Every
+ * attempt is logged, and deliveries that ran out of attempts can be replayed.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { assertPublicUrl, OUTBOUND_REQUEST_OPTIONS } = require('../utils/outboundUrl');
+const { executeQuery } = require('../database/connection');
+
+const EVENT_TYPES = ['call.started', 'call.ended', 'call.analyzed', 'booking.created', 'booking.cancelled', 'function.invoked', 'budget.alert'];
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// An attempt claims its delivery for this long, so a sender that dies mid-request is retried later
+const CLAIM_SECONDS = 300;
+
+// Deliveries sent per dispatcher pass
+const DISPATCH_BATCH_SIZE = 20;
+
+// Response body kept per attempt for the delivery log
+const MAX_RESPONSE_CHARS = 1000;
+
+// verifySignature rejects deliveries signed longer ago than this (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+class OutgoingWebhookService {
+  constructor() {
+    this.timer = null;
+    this.isDispatching = false;
+  }
+
+  get eventTypes() {
+    return EVENT_TYPES;
+  }
+
+  /**
+   * Start the retry loop
+   */
+  start(intervalMs = config.get('webhooks.dispatchIntervalMs')) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.dispatch(), intervalMs);
+    logger.info('Webhook dispatcher started', { intervalMs });
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Signature of a delivery: hex HMAC-SHA256 of "<timestamp>.<body>"
+   * @param {string} secret - Endpoint secret
+   * @param {number|string} timestamp - Unix seconds, sent as X-Webhook-Timestamp
+   * @param {string} body - Raw request body
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Check a delivery the way a receiver should: the X-Webhook-Signature
+   * header ("v1=<hex>") must match and the timestamp must be recent
+   */
+  verifySignature(secret, timestamp, body, signatureHeader, now = Date.now()) {
+    if (!(Math.abs(now / 1000 - Number(timestamp)) <= SIGNATURE_TOLERANCE_SECONDS)) {
+      return false;
+    }
+
+    const expected = Buffer.from(`v1=${this.sign(secret, timestamp, body)}`);
+    const received = Buffer.from(String(signatureHeader || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Seconds to wait after a failed attempt: the retry base, doubled for each earlier failure
+   * @param {number} attempts - Attempts made so far
+   */
+  retryDelaySeconds(attempts) {
+    return config.get('webhooks.retryBaseSeconds') * 2 ** Math.max(attempts - 1, 0);
+  }
+
+  /**
+   * Whether an account endpoint receives an event. An endpoint with no events selected receives all of them.
+   */
+  endpointReceives(endpoint, event) {
+    return !!endpoint.enabled && (!endpoint.events || endpoint.events.length === 0 || endpoint.events.includes(event));
+  }
+
+  /**
+   * Queue an event for every endpoint that receives it and start sending.
+   * Never throws: a webhook problem must not break a call or booking.
+   * @param {string} event - One of EVENT_TYPES
+   * @param {Object} data - Event payload
+   * @param {Object} context - { organizationId, agentId, callId }; what is missing is looked up from the call or agent
+   * @returns {Promise<Array>} Queued deliveries
+   */
+  async emit(event, data, context = {}) {
+    try {
+      const { organizationId, agent } = await this._resolveContext(context);
+      const targets = await this._targets(event, organizationId, agent);
+      if (targets.length === 0) {
+        return [];
+      }
+
+      const eventId = `evt_${crypto.randomUUID().replace(/-/g, '')}`;
+      const payload = {
+        id: eventId,
+        type: event,
+        createdAt: new Date().toISOString(),
+        organizationId: organizationId || null,
+        agentId: agent?.agent_id || null,
+        data
+      };
+
+      const deliveries = [];
+      for (const target of targets) {
+        const result = await executeQuery(`
+          INSERT INTO webhook_deliveries (organization_id, endpoint_id, agent_id, event_id, event, url, payload, status, next_attempt_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP)
+          RETURNING *
+        `, [organizationId || null, target.endpointId, target.agentId, eventId, event, target.url, JSON.stringify(payload), DELIVERY_STATUS.PENDING]);
+        deliveries.push(result.rows[0]);
+      }
+
+      deliveries.forEach(delivery => {
+        this.attemptDelivery(delivery.id).catch(error => {
+          logger.error('Webhook delivery error', { deliveryId: delivery.id, error: error.message });
+        });
+      });
+
+      return deliveries;
+    } catch (error) {
+      logger.error('Webhook event could not be queued', { event, error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Emit a call event: the call's details, plus any event-specific data
+   * @param {Object} call - calls row
+   */
+  emitForCall(event, call, data = {}) {
+    return this.emit(event, { ...this.callDetails(call), ...data }, {
+      callId: call.id,
+      agentId: call.agent_id,
+      organizationId: call.organization_id
+    });
+  }
+
+  /**
+   * What every call event says about the call
+   */
+  callDetails(call) {
+    return {
+      callId: call.id,
+      agentId: call.agent_id,
+      agentVersion: call.agent_version ?? null,
+      direction: call.direction || 'outbound',
+      phoneNumber: call.phone_number,
+      customerName: call.customer_name,
+      campaignId: call.campaign_id ?? null,
+      startedAt: call.started_at || null
+    };
+  }
+
+  /**
+   * Send a delivery if it is due. The claim is a conditional update, so two
+   * backend instances never send the same attempt.
+   * @returns {Promise<Object|null>} The delivery after the attempt, or null if it was not due
+   */
+  async attemptDelivery(deliveryId) {
+    const claim = await executeQuery(`
+      UPDATE webhook_deliveries
+      SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $3)
+      WHERE id = $1 AND status = $2 AND next_attempt_at <= CURRENT_TIMESTAMP
+      RETURNING *
+    `, [deliveryId, DELIVERY_STATUS.PENDING, CLAIM_SECONDS]);
+
+    const delivery = claim.rows[0];
+    if (!delivery) {
+      return null;
+    }
+
+    const attempt = delivery.attempts + 1;
+    const secret = await this._secretFor(delivery);
+    const outcome = secret
+      ? await this.send(delivery, secret)
+      : { ok: false, statusCode: null, error: 'The endpoint no longer exists', responseBody: null, durationMs: 0 };
+
+    await executeQuery(`
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [delivery.id, attempt, outcome.statusCode, outcome.error, outcome.responseBody, outcome.durationMs]);
+
+    let status = DELIVERY_STATUS.PENDING;
+    if (outcome.ok) {
+      status = DELIVERY_STATUS.SUCCEEDED;
+    } else if (!secret || attempt >= config.get('webhooks.maxAttempts')) {
+      status = DELIVERY_STATUS.FAILED;
+    }
+    const retryInSeconds = status === DELIVERY_STATUS.PENDING ? this.retryDelaySeconds(attempt) : null;
+
+    const updated = await executeQuery(`
+      UPDATE webhook_deliveries
+      SET status = $2, attempts = $3, last_status_code = $4, last_error = $5,
+          next_attempt_at = CASE WHEN $6::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP + make_interval(secs => $6::int) END,
+          delivered_at = CASE WHEN $2 = 'succeeded' THEN CURRENT_TIMESTAMP ELSE delivered_at END
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id, status, attempt, outcome.statusCode, outcome.error, retryInSeconds]);
+
+    const log = { deliveryId: delivery.id, event: delivery.event, url: delivery.url, attempt, statusCode: outcome.statusCode };
+    if (outcome.ok) {
+      logger.info('Webhook delivered', log);
+    } else {
+      logger.warn('Webhook delivery failed', { ...log, error: outcome.error, retryInSeconds });
+    }
+
+    return updated.rows[0];
+  }
+
+  /**
+   * POST a delivery's payload, signed with the given secret. Any 2xx response counts as delivered.
+   * @returns {Promise<{ok: boolean, statusCode: number|null, error: string|null, responseBody: string|null, durationMs: number}>}
+   */
+  async send(delivery, secret) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+      // Endpoints saved before the address guard, or whose host has since moved, are not sent to
+      await assertPublicUrl(delivery.url);
+
+      const response = await axios.post(delivery.url, body, {
+        ...OUTBOUND_REQUEST_OPTIONS,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'RetailAI-Webhooks/1.0',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `v1=${this.sign(secret, timestamp, body)}`
+        },
+        timeout: config.get('webhooks.timeoutMs'),
+        // Keep the response as text for the log, and judge the status ourselves
+        transformResponse: [data => data],
+        validateStatus: () => true
+      });
+
+      const ok = response.status >= 200 && response.status < 300;
+      return {
+        ok,
+        statusCode: response.status,
+        error: ok ? null : `Endpoint responded with HTTP ${response.status}`,
+        responseBody: typeof response.data === 'string' && response.data ? response.data.slice(0, MAX_RESPONSE_CHARS) : null,
+        durationMs: Date.now() - startedAt
+      };
+    } catch (error) {
+      return {
+        ok: false,
+        statusCode: null,
+        error: error.code === 'ECONNABORTED' ? `No response within ${config.get('webhooks.timeoutMs')} ms` : error.message,
+        responseBody: null,
+        durationMs: Date.now() - startedAt
+      };
+    }
+  }
+
+  /**
+   * One dispatcher pass: send due retries and drop old log entries. Skipped
+   * if the previous pass is still going.
+   */
+  async dispatch() {
+    if (this.isDispatching) {
+      return;
+    }
+    this.isDispatching = true;
+
+    try {
+      await executeQuery(
+        'DELETE FROM webhook_deliveries WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1) AND status <> $2',
+        [config.get('webhooks.logRetentionDays'), DELIVERY_STATUS.PENDING]
+      );
+
+      const due = await executeQuery(`
+        SELECT id FROM webhook_deliveries
+        WHERE status = $1 AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at ASC
+        LIMIT $2
+      `, [DELIVERY_STATUS.PENDING, DISPATCH_BATCH_SIZE]);
+
+      await Promise.all(due.rows.map(({ id }) => this.attemptDelivery(id).catch(error => {
+        logger.error('Webhook delivery error', { deliveryId: id, error: error.message });
+      })));
+    } catch (error) {
+      logger.error('Webhook dispatcher error', { error: error.message });
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Send a failed delivery once more, with the same event ID so receivers can de-duplicate
+   * @returns {Promise<Object>} { success, delivery } or { success: false, notFound?, error }
+   */
+  async replay(organizationId, deliveryId) {
+    const reset = await executeQuery(`
+      UPDATE webhook_deliveries SET status = $3, next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND organization_id = $2 AND status = $4
+      RETURNING id
+    `, [deliveryId, organizationId, DELIVERY_STATUS.PENDING, DELIVERY_STATUS.FAILED]);
+
+    if (reset.rows.length === 0) {
+      const existing = await this.getDelivery(organizationId, deliveryId);
+      return existing
+        ? { success: false, error: 'Only failed deliveries can be replayed' }
+        : { success: false, notFound: true, error: 'Delivery not found' };
+    }
+
+    logger.info('Webhook delivery replayed', { deliveryId });
+    // A replay is a single attempt; it is not retried if it fails again
+    const delivery = await this.attemptDelivery(deliveryId);
+    return { success: true, delivery };
+  }
+
+  async listEndpoints(organizationId) {
+    const result = await executeQuery(`
+      SELECT e.*,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.endpoint_id = e.id AND d.status = 'failed') AS failed_count
+      FROM webhook_endpoints e
+      WHERE e.organization_id = $1
+      ORDER BY e.created_at ASC
+    `, [organizationId]);
+
+    return result.rows.map(row => ({ ...row, failed_count: parseInt(row.failed_count) }));
+  }
+
+  /**
+   * Agents with their own webhook URL, and the secret their events are signed with
+   */
+  async listAgentEndpoints(organizationId) {
+    const result = await executeQuery(`
+      SELECT agent_id, name, webhook_url, webhook_secret
+      FROM agents
+      WHERE organization_id = $1 AND webhook_url IS NOT NULL AND webhook_url <> ''
+      ORDER BY name
+    `, [organizationId]);
+
+    return Promise.all(result.rows.map(async (agent) => ({
+      agent_id: agent.agent_id,
+      name: agent.name,
+      url: agent.webhook_url,
+      secret: agent.webhook_secret || await this._agentSecret(agent.agent_id)
+    })));
+  }
+
+  async createEndpoint(organizationId, userId, { url, description, events = [], enabled = true }) {
+    const result = await executeQuery(`
+      INSERT INTO webhook_endpoints (organization_id, url, description, events, secret, enabled, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *
+    `, [organizationId, url, description || null, JSON.stringify(events), this.generateSecret(), enabled, userId]);
+
+    logger.info('Webhook endpoint created', { endpointId: result.rows[0].id, organizationId });
+    return result.rows[0];
+  }
+
+  async updateEndpoint(organizationId, endpointId, { url, description, events = [], enabled = true }) {
+    const result = await executeQuery(`
+      UPDATE webhook_endpoints
+      SET url = $3, description = $4, events = $5, enabled = $6, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND organization_id = $2
+      RETURNING *
+    `, [endpointId, organizationId, url, description || null, JSON.stringify(events), enabled]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Delete an endpoint. Its delivery log is kept; queued deliveries fail on their next attempt.
+   */
+  async deleteEndpoint(organizationId, endpointId) {
+    const result = await executeQuery(
+      'DELETE FROM webhook_endpoints WHERE id = $1 AND organization_id = $2 RETURNING id',
+      [endpointId, organizationId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Delivery log, newest first
+   * @param {Object} filters - { status, event, endpointId, agentId (deliveries to that agent's URL), limit, offset }
+   */
+  async listDeliveries(organizationId, { status, event, endpointId, agentId, limit = 50, offset = 0 } = {}) {
+    const conditions = ['organization_id = $1'];
+    const params = [organizationId];
+    const addFilter = (column, value) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    };
+    addFilter('status', status);
+    addFilter('event', event);
+    addFilter('endpoint_id', endpointId);
+    addFilter('agent_id', agentId);
+
+    const where = conditions.join(' AND ');
+    const total = await executeQuery(`SELECT COUNT(*) FROM webhook_deliveries WHERE ${where}`, params);
+    const result = await executeQuery(`
+      SELECT id, endpoint_id, agent_id, event_id, event, url, status, attempts, next_attempt_at,
+             last_status_code, last_error, delivered_at, created_at
+      FROM webhook_deliveries
+      WHERE ${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]);
+
+    return { deliveries: result.rows, total: parseInt(total.rows[0].count) };
+  }
+
+  /**
+   * A delivery with its payload and every attempt to send it
+   */
+  async getDelivery(organizationId, deliveryId) {
+    const result = await executeQuery(
+      'SELECT * FROM webhook_deliveries WHERE id = $1 AND organization_id = $2',
+      [deliveryId, organizationId]
+    );
+    const delivery = result.rows[0];
+    if (!delivery) {
+      return null;
+    }
+
+    const attempts = await executeQuery(
+      'SELECT attempt, status_code, error, response_body, duration_ms, attempted_at FROM webhook_delivery_attempts WHERE delivery_id = $1 ORDER BY attempt ASC',
+      [deliveryId]
+    );
+    return { ...delivery, attempt_log: attempts.rows };
+  }
+
+  /**
+   * Fill in the agent and organization an event belongs to
+   * @private
+   */
+  async _resolveContext({ organizationId = null, agentId = null, callId = null }) {
+    if (callId && (!agentId || !organizationId)) {
+      const call = await executeQuery('SELECT agent_id, organization_id FROM calls WHERE id = $1', [callId]);
+      agentId = agentId || call.rows[0]?.agent_id || null;
+      organizationId = organizationId || call.rows[0]?.organization_id || null;
+    }
+
+    let agent = null;
+    if (agentId) {
+      const result = await executeQuery(
+        'SELECT agent_id, organization_id, webhook_url, webhook_secret FROM agents WHERE agent_id = $1',
+        [agentId]
+      );
+      agent = result.rows[0] || null;
+    }
+
+    return { organizationId: organizationId || agent?.organization_id || null, agent };
+  }
+
+  /**
+   * Where an event goes: the agent's webhook URL, and the account endpoints
+   * subscribed to it. agent_id on a delivery marks the agent's own URL.
+   * @private
+   */
+  async _targets(event, organizationId, agent) {
+    const targets = [];
+
+    if (agent?.webhook_url) {
+      targets.push({ endpointId: null, agentId: agent.agent_id, url: agent.webhook_url });
+    }
+
+    if (organizationId) {
+      const endpoints = await executeQuery(
+        'SELECT * FROM webhook_endpoints WHERE organization_id = $1 AND enabled = true',
+        [organizationId]
+      );
+      endpoints.rows
+        .filter(endpoint => this.endpointReceives(endpoint, event))
+        .forEach(endpoint => targets.push({ endpointId: endpoint.id, agentId: null, url: endpoint.url }));
+    }
+
+    return targets;
+  }
+
+  /**
+   * Secret a delivery is signed with: its endpoint's, or for the agent's own URL the agent's
+   * @private
+   */
+  async _secretFor(delivery) {
+    if (delivery.endpoint_id) {
+      const result = await executeQuery('SELECT secret FROM webhook_endpoints WHERE id = $1', [delivery.endpoint_id]);
+      return result.rows[0]?.secret || null;
+    }
+    if (delivery.agent_id) {
+      return this._agentSecret(delivery.agent_id);
+    }
+    // The endpoint was deleted
+    return null;
+  }
+
+  /**
+   * The agent's webhook secret, created the first time it is needed
+   * @private
+   */
+  async _agentSecret(agentId) {
+    const result = await executeQuery(
+      'UPDATE agents SET webhook_secret = COALESCE(webhook_secret, $2) WHERE agent_id = $1 RETURNING webhook_secret',
+      [agentId, this.generateSecret()]
+    );
+    return result.rows[0]?.webhook_secret || null;
+  }
+}
+
+// Create singleton instance
+const outgoingWebhookService = new OutgoingWebhookService();
+
+module.exports = outgoingWebhookService;
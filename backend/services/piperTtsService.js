@@ -0,0 +1,60 @@
+/**
+ * Piper Text-to-Speech Service
+ * Local TTS provider (see ttsService) for a Piper HTTP server
+ * (`python3 -m piper.http_server`). Piper answers with a complete WAV file,
+ * which is quick on local hardware, so no streaming is attempted.
+ */
+
+const axios = require('axios');
+const { Readable } = require('stream');
+const config = require('../config/config');
+const { readWav, resamplePcm16, pcm16ToMulaw } = require('../utils/audio');
+
+class PiperTtsService {
+  constructor() {
+    this.name = 'piper';
+    this.label = 'Piper (local)';
+    this.producesAudio = true;
+    this.playContentType = 'audio/wav';
+    this.defaultVoice = config.get('piper.voice');
+    this.baseUrl = config.get('piper.url')?.replace(/\/+$/, '');
+  }
+
+  /**
+   * Check if a Piper server is configured
+   */
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Provider interface: speech for one piece of text
+   * @param {string} text - Text to speak
+   * @param {string} voice - Piper voice name (optional; the server's default otherwise)
+   * @param {Object} options - format: 'play' (WAV for <Play>) or 'ulaw_8000' (Media Streams); signal
+   * @returns {Promise<{stream: Readable, contentType: string}>}
+   */
+  async synthesize(text, voice, { format = 'play', signal } = {}) {
+    const response = await axios.post(this.baseUrl, {
+      text,
+      ...((voice || this.defaultVoice) && { voice: voice || this.defaultVoice })
+    }, {
+      responseType: 'arraybuffer',
+      signal,
+      timeout: 15000
+    });
+
+    const wav = Buffer.from(response.data);
+    if (format !== 'ulaw_8000') {
+      return { stream: Readable.from([wav]), contentType: 'audio/wav' };
+    }
+
+    const { sampleRate, pcm } = readWav(wav);
+    return { stream: Readable.from([pcm16ToMulaw(resamplePcm16(pcm, sampleRate, 8000))]), contentType: 'audio/basic' };
+  }
+}
+
+// Create singleton instance
+const piperTtsService = new PiperTtsService();
+
+module.exports = piperTtsService;
@@ -6,6 +6,7 @@
 const { pool, executeQuery } = require('../database/connection');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const agentVersionService = require('./agentVersionService');
 
 class PostgresDatabaseService {
   constructor() {
@@ -53,25 +54,6 @@ class PostgresDatabaseService {
 
   // Agent Management Methods
 
-  /**
-   * Create a new agent
-   */
-  async createAgent(agentData) {
-    const id = uuidv4();
-    const { name, description, prompt, voice_id, model, temperature, max_tokens } = agentData;
-
-    const sql = `
-      INSERT INTO agents (agent_id, name, description, ai_prompt, voice, model, api_key, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING *
-    `;
-
-    const result = await this.getQuery(sql, [id, name, description, prompt, voice_id, model, null]);
-    
-    logger.info('Agent created', { id, name });
-    return { id, ...agentData };
-  }
-
   /**
    * Get all agents
    */
@@ -88,6 +70,13 @@ class PostgresDatabaseService {
     return await this.getQuery(sql, [id]);
   }
 
+  /**
+   * Get the agent as a call should use it: the version the call started on
+   */
+  async getAgentForCall(call) {
+    return agentVersionService.loadAgentForCall(call.agent_id, call.id);
+  }
+
   /**
    * Update agent
    */
@@ -136,8 +125,9 @@ class PostgresDatabaseService {
     const { agent_id, phone_number, customer_name, twilio_call_sid } = callData;
 
     const sql = `
-      INSERT INTO calls (id, agent_id, phone_number, customer_name, twilio_call_sid, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      INSERT INTO calls (id, agent_id, phone_number, customer_name, twilio_call_sid, organization_id, created_at, updated_at)
+      SELECT $1, $2, $3, $4, $5, organization_id, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      FROM agents WHERE agent_id = $2
       RETURNING id
     `;
 
@@ -147,6 +137,23 @@ class PostgresDatabaseService {
     return result.id;
   }
 
+  /**
+   * Create the call record for an inbound call when Twilio first reports it
+   */
+  async createInboundCall({ organizationId, agentId, phoneNumber, customerName, twilioCallSid }) {
+    const id = uuidv4();
+
+    const sql = `
+      INSERT INTO calls (id, agent_id, phone_number, customer_name, twilio_call_sid, status, direction, organization_id, agent_version, started_at, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, 'in_progress', 'inbound', $6, (SELECT published_version FROM agents WHERE agent_id = $2), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+
+    const call = await this.getQuery(sql, [id, agentId, phoneNumber, customerName, twilioCallSid, organizationId]);
+    logger.info('Inbound call created', { id, agentId, twilioCallSid });
+    return call;
+  }
+
   /**
    * Get call by ID
    */
@@ -205,6 +212,54 @@ class PostgresDatabaseService {
     }
   }
 
+  /**
+   * Record why a call ended (agent_ended, silence, max_turns, ...). The
+   * first reason wins, so a hangup reported afterwards does not replace it.
+   */
+  async setCallEndReason(id, reason) {
+    const result = await this.getQuery(
+      `UPDATE calls SET end_reason = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND end_reason IS NULL RETURNING *`,
+      [id, reason]
+    );
+
+    if (result) {
+      logger.info('Call end reason recorded', { id, reason });
+    }
+    return result;
+  }
+
+  /**
+   * Record a transfer to a human. Only the fields passed are updated,
+   * so the status callback can fill in the outcome later.
+   */
+  async updateCallTransfer(id, transfer) {
+    const columns = {
+      status: 'transfer_status',
+      department: 'transfer_department',
+      target: 'transfer_target',
+      summary: 'transfer_summary',
+      duration: 'transfer_duration',
+      transferredAt: 'transferred_at'
+    };
+
+    const fields = Object.keys(columns).filter(key => transfer[key] !== undefined);
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const assignments = fields.map((key, index) => `${columns[key]} = $${index + 1}`);
+    const params = fields.map(key => transfer[key]);
+    params.push(id);
+
+    const sql = `UPDATE calls SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $${params.length} RETURNING *`;
+    const result = await this.getQuery(sql, params);
+
+    logger.info('Call transfer updated', { id, status: transfer.status });
+    return result;
+  }
+
   /**
    * Get all calls for an agent
    */
@@ -221,21 +276,22 @@ class PostgresDatabaseService {
   // Conversation Management Methods
 
   /**
-   * Add conversation message
+   * Add conversation message. citations lists the knowledge base passages an
+   * assistant message was given.
    */
-  async addConversationMessage(callId, role, content) {
+  async addConversationMessage(callId, role, content, citations = null) {
     const id = uuidv4();
     
     const sql = `
-      INSERT INTO conversations (id, call_id, role, content, timestamp, created_at)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      INSERT INTO conversations (id, call_id, role, content, citations, timestamp, created_at)
+      VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING *
     `;
 
-    const result = await this.getQuery(sql, [id, callId, role, content]);
+    await this.getQuery(sql, [id, callId, role, content, citations ? JSON.stringify(citations) : null]);
     
-    logger.info('Conversation message added', { callId, role, contentLength: content.length });
-    return { id, callId, role, content };
+    logger.info('Conversation message added', { callId, role, contentLength: content.length, citations: citations?.length || 0 });
+    return { id, callId, role, content, citations };
   }
 
   /**
@@ -313,13 +369,15 @@ class PostgresDatabaseService {
       timezone = 'UTC',
       functionType = 'calcom',
       parameters = {},
-      userId = 'default'
+      config: functionSettings = {},
+      userId = 'default',
+      organizationId = null
     } = functionData;
 
     const sql = `
       INSERT INTO agent_functions (
-        agent_id, function_type, name, description, config, is_active, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        function_id, function_type, name, description, config, is_active, organization_id, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       RETURNING *
     `;
 
@@ -329,59 +387,63 @@ class PostgresDatabaseService {
       timezone,
       functionType,
       parameters,
+      // Type-specific settings (e.g. webhook URL and templates)
+      config: functionSettings,
       userId
     };
 
-    const result = await this.getQuery(sql, [id, functionType, name, description, JSON.stringify(config), true]);
-    return functionData;
+    const result = await this.getQuery(sql, [id, functionType, name, description, JSON.stringify(config), true, organizationId]);
+    return this._parseCustomFunction(result);
   }
 
   /**
-   * Get all custom functions for a user
+   * Get all custom functions for an organization (all organizations when omitted)
    */
-  async getCustomFunctions(userId = 'default') {
-    const sql = 'SELECT * FROM agent_functions WHERE is_active = true ORDER BY created_at DESC';
-    const functions = await this.allQuery(sql);
+  async getCustomFunctions(organizationId = null) {
+    const functions = organizationId
+      ? await this.allQuery('SELECT * FROM agent_functions WHERE function_id IS NOT NULL AND is_active = true AND organization_id = $1 ORDER BY created_at DESC', [organizationId])
+      : await this.allQuery('SELECT * FROM agent_functions WHERE function_id IS NOT NULL AND is_active = true ORDER BY created_at DESC');
     
-    // Parse JSON config (handle both string and object types)
-    return functions.map(func => ({
-      ...func,
-      config: typeof func.config === 'string' ? JSON.parse(func.config || '{}') : (func.config || {})
-    }));
+    return functions.map(func => this._parseCustomFunction(func));
   }
 
   /**
    * Get a custom function by ID
    */
-  async getCustomFunction(functionId) {
-    const sql = 'SELECT * FROM agent_functions WHERE agent_id = $1';
-    const functionData = await this.getQuery(sql, [functionId]);
-    
-    if (functionData) {
-      functionData.config = JSON.parse(functionData.config || '{}');
-    }
+  async getCustomFunction(functionId, organizationId = null) {
+    const functionData = organizationId
+      ? await this.getQuery('SELECT * FROM agent_functions WHERE function_id = $1 AND organization_id = $2', [functionId, organizationId])
+      : await this.getQuery('SELECT * FROM agent_functions WHERE function_id = $1', [functionId]);
     
-    return functionData;
+    return functionData ? this._parseCustomFunction(functionData) : null;
   }
 
   /**
    * Get a custom function by name
    */
-  async getCustomFunctionByName(functionName) {
-    const sql = 'SELECT * FROM agent_functions WHERE name = $1';
-    const functionData = await this.getQuery(sql, [functionName]);
+  async getCustomFunctionByName(functionName, organizationId = null) {
+    const functionData = organizationId
+      ? await this.getQuery('SELECT * FROM agent_functions WHERE function_id IS NOT NULL AND name = $1 AND organization_id = $2', [functionName, organizationId])
+      : await this.getQuery('SELECT * FROM agent_functions WHERE function_id IS NOT NULL AND name = $1', [functionName]);
     
-    if (functionData) {
-      functionData.config = JSON.parse(functionData.config || '{}');
-    }
-    
-    return functionData;
+    return functionData ? this._parseCustomFunction(functionData) : null;
+  }
+
+  /**
+   * Parse JSON config (handle both string and object types)
+   * @private
+   */
+  _parseCustomFunction(func) {
+    return {
+      ...func,
+      config: typeof func.config === 'string' ? JSON.parse(func.config || '{}') : (func.config || {})
+    };
   }
 
   /**
    * Update a custom function
    */
-  async updateCustomFunction(functionId, updateData) {
+  async updateCustomFunction(functionId, updateData, organizationId = null) {
     const {
       name,
       description,
@@ -389,7 +451,8 @@ class PostgresDatabaseService {
       eventTypeId,
       timezone,
       functionType,
-      parameters
+      parameters,
+      config: functionSettings
     } = updateData;
 
     const fields = [];
@@ -406,9 +469,14 @@ class PostgresDatabaseService {
       values.push(description);
       paramIndex++;
     }
-    if (apiKey !== undefined || eventTypeId !== undefined || timezone !== undefined || functionType !== undefined || parameters !== undefined) {
+    if (functionType !== undefined) {
+      fields.push(`function_type = $${paramIndex}`);
+      values.push(functionType);
+      paramIndex++;
+    }
+    if (apiKey !== undefined || eventTypeId !== undefined || timezone !== undefined || functionType !== undefined || parameters !== undefined || functionSettings !== undefined) {
       // Get existing config and merge
-      const existing = await this.getCustomFunction(functionId);
+      const existing = await this.getCustomFunction(functionId, organizationId);
       const config = existing?.config || {};
       
       if (apiKey !== undefined) config.apiKey = apiKey;
@@ -416,6 +484,7 @@ class PostgresDatabaseService {
       if (timezone !== undefined) config.timezone = timezone;
       if (functionType !== undefined) config.functionType = functionType;
       if (parameters !== undefined) config.parameters = parameters;
+      if (functionSettings !== undefined) config.config = functionSettings;
       
       fields.push(`config = $${paramIndex}`);
       values.push(JSON.stringify(config));
@@ -423,20 +492,20 @@ class PostgresDatabaseService {
     }
 
     fields.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(functionId);
+    values.push(functionId, organizationId);
 
-    const sql = `UPDATE agent_functions SET ${fields.join(', ')} WHERE agent_id = $${paramIndex} RETURNING *`;
+    const sql = `UPDATE agent_functions SET ${fields.join(', ')} WHERE function_id = $${paramIndex} AND organization_id = $${paramIndex + 1} RETURNING *`;
     const result = await this.getQuery(sql, values);
 
-    return result;
+    return result ? this._parseCustomFunction(result) : null;
   }
 
   /**
    * Delete a custom function
    */
-  async deleteCustomFunction(functionId) {
-    const sql = 'UPDATE agent_functions SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE agent_id = $1';
-    const result = await this.runQuery(sql, [functionId]);
+  async deleteCustomFunction(functionId, organizationId) {
+    const sql = 'UPDATE agent_functions SET is_active = false, updated_at = CURRENT_TIMESTAMP WHERE function_id = $1 AND organization_id = $2';
+    const result = await this.runQuery(sql, [functionId, organizationId]);
     return result.changes > 0;
   }
 
@@ -475,33 +544,6 @@ class PostgresDatabaseService {
     return await this.getQuery(sql, [id]);
   }
 
-  /**
-   * Create new contact
-   */
-  async createContact(contactData) {
-    const { name, phone_number, email, company, notes, tags, is_verified, verification_status } = contactData;
-    
-    const sql = `
-      INSERT INTO contacts (name, phone_number, email, company, notes, tags, is_verified, verification_status, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING *
-    `;
-    
-    const params = [
-      name,
-      phone_number,
-      email || null,
-      company || null,
-      notes || null,
-      tags || null,
-      is_verified || false,
-      verification_status || 'pending'
-    ];
-
-    const result = await this.getQuery(sql, params);
-    return result;
-  }
-
   /**
    * Update contact
    */
@@ -564,9 +606,14 @@ class PostgresDatabaseService {
   }
 
   /**
-   * Get contacts by phone number
+   * Get contacts by phone number, optionally within one organization
    */
-  async getContactByPhone(phoneNumber) {
+  async getContactByPhone(phoneNumber, organizationId = null) {
+    if (organizationId) {
+      const sql = 'SELECT * FROM contacts WHERE phone_number = $1 AND organization_id = $2';
+      return await this.getQuery(sql, [phoneNumber, organizationId]);
+    }
+
     const sql = 'SELECT * FROM contacts WHERE phone_number = $1';
     return await this.getQuery(sql, [phoneNumber]);
   }
@@ -599,18 +646,63 @@ class PostgresDatabaseService {
   }
 
   /**
-   * Get calls by phone number
+   * Get calls by phone number, optionally within one organization
    */
-  async getCallsByPhoneNumber(phoneNumber, limit = 50) {
+  async getCallsByPhoneNumber(phoneNumber, limit = 50, organizationId = null) {
     const sql = `
       SELECT id, agent_id, phone_number, customer_name, status, twilio_call_sid, 
-             duration, started_at, ended_at
+             direction, duration, started_at, ended_at
       FROM calls 
-      WHERE phone_number = $1 
+      WHERE phone_number = $1 ${organizationId ? 'AND organization_id = $3' : ''}
       ORDER BY started_at DESC 
       LIMIT $2
     `;
-    return await this.allQuery(sql, [phoneNumber, limit]);
+    const params = organizationId ? [phoneNumber, limit, organizationId] : [phoneNumber, limit];
+    return await this.allQuery(sql, params);
+  }
+
+  // Phone Number Management Methods
+
+  /**
+   * Get an organization's phone numbers with the agent each one routes to
+   */
+  async getPhoneNumbers(organizationId, agentId = null) {
+    const sql = `
+      SELECT pn.*, a.name AS agent_name
+      FROM phone_numbers pn
+      JOIN agents a ON a.agent_id = pn.agent_id
+      WHERE pn.organization_id = $1 ${agentId ? 'AND pn.agent_id = $2' : ''}
+      ORDER BY pn.created_at DESC
+    `;
+    return await this.allQuery(sql, agentId ? [organizationId, agentId] : [organizationId]);
+  }
+
+  /**
+   * Get the routing entry for a dialed number (used by the inbound webhook)
+   */
+  async getPhoneNumberByNumber(phoneNumber) {
+    const sql = 'SELECT * FROM phone_numbers WHERE phone_number = $1';
+    return await this.getQuery(sql, [phoneNumber]);
+  }
+
+  /**
+   * Route a phone number to an agent
+   */
+  async createPhoneNumber({ organizationId, phoneNumber, agentId, friendlyName }) {
+    const sql = `
+      INSERT INTO phone_numbers (organization_id, phone_number, agent_id, friendly_name, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *
+    `;
+    return await this.getQuery(sql, [organizationId, phoneNumber, agentId, friendlyName || null]);
+  }
+
+  /**
+   * Remove a phone number route
+   */
+  async deletePhoneNumber(id, organizationId) {
+    const sql = 'DELETE FROM phone_numbers WHERE id = $1 AND organization_id = $2 RETURNING *';
+    return await this.getQuery(sql, [id, organizationId]);
   }
 }
 
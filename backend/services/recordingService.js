@@ -0,0 +1,278 @@
+/**
+ * Call Recording Service
+ * Twilio reports each finished recording to /api/webhooks/recording-status;
+ * the audio is downloaded as MP3 into our own storage and listed in the
+ * recordings table, so playback does not depend on Twilio keeping a copy.
+ *
+ * A storage backend is an object with:
+ *   name
+ *   save(key, audio, contentType)
+ *   size(key) -> bytes, or null if missing
+ *   open(key, { start, end }) -> Readable (end inclusive)
+ *   remove(key)
+ * Local disk (RECORDING_DIR) is the default; others can be registered and
+ * picked with RECORDING_STORAGE.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { executeQuery } = require('../database/connection');
+const databaseService = require('./postgresDatabaseService');
+const twilioService = require('./twilioService');
+
+const RECORDING_CONTENT_TYPE = 'audio/mpeg';
+// A whole call as MP3 can take a while to fetch
+const DOWNLOAD_TIMEOUT_MS = 120000;
+const PLAYBACK_TOKEN_PURPOSE = 'recording-playback';
+
+/**
+ * Recordings as files under a directory
+ */
+class LocalRecordingStorage {
+  constructor(dir) {
+    this.name = 'local';
+    this.dir = dir;
+  }
+
+  async save(key, audio) {
+    const file = this._path(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    // Written under a temporary name first, so a reader never sees half a file
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporary, audio);
+    await fs.promises.rename(temporary, file);
+  }
+
+  async size(key) {
+    try {
+      return (await fs.promises.stat(this._path(key))).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  open(key, range = {}) {
+    return fs.createReadStream(this._path(key), range);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this._path(key), { force: true });
+  }
+
+  _path(key) {
+    const file = path.resolve(this.dir, key);
+    if (!file.startsWith(path.resolve(this.dir) + path.sep)) {
+      throw new Error(`Invalid recording key: ${key}`);
+    }
+    return file;
+  }
+}
+
+class RecordingService {
+  constructor() {
+    this.storages = new Map();
+    this.registerStorage(new LocalRecordingStorage(config.get('recordings.dir')));
+
+    // Playback tokens are signed with their own key, so they are never valid API tokens
+    this.playbackSecret = crypto.createHash('sha256')
+      .update(`${PLAYBACK_TOKEN_PURPOSE}:${config.get('jwt.secret')}`)
+      .digest('hex');
+  }
+
+  /**
+   * Register a storage backend
+   */
+  registerStorage(storage) {
+    this.storages.set(storage.name, storage);
+  }
+
+  /**
+   * Storage backend by name, RECORDING_STORAGE by default
+   */
+  getStorage(name = config.get('recordings.storage')) {
+    const storage = this.storages.get(name);
+    if (!storage) {
+      throw new Error(`Unknown recording storage: ${name}`);
+    }
+    return storage;
+  }
+
+  /**
+   * Handle a recording status callback: record the recording against its
+   * call and, once completed, copy the audio into storage
+   * @param {Object} params - Twilio callback parameters
+   * @returns {Promise<Object|null>} Recording row, or null if the call is unknown
+   */
+  async handleStatusCallback(params) {
+    const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration, RecordingChannels, RecordingStartTime, ErrorCode } = params;
+
+    const call = await databaseService.getCallByTwilioSid(CallSid);
+    if (!call) {
+      logger.warn('Recording for an unknown call', { CallSid, RecordingSid });
+      return null;
+    }
+
+    // Twilio retries callbacks it thinks failed; a stored recording is done
+    const existing = await this._getBySid(RecordingSid);
+    if (existing?.status === 'stored') {
+      return existing;
+    }
+
+    const completed = RecordingStatus === 'completed';
+    const startedAt = Date.parse(RecordingStartTime);
+    const duration = parseInt(RecordingDuration) || 0;
+
+    // Start time goes through to_timestamp so it is comparable with the
+    // CURRENT_TIMESTAMP of conversation messages whatever the server time zone
+    const result = await executeQuery(`
+      INSERT INTO recordings (call_id, organization_id, twilio_recording_sid, status, channels, duration, started_at, error)
+      VALUES ($1, $2, $3, $4, $5, $6::integer, COALESCE(to_timestamp($7), CURRENT_TIMESTAMP - make_interval(secs => $6::integer)), $8)
+      ON CONFLICT (twilio_recording_sid) DO UPDATE
+      SET status = EXCLUDED.status, duration = EXCLUDED.duration, error = EXCLUDED.error, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [
+      call.id,
+      call.organization_id,
+      RecordingSid,
+      completed ? 'downloading' : 'failed',
+      parseInt(RecordingChannels) || 1,
+      duration,
+      Number.isNaN(startedAt) ? null : startedAt / 1000,
+      completed ? null : `Recording ${RecordingStatus}${ErrorCode ? ` (error ${ErrorCode})` : ''}`
+    ]);
+    const recording = result.rows[0];
+
+    if (!completed) {
+      logger.warn('Recording not available', { callId: call.id, RecordingSid, RecordingStatus, ErrorCode });
+      return recording;
+    }
+
+    return this._store(recording, call, RecordingUrl);
+  }
+
+  /**
+   * Latest stored recording of a call
+   * @returns {Promise<Object|null>} Recording row
+   */
+  async getForCall(callId) {
+    const result = await executeQuery(`
+      SELECT * FROM recordings
+      WHERE call_id = $1 AND status = 'stored'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `, [callId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Recording by ID, within an organization
+   */
+  async getById(id, organizationId) {
+    const result = await executeQuery(
+      'SELECT * FROM recordings WHERE id = $1 AND organization_id = $2',
+      [id, organizationId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Short-lived token for the audio URL: <audio> elements cannot send the
+   * Authorization header, so the URL itself carries the permission
+   */
+  createPlaybackToken(recording) {
+    return jwt.sign(
+      { recordingId: recording.id, organizationId: recording.organization_id, purpose: PLAYBACK_TOKEN_PURPOSE },
+      this.playbackSecret,
+      { expiresIn: config.get('recordings.playbackTtlSeconds') }
+    );
+  }
+
+  /**
+   * Check a playback token
+   * @returns {Object|null} { recordingId, organizationId }, or null if invalid or expired
+   */
+  verifyPlaybackToken(token) {
+    try {
+      const payload = jwt.verify(String(token || ''), this.playbackSecret);
+      return payload.purpose === PLAYBACK_TOKEN_PURPOSE ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Size of a stored recording's audio
+   * @returns {Promise<number|null>} Bytes, or null if the file is gone
+   */
+  async getSize(recording) {
+    return this.getStorage(recording.storage_backend).size(recording.storage_key);
+  }
+
+  /**
+   * Stream a stored recording's audio
+   * @param {Object} recording - Recording row
+   * @param {Object} range - { start, end } byte offsets, end inclusive
+   */
+  open(recording, range) {
+    return this.getStorage(recording.storage_backend).open(recording.storage_key, range);
+  }
+
+  async _getBySid(recordingSid) {
+    const result = await executeQuery('SELECT * FROM recordings WHERE twilio_recording_sid = $1', [recordingSid]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Download a completed recording from Twilio and save it
+   */
+  async _store(recording, call, recordingUrl) {
+    const storage = this.getStorage();
+    const key = `${call.organization_id || 'platform'}/${call.id}/${recording.twilio_recording_sid}.mp3`;
+
+    try {
+      const orgTwilio = await twilioService.forOrganization(call.organization_id);
+      const audio = await orgTwilio.downloadRecording(recordingUrl, { format: 'mp3', timeout: DOWNLOAD_TIMEOUT_MS });
+      await storage.save(key, audio, RECORDING_CONTENT_TYPE);
+
+      const result = await executeQuery(`
+        UPDATE recordings
+        SET status = 'stored', storage_backend = $1, storage_key = $2, content_type = $3, size_bytes = $4,
+            error = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `, [storage.name, key, RECORDING_CONTENT_TYPE, audio.length, recording.id]);
+
+      logger.info('Recording stored', { callId: call.id, recordingId: recording.id, storage: storage.name, bytes: audio.length });
+
+      if (config.get('recordings.deleteFromTwilio')) {
+        await orgTwilio.deleteRecording(recording.twilio_recording_sid).catch(error => {
+          logger.warn('Could not delete recording from Twilio', { recordingSid: recording.twilio_recording_sid, error: error.message });
+        });
+      }
+
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error storing recording', { callId: call.id, recordingId: recording.id, error: error.message });
+
+      const result = await executeQuery(`
+        UPDATE recordings SET status = 'failed', error = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `, [error.message, recording.id]);
+      return result.rows[0];
+    }
+  }
+}
+
+// Create singleton instance
+const recordingService = new RecordingService();
+
+module.exports = recordingService;
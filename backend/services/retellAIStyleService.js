@@ -6,51 +6,140 @@
 const logger = require('../utils/logger');
 const databaseService = require('./postgresDatabaseService');
 const customFunctionService = require('./customFunctionService');
+const functionRegistry = require('./functionRegistry');
+const conversationStore = require('./conversationStore');
+const twilioService = require('./twilioService');
+const emailService = require('./emailService');
+const outgoingWebhookService = require('./outgoingWebhookService');
+const { executeQuery } = require('../database/connection');
+
+// Conversation store namespace for per-call function execution state
+const STATE_NAMESPACE = 'function_state';
+
+const EMPTY_PARAMETERS = { type: 'object', properties: {}, required: [] };
+
+// Webhooks without a declared schema accept whatever arguments the model sends
+const FREEFORM_PARAMETERS = { type: 'object', properties: {}, additionalProperties: true };
+
+// Argument schemas for the agent function types the model can call
+const TOOL_PARAMETERS = {
+  check_availability: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'Date to check, YYYY-MM-DD' },
+      time: { type: 'string', description: 'Preferred time in 24-hour HH:MM, if the caller gave one' }
+    },
+    required: ['date']
+  },
+  book_appointment: {
+    type: 'object',
+    properties: {
+      date: { type: 'string', description: 'Appointment date, YYYY-MM-DD' },
+      time: { type: 'string', description: 'Appointment start time in 24-hour HH:MM' },
+      customerName: { type: 'string', description: "The caller's full name" },
+      customerEmail: { type: 'string', description: "The caller's email address" },
+      customerPhone: { type: 'string', description: "The caller's phone number, if different from the number they are calling from" }
+    },
+    required: ['date', 'time', 'customerName']
+  },
+  send_sms: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', description: "Text of the SMS; it is sent to the caller's number" }
+    },
+    required: ['message']
+  },
+  send_email: {
+    type: 'object',
+    properties: {
+      subject: { type: 'string', description: 'Email subject line' },
+      body: { type: 'string', description: 'Plain-text email body' }
+    },
+    required: ['body']
+  },
+  create_lead: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: "The lead's full name" },
+      email: { type: 'string', description: "The lead's email address" },
+      phone: { type: 'string', description: "The lead's phone number; defaults to the caller's number" },
+      company: { type: 'string', description: 'Company the lead works for' },
+      notes: { type: 'string', description: 'What the lead is interested in and any follow-up details' }
+    },
+    required: ['name']
+  },
+  end_call: {
+    type: 'object',
+    properties: {
+      closingLine: { type: 'string', description: 'Goodbye to say before hanging up, if your reply does not already say it' }
+    },
+    required: []
+  },
+  get_current_time: EMPTY_PARAMETERS,
+  custom: FREEFORM_PARAMETERS,
+  webhook: FREEFORM_PARAMETERS
+};
+
+// Given to agents that have no end_call function of their own
+const END_CALL_DESCRIPTION = 'Hang up once the conversation is over: the caller said goodbye, their request is done, or they asked to end the call. Never call it just because the caller said thank you.';
+
+const DEFAULT_TRANSFER_TIMEOUT = 30;
+const DEFAULT_TRANSFER_FALLBACK = "I'm sorry, nobody is available to take your call right now. Is there anything else I can help you with?";
+
+// Built-ins with no provider behind them. They report that honestly instead of
+// inventing confirmations, prices or stock levels the caller would rely on.
+const UNAVAILABLE_FUNCTIONS = {
+  reschedule_appointment: 'Rescheduling is not connected to a calendar provider',
+  cancel_appointment: 'Cancelling is not connected to a calendar provider',
+  update_customer: 'No CRM is connected to update customer records',
+  add_note: 'No CRM is connected to store notes',
+  get_product_info: 'No product catalog is connected',
+  check_inventory: 'No inventory system is connected',
+  process_payment: 'No payment provider is connected',
+  generate_quote: 'No pricing source is connected',
+  calculate_distance: 'No mapping provider is connected',
+  translate_text: 'No translation provider is connected',
+  hold_call: 'Placing calls on hold is not supported',
+  schedule_callback: 'Callback scheduling is not supported'
+};
 
 class AIFunctionService {
   constructor() {
     this.functionRegistry = new Map();
     this.contextVariables = new Map();
-    this.conversationStates = new Map();
     this._initializeBuiltInFunctions();
   }
 
   /**
-   * Initialize built-in functions
+   * Initialize built-in functions. An agent can only call the ones it has an
+   * agent_functions row for; see getToolsForAgent.
    */
   _initializeBuiltInFunctions() {
-    // Calendar functions
+    // Calendar functions (Cal.com)
     this.registerFunction('check_availability', this.checkAvailability.bind(this));
-    this.registerFunction('book_appointment', this.bookAppointment.bind(this));
-    this.registerFunction('appointment', this.bookAppointment.bind(this)); // Alias for appointment
-    this.registerFunction('reschedule_appointment', this.rescheduleAppointment.bind(this));
-    this.registerFunction('cancel_appointment', this.cancelAppointment.bind(this));
-    
-    // CRM functions
-    this.registerFunction('create_lead', this.createLead.bind(this));
-    this.registerFunction('update_customer', this.updateCustomer.bind(this));
-    this.registerFunction('add_note', this.addNote.bind(this));
-    this.registerFunction('send_email', this.sendEmail.bind(this));
-    this.registerFunction('send_sms', this.sendSMS.bind(this));
-    
-    // Business functions
-    this.registerFunction('get_product_info', this.getProductInfo.bind(this));
-    this.registerFunction('check_inventory', this.checkInventory.bind(this));
-    this.registerFunction('process_payment', this.processPayment.bind(this));
-    this.registerFunction('generate_quote', this.generateQuote.bind(this));
-    
+    this.registerFunction('book_appointment', this.bookAppointment.bind(this), { retries: 1 });
+    this.registerFunction('appointment', this.bookAppointment.bind(this), { retries: 1 }); // Alias for appointment
+
+    // Messaging and CRM functions. Not retried so a slow provider cannot cause duplicates.
+    this.registerFunction('send_sms', this.sendSMS.bind(this), { retries: 1 });
+    this.registerFunction('send_email', this.sendEmail.bind(this), { retries: 1 });
+    this.registerFunction('create_lead', this.createLead.bind(this), { retries: 1 });
+
     // Utility functions
     this.registerFunction('get_current_time', this.getCurrentTime.bind(this));
     this.registerFunction('format_date', this.formatDate.bind(this));
-    this.registerFunction('calculate_distance', this.calculateDistance.bind(this));
-    this.registerFunction('translate_text', this.translateText.bind(this));
-    
+
     // Call control
-    this.registerFunction('transfer_call', this.transferCall.bind(this));
-    this.registerFunction('hold_call', this.holdCall.bind(this));
-    this.registerFunction('end_call', this.endCall.bind(this));
-    this.registerFunction('schedule_callback', this.scheduleCallback.bind(this));
-    
+    this.registerFunction('end_call', this.endCall.bind(this), { retries: 1 });
+
+    Object.entries(UNAVAILABLE_FUNCTIONS).forEach(([name, reason]) => {
+      this.registerFunction(name, async () => ({ success: false, error: reason }), {
+        description: reason,
+        retries: 1,
+        available: false
+      });
+    });
+
     logger.info('AI function service initialized', { 
       functionCount: this.functionRegistry.size 
     });
@@ -67,6 +156,7 @@ class AIFunctionService {
         parameters: options.parameters || {},
         timeout: options.timeout || 10000,
         retries: options.retries || 3,
+        available: true,
         ...options
       }
     });
@@ -74,164 +164,215 @@ class AIFunctionService {
   }
 
   /**
-   * Process AI response with function calling
+   * Build the tools an agent can call: its own agent_functions rows plus the
+   * organization's custom functions. Returns OpenAI tool definitions and the
+   * handler behind each tool name.
    */
-  async processAIResponse(response, context = {}) {
-    try {
-      // Enhanced function detection with multiple patterns
-      const functionCalls = this.detectFunctionCalls(response);
-      
-      if (functionCalls.length === 0) {
-        return response;
+  async getToolsForAgent(agent) {
+    const toolset = { definitions: [], handlers: new Map() };
+
+    const addTool = (name, description, parameters, handler) => {
+      const toolName = this.toToolName(name);
+      if (!toolName || toolset.handlers.has(toolName)) {
+        logger.warn('Skipping tool with invalid or duplicate name', { agentId: agent.agent_id, name });
+        return;
       }
 
-      logger.info('Processing function calls', { 
-        callId: context.callId,
-        functionCount: functionCalls.length,
-        functions: functionCalls.map(f => f.name)
+      toolset.definitions.push({
+        type: 'function',
+        function: {
+          name: toolName,
+          description: description || `Execute ${name}`,
+          parameters
+        }
       });
+      toolset.handlers.set(toolName, handler);
+    };
 
-      let processedResponse = response;
-      const executionResults = [];
-
-      // Execute functions in sequence
-      for (const call of functionCalls) {
-        try {
-          const result = await this.executeFunctionCall(call, context);
-          executionResults.push({
-            function: call.name,
-            success: true,
-            result
-          });
-
-          // Replace function call with result in response
-          processedResponse = processedResponse.replace(call.originalText, result);
-        } catch (error) {
-          logger.error('Function execution failed', { 
-            function: call.name, 
-            error: error.message 
-          });
-          
-          executionResults.push({
-            function: call.name,
-            success: false,
-            error: error.message
-          });
+    const agentFunctions = await executeQuery(
+      'SELECT * FROM agent_functions WHERE agent_id = $1 AND is_active = true ORDER BY created_at ASC',
+      [agent.agent_id]
+    );
 
-          // Replace with error message
-          processedResponse = processedResponse.replace(
-            call.originalText, 
-            `[Function ${call.name} failed: ${error.message}]`
-          );
-        }
+    for (const func of agentFunctions.rows) {
+      const parameters = this.getToolParameters(func);
+      if (!parameters) {
+        logger.warn('Agent function type cannot be called as a tool', { agentId: agent.agent_id, functionType: func.function_type });
+        continue;
       }
 
-      // Store execution results in conversation state
-      if (context.callId) {
-        this.updateConversationState(context.callId, {
-          lastFunctionExecution: executionResults,
-          timestamp: new Date().toISOString()
-        });
-      }
+      addTool(func.name, func.description, parameters, (args, context) => this.executeAgentFunction(func, args, context));
+    }
 
-      return processedResponse;
+    if (agent.organization_id) {
+      const customFunctions = await customFunctionService.loadFunctionsForOrganization(agent.organization_id);
 
-    } catch (error) {
-      logger.error('Error processing AI response', { 
-        callId: context.callId,
-        error: error.message 
-      });
-      return response;
+      for (const func of customFunctions) {
+        addTool(func.name, func.description, this.getToolParameters(func) || EMPTY_PARAMETERS,
+          (args, context) => customFunctionService.executeFunction(func.name, args, context));
+      }
     }
+
+    // Calls only end when the model says so, so every agent can hang up
+    if (!toolset.handlers.has('end_call')) {
+      addTool('end_call', END_CALL_DESCRIPTION, TOOL_PARAMETERS.end_call,
+        (args, context) => this.executeFunctionCall('end_call', args, context));
+    }
+
+    return toolset;
   }
 
   /**
-   * Enhanced function call detection
+   * JSON schema for a function's arguments. An explicit schema in the function
+   * config wins; otherwise use the schema for its type. Returns null when the
+   * type has no schema.
    */
-  detectFunctionCalls(text) {
-    const calls = [];
-    
-    // Pattern 1: function_name(parameters)
-    const standardPattern = /(\w+)\s*\(([^)]*)\)/g;
-    
-    // Pattern 2: call function_name with parameters
-    const callPattern = /call\s+(\w+)\s+(?:with\s+)?(.*?)(?=\n|$|call\s+\w+)/gi;
-    
-    // Pattern 3: execute function_name(parameters)
-    const executePattern = /execute\s+(\w+)\s*\(([^)]*)\)/gi;
-    
-    // Pattern 4: use function_name to do something
-    const usePattern = /use\s+(\w+)\s+to\s+(.*?)(?=\n|$|use\s+\w+)/gi;
+  getToolParameters(func) {
+    const customParameters = func.config?.parameters;
+    if (customParameters?.type === 'object') {
+      return customParameters;
+    }
 
-    // Check all patterns
-    this.extractFromPattern(text, standardPattern, (match, name, params) => {
-      calls.push({ name, parameters: params, originalText: match[0] });
-    });
+    if (TOOL_PARAMETERS[func.function_type]) {
+      return TOOL_PARAMETERS[func.function_type];
+    }
 
-    this.extractFromPattern(text, callPattern, (match, name, params) => {
-      calls.push({ name, parameters: params, originalText: match[0] });
-    });
+    if (func.function_type === 'transfer_call') {
+      return this.getTransferParameters(func.config || {});
+    }
 
-    this.extractFromPattern(text, executePattern, (match, name, params) => {
-      calls.push({ name, parameters: params, originalText: match[0] });
-    });
+    // Cal.com custom functions check or book depending on their name
+    if (func.function_type === 'calcom') {
+      return /check|availability/.test(func.name)
+        ? TOOL_PARAMETERS.check_availability
+        : TOOL_PARAMETERS.book_appointment;
+    }
 
-    this.extractFromPattern(text, usePattern, (match, name, params) => {
-      calls.push({ name, parameters: params, originalText: match[0] });
-    });
+    return null;
+  }
 
-    // Remove duplicates and filter out common words
-    const uniqueCalls = calls.filter((call, index, self) => 
-      index === self.findIndex(c => c.name === call.name && c.originalText === call.originalText) &&
-      !this.isCommonWord(call.name)
-    );
+  /**
+   * transfer_call arguments: the model picks one of the configured departments
+   * and writes the summary spoken to the human on a warm transfer
+   */
+  getTransferParameters(transferConfig) {
+    const departments = transferConfig.departments || [];
+    if (departments.length === 0) {
+      return null;
+    }
 
-    return uniqueCalls;
+    const departmentList = departments
+      .map(department => department.description ? `${department.name} (${department.description})` : department.name)
+      .join(', ');
+
+    return {
+      type: 'object',
+      properties: {
+        department: {
+          type: 'string',
+          enum: departments.map(department => department.name),
+          description: `Department to transfer the caller to: ${departmentList}`
+        },
+        summary: {
+          type: 'string',
+          description: 'One or two sentences for the person taking the call: who is calling and what they need'
+        }
+      },
+      required: ['department', 'summary']
+    };
   }
 
   /**
-   * Extract matches from regex pattern
+   * Tool names must match ^[a-zA-Z0-9_-]{1,64}$
    */
-  extractFromPattern(text, pattern, callback) {
-    let match;
-    while ((match = pattern.exec(text)) !== null) {
-      callback(match, match[1], match[2]);
+  toToolName(name) {
+    return String(name || '').trim().replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64);
+  }
+
+  /**
+   * Run one tool call from the model. Failures are returned to the model as
+   * results rather than thrown, so it can tell the caller what went wrong.
+   */
+  async executeToolCall(toolset, toolCall, context) {
+    const name = toolCall.function?.name;
+    const handler = toolset.handlers.get(name);
+
+    if (!handler) {
+      return { success: false, error: `Unknown tool: ${name}` };
     }
+
+    let args;
+    try {
+      args = JSON.parse(toolCall.function.arguments || '{}');
+    } catch (error) {
+      return { success: false, error: 'Tool arguments were not valid JSON' };
+    }
+
+    let result;
+    try {
+      logger.info('Executing tool call', { callId: context.callId, tool: name, arguments: args });
+      result = await handler(args, { ...context, functionName: name });
+    } catch (error) {
+      logger.error('Tool call failed', { callId: context.callId, tool: name, error: error.message });
+      result = { success: false, error: error.message };
+    }
+
+    outgoingWebhookService.emit('function.invoked', {
+      callId: context.callId,
+      function: name,
+      arguments: args,
+      success: result?.success !== false,
+      result
+    }, { callId: context.callId, agentId: context.agentId, organizationId: context.organizationId });
+
+    return result;
   }
 
   /**
-   * Check if word is common (not a function)
+   * Execute an agent_functions row by its function type
    */
-  isCommonWord(word) {
-    const commonWords = [
-      'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with',
-      'by', 'from', 'up', 'about', 'into', 'through', 'during', 'before',
-      'after', 'above', 'below', 'between', 'among', 'under', 'over',
-      'this', 'that', 'these', 'those', 'i', 'you', 'he', 'she', 'it',
-      'we', 'they', 'me', 'him', 'her', 'us', 'them', 'my', 'your',
-      'his', 'her', 'its', 'our', 'their', 'is', 'are', 'was', 'were',
-      'be', 'been', 'being', 'have', 'has', 'had', 'do', 'does', 'did',
-      'will', 'would', 'could', 'should', 'may', 'might', 'must', 'can',
-      'a', 'an', 'the', 'call', 'execute', 'use', 'get', 'set', 'make',
-      'take', 'give', 'go', 'come', 'see', 'know', 'think', 'say', 'tell'
-    ];
-    return commonWords.includes(word.toLowerCase());
+  async executeAgentFunction(func, args, context) {
+    const functionConfig = func.config || {};
+    const eventTypeId = functionConfig.event_type_id;
+
+    switch (func.function_type) {
+      case 'check_availability':
+        return this.checkAvailability({ ...args, eventTypeId }, context);
+
+      case 'book_appointment':
+        return this.bookAppointment({ ...args, eventTypeId }, context);
+
+      // Recipients come from the function's saved config or the caller, never from the model
+      case 'send_sms':
+        return this.executeFunctionCall('send_sms', { message: args.message }, { ...context, savedRecipient: functionConfig.to });
+
+      case 'send_email':
+        return this.executeFunctionCall('send_email', {
+          subject: args.subject || functionConfig.subject,
+          body: args.body
+        }, { ...context, savedRecipient: functionConfig.to });
+
+      case 'transfer_call':
+        return this.transferCall(args, context, functionConfig);
+
+      case 'custom':
+        return customFunctionService.executeWebhook(functionConfig, args, context);
+
+      default:
+        return this.executeFunctionCall(func.function_type, args, context);
+    }
   }
 
   /**
-   * Execute function call with retry logic
+   * Execute a built-in function with retry logic
    */
-  async executeFunctionCall(call, context) {
-    const { name, parameters } = call;
+  async executeFunctionCall(name, args, context) {
     const functionData = this.functionRegistry.get(name);
     
     if (!functionData) {
       throw new Error(`Function '${name}' not found`);
     }
 
-    // Parse parameters
-    const parsedParams = this.parseParameters(parameters, context);
-    
     // Execute with timeout and retries
     const { implementation, options } = functionData;
     
@@ -240,12 +381,12 @@ class AIFunctionService {
         logger.info('Executing function', { 
           function: name, 
           attempt, 
-          parameters: parsedParams,
+          parameters: args,
           callId: context.callId
         });
 
         const result = await Promise.race([
-          implementation(parsedParams, context),
+          implementation(args, context),
           new Promise((_, reject) => 
             setTimeout(() => reject(new Error('Function timeout')), options.timeout)
           )
@@ -277,44 +418,12 @@ class AIFunctionService {
     }
   }
 
-  /**
-   * Parse function parameters with context variable replacement
-   */
-  parseParameters(parametersString, context) {
-    const params = {};
-    
-    if (!parametersString || !parametersString.trim()) {
-      return params;
-    }
-
-    // Replace context variables
-    let processedString = parametersString;
-    
-    // Replace {{variable}} patterns
-    processedString = processedString.replace(/\{\{(\w+)\}\}/g, (match, variable) => {
-      return context[variable] || match;
-    });
-
-    // Parse key=value pairs
-    const keyValuePairs = processedString.split(',').map(pair => pair.trim());
-    
-    for (const pair of keyValuePairs) {
-      const [key, value] = pair.split('=').map(s => s.trim());
-      if (key && value) {
-        // Remove quotes if present
-        params[key] = value.replace(/^["']|["']$/g, '');
-      }
-    }
-
-    return params;
-  }
-
   /**
    * Update conversation state
    */
-  updateConversationState(callId, state) {
-    const currentState = this.conversationStates.get(callId) || {};
-    this.conversationStates.set(callId, {
+  async updateConversationState(callId, state) {
+    const currentState = await conversationStore.getState(STATE_NAMESPACE, callId) || {};
+    await conversationStore.setState(STATE_NAMESPACE, callId, {
       ...currentState,
       ...state,
       lastUpdate: new Date().toISOString()
@@ -324,8 +433,8 @@ class AIFunctionService {
   /**
    * Get conversation state
    */
-  getConversationState(callId) {
-    return this.conversationStates.get(callId) || {};
+  async getConversationState(callId) {
+    return await conversationStore.getState(STATE_NAMESPACE, callId) || {};
   }
 
   // =============================================================================
@@ -333,232 +442,104 @@ class AIFunctionService {
   // =============================================================================
 
   /**
-   * Check availability
+   * Check availability on the agent's Cal.com event type
    */
   async checkAvailability(params, context) {
-    const { date, time, duration = 30, service_type = 'consultation' } = params;
-    
-    // Calendar integration - check actual availability
-    const availableSlots = [
-      { time: '09:00', available: true },
-      { time: '10:00', available: true },
-      { time: '14:00', available: false },
-      { time: '15:00', available: true },
-      { time: '16:00', available: true }
-    ];
-
-    const available = availableSlots.filter(slot => slot.available);
-    
-    if (available.length === 0) {
-      return `I'm sorry, but I don't have any available slots for ${date} ${time}. Let me check other dates for you.`;
-    }
-
-    const timeSlots = available.map(slot => slot.time).join(', ');
-    return `I have several available slots for ${date}: ${timeSlots}. Which time works best for you?`;
+    return functionRegistry.checkAvailabilityCal({
+      ...params,
+      eventTypeId: params.eventTypeId || context.agent?.calcom_event_type_id,
+      agentId: context.agentId
+    }, context);
   }
 
   /**
-   * Book appointment
+   * Book an appointment on the agent's Cal.com event type
    */
   async bookAppointment(params, context) {
-    const { customer_name, date, time, service_type = 'consultation', duration = 30 } = params;
-    
-    // Create actual booking
-    const bookingId = `booking-${Date.now()}`;
-    
-    logger.info('Appointment booked', { 
-      bookingId, 
-      customer_name, 
-      date, 
-      time,
-      callId: context.callId
-    });
-
-    return `Perfect! I've booked your ${service_type} for ${date} at ${time}. Your booking ID is ${bookingId}. You'll receive a confirmation email shortly.`;
-  }
-
-  /**
-   * Reschedule appointment
-   */
-  async rescheduleAppointment(params, context) {
-    const { booking_id, new_date, new_time } = params;
-    
-    // Reschedule appointment
-    logger.info('Appointment rescheduled', { 
-      booking_id, 
-      new_date, 
-      new_time,
-      callId: context.callId
-    });
+    const customerName = params.customerName || context.customerName;
 
-    return `I've successfully rescheduled your appointment to ${new_date} at ${new_time}. You'll receive an updated confirmation email.`;
+    return functionRegistry.bookAppointmentCal({
+      customerPhone: context.customerPhone,
+      ...params,
+      customerName,
+      eventTypeId: params.eventTypeId || context.agent?.calcom_event_type_id,
+      agentId: context.agentId,
+      title: `Appointment with ${customerName || 'Customer'}`
+    }, context);
   }
 
   /**
-   * Cancel appointment
+   * Send an SMS from the organization's Twilio number to the caller, or to the
+   * number saved on the function. The model only writes the message.
    */
-  async cancelAppointment(params, context) {
-    const { booking_id } = params;
-    
-    // Cancel appointment
-    logger.info('Appointment cancelled', { 
-      booking_id,
-      callId: context.callId
-    });
-
-    return `Your appointment ${booking_id} has been cancelled. You'll receive a cancellation confirmation email shortly.`;
-  }
-
-  /**
-   * Create lead
-   */
-  async createLead(params, context) {
-    const { name, email, phone, company, source = 'phone_call' } = params;
-    
-    // Create lead record
-    const leadId = `lead-${Date.now()}`;
-    
-    logger.info('Lead created', { 
-      leadId, 
-      name, 
-      email, 
-      phone,
-      callId: context.callId
-    });
-
-    return `I've created a lead for ${name} from ${company || 'unknown company'}. Lead ID: ${leadId}. Our sales team will follow up within 24 hours.`;
-  }
-
-  /**
-   * Update customer
-   */
-  async updateCustomer(params, context) {
-    const { customer_id, field, value } = params;
-    
-    // Update customer information
-    logger.info('Customer updated', { 
-      customer_id, 
-      field, 
-      value,
-      callId: context.callId
-    });
-
-    return `I've updated ${field} for customer ${customer_id} to ${value}. The changes have been saved.`;
-  }
+  async sendSMS(params, context) {
+    const { message } = params;
+    const to = context.savedRecipient || context.customerPhone;
+    if (!to) {
+      return { success: false, error: 'There is no phone number to text on this call' };
+    }
 
-  /**
-   * Add note
-   */
-  async addNote(params, context) {
-    const { note, category = 'general' } = params;
-    
-    // Add note to customer record
-    logger.info('Note added', { 
-      note: note.substring(0, 100), 
-      category,
-      callId: context.callId
-    });
+    const twilio = await twilioService.forOrganization(context.organizationId);
+    if (!twilio.isTwilioConfigured()) {
+      return { success: false, error: 'SMS is not available: Twilio is not configured' };
+    }
 
-    return `I've added your note to the customer record. Category: ${category}.`;
+    try {
+      const result = await twilio.sendSMS(to, message);
+      logger.info('SMS sent by agent', { callId: context.callId, messageSid: result.messageSid });
+      return { success: true, messageSid: result.messageSid, status: result.status };
+    } catch (error) {
+      return { success: false, error: 'Failed to send SMS' };
+    }
   }
 
   /**
-   * Send email
+   * Send an email over SMTP to the address saved on the function, or else to
+   * the email on the caller's contact record. The model only writes the subject and body.
    */
   async sendEmail(params, context) {
-    const { to, subject, template = 'default' } = params;
-    
-    // Send email notification
-    logger.info('Email sent', { 
-      to, 
-      subject, 
-      template,
-      callId: context.callId
-    });
+    const { subject, body } = params;
 
-    return `I've sent an email to ${to} with subject "${subject}". The email has been queued for delivery.`;
-  }
+    let to = context.savedRecipient;
+    if (!to && context.customerPhone && context.organizationId) {
+      const contact = await databaseService.getContactByPhone(context.customerPhone, context.organizationId);
+      to = contact?.email;
+    }
+    if (!to) {
+      return { success: false, error: 'There is no email address on file for this caller' };
+    }
 
-  /**
-   * Send SMS
-   */
-  async sendSMS(params, context) {
-    const { to, message } = params;
-    
-    // Send SMS notification
-    logger.info('SMS sent', { 
-      to, 
-      message: message.substring(0, 50),
-      callId: context.callId
-    });
+    const result = await emailService.sendEmail({ to, subject, text: body });
+    if (result.success) {
+      logger.info('Email sent by agent', { callId: context.callId, messageId: result.messageId });
+    }
 
-    return `I've sent an SMS to ${to} with your message. The SMS has been delivered.`;
+    return result;
   }
 
   /**
-   * Get product info
+   * Save a sales lead captured on the call
    */
-  async getProductInfo(params, context) {
-    const { product_name } = params;
-    
-    // Get product information
-    const products = {
-      'consultation': { price: '$150', duration: '1 hour', description: 'One-on-one consultation session' },
-      'demo': { price: '$200', duration: '2 hours', description: 'Product demonstration and Q&A' },
-      'support': { price: '$100', duration: '30 minutes', description: 'Technical support session' }
-    };
-
-    const product = products[product_name.toLowerCase()] || { 
-      price: '$99', 
-      duration: '1 hour', 
-      description: 'Custom service' 
-    };
-
-    return `Our ${product_name} service is ${product.price} for ${product.duration}. ${product.description}. Would you like to book this service?`;
-  }
+  async createLead(params, context) {
+    const { name, email, company, notes, source = 'phone_call' } = params;
+    const phone = params.phone || context.customerPhone;
 
-  /**
-   * Check inventory
-   */
-  async checkInventory(params, context) {
-    const { product_name } = params;
-    
-    // Check inventory status
-    const stock = Math.floor(Math.random() * 50) + 1;
-    
-    return `We have ${stock} units of ${product_name} in stock. Would you like me to check availability for delivery?`;
-  }
+    if (!name) {
+      return { success: false, error: 'A lead needs a name' };
+    }
 
-  /**
-   * Process payment
-   */
-  async processPayment(params, context) {
-    const { amount, payment_method = 'credit_card' } = params;
-    
-    // Process payment
-    const transactionId = `txn-${Date.now()}`;
-    
-    logger.info('Payment processed', { 
-      transactionId, 
-      amount, 
-      payment_method,
-      callId: context.callId
-    });
+    const result = await executeQuery(
+      `INSERT INTO leads (organization_id, agent_id, call_id, name, email, phone, company, notes, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING id`,
+      [context.organizationId || null, context.agentId || null, context.callId || null,
+        name, email || null, phone || null, company || null, notes || null, source]
+    );
 
-    return `Payment of ${amount} has been processed successfully using ${payment_method}. Transaction ID: ${transactionId}.`;
-  }
+    const leadId = result.rows[0].id;
+    logger.info('Lead created', { leadId, callId: context.callId });
 
-  /**
-   * Generate quote
-   */
-  async generateQuote(params, context) {
-    const { service_type, quantity = 1 } = params;
-    
-    // Generate pricing quote
-    const quoteId = `quote-${Date.now()}`;
-    const price = quantity * 150; // $150 per unit
-    
-    return `I've generated a quote for ${quantity} ${service_type} service(s). Total: $${price}. Quote ID: ${quoteId}. This quote is valid for 30 days.`;
+    return { success: true, leadId };
   }
 
   /**
@@ -608,92 +589,60 @@ class AIFunctionService {
   }
 
   /**
-   * Calculate distance
+   * Queue a transfer to a human. The transfer itself happens once the model
+   * has told the caller: the speech webhook picks up pendingTransfer and
+   * answers with a <Dial> instead of another <Gather>.
    */
-  async calculateDistance(params, context) {
-    const { from, to, unit = 'miles' } = params;
-    
-    // Calculate distance
-    const distance = Math.floor(Math.random() * 100) + 1;
-    
-    return `The distance from ${from} to ${to} is approximately ${distance} ${unit}.`;
-  }
+  async transferCall(params, context, transferConfig = {}) {
+    const departments = transferConfig.departments || [];
+    const requested = String(params.department || '').toLowerCase();
+    const department = departments.length === 1 && !requested
+      ? departments[0]
+      : departments.find(d => d.name.toLowerCase() === requested);
 
-  /**
-   * Translate text
-   */
-  async translateText(params, context) {
-    const { text, to_language = 'spanish' } = params;
-    
-    // Translate text
-    const translations = {
-      'spanish': 'Hola, ¿cómo puedo ayudarte hoy?',
-      'french': 'Bonjour, comment puis-je vous aider aujourd\'hui?',
-      'german': 'Hallo, wie kann ich Ihnen heute helfen?'
-    };
-    
-    const translation = translations[to_language.toLowerCase()] || `[Translated to ${to_language}]: ${text}`;
-    
-    return `Translation of "${text}" to ${to_language}: ${translation}`;
-  }
+    if (!department) {
+      return {
+        success: false,
+        error: `Unknown department "${params.department}". Choose one of: ${departments.map(d => d.name).join(', ')}`
+      };
+    }
 
-  /**
-   * Transfer call
-   */
-  async transferCall(params, context) {
-    const { department = 'sales', reason = 'specialized assistance' } = params;
-    
-    logger.info('Call transfer initiated', { 
-      department, 
-      reason,
-      callId: context.callId
+    await this.updateConversationState(context.callId, {
+      pendingTransfer: {
+        department: department.name,
+        target: department.destination,
+        summary: params.summary || null,
+        warm: Boolean(transferConfig.warm_transfer),
+        timeout: parseInt(transferConfig.timeout) || DEFAULT_TRANSFER_TIMEOUT,
+        callerId: transferConfig.caller_id || null,
+        fallbackMessage: transferConfig.fallback_message || DEFAULT_TRANSFER_FALLBACK
+      }
     });
 
-    return `I'm transferring you to our ${department} department for ${reason}. Please hold while I connect you.`;
-  }
-
-  /**
-   * Hold call
-   */
-  async holdCall(params, context) {
-    const { duration = 30 } = params;
-    
-    logger.info('Call placed on hold', { 
-      duration,
-      callId: context.callId
-    });
+    logger.info('Call transfer requested', { callId: context.callId, department: department.name });
 
-    return `I'm placing you on hold for about ${duration} seconds while I gather that information for you.`;
+    return {
+      success: true,
+      message: `Transfer to ${department.name} is ready. Tell the caller you are connecting them now; the call is transferred after your reply.`
+    };
   }
 
   /**
-   * End call
+   * Queue the end of the call. Like a transfer, it happens once the reply
+   * (and the closing line, if any) has been spoken: processUserInput picks
+   * up pendingEnd and reports the conversation as complete.
    */
   async endCall(params, context) {
-    logger.info('Call ended', { 
-      callId: context.callId
-    });
-
-    return `Thank you for calling. Have a great day!`;
-  }
+    const closingLine = typeof params.closingLine === 'string' ? params.closingLine.trim() : '';
 
-  /**
-   * Schedule callback
-   */
-  async scheduleCallback(params, context) {
-    const { date, time, reason = 'follow-up' } = params;
-    
-    const callbackId = `callback-${Date.now()}`;
-    
-    logger.info('Callback scheduled', { 
-      callbackId, 
-      date, 
-      time, 
-      reason,
-      callId: context.callId
+    await this.updateConversationState(context.callId, {
+      pendingEnd: { reason: 'agent_ended', closingLine: closingLine || null }
     });
 
-    return `I've scheduled a callback for ${date} at ${time} for ${reason}. Callback ID: ${callbackId}. We'll call you back at that time.`;
+    logger.info('Call end requested', { callId: context.callId });
+
+    // The turn ends here: dynamicAIService speaks the closing line instead of asking the model again
+    return { success: true, endsCall: true, closingLine: closingLine || null };
   }
 
   /**
@@ -708,7 +657,8 @@ class AIFunctionService {
         description: data.options.description,
         parameters: data.options.parameters,
         timeout: data.options.timeout,
-        retries: data.options.retries
+        retries: data.options.retries,
+        available: data.options.available
       });
     }
     
@@ -718,8 +668,8 @@ class AIFunctionService {
   /**
    * Cleanup conversation state
    */
-  cleanupConversation(callId) {
-    this.conversationStates.delete(callId);
+  async cleanupConversation(callId) {
+    await conversationStore.deleteState(STATE_NAMESPACE, callId);
     logger.info('Conversation state cleaned up', { callId });
   }
 }
@@ -0,0 +1,272 @@
+/**
+ * Speech-to-Text Service
+ * One place that decides how a call's speech is recognized. Providers are
+ * selected per agent (stt_provider, stt_language, stt_keywords) with the
+ * STT_* settings as defaults.
+ *
+ * A provider is an object with:
+ *   name, label, isConfigured(), supportsStreaming
+ *   createSession({ sampleRate, language, keywords, onTranscript, onSpeechStarted, onError })
+ *     - live audio (Media Streams); the session takes sendAudio(pcm16) and close()
+ *   transcribe(audio, { language, keywords, mimeType }) -> { text, confidence }
+ *     - one recorded utterance
+ * Twilio <Gather> is the exception: Twilio recognizes the speech itself and
+ * posts the text to the speech webhook.
+ */
+
+const twilio = require('twilio');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ttsService = require('./ttsService');
+const deepgramSttService = require('./deepgramSttService');
+const whisperSttService = require('./whisperSttService');
+
+// Below this confidence the caller is asked to repeat
+const MIN_CONFIDENCE = 0.1;
+
+// Agents store a language name; recognizers want a locale
+const LANGUAGE_CODES = {
+  English: 'en-US',
+  Spanish: 'es-ES',
+  French: 'fr-FR',
+  German: 'de-DE'
+};
+
+/**
+ * Twilio's built-in recognizer, driven by <Gather input="speech">
+ */
+class TwilioGatherProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.label = 'Twilio <Gather>';
+    this.supportsStreaming = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Add a speech <Gather> that plays the prompt inside it, so the caller can talk over it
+   */
+  appendListen(twiml, { language, keywords }, { prompt, actionUrl, partialUrl, timeout = 10 }) {
+    const gather = twiml.gather({
+      input: 'speech',
+      timeout,
+      action: actionUrl,
+      method: 'POST',
+      speechTimeout: 'auto',
+      speechModel: 'phone_call',
+      // The enhanced phone_call model is US English only
+      enhanced: language === 'en-US',
+      profanityFilter: false,
+      hints: (keywords.length > 0 ? keywords : TwilioGatherProvider.DEFAULT_HINTS).join(', '),
+      language,
+      speechStartTimeout: 0.8, // Faster interruption detection
+      speechEndTimeout: 0.3,   // Shorter pause detection
+      partialResultCallback: partialUrl,
+      partialResultCallbackMethod: 'POST'
+    });
+
+    ttsService.appendSpeech(gather, prompt);
+  }
+}
+
+TwilioGatherProvider.DEFAULT_HINTS = [
+  'yes', 'no', 'hello', 'goodbye', 'help', 'repeat', 'speak', 'talk', 'wait', 'stop', 'interrupt',
+  'already', 'book', 'schedule', 'appointment', 'available', 'time', 'date'
+];
+
+class SttService {
+  constructor() {
+    this.providers = new Map();
+    [new TwilioGatherProvider(), deepgramSttService, whisperSttService]
+      .forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Register a provider
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Providers and whether they can be used
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      streaming: provider.supportsStreaming
+    }));
+  }
+
+  /**
+   * Speech settings for an agent's calls
+   * @param {Object|null} agent - Agent row
+   * @returns {{provider: string, language: string, keywords: string[]}}
+   */
+  resolveSettings(agent) {
+    const requested = agent?.stt_provider || config.get('stt.provider');
+    let provider = this.providers.get(requested);
+
+    if (!provider || !provider.isConfigured()) {
+      logger.warn('Speech-to-text provider unavailable, using Twilio <Gather>', { requested, agentId: agent?.agent_id });
+      provider = this.providers.get('twilio');
+    }
+
+    return {
+      provider: provider.name,
+      language: agent?.stt_language || LANGUAGE_CODES[agent?.language] || config.get('stt.language'),
+      keywords: Array.isArray(agent?.stt_keywords) ? agent.stt_keywords : []
+    };
+  }
+
+  /**
+   * Provider for live audio: the agent's own if it streams, otherwise the
+   * first configured streaming provider (Twilio <Gather> cannot run on a stream)
+   * @returns {Object|null} Provider, or null when none is configured
+   */
+  getStreamingProvider(settings) {
+    const preferred = this.providers.get(settings.provider);
+    if (preferred?.supportsStreaming && preferred.isConfigured()) {
+      return preferred;
+    }
+
+    return Array.from(this.providers.values())
+      .find(provider => provider.supportsStreaming && provider.isConfigured()) || null;
+  }
+
+  /**
+   * Open a live transcription stream for a call
+   * @param {Object} settings - From resolveSettings
+   * @param {Object} options - { sampleRate, onTranscript, onSpeechStarted, onError }
+   */
+  createStream(settings, options) {
+    const provider = this.getStreamingProvider(settings);
+    if (!provider) {
+      throw new Error('No streaming speech-to-text provider is configured');
+    }
+
+    if (provider.name !== settings.provider) {
+      logger.debug('Streaming with a different speech-to-text provider', { requested: settings.provider, using: provider.name });
+    }
+
+    return provider.createSession({
+      ...options,
+      language: settings.language,
+      keywords: settings.keywords
+    });
+  }
+
+  /**
+   * TwiML that plays the agent's prompt and then listens for the caller's reply,
+   * which is posted to actionUrl. Twilio <Gather> can be interrupted; other
+   * providers record the reply after the prompt and transcribe the recording.
+   * With redirectUrl the call moves on there once the prompt has played:
+   * <Gather> only waits a moment (the prompt can still be talked over) and
+   * no <Record> is added, so whatever TwiML redirectUrl returns decides
+   * what happens next. Otherwise a caller who says nothing is sent to
+   * noInputUrl when given, or asked to try again.
+   * @param {Object} settings - From resolveSettings
+   * @param {Object} options - { prompt, actionUrl, partialUrl, redirectUrl, noInputUrl }; prompt is speech from ttsService, or null
+   * @returns {string} TwiML
+   */
+  buildListenTwiML(settings, options) {
+    const twiml = new twilio.twiml.VoiceResponse();
+
+    if (settings.provider === 'twilio') {
+      this.providers.get('twilio').appendListen(twiml, settings, options.redirectUrl ? { ...options, timeout: 1 } : options);
+    } else {
+      ttsService.appendSpeech(twiml, options.prompt);
+      if (!options.redirectUrl) {
+        twiml.record({
+          action: options.actionUrl,
+          method: 'POST',
+          timeout: 2, // Seconds of silence that end the caller's turn
+          maxLength: 30,
+          playBeep: false,
+          trim: 'trim-silence'
+        });
+      }
+    }
+
+    if (options.redirectUrl) {
+      twiml.redirect({ method: 'POST' }, options.redirectUrl);
+    } else if (options.noInputUrl) {
+      twiml.redirect({ method: 'POST' }, options.noInputUrl);
+    } else {
+      // Fallback if no speech is detected
+      twiml.say('I didn\'t hear anything. Please try again.');
+    }
+
+    return twiml.toString();
+  }
+
+  /**
+   * What the caller said, from a speech webhook: Twilio's own result for
+   * <Gather>, or the recording from <Record> transcribed by the agent's provider
+   * @param {Object} body - Twilio webhook parameters
+   * @param {Object} settings - From resolveSettings
+   * @param {Object} twilioClient - Organization's twilioService, to fetch the recording
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async transcribeWebhook(body, settings, twilioClient) {
+    if (!body.RecordingUrl) {
+      return {
+        text: (body.SpeechResult || '').trim(),
+        confidence: parseFloat(body.Confidence) || 0
+      };
+    }
+
+    // The URL is from the request body; the account's credentials only go to its own recordings
+    if (!twilioClient.isOwnRecordingUrl(body.RecordingUrl)) {
+      throw new Error('RecordingUrl is not a recording of the call\'s Twilio account');
+    }
+
+    const audio = await twilioClient.downloadRecording(body.RecordingUrl);
+    return this.transcribeAudio(settings, audio, 'audio/wav');
+  }
+
+  /**
+   * Transcribe an utterance with the agent's provider (or any configured one
+   * that can transcribe audio, for Twilio <Gather> agents)
+   * @param {Object} settings - From resolveSettings
+   * @param {Buffer} audio - Encoded audio
+   * @param {string} mimeType - Audio MIME type
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async transcribeAudio(settings, audio, mimeType = 'audio/wav') {
+    const preferred = this.providers.get(settings.provider);
+    const provider = preferred?.transcribe && preferred.isConfigured()
+      ? preferred
+      : Array.from(this.providers.values()).find(candidate => candidate.transcribe && candidate.isConfigured());
+
+    if (!provider) {
+      throw new Error('No speech-to-text provider is configured to transcribe audio');
+    }
+
+    const result = await provider.transcribe(audio, {
+      language: settings.language,
+      keywords: settings.keywords,
+      mimeType
+    });
+
+    logger.info('Audio transcribed', { provider: provider.name, confidence: result.confidence, length: result.text.length });
+    return result;
+  }
+
+  /**
+   * Is a transcript clear enough to answer?
+   */
+  isUsable({ text, confidence }) {
+    return !!text && confidence >= MIN_CONFIDENCE;
+  }
+}
+
+// Create singleton instance
+const sttService = new SttService();
+
+module.exports = sttService;
@@ -0,0 +1,208 @@
+/**
+ * TTS Audio Cache Service
+ * Rendered speech stored on disk under a hash of what produced it (text,
+ * provider, voice, model, format), so a line is synthesized once and reused
+ * by every call that says it. The least recently used files are evicted once
+ * the cache grows past TTS_CACHE_MAX_MB.
+ *
+ * <Play> URLs reference audio by ID: the hash plus an HMAC of it. Only audio
+ * this server rendered can be fetched, and the endpoint cannot be used to
+ * synthesize arbitrary text.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+
+// File extension for each content type the providers produce
+const EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/wav': 'wav',
+  'audio/basic': 'ulaw'
+};
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+
+// 128-bit keys: collisions are not a concern and URLs stay short
+const KEY_LENGTH = 32;
+const KEY_PATTERN = /^[0-9a-f]{32}$/;
+
+class TtsCacheService {
+  constructor() {
+    this.dir = config.get('ttsCache.dir');
+    this.maxBytes = config.get('ttsCache.maxBytes');
+    this.secret = config.get('ttsCache.secret')
+      || crypto.createHash('sha256').update(`tts-audio:${config.get('jwt.secret')}`).digest();
+
+    this.index = new Map(); // key -> { file, size, contentType, lastUsed }
+    this.totalBytes = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Content address for rendered speech
+   * @param {Object} parts - { text, provider, voice, model, format }
+   * @returns {string} Cache key
+   */
+  keyFor({ text, provider, voice, model, format }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([provider, voice || '', model || '', format, text]))
+      .digest('hex')
+      .slice(0, KEY_LENGTH);
+  }
+
+  /**
+   * Signed audio ID for a cache key, safe to put in a <Play> URL
+   */
+  createAudioId(key) {
+    return `${key}.${this._sign(key)}`;
+  }
+
+  /**
+   * Cache key from an audio ID, or null if the ID was not signed by this server
+   */
+  verifyAudioId(audioId) {
+    const [key, signature] = String(audioId || '').split('.');
+    if (!KEY_PATTERN.test(key) || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this._sign(key));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? key : null;
+  }
+
+  /**
+   * Cached audio as a stream
+   * @returns {Promise<{stream: Readable, contentType: string}|null>}
+   */
+  async get(key) {
+    await this._load();
+
+    const entry = this.index.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    entry.lastUsed = Date.now();
+    // Modification time records use across restarts
+    const now = new Date();
+    fs.promises.utimes(entry.file, now, now).catch(() => {});
+    return { stream: fs.createReadStream(entry.file), contentType: entry.contentType };
+  }
+
+  /**
+   * Store rendered audio (written to a temporary file first, so a reader never sees half a file)
+   */
+  async put(key, audio, contentType) {
+    const extension = EXTENSIONS[contentType];
+    if (!extension || audio.length === 0) {
+      return;
+    }
+
+    try {
+      await this._load();
+
+      const file = path.join(this.dir, `${key}.${extension}`);
+      const temporary = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(temporary, audio);
+      await fs.promises.rename(temporary, file);
+
+      this._forget(key);
+      this.index.set(key, { file, size: audio.length, contentType, lastUsed: Date.now() });
+      this.totalBytes += audio.length;
+
+      await this._evict();
+    } catch (error) {
+      // A failed write only costs a re-render next time
+      logger.error('Error caching TTS audio', { key, error: error.message });
+    }
+  }
+
+  /**
+   * Cache size, for monitoring
+   */
+  async getStats() {
+    await this._load();
+    return { entries: this.index.size, bytes: this.totalBytes, maxBytes: this.maxBytes };
+  }
+
+  _sign(key) {
+    return crypto.createHmac('sha256', this.secret).update(key).digest('base64url').slice(0, 22);
+  }
+
+  /**
+   * Build the index from the files already on disk (once, on first use);
+   * file modification times stand in for last use across restarts
+   */
+  _load() {
+    if (!this.loading) {
+      this.loading = (async () => {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+
+        for (const name of await fs.promises.readdir(this.dir)) {
+          const [key, extension, ...rest] = name.split('.');
+          const file = path.join(this.dir, name);
+
+          if (name.endsWith('.tmp')) {
+            // Interrupted write
+            await fs.promises.rm(file, { force: true });
+            continue;
+          }
+          if (!KEY_PATTERN.test(key) || !CONTENT_TYPES[extension] || rest.length > 0) {
+            continue;
+          }
+
+          const stats = await fs.promises.stat(file);
+          this.index.set(key, { file, size: stats.size, contentType: CONTENT_TYPES[extension], lastUsed: stats.mtimeMs });
+          this.totalBytes += stats.size;
+        }
+
+        logger.info('TTS audio cache loaded', { dir: this.dir, entries: this.index.size, bytes: this.totalBytes });
+        await this._evict();
+      })().catch(error => {
+        logger.error('Error loading TTS audio cache', { dir: this.dir, error: error.message });
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Remove least recently used audio until the cache fits
+   */
+  async _evict() {
+    if (this.totalBytes <= this.maxBytes) {
+      return;
+    }
+
+    const oldestFirst = Array.from(this.index.entries()).sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+    let evicted = 0;
+
+    for (const [key, entry] of oldestFirst) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this._forget(key);
+      evicted++;
+      // A stream already reading the file keeps its handle
+      await fs.promises.rm(entry.file, { force: true });
+    }
+
+    logger.info('Evicted TTS audio from cache', { evicted, bytes: this.totalBytes });
+  }
+
+  _forget(key) {
+    const entry = this.index.get(key);
+    if (entry) {
+      this.totalBytes -= entry.size;
+      this.index.delete(key);
+    }
+  }
+}
+
+// Create singleton instance
+const ttsCacheService = new TtsCacheService();
+
+module.exports = ttsCacheService;
@@ -0,0 +1,475 @@
+/**
+ * Text-to-Speech Service
+ * One place that decides how an agent sounds. Each agent has a primary and
+ * a fallback voice (voice_config) with TTS_* settings as defaults; when the
+ * primary errors or has not produced audio within the latency budget, the
+ * fallback is used instead.
+ *
+ * A provider is an object with:
+ *   name, label, defaultVoice, isConfigured(), producesAudio, playContentType
+ *   synthesize(text, voice, { format, signal }) -> { stream, contentType }
+ *     - format 'play' is anything Twilio <Play> accepts (playContentType);
+ *       'ulaw_8000' is raw μ-law for Media Streams
+ * Twilio <Say> is the exception: Twilio speaks the text itself, so it can
+ * only be chosen while TwiML is being built, never inside a stream.
+ *
+ * Rendered audio goes to ttsCacheService and is reused by later calls.
+ * A reply still being generated can be spoken as one <Play> stream
+ * (createSpeechStream): sentences are rendered as they arrive and their
+ * MP3 audio joined end to end.
+ * Speech rendered for a call (not served from the cache) is recorded
+ * against it in usageService.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const ttsCacheService = require('./ttsCacheService');
+const elevenlabsService = require('./elevenlabsService');
+const openaiTtsService = require('./openaiTtsService');
+const piperTtsService = require('./piperTtsService');
+const usageService = require('./usageService');
+
+// A voice that failed is tried last for this long
+const UNHEALTHY_COOLDOWN_MS = 30000;
+// ElevenLabs voice IDs; older agents store display names ("Emma") in agents.voice
+const ELEVENLABS_VOICE_ID = /^[A-Za-z0-9]{20}$/;
+// MP3 frames can be joined end to end; WAV files cannot
+const STREAMABLE_CONTENT_TYPE = 'audio/mpeg';
+// A streamed reply is never cached, so Twilio can fetch it again for this long
+const SPEECH_STREAM_RETENTION_MS = 5 * 60 * 1000;
+
+/**
+ * Twilio's built-in voices, rendered by <Say>
+ */
+class TwilioSayProvider {
+  constructor() {
+    this.name = 'twilio';
+    this.label = 'Twilio <Say> (Polly)';
+    this.producesAudio = false;
+    this.defaultVoice = config.get('tts.sayVoice');
+  }
+
+  isConfigured() {
+    return true;
+  }
+}
+
+/**
+ * Re-emit the chunk already read from a stream, then the rest of it. Once
+ * the stream has ended (not when it is abandoned, e.g. on barge-in) the
+ * whole audio is passed to onComplete.
+ */
+async function* replay(first, iterator, onComplete) {
+  const chunks = [];
+  try {
+    for (let next = first; !next.done; next = await iterator.next()) {
+      chunks.push(Buffer.from(next.value));
+      yield next.value;
+    }
+    await onComplete(Buffer.concat(chunks));
+  } finally {
+    await iterator.return?.();
+  }
+}
+
+/**
+ * Audio still being rendered, readable by any number of requests as it
+ * arrives (Twilio may fetch a <Play> URL more than once)
+ */
+class SharedAudio {
+  constructor(stream, contentType) {
+    this.contentType = contentType;
+    this.chunks = [];
+    this.done = false;
+    this.error = null;
+    this.waiting = [];
+
+    this.finished = (async () => {
+      try {
+        for await (const chunk of stream) {
+          this.chunks.push(chunk);
+          this._wake();
+        }
+      } catch (error) {
+        this.error = error;
+      }
+      this.done = true;
+      this._wake();
+    })();
+  }
+
+  async* read() {
+    for (let index = 0; ;) {
+      if (index < this.chunks.length) {
+        yield this.chunks[index++];
+      } else if (this.error) {
+        throw this.error;
+      } else if (this.done) {
+        return;
+      } else {
+        await new Promise(resolve => this.waiting.push(resolve));
+      }
+    }
+  }
+
+  _wake() {
+    this.waiting.splice(0).forEach(resolve => resolve());
+  }
+}
+
+class TtsService {
+  constructor() {
+    this.providers = new Map();
+    this.unhealthyUntil = new Map();
+    this.rendering = new Map(); // cache key -> SharedAudio, until it is on disk
+    [elevenlabsService, openaiTtsService, piperTtsService, new TwilioSayProvider()]
+      .forEach(provider => this.registerProvider(provider));
+  }
+
+  /**
+   * Register a provider
+   */
+  registerProvider(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Providers and whether they can be used
+   */
+  listProviders() {
+    return Array.from(this.providers.values()).map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      configured: provider.isConfigured(),
+      defaultVoice: provider.defaultVoice || null
+    }));
+  }
+
+  /**
+   * Voices for an agent's calls
+   * @param {Object|null} agent - Agent row
+   * @returns {{primary: Object, fallback: Object|null, latencyBudgetMs: number}} Voices are { provider, voice }
+   */
+  resolveVoices(agent) {
+    const saved = agent?.voice_config || {};
+    const defaultProvider = config.get('tts.provider');
+    const legacyVoice = defaultProvider === 'elevenlabs' && ELEVENLABS_VOICE_ID.test(agent?.voice || '')
+      ? agent.voice
+      : undefined;
+
+    return {
+      primary: this._voice(saved.primary) || this._voice({ provider: defaultProvider, voice: legacyVoice }) || this._voice({ provider: 'twilio' }),
+      fallback: this._voice(saved.fallback) || this._voice({ provider: config.get('tts.fallbackProvider') }),
+      latencyBudgetMs: saved.latencyBudgetMs || config.get('tts.latencyBudgetMs')
+    };
+  }
+
+  /**
+   * Stream speech from the cache, or with the first voice that starts
+   * producing audio within the latency budget: the primary, then the fallback
+   * @param {string} text - Text to speak
+   * @param {Object} voices - From resolveVoices
+   * @param {Object} options - { format: 'play' | 'ulaw_8000', signal, callId }
+   * @returns {Promise<{stream: Readable, contentType: string, provider: string, voice: string, cacheKey: string, cached: boolean}>}
+   */
+  async synthesize(text, voices, { format = 'play', signal, callId } = {}) {
+    const candidates = [voices.primary, voices.fallback]
+      .filter(candidate => {
+        const provider = candidate && this.providers.get(candidate.provider);
+        return provider?.producesAudio && provider.isConfigured();
+      })
+      // Voices that just failed go last
+      .sort((a, b) => this.isHealthy(b.provider) - this.isHealthy(a.provider));
+
+    if (candidates.length === 0) {
+      throw new Error('No configured text-to-speech voice can produce audio');
+    }
+
+    // Only the preferred voice's audio is reused; a cached fallback would keep a working primary unheard
+    const preferredKey = this._cacheKey(text, candidates[0], format);
+    const cached = await ttsCacheService.get(preferredKey);
+    if (cached) {
+      logger.debug('Speech from cache', { provider: candidates[0].provider, cacheKey: preferredKey });
+      return { ...cached, provider: candidates[0].provider, voice: candidates[0].voice, cacheKey: preferredKey, cached: true };
+    }
+
+    let lastError;
+    for (const candidate of candidates) {
+      const startedAt = Date.now();
+      try {
+        const { first, iterator, contentType } = await this._startWithinBudget(candidate, text, format, voices.latencyBudgetMs, signal);
+        this.unhealthyUntil.delete(candidate.provider);
+        logger.info('Speech started', { provider: candidate.provider, firstAudioMs: Date.now() - startedAt, textLength: text.length });
+
+        if (callId) {
+          usageService.recordTts(callId, { ...candidate, text });
+        }
+
+        const cacheKey = this._cacheKey(text, candidate, format);
+        const stream = Readable.from(replay(first, iterator, audio => ttsCacheService.put(cacheKey, audio, contentType)));
+        return { stream, contentType, provider: candidate.provider, voice: candidate.voice, cacheKey, cached: false };
+      } catch (error) {
+        if (signal?.aborted) {
+          throw error;
+        }
+        lastError = error;
+        this.unhealthyUntil.set(candidate.provider, Date.now() + UNHEALTHY_COOLDOWN_MS);
+        logger.warn('Text-to-speech voice failed', { provider: candidate.provider, voice: candidate.voice, error: error.message });
+      }
+    }
+
+    throw new Error(`All text-to-speech voices failed: ${lastError.message}`);
+  }
+
+  /**
+   * Speech for TwiML: a signed audio ID for <Play> (rendering starts here,
+   * so a failing voice is caught before Twilio asks for it), or text for
+   * <Say> when that is the agent's voice or no audio voice is working
+   * @param {string} text - Text to speak
+   * @param {Object} voices - From resolveVoices
+   * @param {Object} options - { callId } the speech is recorded against
+   * @returns {Promise<{audioId: string}|{say: {text: string, voice: string}}>}
+   */
+  async prepareSpeech(text, voices, { callId } = {}) {
+    const sayVoice = [voices.primary, voices.fallback].find(candidate => candidate?.provider === 'twilio');
+    if (this._prefersSay(voices)) {
+      return this._say(text, sayVoice.voice, callId);
+    }
+
+    try {
+      const audio = await this.synthesize(text, voices, { format: 'play', callId });
+      if (!audio.cached) {
+        this._holdWhileRendering(audio);
+      }
+      return { audioId: ttsCacheService.createAudioId(audio.cacheKey) };
+    } catch (error) {
+      // Twilio can always speak, so the caller is never left in silence
+      logger.error('No audio voice available, falling back to Twilio <Say>', { error: error.message });
+      return this._say(text, sayVoice?.voice || config.get('tts.sayVoice'), callId);
+    }
+  }
+
+  /**
+   * Can these voices speak a reply as one stream (createSpeechStream)? Only
+   * when prepareSpeech would use audio and every audio voice renders MP3.
+   * @param {Object} voices - From resolveVoices
+   * @returns {boolean}
+   */
+  canStreamSpeech(voices) {
+    const audioProviders = [voices.primary, voices.fallback]
+      .map(candidate => candidate && this.providers.get(candidate.provider))
+      .filter(provider => provider?.producesAudio && provider.isConfigured());
+
+    return !this._prefersSay(voices)
+      && audioProviders.length > 0
+      && audioProviders.every(provider => provider.playContentType === STREAMABLE_CONTENT_TYPE);
+  }
+
+  /**
+   * One <Play> stream for a reply that is still being generated. Each
+   * sentence starts rendering as soon as it is added; the audio plays in
+   * the order added. A sentence no voice can speak is skipped.
+   * @param {Object} voices - From resolveVoices (canStreamSpeech must be true)
+   * @param {Object} options - { callId } the speech is recorded against
+   * @returns {{audioId: string, add: function(string), end: function(), started: Promise<boolean>}}
+   *   started resolves true with the first audio, or false if the stream ended without any
+   */
+  createSpeechStream(voices, { callId } = {}) {
+    const sentences = [];
+    let ended = false;
+    let wake = () => {};
+    let resolveStarted;
+    const started = new Promise(resolve => { resolveStarted = resolve; });
+
+    async function* audio() {
+      for (let index = 0; ; index++) {
+        while (index >= sentences.length && !ended) {
+          await new Promise(resolve => { wake = resolve; });
+        }
+        if (index >= sentences.length) {
+          break;
+        }
+
+        try {
+          const { stream, contentType } = await sentences[index];
+          if (contentType !== STREAMABLE_CONTENT_TYPE) {
+            throw new Error(`Cannot join ${contentType} audio into a stream`);
+          }
+          for await (const chunk of stream) {
+            resolveStarted(true);
+            yield chunk;
+          }
+        } catch (error) {
+          logger.error('Sentence dropped from streamed speech', { callId, error: error.message });
+        }
+      }
+      resolveStarted(false);
+    }
+
+    const key = crypto.randomBytes(16).toString('hex');
+    const shared = new SharedAudio(audio(), STREAMABLE_CONTENT_TYPE);
+    this.rendering.set(key, shared);
+    shared.finished.then(() => {
+      setTimeout(() => this.rendering.delete(key), SPEECH_STREAM_RETENTION_MS).unref();
+    });
+
+    return {
+      audioId: ttsCacheService.createAudioId(key),
+      add: (text) => {
+        const sentence = this.synthesize(text, voices, { format: 'play', callId });
+        // Awaited in turn by the stream; until then a failure is not unhandled
+        sentence.catch(() => {});
+        sentences.push(sentence);
+        wake();
+      },
+      end: () => {
+        ended = true;
+        wake();
+      },
+      started
+    };
+  }
+
+  /**
+   * Use <Say> rather than audio: it is the agent's voice, or the fallback
+   * while the primary is failing
+   * @private
+   */
+  _prefersSay(voices) {
+    return voices.primary.provider === 'twilio'
+      || (voices.fallback?.provider === 'twilio' && !this.isHealthy(voices.primary.provider));
+  }
+
+  /**
+   * Speech for Twilio <Say>, which Twilio bills per character spoken
+   * @private
+   */
+  _say(text, voice, callId) {
+    if (callId) {
+      usageService.recordTts(callId, { provider: 'twilio', voice, text });
+    }
+    return { say: { text, voice } };
+  }
+
+  /**
+   * Audio for an ID from prepareSpeech: still rendering, or from the cache
+   * @param {string} audioId - Signed audio ID
+   * @returns {Promise<{stream: Readable, contentType: string}|null>} null if the ID is forged or the audio is gone
+   */
+  async openAudio(audioId) {
+    const cacheKey = ttsCacheService.verifyAudioId(audioId);
+    if (!cacheKey) {
+      return null;
+    }
+
+    const rendering = this.rendering.get(cacheKey);
+    if (rendering) {
+      return { stream: Readable.from(rendering.read()), contentType: rendering.contentType };
+    }
+
+    return ttsCacheService.get(cacheKey);
+  }
+
+  /**
+   * Add speech from prepareSpeech to a TwiML element (<Play> or <Say>)
+   * @param {Object} parent - VoiceResponse or <Gather>
+   * @param {Object|null} speech - { audioUrl } or { say: { text, voice } }; nothing is added for null
+   */
+  appendSpeech(parent, speech) {
+    if (!speech) {
+      return;
+    }
+    if (speech.audioUrl) {
+      parent.play(speech.audioUrl);
+    } else {
+      parent.say({ voice: speech.say.voice }, speech.say.text);
+    }
+  }
+
+  /**
+   * Has this provider worked recently (or not been tried)?
+   */
+  isHealthy(providerName) {
+    return (this.unhealthyUntil.get(providerName) || 0) <= Date.now();
+  }
+
+  _cacheKey(text, candidate, format) {
+    return ttsCacheService.keyFor({
+      text,
+      provider: candidate.provider,
+      voice: candidate.voice,
+      model: this.providers.get(candidate.provider).model,
+      format
+    });
+  }
+
+  _voice(selection) {
+    const provider = selection?.provider && this.providers.get(selection.provider);
+    if (!provider) {
+      return null;
+    }
+    return { provider: provider.name, voice: selection.voice || provider.defaultVoice };
+  }
+
+  /**
+   * Start synthesis and wait for its first chunk, giving up (and cancelling
+   * the request) once the budget is spent
+   * @returns {Promise<{first: Object, iterator: AsyncIterator, contentType: string}>}
+   */
+  async _startWithinBudget(candidate, text, format, budgetMs, signal) {
+    const provider = this.providers.get(candidate.provider);
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+    const attempt = (async () => {
+      const { stream, contentType } = await provider.synthesize(text, candidate.voice, { format, signal: controller.signal });
+      const iterator = stream[Symbol.asyncIterator]();
+      const first = await iterator.next();
+      if (first.done) {
+        throw new Error('Text-to-speech returned no audio');
+      }
+      return { first, iterator, contentType };
+    })();
+
+    let timer;
+    const budget = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(`No audio within the ${budgetMs}ms latency budget`));
+      }, budgetMs);
+    });
+
+    try {
+      return await Promise.race([attempt, budget]);
+    } finally {
+      clearTimeout(timer);
+      // The losing attempt rejects once aborted; nothing is waiting for it
+      attempt.catch(() => {});
+    }
+  }
+
+  /**
+   * Render the whole line now, whether or not Twilio has fetched it yet;
+   * once it is cached, requests are served from disk
+   */
+  _holdWhileRendering(audio) {
+    const shared = new SharedAudio(audio.stream, audio.contentType);
+    this.rendering.set(audio.cacheKey, shared);
+
+    shared.finished.then(() => {
+      if (shared.error) {
+        logger.error('Text-to-speech failed while rendering', { cacheKey: audio.cacheKey, error: shared.error.message });
+      }
+      if (this.rendering.get(audio.cacheKey) === shared) {
+        this.rendering.delete(audio.cacheKey);
+      }
+    });
+  }
+}
+
+// Create singleton instance
+const ttsService = new TtsService();
+
+module.exports = ttsService;
@@ -1,7 +1,9 @@
 const twilio = require('twilio');
+const axios = require('axios');
 const config = require('../config/config');
 const logger = require('../utils/logger');
 const { executeQuery } = require('../database/connection');
+const conversationStore = require('./conversationStore');
 
 // Constants
 const CALL_STATUS = {
@@ -29,6 +31,15 @@ const REGEX_PATTERNS = {
   ALPHANUMERIC: /^[a-zA-Z0-9\s]+$/
 };
 
+// Recording media is only ever fetched from here, under the account's own path
+const TWILIO_API_BASE = 'https://api.twilio.com/2010-04-01';
+
+// Conversation store namespace for outbound calls in flight, keyed by call SID
+const ACTIVE_CALL_NAMESPACE = 'twilio_call';
+
+// Per-organization service instances, keyed by organization ID
+const organizationServices = new Map();
+
 /**
  * Enhanced Twilio Service
  * Handles all Twilio-related operations with improved error handling and validation
@@ -44,12 +55,13 @@ class TwilioService {
 
   /**
    * Initialize Twilio service with database settings
+   * @param {number|null} organizationId - Load the organization's settings instead of the platform defaults
    */
-  async initialize() {
+  async initialize(organizationId = null) {
     try {
-      const result = await executeQuery(`
-        SELECT settings FROM platform_settings WHERE id = 1
-      `);
+      const result = organizationId
+        ? await executeQuery('SELECT settings FROM organization_settings WHERE organization_id = $1', [organizationId])
+        : await executeQuery('SELECT settings FROM platform_settings WHERE id = 1');
 
       if (result.rows.length > 0 && result.rows[0].settings.twilio?.enabled) {
         const twilioConfig = result.rows[0].settings.twilio;
@@ -60,16 +72,66 @@ class TwilioService {
         if (this._validateConfiguration()) {
           this._initializeClient();
           this._initializeProperties();
-          logger.info('Twilio service initialized successfully');
+          logger.info('Twilio service initialized successfully', { organizationId });
         }
       } else {
-        logger.warn('Twilio not configured in database settings');
+        this.isConfigured = false;
+        logger.warn('Twilio not configured in database settings', { organizationId });
       }
     } catch (error) {
       logger.error('Failed to initialize Twilio service:', error);
     }
   }
 
+  /**
+   * Get a Twilio service configured with an organization's own credentials.
+   * Falls back to the platform-wide instance when the organization has none.
+   * @param {number} organizationId - Organization ID
+   * @param {Object} [options] - { fallback: false } returns null instead of the platform instance
+   * @returns {Promise<TwilioService|null>} Configured service
+   */
+  async forOrganization(organizationId, { fallback = true } = {}) {
+    if (!organizationId) {
+      return fallback ? this : null;
+    }
+
+    if (!organizationServices.has(organizationId)) {
+      const service = new TwilioService();
+      await service.initialize(organizationId);
+      organizationServices.set(organizationId, service);
+    }
+
+    const service = organizationServices.get(organizationId);
+    if (service.isTwilioConfigured()) {
+      return service;
+    }
+    return fallback ? this : null;
+  }
+
+  /**
+   * Drop the cached service for an organization so new settings take effect
+   * @param {number} organizationId - Organization ID
+   */
+  resetOrganization(organizationId) {
+    organizationServices.delete(organizationId);
+  }
+
+  /**
+   * Check an Account SID and Auth Token with Twilio before they are saved
+   * @param {string} accountSid - Account SID
+   * @param {string} authToken - Auth Token
+   * @returns {Promise<boolean>} True if Twilio accepted them for that account
+   */
+  async verifyCredentials(accountSid, authToken) {
+    try {
+      const account = await twilio(accountSid, authToken).api.v2010.accounts(accountSid).fetch();
+      return account.sid === accountSid;
+    } catch (error) {
+      logger.warn('Twilio rejected credentials', { accountSid: String(accountSid).substring(0, 8) + '...', error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Check if Twilio is properly configured
    * @private
@@ -123,7 +185,6 @@ class TwilioService {
    */
   _initializeProperties() {
     this.webhookUrl = process.env.FRONTEND_URL || 'http://localhost:5000';
-    this.activeCallsCache = new Map();
     this.callStatistics = {
       totalCalls: 0,
       successfulCalls: 0,
@@ -164,7 +225,7 @@ class TwilioService {
         statusCallback: `${process.env.FRONTEND_URL || 'http://localhost:5000'}/api/webhooks/call-status`,
         statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed', 'busy', 'failed', 'no-answer'],
         statusCallbackMethod: 'POST',
-        record: callSettings.record || false,
+        ...(callSettings.record ? { record: true, ...this._recordingCallbackOptions(callSettings.recordingChannels) } : {}),
         timeout: callSettings.timeout || 30
       });
 
@@ -263,7 +324,8 @@ class TwilioService {
       const result = await this.makeOutboundCall(to, webhookUrl, {
         agent: agent,
         customerName: customerName || 'Customer',
-        callId: callId
+        callId: callId,
+        ...(agent.recording_enabled ? { record: true, ...this._recordingCallbackOptions(agent.recording_channels) } : {})
       });
       
       return result;
@@ -324,7 +386,7 @@ class TwilioService {
       const call = await this.client.calls.create(callOptions);
 
       // Store call data
-      this._storeCallData(call.sid, {
+      await this._storeCallData(call.sid, {
         sid: call.sid,
         to: toNumber,
         from: this.fromNumber,
@@ -390,6 +452,10 @@ class TwilioService {
           return this._generateRedirectTwiML(twiml, options);
         case 'greeting':
           return this._generateGreetingTwiML(twiml, options);
+        case 'transfer':
+          return this._generateTransferTwiML(twiml, options);
+        case 'stream':
+          return this._generateStreamTwiML(twiml, options);
         default:
           return this._generateDefaultTwiML(twiml, options);
       }
@@ -447,6 +513,8 @@ class TwilioService {
 
     if (options.audioUrl) {
       twiml.play(options.audioUrl);
+    } else if (options.say) {
+      twiml.say({ voice: options.say.voice }, options.say.text);
     }
 
     if (options.nextAction === 'gather') {
@@ -489,6 +557,57 @@ class TwilioService {
     return twiml.toString();
   }
 
+  /**
+   * Generate transfer TwiML: play the agent's handoff line, then dial the
+   * human. Twilio requests whisperUrl on the human's leg before bridging
+   * (warm transfer) and actionUrl when the dial ends.
+   * @private
+   * @param {Object} twiml - TwiML response object
+   * @param {Object} options - { audioUrl or say: { text, voice }, target, timeout, callerId, actionUrl, whisperUrl }
+   * @returns {string} TwiML XML
+   */
+  _generateTransferTwiML(twiml, options) {
+    if (options.audioUrl) {
+      twiml.play(options.audioUrl);
+    } else if (options.say) {
+      twiml.say({ voice: options.say.voice }, options.say.text);
+    }
+
+    const dial = twiml.dial({
+      action: options.actionUrl,
+      method: 'POST',
+      timeout: options.timeout,
+      ...(options.callerId && { callerId: options.callerId })
+    });
+
+    const destinationAttributes = options.whisperUrl ? { url: options.whisperUrl, method: 'POST' } : {};
+    if (options.target.startsWith('sip:')) {
+      dial.sip(destinationAttributes, options.target);
+    } else {
+      dial.number(destinationAttributes, options.target);
+    }
+
+    return twiml.toString();
+  }
+
+  /**
+   * Generate TwiML that connects the call to a bidirectional Media Stream
+   * @private
+   * @param {Object} twiml - TwiML response object
+   * @param {Object} options - { url (wss://), parameters (passed to the stream's start event) }
+   * @returns {string} TwiML XML
+   */
+  _generateStreamTwiML(twiml, options) {
+    const connect = twiml.connect();
+    const stream = connect.stream({ url: options.url });
+
+    Object.entries(options.parameters || {}).forEach(([name, value]) => {
+      stream.parameter({ name, value: String(value) });
+    });
+
+    return twiml.toString();
+  }
+
   /**
    * Generate speech-gather TwiML
    * @private
@@ -660,6 +779,98 @@ class TwilioService {
     }
   }
 
+  /**
+   * Start recording a call that is already in progress (inbound calls, which
+   * are answered with TwiML rather than created with record: true)
+   * @param {string} callSid - Call SID
+   * @param {Object} agent - Agent row; recording_channels picks mono or dual
+   * @returns {Promise<Object|null>} Twilio recording, or null if it could not be started
+   */
+  async startRecording(callSid, agent) {
+    if (!this._isConfigured()) {
+      return null;
+    }
+
+    // An inbound call is only in progress once Twilio has run our TwiML
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const recording = await this.client.calls(callSid).recordings.create(
+          this._recordingCallbackOptions(agent.recording_channels)
+        );
+        logger.info('Call recording started', { callSid, recordingSid: recording.sid });
+        return recording;
+      } catch (error) {
+        if (attempt < 3) {
+          await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+          continue;
+        }
+        logger.error('Error starting call recording', { error: error.message, callSid });
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Delete a recording from Twilio
+   * @param {string} recordingSid - Recording SID
+   */
+  async deleteRecording(recordingSid) {
+    await this.client.recordings(recordingSid).remove();
+    logger.info('Recording deleted from Twilio', { recordingSid });
+  }
+
+  /**
+   * Whether a RecordingUrl is one of this account's recordings on the Twilio API
+   * @param {string} recordingUrl - RecordingUrl from a webhook
+   * @returns {boolean} True if credentials may be sent to it
+   */
+  isOwnRecordingUrl(recordingUrl) {
+    if (!this.accountSid || typeof recordingUrl !== 'string') {
+      return false;
+    }
+
+    const prefix = `${TWILIO_API_BASE}/Accounts/${this.accountSid}/Recordings/`;
+    try {
+      // The parsed form catches dot segments that would climb out of the prefix
+      return recordingUrl.startsWith(prefix) && new URL(recordingUrl).href.startsWith(prefix);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Download a call recording. The URL comes from a webhook body, so the
+   * account's credentials are only sent to its own recordings on the Twilio API.
+   * @param {string} recordingUrl - RecordingUrl from a <Record> or recording status webhook
+   * @param {Object} options - { format: 'wav' | 'mp3', timeout }
+   * @returns {Promise<Buffer>} Audio in the requested format
+   */
+  async downloadRecording(recordingUrl, { format = 'wav', timeout = 10000 } = {}) {
+    if (!this.isOwnRecordingUrl(recordingUrl)) {
+      logger.warn('Refused to download a recording from outside the Twilio account', { recordingUrl });
+      throw new Error('Recording URL is not a recording of this Twilio account');
+    }
+
+    // The media can lag the <Record> action callback by a moment
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.get(`${recordingUrl}.${format}`, {
+          auth: { username: this.accountSid, password: this.authToken },
+          responseType: 'arraybuffer',
+          timeout
+        });
+        return Buffer.from(response.data);
+      } catch (error) {
+        if (error.response?.status === 404 && attempt < 3) {
+          await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+          continue;
+        }
+        logger.error('Error downloading recording', { error: error.message, recordingUrl });
+        throw new Error(`Failed to download recording: ${error.message}`);
+      }
+    }
+  }
+
   /**
    * Send SMS message
    * @param {string} toNumber - Destination phone number
@@ -702,6 +913,39 @@ class TwilioService {
     }
   }
 
+  /**
+   * The incoming phone number record for a number on this Twilio account
+   * @param {string} phoneNumber - E.164 number
+   * @returns {Promise<Object|null>} Incoming phone number, or null when the account does not own it
+   */
+  async findIncomingNumber(phoneNumber) {
+    const [incomingNumber] = await this.client.incomingPhoneNumbers.list({ phoneNumber, limit: 1 });
+    return incomingNumber || null;
+  }
+
+  /**
+   * Point a number on this Twilio account at the inbound call webhooks
+   * @param {string} phoneNumber - E.164 number owned by the account
+   * @returns {Promise<Object>} Updated incoming phone number
+   */
+  async configureInboundNumber(phoneNumber) {
+    const incomingNumber = await this.findIncomingNumber(phoneNumber);
+    if (!incomingNumber) {
+      throw new Error(`${phoneNumber} is not a number on this Twilio account`);
+    }
+
+    const baseUrl = config.get('server.ngrokUrl');
+    const updated = await this.client.incomingPhoneNumbers(incomingNumber.sid).update({
+      voiceUrl: `${baseUrl}/api/webhooks/inbound`,
+      voiceMethod: 'POST',
+      statusCallback: `${baseUrl}/api/webhooks/call-status`,
+      statusCallbackMethod: 'POST'
+    });
+
+    logger.info('Inbound number configured', { phoneNumber: this._maskPhoneNumber(phoneNumber), sid: incomingNumber.sid });
+    return updated;
+  }
+
 
   /**
    * Initiate appointment scheduling call
@@ -724,13 +968,13 @@ class TwilioService {
       
       if (callResult.success) {
         // Store additional call data including service
-        const callData = this.activeCallsCache.get(callResult.callSid);
+        const callData = await this.getActiveCall(callResult.callSid);
         if (callData) {
           callData.customerName = customerName;
           callData.service = service; // IMPORTANT: Store the service name!
           callData.purpose = 'appointment_scheduling';
           callData.customerPhone = customerPhone;
-          this.activeCallsCache.set(callResult.callSid, callData);
+          await this._storeCallData(callResult.callSid, callData);
           
           logger.info('Call data stored with service info', {
             callSid: callResult.callSid,
@@ -763,7 +1007,7 @@ class TwilioService {
         status: 'completed'
       });
 
-      this.activeCallsCache.delete(callSid);
+      await conversationStore.deleteState(ACTIVE_CALL_NAMESPACE, callSid);
       logger.info('Call hung up successfully', { callSid });
       return call;
     } catch (error) {
@@ -804,10 +1048,10 @@ class TwilioService {
   /**
    * Get active call data
    * @param {string} callSid - Call SID
-   * @returns {Object|null} Call data or null
+   * @returns {Promise<Object|null>} Call data or null
    */
-  getActiveCall(callSid) {
-    return this.activeCallsCache.get(callSid) || null;
+  async getActiveCall(callSid) {
+    return await conversationStore.getState(ACTIVE_CALL_NAMESPACE, callSid);
   }
 
   /**
@@ -815,15 +1059,15 @@ class TwilioService {
    * @param {string} callSid - Call SID
    * @param {string} status - New status
    * @param {Object} additionalData - Additional data to store
-   * @returns {Object|null} Updated call data or null
+   * @returns {Promise<Object|null>} Updated call data or null
    */
-  updateActiveCallStatus(callSid, status, additionalData = {}) {
-    const callData = this.activeCallsCache.get(callSid);
+  async updateActiveCallStatus(callSid, status, additionalData = {}) {
+    const callData = await this.getActiveCall(callSid);
     if (callData) {
       callData.status = status;
       callData.lastUpdate = new Date();
       Object.assign(callData, additionalData);
-      this.activeCallsCache.set(callSid, callData);
+      await this._storeCallData(callSid, callData);
       
       logger.debug('Call status updated', {
         callSid,
@@ -838,8 +1082,8 @@ class TwilioService {
    * Clean up call data
    * @param {string} callSid - Call SID
    */
-  cleanupCall(callSid) {
-    const wasDeleted = this.activeCallsCache.delete(callSid);
+  async cleanupCall(callSid) {
+    const wasDeleted = await conversationStore.deleteState(ACTIVE_CALL_NAMESPACE, callSid);
     if (wasDeleted) {
       logger.info('Call cleanup completed', { callSid });
     } else {
@@ -849,24 +1093,24 @@ class TwilioService {
 
   /**
    * Get all active calls
-   * @returns {Array} Array of active calls
+   * @returns {Promise<Array>} Array of active calls
    */
-  getActiveCalls() {
-    return Array.from(this.activeCallsCache.values());
+  async getActiveCalls() {
+    return await conversationStore.listState(ACTIVE_CALL_NAMESPACE);
   }
 
   /**
    * Handle machine detection result
    * @param {string} callSid - Call SID
    * @param {string} answeredBy - Who answered the call
-   * @returns {boolean} True if machine detected
+   * @returns {Promise<boolean>} True if machine detected
    */
-  handleMachineDetection(callSid, answeredBy) {
-    const callData = this.activeCallsCache.get(callSid);
+  async handleMachineDetection(callSid, answeredBy) {
+    const callData = await this.getActiveCall(callSid);
     if (callData) {
       callData.answeredBy = answeredBy;
       callData.machineDetected = answeredBy !== 'human';
-      this.activeCallsCache.set(callSid, callData);
+      await this._storeCallData(callSid, callData);
       
       logger.info('Machine detection result', {
         callSid,
@@ -881,10 +1125,10 @@ class TwilioService {
 
   /**
    * Get call statistics
-   * @returns {Object} Call statistics
+   * @returns {Promise<Object>} Call statistics
    */
-  getCallStatistics() {
-    const activeCalls = this.getActiveCalls();
+  async getCallStatistics() {
+    const activeCalls = await this.getActiveCalls();
     const stats = {
       ...this.callStatistics,
       activeCalls: activeCalls.length,
@@ -905,7 +1149,7 @@ class TwilioService {
       
       // Calculate duration for active calls
       if (call.startTime) {
-        const duration = (new Date() - call.startTime) / 1000; // in seconds
+        const duration = (new Date() - new Date(call.startTime)) / 1000; // in seconds
         totalDuration += duration;
         callsWithDuration++;
       }
@@ -921,13 +1165,28 @@ class TwilioService {
   // Private utility methods
 
   /**
-   * Store call data in cache
+   * Store call data in the conversation store
    * @private
    * @param {string} callSid - Call SID
    * @param {Object} data - Call data
    */
-  _storeCallData(callSid, data) {
-    this.activeCallsCache.set(callSid, data);
+  async _storeCallData(callSid, data) {
+    await conversationStore.setState(ACTIVE_CALL_NAMESPACE, callSid, data);
+  }
+
+  /**
+   * Recording parameters that report finished recordings to our webhook
+   * @private
+   * @param {string} channels - 'mono', or 'dual' for caller and agent on separate channels
+   * @returns {Object} Options for calls.create or recordings.create
+   */
+  _recordingCallbackOptions(channels) {
+    return {
+      recordingChannels: channels === 'dual' ? 'dual' : 'mono',
+      recordingStatusCallback: `${config.get('server.ngrokUrl')}/api/webhooks/recording-status`,
+      recordingStatusCallbackMethod: 'POST',
+      recordingStatusCallbackEvent: ['completed', 'absent']
+    };
   }
 
   /**
@@ -0,0 +1,386 @@
+/**
+ * Usage Service
+ * Records what each call uses (language model tokens, text-to-speech
+ * characters, telephony minutes) and what it costs, and keeps every
+ * account within its monthly budget.
+ *
+ * Costs are worked out from the price table when usage is recorded, so
+ * later price changes do not rewrite history. The built-in prices can be
+ * overridden with a JSON file (PRICE_TABLE_FILE) of the same shape:
+ *   llm:       USD per million tokens, keyed "provider:model"; a model also
+ *              matches the longest key it starts with, then "provider:*"
+ *   tts:       USD per 1,000 characters, per provider
+ *   telephony: USD per started minute, per provider and direction
+ *
+ * A budget alerts (log and 'budget.alert' webhook) once a month at its
+ * alert percentage and again at 100%. With block_calls set, no new calls
+ * are started once it is spent.
+ */
+
+const fs = require('fs');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { executeQuery } = require('../database/connection');
+const outgoingWebhookService = require('./outgoingWebhookService');
+
+const DEFAULT_PRICES = {
+  llm: {
+    'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'openai:gpt-4o': { input: 2.5, output: 10 },
+    'openai:gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'openai:gpt-4.1': { input: 2, output: 8 },
+    'openai:gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'openai:*': { input: 0.15, output: 0.6 },
+    'anthropic:claude-3-5-haiku': { input: 0.8, output: 4 },
+    'anthropic:claude-3-5-sonnet': { input: 3, output: 15 },
+    'anthropic:claude-3-7-sonnet': { input: 3, output: 15 },
+    'anthropic:*': { input: 3, output: 15 },
+    'azure:*': { input: 0.15, output: 0.6 },
+    'openrouter:*': { input: 0.15, output: 0.6 },
+    'local:*': { input: 0, output: 0 },
+    'mock:*': { input: 0, output: 0 }
+  },
+  tts: {
+    elevenlabs: 0.18,
+    openai: 0.015,
+    piper: 0,
+    twilio: 0.008
+  },
+  telephony: {
+    twilio: { inbound: 0.0085, outbound: 0.014 }
+  }
+};
+
+const CATEGORIES = ['llm', 'tts', 'telephony'];
+
+// A budget always alerts when it is used up, whatever its alert percentage
+const EXHAUSTED_PERCENT = 100;
+
+class UsageService {
+  constructor() {
+    this.prices = null;
+  }
+
+  get categories() {
+    return CATEGORIES;
+  }
+
+  /**
+   * The price table in use: the built-in prices with PRICE_TABLE_FILE over them
+   */
+  getPrices() {
+    if (!this.prices) {
+      this.setPrices(this.loadPriceFile());
+    }
+    return this.prices;
+  }
+
+  /**
+   * Replace the price overrides; each category is merged over the built-in prices
+   * @param {Object} overrides - { llm, tts, telephony }, any of them
+   */
+  setPrices(overrides = {}) {
+    this.prices = Object.fromEntries(CATEGORIES.map(category => [
+      category,
+      { ...DEFAULT_PRICES[category], ...(overrides[category] || {}) }
+    ]));
+  }
+
+  loadPriceFile() {
+    const file = config.get('usage.priceTable');
+    if (!file) {
+      return {};
+    }
+
+    try {
+      const table = JSON.parse(fs.readFileSync(file, 'utf8'));
+      logger.info('Price table loaded', { file });
+      return table;
+    } catch (error) {
+      logger.error('Price table could not be loaded, using built-in prices', { file, error: error.message });
+      return {};
+    }
+  }
+
+  /**
+   * Price per million tokens for a model: exact key, longest key the model
+   * starts with, then the provider's wildcard. Unknown models cost nothing.
+   * @returns {{input: number, output: number}}
+   */
+  getLlmPrice(provider, model = '') {
+    const prices = this.getPrices().llm;
+    const exact = prices[`${provider}:${model}`];
+    if (exact) {
+      return exact;
+    }
+
+    const prefix = Object.keys(prices)
+      .filter(key => key.startsWith(`${provider}:`) && !key.endsWith(':*') && model.startsWith(key.slice(provider.length + 1)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prices[prefix] || prices[`${provider}:*`] || { input: 0, output: 0 };
+  }
+
+  llmCost(provider, model, { inputTokens = 0, outputTokens = 0 } = {}) {
+    const price = this.getLlmPrice(provider, model);
+    return (inputTokens * price.input + outputTokens * price.output) / 1000000;
+  }
+
+  ttsCost(provider, characters) {
+    return (characters / 1000) * (this.getPrices().tts[provider] || 0);
+  }
+
+  // Carriers bill every started minute
+  telephonyCost(provider, direction, seconds) {
+    const price = this.getPrices().telephony[provider]?.[direction] || 0;
+    return Math.ceil(seconds / 60) * price;
+  }
+
+  /**
+   * Record a language model reply
+   * @param {string} callId - Call it was made for
+   * @param {Object} response - From llmService: { provider, model, usage }
+   * @param {Object} context - { purpose: 'conversation' | 'analysis' | 'flow', turn }
+   */
+  recordLlm(callId, { provider, model, usage }, { purpose = 'conversation', turn = null } = {}) {
+    const inputTokens = usage?.inputTokens || 0;
+    const outputTokens = usage?.outputTokens || 0;
+
+    return this._record(callId, {
+      category: 'llm',
+      provider,
+      model,
+      purpose,
+      turn,
+      inputTokens,
+      outputTokens,
+      cost: this.llmCost(provider, model, { inputTokens, outputTokens })
+    });
+  }
+
+  /**
+   * Record speech rendered for a call (cached audio costs nothing)
+   * @param {string} callId - Call it was spoken on
+   * @param {Object} speech - { provider, voice, text }
+   */
+  recordTts(callId, { provider, voice, text }) {
+    return this._record(callId, {
+      category: 'tts',
+      provider,
+      model: voice,
+      characters: text.length,
+      cost: this.ttsCost(provider, text.length)
+    });
+  }
+
+  /**
+   * Record a call's minutes once it has ended. Recorded once per call and purpose.
+   * @param {string} callId - Call
+   * @param {Object} leg - { direction: 'inbound' | 'outbound', seconds, purpose: 'call' | 'transfer' }
+   */
+  recordTelephony(callId, { direction = 'outbound', seconds, purpose = 'call' }) {
+    if (!seconds) {
+      return Promise.resolve(null);
+    }
+
+    return this._record(callId, {
+      category: 'telephony',
+      provider: 'twilio',
+      model: direction,
+      purpose,
+      seconds,
+      cost: this.telephonyCost('twilio', direction, seconds)
+    }, { once: true });
+  }
+
+  /**
+   * Store a usage record against its call and add its cost to the call's total.
+   * Never throws: accounting must not break a call.
+   * @private
+   */
+  async _record(callId, entry, { once = false } = {}) {
+    if (!callId) {
+      return null;
+    }
+
+    try {
+      const result = await executeQuery(`
+        INSERT INTO usage_records (organization_id, call_id, agent_id, category, provider, model, purpose, turn,
+          input_tokens, output_tokens, characters, seconds, cost)
+        SELECT c.organization_id, c.id, c.agent_id, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+        FROM calls c
+        WHERE c.id = $1
+          AND NOT ($12 AND EXISTS (
+            SELECT 1 FROM usage_records u WHERE u.call_id = c.id AND u.category = $2 AND u.purpose = $5
+          ))
+        RETURNING *
+      `, [
+        callId, entry.category, entry.provider, entry.model || null, entry.purpose || null, entry.turn ?? null,
+        entry.inputTokens ?? null, entry.outputTokens ?? null, entry.characters ?? null, entry.seconds ?? null,
+        entry.cost, once
+      ]);
+
+      const record = result.rows[0];
+      if (!record) {
+        return null;
+      }
+
+      if (entry.cost > 0) {
+        await executeQuery('UPDATE calls SET cost = cost + $1 WHERE id = $2', [entry.cost, callId]);
+        if (record.organization_id) {
+          await this.checkBudget(record.organization_id);
+        }
+      }
+
+      return record;
+    } catch (error) {
+      logger.warn('Usage could not be recorded', { callId, category: entry.category, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * An account's monthly budget
+   * @returns {Promise<{monthlyLimit: number, alertPercent: number, blockCalls: boolean}|null>}
+   */
+  async getBudget(organizationId) {
+    const result = await executeQuery('SELECT * FROM organization_budgets WHERE organization_id = $1', [organizationId]);
+    const row = result.rows[0];
+
+    return row ? {
+      monthlyLimit: parseFloat(row.monthly_limit),
+      alertPercent: row.alert_percent,
+      blockCalls: row.block_calls
+    } : null;
+  }
+
+  /**
+   * Set or remove (monthlyLimit null) an account's monthly budget
+   */
+  async setBudget(organizationId, { monthlyLimit, alertPercent = 80, blockCalls = false }) {
+    if (monthlyLimit === null || monthlyLimit === undefined) {
+      await executeQuery('DELETE FROM organization_budgets WHERE organization_id = $1', [organizationId]);
+      return null;
+    }
+
+    await executeQuery(`
+      INSERT INTO organization_budgets (organization_id, monthly_limit, alert_percent, block_calls)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (organization_id) DO UPDATE SET
+        monthly_limit = EXCLUDED.monthly_limit,
+        alert_percent = EXCLUDED.alert_percent,
+        block_calls = EXCLUDED.block_calls,
+        updated_at = CURRENT_TIMESTAMP
+    `, [organizationId, monthlyLimit, alertPercent, blockCalls]);
+
+    logger.info('Budget updated', { organizationId, monthlyLimit, alertPercent, blockCalls });
+    return this.getBudget(organizationId);
+  }
+
+  /**
+   * What an account has spent this calendar month
+   */
+  async getMonthSpend(organizationId) {
+    const result = await executeQuery(`
+      SELECT COALESCE(SUM(cost), 0) AS spent
+      FROM usage_records
+      WHERE organization_id = $1 AND created_at >= date_trunc('month', CURRENT_TIMESTAMP)
+    `, [organizationId]);
+
+    return parseFloat(result.rows[0].spent);
+  }
+
+  /**
+   * The budget, this month's spend, and whether new calls are blocked
+   */
+  async getBudgetStatus(organizationId) {
+    const [budget, spent] = await Promise.all([
+      this.getBudget(organizationId),
+      this.getMonthSpend(organizationId)
+    ]);
+
+    return {
+      currency: config.get('usage.currency'),
+      budget,
+      spent,
+      ...this.evaluateBudget(budget, spent)
+    };
+  }
+
+  /**
+   * Where spend stands against a budget
+   * @param {Object|null} budget - From getBudget
+   * @param {number} spent - This month's spend
+   * @returns {{percentUsed: number|null, exceeded: boolean, blocked: boolean, thresholds: Array<number>}}
+   *   thresholds: the alert percentages reached
+   */
+  evaluateBudget(budget, spent) {
+    if (!budget) {
+      return { percentUsed: null, exceeded: false, blocked: false, thresholds: [] };
+    }
+
+    const percentUsed = budget.monthlyLimit > 0 ? (spent / budget.monthlyLimit) * 100 : 100;
+    const exceeded = percentUsed >= EXHAUSTED_PERCENT;
+    const thresholds = [...new Set([budget.alertPercent, EXHAUSTED_PERCENT])]
+      .filter(threshold => percentUsed >= threshold)
+      .sort((a, b) => a - b);
+
+    return { percentUsed, exceeded, blocked: exceeded && budget.blockCalls, thresholds };
+  }
+
+  /**
+   * Can the account start another call?
+   * @returns {Promise<{allowed: boolean, reason?: string}>}
+   */
+  async canStartCall(organizationId) {
+    if (!organizationId) {
+      return { allowed: true };
+    }
+
+    try {
+      const status = await this.getBudgetStatus(organizationId);
+      if (status.blocked) {
+        return { allowed: false, reason: 'The monthly budget has been reached' };
+      }
+    } catch (error) {
+      // A failed check should not stop calls
+      logger.warn('Budget check failed', { organizationId, error: error.message });
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Alert on every budget threshold passed this month that has not alerted yet
+   */
+  async checkBudget(organizationId) {
+    const status = await this.getBudgetStatus(organizationId);
+
+    for (const threshold of status.thresholds) {
+      const claim = await executeQuery(`
+        INSERT INTO budget_alerts (organization_id, month, threshold, spent)
+        VALUES ($1, date_trunc('month', CURRENT_TIMESTAMP)::date, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `, [organizationId, threshold, status.spent]);
+
+      if (claim.rows.length === 0) {
+        continue;
+      }
+
+      logger.warn('Monthly budget alert', { organizationId, threshold, spent: status.spent, monthlyLimit: status.budget.monthlyLimit });
+      outgoingWebhookService.emit('budget.alert', {
+        threshold,
+        spent: Number(status.spent.toFixed(4)),
+        monthlyLimit: status.budget.monthlyLimit,
+        currency: status.currency,
+        callsBlocked: threshold >= EXHAUSTED_PERCENT && status.budget.blockCalls
+      }, { organizationId });
+    }
+  }
+}
+
+// Create singleton instance
+const usageService = new UsageService();
+
+module.exports = usageService;
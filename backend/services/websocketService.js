@@ -1,47 +1,130 @@
 /**
  * WebSocket Service for Real-Time Communication
  * Inspired by Retell AI's approach for lower latency communication
+ *
+ * /llm-websocket clients must be signed in: the upgrade carries the user's
+ * JWT (the token query parameter, as browsers cannot set headers on
+ * WebSockets, or an Authorization header), and only calls and agents of the
+ * user's organization can be driven over it.
  */
 
+const http = require('http');
 const WebSocket = require('ws');
+const config = require('../config/config');
 const logger = require('../utils/logger');
 const dynamicAIService = require('./dynamicAIService');
 const databaseService = require('./postgresDatabaseService');
+const sttService = require('./sttService');
+const MediaStreamSession = require('./mediaStreamSession');
+const { isBypassEnabled } = require('../middleware/twilioSignature');
+const { decodeToken } = require('../middleware/auth');
+
+const LLM_WEBSOCKET_PATH = '/llm-websocket';
+const MEDIA_STREAM_PATH = '/media-stream';
 
 class WebSocketService {
   constructor() {
     this.wss = null;
     this.connections = new Map(); // Map of callId to WebSocket connection
+    this.mediaStreams = new Set(); // Live Twilio Media Stream sessions
   }
 
   /**
-   * Initialize WebSocket server
+   * Initialize WebSocket server. One server handles both paths; upgrades
+   * are routed by URL because ws servers sharing an HTTP server reject
+   * each other's paths.
    */
   initialize(server) {
-    this.wss = new WebSocket.Server({ 
-      server,
-      path: '/llm-websocket'
+    this.wss = new WebSocket.Server({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const { pathname } = new URL(req.url, 'http://localhost');
+
+      if (pathname !== LLM_WEBSOCKET_PATH && pathname !== MEDIA_STREAM_PATH) {
+        socket.destroy();
+        return;
+      }
+
+      // Only Twilio opens media streams; the session checks the signature once the call is known
+      if (pathname === MEDIA_STREAM_PATH && !req.headers['x-twilio-signature'] && !isBypassEnabled()) {
+        logger.warn('Rejected media stream without X-Twilio-Signature');
+        socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+        return;
+      }
+
+      if (pathname === MEDIA_STREAM_PATH) {
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.handleMediaStream(ws, req));
+        return;
+      }
+
+      this.authorizeConnection(req).then(({ user, status }) => {
+        if (!user) {
+          socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n\r\n`);
+          return;
+        }
+        this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, req, user));
+      });
     });
 
-    this.wss.on('connection', (ws, req) => {
-      this.handleConnection(ws, req);
+    logger.info(`WebSocket server initialized on ${LLM_WEBSOCKET_PATH} and ${MEDIA_STREAM_PATH}`);
+  }
+
+  /**
+   * Handle a Twilio Media Stream (<Connect><Stream>) connection
+   */
+  handleMediaStream(ws, req) {
+    const session = new MediaStreamSession(ws, {
+      onClose: (closed) => this.mediaStreams.delete(closed),
+      skipSignature: isBypassEnabled(),
+      // Twilio signs the URL from the <Stream> TwiML, which is built from the same base URL
+      upgrade: {
+        signature: req.headers['x-twilio-signature'],
+        url: `${config.get('server.ngrokUrl').replace(/^http/, 'ws').replace(/\/$/, '')}${req.url}`
+      }
     });
+    this.mediaStreams.add(session);
 
-    logger.info('WebSocket server initialized on /llm-websocket');
+    logger.info('Media stream connection established', { activeStreams: this.mediaStreams.size });
   }
 
   /**
-   * Handle new WebSocket connection
+   * Check an /llm-websocket upgrade before accepting it: the token must be
+   * valid and the call must belong to the user's organization
+   * @returns {Promise<Object>} { user }, or { status } to refuse the upgrade with
    */
-  handleConnection(ws, req) {
+  async authorizeConnection(req) {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token') || req.headers.authorization?.replace('Bearer ', '');
+
+    let user;
+    try {
+      user = decodeToken(token);
+    } catch (error) {
+      logger.warn('Rejected WebSocket connection without a valid token');
+      return { status: 401 };
+    }
+
     const callId = this.extractCallId(req.url);
-    
-    if (!callId) {
-      logger.warn('WebSocket connection without call ID');
-      ws.close(1008, 'Call ID required');
-      return;
+    try {
+      const call = callId ? await databaseService.getCallById(callId) : null;
+      if (!call || call.organization_id !== user.organizationId) {
+        logger.warn('Rejected WebSocket connection for a call of another organization', { callId, userId: user.userId });
+        return { status: 404 };
+      }
+    } catch (error) {
+      logger.error('Error checking WebSocket connection', { callId, error: error.message });
+      return { status: 500 };
     }
 
+    return { user };
+  }
+
+  /**
+   * Handle new WebSocket connection from a signed-in user (see authorizeConnection)
+   */
+  handleConnection(ws, req, user) {
+    const callId = this.extractCallId(req.url);
+
     // Store connection
     this.connections.set(callId, ws);
     
@@ -51,7 +134,7 @@ class WebSocketService {
     ws.on('message', (data) => {
       try {
         const message = JSON.parse(data);
-        this.handleMessage(callId, message);
+        this.handleMessage(callId, message, user.organizationId);
       } catch (error) {
         logger.error('Error parsing WebSocket message', { error: error.message });
         ws.send(JSON.stringify({ error: 'Invalid message format' }));
@@ -89,7 +172,7 @@ class WebSocketService {
   /**
    * Handle incoming WebSocket messages
    */
-  async handleMessage(callId, message) {
+  async handleMessage(callId, message, organizationId) {
     try {
       const { type, data } = message;
 
@@ -99,7 +182,7 @@ class WebSocketService {
           break;
         
         case 'call_start':
-          await this.handleCallStart(callId, data);
+          await this.handleCallStart(callId, data, organizationId);
           break;
         
         case 'call_end':
@@ -123,20 +206,15 @@ class WebSocketService {
   }
 
   /**
-   * Handle live transcript
+   * Handle live transcript: text the client already recognized, or a final
+   * utterance as audio ({ audio: base64, mimeType }) for the agent's
+   * speech-to-text provider
    */
   async handleTranscript(callId, transcriptData) {
-    const { transcript, is_final, confidence } = transcriptData;
-    
-    logger.info('Received transcript', { 
-      callId, 
-      transcript: transcript.substring(0, 50) + '...',
-      is_final,
-      confidence 
-    });
+    const { transcript, is_final, confidence, audio, mimeType } = transcriptData;
 
-    // Only process final transcripts
-    if (!is_final) {
+    // Only process final transcripts (audio is always a complete utterance)
+    if (!is_final && !audio) {
       return;
     }
 
@@ -147,27 +225,61 @@ class WebSocketService {
       return;
     }
 
+    const agent = await databaseService.getAgentForCall(call);
+    const sttSettings = sttService.resolveSettings(agent);
+    const speech = audio
+      ? await sttService.transcribeAudio(sttSettings, Buffer.from(audio, 'base64'), mimeType)
+      : { text: (transcript || '').trim(), confidence: confidence ?? 1 };
+
+    logger.info('Received transcript', {
+      callId,
+      transcript: speech.text.substring(0, 50) + '...',
+      confidence: speech.confidence,
+      provider: audio ? sttSettings.provider : 'client'
+    });
+
+    // Same bar as the speech webhook: ask again rather than answer a guess
+    if (!sttService.isUsable(speech)) {
+      this.sendMessage(callId, {
+        type: 'response',
+        response: "I didn't catch that clearly. Could you please repeat what you said?",
+        conversationComplete: false
+      });
+      return;
+    }
+
     // Process with AI
     const aiResponse = await dynamicAIService.processUserInput(
       callId,
-      transcript,
+      speech.text,
       call.phone_number
     );
 
     // Send response back
     this.sendMessage(callId, {
       type: 'response',
+      transcript: speech.text,
       response: aiResponse.response,
       conversationComplete: aiResponse.conversationComplete
     });
   }
 
   /**
-   * Handle call start
+   * Handle call start. The agent must belong to the caller's organization.
    */
-  async handleCallStart(callId, callData) {
+  async handleCallStart(callId, callData, organizationId) {
     const { agentId, phoneNumber, customerName } = callData;
-    
+
+    const agent = await databaseService.getAgentById(agentId);
+    if (!agent || agent.organization_id !== organizationId) {
+      logger.warn('Refused WebSocket call start with an agent of another organization', { callId, agentId });
+      this.sendMessage(callId, {
+        type: 'error',
+        error: 'Agent not found'
+      });
+      return;
+    }
+
     logger.info('Call started via WebSocket', { callId, agentId, phoneNumber });
 
     // Initialize conversation
@@ -193,7 +305,7 @@ class WebSocketService {
     logger.info('Call ended via WebSocket', { callId });
     
     // Cleanup conversation
-    dynamicAIService.cleanupConversation(callId);
+    await dynamicAIService.cleanupConversation(callId);
     
     // Close WebSocket connection
     const ws = this.connections.get(callId);
@@ -231,7 +343,7 @@ class WebSocketService {
    * Get active connections count
    */
   getActiveConnectionsCount() {
-    return this.connections.size;
+    return this.connections.size + this.mediaStreams.size;
   }
 
   /**
@@ -257,6 +369,7 @@ class WebSocketService {
       ws.close();
     });
     this.connections.clear();
+    this.mediaStreams.forEach(session => session.close());
   }
 }
 
@@ -0,0 +1,220 @@
+/**
+ * Whisper Speech-to-Text Service
+ * Local STT provider (see sttService) for any server that implements the
+ * OpenAI /v1/audio/transcriptions API (faster-whisper-server, whisper.cpp
+ * server, LocalAI, ...). Whisper only transcribes complete clips, so live
+ * audio is cut into utterances with a simple energy endpointer and each
+ * utterance is transcribed once the caller stops talking.
+ */
+
+const axios = require('axios');
+const config = require('../config/config');
+const logger = require('../utils/logger');
+const { writeWav } = require('../utils/audio');
+
+const FRAME_MS = 20;
+// RMS of 16-bit PCM above which a frame counts as speech (phone line noise sits well below)
+const SPEECH_RMS = 600;
+// Consecutive loud frames needed to start an utterance, so clicks do not
+const SPEECH_START_FRAMES = 3;
+// Audio kept from before speech was detected, so the first syllable is not clipped
+const PRE_ROLL_FRAMES = 10;
+// Whisper transcribes at most 30 s at a time
+const MAX_UTTERANCE_MS = 30000;
+
+const frameRms = (frame) => {
+  let sum = 0;
+  const samples = frame.length / 2;
+  for (let i = 0; i < frame.length; i += 2) {
+    const sample = frame.readInt16LE(i);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+};
+
+/**
+ * One live stream, endpointed locally (one per call)
+ */
+class WhisperStreamSession {
+  constructor(service, { sampleRate = 8000, language, keywords, onTranscript, onSpeechStarted, onError }) {
+    this.service = service;
+    this.sampleRate = sampleRate;
+    this.transcribeOptions = { language, keywords, mimeType: 'audio/wav' };
+    this.onTranscript = onTranscript || (() => {});
+    this.onSpeechStarted = onSpeechStarted || (() => {});
+    this.onError = onError || (() => {});
+
+    this.frameBytes = Math.round(sampleRate * FRAME_MS / 1000) * 2;
+    this.silenceFramesToEnd = Math.ceil(config.get('whisper.silenceMs') / FRAME_MS);
+    this.maxFrames = MAX_UTTERANCE_MS / FRAME_MS;
+
+    this.pending = Buffer.alloc(0);
+    this.preRoll = [];
+    this.utterance = null; // frames of the utterance in progress
+    this.loudFrames = 0;
+    this.quietFrames = 0;
+    // Utterances are transcribed one at a time so transcripts arrive in order
+    this.transcriptions = Promise.resolve();
+    this.closed = false;
+  }
+
+  /**
+   * Send caller audio
+   * @param {Buffer} pcm - 16-bit PCM at the session's sample rate
+   */
+  sendAudio(pcm) {
+    if (this.closed) {
+      return;
+    }
+
+    this.pending = Buffer.concat([this.pending, pcm]);
+    while (this.pending.length >= this.frameBytes) {
+      this._processFrame(this.pending.subarray(0, this.frameBytes));
+      this.pending = this.pending.subarray(this.frameBytes);
+    }
+  }
+
+  /**
+   * Stop listening; an utterance already being transcribed is dropped
+   */
+  close() {
+    this.closed = true;
+    this.utterance = null;
+  }
+
+  _processFrame(frame) {
+    const loud = frameRms(frame) >= SPEECH_RMS;
+
+    if (!this.utterance) {
+      this.preRoll.push(Buffer.from(frame));
+      if (this.preRoll.length > PRE_ROLL_FRAMES) {
+        this.preRoll.shift();
+      }
+
+      this.loudFrames = loud ? this.loudFrames + 1 : 0;
+      if (this.loudFrames >= SPEECH_START_FRAMES) {
+        this.utterance = this.preRoll;
+        this.preRoll = [];
+        this.quietFrames = 0;
+        this.onSpeechStarted();
+      }
+      return;
+    }
+
+    this.utterance.push(Buffer.from(frame));
+    this.quietFrames = loud ? 0 : this.quietFrames + 1;
+
+    if (this.quietFrames >= this.silenceFramesToEnd || this.utterance.length >= this.maxFrames) {
+      this._endUtterance();
+    }
+  }
+
+  _endUtterance() {
+    const wav = writeWav(Buffer.concat(this.utterance), this.sampleRate);
+    this.utterance = null;
+    this.loudFrames = 0;
+
+    this.transcriptions = this.transcriptions
+      .then(() => this.service.transcribe(wav, this.transcribeOptions))
+      .then(({ text }) => {
+        if (text && !this.closed) {
+          this.onTranscript({ text, isFinal: true });
+        }
+      })
+      .catch(error => {
+        logger.error('Whisper transcription failed', { error: error.message });
+        this.onError(error);
+      });
+  }
+}
+
+class WhisperSttService {
+  constructor() {
+    this.name = 'whisper';
+    this.label = 'Whisper (self-hosted)';
+    this.supportsStreaming = true;
+    this.baseUrl = config.get('whisper.url')?.replace(/\/+$/, '');
+    this.apiKey = config.get('whisper.apiKey');
+    this.model = config.get('whisper.model');
+  }
+
+  /**
+   * Check if a Whisper server is configured
+   */
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Open a live stream; transcripts are emitted per utterance (no partials)
+   * @param {Object} options - { sampleRate, language, keywords, onTranscript, onSpeechStarted, onError }
+   * @returns {WhisperStreamSession} Session to send audio to
+   */
+  createSession(options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Whisper speech-to-text is not configured (WHISPER_URL)');
+    }
+
+    return new WhisperStreamSession(this, options);
+  }
+
+  /**
+   * Transcribe a recorded utterance
+   * @param {Buffer} audio - Encoded audio (WAV, MP3, ...)
+   * @param {Object} options - { language, keywords, mimeType }
+   * @returns {Promise<{text: string, confidence: number}>}
+   */
+  async transcribe(audio, options = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('Whisper speech-to-text is not configured (WHISPER_URL)');
+    }
+
+    const mimeType = options.mimeType || 'audio/wav';
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), `utterance.${mimeType.split('/')[1] || 'wav'}`);
+    form.append('model', this.model);
+    form.append('response_format', 'verbose_json');
+
+    // Whisper takes ISO-639-1 codes ("en", not "en-US")
+    const language = (options.language || config.get('stt.language')).split('-')[0].toLowerCase();
+    form.append('language', language);
+
+    // Whisper has no keyword boosting; a prompt that uses the words biases it toward them
+    if (options.keywords?.length) {
+      form.append('prompt', `Vocabulary: ${options.keywords.join(', ')}.`);
+    }
+
+    const response = await axios.post(`${this.baseUrl}/v1/audio/transcriptions`, form, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      timeout: 30000
+    });
+
+    return {
+      text: (response.data?.text || '').trim(),
+      confidence: this._confidence(response.data)
+    };
+  }
+
+  /**
+   * Whisper reports per-segment log probabilities rather than a confidence;
+   * turn them into 0-1, discounting segments it thinks were not speech
+   */
+  _confidence(result) {
+    const segments = result?.segments || [];
+    if (segments.length === 0) {
+      return result?.text ? 1 : 0;
+    }
+
+    const total = segments.reduce((sum, segment) => {
+      const probability = Math.exp(segment.avg_logprob ?? 0);
+      return sum + probability * (1 - (segment.no_speech_prob ?? 0));
+    }, 0);
+
+    return Math.min(1, total / segments.length);
+  }
+}
+
+// Create singleton instance
+const whisperSttService = new WhisperSttService();
+
+module.exports = whisperSttService;
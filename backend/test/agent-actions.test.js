@@ -0,0 +1,156 @@
+/**
+ * Agent Action Tests
+ * Checks the built-in functions that act outside the call: texting and
+ * emailing only the caller or the function's saved recipient, failing
+ * honestly when Twilio or SMTP is not set up, and saving leads. The
+ * database, Twilio and the SMTP transport are stubs, so no database, Twilio
+ * account or mail server is needed.
+ */
+
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('assert');
+const config = require('../config/config');
+const connection = require('../database/connection');
+
+const CALLER = '+15555550123';
+const CONTEXT = { callId: 'call_1', agentId: 'agent_1', organizationId: 1, customerPhone: CALLER };
+
+const SMS_FUNCTION = { function_type: 'send_sms', name: 'text_caller', config: {} };
+const EMAIL_FUNCTION = { function_type: 'send_email', name: 'email_caller', config: { subject: 'Your appointment' } };
+const LEAD_FUNCTION = { function_type: 'create_lead', name: 'save_lead', config: {} };
+
+let texts;
+let emails;
+let leads;
+let contacts;
+let twilioConfigured;
+
+// The service reads executeQuery when it is loaded, so the stub goes in first
+connection.executeQuery = async (sql, params) => {
+  if (sql.includes('INSERT INTO leads')) {
+    const [organization_id, agent_id, call_id, name, email, phone, company, notes, source] = params;
+    const lead = { id: leads.length + 1, organization_id, agent_id, call_id, name, email, phone, company, notes, source };
+    leads.push(lead);
+    return { rows: [{ id: lead.id }] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const databaseService = require('../services/postgresDatabaseService');
+const twilioService = require('../services/twilioService');
+const emailService = require('../services/emailService');
+const aiFunctionService = require('../services/retellAIStyleService');
+
+databaseService.getContactByPhone = async (phone, organizationId) => (organizationId === 1 ? contacts.get(phone) || null : null);
+twilioService.forOrganization = async () => ({
+  isTwilioConfigured: () => twilioConfigured,
+  sendSMS: async (to, message) => {
+    texts.push({ to, message });
+    return { messageSid: `SM${texts.length}`, status: 'queued' };
+  }
+});
+config.set('smtp.host', 'smtp.example.com');
+config.set('smtp.from', 'Front desk <desk@example.com>');
+emailService.transporter = {
+  sendMail: async ({ from, to, subject, text }) => {
+    emails.push({ from, to, subject, text });
+    return { messageId: `<${emails.length}@example.com>` };
+  }
+};
+
+beforeEach(() => {
+  texts = [];
+  emails = [];
+  leads = [];
+  contacts = new Map([[CALLER, { id: 3, name: 'Jane Caller', email: 'jane@example.com' }]]);
+  twilioConfigured = true;
+});
+
+test('texts go to the caller', async () => {
+  const result = await aiFunctionService.executeAgentFunction(SMS_FUNCTION, { message: 'See you Tuesday at 3pm.' }, CONTEXT);
+
+  assert.deepStrictEqual(result, { success: true, messageSid: 'SM1', status: 'queued' });
+  assert.deepStrictEqual(texts, [{ to: CALLER, message: 'See you Tuesday at 3pm.' }]);
+});
+
+test('the model cannot choose who is texted or emailed', async () => {
+  await aiFunctionService.executeAgentFunction(SMS_FUNCTION, { message: 'Hi', to: '+19005550000' }, CONTEXT);
+  await aiFunctionService.executeAgentFunction(EMAIL_FUNCTION, { body: 'Hi', to: 'someone@else.example' }, CONTEXT);
+
+  assert.deepStrictEqual(texts.map(text => text.to), [CALLER]);
+  assert.deepStrictEqual(emails.map(email => email.to), ['jane@example.com']);
+  assert.strictEqual(aiFunctionService.getToolParameters(SMS_FUNCTION).properties.to, undefined);
+  assert.strictEqual(aiFunctionService.getToolParameters(EMAIL_FUNCTION).properties.to, undefined);
+});
+
+test("a function's saved recipient is used instead of the caller", async () => {
+  await aiFunctionService.executeAgentFunction({ ...SMS_FUNCTION, config: { to: '+14155550111' } }, { message: 'New booking' }, CONTEXT);
+  await aiFunctionService.executeAgentFunction({ ...EMAIL_FUNCTION, config: { ...EMAIL_FUNCTION.config, to: 'desk@example.com' } }, { body: 'New booking' }, CONTEXT);
+
+  assert.deepStrictEqual(texts.map(text => text.to), ['+14155550111']);
+  assert.deepStrictEqual(emails, [{
+    from: 'Front desk <desk@example.com>', to: 'desk@example.com', subject: 'Your appointment', text: 'New booking'
+  }]);
+});
+
+test("emails use the address on the caller's contact record", async () => {
+  const result = await aiFunctionService.executeAgentFunction(EMAIL_FUNCTION, { subject: 'Directions', body: 'We are on 5th Street.' }, CONTEXT);
+
+  assert.deepStrictEqual(result, { success: true, messageId: '<1@example.com>' });
+  assert.deepStrictEqual(emails.map(({ to, subject }) => ({ to, subject })), [{ to: 'jane@example.com', subject: 'Directions' }]);
+});
+
+test('without a recipient nothing is sent and the model is told why', async () => {
+  contacts.clear();
+
+  const email = await aiFunctionService.executeAgentFunction(EMAIL_FUNCTION, { body: 'Hi' }, CONTEXT);
+  const sms = await aiFunctionService.executeAgentFunction(SMS_FUNCTION, { message: 'Hi' }, { ...CONTEXT, customerPhone: null });
+
+  assert.deepStrictEqual(email, { success: false, error: 'There is no email address on file for this caller' });
+  assert.deepStrictEqual(sms, { success: false, error: 'There is no phone number to text on this call' });
+  assert.strictEqual(emails.length + texts.length, 0);
+});
+
+test('missing Twilio or SMTP settings fail instead of pretending to send', async () => {
+  twilioConfigured = false;
+  config.set('smtp.host', '');
+  try {
+    const sms = await aiFunctionService.executeAgentFunction(SMS_FUNCTION, { message: 'Hi' }, CONTEXT);
+    const email = await aiFunctionService.executeAgentFunction(EMAIL_FUNCTION, { body: 'Hi' }, CONTEXT);
+
+    assert.deepStrictEqual(sms, { success: false, error: 'SMS is not available: Twilio is not configured' });
+    assert.strictEqual(email.success, false);
+    assert.match(email.error, /Email is not configured/);
+    assert.strictEqual(emails.length + texts.length, 0);
+  } finally {
+    config.set('smtp.host', 'smtp.example.com');
+  }
+});
+
+test("leads are saved for the call with the caller's number by default", async () => {
+  const result = await aiFunctionService.executeAgentFunction(LEAD_FUNCTION, {
+    name: 'Jane Caller', email: 'jane@example.com', company: 'Bright Smiles', notes: 'Wants a quote for whitening'
+  }, CONTEXT);
+
+  assert.deepStrictEqual(result, { success: true, leadId: 1 });
+  assert.deepStrictEqual(leads, [{
+    id: 1,
+    organization_id: 1,
+    agent_id: 'agent_1',
+    call_id: 'call_1',
+    name: 'Jane Caller',
+    email: 'jane@example.com',
+    phone: CALLER,
+    company: 'Bright Smiles',
+    notes: 'Wants a quote for whitening',
+    source: 'phone_call'
+  }]);
+});
+
+test('leads need a name', async () => {
+  const result = await aiFunctionService.executeAgentFunction(LEAD_FUNCTION, { email: 'anon@example.com' }, CONTEXT);
+
+  assert.deepStrictEqual(result, { success: false, error: 'A lead needs a name' });
+  assert.strictEqual(leads.length, 0);
+});
@@ -0,0 +1,98 @@
+/**
+ * Agent Version Tests
+ * Checks what goes into a version snapshot, how a version is applied to an
+ * agent and how versions are compared. No database needed.
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const agentVersionService = require('../services/agentVersionService');
+
+const AGENT = {
+  id: 7,
+  agent_id: 'agent_1',
+  name: 'Front desk',
+  description: 'Answers the phone',
+  ai_prompt: 'You are the receptionist at Smile Dental.',
+  voice: 'Emma',
+  language: 'English',
+  model: 'gpt-4o-mini',
+  webhook_url: null,
+  stt_provider: 'deepgram',
+  stt_language: 'en-US',
+  stt_keywords: ['Invisalign'],
+  voice_config: { primary: { provider: 'openai', voice: 'alloy' }, latencyBudgetMs: 800 },
+  recording_enabled: true,
+  recording_channels: 'dual',
+  analysis_config: null,
+  agent_type: 'prompt',
+  flow_definition: null,
+  status: 'active',
+  api_key: 'rt_sk_secret',
+  organization_id: 3,
+  published_version: 2
+};
+
+test('snapshots hold behaviour, not status or keys', async () => {
+  const snapshot = agentVersionService.snapshot(AGENT);
+  assert.strictEqual(snapshot.ai_prompt, AGENT.ai_prompt);
+  assert.deepStrictEqual(snapshot.voice_config, AGENT.voice_config);
+  for (const field of ['id', 'agent_id', 'status', 'api_key', 'organization_id', 'published_version']) {
+    assert.ok(!(field in snapshot), `${field} should not be versioned`);
+  }
+
+  assert.strictEqual(agentVersionService.snapshot({ name: 'New' }).flow_definition, null);
+});
+
+test("applying a version keeps the agent's operational fields", async () => {
+  const draft = { ...agentVersionService.snapshot(AGENT), ai_prompt: 'You book cleanings.', status: 'paused' };
+  const agent = agentVersionService.applyConfig(AGENT, draft);
+
+  assert.strictEqual(agent.ai_prompt, 'You book cleanings.');
+  assert.strictEqual(agent.status, 'active');
+  assert.strictEqual(agent.api_key, AGENT.api_key);
+  assert.strictEqual(agent.published_version, 2);
+});
+
+test("versions saved before a setting existed use the agent's current value", async () => {
+  const { analysis_config: _ignored, ...oldVersion } = agentVersionService.snapshot({ ...AGENT, name: 'Old desk' });
+  const agent = agentVersionService.applyConfig({ ...AGENT, analysis_config: { dispositions: ['booked'] } }, oldVersion);
+
+  assert.strictEqual(agent.name, 'Old desk');
+  assert.deepStrictEqual(agent.analysis_config, { dispositions: ['booked'] });
+});
+
+test('diffs list only the fields that changed', async () => {
+  const from = agentVersionService.snapshot(AGENT);
+  const to = { ...from, model: 'gpt-4o', stt_keywords: ['Invisalign', 'Smile Dental'] };
+
+  assert.deepStrictEqual(agentVersionService.diff(from, to), [
+    { field: 'model', from: 'gpt-4o-mini', to: 'gpt-4o' },
+    { field: 'stt_keywords', from: ['Invisalign'], to: ['Invisalign', 'Smile Dental'] }
+  ]);
+  assert.deepStrictEqual(agentVersionService.diff(from, from), []);
+});
+
+test('diffs ignore object key order and missing versus null', async () => {
+  const from = agentVersionService.snapshot(AGENT);
+  // JSONB hands objects back with their keys reordered
+  const to = { ...from, voice_config: { latencyBudgetMs: 800, primary: { voice: 'alloy', provider: 'openai' } } };
+  delete to.webhook_url;
+
+  assert.deepStrictEqual(agentVersionService.diff(from, to), []);
+});
+
+test('functions and knowledge bases are not versioned', async () => {
+  // Even when they are loaded onto the agent object, they stay out of versions
+  const agent = { ...AGENT, functions: [{ id: 31, name: 'text_back' }], knowledge_base_ids: [4] };
+  const snapshot = agentVersionService.snapshot(agent);
+  assert.ok(!Object.keys(snapshot).some(field => /function|knowledge/.test(field)));
+
+  const edited = { ...agent, functions: [], knowledge_base_ids: [4, 5] };
+  assert.deepStrictEqual(agentVersionService.diff(snapshot, agentVersionService.snapshot(edited)), []);
+
+  const applied = agentVersionService.applyConfig(edited, { ...snapshot, functions: agent.functions });
+  assert.deepStrictEqual(applied.functions, []);
+  assert.deepStrictEqual(applied.knowledge_base_ids, [4, 5]);
+});
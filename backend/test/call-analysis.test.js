@@ -0,0 +1,106 @@
+/**
+ * Post-Call Analysis Tests
+ * Checks how transcripts are turned into a summary, sentiment, disposition
+ * and extracted fields, using a fake LLM in place of llmService. No database
+ * or API key needed.
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const callAnalysisService = require('../services/callAnalysisService');
+
+const MESSAGES = [
+  { role: 'assistant', content: 'Hi, this is Ava from Bright Dental. How can I help?' },
+  { role: 'user', content: 'I would like to book a cleaning next Tuesday. My budget is about 150 dollars.' },
+  { role: 'assistant', content: 'You are booked for Tuesday at 10am.' }
+];
+
+const ANALYSIS_CONFIG = {
+  dispositions: ['Booked', 'Not interested'],
+  fields: [
+    { name: 'budget', type: 'number', description: 'Budget in USD' },
+    { name: 'preferredDate', type: 'date' },
+    { name: 'isExistingPatient', type: 'boolean' },
+    { name: 'notes', type: 'unknown' }
+  ]
+};
+
+let requests = [];
+
+// Replace the LLM with one that answers every request with reply
+const useReply = (reply) => {
+  requests = [];
+  callAnalysisService.llm = {
+    generateResponse: async (messages, options) => {
+      requests.push({ messages, options });
+      if (reply instanceof Error) throw reply;
+      return { content: reply, toolCalls: [], finishReason: 'stop', usage: null };
+    }
+  };
+};
+
+test('the agent\'s dispositions are used, always with "other"', async () => {
+  assert.deepStrictEqual(callAnalysisService.getDispositions(ANALYSIS_CONFIG), ['booked', 'not_interested', 'other']);
+  assert.ok(callAnalysisService.getDispositions(null).includes('callback_requested'));
+  assert.ok(callAnalysisService.getDispositions({ dispositions: [] }).includes('other'));
+});
+
+test('the transcript and instructions are sent with a JSON reply requested', async () => {
+  useReply(JSON.stringify({ summary: 'Booked a cleaning.', sentiment: 'positive', disposition: 'booked', fields: {} }));
+  await callAnalysisService.analyzeTranscript(MESSAGES, ANALYSIS_CONFIG, { direction: 'inbound', customerName: 'Dana' });
+
+  const { messages, options } = requests[0];
+  assert.deepStrictEqual(options.responseFormat, { type: 'json_object' });
+  assert.strictEqual(options.temperature, 0);
+  assert.match(messages[0].content, /"booked", "not_interested", "other"/);
+  assert.match(messages[0].content, /"budget" \(number\): Budget in USD/);
+  assert.match(messages[0].content, /"notes" \(string\)/);
+  assert.match(messages[1].content, /Caller name on file: Dana/);
+  assert.match(messages[1].content, /Caller: I would like to book/);
+  assert.match(messages[1].content, /Agent: You are booked/);
+});
+
+test('answers are kept within the allowed values and fields are coerced', async () => {
+  useReply('```json\n' + JSON.stringify({
+    summary: '  Caller booked a cleaning.  ',
+    sentiment: 'Ecstatic',
+    disposition: 'Booked',
+    fields: { budget: '$150', preferredDate: '2026-10-20T10:00:00Z', isExistingPatient: 'no', notes: 42, extra: 'dropped' }
+  }) + '\n```');
+
+  const analysis = await callAnalysisService.analyzeTranscript(MESSAGES, ANALYSIS_CONFIG);
+  assert.deepStrictEqual(analysis, {
+    summary: 'Caller booked a cleaning.',
+    sentiment: 'neutral',
+    disposition: 'booked',
+    fields: { budget: 150, preferredDate: '2026-10-20', isExistingPatient: false, notes: '42' }
+  });
+});
+
+test('unknown dispositions and missing fields fall back to "other" and null', async () => {
+  useReply(JSON.stringify({ summary: 'Asked about parking.', sentiment: 'negative', disposition: 'parking question' }));
+
+  const analysis = await callAnalysisService.analyzeTranscript(MESSAGES, ANALYSIS_CONFIG);
+  assert.strictEqual(analysis.disposition, 'other');
+  assert.strictEqual(analysis.sentiment, 'negative');
+  assert.deepStrictEqual(analysis.fields, { budget: null, preferredDate: null, isExistingPatient: null, notes: null });
+});
+
+test('a failed LLM request or invalid JSON is an error, not an analysis', async () => {
+  useReply(new Error('All language model providers failed: timeout'));
+  await assert.rejects(callAnalysisService.analyzeTranscript(MESSAGES, ANALYSIS_CONFIG), /providers failed/);
+
+  useReply('The caller booked a cleaning.');
+  await assert.rejects(callAnalysisService.analyzeTranscript(MESSAGES, ANALYSIS_CONFIG), /not valid JSON/);
+});
+
+test('long transcripts keep their start and end', async () => {
+  const long = Array.from({ length: 600 }, (_, i) => ({ role: i % 2 ? 'user' : 'assistant', content: `Line ${i} ${'x'.repeat(60)}` }));
+  const transcript = callAnalysisService.formatTranscript(long);
+
+  assert.ok(transcript.length < 25000);
+  assert.match(transcript, /Agent: Line 0 /);
+  assert.match(transcript, /Caller: Line 599 /);
+  assert.match(transcript, /\[\.\.\. part of the call omitted \.\.\.\]/);
+});
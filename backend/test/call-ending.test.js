@@ -0,0 +1,224 @@
+/**
+ * Call Ending Tests
+ * Checks how conversations end: the end_call tool and its closing line,
+ * per-agent turn and duration limits, silent caller reprompts and the end
+ * reason recorded for each, including streamed webhook turns that end on
+ * another server, and what goes into the transcript of streamed turns. Uses the mock language model and the in-memory
+ * conversation store; the database is replaced with recorders, so no
+ * database or API keys are needed.
+ */
+
+// Only the mock language model may answer, and live state stays in memory
+['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'LOCAL_LLM_URL',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDERS', 'LLM_MOCK_SCRIPT', 'LLM_MOCK_TOKEN_DELAY_MS',
+  'CALL_MAX_SILENT_REPROMPTS'].forEach(name => { process.env[name] = ''; });
+process.env.CONVERSATION_STORE = 'memory';
+const { listen } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const conversationStore = require('../services/conversationStore');
+const databaseService = require('../services/postgresDatabaseService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const usageService = require('../services/usageService');
+const mockLlmService = require('../services/mockLlmService');
+const aiFunctionService = require('../services/retellAIStyleService');
+const dynamicAIService = require('../services/dynamicAIService');
+const sttService = require('../services/sttService');
+
+const AGENT = { agent_id: 'agent_1', name: 'Front desk', ai_prompt: 'You book dental appointments.', llm_provider: 'mock' };
+
+let endReasons = [];
+let transcript = [];
+let callCount = 0;
+
+// A live conversation for an agent with the given settings, as initializeConversation leaves it
+const startCall = async (agentSettings = {}, startTime = new Date()) => {
+  const callId = `call_${++callCount}`;
+  await dynamicAIService.store.saveConversation({
+    callId,
+    agentId: AGENT.agent_id,
+    agent: { ...AGENT, ...agentSettings },
+    direction: 'inbound',
+    flow: null,
+    messages: [{ role: 'assistant', content: 'Hello, how can I help?' }],
+    startTime
+  });
+  return callId;
+};
+
+// Storage is replaced with recorders; only the built-in end_call is offered
+databaseService.addConversationMessage = async (callId, role, content) => {
+  transcript.push({ callId, role, content });
+};
+databaseService.setCallEndReason = async (callId, reason) => {
+  endReasons.push({ callId, reason });
+};
+knowledgeBaseService.search = async () => [];
+usageService._record = async () => {};
+aiFunctionService.getToolsForAgent = async () => ({
+  definitions: [{ type: 'function', function: { name: 'end_call' } }],
+  handlers: new Map([['end_call', (args, context) => aiFunctionService.executeFunctionCall('end_call', args, context)]])
+});
+
+test('end_call ends the turn and its closing line is spoken last', async () => {
+  const callId = await startCall();
+  mockLlmService.setScript([{ content: 'You are all set for Tuesday.', toolCalls: [{ name: 'end_call', arguments: { closingLine: 'Goodbye!' } }] }]);
+
+  const deltas = [];
+  const result = await dynamicAIService.processUserInput(callId, "That's everything, thanks", null, {
+    onTextDelta: (delta) => deltas.push(delta)
+  });
+
+  assert.strictEqual(result.response, 'You are all set for Tuesday. Goodbye!');
+  assert.strictEqual(deltas.join(''), result.response, 'the closing line is streamed too');
+  assert.strictEqual(result.conversationComplete, true);
+  assert.strictEqual(result.endReason, 'agent_ended');
+  assert.strictEqual(mockLlmService.requests.length, 1, 'the model is not asked again after hanging up');
+  assert.deepStrictEqual(endReasons.pop(), { callId, reason: 'agent_ended' });
+  assert.strictEqual((await aiFunctionService.getConversationState(callId)).pendingEnd, null, 'the end is not carried into later turns');
+});
+
+test('saying goodbye without end_call keeps the call going', async () => {
+  const callId = await startCall();
+  mockLlmService.setScript(['Goodbye! Before you go, would you like a reminder text?']);
+
+  const result = await dynamicAIService.processUserInput(callId, 'Bye', null);
+
+  assert.strictEqual(result.conversationComplete, false);
+  assert.strictEqual(result.endReason, null);
+  assert.strictEqual(endReasons.length, 0);
+});
+
+test('the turn limit asks the last reply to wrap up, then ends the call', async () => {
+  const callId = await startCall({ max_turns: 2 });
+  mockLlmService.setScript(['Which day suits you?', 'Tuesday it is. Goodbye!']);
+
+  const first = await dynamicAIService.processUserInput(callId, 'I need a cleaning', null);
+  assert.strictEqual(first.conversationComplete, false);
+  assert.doesNotMatch(mockLlmService.requests[0].messages[0].content, /length limit/);
+
+  const last = await dynamicAIService.processUserInput(callId, 'Tuesday', null);
+  assert.strictEqual(last.conversationComplete, true);
+  assert.strictEqual(last.endReason, 'max_turns');
+  assert.match(mockLlmService.requests[1].messages[0].content, /length limit and ends after this reply/);
+  assert.deepStrictEqual(endReasons.pop(), { callId, reason: 'max_turns' });
+});
+
+test('the duration limit ends calls that have run too long', async () => {
+  const longCall = await startCall({ max_duration_seconds: 60 }, new Date(Date.now() - 61 * 1000));
+  const shortCall = await startCall({ max_duration_seconds: 60 });
+  mockLlmService.setScript(['Thanks for calling, goodbye!', 'Sure, one moment.']);
+
+  assert.strictEqual((await dynamicAIService.processUserInput(longCall, 'One more thing', null)).endReason, 'max_duration');
+  assert.strictEqual((await dynamicAIService.processUserInput(shortCall, 'One more thing', null)).endReason, null);
+  endReasons = [];
+});
+
+test('text streamed alongside tool calls is kept in the transcript', async () => {
+  const callId = await startCall();
+  mockLlmService.setScript([
+    { content: 'Let me check the calendar.', toolCalls: [{ name: 'check_availability', arguments: { date: '2025-01-10' } }] },
+    'Tuesday at ten is free.'
+  ]);
+
+  const deltas = [];
+  const result = await dynamicAIService.processUserInput(callId, 'Can I come in on Tuesday?', null, {
+    onTextDelta: (delta) => deltas.push(delta)
+  });
+
+  assert.strictEqual(result.response, 'Let me check the calendar. Tuesday at ten is free.');
+  assert.deepStrictEqual(transcript.filter(message => message.callId === callId && message.role === 'assistant').map(message => message.content),
+    [result.response]);
+  const conversation = await dynamicAIService.store.getConversation(callId);
+  assert.strictEqual(conversation.messages[conversation.messages.length - 1].content, result.response);
+  assert.match(deltas.join(''), /^Let me check the calendar\.\s*Tuesday at ten is free\.$/);
+});
+
+test('summaries give how long conversations have been going', async () => {
+  const callId = await startCall({}, new Date(Date.now() - 30 * 1000));
+  const restored = await startCall({}, new Date(Date.now() - 90 * 1000).toISOString());
+
+  const summary = await dynamicAIService.getConversationSummary(callId);
+  assert.ok(summary.duration >= 30 * 1000 && summary.duration < 40 * 1000);
+
+  const active = await dynamicAIService.getAllActiveConversations();
+  const duration = active.find(conversation => conversation.callId === restored).duration;
+  assert.ok(duration >= 90 * 1000 && duration < 100 * 1000, 'a start time read back as a string is used as well');
+});
+
+test('a silent caller is reprompted, then hung up on', async () => {
+  const callId = await startCall({ max_silent_reprompts: 1 });
+
+  const reprompt = await dynamicAIService.handleSilence(callId);
+  assert.strictEqual(reprompt.conversationComplete, false);
+  assert.match(reprompt.response, /Are you still there\?/);
+
+  const goodbye = await dynamicAIService.handleSilence(callId);
+  assert.strictEqual(goodbye.conversationComplete, true);
+  assert.strictEqual(goodbye.endReason, 'silence');
+  assert.deepStrictEqual(endReasons.pop(), { callId, reason: 'silence' });
+
+  const conversation = await dynamicAIService.store.getConversation(callId);
+  assert.deepStrictEqual(conversation.messages.slice(-2).map(message => message.content), [reprompt.response, goodbye.response],
+    'the model sees what the caller was asked');
+});
+
+test('speaking resets the silent reprompts, and the platform default applies', async () => {
+  const callId = await startCall();
+  mockLlmService.setScript(['Sorry, go ahead.']);
+
+  await dynamicAIService.handleSilence(callId);
+  await dynamicAIService.handleSilence(callId);
+  await dynamicAIService.processUserInput(callId, 'Yes, sorry', null);
+
+  // Two reprompts by default
+  assert.strictEqual((await dynamicAIService.handleSilence(callId)).conversationComplete, false);
+  assert.strictEqual((await dynamicAIService.handleSilence(callId)).conversationComplete, false);
+  assert.strictEqual((await dynamicAIService.handleSilence(callId)).endReason, 'silence');
+  endReasons = [];
+});
+
+test('webhook calls are sent to no-input when the caller says nothing', async () => {
+  const twiml = sttService.buildListenTwiML({ provider: 'twilio', language: 'en-US', keywords: [] }, {
+    prompt: null,
+    actionUrl: 'https://example.test/api/webhooks/speech',
+    partialUrl: 'https://example.test/api/webhooks/speech-partial',
+    noInputUrl: 'https://example.test/api/webhooks/no-input?callId=call_1'
+  });
+
+  assert.match(twiml, /<Redirect method="POST">https:\/\/example\.test\/api\/webhooks\/no-input\?callId=call_1<\/Redirect><\/Response>$/);
+  assert.doesNotMatch(twiml, /didn't hear anything/);
+});
+
+test('a streamed turn that ended the call is carried out by whichever server gets /reply-end', async () => {
+  const callId = await startCall();
+  databaseService.getCallById = async (id) => ({ id, agent_id: AGENT.agent_id, organization_id: 1 });
+  databaseService.getAgentForCall = async () => AGENT;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/api/webhooks', require('../routes/webhooks'));
+  const server = await listen(app);
+  const replyEnd = async () => {
+    const response = await fetch(`${server.baseUrl}/api/webhooks/reply-end?callId=${callId}`, { method: 'POST' });
+    return response.text();
+  };
+
+  try {
+    // Saved by the server that streamed the reply
+    await conversationStore.setState('pending_turn', callId, { turnId: 't1', done: true, transfer: null, conversationComplete: true });
+    assert.match(await replyEnd(), /<Hangup\/>/);
+    assert.strictEqual(await conversationStore.getState('pending_turn', callId), null, 'the outcome is used once');
+
+    // Still being generated when the request arrives
+    await conversationStore.setState('pending_turn', callId, { turnId: 't2', done: false });
+    setTimeout(() => conversationStore.setState('pending_turn', callId, { turnId: 't2', done: true, transfer: null, conversationComplete: true }), 300);
+    assert.match(await replyEnd(), /<Hangup\/>/);
+
+    // Nothing pending: keep listening
+    assert.match(await replyEnd(), /<Gather /);
+  } finally {
+    await server.close();
+  }
+});
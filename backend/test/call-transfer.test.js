@@ -0,0 +1,214 @@
+/**
+ * Call Transfer Tests
+ * Checks transfers to a human: choosing the department, the transfer_call
+ * tool ending the agent's turn, the <Dial> TwiML with its warm-transfer
+ * whisper, and what happens when the human answers or nobody does. Uses the
+ * mock language model and the in-memory conversation store; the database is
+ * replaced with recorders, so no database, Twilio account or API keys are
+ * needed.
+ */
+
+// Only the mock language model may answer, replies are spoken with Twilio <Say>, and live state stays in memory
+['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'LOCAL_LLM_URL',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDERS', 'LLM_MOCK_SCRIPT', 'LLM_MOCK_TOKEN_DELAY_MS',
+  'ELEVENLABS_API_KEY', 'DEEPGRAM_API_KEY'].forEach(name => { process.env[name] = ''; });
+process.env.CONVERSATION_STORE = 'memory';
+
+const { listen, postForm } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const databaseService = require('../services/postgresDatabaseService');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+const usageService = require('../services/usageService');
+const mockLlmService = require('../services/mockLlmService');
+const aiFunctionService = require('../services/retellAIStyleService');
+const dynamicAIService = require('../services/dynamicAIService');
+
+const AGENT = { agent_id: 'agent_1', name: 'Front desk', ai_prompt: 'You answer the phone for a dental office.', llm_provider: 'mock' };
+
+const TRANSFER_FUNCTION = {
+  function_type: 'transfer_call',
+  name: 'transfer_call',
+  description: 'Transfer the caller to a human',
+  config: {
+    departments: [
+      { name: 'Billing', destination: '+14155550111', description: 'payments and insurance' },
+      { name: 'Front desk', destination: 'sip:desk@clinic.example.com' }
+    ],
+    warm_transfer: true,
+    timeout: 20,
+    fallback_message: 'Nobody from that team is free right now, but I can take a message.'
+  }
+};
+
+let callCount = 0;
+const calls = new Map();
+const transferUpdates = [];
+const endReasons = [];
+const telephony = [];
+let server;
+
+// Storage is replaced with recorders; the agent's only function is the transfer
+databaseService.addConversationMessage = async () => {};
+databaseService.setCallEndReason = async (callId, reason) => endReasons.push({ callId, reason });
+databaseService.getCallById = async (callId) => calls.get(callId) || null;
+databaseService.getAgentForCall = async () => AGENT;
+databaseService.updateCallTransfer = async (callId, update) => {
+  transferUpdates.push({ callId, ...update });
+  if (update.summary !== undefined) {
+    calls.get(callId).transfer_summary = update.summary;
+  }
+};
+knowledgeBaseService.search = async () => [];
+usageService._record = async () => {};
+usageService.recordTelephony = async (callId, entry) => telephony.push({ callId, ...entry });
+aiFunctionService.getToolsForAgent = async () => ({
+  definitions: [{ type: 'function', function: { name: 'transfer_call', parameters: aiFunctionService.getToolParameters(TRANSFER_FUNCTION) } }],
+  handlers: new Map([['transfer_call', (args, context) => aiFunctionService.executeAgentFunction(TRANSFER_FUNCTION, args, context)]])
+});
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use('/api/webhooks', require('../routes/webhooks'));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+// A live call and its conversation, as initializeConversation leaves them
+const startCall = async () => {
+  const callId = `call_${++callCount}`;
+  calls.set(callId, { id: callId, agent_id: AGENT.agent_id, organization_id: 1, customer_name: 'Jane Caller' });
+  await dynamicAIService.store.saveConversation({
+    callId,
+    agentId: AGENT.agent_id,
+    agent: AGENT,
+    direction: 'inbound',
+    flow: null,
+    messages: [{ role: 'assistant', content: 'Hello, how can I help?' }],
+    startTime: new Date()
+  });
+  return callId;
+};
+
+const post = async (path, form = {}) => {
+  const response = await postForm(`${server.baseUrl}${path}`, form);
+  return response.text();
+};
+
+test('the department is matched by name, and a single department needs none', async () => {
+  const callId = await startCall();
+
+  const billing = await aiFunctionService.transferCall({ department: 'billing', summary: 'Asked about a refund' }, { callId }, TRANSFER_FUNCTION.config);
+  assert.strictEqual(billing.success, true);
+  assert.deepStrictEqual((await aiFunctionService.getConversationState(callId)).pendingTransfer, {
+    department: 'Billing',
+    target: '+14155550111',
+    summary: 'Asked about a refund',
+    warm: true,
+    timeout: 20,
+    callerId: null,
+    fallbackMessage: TRANSFER_FUNCTION.config.fallback_message
+  });
+
+  const unknown = await aiFunctionService.transferCall({ department: 'Sales' }, { callId }, TRANSFER_FUNCTION.config);
+  assert.strictEqual(unknown.success, false);
+  assert.match(unknown.error, /Choose one of: Billing, Front desk/);
+
+  const only = await aiFunctionService.transferCall({}, { callId }, { departments: [{ name: 'Desk', destination: '+14155550122' }] });
+  assert.strictEqual(only.success, true);
+  assert.strictEqual((await aiFunctionService.getConversationState(callId)).pendingTransfer.timeout, 30, 'default ring time');
+});
+
+test('the tool offers the configured departments to the model', async () => {
+  const parameters = aiFunctionService.getToolParameters(TRANSFER_FUNCTION);
+
+  assert.deepStrictEqual(parameters.properties.department.enum, ['Billing', 'Front desk']);
+  assert.match(parameters.properties.department.description, /Billing \(payments and insurance\)/);
+});
+
+test('a transfer_call turn hands the caller over after the reply', async () => {
+  const callId = await startCall();
+  mockLlmService.setScript([
+    { content: '', toolCalls: [{ name: 'transfer_call', arguments: { department: 'Billing', summary: 'Wants to pay an invoice' } }] },
+    'Let me connect you with billing.'
+  ]);
+
+  const result = await dynamicAIService.processUserInput(callId, 'I want to pay my bill', null);
+
+  assert.strictEqual(result.response, 'Let me connect you with billing.');
+  assert.strictEqual(result.transfer.department, 'Billing');
+  assert.strictEqual(result.conversationComplete, false, 'a transfer is not an ending');
+  const state = await aiFunctionService.getConversationState(callId);
+  assert.strictEqual(state.pendingTransfer, null);
+  assert.strictEqual(state.activeTransfer.target, '+14155550111');
+});
+
+test('the transfer dials the department with the whisper on warm transfers', async () => {
+  const callId = await startCall();
+  await aiFunctionService.updateConversationState(callId, {
+    activeTransfer: { department: 'Billing', target: '+14155550111', summary: 'Wants to pay an invoice', warm: true, timeout: 20, callerId: null }
+  });
+
+  const twiml = await post(`/api/webhooks/transfer-connect?callId=${callId}`);
+
+  assert.match(twiml, /<Dial action="[^"]*\/api\/webhooks\/transfer-status\?callId=call_\d+" method="POST" timeout="20">/);
+  assert.match(twiml, /<Number url="[^"]*\/api\/webhooks\/transfer-whisper\?callId=call_\d+" method="POST">\+14155550111<\/Number>/);
+  const { transferredAt, ...update } = transferUpdates.pop();
+  assert.deepStrictEqual(update, {
+    callId, status: 'initiated', department: 'Billing', target: '+14155550111', summary: 'Wants to pay an invoice'
+  });
+  assert.ok(!Number.isNaN(Date.parse(transferredAt)), 'the transfer time is recorded');
+});
+
+test('SIP destinations and cold transfers dial without a whisper', async () => {
+  const callId = await startCall();
+  await aiFunctionService.updateConversationState(callId, {
+    activeTransfer: { department: 'Front desk', target: 'sip:desk@clinic.example.com', summary: null, warm: false, timeout: 30, callerId: '+14155550100' }
+  });
+
+  const twiml = await post(`/api/webhooks/transfer-connect?callId=${callId}`);
+
+  assert.match(twiml, /callerId="\+14155550100"/);
+  assert.match(twiml, /<Sip>sip:desk@clinic.example.com<\/Sip>/);
+  assert.doesNotMatch(twiml, /transfer-whisper/);
+});
+
+test('the whisper tells the human who is calling and why', async () => {
+  const callId = await startCall();
+  calls.get(callId).transfer_summary = 'Wants to pay an invoice';
+
+  const twiml = await post(`/api/webhooks/transfer-whisper?callId=${callId}`);
+
+  assert.match(twiml, /<Say[^>]*>Transferred call from Jane Caller\. Wants to pay an invoice<\/Say>/);
+});
+
+test('an answered transfer ends the call as transferred', async () => {
+  const callId = await startCall();
+
+  const twiml = await post(`/api/webhooks/transfer-status?callId=${callId}`, { DialCallStatus: 'completed', DialCallDuration: '95' });
+
+  assert.match(twiml, /<Hangup\/>/);
+  assert.deepStrictEqual(endReasons.pop(), { callId, reason: 'transferred' });
+  assert.deepStrictEqual(telephony.pop(), { callId, direction: 'outbound', seconds: 95, purpose: 'transfer' });
+  assert.deepStrictEqual(transferUpdates.pop(), { callId, status: 'completed', duration: 95 });
+});
+
+test('when nobody answers, the agent says the fallback and carries on', async () => {
+  const callId = await startCall();
+  await aiFunctionService.updateConversationState(callId, {
+    activeTransfer: { department: 'Billing', target: '+14155550111', fallbackMessage: TRANSFER_FUNCTION.config.fallback_message }
+  });
+
+  const twiml = await post(`/api/webhooks/transfer-status?callId=${callId}`, { DialCallStatus: 'no-answer', DialCallDuration: '0' });
+
+  assert.match(twiml, /Nobody from that team is free right now/);
+  assert.match(twiml, /<Gather /);
+  assert.strictEqual((await aiFunctionService.getConversationState(callId)).activeTransfer, null);
+  const conversation = await dynamicAIService.store.getConversation(callId);
+  assert.strictEqual(conversation.messages[conversation.messages.length - 1].content, TRANSFER_FUNCTION.config.fallback_message,
+    'the model sees what the caller was told');
+  assert.strictEqual(endReasons.length, 0);
+});
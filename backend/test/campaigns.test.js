@@ -0,0 +1,384 @@
+/**
+ * Campaign Dispatcher Tests
+ * Checks calling windows across time zones and daylight saving, the retry
+ * schedule and attempt cap, claiming contacts within the concurrency limit,
+ * final outcomes, stale calls and agents that were never published. The campaign tables live in an in-memory fake behind executeQuery,
+ * the dispatcher's clock is set by each test, and Twilio is a recorder, so
+ * no database or Twilio account is needed.
+ */
+
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('assert');
+const connection = require('../database/connection');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Just enough of the campaigns, campaign_contacts and calls tables for the
+ * dispatcher's queries. CURRENT_TIMESTAMP is the test's clock.
+ */
+class FakeCampaignDatabase {
+  constructor(clock) {
+    this.clock = clock;
+    this.campaigns = [];
+    this.entries = [];
+    this.calls = [];
+    this.publishedVersion = 1;
+  }
+
+  addCampaign(overrides = {}) {
+    const campaign = {
+      id: this.campaigns.length + 1,
+      organization_id: 1,
+      agent_id: 'agent_1',
+      status: 'running',
+      timezone: 'America/New_York',
+      calling_window_start: '09:00',
+      calling_window_end: '17:00',
+      calling_days: [1, 2, 3, 4, 5],
+      max_concurrent_calls: 1,
+      max_attempts: 3,
+      retry_delay_minutes: 30,
+      start_at: new Date(0),
+      ...overrides
+    };
+    this.campaigns.push(campaign);
+    return campaign;
+  }
+
+  addEntry(campaign, overrides = {}) {
+    const entry = {
+      id: this.entries.length + 1,
+      campaign_id: campaign.id,
+      contact_id: null,
+      phone_number: `+1555010${String(this.entries.length).padStart(4, '0')}`,
+      customer_name: 'Test Contact',
+      timezone: null,
+      status: 'pending',
+      attempts: 0,
+      disposition: null,
+      next_attempt_at: null,
+      last_attempt_at: null,
+      last_call_id: null,
+      ...overrides
+    };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    const now = this.clock();
+    const result = (rows) => ({ rows: rows.map(row => ({ ...row })), rowCount: rows.length });
+    const entry = (id) => this.entries.find(row => row.id === id);
+
+    if (text.startsWith('SELECT cc.*, c.max_attempts')) {
+      return result(this.entries
+        .filter(row => row.status === params[0] && row.last_attempt_at < new Date(now - params[1] * MINUTE))
+        .map(row => {
+          const campaign = this.campaigns.find(c => c.id === row.campaign_id);
+          return { ...row, max_attempts: campaign.max_attempts, retry_delay_minutes: campaign.retry_delay_minutes };
+        }));
+    }
+    if (text.startsWith('SELECT * FROM campaigns WHERE status = $1 AND start_at')) {
+      return result(this.campaigns.filter(c => c.status === params[0] && c.start_at <= now));
+    }
+    if (text.startsWith('SELECT * FROM campaigns WHERE id = $1')) {
+      return result(this.campaigns.filter(c => c.id === params[0]));
+    }
+    if (text.startsWith('SELECT COUNT(*) FILTER')) {
+      const rows = this.entries.filter(row => row.campaign_id === params[0]);
+      return result([{
+        calling: String(rows.filter(row => row.status === params[1]).length),
+        remaining: String(rows.filter(row => [params[2], params[3]].includes(row.status)).length)
+      }]);
+    }
+    if (text.startsWith('SELECT * FROM campaign_contacts WHERE campaign_id = $1 AND status IN')) {
+      const rows = this.entries
+        .filter(row => row.campaign_id === params[0] && [params[1], params[2]].includes(row.status))
+        .filter(row => !row.next_attempt_at || row.next_attempt_at <= now)
+        .sort((a, b) => (a.next_attempt_at || 0) - (b.next_attempt_at || 0) || a.id - b.id);
+      return result(rows.slice(0, params[3]));
+    }
+    if (text.startsWith('SELECT * FROM campaign_contacts WHERE campaign_id = $1 AND last_call_id')) {
+      return result(this.entries.filter(row => row.campaign_id === params[0] && row.last_call_id === params[1] && row.status === params[2]));
+    }
+    if (text.startsWith('SELECT * FROM agents')) {
+      return result([{ agent_id: params[0], published_version: this.publishedVersion }]);
+    }
+    if (['BEGIN', 'COMMIT', 'ROLLBACK'].includes(text) || text.startsWith('SELECT id FROM campaigns WHERE id = $1 FOR UPDATE')) {
+      return result([]);
+    }
+    if (text.startsWith('UPDATE campaigns SET status = $1, completed_at')) {
+      Object.assign(this.campaigns.find(c => c.id === params[1]), { status: params[0] });
+      return result([]);
+    }
+    if (text.startsWith('UPDATE campaigns SET status = $1, last_error')) {
+      Object.assign(this.campaigns.find(c => c.id === params[2]), { status: params[0], last_error: params[1] });
+      return result([]);
+    }
+    // The claim: only a contact that is still waiting can be taken, and only while a slot is free
+    if (text.startsWith('UPDATE campaign_contacts SET status = $1, attempts = attempts + 1')) {
+      const row = entry(params[1]);
+      const calling = this.entries.filter(other => other.campaign_id === params[4] && other.status === params[0]).length;
+      if (![params[2], params[3]].includes(row.status) || calling >= params[5]) {
+        return result([]);
+      }
+      Object.assign(row, { status: params[0], attempts: row.attempts + 1, last_attempt_at: now });
+      return result([row]);
+    }
+    if (text.startsWith('UPDATE campaign_contacts SET last_call_id')) {
+      entry(params[1]).last_call_id = params[0];
+      return result([]);
+    }
+    if (text.includes('next_attempt_at = CURRENT_TIMESTAMP +')) {
+      Object.assign(entry(params[3]), { status: params[0], disposition: params[1], next_attempt_at: new Date(now.getTime() + params[2] * MINUTE) });
+      return result([]);
+    }
+    if (text.includes('next_attempt_at = NULL') && text.includes('AND status IN ($4, $5)')) {
+      const row = entry(params[2]);
+      if ([params[3], params[4]].includes(row.status)) {
+        Object.assign(row, { status: params[0], disposition: params[1], next_attempt_at: null });
+      }
+      return result([]);
+    }
+    if (text.includes('next_attempt_at = NULL')) {
+      Object.assign(entry(params[2]), { status: params[0], disposition: params[1], next_attempt_at: null });
+      return result([]);
+    }
+    if (text.startsWith('INSERT INTO calls')) {
+      this.calls.push({ id: params[0], phone_number: params[2], campaign_id: params[5], status: 'initiating' });
+      return result([]);
+    }
+    if (text.startsWith('UPDATE calls SET status')) {
+      Object.assign(this.calls.find(call => call.id === params[params.length - 1]), { status: params[0] });
+      return result([]);
+    }
+    if (text.startsWith('UPDATE contacts SET last_called')) {
+      return result([]);
+    }
+
+    throw new Error(`Unexpected query: ${text}`);
+  }
+}
+
+let now = null;
+let database = null;
+let placed = [];
+let twilioConfigured = true;
+
+// The service reads executeQuery when it is loaded, so the fake goes in first; claims run on a pooled client
+connection.executeQuery = (sql, params) => database.query(sql, params);
+connection.pool.connect = async () => ({
+  query: (sql, params) => database.query(sql, params),
+  release: () => {}
+});
+const campaignService = require('../services/campaignService');
+const twilioService = require('../services/twilioService');
+const usageService = require('../services/usageService');
+
+campaignService.now = () => now;
+twilioService.forOrganization = async () => ({
+  isTwilioConfigured: () => twilioConfigured,
+  initiateCall: async ({ to, callId }) => {
+    placed.push({ to, callId });
+    return { success: true, callSid: `CA${placed.length}` };
+  }
+});
+usageService.canStartCall = async () => ({ allowed: true });
+
+beforeEach(() => {
+  now = new Date('2026-03-02T15:00:00Z'); // Monday, 10:00 in New York
+  database = new FakeCampaignDatabase(() => now);
+  placed = [];
+  twilioConfigured = true;
+});
+
+const advance = (minutes) => {
+  now = new Date(now.getTime() + minutes * MINUTE);
+};
+
+// Twilio reports a final status for the call placed last
+const finishLastCall = async (status) => {
+  const call = database.calls[database.calls.length - 1];
+  await campaignService.handleCallStatus({ id: call.id, campaign_id: call.campaign_id }, status);
+};
+
+test('the calling window includes its start and excludes its end', async () => {
+  const campaign = database.addCampaign();
+
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-02T13:59:00Z')), false, '08:59');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-02T14:00:00Z')), true, '09:00');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-02T21:59:00Z')), true, '16:59');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-02T22:00:00Z')), false, '17:00');
+});
+
+test("a contact's own time zone wins, and can move it to another day", async () => {
+  const campaign = database.addCampaign({ timezone: 'UTC' });
+  const mondayEarlyUtc = new Date('2026-03-02T01:00:00Z');
+
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, mondayEarlyUtc), false, '01:00 Monday in UTC');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, 'Asia/Tokyo', mondayEarlyUtc), true, '10:00 Monday in Tokyo');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, 'America/Los_Angeles', new Date('2026-03-02T18:00:00Z')), true, '10:00 Monday in Los Angeles');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, 'America/Los_Angeles', new Date('2026-03-02T05:00:00Z')), false, '21:00 Sunday in Los Angeles');
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, 'Not/AZone', new Date('2026-03-02T10:00:00Z')), true, 'unknown zones use the campaign zone');
+});
+
+test('the window follows daylight saving time', async () => {
+  const campaign = database.addCampaign();
+
+  // 13:30 UTC is 08:30 EST on March 6 and 09:30 EDT on March 9
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-06T13:30:00Z')), false);
+  assert.strictEqual(campaignService.isWithinCallingWindow(campaign, null, new Date('2026-03-09T13:30:00Z')), true);
+});
+
+test('retries wait the retry delay, doubled after every attempt', async () => {
+  const campaign = { retry_delay_minutes: 30 };
+
+  assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempts => campaignService.getRetryDelayMinutes(campaign, attempts)), [30, 30, 60, 120, 240]);
+});
+
+test('busy and no-answer are retried on schedule; other outcomes are final', async () => {
+  const campaign = database.addCampaign();
+  const busy = database.addEntry(campaign, { status: 'calling', attempts: 1 });
+  const noAnswer = database.addEntry(campaign, { status: 'calling', attempts: 2 });
+  const answered = database.addEntry(campaign, { status: 'calling', attempts: 1 });
+  const failed = database.addEntry(campaign, { status: 'calling', attempts: 1 });
+  const canceled = database.addEntry(campaign, { status: 'calling', attempts: 1 });
+
+  await campaignService._recordOutcome(campaign, busy, 'busy');
+  await campaignService._recordOutcome(campaign, noAnswer, 'no-answer');
+  await campaignService._recordOutcome(campaign, answered, 'completed');
+  await campaignService._recordOutcome(campaign, failed, 'failed');
+  await campaignService._recordOutcome(campaign, canceled, 'canceled');
+
+  assert.deepStrictEqual(
+    [busy.status, busy.disposition, busy.next_attempt_at.getTime()],
+    ['retry', 'busy', now.getTime() + 30 * MINUTE]
+  );
+  assert.deepStrictEqual(
+    [noAnswer.status, noAnswer.disposition, noAnswer.next_attempt_at.getTime()],
+    ['retry', 'no-answer', now.getTime() + 60 * MINUTE]
+  );
+  assert.deepStrictEqual([answered.status, answered.disposition], ['completed', 'answered']);
+  assert.deepStrictEqual([failed.status, failed.disposition, failed.next_attempt_at], ['failed', 'failed', null]);
+  assert.deepStrictEqual([canceled.status, canceled.disposition], ['failed', 'canceled']);
+});
+
+test('a contact that never answers is called max_attempts times, then the campaign completes', async () => {
+  const campaign = database.addCampaign({ max_attempts: 3 });
+  const entry = database.addEntry(campaign);
+
+  for (let round = 0; round < 6; round++) {
+    await campaignService.dispatch();
+    if (entry.status === 'calling') {
+      await finishLastCall('no-answer');
+    }
+    advance(5);
+    const placedBefore = placed.length;
+    await campaignService.dispatch();
+    assert.strictEqual(placed.length, placedBefore, 'nothing is placed before the backoff has passed');
+    advance(120);
+  }
+
+  assert.strictEqual(placed.length, 3);
+  assert.deepStrictEqual([entry.status, entry.attempts, entry.disposition], ['failed', 3, 'no-answer']);
+  assert.strictEqual(campaign.status, 'completed');
+});
+
+test('contacts are not called outside the window, and are once it opens', async () => {
+  now = new Date('2026-03-02T12:00:00Z'); // 07:00 in New York
+  const campaign = database.addCampaign();
+  database.addEntry(campaign);
+  database.addEntry(campaign, { timezone: 'Europe/London' }); // 12:00 in London
+
+  await campaignService.dispatch();
+  assert.deepStrictEqual(placed.map(call => call.to), [database.entries[1].phone_number]);
+
+  await finishLastCall('completed');
+  now = new Date('2026-03-02T14:00:00Z');
+  await campaignService.dispatch();
+  assert.deepStrictEqual(placed.map(call => call.to), [database.entries[1].phone_number, database.entries[0].phone_number]);
+});
+
+test('at most max_concurrent_calls are in flight', async () => {
+  const campaign = database.addCampaign({ max_concurrent_calls: 2 });
+  [1, 2, 3, 4].forEach(() => database.addEntry(campaign));
+
+  await campaignService.dispatch();
+  await campaignService.dispatch();
+  assert.strictEqual(placed.length, 2);
+
+  await finishLastCall('completed');
+  await campaignService.dispatch();
+  assert.strictEqual(placed.length, 3);
+});
+
+test('a contact claimed by another dispatcher is not called twice', async () => {
+  const campaign = database.addCampaign();
+  const entry = database.addEntry(campaign);
+  const orgTwilio = await twilioService.forOrganization(campaign.organization_id);
+  const agent = { agent_id: campaign.agent_id, published_version: 1 };
+
+  // Both saw the contact as pending
+  await Promise.all([
+    campaignService._placeCall(campaign, agent, orgTwilio, { ...entry }),
+    campaignService._placeCall(campaign, agent, orgTwilio, { ...entry })
+  ]);
+
+  assert.strictEqual(placed.length, 1);
+  assert.strictEqual(database.calls.length, 1);
+  assert.deepStrictEqual([entry.status, entry.attempts], ['calling', 1]);
+});
+
+test('dispatchers that each saw a free slot cannot both fill it', async () => {
+  const campaign = database.addCampaign({ max_concurrent_calls: 1 });
+  const first = database.addEntry(campaign);
+  const second = database.addEntry(campaign);
+  const orgTwilio = await twilioService.forOrganization(campaign.organization_id);
+  const agent = { agent_id: campaign.agent_id, published_version: 1 };
+
+  await Promise.all([
+    campaignService._placeCall(campaign, agent, orgTwilio, { ...first }),
+    campaignService._placeCall(campaign, agent, orgTwilio, { ...second })
+  ]);
+
+  assert.strictEqual(placed.length, 1);
+  assert.deepStrictEqual([second.status, second.attempts], ['pending', 0], 'the other contact waits for the next slot');
+});
+
+test('contacts fail instead of being called when the agent was never published', async () => {
+  const campaign = database.addCampaign();
+  const entry = database.addEntry(campaign);
+  database.publishedVersion = null;
+
+  await campaignService.dispatch();
+
+  assert.deepStrictEqual([entry.status, entry.disposition, entry.attempts], ['failed', 'agent-not-published', 0]);
+  assert.strictEqual(placed.length, 0);
+  assert.strictEqual(database.calls.length, 0);
+});
+
+test('calls without a final status for an hour give up their slot', async () => {
+  const campaign = database.addCampaign();
+  const stale = database.addEntry(campaign, { status: 'calling', attempts: 1, last_attempt_at: new Date(now - 61 * MINUTE) });
+  const recent = database.addEntry(campaign, { status: 'calling', attempts: 1, last_attempt_at: new Date(now - 59 * MINUTE) });
+
+  await campaignService._expireStaleCalls();
+
+  assert.deepStrictEqual([stale.status, stale.disposition], ['failed', 'no-status']);
+  assert.deepStrictEqual([recent.status, recent.disposition], ['calling', null]);
+});
+
+test('campaigns pause instead of calling without Twilio', async () => {
+  const campaign = database.addCampaign();
+  const entry = database.addEntry(campaign);
+  twilioConfigured = false;
+
+  await campaignService.dispatch();
+
+  assert.deepStrictEqual([campaign.status, campaign.last_error], ['paused', 'Twilio is not configured']);
+  assert.deepStrictEqual([entry.status, entry.attempts], ['pending', 0]);
+  assert.strictEqual(placed.length, 0);
+});
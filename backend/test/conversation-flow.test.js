@@ -0,0 +1,148 @@
+/**
+ * Conversation Flow Tests
+ * Checks flow definitions, rule and LLM-judged transitions, per-node tools
+ * and node instructions, using a fake LLM in place of llmService. No
+ * database or API key needed.
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const conversationFlowService = require('../services/conversationFlowService');
+
+const FLOW = {
+  startNodeId: 'greeting',
+  nodes: [
+    {
+      id: 'greeting',
+      name: 'Greeting',
+      prompt: 'Find out why they are calling.',
+      tools: [],
+      transitions: [
+        { to: 'goodbye', type: 'keyword', keywords: ["that's all", 'bye'] },
+        { to: 'booking', type: 'llm', condition: 'The caller wants to book an appointment' },
+        { to: 'pricing', type: 'llm', condition: 'The caller asks about prices' }
+      ]
+    },
+    {
+      id: 'booking',
+      name: 'Booking',
+      prompt: 'Offer times and book one.',
+      tools: ['check_availability', 'book_appointment'],
+      transitions: [
+        { to: 'goodbye', type: 'tool', tool: 'book_appointment' },
+        { to: 'goodbye', type: 'turns', turns: 3 }
+      ]
+    },
+    { id: 'pricing', name: 'Pricing', prompt: 'Quote prices from the price list.' },
+    { id: 'goodbye', name: 'Goodbye', type: 'end', prompt: 'Thank the caller.' }
+  ]
+};
+
+const TOOLSET = {
+  definitions: ['check_availability', 'book_appointment', 'send_sms'].map(name => ({ type: 'function', function: { name } })),
+  handlers: new Map(['check_availability', 'book_appointment', 'send_sms'].map(name => [name, async () => ({ success: true })]))
+};
+
+const caller = (content) => ({ role: 'user', content });
+
+let requests = [];
+
+// Replace the LLM with one that answers every request with reply
+const useReply = (reply) => {
+  requests = [];
+  conversationFlowService.llm = {
+    generateResponse: async (messages, options) => {
+      requests.push({ messages, options });
+      if (reply instanceof Error) throw reply;
+      return { content: reply, toolCalls: [], finishReason: 'stop', usage: null };
+    }
+  };
+};
+
+test('valid flows pass and broken ones are explained', async () => {
+  assert.deepStrictEqual(conversationFlowService.validateDefinition(FLOW), []);
+  assert.deepStrictEqual(conversationFlowService.validateDefinition({ nodes: [] }), ['A flow needs at least one node']);
+
+  const errors = conversationFlowService.validateDefinition({
+    startNodeId: 'missing',
+    nodes: [
+      { id: 'a', prompt: 'Hi', transitions: [{ to: 'nowhere', type: 'llm', condition: 'x' }, { to: 'a', type: 'turns', turns: 0 }] },
+      { id: 'a', prompt: '' }
+    ]
+  });
+  assert.ok(errors.includes('a, transition 1: goes to an unknown node'));
+  assert.ok(errors.includes('a, transition 2: turns must be a whole number of at least 1'));
+  assert.ok(errors.includes('a: id "a" is used by more than one node'));
+  assert.ok(errors.includes('a: instructions are required'));
+  assert.ok(errors.includes('The start node does not exist'));
+});
+
+test('conversations start on the start node', async () => {
+  const state = conversationFlowService.createState(FLOW);
+  assert.deepStrictEqual(state, { path: ['greeting'], nodeId: 'greeting', nodeTurns: 0, toolsCalled: [] });
+});
+
+test('keyword rules are taken before asking the LLM', async () => {
+  useReply('{"condition": 1}');
+  const state = conversationFlowService.createState(FLOW);
+
+  const transition = await conversationFlowService.advance(FLOW, state, "No, That's all thanks", [caller("No, That's all thanks")]);
+  assert.strictEqual(transition.to, 'goodbye');
+  assert.strictEqual(state.nodeId, 'goodbye');
+  assert.strictEqual(requests.length, 0);
+});
+
+test("the LLM picks between a node's conditions", async () => {
+  useReply('{"condition": 2}');
+  const state = conversationFlowService.createState(FLOW);
+  const messages = [{ role: 'assistant', content: 'Hi, how can I help?' }, caller('How much is a cleaning?')];
+
+  await conversationFlowService.advance(FLOW, state, 'How much is a cleaning?', messages);
+  assert.strictEqual(state.nodeId, 'pricing');
+  assert.deepStrictEqual(state.path, ['greeting', 'pricing']);
+
+  const { messages: sent, options } = requests[0];
+  assert.match(sent[0].content, /1\. The caller wants to book an appointment\n2\. The caller asks about prices/);
+  assert.strictEqual(sent[1].content, 'Agent: Hi, how can I help?\nCaller: How much is a cleaning?');
+  assert.deepStrictEqual(options.responseFormat, { type: 'json_object' });
+});
+
+test('no condition met, a failed check or a fallback reply stays on the node', async () => {
+  for (const reply of ['{"condition": 0}', 'not json', { content: 'Hello!', fallback: true }, new Error('timeout')]) {
+    useReply(reply);
+    const state = conversationFlowService.createState(FLOW);
+    assert.strictEqual(await conversationFlowService.advance(FLOW, state, 'Hmm', [caller('Hmm')]), null);
+    assert.strictEqual(state.nodeId, 'greeting');
+  }
+});
+
+test('tool and turn rules move on from a node', async () => {
+  useReply('{"condition": 0}');
+  const state = { path: ['greeting', 'booking'], nodeId: 'booking', nodeTurns: 0, toolsCalled: [] };
+
+  // A failed booking does not count
+  conversationFlowService.recordToolResults(state, [{ function: 'book_appointment', result: { success: false } }]);
+  assert.strictEqual(await conversationFlowService.advance(FLOW, state, 'Tuesday', [caller('Tuesday')]), null);
+
+  conversationFlowService.recordToolResults(state, [{ function: 'book_appointment', result: { success: true } }]);
+  assert.strictEqual((await conversationFlowService.advance(FLOW, state, 'Great', [caller('Great')])).type, 'tool');
+
+  const stuck = { path: ['booking'], nodeId: 'booking', nodeTurns: 0, toolsCalled: [] };
+  await conversationFlowService.advance(FLOW, stuck, 'Maybe', [caller('Maybe')]);
+  await conversationFlowService.advance(FLOW, stuck, 'Not sure', [caller('Not sure')]);
+  assert.strictEqual(stuck.nodeId, 'booking');
+  assert.strictEqual((await conversationFlowService.advance(FLOW, stuck, 'Hmm', [caller('Hmm')])).type, 'turns');
+});
+
+test('each node only gets the tools it allows', async () => {
+  const [greeting, booking, pricing] = FLOW.nodes;
+  assert.deepStrictEqual(conversationFlowService.filterToolset(TOOLSET, greeting).definitions, []);
+  assert.deepStrictEqual(Array.from(conversationFlowService.filterToolset(TOOLSET, booking).handlers.keys()), ['check_availability', 'book_appointment']);
+  assert.strictEqual(conversationFlowService.filterToolset(TOOLSET, pricing), TOOLSET);
+});
+
+test('end nodes tell the agent to wrap up', async () => {
+  assert.match(conversationFlowService.buildNodeInstructions(FLOW.nodes[3]), /CURRENT STEP: Goodbye\nThank the caller\.\nThis is the last step/);
+  assert.doesNotMatch(conversationFlowService.buildNodeInstructions(FLOW.nodes[0]), /last step/);
+});
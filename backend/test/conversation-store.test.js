@@ -0,0 +1,258 @@
+/**
+ * Conversation Store Tests
+ * Runs the same state operations against the in-memory and Postgres stores
+ * and checks they agree, then checks that the Postgres store rehydrates a
+ * conversation in a fresh process from its saved state, the transcript and
+ * the agent version the call started on. The conversation_state,
+ * conversations and calls tables are an in-memory fake behind executeQuery,
+ * so no database is needed.
+ */
+
+require('./helpers');
+const { test, beforeEach } = require('node:test');
+const assert = require('assert');
+const config = require('../config/config');
+const connection = require('../database/connection');
+const agentVersionService = require('../services/agentVersionService');
+
+const STORE_MODULE = require.resolve('../services/conversationStore');
+
+/**
+ * The tables the Postgres store reads, shared by every store instance the way
+ * one database is shared by every backend process
+ */
+class FakeStoreDatabase {
+  constructor() {
+    this.state = new Map();
+    this.messages = [];
+    this.calls = [];
+    this.agents = [];
+    this.tick = 0;
+  }
+
+  async query(sql, params = []) {
+    const text = sql.replace(/\s+/g, ' ').trim();
+    const rows = (list) => ({ rows: list, rowCount: list.length });
+    // JSONB comes back as a new object on every read
+    const read = (entry) => JSON.parse(JSON.stringify(entry.data));
+    const inNamespace = (namespace) => Array.from(this.state.values())
+      .filter(entry => entry.namespace === namespace)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    if (text.startsWith('SELECT data FROM conversation_state WHERE namespace = $1 AND key = $2')) {
+      const entry = this.state.get(`${params[0]}:${params[1]}`);
+      return rows(entry ? [{ data: read(entry) }] : []);
+    }
+    if (text.startsWith('SELECT data FROM conversation_state WHERE namespace = $1 ORDER BY created_at')) {
+      return rows(inNamespace(params[0]).map(entry => ({ data: read(entry) })));
+    }
+    if (text.startsWith('INSERT INTO conversation_state')) {
+      const id = `${params[0]}:${params[1]}`;
+      const tick = ++this.tick;
+      this.state.set(id, {
+        namespace: params[0],
+        key: params[1],
+        data: JSON.parse(params[2]),
+        createdAt: this.state.get(id)?.createdAt || tick,
+        updatedAt: new Date()
+      });
+      return rows([]);
+    }
+    if (text.startsWith('DELETE FROM conversation_state WHERE namespace = $1 AND key = $2')) {
+      const deleted = this.state.delete(`${params[0]}:${params[1]}`);
+      return { rows: [], rowCount: deleted ? 1 : 0 };
+    }
+    if (text.startsWith('DELETE FROM conversation_state WHERE updated_at < $1')) {
+      const stale = Array.from(this.state.entries()).filter(([, entry]) => entry.updatedAt < params[0]);
+      stale.forEach(([id]) => this.state.delete(id));
+      return { rows: [], rowCount: stale.length };
+    }
+    if (text.startsWith('SELECT s.data, a.name AS agent_name')) {
+      return rows(inNamespace(params[0]).map(entry => ({
+        data: read(entry),
+        agent_name: this.agents.find(agent => agent.agent_id === entry.data.agentId)?.name || null,
+        message_count: String(this.messages.filter(message => message.call_id === entry.key).length)
+      })));
+    }
+    if (text.startsWith('SELECT role, content FROM conversations WHERE call_id = $1')) {
+      return rows(this.messages.filter(message => message.call_id === params[0]).map(({ role, content }) => ({ role, content })));
+    }
+    if (text.startsWith('SELECT id, agent_id, phone_number, customer_name, started_at FROM calls')) {
+      return rows(this.calls.filter(call => call.id === params[0]));
+    }
+
+    throw new Error(`Unexpected query: ${text}`);
+  }
+}
+
+let database = null;
+
+// The store reads executeQuery when it is loaded, so the fake goes in first
+connection.executeQuery = (sql, params) => database.query(sql, params);
+const agents = new Map();
+agentVersionService.loadAgentForCall = async (agentId) => agents.get(agentId) || null;
+
+const agent = { agent_id: 'agent_1', name: 'Front desk', ai_prompt: 'You book dental appointments.', published_version: 2 };
+agents.set(agent.agent_id, agent);
+
+beforeEach(() => {
+  database = new FakeStoreDatabase();
+});
+
+// A store as a freshly started process would create it
+const loadStore = (type) => {
+  config.set('conversations.store', type);
+  delete require.cache[STORE_MODULE];
+  return require(STORE_MODULE);
+};
+
+// Both stores, so a test can run the same steps against each
+const loadStores = () => ({ memory: loadStore('memory'), postgres: loadStore('postgres') });
+
+// A call the way initializeConversation saves it, with its transcript written alongside
+const addCall = (callId, callAgent) => {
+  const messages = [
+    { role: 'assistant', content: 'Thanks for calling, how can I help?' },
+    { role: 'user', content: 'I need to move my appointment' }
+  ];
+  database.agents.push(callAgent);
+  database.calls.push({ id: callId, agent_id: callAgent.agent_id, phone_number: '+15555550100', customer_name: 'Jane Caller', started_at: new Date('2026-03-02T15:00:00Z') });
+  messages.forEach(message => database.messages.push({ call_id: callId, ...message }));
+
+  return {
+    callId,
+    agentId: callAgent.agent_id,
+    agent: callAgent,
+    direction: 'inbound',
+    customerPhone: '+15555550100',
+    customerName: 'Jane Caller',
+    caller: { contactId: 7, name: 'Jane Caller', previousCalls: [] },
+    flow: { nodeId: 'reschedule', visited: ['start', 'reschedule'] },
+    silentReprompts: 1,
+    messages,
+    startTime: new Date('2026-03-02T15:00:00Z')
+  };
+};
+
+test('both stores get, set, list and delete state the same way', async () => {
+  const results = {};
+
+  for (const [type, store] of Object.entries(loadStores())) {
+    const steps = [];
+    steps.push(await store.getState('function_state', 'call_1'));
+    await store.setState('function_state', 'call_1', { pendingTransfer: { department: 'billing' }, attempts: 1 });
+    await store.setState('function_state', 'call_2', { pendingEnd: null });
+    await store.setState('function_state', 'call_1', { pendingTransfer: null, attempts: 2 });
+    await store.setState('active_call', 'CA1', { callId: 'call_1' });
+    steps.push(await store.getState('function_state', 'call_1'));
+    steps.push(await store.listState('function_state'));
+    steps.push(await store.deleteState('function_state', 'call_2'));
+    steps.push(await store.deleteState('function_state', 'call_2'));
+    steps.push(await store.listState('function_state'));
+    steps.push(await store.getState('active_call', 'CA1'));
+    results[type] = steps;
+  }
+
+  assert.deepStrictEqual(results.memory, results.postgres);
+  assert.deepStrictEqual(results.postgres, [
+    null,
+    { pendingTransfer: null, attempts: 2 },
+    [{ pendingTransfer: null, attempts: 2 }, { pendingEnd: null }],
+    true,
+    false,
+    [{ pendingTransfer: null, attempts: 2 }],
+    { callId: 'call_1' }
+  ]);
+});
+
+test('changing returned state does not change the store until it is saved', async () => {
+  for (const [type, store] of Object.entries(loadStores())) {
+    await store.setState('function_state', 'call_1', { attempts: 1 });
+    const state = await store.getState('function_state', 'call_1');
+    state.attempts = 5;
+
+    assert.deepStrictEqual(await store.getState('function_state', 'call_1'), { attempts: 1 }, type);
+  }
+});
+
+test('a saved conversation reads back the same from both stores', async () => {
+  const conversation = addCall('call_1', agent);
+  const stores = loadStores();
+  await stores.memory.saveConversation(conversation);
+  await stores.postgres.saveConversation(conversation);
+
+  const fromMemory = await stores.memory.getConversation('call_1');
+  const fromPostgres = await stores.postgres.getConversation('call_1');
+
+  assert.deepStrictEqual(fromPostgres, fromMemory);
+  assert.deepStrictEqual(fromPostgres, conversation);
+  assert.ok(fromPostgres.startTime instanceof Date);
+});
+
+test('another process picks the conversation up from Postgres', async () => {
+  const conversation = addCall('call_1', agent);
+  await loadStore('postgres').saveConversation(conversation);
+
+  // The agent and transcript have their own tables and are not copied into the state row
+  const stored = database.state.get('conversation:call_1').data;
+  assert.strictEqual(stored.agent, undefined);
+  assert.strictEqual(stored.messages, undefined);
+
+  // The caller spoke again, on a different server
+  database.messages.push({ call_id: 'call_1', role: 'assistant', content: 'Which day works better?' });
+  const rehydrated = await loadStore('postgres').getConversation('call_1');
+
+  assert.deepStrictEqual(rehydrated.agent, agent);
+  assert.deepStrictEqual(rehydrated.flow, conversation.flow);
+  assert.strictEqual(rehydrated.silentReprompts, 1);
+  assert.deepStrictEqual(rehydrated.messages.map(message => message.content), [
+    'Thanks for calling, how can I help?',
+    'I need to move my appointment',
+    'Which day works better?'
+  ]);
+});
+
+test('calls started before state was saved are rebuilt from the call row', async () => {
+  addCall('call_1', agent);
+
+  const rehydrated = await loadStore('postgres').getConversation('call_1');
+
+  assert.strictEqual(rehydrated.agentId, agent.agent_id);
+  assert.strictEqual(rehydrated.customerPhone, '+15555550100');
+  assert.strictEqual(rehydrated.messages.length, 2);
+  assert.strictEqual(await loadStore('postgres').getConversation('call_unknown'), null);
+});
+
+test('conversations whose agent was deleted are not rehydrated', async () => {
+  const removed = { ...agent, agent_id: 'agent_removed' };
+  const conversation = addCall('call_1', removed);
+  const store = loadStore('postgres');
+  await store.saveConversation(conversation);
+
+  assert.strictEqual(await store.getConversation('call_1'), null);
+});
+
+test('both stores list live conversations with their agent and message count', async () => {
+  const results = {};
+
+  for (const [type, store] of Object.entries(loadStores())) {
+    database = new FakeStoreDatabase();
+    await store.saveConversation(addCall('call_1', agent));
+    await store.saveConversation(addCall('call_2', agent));
+    await store.deleteConversation('call_2');
+    results[type] = (await store.listConversations()).map(({ callId, agentName, messageCount, startTime }) => ({ callId, agentName, messageCount, startTime }));
+  }
+
+  assert.deepStrictEqual(results.memory, results.postgres);
+  assert.deepStrictEqual(results.postgres, [{ callId: 'call_1', agentName: 'Front desk', messageCount: 2, startTime: new Date('2026-03-02T15:00:00Z') }]);
+});
+
+test('old state is cleaned up by both stores', async () => {
+  for (const [type, store] of Object.entries(loadStores())) {
+    await store.setState('function_state', 'call_1', { attempts: 1 });
+
+    assert.strictEqual(await store.deleteOlderThan(new Date(Date.now() - 60 * 1000)), 0, type);
+    assert.strictEqual(await store.deleteOlderThan(new Date(Date.now() + 1000)), 1, type);
+    assert.strictEqual(await store.getState('function_state', 'call_1'), null, type);
+  }
+});
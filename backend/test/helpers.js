@@ -0,0 +1,84 @@
+/**
+ * Shared helpers for the backend tests
+ * `npm test` runs every test/*.test.js file with `node --test`, each file in
+ * its own process, so a file can replace service methods or executeQuery
+ * without affecting the others. Require this module first: it quiets the
+ * services' logging unless LOG_LEVEL is set.
+ *
+ * Run one file with: node --test test/<name>.test.js
+ */
+
+const logger = require('../utils/logger');
+
+// Services log the failures the tests provoke on purpose; LOG_LEVEL=debug shows them
+if (!process.env.LOG_LEVEL) {
+  logger.logger.silent = true;
+}
+
+/**
+ * Serve an Express app on a free local port
+ * @param {import('express').Express} app - App to serve
+ * @returns {Promise<Object>} { baseUrl, server, close }
+ */
+const listen = async (app) => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    server,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+/**
+ * POST a form the way Twilio calls our webhooks
+ * @param {string} url - Full URL
+ * @param {Object} form - Form fields
+ * @param {Object} [headers] - Extra headers, e.g. X-Twilio-Signature
+ * @returns {Promise<Response>} fetch response
+ */
+const postForm = (url, form = {}, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/x-www-form-urlencoded', ...headers },
+  body: new URLSearchParams(form)
+});
+
+/**
+ * Send JSON to an API route
+ * @param {string} url - Full URL
+ * @param {string} method - HTTP method
+ * @param {Object} [body] - JSON body
+ * @param {Object} [headers] - Extra headers, e.g. Authorization
+ * @returns {Promise<Object>} { status, body }
+ */
+const sendJson = async (url, method, body, headers = {}) => {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+/**
+ * Run fn with console.error silenced, for code that reports errors there
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} What fn returned
+ */
+const withoutConsoleErrors = async (fn) => {
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.error = originalError;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { listen, postForm, sendJson, withoutConsoleErrors, sleep };
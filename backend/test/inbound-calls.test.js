@@ -0,0 +1,192 @@
+/**
+ * Inbound Call Tests
+ * Checks how calls to our numbers reach an agent: routing by the dialed
+ * number, refusing calls from a Twilio account that does not own the number,
+ * Twilio's webhook retries and budgets, and that only numbers on the
+ * organization's own Twilio account can be routed. The database, Twilio and
+ * the conversation are stubs, so no database or Twilio account is needed.
+ */
+
+// Replies are spoken with Twilio <Say>, and live state stays in memory
+['OPENAI_API_KEY', 'ELEVENLABS_API_KEY', 'DEEPGRAM_API_KEY'].forEach(name => { process.env[name] = ''; });
+process.env.CONVERSATION_STORE = 'memory';
+
+const { listen, postForm, sendJson } = require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const connection = require('../database/connection');
+
+const ORG_ACCOUNT_SID = 'ACorg000000000000000000000000000001';
+const ROUTED_NUMBER = '+14155550100';
+const CALLER = '+15555550123';
+const AGENT = { agent_id: 'agent_1', name: 'Front desk', ai_prompt: 'You answer the phone for a dental office.', organization_id: 1 };
+
+let routes;
+let calls;
+let createdRoutes;
+let configuredNumbers;
+let events;
+let budgetAllowed;
+let orgHasOwnTwilio;
+let accountNumbers;
+let server;
+
+// The routes read executeQuery when they are loaded, so the stub goes in first
+connection.executeQuery = async (sql, params) => {
+  if (sql.includes('FROM agents WHERE agent_id = $1 AND organization_id = $2')) {
+    return { rows: params[0] === AGENT.agent_id && params[1] === 1 ? [{ agent_id: AGENT.agent_id }] : [] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+
+const databaseService = require('../services/postgresDatabaseService');
+const twilioService = require('../services/twilioService');
+const usageService = require('../services/usageService');
+const dynamicAIService = require('../services/dynamicAIService');
+const outgoingWebhookService = require('../services/outgoingWebhookService');
+
+databaseService.getPhoneNumberByNumber = async (number) => routes.get(number) || null;
+databaseService.getAgentById = async (agentId) => (agentId === AGENT.agent_id ? AGENT : null);
+databaseService.getCallByTwilioSid = async (callSid) => calls.find(call => call.twilio_call_sid === callSid) || null;
+databaseService.getContactByPhone = async (phone, organizationId) => (phone === CALLER && organizationId === 1 ? { id: 3, name: 'Jane Caller' } : null);
+databaseService.updateContactCallInfo = async () => {};
+databaseService.createInboundCall = async ({ organizationId, agentId, phoneNumber, customerName, twilioCallSid }) => {
+  const call = { id: `call_${calls.length + 1}`, organization_id: organizationId, agent_id: agentId, phone_number: phoneNumber, customer_name: customerName, twilio_call_sid: twilioCallSid };
+  calls.push(call);
+  return call;
+};
+databaseService.createPhoneNumber = async (route) => {
+  createdRoutes.push(route.phoneNumber);
+  return { id: createdRoutes.length, ...route };
+};
+
+twilioService.forOrganization = async (organizationId, { fallback = true } = {}) => {
+  if (!orgHasOwnTwilio && !fallback) {
+    return null;
+  }
+  return {
+    accountSid: orgHasOwnTwilio ? ORG_ACCOUNT_SID : 'ACplatform0000000000000000000000000',
+    startRecording: async () => {},
+    findIncomingNumber: async (number) => (accountNumbers.includes(number) ? { phoneNumber: number } : null),
+    configureInboundNumber: async (number) => {
+      configuredNumbers.push(number);
+    }
+  };
+};
+usageService.canStartCall = async () => (budgetAllowed ? { allowed: true } : { allowed: false, reason: 'Monthly budget reached' });
+dynamicAIService.buildCallerContext = async () => ({ contactId: 3, name: 'Jane Caller' });
+dynamicAIService.initializeConversation = async () => ({ response: 'Thanks for calling Bright Smiles, how can I help?' });
+outgoingWebhookService.emitForCall = (event, call) => events.push({ event, callId: call.id });
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId: 1, organizationId: 1 };
+    next();
+  });
+  app.use('/api/webhooks', require('../routes/webhooks'));
+  app.use('/api/phone-numbers', require('../routes/phoneNumbers'));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  routes = new Map([[ROUTED_NUMBER, { phone_number: ROUTED_NUMBER, agent_id: AGENT.agent_id, organization_id: 1 }]]);
+  calls = [];
+  createdRoutes = [];
+  configuredNumbers = [];
+  events = [];
+  budgetAllowed = true;
+  orgHasOwnTwilio = true;
+  accountNumbers = [ROUTED_NUMBER, '+14155550199'];
+});
+
+// Twilio's request when someone dials one of our numbers
+const dial = async (overrides = {}, path = '/api/webhooks/inbound') => {
+  const response = await postForm(`${server.baseUrl}${path}`, {
+    CallSid: 'CA100',
+    AccountSid: ORG_ACCOUNT_SID,
+    From: CALLER,
+    To: ROUTED_NUMBER,
+    Direction: 'inbound',
+    ...overrides
+  });
+  return response.text();
+};
+
+const addNumber = (phoneNumber) => sendJson(`${server.baseUrl}/api/phone-numbers`, 'POST', { phoneNumber, agentId: AGENT.agent_id });
+
+test("a call to a routed number reaches the number's agent", async () => {
+  const twiml = await dial();
+
+  assert.match(twiml, /Thanks for calling Bright Smiles/);
+  assert.doesNotMatch(twiml, /not in service/);
+  assert.deepStrictEqual(calls.map(call => [call.organization_id, call.agent_id, call.phone_number, call.customer_name]), [
+    [1, AGENT.agent_id, CALLER, 'Jane Caller']
+  ]);
+  assert.deepStrictEqual(events, [{ event: 'call.started', callId: 'call_1' }]);
+});
+
+test('unrouted numbers are not answered', async () => {
+  const twiml = await dial({ To: '+14155550999' });
+
+  assert.match(twiml, /not in service/);
+  assert.match(twiml, /<Hangup\/>/);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('calls from a Twilio account that does not own the number are refused', async () => {
+  assert.match(await dial({ AccountSid: 'ACother00000000000000000000000000' }), /not in service/);
+  assert.match(await dial({ AccountSid: '' }), /not in service/);
+  assert.strictEqual(calls.length, 0);
+});
+
+test("Twilio's retries reuse the call", async () => {
+  await dial();
+  await dial();
+
+  assert.strictEqual(calls.length, 1);
+  assert.strictEqual(events.length, 1);
+});
+
+test('accounts over a blocking budget take no new calls', async () => {
+  budgetAllowed = false;
+
+  assert.match(await dial(), /unable to take your call/);
+  assert.strictEqual(calls.length, 0);
+});
+
+test('call-start routes calls we did not place as inbound', async () => {
+  const twiml = await dial({ CallSid: 'CA200' }, '/api/webhooks/call-start');
+
+  assert.match(twiml, /Thanks for calling Bright Smiles/);
+  assert.strictEqual(calls[0].twilio_call_sid, 'CA200');
+});
+
+test("only numbers on the organization's own Twilio account can be routed", async () => {
+  const notOwned = await addNumber('+14155550142');
+  assert.strictEqual(notOwned.status, 400);
+  assert.strictEqual(notOwned.body.error, 'This number is not on your Twilio account');
+
+  const owned = await addNumber('+14155550199');
+  assert.strictEqual(owned.status, 201);
+  assert.deepStrictEqual(createdRoutes, ['+14155550199']);
+  assert.deepStrictEqual(configuredNumbers, ['+14155550199']);
+
+  const taken = await addNumber(ROUTED_NUMBER);
+  assert.strictEqual(taken.status, 409);
+});
+
+test('organizations on the platform Twilio account cannot route numbers', async () => {
+  orgHasOwnTwilio = false;
+
+  const response = await addNumber('+14155550199');
+
+  assert.strictEqual(response.status, 400);
+  assert.match(response.body.error, /Connect your Twilio account/);
+  assert.strictEqual(createdRoutes.length, 0);
+});
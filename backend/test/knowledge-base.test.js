@@ -0,0 +1,176 @@
+/**
+ * Knowledge Base Tests
+ * Checks how uploads are turned into located chunks, how BM25 ranks them and
+ * what the agent's prompt and the transcript citations are given. No
+ * database needed.
+ */
+
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const { detectFormat, extractSections, chunkSections, parseCsv } = require('../utils/documentText');
+const { tokenize, termCounts, Bm25Index } = require('../utils/bm25');
+const knowledgeBaseService = require('../services/knowledgeBaseService');
+
+// A PDF with one line of text per page, enough for the parser
+const buildPdf = (pageTexts) => {
+  const pageIds = pageTexts.map((text, index) => 4 + index * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageTexts.length} >>`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  pageTexts.forEach((text, index) => {
+    const stream = `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+  return Buffer.from(pdf);
+};
+
+const chunksOf = async (text, format) => chunkSections(await extractSections(Buffer.from(text), format));
+
+test('formats come from the file extension', async () => {
+  assert.strictEqual(detectFormat('Price List.PDF'), 'pdf');
+  assert.strictEqual(detectFormat('faq.md'), 'markdown');
+  assert.strictEqual(detectFormat('policies.htm'), 'html');
+  assert.strictEqual(detectFormat('services.csv'), 'csv');
+  assert.strictEqual(detectFormat('notes.txt'), 'text');
+  assert.strictEqual(detectFormat('contract.docx'), null);
+});
+
+test('markdown chunks are located by their headings', async () => {
+  const chunks = await chunksOf([
+    'Welcome to **Smile Dental**.',
+    '# Pricing',
+    '## Cleanings',
+    'A cleaning costs $120. See [our offers](https://example.com).',
+    '## Whitening',
+    'Whitening costs $300.',
+    '```',
+    '# not a heading',
+    '```'
+  ].join('\n'), 'markdown');
+
+  assert.deepStrictEqual(chunks, [
+    { location: null, content: 'Welcome to Smile Dental.' },
+    { location: 'Pricing > Cleanings', content: 'A cleaning costs $120. See our offers.' },
+    { location: 'Pricing > Whitening', content: 'Whitening costs $300.\n# not a heading' }
+  ]);
+});
+
+test('snake_case words survive markdown stripping', async () => {
+  const [chunk] = await chunksOf('Ask for the *booking_reference* on the form.', 'markdown');
+  assert.strictEqual(chunk.content, 'Ask for the booking_reference on the form.');
+});
+
+test('html is sectioned like markdown, without scripts or markup', async () => {
+  const chunks = await chunksOf(`
+    <html><head><title>Ignored</title><style>p { color: red }</style></head>
+    <body>
+      <h1>Opening hours</h1>
+      <p>Mon&ndash;Fri 8&nbsp;am to 6 pm &amp; Saturday mornings.</p>
+      <script>track()</script>
+      <h2>Holidays</h2>
+      <ul><li>Closed on Christmas</li><li>Closed on New Year&#39;s Day</li></ul>
+    </body></html>
+  `, 'html');
+
+  assert.strictEqual(chunks.length, 2);
+  assert.strictEqual(chunks[0].location, 'Opening hours');
+  assert.ok(chunks[0].content.includes('8 am to 6 pm & Saturday mornings'));
+  assert.ok(!chunks.some(chunk => /track|color|Ignored/.test(chunk.content)));
+  assert.strictEqual(chunks[1].location, 'Opening hours > Holidays');
+  assert.ok(chunks[1].content.includes("Closed on New Year's Day"));
+});
+
+test('csv rows become labelled chunks', async () => {
+  const chunks = await chunksOf('\uFEFFService;Price;Notes\nCleaning;$120;\n"Crown; porcelain";$950;"Two visits, ""same"" dentist"\n', 'csv');
+
+  assert.deepStrictEqual(chunks, [
+    { location: 'row 2', content: 'Service: Cleaning; Price: $120' },
+    { location: 'row 3', content: 'Service: Crown; porcelain; Price: $950; Notes: Two visits, "same" dentist' }
+  ]);
+  assert.deepStrictEqual(parseCsv('a,b\r\n1,"x\ny"'), [['a', 'b'], ['1', 'x\ny']]);
+});
+
+test('long text is split on paragraph and sentence boundaries', async () => {
+  const sentence = 'Cancellations need 24 hours notice or a fee applies. ';
+  const text = `Short intro.\n\n${sentence.repeat(30)}\n\nClosing note.`;
+  const chunks = await chunksOf(text, 'text');
+
+  assert.ok(chunks.length > 1);
+  chunks.forEach(chunk => {
+    assert.ok(chunk.content.length <= 1000, `chunk of ${chunk.content.length} characters`);
+    assert.ok(/\.$/.test(chunk.content), 'chunks end on a sentence');
+  });
+  assert.ok(chunks[0].content.startsWith('Short intro.\n\nCancellations'));
+});
+
+test('pdf text is located by page', async () => {
+  const sections = await extractSections(buildPdf(['Emergency line is open all night', 'Parking is free for patients']), 'pdf');
+  assert.deepStrictEqual(sections, [
+    { location: 'page 1', text: 'Emergency line is open all night' },
+    { location: 'page 2', text: 'Parking is free for patients' }
+  ]);
+
+  await assert.rejects(extractSections(Buffer.from('not a pdf'), 'pdf'));
+});
+
+test('tokens drop stop words and common endings', async () => {
+  assert.deepStrictEqual(tokenize("What are your opening hours? We're booking cleanings"), ['open', 'hour', 'book', 'cleaning']);
+  assert.deepStrictEqual(tokenize("Dr. Smith's clinic, 2 locations"), ['dr', 'smith', 'clinic', '2', 'location']);
+  assert.deepStrictEqual(termCounts('Crowns and crown fitting'), { terms: { crown: 2, fitt: 1 }, length: 3 });
+});
+
+test('bm25 ranks the passage that answers the question first', async () => {
+  const passages = [
+    'A cleaning costs $120 and takes 45 minutes.',
+    'We are open Monday to Friday from 8 am to 6 pm.',
+    'Whitening costs $300. Whitening kits for home cost $80.',
+    'Parking is free for patients.'
+  ];
+  const index = new Bm25Index(passages.map((text, id) => ({ id, ...termCounts(text) })));
+
+  assert.strictEqual(index.size, 4);
+  assert.strictEqual(index.search('what are your opening hours')[0].id, 1);
+  assert.strictEqual(index.search('how much does whitening cost')[0].id, 2);
+  assert.deepStrictEqual(index.search('how much does whitening cost').map(match => match.id), [2, 0]);
+  assert.deepStrictEqual(index.search('do you accept insurance'), []);
+  assert.strictEqual(index.search('cost', 1).length, 1);
+});
+
+test('passages go into the prompt numbered with their source', async () => {
+  const passages = [
+    { chunkId: 3, documentId: 1, documentName: 'prices.md', knowledgeBaseId: 2, location: 'Pricing > Cleanings', content: 'A cleaning costs $120.', score: 2.1 },
+    { chunkId: 9, documentId: 4, documentName: 'notes.txt', knowledgeBaseId: 2, location: null, content: 'Parking is free.', score: 0.4 }
+  ];
+
+  const section = knowledgeBaseService.buildPromptSection(passages);
+  assert.ok(section.includes('KNOWLEDGE BASE:'));
+  assert.ok(section.includes('[1] prices.md (Pricing > Cleanings)\nA cleaning costs $120.'));
+  assert.ok(section.includes('[2] notes.txt\nParking is free.'));
+  assert.strictEqual(knowledgeBaseService.buildPromptSection([]), '');
+});
+
+test('citations keep a short excerpt of each passage', async () => {
+  const [citation] = knowledgeBaseService.toCitations([
+    { chunkId: 3, documentId: 1, documentName: 'policies.pdf', knowledgeBaseId: 2, location: 'page 4', content: 'x'.repeat(500), score: 1.5 }
+  ]);
+
+  assert.strictEqual(citation.documentName, 'policies.pdf');
+  assert.strictEqual(citation.location, 'page 4');
+  assert.ok(citation.excerpt.length <= 201);
+  assert.ok(!('content' in citation));
+});
@@ -0,0 +1,364 @@
+/**
+ * LLM Provider Tests
+ * Checks the provider layer: the scripted mock, fallback chains, streaming,
+ * and how the Anthropic and OpenAI-compatible adapters translate requests,
+ * using local HTTP servers in place of the real APIs. No database or API keys needed.
+ */
+
+// Nothing real may be called; only the mock and the local servers below are configured
+['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'LOCAL_LLM_URL',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDERS', 'LLM_HISTORY_WINDOW', 'LLM_TURN_TIMEOUT_MS',
+  'LLM_MOCK_SCRIPT', 'LLM_MOCK_TOKEN_DELAY_MS'].forEach(name => { process.env[name] = ''; });
+require('./helpers');
+const { test } = require('node:test');
+
+const assert = require('assert');
+const http = require('http');
+const config = require('../config/config');
+const { OpenAI } = require('openai');
+const llmService = require('../services/llmService');
+const mockLlmService = require('../services/mockLlmService');
+const anthropicLlmService = require('../services/anthropicLlmService');
+const OpenAILlmService = require('../services/openaiLlmService');
+const dynamicAIService = require('../services/dynamicAIService');
+
+const TOOLS = [{
+  type: 'function',
+  function: {
+    name: 'check_availability',
+    description: 'Check open appointment slots',
+    parameters: { type: 'object', properties: { date: { type: 'string' } }, required: ['date'] }
+  }
+}];
+
+// Start an API stand-in that answers with respond(req, body, res) and records what it got
+const startServer = (respond) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const parsed = body ? JSON.parse(body) : null;
+      requests.push({ url: req.url, headers: req.headers, body: parsed });
+      respond(req, parsed, res);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+const sendEvents = (res, events) => {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  events.forEach(([event, data]) => res.write(`${event ? `event: ${event}\n` : ''}data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+  res.end();
+};
+
+// A stand-in provider that fails or answers as told
+const fakeProvider = (name, behaviour) => ({
+  name,
+  label: name,
+  defaultModel: `${name}-model`,
+  calls: 0,
+  isConfigured: () => true,
+  async generate(request, options) {
+    this.calls++;
+    return behaviour(request, options);
+  }
+});
+
+test('the mock answers from its script, then by default', async () => {
+  mockLlmService.setScript([
+    'Sure, what day works for you?',
+    { content: 'Let me check.', toolCalls: [{ name: 'check_availability', arguments: { date: '2025-01-10' } }] }
+  ]);
+  const options = { provider: 'mock', tools: TOOLS };
+
+  const first = await llmService.generateResponse([{ role: 'user', content: 'I need a cleaning' }], options);
+  assert.strictEqual(first.content, 'Sure, what day works for you?');
+  assert.deepStrictEqual(first.toolCalls, []);
+  assert.strictEqual(first.provider, 'mock');
+
+  const second = await llmService.generateResponse([{ role: 'user', content: 'Friday' }], options);
+  assert.strictEqual(second.finishReason, 'tool_calls');
+  assert.deepStrictEqual(second.toolCalls, [{
+    id: 'call_mock_1',
+    type: 'function',
+    function: { name: 'check_availability', arguments: '{"date":"2025-01-10"}' }
+  }]);
+
+  const echo = await llmService.generateResponse([{ role: 'user', content: 'Thanks' }], options);
+  assert.strictEqual(echo.content, 'You said: Thanks');
+  const greeting = await llmService.generateResponse([{ role: 'system', content: 'Greet the caller' }], options);
+  assert.match(greeting.content, /^Hello/);
+  assert.strictEqual(mockLlmService.requests.length, 4);
+});
+
+test('the mock streams word by word and holds tool calls back when tools are off', async () => {
+  mockLlmService.setScript([
+    { content: 'One moment please.', toolCalls: [{ name: 'check_availability', arguments: {} }] }
+  ]);
+  const deltas = [];
+  const response = await llmService.streamResponse(
+    [{ role: 'user', content: 'Hi' }],
+    { provider: 'mock', tools: TOOLS, toolChoice: 'none' },
+    text => deltas.push(text)
+  );
+
+  assert.deepStrictEqual(deltas, ['One ', 'moment ', 'please.']);
+  assert.strictEqual(response.content, 'One moment please.');
+  assert.deepStrictEqual(response.toolCalls, []);
+  assert.ok(response.usage.inputTokens > 0 && response.usage.outputTokens > 0);
+});
+
+test('a failed provider falls back down the chain and is then tried last', async () => {
+  const broken = fakeProvider('broken', () => { throw new Error('503 Service Unavailable'); });
+  llmService.registerProvider(broken);
+  mockLlmService.setScript(['From the fallback.', 'Again from the fallback.']);
+
+  const response = await llmService.generateResponse([{ role: 'user', content: 'Hi' }], {
+    provider: 'broken',
+    fallbacks: [{ provider: 'mock', model: 'mock-large' }]
+  });
+  assert.strictEqual(response.content, 'From the fallback.');
+  assert.strictEqual(response.provider, 'mock');
+  assert.strictEqual(response.model, 'mock-large');
+  assert.strictEqual(llmService.isHealthy('broken'), false);
+
+  await llmService.generateResponse([{ role: 'user', content: 'Hi' }], {
+    provider: 'broken',
+    fallbacks: [{ provider: 'mock' }]
+  });
+  assert.strictEqual(broken.calls, 1, 'the unhealthy provider waits behind the healthy one');
+});
+
+test('unconfigured and repeated providers are left out of the chain', async () => {
+  const chain = llmService.resolveChain({
+    provider: 'mock',
+    fallbacks: [{ provider: 'anthropic' }, { provider: 'mock' }, { provider: 'unknown' }]
+  });
+  assert.deepStrictEqual(chain, [{ provider: 'mock', model: 'mock' }]);
+});
+
+test('when every provider fails the error is thrown, with no canned reply', async () => {
+  llmService.registerProvider(fakeProvider('down', () => { throw new Error('connection refused'); }));
+  mockLlmService.setScript([{ error: 'mock outage' }]);
+
+  await assert.rejects(
+    llmService.generateResponse([{ role: 'user', content: 'Hi' }], { provider: 'down', fallbacks: [{ provider: 'mock' }] }),
+    /All language model providers failed: mock outage/
+  );
+  await assert.rejects(
+    llmService.generateResponse([{ role: 'user', content: 'Hi' }], { provider: 'anthropic', fallbacks: [{ provider: 'azure' }] }),
+    /No language model provider is configured/
+  );
+});
+
+test('slow providers time out; a stream that has started is not retried', async () => {
+  llmService.registerProvider(fakeProvider('slow', (request, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  })));
+  mockLlmService.setScript(['Fallback answer.']);
+  const response = await llmService.generateResponse([{ role: 'user', content: 'Hi' }], {
+    provider: 'slow',
+    fallbacks: [{ provider: 'mock' }],
+    timeout: 50
+  });
+  assert.strictEqual(response.content, 'Fallback answer.');
+
+  llmService.registerProvider(fakeProvider('flaky', (request, { onTextDelta }) => {
+    onTextDelta('Half a ');
+    throw new Error('stream reset');
+  }));
+  const deltas = [];
+  await assert.rejects(
+    llmService.streamResponse([{ role: 'user', content: 'Hi' }], { provider: 'flaky', fallbacks: [{ provider: 'mock' }] }, text => deltas.push(text)),
+    /stream reset/
+  );
+  assert.deepStrictEqual(deltas, ['Half a ']);
+});
+
+test('OpenAI-format conversations are translated for Anthropic', async () => {
+  const body = anthropicLlmService.buildRequest({
+    model: 'claude-3-5-haiku-latest',
+    temperature: 1.4,
+    maxTokens: 200,
+    tools: TOOLS,
+    toolChoice: 'auto',
+    messages: [
+      { role: 'system', content: 'You are a receptionist.' },
+      { role: 'assistant', content: 'Hello, how can I help?' },
+      { role: 'user', content: 'Is Friday open?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2025-01-10"}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: '{"slots":["10:00"]}' }
+    ]
+  });
+
+  assert.strictEqual(body.system, 'You are a receptionist.');
+  assert.strictEqual(body.temperature, 1);
+  assert.strictEqual(body.max_tokens, 200);
+  assert.deepStrictEqual(body.tool_choice, { type: 'auto' });
+  assert.deepStrictEqual(body.tools[0].input_schema.required, ['date']);
+  assert.deepStrictEqual(body.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+  assert.strictEqual(body.messages[0].content[0].text, '(The call has connected.)');
+  assert.deepStrictEqual(body.messages[3].content[0], { type: 'tool_use', id: 'call_1', name: 'check_availability', input: { date: '2025-01-10' } });
+  assert.deepStrictEqual(body.messages[4].content[0], { type: 'tool_result', tool_use_id: 'call_1', content: '{"slots":["10:00"]}' });
+
+  const parsed = anthropicLlmService.parseMessage({
+    content: [{ type: 'text', text: 'Checking.' }, { type: 'tool_use', id: 'toolu_1', name: 'check_availability', input: { date: '2025-01-10' } }],
+    stop_reason: 'tool_use',
+    usage: { input_tokens: 120, output_tokens: 30 }
+  });
+  assert.deepStrictEqual(parsed, {
+    content: 'Checking.',
+    toolCalls: [{ id: 'toolu_1', type: 'function', function: { name: 'check_availability', arguments: '{"date":"2025-01-10"}' } }],
+    finishReason: 'tool_calls',
+    usage: { inputTokens: 120, outputTokens: 30 }
+  });
+});
+
+test('Anthropic replies stream, and API errors are reported', async () => {
+  const api = await startServer((req, body, res) => {
+    if (body.model === 'broken') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'model: not found' } }));
+      return;
+    }
+    sendEvents(res, [
+      ['message_start', { type: 'message_start', message: { usage: { input_tokens: 42 } } }],
+      ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Let me ' } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'check.' } }],
+      ['content_block_start', { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'check_availability', input: {} } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"date":' } }],
+      ['content_block_delta', { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"2025-01-10"}' } }],
+      ['message_delta', { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 18 } }],
+      ['message_stop', { type: 'message_stop' }]
+    ]);
+  });
+  const { apiKey, baseUrl } = anthropicLlmService;
+  anthropicLlmService.apiKey = 'sk-ant-test';
+  anthropicLlmService.baseUrl = api.url;
+
+  try {
+    const deltas = [];
+    const response = await anthropicLlmService.generate(
+      { model: 'claude-3-5-haiku-latest', messages: [{ role: 'user', content: 'Friday?' }], tools: TOOLS },
+      { onTextDelta: text => deltas.push(text) }
+    );
+
+    assert.deepStrictEqual(deltas, ['Let me ', 'check.']);
+    assert.strictEqual(response.content, 'Let me check.');
+    assert.deepStrictEqual(response.toolCalls[0].function, { name: 'check_availability', arguments: '{"date":"2025-01-10"}' });
+    assert.strictEqual(response.finishReason, 'tool_calls');
+    assert.deepStrictEqual(response.usage, { inputTokens: 42, outputTokens: 18 });
+
+    const [{ url, headers, body }] = api.requests;
+    assert.strictEqual(url, '/v1/messages');
+    assert.strictEqual(headers['x-api-key'], 'sk-ant-test');
+    assert.strictEqual(headers['anthropic-version'], '2023-06-01');
+    assert.strictEqual(body.stream, true);
+
+    await assert.rejects(
+      anthropicLlmService.generate({ model: 'broken', messages: [{ role: 'user', content: 'Hi' }] }),
+      /Anthropic API error 400: model: not found/
+    );
+  } finally {
+    anthropicLlmService.apiKey = apiKey;
+    anthropicLlmService.baseUrl = baseUrl;
+    api.server.close();
+  }
+});
+
+test('OpenAI-compatible servers answer and stream tool calls', async () => {
+  const api = await startServer((req, body, res) => {
+    if (!body.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        choices: [{ index: 0, message: { role: 'assistant', content: 'Hi there.' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 12, completion_tokens: 3 }
+      }));
+      return;
+    }
+    sendEvents(res, [
+      [null, { choices: [{ index: 0, delta: { role: 'assistant', content: 'Checking' } }] }],
+      [null, { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, id: 'call_9', type: 'function', function: { name: 'check_availability', arguments: '{"da' } }] } }] }],
+      [null, { choices: [{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: 'te":"2025-01-10"}' } }] } }] }],
+      [null, { choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }] }],
+      [null, '[DONE]']
+    ]);
+  });
+  const local = new OpenAILlmService({
+    name: 'local',
+    label: 'Local',
+    defaultModel: 'llama3.1',
+    client: new OpenAI({ apiKey: 'local', baseURL: `${api.url}/v1`, maxRetries: 0 })
+  });
+
+  try {
+    const reply = await local.generate({ model: 'llama3.1', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.2, maxTokens: 50 });
+    assert.deepStrictEqual(reply, { content: 'Hi there.', toolCalls: [], finishReason: 'stop', usage: { inputTokens: 12, outputTokens: 3 } });
+    assert.strictEqual(api.requests[0].url, '/v1/chat/completions');
+    assert.strictEqual(api.requests[0].body.max_tokens, 50);
+
+    const deltas = [];
+    const streamed = await local.generate(
+      { model: 'llama3.1', messages: [{ role: 'user', content: 'Friday?' }], tools: TOOLS, toolChoice: 'auto' },
+      { onTextDelta: text => deltas.push(text) }
+    );
+    assert.deepStrictEqual(deltas, ['Checking']);
+    assert.deepStrictEqual(streamed.toolCalls, [{
+      id: 'call_9',
+      type: 'function',
+      function: { name: 'check_availability', arguments: '{"date":"2025-01-10"}' }
+    }]);
+    assert.strictEqual(streamed.finishReason, 'tool_calls');
+    assert.strictEqual(api.requests[1].body.stream_options, undefined, 'usage is only asked for where supported');
+  } finally {
+    api.server.close();
+  }
+});
+
+test("agents' language model settings override the platform defaults", async () => {
+  assert.deepStrictEqual(dynamicAIService.getLlmSettings({
+    llm_provider: 'anthropic',
+    model: 'claude-3-5-sonnet-latest',
+    temperature: 0,
+    max_tokens: 400,
+    history_window: 24,
+    turn_timeout_ms: 4000,
+    llm_config: { fallbacks: [{ provider: 'local' }] }
+  }), {
+    provider: 'anthropic',
+    model: 'claude-3-5-sonnet-latest',
+    fallbacks: [{ provider: 'local' }],
+    temperature: 0,
+    maxTokens: 400,
+    historyWindow: 24,
+    turnTimeoutMs: 4000
+  });
+
+  const defaults = dynamicAIService.getLlmSettings({ model: 'gpt-4' });
+  assert.strictEqual(defaults.provider, 'openai');
+  assert.strictEqual(defaults.model, 'gpt-4', 'agents from before per-agent providers keep their OpenAI model');
+  assert.strictEqual(defaults.historyWindow, 10);
+  assert.strictEqual(defaults.turnTimeoutMs, 10000);
+});
+
+test('the mock is only offered in production when it is the default provider', async () => {
+  const env = config.get('server.env');
+  const defaultProvider = config.get('llm.defaultProvider');
+  try {
+    config.set('server.env', 'production');
+    config.set('llm.defaultProvider', 'openai');
+    assert.strictEqual(mockLlmService.isConfigured(), false);
+    assert.ok(!new llmService.constructor().providers.has('mock'), 'the mock is not registered');
+
+    config.set('llm.defaultProvider', 'mock');
+    assert.strictEqual(mockLlmService.isConfigured(), true);
+    assert.ok(new llmService.constructor().providers.has('mock'));
+  } finally {
+    config.set('server.env', env);
+    config.set('llm.defaultProvider', defaultProvider);
+  }
+});
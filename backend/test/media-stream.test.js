@@ -0,0 +1,455 @@
+/**
+ * Media Streams Tests
+ * Checks the μ-law codec and sentence chunking, then drives a
+ * MediaStreamSession with the fake Media Streams client against fake
+ * speech-to-text, LLM, TTS and Twilio providers, including streams that have
+ * to be refused, and that /llm-websocket only serves signed-in users their
+ * own organization's calls. No database or API keys needed.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { sleep } = require('./helpers');
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const { Readable } = require('stream');
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+const { mulawToPcm16, pcm16ToMulaw } = require('../utils/audio');
+const SentenceChunker = require('../utils/sentenceChunker');
+const MediaStreamSession = require('../services/mediaStreamSession');
+const FakeMediaStreamClient = require('../scripts/fake-media-stream');
+
+const CALL = {
+  id: 'call-stream-1',
+  twilio_call_sid: 'CAstream1',
+  agent_id: 'agent-1',
+  organization_id: 1,
+  phone_number: '+15555550100'
+};
+const AUTH_TOKEN = 'org-auth-token';
+const GREETING = 'Hi, this is Ava from the clinic. How can I help you today?';
+const FRAME_MS = 2; // 10x faster than a real call
+
+/**
+ * 8 kHz μ-law tone standing in for the caller's voice
+ */
+const tone = (ms, amplitude = 8000) => {
+  const samples = Math.round(8 * ms);
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 8000)), i * 2);
+  }
+  return pcm16ToMulaw(pcm);
+};
+
+/**
+ * Speech-to-text stand-in: loud decoded audio is "speech"; it reports a
+ * partial transcript when speech starts and the next scripted utterance
+ * after 200 ms of silence
+ */
+class FakeStt {
+  constructor() {
+    this.utterances = [];
+    this.audioBytes = 0;
+  }
+
+  resolveSettings(agent) {
+    return { provider: 'fake', language: 'en-US', keywords: [], agentId: agent.agent_id };
+  }
+
+  createStream(settings, { onTranscript }) {
+    assert.strictEqual(settings.agentId, CALL.agent_id);
+    let inSpeech = false;
+    let quietFrames = 0;
+
+    return {
+      sendAudio: (pcm) => {
+        this.audioBytes += pcm.length;
+        let peak = 0;
+        for (let i = 0; i < pcm.length; i += 2) {
+          peak = Math.max(peak, Math.abs(pcm.readInt16LE(i)));
+        }
+
+        if (peak > 1000) {
+          quietFrames = 0;
+          if (!inSpeech) {
+            inSpeech = true;
+            onTranscript({ text: '...', isFinal: false });
+          }
+        } else if (inSpeech && ++quietFrames >= 10) {
+          inSpeech = false;
+          onTranscript({ text: this.utterances.shift() || 'hello', isFinal: true });
+        }
+      },
+      close: () => {}
+    };
+  }
+}
+
+describe('audio helpers', () => {
+  test('μ-law round trip stays within quantization error', () => {
+    const pcm = Buffer.alloc(2000);
+    for (let i = 0; i < 1000; i++) {
+      pcm.writeInt16LE(Math.round(30000 * Math.sin(i / 10)), i * 2);
+    }
+    const decoded = mulawToPcm16(pcm16ToMulaw(pcm));
+    for (let i = 0; i < 1000; i++) {
+      const original = pcm.readInt16LE(i * 2);
+      const error = Math.abs(decoded.readInt16LE(i * 2) - original);
+      assert.ok(error <= Math.max(16, Math.abs(original) * 0.07), `sample ${i}: ${original} decoded with error ${error}`);
+    }
+    assert.strictEqual(pcm16ToMulaw(Buffer.alloc(2))[0], 0xff);
+    assert.strictEqual(mulawToPcm16(Buffer.from([0xff])).readInt16LE(0), 0);
+  });
+
+  test('sentence chunker releases sentences as they complete', () => {
+    const chunker = new SentenceChunker();
+    const released = [];
+    'Sure thing, Mr. Smith. I can book that for you! What day works best?'
+      .split(/(?<= )/)
+      .forEach(token => released.push(...chunker.push(token)));
+
+    assert.deepStrictEqual(released, ['Sure thing, Mr. Smith.', 'I can book that for you!']);
+    assert.strictEqual(chunker.flush(), 'What day works best?');
+    assert.strictEqual(chunker.flush(), null);
+  });
+});
+
+describe('media stream sessions', () => {
+  let server;
+  let wss;
+  let url;
+  let stt;
+  let ttsTexts;
+  let aiInputs;
+  let twilioActions;
+  let replies;
+  let fakes;
+
+  beforeEach(() => {
+    stt = new FakeStt();
+    ttsTexts = [];
+    aiInputs = [];
+    twilioActions = [];
+    replies = {};
+
+    fakes = {
+      stt,
+      db: {
+        getCallById: async (id) => (id === CALL.id ? CALL : null),
+        getCallByTwilioSid: async (sid) => (sid === CALL.twilio_call_sid ? CALL : null),
+        getAgentForCall: async () => ({ agent_id: CALL.agent_id, voice: 'voice-1' })
+      },
+      ai: {
+        getConversationHistory: async () => ({ messages: [{ role: 'assistant', content: GREETING }] }),
+        processUserInput: async (callId, text, phone, { onTextDelta }) => {
+          aiInputs.push(text);
+          const reply = replies[text] || { response: 'Sure. What day works best for you?' };
+          // Stream word by word like an LLM
+          for (const word of reply.response.split(/(?<= )/)) {
+            onTextDelta(word);
+            await sleep(1);
+          }
+          return { conversationComplete: false, transfer: null, ...reply };
+        }
+      },
+      tts: {
+        resolveVoices: (agent) => ({ primary: { provider: 'fake', voice: agent.voice }, fallback: null, latencyBudgetMs: 1500 }),
+        synthesize: async (text, voices, options) => {
+          assert.strictEqual(options.format, 'ulaw_8000');
+          ttsTexts.push(text);
+          // 20 bytes of audio per character, in 400-byte chunks
+          const audio = tone(text.length * 2.5, 4000);
+          const chunks = [];
+          for (let offset = 0; offset < audio.length; offset += 400) {
+            chunks.push(audio.subarray(offset, offset + 400));
+          }
+          return { stream: Readable.from(chunks), contentType: 'audio/basic' };
+        }
+      },
+      twilio: {
+        forOrganization: async () => ({
+          authToken: AUTH_TOKEN,
+          hangupCall: async (callSid) => twilioActions.push({ action: 'hangup', callSid }),
+          updateCall: async (callSid, redirectUrl) => twilioActions.push({ action: 'redirect', callSid, url: redirectUrl })
+        })
+      }
+    };
+  });
+
+  before(async () => {
+    server = http.createServer();
+    wss = new WebSocket.Server({ server, path: '/media-stream' });
+    wss.on('connection', (ws, req) => {
+      new MediaStreamSession(ws, {
+        ...fakes,
+        upgrade: { signature: req.headers['x-twilio-signature'], url }
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/media-stream`;
+  });
+
+  after(async () => {
+    wss.clients.forEach(ws => ws.terminate());
+    await new Promise(resolve => wss.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const connectClient = async (overrides = {}) => {
+    Object.assign(fakes, overrides);
+    const client = new FakeMediaStreamClient({ url, callId: CALL.id, callSid: CALL.twilio_call_sid, frameMs: FRAME_MS, authToken: AUTH_TOKEN });
+    await client.connect();
+    return client;
+  };
+
+  // Connect and let the two-sentence greeting finish playing
+  const connectAndGreet = async (overrides) => {
+    const client = await connectClient(overrides);
+    await client.waitForMark('speech-2');
+    await client.drainPlayback();
+    return client;
+  };
+
+  // Connect a client the session should refuse and wait for the close code
+  const closeCode = async (client) => {
+    const closed = new Promise(resolve => {
+      client.connect().then(() => client.ws.once('close', (code) => resolve(code)));
+    });
+    try {
+      return await closed;
+    } finally {
+      clearInterval(client.player);
+    }
+  };
+
+  test('speaks the greeting sentence by sentence with a mark after each', async () => {
+    const client = await connectAndGreet();
+
+    assert.deepStrictEqual(ttsTexts, ['Hi, this is Ava from the clinic.', 'How can I help you today?']);
+    assert.ok(client.playedAudio().length > 0, 'no greeting audio played');
+    await client.close();
+  });
+
+  test('decodes caller audio and streams the reply as it is generated', async () => {
+    const client = await connectAndGreet();
+
+    stt.utterances.push('I need an appointment');
+    replies['I need an appointment'] = { response: 'Of course, happy to help. Which day suits you? Mornings are open.' };
+    await client.sendAudio(tone(300));
+    await client.sendSilence(300);
+    await client.waitForMark('speech-5');
+
+    assert.ok(stt.audioBytes > 0, 'speech-to-text received no audio');
+    assert.deepStrictEqual(aiInputs, ['I need an appointment']);
+    assert.deepStrictEqual(ttsTexts.slice(2), ['Of course, happy to help.', 'Which day suits you?', 'Mornings are open.']);
+    await client.close();
+  });
+
+  test('clears playback and drops the rest of the reply when the caller barges in', async () => {
+    const client = await connectAndGreet();
+
+    const longReply = Array.from({ length: 10 }, (_, i) => `This is sentence number ${i + 1} of a long answer.`).join(' ');
+    stt.utterances.push('tell me everything', 'stop');
+    replies['tell me everything'] = { response: longReply };
+    const replyStarted = client.waitFor(message => message.event === 'media');
+    await client.sendAudio(tone(300));
+    await client.sendSilence(200);
+
+    // Interrupt as soon as the reply starts playing
+    await replyStarted;
+    const cleared = client.waitFor(message => message.event === 'clear');
+    await client.sendAudio(tone(200));
+    await cleared;
+    await client.sendSilence(300);
+    await sleep(100);
+
+    const spokenSentences = ttsTexts.filter(text => text.startsWith('This is sentence'));
+    assert.ok(spokenSentences.length < 10, `all ${spokenSentences.length} sentences were synthesized after the interruption`);
+    assert.deepStrictEqual(aiInputs, ['tell me everything', 'stop']);
+    await client.close();
+  });
+
+  test('hangs up once the closing reply has played', async () => {
+    const client = await connectAndGreet();
+
+    stt.utterances.push('that is all');
+    replies['that is all'] = { response: 'Thanks for calling. Goodbye!', conversationComplete: true };
+    await client.sendAudio(tone(300));
+    await client.sendSilence(300);
+    await client.waitForMark('speech-4');
+    await client.drainPlayback();
+    await sleep(50);
+
+    assert.deepStrictEqual(twilioActions, [{ action: 'hangup', callSid: CALL.twilio_call_sid }]);
+    await client.close();
+  });
+
+  test('reprompts a silent caller, then hangs up', async () => {
+    const silences = [];
+    const client = await connectAndGreet({
+      silenceTimeoutMs: 150,
+      ai: {
+        ...fakes.ai,
+        handleSilence: async () => {
+          silences.push(Date.now());
+          return silences.length === 1
+            ? { response: 'Are you still there?', conversationComplete: false }
+            : { response: 'Goodbye for now.', conversationComplete: true };
+        }
+      }
+    });
+
+    await client.waitForMark('speech-3');
+    await client.drainPlayback();
+    await client.waitForMark('speech-4');
+    await client.drainPlayback();
+    await sleep(50);
+
+    assert.strictEqual(silences.length, 2);
+    assert.deepStrictEqual(ttsTexts.slice(2), ['Are you still there?', 'Goodbye for now.']);
+    assert.deepStrictEqual(twilioActions, [{ action: 'hangup', callSid: CALL.twilio_call_sid }]);
+    await client.close();
+  });
+
+  test('redirects the call to transfer-connect after a transfer reply', async () => {
+    const client = await connectAndGreet();
+
+    stt.utterances.push('get me billing');
+    replies['get me billing'] = { response: 'Connecting you to billing now.', transfer: { department: 'Billing' } };
+    await client.sendAudio(tone(300));
+    await client.sendSilence(300);
+    await client.waitForMark('speech-3');
+    await client.drainPlayback();
+    await sleep(50);
+
+    assert.strictEqual(twilioActions.length, 1);
+    assert.strictEqual(twilioActions[0].action, 'redirect');
+    assert.match(twilioActions[0].url, /\/api\/webhooks\/transfer-connect\?callId=call-stream-1$/);
+    await client.close();
+  });
+
+  test('rejects a stream whose call SID does not match the call', async () => {
+    const client = new FakeMediaStreamClient({ url, callId: CALL.id, callSid: 'CAimpostor', frameMs: FRAME_MS, authToken: AUTH_TOKEN });
+
+    assert.strictEqual(await closeCode(client), 1008);
+    assert.deepStrictEqual(ttsTexts, []);
+  });
+
+  test('rejects a stream for a call with no Twilio call SID', async () => {
+    const unplaced = { ...CALL, twilio_call_sid: null };
+    fakes.db = { ...fakes.db, getCallById: async () => unplaced };
+    const client = new FakeMediaStreamClient({ url, callId: CALL.id, callSid: CALL.twilio_call_sid, frameMs: FRAME_MS, authToken: AUTH_TOKEN });
+
+    assert.strictEqual(await closeCode(client), 1008);
+    assert.deepStrictEqual(ttsTexts, []);
+  });
+
+  test("rejects a stream not signed with the call's account", async () => {
+    const unsigned = new FakeMediaStreamClient({ url, callId: CALL.id, callSid: CALL.twilio_call_sid, frameMs: FRAME_MS });
+    const otherAccount = new FakeMediaStreamClient({ url, callId: CALL.id, callSid: CALL.twilio_call_sid, frameMs: FRAME_MS, authToken: 'other-auth-token' });
+
+    assert.strictEqual(await closeCode(unsigned), 1008);
+    assert.strictEqual(await closeCode(otherAccount), 1008);
+    assert.deepStrictEqual(ttsTexts, []);
+  });
+});
+
+test('refuses unsigned WebSocket upgrades to /media-stream', async () => {
+  const webSocketService = require('../services/websocketService');
+  const server = http.createServer();
+  webSocketService.initialize(server);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/media-stream`);
+    const status = await new Promise((resolve, reject) => {
+      ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+      ws.once('open', () => reject(new Error('the upgrade was accepted')));
+    });
+    assert.strictEqual(status, 403);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+describe('the /llm-websocket route', () => {
+  const databaseService = require('../services/postgresDatabaseService');
+  const dynamicAIService = require('../services/dynamicAIService');
+  const webSocketService = require('../services/websocketService');
+  const AGENTS = {
+    'agent-1': { agent_id: 'agent-1', organization_id: 1 },
+    'agent-other': { agent_id: 'agent-other', organization_id: 2 }
+  };
+  const originals = {};
+  let server;
+  let started;
+
+  before(async () => {
+    originals.getCallById = databaseService.getCallById;
+    originals.getAgentById = databaseService.getAgentById;
+    originals.initializeConversation = dynamicAIService.initializeConversation;
+    databaseService.getCallById = async (id) => (id === CALL.id ? CALL : null);
+    databaseService.getAgentById = async (id) => AGENTS[id] || null;
+    dynamicAIService.initializeConversation = async (callId, agentId) => {
+      started.push(agentId);
+      return { response: GREETING, conversationComplete: false };
+    };
+
+    server = http.createServer();
+    webSocketService.initialize(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  after(async () => {
+    Object.assign(databaseService, { getCallById: originals.getCallById, getAgentById: originals.getAgentById });
+    dynamicAIService.initializeConversation = originals.initializeConversation;
+    webSocketService.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    started = [];
+  });
+
+  const tokenFor = (organizationId) => jwt.sign({ userId: 7, organizationId }, process.env.JWT_SECRET);
+  const url = (query) => `ws://127.0.0.1:${server.address().port}/llm-websocket?${new URLSearchParams(query)}`;
+
+  // Open a socket and report the refused status, or the socket and its messages once open
+  const connect = (query) => new Promise((resolve, reject) => {
+    const ws = new WebSocket(url(query));
+    const messages = [];
+    ws.on('message', data => messages.push(JSON.parse(data)));
+    ws.once('unexpected-response', (req, res) => resolve({ status: res.statusCode }));
+    ws.once('open', () => resolve({ ws, messages }));
+    ws.once('error', reject);
+  });
+
+  test('refuses upgrades without a valid token, or for calls of another organization', async () => {
+    assert.strictEqual((await connect({ callId: CALL.id })).status, 401);
+    assert.strictEqual((await connect({ callId: CALL.id, token: jwt.sign({ userId: 7, organizationId: 1 }, 'forged') })).status, 401);
+    assert.strictEqual((await connect({ callId: CALL.id, token: tokenFor(2) })).status, 404);
+    assert.strictEqual((await connect({ callId: 'call-unknown', token: tokenFor(1) })).status, 404);
+    assert.strictEqual((await connect({ token: tokenFor(1) })).status, 404);
+  });
+
+  test("starts calls with the organization's own agents only", async () => {
+    const { ws, messages } = await connect({ callId: CALL.id, token: tokenFor(1) });
+
+    try {
+      ws.send(JSON.stringify({ type: 'call_start', data: { agentId: 'agent-other', phoneNumber: CALL.phone_number } }));
+      ws.send(JSON.stringify({ type: 'call_start', data: { agentId: 'agent-1', phoneNumber: CALL.phone_number } }));
+      await sleep(100);
+
+      assert.deepStrictEqual(messages.map(message => message.type), ['connection_established', 'error', 'response']);
+      assert.strictEqual(messages[1].error, 'Agent not found');
+      assert.strictEqual(messages[2].response, GREETING);
+      assert.deepStrictEqual(started, ['agent-1']);
+    } finally {
+      ws.close();
+    }
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Outgoing Webhook Tests
+ * Checks how event deliveries are signed, verified, retried and sent, using a
+ * local HTTP server as the receiving endpoint, and that private addresses are
+ * refused both when endpoints are saved and when deliveries are sent. No
+ * database needed.
+ */
+
+// Keep the timeout test short
+process.env.WEBHOOK_TIMEOUT_MS = process.env.WEBHOOK_TIMEOUT_MS || '500';
+
+const { listen, sendJson } = require('./helpers');
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const config = require('../config/config');
+const outgoingWebhookService = require('../services/outgoingWebhookService');
+
+const SECRET = 'whsec_test';
+
+// Start a receiver that answers with respond(req, body, res) and records what it got
+const startReceiver = (respond) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      respond(req, body, res);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}/hook` });
+  });
+});
+
+const buildDelivery = (url) => ({
+  id: 1,
+  event_id: 'evt_123',
+  event: 'call.ended',
+  url,
+  payload: { id: 'evt_123', type: 'call.ended', data: { callId: 'call-1', status: 'completed' } }
+});
+
+test('signatures are the HMAC of the timestamp and body', async () => {
+  const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+  assert.strictEqual(outgoingWebhookService.sign(SECRET, 1700000000, '{"a":1}'), expected);
+  assert.ok(/^whsec_[0-9a-f]{48}$/.test(outgoingWebhookService.generateSecret()));
+});
+
+test('receivers can verify a signature', async () => {
+  const now = 1700000000 * 1000;
+  const body = '{"type":"call.started"}';
+  const header = `v1=${outgoingWebhookService.sign(SECRET, 1700000000, body)}`;
+
+  assert.strictEqual(outgoingWebhookService.verifySignature(SECRET, '1700000000', body, header, now), true);
+  assert.strictEqual(outgoingWebhookService.verifySignature(SECRET, '1700000000', `${body} `, header, now), false, 'tampered body');
+  assert.strictEqual(outgoingWebhookService.verifySignature('whsec_other', '1700000000', body, header, now), false, 'wrong secret');
+  assert.strictEqual(outgoingWebhookService.verifySignature(SECRET, '1700000000', body, header, now + 301 * 1000), false, 'stale timestamp');
+  assert.strictEqual(outgoingWebhookService.verifySignature(SECRET, 'soon', body, header, now), false, 'bad timestamp');
+  assert.strictEqual(outgoingWebhookService.verifySignature(SECRET, '1700000000', body, undefined, now), false, 'no header');
+});
+
+test('retries back off exponentially', async () => {
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempts => outgoingWebhookService.retryDelaySeconds(attempts)), [30, 60, 120, 240, 480]);
+});
+
+test('endpoints with no events selected receive every event', async () => {
+  assert.strictEqual(outgoingWebhookService.endpointReceives({ enabled: true, events: [] }, 'booking.created'), true);
+  assert.strictEqual(outgoingWebhookService.endpointReceives({ enabled: true, events: ['call.ended'] }, 'call.ended'), true);
+  assert.strictEqual(outgoingWebhookService.endpointReceives({ enabled: true, events: ['call.ended'] }, 'call.started'), false);
+  assert.strictEqual(outgoingWebhookService.endpointReceives({ enabled: false, events: [] }, 'call.ended'), false);
+  assert.ok(outgoingWebhookService.eventTypes.includes('function.invoked'));
+});
+
+test('call events describe the call', async () => {
+  const details = outgoingWebhookService.callDetails({
+    id: 'call-1', agent_id: 'agent_1', phone_number: '+15550001111', customer_name: 'Ana', direction: 'inbound'
+  });
+  assert.deepStrictEqual(details, {
+    callId: 'call-1',
+    agentId: 'agent_1',
+    agentVersion: null,
+    direction: 'inbound',
+    phoneNumber: '+15550001111',
+    customerName: 'Ana',
+    campaignId: null,
+    startedAt: null
+  });
+});
+
+describe('sending to a local receiver', () => {
+  // The receivers are on loopback, which the address guard refuses otherwise
+  before(() => config.set('outboundUrls.allowPrivate', true));
+  after(() => config.set('outboundUrls.allowPrivate', false));
+
+  test('deliveries are posted with verifiable headers', async () => {
+    const receiver = await startReceiver((req, body, res) => res.end('thanks'));
+    try {
+      const outcome = await outgoingWebhookService.send(buildDelivery(receiver.url), SECRET);
+      assert.strictEqual(outcome.ok, true);
+      assert.strictEqual(outcome.statusCode, 200);
+      assert.strictEqual(outcome.responseBody, 'thanks');
+
+      const [{ headers, body }] = receiver.requests;
+      assert.strictEqual(headers['content-type'], 'application/json');
+      assert.strictEqual(headers['x-webhook-id'], 'evt_123');
+      assert.strictEqual(headers['x-webhook-event'], 'call.ended');
+      assert.deepStrictEqual(JSON.parse(body).data, { callId: 'call-1', status: 'completed' });
+      assert.ok(outgoingWebhookService.verifySignature(SECRET, headers['x-webhook-timestamp'], body, headers['x-webhook-signature']));
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('non-2xx responses and redirects are failures', async () => {
+    const receiver = await startReceiver((req, body, res) => {
+      if (req.url === '/hook') {
+        res.statusCode = 500;
+        res.end('x'.repeat(5000));
+      } else {
+        res.writeHead(302, { Location: '/hook' });
+        res.end();
+      }
+    });
+    try {
+      const outcome = await outgoingWebhookService.send(buildDelivery(receiver.url), SECRET);
+      assert.strictEqual(outcome.ok, false);
+      assert.strictEqual(outcome.statusCode, 500);
+      assert.strictEqual(outcome.error, 'Endpoint responded with HTTP 500');
+      assert.strictEqual(outcome.responseBody.length, 1000);
+
+      const redirected = await outgoingWebhookService.send(buildDelivery(receiver.url.replace('/hook', '/old')), SECRET);
+      assert.strictEqual(redirected.ok, false);
+      assert.strictEqual(redirected.statusCode, 302);
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('slow and unreachable endpoints are failures', async () => {
+    const receiver = await startReceiver((req, body, res) => setTimeout(() => res.end('late'), 1500));
+    try {
+      const outcome = await outgoingWebhookService.send(buildDelivery(receiver.url), SECRET);
+      assert.strictEqual(outcome.ok, false);
+      assert.strictEqual(outcome.statusCode, null);
+      assert.strictEqual(outcome.error, 'No response within 500 ms');
+    } finally {
+      receiver.server.closeAllConnections();
+      receiver.server.close();
+    }
+
+    const refused = await outgoingWebhookService.send(buildDelivery('http://127.0.0.1:1/hook'), SECRET);
+    assert.strictEqual(refused.ok, false);
+    assert.ok(refused.error);
+  });
+});
+
+describe('the address guard', () => {
+  test('deliveries to private addresses are not sent', async () => {
+    const receiver = await startReceiver((req, body, res) => res.end('ok'));
+    try {
+      for (const url of [receiver.url, 'http://169.254.169.254/latest/meta-data', 'http://[::1]/hook']) {
+        const outcome = await outgoingWebhookService.send(buildDelivery(url), SECRET);
+        assert.strictEqual(outcome.ok, false);
+        assert.match(outcome.error, /public address/);
+      }
+      assert.strictEqual(receiver.requests.length, 0);
+    } finally {
+      receiver.server.close();
+    }
+  });
+
+  test('endpoints on private addresses cannot be saved', async () => {
+    const created = [];
+    const createEndpoint = outgoingWebhookService.createEndpoint;
+    outgoingWebhookService.createEndpoint = async (organizationId, userId, data) => {
+      created.push(data.url);
+      return { id: 1, ...data };
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { userId: 1, organizationId: 1 };
+      next();
+    });
+    app.use('/api/outgoing-webhooks', require('../routes/outgoingWebhooks'));
+    const server = await listen(app);
+    const save = (url) => sendJson(`${server.baseUrl}/api/outgoing-webhooks/endpoints`, 'POST', { url });
+
+    try {
+      for (const url of ['http://localhost:8080/hook', 'http://10.0.0.5/hook', 'http://169.254.169.254/latest']) {
+        const response = await save(url);
+        assert.strictEqual(response.status, 400, url);
+        assert.match(response.body.details[0].message, /public address/);
+      }
+      assert.strictEqual((await save('http://93.184.215.14/hook')).status, 201);
+      assert.deepStrictEqual(created, ['http://93.184.215.14/hook']);
+    } finally {
+      outgoingWebhookService.createEndpoint = createEndpoint;
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Permission Tests
+ * Checks how team roles and saved overrides resolve to permissions, and how
+ * requirePermission picks the read or write permission for a request, and
+ * that only active users get permissions or can sign in. The users table is a
+ * stub behind executeQuery, so no database is needed.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { listen, sendJson, withoutConsoleErrors } = require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const connection = require('../database/connection');
+
+const users = new Map();
+let queries = 0;
+let databaseDown = false;
+
+// The middleware and routes read executeQuery when they are loaded, so the stub goes in first
+connection.executeQuery = async (sql, params) => {
+  queries++;
+  if (databaseDown) {
+    throw new Error('connection refused');
+  }
+  if (sql.includes('WHERE email = $1')) {
+    return { rows: Array.from(users.entries()).filter(([, user]) => user.email === params[0]).map(([id, user]) => ({ id, ...user })) };
+  }
+  if (sql.startsWith('UPDATE users SET status')) {
+    users.get(params[0]).status = 'active';
+    return { rows: [] };
+  }
+  // Only users that are active, or from before statuses were kept, have permissions
+  const user = users.get(params[0]);
+  const active = user && (user.status || 'active') === 'active';
+  return { rows: active ? [user] : [] };
+};
+const { ROLE_PERMISSIONS, getEffectivePermissions, requirePermission } = require('../middleware/permissions');
+
+// Run a permission check as the given user and report what the client would see
+const check = async (middleware, userId, method) => {
+  const req = { method, user: { userId } };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  let passed = false;
+
+  await middleware(req, res, () => {
+    passed = true;
+  });
+
+  return { passed, status: res.statusCode, body: res.body, req };
+};
+
+const sorted = (permissions) => [...permissions].sort();
+
+test('each role gets its defaults, with view permissions implied by manage ones', async () => {
+  assert.deepStrictEqual(sorted(getEffectivePermissions('admin', null)), sorted([
+    ...ROLE_PERMISSIONS.admin, 'view_agents', 'view_team', 'view_contacts'
+  ]));
+  assert.deepStrictEqual(sorted(getEffectivePermissions('manager', null)), sorted([
+    ...ROLE_PERMISSIONS.manager, 'view_agents', 'view_contacts'
+  ]));
+  assert.deepStrictEqual(sorted(getEffectivePermissions('member', null)), sorted(ROLE_PERMISSIONS.member));
+  assert.deepStrictEqual(sorted(getEffectivePermissions('viewer', null)), sorted(ROLE_PERMISSIONS.viewer));
+});
+
+test('unknown roles get viewer permissions', async () => {
+  assert.deepStrictEqual(sorted(getEffectivePermissions('owner', undefined)), sorted(ROLE_PERMISSIONS.viewer));
+});
+
+test('saved permissions replace the role defaults', async () => {
+  const permissions = getEffectivePermissions('member', ['manage_contacts']);
+
+  assert.deepStrictEqual(sorted(permissions), ['manage_contacts', 'view_contacts']);
+  assert.ok(!permissions.includes('make_calls'), 'role defaults are not added to overrides');
+  assert.deepStrictEqual(getEffectivePermissions('admin', []), [], 'an empty override removes everything');
+});
+
+test('reads and writes need their own permission', async () => {
+  users.set(1, { role: 'viewer', permissions: null });
+  const contacts = requirePermission({ read: 'view_contacts', write: 'manage_contacts' });
+
+  for (const method of ['GET', 'HEAD', 'OPTIONS']) {
+    assert.strictEqual((await check(contacts, 1, method)).passed, true, method);
+  }
+
+  const write = await check(contacts, 1, 'POST');
+  assert.strictEqual(write.passed, false);
+  assert.strictEqual(write.status, 403);
+  assert.deepStrictEqual(write.body, {
+    success: false,
+    error: 'You do not have permission to perform this action',
+    requiredPermission: 'manage_contacts'
+  });
+});
+
+test('a single permission applies to every method', async () => {
+  users.set(2, { role: 'manager', permissions: null });
+  users.set(3, { role: 'admin', permissions: null });
+  const settings = requirePermission('manage_settings');
+
+  assert.strictEqual((await check(settings, 2, 'GET')).status, 403);
+  assert.strictEqual((await check(settings, 3, 'GET')).passed, true);
+  assert.strictEqual((await check(settings, 3, 'PUT')).passed, true);
+});
+
+test('saved overrides are enforced', async () => {
+  users.set(4, { role: 'admin', permissions: ['view_agents'] });
+
+  assert.strictEqual((await check(requirePermission('manage_team'), 4, 'POST')).status, 403);
+  assert.strictEqual((await check(requirePermission({ read: 'view_agents', write: 'manage_agents' }), 4, 'GET')).passed, true);
+});
+
+test('removed and unknown users have no permissions', async () => {
+  // The query only matches users that are not deleted
+  assert.strictEqual((await check(requirePermission('view_agents'), 99, 'GET')).status, 403);
+});
+
+test('permissions are loaded once per request', async () => {
+  users.set(5, { role: 'member', permissions: null });
+  const queryCount = queries;
+  const { req } = await check(requirePermission('view_agents'), 5, 'GET');
+
+  await requirePermission('make_calls')(req, { status: () => ({ json: () => {} }) }, () => {});
+
+  assert.strictEqual(queries - queryCount, 1);
+});
+
+test('a failed lookup refuses the request', async () => {
+  databaseDown = true;
+  try {
+    const result = await withoutConsoleErrors(() => check(requirePermission('view_agents'), 1, 'GET'));
+    assert.strictEqual(result.passed, false);
+    assert.strictEqual(result.status, 500);
+  } finally {
+    databaseDown = false;
+  }
+});
+
+test('suspended and not yet activated users have no permissions', async () => {
+  users.set(6, { role: 'admin', permissions: null, status: 'suspended' });
+  users.set(7, { role: 'admin', permissions: null, status: 'pending' });
+
+  assert.strictEqual((await check(requirePermission('view_agents'), 6, 'GET')).status, 403);
+  assert.strictEqual((await check(requirePermission('view_agents'), 7, 'GET')).status, 403);
+});
+
+test('suspended users cannot sign in, and invited users are activated by signing in', async () => {
+  const passwordHash = await bcrypt.hash('secret-password', 4);
+  users.set(8, { email: 'suspended@example.com', password_hash: passwordHash, role: 'member', status: 'suspended', organization_id: 1 });
+  users.set(9, { email: 'invited@example.com', password_hash: passwordHash, role: 'member', status: 'pending', organization_id: 1 });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', require('../routes/auth'));
+  const server = await listen(app);
+  const login = (email, password = 'secret-password') => sendJson(`${server.baseUrl}/api/auth/login`, 'POST', { email, password });
+
+  try {
+    const suspended = await login('suspended@example.com');
+    assert.strictEqual(suspended.status, 403);
+    assert.deepStrictEqual(suspended.body, { error: 'This account has been suspended' });
+    assert.strictEqual((await login('suspended@example.com', 'wrong-password')).status, 401, 'the status is only told to the account holder');
+
+    const invited = await login('invited@example.com');
+    assert.strictEqual(invited.status, 200);
+    assert.ok(invited.body.token);
+    assert.strictEqual(users.get(9).status, 'active');
+    assert.strictEqual((await check(requirePermission('make_calls'), 9, 'POST')).passed, true);
+  } finally {
+    await server.close();
+  }
+});
@@ -0,0 +1,171 @@
+/**
+ * Call Recording Tests
+ * Checks local recording storage, signed playback tokens, range requests on
+ * the playback endpoint, starting a recording on an answered call and which
+ * recording URLs are downloaded with the account's credentials, using
+ * a temporary directory, a stubbed recordings lookup and a fake Twilio
+ * client. No database or Twilio account needed.
+ */
+
+const { listen } = require('./helpers');
+const { test, before, after } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const recordingService = require('../services/recordingService');
+const twilioService = require('../services/twilioService');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// 100 bytes: 0, 1, 2, ... 99
+const AUDIO = Buffer.from(Array.from({ length: 100 }, (_, i) => i));
+
+const RECORDING = {
+  id: 7,
+  organization_id: 3,
+  status: 'stored',
+  storage_backend: 'local',
+  storage_key: '3/call_1/RE0123456789abcdef0123456789abcdef.mp3',
+  content_type: 'audio/mpeg'
+};
+
+const storage = recordingService.getStorage('local');
+const token = recordingService.createPlaybackToken(RECORDING);
+let server;
+
+before(async () => {
+  storage.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'recordings-'));
+  // The endpoint only ever sees the one stored recording
+  recordingService.getById = async (id, organizationId) => (
+    Number(id) === RECORDING.id && organizationId === RECORDING.organization_id ? RECORDING : null
+  );
+
+  const app = express();
+  app.use('/api/recordings', require('../routes/recordings'));
+  server = await listen(app);
+});
+
+after(async () => {
+  await server.close();
+  await fs.promises.rm(storage.dir, { recursive: true, force: true });
+});
+
+const get = async (recordingId, playbackToken, headers = {}) => {
+  const response = await fetch(`${server.baseUrl}/api/recordings/${recordingId}/audio?token=${playbackToken}`, { headers });
+  return {
+    status: response.status,
+    headers: response.headers,
+    body: Buffer.from(await response.arrayBuffer())
+  };
+};
+
+test('local storage saves, sizes and reads byte ranges', async () => {
+  await storage.save(RECORDING.storage_key, AUDIO, 'audio/mpeg');
+  assert.strictEqual(await storage.size(RECORDING.storage_key), 100);
+  assert.deepStrictEqual(await readAll(storage.open(RECORDING.storage_key, { start: 10, end: 14 })), AUDIO.subarray(10, 15));
+  assert.strictEqual(await storage.size('3/call_1/missing.mp3'), null);
+});
+
+test('storage keys cannot escape the recordings directory', async () => {
+  await assert.rejects(storage.save('../outside.mp3', AUDIO), /Invalid recording key/);
+});
+
+test('playback tokens are verified, and API tokens are not accepted as them', async () => {
+  assert.strictEqual(recordingService.verifyPlaybackToken(token).recordingId, RECORDING.id);
+  assert.strictEqual(recordingService.verifyPlaybackToken(`${token}x`), null);
+
+  const apiToken = jwt.sign({ recordingId: RECORDING.id, organizationId: 3, purpose: 'recording-playback' }, config.get('jwt.secret'));
+  assert.strictEqual(recordingService.verifyPlaybackToken(apiToken), null);
+});
+
+test('the whole recording is served when no range is asked for', async () => {
+  const response = await get(RECORDING.id, token);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('accept-ranges'), 'bytes');
+  assert.strictEqual(response.headers.get('content-type'), 'audio/mpeg');
+  assert.deepStrictEqual(response.body, AUDIO);
+});
+
+test('byte ranges are answered with 206 Partial Content', async () => {
+  const response = await get(RECORDING.id, token, { Range: 'bytes=20-29' });
+  assert.strictEqual(response.status, 206);
+  assert.strictEqual(response.headers.get('content-range'), 'bytes 20-29/100');
+  assert.deepStrictEqual(response.body, AUDIO.subarray(20, 30));
+
+  const open = await get(RECORDING.id, token, { Range: 'bytes=95-' });
+  assert.strictEqual(open.headers.get('content-range'), 'bytes 95-99/100');
+  assert.deepStrictEqual(open.body, AUDIO.subarray(95));
+
+  const suffix = await get(RECORDING.id, token, { Range: 'bytes=-5' });
+  assert.deepStrictEqual(suffix.body, AUDIO.subarray(95));
+});
+
+test('ranges past the end are refused with 416', async () => {
+  const response = await get(RECORDING.id, token, { Range: 'bytes=100-' });
+  assert.strictEqual(response.status, 416);
+  assert.strictEqual(response.headers.get('content-range'), 'bytes */100');
+});
+
+test('a token only plays the recording it was issued for', async () => {
+  assert.strictEqual((await get(8, token)).status, 401);
+  assert.strictEqual((await get(RECORDING.id, 'not-a-token')).status, 401);
+
+  const otherOrganization = recordingService.createPlaybackToken({ ...RECORDING, organization_id: 4 });
+  assert.strictEqual((await get(RECORDING.id, otherOrganization)).status, 404);
+});
+
+test('recording an answered call retries until the call is in progress', async () => {
+  const created = [];
+  const service = new twilioService.constructor();
+  service.isConfigured = true;
+  service.client = {
+    calls: (callSid) => ({
+      recordings: {
+        create: async (options) => {
+          created.push({ callSid, options });
+          if (created.length === 1) {
+            throw new Error('Call is not in-progress. Cannot create recording.');
+          }
+          return { sid: 'RE1' };
+        }
+      }
+    })
+  };
+
+  const recording = await service.startRecording('CA1', { recording_channels: 'dual' });
+  assert.strictEqual(recording.sid, 'RE1');
+  assert.strictEqual(created.length, 2);
+  assert.strictEqual(created[1].options.recordingChannels, 'dual');
+  assert.match(created[1].options.recordingStatusCallback, /\/api\/webhooks\/recording-status$/);
+  assert.deepStrictEqual(created[1].options.recordingStatusCallbackEvent, ['completed', 'absent']);
+});
+
+test("recordings are only downloaded from the account's own recordings on the Twilio API", async () => {
+  const service = new twilioService.constructor();
+  service.accountSid = 'AC0123456789abcdef0123456789abcdef';
+  service.authToken = 'org-token';
+  const own = `https://api.twilio.com/2010-04-01/Accounts/${service.accountSid}/Recordings/RE0123456789abcdef0123456789abcdef`;
+
+  assert.strictEqual(service.isOwnRecordingUrl(own), true);
+  for (const url of [
+    'https://attacker.example/Recordings/RE1',
+    'http://api.twilio.com/2010-04-01/Accounts/AC0123456789abcdef0123456789abcdef/Recordings/RE1',
+    'https://api.twilio.com/2010-04-01/Accounts/ACother000000000000000000000000000/Recordings/RE1',
+    'https://api.twilio.com.attacker.example/2010-04-01/Accounts/AC0123456789abcdef0123456789abcdef/Recordings/RE1',
+    `https://api.twilio.com/2010-04-01/Accounts/${service.accountSid}/Recordings/../../ACother/Recordings/RE1`,
+    undefined
+  ]) {
+    assert.strictEqual(service.isOwnRecordingUrl(url), false, url);
+    await assert.rejects(service.downloadRecording(url), /not a recording of this Twilio account/);
+  }
+});
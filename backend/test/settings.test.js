@@ -0,0 +1,92 @@
+/**
+ * Settings Tests
+ * Checks that Twilio credentials are only saved once Twilio has accepted
+ * them, and that the stored auth token is kept when the client sends back
+ * the masked value. The settings table and the Twilio check are stubs, so no
+ * database or Twilio account is needed.
+ */
+
+const { listen, sendJson } = require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const connection = require('../database/connection');
+
+const VALID = { accountSid: 'ACorg000000000000000000000000000001', authToken: 'org-token' };
+
+const saved = new Map();
+let verified = [];
+let server;
+
+// The routes read executeQuery when they are loaded, so the stub goes in first
+connection.executeQuery = async (sql, params) => {
+  if (sql.includes('SELECT settings FROM organization_settings')) {
+    return { rows: saved.has(params[0]) ? [{ settings: JSON.parse(saved.get(params[0])) }] : [] };
+  }
+  if (sql.includes('INSERT INTO organization_settings')) {
+    saved.set(params[0], params[1]);
+    return { rows: [] };
+  }
+  throw new Error(`Unexpected query: ${sql}`);
+};
+const twilioService = require('../services/twilioService');
+
+twilioService.verifyCredentials = async (accountSid, authToken) => {
+  verified.push(accountSid);
+  return accountSid === VALID.accountSid && authToken === VALID.authToken;
+};
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { userId: 1, organizationId: 1 };
+    next();
+  });
+  app.use('/api/settings', require('../routes/settings'));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  saved.clear();
+  verified = [];
+});
+
+const storedTwilio = () => JSON.parse(saved.get(1)).twilio;
+
+test('Twilio credentials are saved once Twilio accepts them', async () => {
+  const response = await sendJson(`${server.baseUrl}/api/settings/twilio`, 'POST', { ...VALID, phoneNumber: '+14155550100' });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(verified, [VALID.accountSid]);
+  assert.strictEqual(storedTwilio().authToken, VALID.authToken);
+});
+
+test("another account's SID cannot be saved without its auth token", async () => {
+  const other = { accountSid: 'ACother00000000000000000000000002', authToken: 'guess', phoneNumber: '+14155550100' };
+
+  const viaTwilio = await sendJson(`${server.baseUrl}/api/settings/twilio`, 'POST', other);
+  const viaSettings = await sendJson(`${server.baseUrl}/api/settings`, 'PUT', { twilio: { enabled: true, ...other } });
+
+  for (const response of [viaTwilio, viaSettings]) {
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual(response.body.error, 'Twilio did not accept this Account SID and Auth Token');
+  }
+  assert.strictEqual(saved.size, 0);
+});
+
+test('unchanged credentials are not checked again, and the masked token keeps the stored one', async () => {
+  await sendJson(`${server.baseUrl}/api/settings/twilio`, 'POST', { ...VALID, phoneNumber: '+14155550100' });
+  verified = [];
+
+  const response = await sendJson(`${server.baseUrl}/api/settings`, 'PUT', {
+    general: { timezone: 'Europe/Berlin' },
+    twilio: { enabled: true, accountSid: VALID.accountSid, authToken: '***hidden***', phoneNumber: '+14155550100' }
+  });
+
+  assert.strictEqual(response.status, 200);
+  assert.deepStrictEqual(verified, []);
+  assert.strictEqual(storedTwilio().authToken, VALID.authToken);
+});
@@ -0,0 +1,210 @@
+/**
+ * Speech-to-Text Provider Tests
+ * Checks provider selection, the listen TwiML for <Gather> and <Record>,
+ * Deepgram vocabulary parameters, which recordings are downloaded, and the
+ * Whisper adapter against a local fake transcription server. No database or
+ * API keys needed.
+ */
+
+const { sleep } = require('./helpers');
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const http = require('http');
+const sttService = require('../services/sttService');
+const twilioService = require('../services/twilioService');
+const deepgramSttService = require('../services/deepgramSttService');
+const whisperSttService = require('../services/whisperSttService');
+
+const ACCOUNT_SID = 'AC0123456789abcdef0123456789abcdef';
+const RECORDING_URL = `https://api.twilio.com/2010-04-01/Accounts/${ACCOUNT_SID}/Recordings/RE1`;
+
+/**
+ * The call's Twilio account, with downloads answered locally
+ */
+const accountWithRecording = (downloads) => {
+  const account = new twilioService.constructor();
+  account.accountSid = ACCOUNT_SID;
+  account.downloadRecording = async (url) => {
+    downloads.push(url);
+    return Buffer.from('RIFF');
+  };
+  return account;
+};
+
+const LISTEN_OPTIONS = {
+  prompt: { audioUrl: 'https://example.test/tts?text=hi' },
+  actionUrl: 'https://example.test/api/webhooks/speech',
+  partialUrl: 'https://example.test/api/webhooks/speech-partial'
+};
+
+/**
+ * 20 ms frames of 8 kHz PCM: a 440 Hz tone or silence
+ */
+const pcmFrames = (count, amplitude) => {
+  const pcm = Buffer.alloc(count * 320);
+  for (let i = 0; i < count * 160; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / 8000)), i * 2);
+  }
+  return pcm;
+};
+
+test('defaults to Twilio <Gather> with the agent language as a locale', () => {
+  const settings = sttService.resolveSettings({ agent_id: 'a1', language: 'Spanish', stt_provider: null });
+  assert.deepStrictEqual(settings, { provider: 'twilio', language: 'es-ES', keywords: [] });
+});
+
+test("falls back to Twilio when the agent's provider is not configured", () => {
+  deepgramSttService.apiKey = null;
+  const settings = sttService.resolveSettings({ agent_id: 'a1', stt_provider: 'deepgram', stt_language: 'en-GB', stt_keywords: ['Acme'] });
+  assert.deepStrictEqual(settings, { provider: 'twilio', language: 'en-GB', keywords: ['Acme'] });
+});
+
+test("Gather listens with the agent's language and vocabulary", () => {
+  const twiml = sttService.buildListenTwiML({ provider: 'twilio', language: 'fr-FR', keywords: ['Acme', 'Zyrtec'] }, LISTEN_OPTIONS);
+  assert.match(twiml, /<Gather [^>]*language="fr-FR"/);
+  assert.match(twiml, /hints="Acme, Zyrtec"/);
+  assert.match(twiml, /enhanced="false"/);
+  assert.match(twiml, /<Gather [^>]*><Play>https:\/\/example.test\/tts\?text=hi<\/Play><\/Gather>/);
+});
+
+test('Gather keeps the default hints when the agent has no vocabulary', () => {
+  const twiml = sttService.buildListenTwiML({ provider: 'twilio', language: 'en-US', keywords: [] }, LISTEN_OPTIONS);
+  assert.match(twiml, /hints="yes, no, hello/);
+  assert.match(twiml, /enhanced="true"/);
+});
+
+test('other providers play the prompt, then record the reply', () => {
+  const twiml = sttService.buildListenTwiML({ provider: 'whisper', language: 'en-US', keywords: [] }, LISTEN_OPTIONS);
+  assert.match(twiml, /<Play>https:\/\/example.test\/tts\?text=hi<\/Play><Record [^>]*action="https:\/\/example.test\/api\/webhooks\/speech"/);
+  assert.doesNotMatch(twiml, /<Gather/);
+});
+
+test('Deepgram boosts vocabulary as weighted keywords', () => {
+  const params = deepgramSttService._buildParams({ language: 'en-US', keywords: ['Acme', 'Zyrtec'] });
+  assert.deepStrictEqual(params.getAll('keywords'), ['Acme:2', 'Zyrtec:2']);
+  assert.strictEqual(params.get('language'), 'en-US');
+});
+
+test('streaming falls back from Gather to a configured streaming provider', () => {
+  deepgramSttService.apiKey = null;
+  whisperSttService.baseUrl = null;
+  assert.strictEqual(sttService.getStreamingProvider({ provider: 'twilio' }), null);
+
+  deepgramSttService.apiKey = 'dg-key';
+  assert.strictEqual(sttService.getStreamingProvider({ provider: 'twilio' }), deepgramSttService);
+  deepgramSttService.apiKey = null;
+});
+
+test('Gather results are read straight from the webhook', async () => {
+  const result = await sttService.transcribeWebhook({ SpeechResult: ' book me in ', Confidence: '0.05' }, { provider: 'twilio' }, null);
+  assert.deepStrictEqual(result, { text: 'book me in', confidence: 0.05 });
+  assert.strictEqual(sttService.isUsable(result), false);
+});
+
+describe('Whisper against a fake transcription server', () => {
+  let server;
+  let requests = [];
+
+  // Records each multipart request and answers with verbose_json
+  before(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('latin1');
+        const field = (name) => body.match(new RegExp(`name="${name}"\\r\\n\\r\\n([^\\r]*)`))?.[1];
+        requests.push({ url: req.url, authorization: req.headers.authorization, language: field('language'), prompt: field('prompt'), hasFile: body.includes('filename="utterance.wav"') });
+
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+          text: ` utterance ${requests.length}`,
+          segments: [{ avg_logprob: -0.1, no_speech_prob: 0.05 }]
+        }));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    whisperSttService.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    whisperSttService.apiKey = 'local-key';
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('Whisper posts the clip with an ISO language and a vocabulary prompt', async () => {
+    const downloads = [];
+    const result = await sttService.transcribeWebhook(
+      { RecordingUrl: RECORDING_URL },
+      { provider: 'whisper', language: 'de-DE', keywords: ['Acme'] },
+      accountWithRecording(downloads)
+    );
+
+    assert.deepStrictEqual(downloads, [RECORDING_URL]);
+    assert.deepStrictEqual(requests, [{
+      url: '/v1/audio/transcriptions',
+      authorization: 'Bearer local-key',
+      language: 'de',
+      prompt: 'Vocabulary: Acme.',
+      hasFile: true
+    }]);
+    assert.strictEqual(result.text, 'utterance 1');
+    assert.ok(result.confidence > 0.8 && result.confidence < 0.9, `confidence ${result.confidence}`);
+    assert.ok(sttService.isUsable(result));
+  });
+
+  test("recordings outside the call's Twilio account are not downloaded", async () => {
+    const downloads = [];
+    for (const url of ['https://attacker.example/Recordings/RE1', RECORDING_URL.replace(ACCOUNT_SID, 'ACother000000000000000000000000000')]) {
+      await assert.rejects(
+        sttService.transcribeWebhook({ RecordingUrl: url }, { provider: 'whisper', language: 'en-US', keywords: [] }, accountWithRecording(downloads)),
+        /not a recording of the call's Twilio account/
+      );
+    }
+
+    assert.deepStrictEqual(downloads, []);
+    assert.strictEqual(requests.length, 0);
+  });
+
+  test('Whisper streams cut live audio into utterances at pauses', async () => {
+    const events = [];
+    const session = sttService.createStream({ provider: 'whisper', language: 'en-US', keywords: [] }, {
+      sampleRate: 8000,
+      onSpeechStarted: () => events.push('speech'),
+      onTranscript: ({ text, isFinal }) => events.push(`${isFinal ? 'final' : 'partial'}: ${text}`)
+    });
+
+    // Two utterances, each followed by more silence than WHISPER_SILENCE_MS; odd chunk sizes on purpose
+    const audio = Buffer.concat([pcmFrames(10, 0), pcmFrames(30, 6000), pcmFrames(40, 0), pcmFrames(25, 6000), pcmFrames(40, 0)]);
+    for (let offset = 0; offset < audio.length; offset += 333) {
+      session.sendAudio(audio.subarray(offset, offset + 333));
+    }
+
+    for (let i = 0; i < 50 && events.length < 4; i++) {
+      await sleep(20);
+    }
+    session.close();
+
+    assert.deepStrictEqual(events, ['speech', 'speech', 'final: utterance 1', 'final: utterance 2']);
+    assert.strictEqual(requests.length, 2);
+    assert.strictEqual(requests[0].language, 'en');
+  });
+
+  test('Whisper streams ignore short clicks', async () => {
+    const events = [];
+    const session = sttService.createStream({ provider: 'whisper', language: 'en-US', keywords: [] }, {
+      sampleRate: 8000,
+      onSpeechStarted: () => events.push('speech'),
+      onTranscript: () => events.push('transcript')
+    });
+
+    session.sendAudio(Buffer.concat([pcmFrames(2, 8000), pcmFrames(50, 0), pcmFrames(1, 8000), pcmFrames(50, 0)]));
+    await sleep(50);
+    session.close();
+
+    assert.deepStrictEqual(events, []);
+    assert.strictEqual(requests.length, 0);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * Tenant Isolation Tests
+ * Signs in as two organizations and checks that neither can reach the
+ * other's data through the API. The tables are an in-memory stand-in behind
+ * executeQuery: a row is only found when the query names its key (for
+ * lookups) and, when the query filters by organization, its organization.
+ * A query that forgets the organization filter would find the other
+ * tenant's rows, so the tests would catch it. No database needed.
+ */
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+const { listen, sendJson } = require('./helpers');
+const { describe, test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const connection = require('../database/connection');
+
+const ORG_A = 101;
+const ORG_B = 202;
+
+// Rows are looked up by these columns
+const KEYS = { agents: ['agent_id'], contacts: ['id'], calls: ['id'], agent_functions: ['id', 'agent_id'] };
+
+const seed = () => ({
+  agents: [
+    { agent_id: 'agent-a', organization_id: ORG_A, name: 'Front desk A', status: 'active' },
+    { agent_id: 'agent-b', organization_id: ORG_B, name: 'Front desk B', status: 'active' }
+  ],
+  contacts: [
+    { id: 11, organization_id: ORG_A, name: 'Ada', phone_number: '+14155550111' },
+    { id: 22, organization_id: ORG_B, name: 'Bea', phone_number: '+14155550122' }
+  ],
+  calls: [
+    { id: 'call-a', organization_id: ORG_A, agent_id: 'agent-a', status: 'completed' },
+    { id: 'call-b', organization_id: ORG_B, agent_id: 'agent-b', status: 'completed' }
+  ],
+  // The real query reaches the organization through the agent
+  agent_functions: [
+    { id: 31, organization_id: ORG_A, agent_id: 'agent-a', name: 'text_back', function_type: 'send_sms', is_active: true },
+    { id: 32, organization_id: ORG_B, agent_id: 'agent-b', name: 'text_back', function_type: 'send_sms', is_active: true },
+    { id: 33, organization_id: ORG_A, agent_id: 'agent-a', name: 'availability', function_type: 'check_availability', is_active: true }
+  ]
+});
+
+let tables;
+let changed;
+const settings = new Map();
+
+// The middleware and routes read executeQuery when they are loaded, so the stub goes in first
+connection.executeQuery = async (sql, params = []) => {
+  if (sql.includes('FROM users')) {
+    return { rows: [{ role: 'admin', permissions: null }] };
+  }
+  if (sql.includes('SELECT settings FROM organization_settings')) {
+    return { rows: settings.has(params[0]) ? [{ settings: JSON.parse(settings.get(params[0])) }] : [] };
+  }
+  if (sql.includes('INSERT INTO organization_settings')) {
+    settings.set(params[0], params[1]);
+    return { rows: [] };
+  }
+
+  const table = (sql.match(/\b(?:FROM|UPDATE|INTO)\s+(agents|contacts|calls|agent_functions)\b/) || [])[1];
+  if (!table || /^\s*INSERT/.test(sql)) {
+    return { rows: [] };
+  }
+
+  const given = params.map(String);
+  const named = (row) => KEYS[table].some(key => given.includes(String(row[key])));
+  const keyed = tables[table].some(named);
+  const write = /^\s*(UPDATE|DELETE)/.test(sql);
+  const rows = tables[table].filter(row =>
+    (keyed ? named(row) : !write)
+    && (!sql.includes('organization_id') || given.includes(String(row.organization_id))));
+
+  if (write) {
+    changed.push(...rows.map(row => `${table}:${row[KEYS[table][0]]}`));
+    if (/^\s*DELETE/.test(sql)) {
+      tables[table] = tables[table].filter(row => !rows.includes(row));
+    }
+  }
+  return { rows };
+};
+const { verifyToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
+const twilioService = require('../services/twilioService');
+const externalCalendarService = require('../services/externalCalendarService');
+
+// Each organization's own Twilio and Cal.com accounts
+let sent;
+let slotRequests;
+twilioService.forOrganization = async (organizationId) => ({
+  isTwilioConfigured: () => true,
+  sendSMS: async (to, message) => {
+    sent.push({ organizationId, to, message });
+    return { messageSid: `SM-${organizationId}`, status: 'queued' };
+  }
+});
+externalCalendarService.forOrganization = async (organizationId) => ({
+  isCalComReady: async () => true,
+  getAvailableSlots: async (eventTypeId, startTime, endTime) => {
+    slotRequests.push({ organizationId, eventTypeId, startTime, endTime });
+    return { success: true, slots: [{ time: '2025-01-10T09:00:00.000Z' }] };
+  }
+});
+
+let server;
+
+before(async () => {
+  const agentAccess = requirePermission({ read: 'view_agents', write: 'manage_agents' });
+
+  // Mounted as in server.js
+  const app = express();
+  app.use(express.json());
+  app.use('/api/agents', verifyToken, agentAccess, require('../routes/agents'));
+  app.use('/api/functions', verifyToken, agentAccess, require('../routes/functions'));
+  app.use('/api/settings', verifyToken, requirePermission('manage_settings'), require('../routes/settings'));
+  app.use('/api/contacts', verifyToken, requirePermission({ read: 'view_contacts', write: 'manage_contacts' }), require('../routes/contacts'));
+  app.use('/api/calls', verifyToken, requirePermission({ read: 'view_agents', write: 'make_calls' }), require('../routes/callsEnhanced'));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  tables = seed();
+  changed = [];
+  settings.clear();
+  sent = [];
+  slotRequests = [];
+});
+
+const tokenFor = (organizationId) => jwt.sign({ userId: organizationId, email: `admin@${organizationId}.example.com`, organizationId }, process.env.JWT_SECRET);
+
+// Call the API as an admin of the given organization
+const as = (organizationId) => (method, path, body) =>
+  sendJson(`${server.baseUrl}${path}`, method, body, { Authorization: `Bearer ${tokenFor(organizationId)}` });
+
+test("built-in functions run with the calling organization's own Twilio and Cal.com accounts", async () => {
+  const orgA = as(ORG_A);
+
+  const sms = await orgA('POST', '/api/functions/31/execute', { params: { phoneNumber: '+14155550111', message: 'Thanks for calling' } });
+  assert.strictEqual(sms.status, 200);
+  assert.strictEqual(sms.body.success, true);
+  assert.deepStrictEqual(sent, [{ organizationId: ORG_A, to: '+14155550111', message: 'Thanks for calling' }]);
+
+  const slots = await orgA('POST', '/api/functions/33/execute', { params: { eventTypeId: 7, startDate: '2025-01-10', endDate: '2025-01-11' } });
+  assert.strictEqual(slots.status, 200);
+  assert.deepStrictEqual(slots.body.result.availableSlots, [{ time: '2025-01-10T09:00:00.000Z' }]);
+  assert.deepStrictEqual(slotRequests, [{
+    organizationId: ORG_A, eventTypeId: 7, startTime: '2025-01-10T00:00:00.000Z', endTime: '2025-01-11T23:59:59.999Z'
+  }]);
+});
+
+test("an organization cannot run another organization's functions", async () => {
+  const response = await as(ORG_A)('POST', '/api/functions/32/execute', { params: { phoneNumber: '+14155550111', message: 'Hi' } });
+
+  assert.strictEqual(response.status, 404);
+  assert.deepStrictEqual(sent, []);
+});
+
+describe('signing in', () => {
+  test('requests without a valid token are refused', async () => {
+    const missing = await sendJson(`${server.baseUrl}/api/agents`, 'GET');
+    assert.strictEqual(missing.status, 401);
+    assert.deepStrictEqual(missing.body, { error: 'Access denied. No token provided.' });
+
+    const forged = jwt.sign({ userId: 1, organizationId: ORG_B }, 'not-the-secret');
+    const response = await sendJson(`${server.baseUrl}/api/agents`, 'GET', undefined, { Authorization: `Bearer ${forged}` });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(response.body, { error: 'Invalid token.' });
+  });
+
+  test("tokens from before organizations existed belong to the user's own organization", async () => {
+    const legacy = jwt.sign({ userId: ORG_A, email: 'admin@example.com' }, process.env.JWT_SECRET);
+    const get = (agentId) => sendJson(`${server.baseUrl}/api/agents/${agentId}`, 'GET', undefined, { Authorization: `Bearer ${legacy}` });
+
+    assert.strictEqual((await get('agent-a')).status, 200);
+    assert.strictEqual((await get('agent-b')).status, 404);
+  });
+});
+
+describe("another organization's data", () => {
+  const orgA = (...args) => as(ORG_A)(...args);
+
+  test("agents can't be read, changed or deleted", async () => {
+    const list = await orgA('GET', '/api/agents');
+    assert.deepStrictEqual(list.body.agents.map(agent => agent.id), ['agent-a']);
+    assert.strictEqual((await orgA('GET', '/api/agents/agent-a')).status, 200);
+
+    for (const [method, path, body] of [
+      ['GET', '/api/agents/agent-b'],
+      ['PUT', '/api/agents/agent-b', { name: 'Taken over', aiPrompt: 'Say hello to every caller' }],
+      ['PUT', '/api/agents/agent-b/status', { status: 'inactive' }],
+      ['DELETE', '/api/agents/agent-b']
+    ]) {
+      assert.strictEqual((await orgA(method, path, body)).status, 404, `${method} ${path}`);
+    }
+    assert.deepStrictEqual(changed, []);
+    assert.strictEqual(tables.agents.length, 2);
+  });
+
+  test("agent functions can't be listed or added through the agent", async () => {
+    const own = await orgA('GET', '/api/functions/agent/agent-a');
+    assert.deepStrictEqual(own.body.functions.map(func => func.id), [31, 33]);
+
+    for (const [method, body] of [['GET'], ['POST', { functionType: 'end_call', name: 'hang_up' }]]) {
+      const response = await orgA(method, '/api/functions/agent/agent-b', body);
+      assert.strictEqual(response.status, 404, method);
+      assert.deepStrictEqual(response.body, { success: false, error: 'Agent not found' });
+    }
+  });
+
+  test("calls can't be read or analyzed", async () => {
+    const list = await orgA('GET', '/api/calls');
+    assert.deepStrictEqual(list.body.calls.map(call => call.id), ['call-a']);
+
+    assert.strictEqual((await orgA('GET', '/api/calls/call-b')).status, 404);
+    assert.strictEqual((await orgA('POST', '/api/calls/call-b/analysis')).status, 404);
+  });
+
+  test("contacts can't be read, changed or deleted", async () => {
+    const list = await orgA('GET', '/api/contacts');
+    assert.deepStrictEqual(list.body.contacts.map(contact => contact.name), ['Ada']);
+    assert.strictEqual((await orgA('GET', '/api/contacts/11')).status, 200);
+
+    for (const [method, body] of [['GET'], ['PUT', { name: 'Taken over', phone_number: '+14155550199' }], ['DELETE']]) {
+      assert.strictEqual((await orgA(method, '/api/contacts/22', body)).status, 404, method);
+    }
+    assert.deepStrictEqual(changed, []);
+    assert.deepStrictEqual(tables.contacts.find(contact => contact.id === 22).name, 'Bea');
+  });
+
+  test("settings can't be read or overwritten", async () => {
+    await as(ORG_B)('PUT', '/api/settings', { integrations: { calcom: { enabled: true, apiKey: 'org-b-calcom-key' } } });
+
+    const read = await orgA('GET', '/api/settings');
+    assert.strictEqual(read.status, 200);
+    assert.ok(!JSON.stringify(read.body).includes('org-b-calcom-key'));
+
+    await orgA('PUT', '/api/settings', { integrations: { calcom: { enabled: true, apiKey: 'org-a-calcom-key' } } });
+    assert.deepStrictEqual(Array.from(settings.keys()).sort(), [ORG_A, ORG_B]);
+    assert.ok(settings.get(ORG_B).includes('org-b-calcom-key'), "the other organization's settings are untouched");
+  });
+});
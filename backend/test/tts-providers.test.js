@@ -0,0 +1,294 @@
+/**
+ * Text-to-Speech Provider Tests
+ * Checks voice selection, fallback when a voice errors or misses the latency
+ * budget, signed <Play> audio IDs, the disk cache, the <Say> last resort and
+ * replies streamed sentence by sentence,
+ * using fake providers registered alongside the real ones and a temporary
+ * cache directory. No database or API keys needed.
+ */
+
+const { sleep } = require('./helpers');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const ttsService = require('../services/ttsService');
+const ttsCacheService = require('../services/ttsCacheService');
+const sttService = require('../services/sttService');
+const { createMulawEncoder } = require('../utils/audio');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Provider that answers after delayMs with "<name>:<text>" (the text
+ * chunkDelayMs later), or fails
+ */
+class FakeProvider {
+  constructor(name, { delayMs = 0, chunkDelayMs = 0, fail = false } = {}) {
+    this.name = name;
+    this.label = name;
+    this.producesAudio = true;
+    this.playContentType = 'audio/mpeg';
+    this.defaultVoice = `${name}-voice`;
+    this.model = 'fake-model';
+    this.delayMs = delayMs;
+    this.chunkDelayMs = chunkDelayMs;
+    this.fail = fail;
+    this.calls = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async synthesize(text, voice, { format, signal }) {
+    const call = { text, voice, format, aborted: false };
+    this.calls.push(call);
+    signal?.addEventListener('abort', () => { call.aborted = true; });
+
+    await sleep(this.delayMs);
+    if (this.fail) {
+      throw new Error(`${this.name} is down`);
+    }
+    const chunkDelayMs = this.chunkDelayMs;
+    const chunks = async function* (name) {
+      yield Buffer.from(`${name}:`);
+      await sleep(chunkDelayMs);
+      yield Buffer.from(text);
+    };
+    return { stream: Readable.from(chunks(this.name)), contentType: 'audio/mpeg' };
+  }
+}
+
+const voices = (primary, fallback, latencyBudgetMs = 100) => ({
+  primary: { provider: primary, voice: `${primary}-voice` },
+  fallback: fallback ? { provider: fallback, voice: `${fallback}-voice` } : null,
+  latencyBudgetMs
+});
+
+const fast = new FakeProvider('fake-fast');
+const streaming = new FakeProvider('fake-streaming', { chunkDelayMs: 50 });
+const slow = new FakeProvider('fake-slow', { delayMs: 300 });
+const broken = new FakeProvider('fake-broken', { fail: true });
+[fast, streaming, slow, broken].forEach(provider => ttsService.registerProvider(provider));
+
+before(async () => {
+  ttsCacheService.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tts-cache-'));
+});
+
+after(() => fs.promises.rm(ttsCacheService.dir, { recursive: true, force: true }));
+
+// Every test starts with all voices healthy
+beforeEach(() => ttsService.unhealthyUntil.clear());
+
+test('agents without a voice configuration use the TTS_* defaults', async () => {
+  const resolved = ttsService.resolveVoices({ agent_id: 'a1', voice: 'Emma', voice_config: null });
+  assert.deepStrictEqual(resolved.primary, { provider: 'elevenlabs', voice: '21m00Tcm4TlvDq8ikWAM' });
+  assert.deepStrictEqual(resolved.fallback, { provider: 'twilio', voice: 'Polly.Joanna' });
+  assert.strictEqual(resolved.latencyBudgetMs, 1500);
+});
+
+test('agent voice configuration overrides the defaults', async () => {
+  const resolved = ttsService.resolveVoices({
+    voice_config: { primary: { provider: 'openai', voice: 'nova' }, fallback: { provider: 'piper' }, latencyBudgetMs: 800 }
+  });
+  assert.deepStrictEqual(resolved.primary, { provider: 'openai', voice: 'nova' });
+  assert.deepStrictEqual(resolved.fallback.provider, 'piper');
+  assert.strictEqual(resolved.latencyBudgetMs, 800);
+});
+
+test('falls back when the primary voice errors', async () => {
+  const audio = await ttsService.synthesize('Hello there', voices('fake-broken', 'fake-fast'), { format: 'ulaw_8000' });
+  assert.strictEqual(audio.provider, 'fake-fast');
+  assert.strictEqual(fast.calls.at(-1).format, 'ulaw_8000');
+  assert.strictEqual((await readAll(audio.stream)).toString(), 'fake-fast:Hello there');
+});
+
+test('falls back and cancels the primary when it misses the latency budget', async () => {
+  const startedAt = Date.now();
+  const audio = await ttsService.synthesize('Hello there', voices('fake-slow', 'fake-fast', 100));
+  assert.strictEqual(audio.provider, 'fake-fast');
+  assert.ok(Date.now() - startedAt < 250, `took ${Date.now() - startedAt}ms`);
+  assert.strictEqual(slow.calls.at(-1).aborted, true);
+});
+
+test('a voice that just failed is tried after the fallback', async () => {
+  await ttsService.synthesize('One', voices('fake-broken', 'fake-fast'));
+  const callCount = broken.calls.length;
+  const audio = await ttsService.synthesize('Two', voices('fake-broken', 'fake-fast'));
+  assert.strictEqual(audio.provider, 'fake-fast');
+  assert.strictEqual(broken.calls.length, callCount);
+});
+
+test('throws when every audio voice fails', async () => {
+  await assert.rejects(
+    ttsService.synthesize('Hello', voices('fake-broken', 'fake-slow', 50)),
+    /All text-to-speech voices failed/
+  );
+});
+
+test('audio still rendering can be fetched by several requests', async () => {
+  const speech = await ttsService.prepareSpeech('Welcome back', voices('fake-streaming', 'twilio'));
+  assert.match(speech.audioId, /^[0-9a-f]{32}\.[\w-]{22}$/);
+
+  const [first, second] = await Promise.all([ttsService.openAudio(speech.audioId), ttsService.openAudio(speech.audioId)]);
+  assert.strictEqual((await readAll(first.stream)).toString(), 'fake-streaming:Welcome back');
+  assert.strictEqual((await readAll(second.stream)).toString(), 'fake-streaming:Welcome back');
+});
+
+test('rendered audio is reused from the cache across calls', async () => {
+  const calls = streaming.calls.length;
+  const speech = await ttsService.prepareSpeech('Welcome back', voices('fake-streaming', 'twilio'));
+  assert.strictEqual(streaming.calls.length, calls);
+
+  const audio = await ttsService.openAudio(speech.audioId);
+  assert.strictEqual(audio.contentType, 'audio/mpeg');
+  assert.strictEqual((await readAll(audio.stream)).toString(), 'fake-streaming:Welcome back');
+});
+
+test('forged or tampered audio IDs are refused', async () => {
+  const speech = await ttsService.prepareSpeech('Your balance is zero', voices('fake-fast', 'twilio'));
+  const [key] = speech.audioId.split('.');
+  const otherKey = ttsCacheService.keyFor({ text: 'Anything I like', provider: 'fake-fast', voice: 'fake-fast-voice', model: 'fake-model', format: 'play' });
+
+  assert.strictEqual(await ttsService.openAudio(`${key}.${'A'.repeat(22)}`), null);
+  assert.strictEqual(await ttsService.openAudio(`${otherKey}.${speech.audioId.split('.')[1]}`), null);
+  assert.strictEqual(await ttsService.openAudio('Anything I like'), null);
+});
+
+test('audio cut off by barge-in is not cached', async () => {
+  const audio = await ttsService.synthesize('Let me tell you about', voices('fake-streaming', null), { format: 'ulaw_8000' });
+  for await (const chunk of audio.stream) {
+    assert.ok(chunk);
+    break;
+  }
+  await sleep(80);
+  assert.strictEqual(await ttsCacheService.get(audio.cacheKey), null);
+});
+
+test('least recently used audio is evicted past the size limit', async () => {
+  const cache = new ttsCacheService.constructor();
+  cache.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'tts-evict-'));
+  cache.maxBytes = 250;
+  try {
+    await cache.put('a'.repeat(32), Buffer.alloc(100), 'audio/mpeg');
+    await sleep(5);
+    await cache.put('b'.repeat(32), Buffer.alloc(100), 'audio/mpeg');
+    await sleep(5);
+    await cache.get('a'.repeat(32)); // a is now newer than b
+    await sleep(5);
+    await cache.put('c'.repeat(32), Buffer.alloc(100), 'audio/mpeg');
+
+    assert.ok(await cache.get('a'.repeat(32)));
+    assert.strictEqual(await cache.get('b'.repeat(32)), null);
+    assert.deepStrictEqual(await cache.getStats(), { entries: 2, bytes: 200, maxBytes: 250 });
+
+    // A restarted server finds what is on disk
+    const restarted = new ttsCacheService.constructor();
+    restarted.dir = cache.dir;
+    assert.strictEqual((await restarted.getStats()).entries, 2);
+    assert.ok(await restarted.get('c'.repeat(32)));
+  } finally {
+    await fs.promises.rm(cache.dir, { recursive: true, force: true });
+  }
+});
+
+test('<Say> is the last resort when no audio voice works', async () => {
+  const speech = await ttsService.prepareSpeech('Welcome back', voices('fake-broken', 'twilio'));
+  assert.deepStrictEqual(speech, { say: { text: 'Welcome back', voice: 'twilio-voice' } });
+
+  // Still marked unhealthy: the next line goes straight to <Say>
+  const calls = broken.calls.length;
+  const next = await ttsService.prepareSpeech('Anything else?', voices('fake-broken', 'twilio'));
+  assert.ok(next.say);
+  assert.strictEqual(broken.calls.length, calls);
+});
+
+test('<Say> voices are spoken inside the listening <Gather>', async () => {
+  const twiml = sttService.buildListenTwiML({ provider: 'twilio', language: 'en-US', keywords: [] }, {
+    prompt: { say: { text: 'How can I help?', voice: 'Polly.Matthew' } },
+    actionUrl: 'https://example.test/api/webhooks/speech',
+    partialUrl: 'https://example.test/api/webhooks/speech-partial'
+  });
+  assert.match(twiml, /<Gather [^>]*><Say voice="Polly.Matthew">How can I help\?<\/Say><\/Gather>/);
+});
+
+test('only voices that all render MP3 can stream a reply', async () => {
+  const wav = new FakeProvider('fake-wav');
+  wav.playContentType = 'audio/wav';
+  ttsService.registerProvider(wav);
+
+  assert.strictEqual(ttsService.canStreamSpeech(voices('fake-fast', 'twilio')), true);
+  assert.strictEqual(ttsService.canStreamSpeech(voices('twilio')), false);
+  assert.strictEqual(ttsService.canStreamSpeech(voices('fake-fast', 'fake-wav')), false, 'WAV files cannot be joined');
+  assert.strictEqual(ttsService.canStreamSpeech(voices('fake-wav')), false);
+});
+
+test('a streamed reply renders each sentence as it arrives and plays them in order', async () => {
+  const callsBefore = streaming.calls.length;
+  const speechStream = ttsService.createSpeechStream(voices('fake-streaming'));
+  speechStream.add('Happy to help.');
+  speechStream.add('Which day suits you?');
+
+  // The second sentence is rendering before the first has finished
+  await sleep(20);
+  assert.deepStrictEqual(streaming.calls.slice(callsBefore).map(call => call.text), ['Happy to help.', 'Which day suits you?']);
+  assert.strictEqual(await speechStream.started, true);
+
+  speechStream.add('Mornings are open.');
+  speechStream.end();
+
+  const audio = await ttsService.openAudio(speechStream.audioId);
+  assert.strictEqual(audio.contentType, 'audio/mpeg');
+  assert.strictEqual((await readAll(audio.stream)).toString(),
+    'fake-streaming:Happy to help.fake-streaming:Which day suits you?fake-streaming:Mornings are open.');
+
+  // Twilio may fetch it again
+  const again = await ttsService.openAudio(speechStream.audioId);
+  assert.ok((await readAll(again.stream)).toString().endsWith('Mornings are open.'));
+});
+
+test('a streamed reply no voice can speak reports that it never started', async () => {
+  const speechStream = ttsService.createSpeechStream(voices('fake-broken'));
+  speechStream.add('Hello there.');
+  speechStream.end();
+
+  assert.strictEqual(await speechStream.started, false);
+});
+
+test('listening can hand over to a redirect once the prompt has played', async () => {
+  const options = {
+    prompt: { audioUrl: 'https://example.test/api/webhooks/tts-stream/abc' },
+    actionUrl: 'https://example.test/api/webhooks/speech',
+    partialUrl: 'https://example.test/api/webhooks/speech-partial',
+    redirectUrl: 'https://example.test/api/webhooks/reply-end?callId=call_1'
+  };
+
+  const gather = sttService.buildListenTwiML({ provider: 'twilio', language: 'en-US', keywords: [] }, options);
+  assert.match(gather, /<Gather [^>]*timeout="1"[^>]*><Play>https:\/\/example.test\/api\/webhooks\/tts-stream\/abc<\/Play><\/Gather>/);
+  assert.match(gather, /<Redirect method="POST">https:\/\/example.test\/api\/webhooks\/reply-end\?callId=call_1<\/Redirect><\/Response>$/);
+  assert.ok(!gather.includes('<Say>'));
+
+  const record = sttService.buildListenTwiML({ provider: 'deepgram', language: 'en-US', keywords: [] }, options);
+  assert.ok(!record.includes('<Record'), 'the caller is recorded after the redirect');
+  assert.match(record, /<Play>[^<]+<\/Play><Redirect/);
+});
+
+test('PCM is encoded to 8 kHz μ-law without losing audio between chunks', async () => {
+  // One second of 24 kHz PCM in odd-sized chunks
+  const pcm = Buffer.alloc(48000);
+  const chunks = [];
+  for (let offset = 0; offset < pcm.length; offset += 1001) {
+    chunks.push(pcm.subarray(offset, offset + 1001));
+  }
+  const mulaw = await readAll(Readable.from(chunks).pipe(createMulawEncoder(24000)));
+  assert.strictEqual(mulaw.length, 8000);
+});
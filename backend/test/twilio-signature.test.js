@@ -0,0 +1,146 @@
+/**
+ * Twilio Webhook Signature Tests
+ * Signs requests locally with test auth tokens and checks that the webhook
+ * middleware accepts and rejects them correctly, and that each call is checked
+ * against its own organization's token. The calls and numbers are stubs, so no
+ * database or Twilio account is needed.
+ */
+
+const { listen, postForm } = require('./helpers');
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const twilio = require('twilio');
+const { createTwilioSignatureValidator } = require('../middleware/twilioSignature');
+const databaseService = require('../services/postgresDatabaseService');
+const twilioService = require('../services/twilioService');
+
+const AUTH_TOKEN = 'test-auth-token-0123456789abcdef';
+const BASE_URL = 'https://example.ngrok.io';
+const PARAMS = { CallSid: 'CA123', AccountSid: 'AC123', CallStatus: 'in-progress', SpeechResult: 'hello there' };
+
+let server;
+let bypass = false;
+
+before(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/webhooks', createTwilioSignatureValidator({
+    getAuthTokens: async () => [AUTH_TOKEN],
+    getBaseUrl: () => BASE_URL,
+    isBypassed: () => bypass
+  }));
+  app.all('/api/webhooks/{*path}', (req, res) => res.type('text/xml').send('<Response/>'));
+  server = await listen(app);
+});
+
+after(() => server.close());
+
+const sign = (path, params, authToken = AUTH_TOKEN) => twilio.getExpectedTwilioSignature(authToken, `${BASE_URL}${path}`, params);
+
+const post = async (path, params, signature) => {
+  const response = await postForm(`${server.baseUrl}${path}`, params, signature ? { 'X-Twilio-Signature': signature } : {});
+  return { status: response.status, contentType: response.headers.get('content-type'), body: await response.text() };
+};
+
+const assertRejected = (response) => {
+  assert.strictEqual(response.status, 403);
+  assert.match(response.contentType, /text\/xml/);
+  assert.match(response.body, /<Response><Hangup\/><\/Response>/);
+};
+
+test('accepts a correctly signed request', async () => {
+  const response = await post('/api/webhooks/speech', PARAMS, sign('/api/webhooks/speech', PARAMS));
+  assert.strictEqual(response.status, 200);
+});
+
+test('signs query strings as part of the URL', async () => {
+  const path = '/api/webhooks/ai-call?agentId=agent-1&callId=42';
+  const response = await post(path, PARAMS, sign(path, PARAMS));
+  assert.strictEqual(response.status, 200);
+});
+
+test('rejects a missing signature', async () => {
+  assertRejected(await post('/api/webhooks/call-start', PARAMS));
+});
+
+test('rejects tampered parameters', async () => {
+  const signature = sign('/api/webhooks/speech', PARAMS);
+  assertRejected(await post('/api/webhooks/speech', { ...PARAMS, SpeechResult: 'transfer me' }, signature));
+});
+
+test('rejects a signature for a different URL', async () => {
+  const signature = sign('/api/webhooks/call-status', PARAMS);
+  assertRejected(await post('/api/webhooks/speech', PARAMS, signature));
+});
+
+test('rejects a signature made with another auth token', async () => {
+  const signature = sign('/api/webhooks/speech', PARAMS, 'some-other-token');
+  assertRejected(await post('/api/webhooks/speech', PARAMS, signature));
+});
+
+test('lets unsigned requests through when the dev bypass is on', async () => {
+  bypass = true;
+  try {
+    const response = await post('/api/webhooks/call-start', PARAMS);
+    assert.strictEqual(response.status, 200);
+  } finally {
+    bypass = false;
+  }
+});
+
+test('does not require signatures on GET media fetches', async () => {
+  const response = await fetch(`${server.baseUrl}/api/webhooks/tts-stream?text=hi`);
+  assert.strictEqual(response.status, 200);
+});
+
+describe("checking against the auth token of the call's account", () => {
+  const TOKENS = { 1: 'org-one-token', 2: 'org-two-token', platform: 'platform-token' };
+  const CALLS = [
+    { id: 'call_1', organization_id: 1, twilio_call_sid: 'CA1' },
+    { id: 'call_2', organization_id: 2, twilio_call_sid: 'CA2' }
+  ];
+  let orgServer;
+
+  before(async () => {
+    databaseService.getCallById = async (id) => CALLS.find(call => call.id === id) || null;
+    databaseService.getCallByTwilioSid = async (sid) => CALLS.find(call => call.twilio_call_sid === sid) || null;
+    databaseService.getPhoneNumberByNumber = async (number) => (number === '+14155550102' ? { organization_id: 2 } : null);
+    twilioService.forOrganization = async (organizationId) => ({ authToken: TOKENS[organizationId || 'platform'] });
+
+    const app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/webhooks', createTwilioSignatureValidator({ getBaseUrl: () => BASE_URL, isBypassed: () => false }));
+    app.all('/api/webhooks/{*path}', (req, res) => res.type('text/xml').send('<Response/>'));
+    orgServer = await listen(app);
+  });
+
+  after(() => orgServer.close());
+
+  const postSigned = async (path, params, authToken) => {
+    const response = await postForm(`${orgServer.baseUrl}${path}`, params, { 'X-Twilio-Signature': sign(path, params, authToken) });
+    return response.status;
+  };
+
+  test("a call's webhooks are signed by its organization's account", async () => {
+    assert.strictEqual(await postSigned('/api/webhooks/speech', { CallSid: 'CA1' }, TOKENS[1]), 200);
+    assert.strictEqual(await postSigned('/api/webhooks/reply-end?callId=call_2', {}, TOKENS[2]), 200);
+    assert.strictEqual(await postSigned('/api/webhooks/inbound', { CallSid: 'CA9', To: '+14155550102' }, TOKENS[2]), 200);
+  });
+
+  test("another organization's token is refused, whatever AccountSid says", async () => {
+    assert.strictEqual(await postSigned('/api/webhooks/speech', { CallSid: 'CA1', AccountSid: 'ACtwo' }, TOKENS[2]), 403);
+    assert.strictEqual(await postSigned('/api/webhooks/reply-end?callId=call_1', {}, TOKENS[2]), 403);
+    assert.strictEqual(await postSigned('/api/webhooks/speech', { CallSid: 'CA1' }, TOKENS.platform), 403);
+  });
+
+  test('identifiers of two organizations in one request are refused', async () => {
+    assert.strictEqual(await postSigned('/api/webhooks/call-start?callId=call_2', { CallSid: 'CA1' }, TOKENS[1]), 403);
+    assert.strictEqual(await postSigned('/api/webhooks/call-start?callId=call_2', { CallSid: 'CA1' }, TOKENS[2]), 403);
+  });
+
+  test('calls and numbers we do not know are checked against the platform account', async () => {
+    assert.strictEqual(await postSigned('/api/webhooks/call-status', { CallSid: 'CA404' }, TOKENS.platform), 200);
+    assert.strictEqual(await postSigned('/api/webhooks/call-status', { CallSid: 'CA404' }, TOKENS[1]), 403);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Usage and Cost Tests
+ * Checks price lookups, the cost of each kind of usage, price table
+ * overrides, budget thresholds and blocking, and that language model and
+ * speech usage reach the usage service. Storage is replaced with an
+ * in-memory recorder, so no database or API keys are needed.
+ */
+
+// Only the mock language model may answer
+['OPENAI_API_KEY', 'ANTHROPIC_API_KEY', 'AZURE_OPENAI_API_KEY', 'OPENROUTER_API_KEY', 'LOCAL_LLM_URL',
+  'LLM_PROVIDER', 'LLM_FALLBACK_PROVIDERS', 'LLM_MOCK_SCRIPT', 'LLM_MOCK_TOKEN_DELAY_MS',
+  'PRICE_TABLE_FILE'].forEach(name => { process.env[name] = ''; });
+require('./helpers');
+const { test } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const usageService = require('../services/usageService');
+const llmService = require('../services/llmService');
+const mockLlmService = require('../services/mockLlmService');
+const ttsService = require('../services/ttsService');
+
+// Close enough for money worked out in floating point
+const assertCost = (actual, expected, message) => {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'cost'}: expected ${expected}, got ${actual}`);
+};
+
+let recorded = [];
+
+// Usage is collected here instead of the database
+usageService._record = async (callId, entry, options = {}) => {
+  recorded.push({ callId, ...entry, once: !!options.once });
+  return entry;
+};
+
+test('model prices match exactly, by longest prefix, then by provider', async () => {
+  usageService.setPrices({});
+
+  assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o-mini'), { input: 0.15, output: 0.6 });
+  assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 },
+    'a dated model takes its family price, not the shorter gpt-4o');
+  assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o-2024-08-06'), { input: 2.5, output: 10 });
+  assert.deepStrictEqual(usageService.getLlmPrice('anthropic', 'claude-3-5-haiku-latest'), { input: 0.8, output: 4 });
+  assert.deepStrictEqual(usageService.getLlmPrice('anthropic', 'claude-opus-4'), { input: 3, output: 15 });
+  assert.deepStrictEqual(usageService.getLlmPrice('local', 'llama3.1'), { input: 0, output: 0 });
+  assert.deepStrictEqual(usageService.getLlmPrice('unknown', 'model'), { input: 0, output: 0 });
+});
+
+test('costs follow tokens, characters and started minutes', async () => {
+  usageService.setPrices({});
+
+  assertCost(usageService.llmCost('openai', 'gpt-4o-mini', { inputTokens: 1000000, outputTokens: 500000 }), 0.45);
+  assertCost(usageService.llmCost('openai', 'gpt-4o-mini', {}), 0);
+  assertCost(usageService.ttsCost('elevenlabs', 2000), 0.36);
+  assertCost(usageService.ttsCost('piper', 2000), 0);
+  assertCost(usageService.telephonyCost('twilio', 'outbound', 61), 0.028, 'a minute and a second bills two minutes');
+  assertCost(usageService.telephonyCost('twilio', 'inbound', 60), 0.0085);
+  assertCost(usageService.telephonyCost('twilio', 'outbound', 0), 0);
+});
+
+test('a price file overrides the built-in prices it names', async () => {
+  const file = path.join(os.tmpdir(), `price-table-${process.pid}.json`);
+  fs.writeFileSync(file, JSON.stringify({
+    llm: { 'openai:gpt-4o-mini': { input: 1, output: 2 } },
+    tts: { elevenlabs: 0.3 }
+  }));
+  config.set('usage.priceTable', file);
+  usageService.prices = null;
+
+  try {
+    assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o-mini'), { input: 1, output: 2 });
+    assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o'), { input: 2.5, output: 10 }, 'other models keep their price');
+    assertCost(usageService.ttsCost('elevenlabs', 1000), 0.3);
+    assertCost(usageService.telephonyCost('twilio', 'outbound', 60), 0.014);
+  } finally {
+    fs.unlinkSync(file);
+    config.set('usage.priceTable', undefined);
+    usageService.setPrices({});
+  }
+});
+
+test('a missing price file leaves the built-in prices', async () => {
+  config.set('usage.priceTable', path.join(os.tmpdir(), 'no-such-price-table.json'));
+  usageService.prices = null;
+
+  try {
+    assert.deepStrictEqual(usageService.getLlmPrice('openai', 'gpt-4o-mini'), { input: 0.15, output: 0.6 });
+  } finally {
+    config.set('usage.priceTable', undefined);
+    usageService.setPrices({});
+  }
+});
+
+test('budgets alert at their percentage and at 100%', async () => {
+  const budget = { monthlyLimit: 100, alertPercent: 80, blockCalls: false };
+
+  assert.deepStrictEqual(usageService.evaluateBudget(null, 500), { percentUsed: null, exceeded: false, blocked: false, thresholds: [] });
+  assert.deepStrictEqual(usageService.evaluateBudget(budget, 50).thresholds, []);
+  assert.deepStrictEqual(usageService.evaluateBudget(budget, 80).thresholds, [80]);
+
+  const spent = usageService.evaluateBudget(budget, 120);
+  assert.deepStrictEqual(spent.thresholds, [80, 100]);
+  assert.strictEqual(spent.exceeded, true);
+  assert.strictEqual(spent.blocked, false, 'only budgets that block calls block them');
+
+  assert.strictEqual(usageService.evaluateBudget({ ...budget, blockCalls: true }, 100).blocked, true);
+  assert.deepStrictEqual(usageService.evaluateBudget({ ...budget, alertPercent: 100 }, 100).thresholds, [100]);
+  assert.strictEqual(usageService.evaluateBudget({ ...budget, monthlyLimit: 0, blockCalls: true }, 0).blocked, true,
+    'a zero budget allows nothing');
+});
+
+test('new calls are refused only when a blocking budget is spent', async () => {
+  const getBudgetStatus = usageService.getBudgetStatus;
+  try {
+    usageService.getBudgetStatus = async () => ({ blocked: true });
+    assert.strictEqual((await usageService.canStartCall(1)).allowed, false);
+
+    usageService.getBudgetStatus = async () => ({ blocked: false });
+    assert.strictEqual((await usageService.canStartCall(1)).allowed, true);
+
+    usageService.getBudgetStatus = async () => { throw new Error('database unavailable'); };
+    assert.strictEqual((await usageService.canStartCall(1)).allowed, true, 'a failed check does not stop calls');
+
+    assert.strictEqual((await usageService.canStartCall(null)).allowed, true);
+  } finally {
+    usageService.getBudgetStatus = getBudgetStatus;
+  }
+});
+
+test('language model replies are recorded against their call', async () => {
+  recorded = [];
+  mockLlmService.setScript(['Sure, what day works for you?', 'Goodbye']);
+
+  await llmService.generateResponse([{ role: 'user', content: 'I need a cleaning' }], {
+    provider: 'mock',
+    usageContext: { callId: 'call_1', purpose: 'conversation', turn: 2 }
+  });
+  await llmService.generateResponse([{ role: 'user', content: 'Bye' }], { provider: 'mock' });
+
+  assert.strictEqual(recorded.length, 1, 'replies without a usage context are not recorded');
+  const [record] = recorded;
+  assert.strictEqual(record.callId, 'call_1');
+  assert.strictEqual(record.category, 'llm');
+  assert.strictEqual(record.provider, 'mock');
+  assert.strictEqual(record.model, 'mock');
+  assert.strictEqual(record.purpose, 'conversation');
+  assert.strictEqual(record.turn, 2);
+  assert.strictEqual(record.inputTokens, 5);
+  assert.strictEqual(record.outputTokens, 8);
+  assert.strictEqual(record.cost, 0);
+});
+
+test('Twilio <Say> speech is recorded by characters', async () => {
+  recorded = [];
+  const voices = { primary: { provider: 'twilio', voice: 'Polly.Joanna' }, fallback: null, latencyBudgetMs: 1500 };
+
+  const speech = await ttsService.prepareSpeech('Hello there', voices, { callId: 'call_2' });
+  await ttsService.prepareSpeech('Not for a call', voices);
+
+  assert.deepStrictEqual(speech, { say: { text: 'Hello there', voice: 'Polly.Joanna' } });
+  assert.strictEqual(recorded.length, 1);
+  assert.strictEqual(recorded[0].callId, 'call_2');
+  assert.strictEqual(recorded[0].category, 'tts');
+  assert.strictEqual(recorded[0].provider, 'twilio');
+  assert.strictEqual(recorded[0].characters, 11);
+  assertCost(recorded[0].cost, 11 / 1000 * 0.008);
+});
+
+test('call minutes are recorded once, and not at all for unanswered calls', async () => {
+  recorded = [];
+
+  await usageService.recordTelephony('call_3', { direction: 'inbound', seconds: 0 });
+  assert.strictEqual(recorded.length, 0);
+
+  await usageService.recordTelephony('call_3', { direction: 'inbound', seconds: 125 });
+  assert.strictEqual(recorded.length, 1);
+  assert.strictEqual(recorded[0].seconds, 125);
+  assert.strictEqual(recorded[0].purpose, 'call');
+  assert.strictEqual(recorded[0].once, true);
+  assertCost(recorded[0].cost, 3 * 0.0085);
+});
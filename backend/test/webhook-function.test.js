@@ -0,0 +1,196 @@
+/**
+ * Webhook Custom Function Tests
+ * Runs the webhook function type against a local stub server to check
+ * templating, retries, timeouts and response extraction, and checks that
+ * private and metadata addresses are refused. No database needed.
+ */
+
+const { listen } = require('./helpers');
+const { describe, test, before, after } = require('node:test');
+const assert = require('assert');
+const express = require('express');
+const config = require('../config/config');
+const customFunctionService = require('../services/customFunctionService');
+
+const CALL_CONTEXT = {
+  callId: 'call-123',
+  agentId: 'agent-abc',
+  customerPhone: '+15555550100',
+  customerName: 'Jane Caller'
+};
+
+const requests = [];
+let flakyAttempts = 0;
+let server;
+let baseUrl;
+
+const lastRequest = () => requests[requests.length - 1];
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, query: req.query, headers: req.headers, body: req.body });
+    next();
+  });
+
+  app.post('/orders', (req, res) => res.json({ data: { order: { id: 'ord_1', status: 'shipped' } }, echo: req.body }));
+  app.get('/lookup', (req, res) => res.json({ found: true, query: req.query }));
+  app.post('/flaky', (req, res) => {
+    flakyAttempts++;
+    if (flakyAttempts < 3) {
+      return res.status(503).json({ error: 'try again' });
+    }
+    res.json({ ok: true, attempts: flakyAttempts });
+  });
+  app.post('/bad-request', (req, res) => res.status(400).json({ error: 'missing field' }));
+  app.post('/slow', (req, res) => setTimeout(() => res.json({ ok: true }), 1000));
+  app.get('/large', (req, res) => res.send('x'.repeat(10000)));
+  app.get('/huge', (req, res) => res.send('x'.repeat(2 * 1024 * 1024)));
+  app.post('/moved', (req, res) => res.redirect(307, '/orders'));
+
+  server = await listen(app);
+  baseUrl = server.baseUrl;
+});
+
+after(() => server.close());
+
+describe('calling the stub server', () => {
+  // The stub server is on loopback, which the address guard refuses otherwise
+  before(() => config.set('outboundUrls.allowPrivate', true));
+  after(() => config.set('outboundUrls.allowPrivate', false));
+
+  test('interpolates arguments and call context into the body and headers', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/orders`,
+      method: 'POST',
+      headers: { 'X-Call-Id': '{{call.callId}}' },
+      bodyTemplate: {
+        orderNumber: '{{args.orderNumber}}',
+        quantity: '{{args.quantity}}',
+        caller: { phone: '{{call.callerPhone}}', agent: '{{call.agentId}}' },
+        note: 'Order {{args.orderNumber}} for {{call.customerName}}'
+      },
+      responsePath: 'data.order.status'
+    }, { orderNumber: 'A-100', quantity: 2 }, CALL_CONTEXT);
+
+    assert.deepStrictEqual(result, { success: true, status: 200, data: 'shipped' });
+
+    const request = lastRequest();
+    assert.strictEqual(request.headers['x-call-id'], 'call-123');
+    assert.deepStrictEqual(request.body, {
+      orderNumber: 'A-100',
+      quantity: 2,
+      caller: { phone: '+15555550100', agent: 'agent-abc' },
+      note: 'Order A-100 for Jane Caller'
+    });
+  });
+
+  test('accepts a body template saved as JSON text', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/orders`,
+      bodyTemplate: '{"phone": "{{call.callerPhone}}"}',
+      responsePath: 'echo'
+    }, {}, CALL_CONTEXT);
+
+    assert.deepStrictEqual(result.data, { phone: '+15555550100' });
+  });
+
+  test('sends arguments as the query string for GET without a template', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/lookup?caller={{call.callerPhone}}`,
+      method: 'GET'
+    }, { sku: 'SKU 1' }, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual({ ...lastRequest().query }, { caller: '+15555550100', sku: 'SKU 1' });
+  });
+
+  test('retries server errors until the call succeeds', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/flaky`,
+      retries: 2
+    }, {}, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.data.attempts, 3);
+  });
+
+  test('does not retry client errors', async () => {
+    const requestCount = requests.length;
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/bad-request`,
+      retries: 3
+    }, {}, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(requests.length - requestCount, 1);
+  });
+
+  test('gives up after the timeout', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/slow`,
+      timeoutMs: 200
+    }, {}, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /timeout/i);
+  });
+
+  test('trims large responses before they reach the model', async () => {
+    const result = await customFunctionService.executeWebhook({
+      url: `${baseUrl}/large`,
+      method: 'GET'
+    }, {}, CALL_CONTEXT);
+
+    assert.ok(result.data.length < 2100);
+    assert.match(result.data, /\[truncated\]$/);
+  });
+
+  test('rejects URLs that are not http(s)', async () => {
+    await assert.rejects(
+      customFunctionService.executeWebhook({ url: 'file:///etc/passwd' }, {}, CALL_CONTEXT),
+      /must start with http/
+    );
+  });
+
+  test('does not follow redirects', async () => {
+    const result = await customFunctionService.executeWebhook({ url: `${baseUrl}/moved` }, {}, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, false);
+    assert.strictEqual(result.status, 307);
+    assert.notStrictEqual(lastRequest().path, '/orders');
+  });
+
+  test('refuses responses over the size cap', async () => {
+    const result = await customFunctionService.executeWebhook({ url: `${baseUrl}/huge`, method: 'GET' }, {}, CALL_CONTEXT);
+
+    assert.strictEqual(result.success, false);
+    assert.match(result.error, /maxContentLength/);
+  });
+});
+
+describe('the address guard', () => {
+  test('refuses loopback, private and metadata addresses when saved', async () => {
+    for (const url of ['http://127.0.0.1/hook', 'http://localhost:3000/hook', 'http://169.254.169.254/latest/meta-data',
+      'http://10.0.0.5/hook', 'http://[::1]/hook', 'http://[::ffff:127.0.0.1]/hook']) {
+      await assert.rejects(customFunctionService._validateWebhookConfig({ url }), /public address/, url);
+    }
+    await customFunctionService._validateWebhookConfig({ url: 'https://{{args.tenant}}.example.com/hook' });
+  });
+
+  test('refuses to call private addresses, including ones built from placeholders', async () => {
+    const requestCount = requests.length;
+    await assert.rejects(
+      customFunctionService.executeWebhook({ url: `${baseUrl}/orders` }, {}, CALL_CONTEXT),
+      /public address/
+    );
+    const templated = await customFunctionService.executeWebhook({ url: 'http://{{args.host}}/orders' }, { host: '169.254.169.254' }, CALL_CONTEXT);
+
+    assert.strictEqual(templated.success, false);
+    assert.match(templated.error, /public address/);
+    assert.strictEqual(requests.length, requestCount, 'no request reached the server');
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Audio helpers for telephony streams
+ * G.711 μ-law <-> 16-bit PCM (little-endian), plus minimal WAV read/write
+ * for local testing. Twilio Media Streams carry 8 kHz mono μ-law.
+ */
+
+const { Transform } = require('stream');
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_MULAW = 7;
+
+// Decoding is a table lookup; there are only 256 μ-law values
+const MULAW_DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const sign = value & 0x80;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  MULAW_DECODE_TABLE[i] = sign ? -magnitude : magnitude;
+}
+
+/**
+ * Encode one 16-bit sample as μ-law
+ */
+const encodeMulawSample = (sample) => {
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+};
+
+/**
+ * Decode μ-law bytes to 16-bit PCM
+ * @param {Buffer} mulaw - μ-law samples, one byte each
+ * @returns {Buffer} PCM16LE, two bytes per sample
+ */
+const mulawToPcm16 = (mulaw) => {
+  const pcm = Buffer.alloc(mulaw.length * 2);
+  for (let i = 0; i < mulaw.length; i++) {
+    pcm.writeInt16LE(MULAW_DECODE_TABLE[mulaw[i]], i * 2);
+  }
+  return pcm;
+};
+
+/**
+ * Encode 16-bit PCM to μ-law bytes
+ * @param {Buffer} pcm - PCM16LE
+ * @returns {Buffer} μ-law samples
+ */
+const pcm16ToMulaw = (pcm) => {
+  const sampleCount = Math.floor(pcm.length / 2);
+  const mulaw = Buffer.alloc(sampleCount);
+  for (let i = 0; i < sampleCount; i++) {
+    mulaw[i] = encodeMulawSample(pcm.readInt16LE(i * 2));
+  }
+  return mulaw;
+};
+
+/**
+ * Linear-interpolation resample of mono PCM16 (good enough for speech tests)
+ */
+const resamplePcm16 = (pcm, fromRate, toRate) => {
+  if (fromRate === toRate) {
+    return pcm;
+  }
+
+  const inputSamples = Math.floor(pcm.length / 2);
+  const outputSamples = Math.floor(inputSamples * toRate / fromRate);
+  const output = Buffer.alloc(outputSamples * 2);
+
+  for (let i = 0; i < outputSamples; i++) {
+    const position = i * fromRate / toRate;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, inputSamples - 1);
+    const fraction = position - index;
+    const sample = pcm.readInt16LE(index * 2) * (1 - fraction) + pcm.readInt16LE(next * 2) * fraction;
+    output.writeInt16LE(Math.round(sample), i * 2);
+  }
+
+  return output;
+};
+
+/**
+ * Read a PCM16 or μ-law WAV file, downmixed to mono PCM16
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {{ sampleRate: number, pcm: Buffer }}
+ */
+const readWav = (buffer) => {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      data = buffer.subarray(body, Math.min(body + chunkSize, buffer.length));
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+
+  let pcm;
+  if (format.audioFormat === WAV_FORMAT_PCM && format.bitsPerSample === 16) {
+    pcm = data;
+  } else if (format.audioFormat === WAV_FORMAT_MULAW && format.bitsPerSample === 8) {
+    pcm = mulawToPcm16(data);
+  } else {
+    throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit); use 16-bit PCM or μ-law`);
+  }
+
+  if (format.channels > 1) {
+    const frames = Math.floor(pcm.length / (2 * format.channels));
+    const mono = Buffer.alloc(frames * 2);
+    for (let i = 0; i < frames; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < format.channels; channel++) {
+        sum += pcm.readInt16LE((i * format.channels + channel) * 2);
+      }
+      mono.writeInt16LE(Math.round(sum / format.channels), i * 2);
+    }
+    pcm = mono;
+  }
+
+  return { sampleRate: format.sampleRate, pcm };
+};
+
+/**
+ * Wrap mono PCM16 in a WAV container
+ */
+const writeWav = (pcm, sampleRate) => {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(WAV_FORMAT_PCM, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(pcm.length, 40);
+  return Buffer.concat([header, pcm]);
+};
+
+/**
+ * Transform stream from raw mono PCM16 at any rate to 8 kHz μ-law, for
+ * TTS engines that cannot produce telephone audio themselves
+ * @param {number} fromRate - Input sample rate
+ */
+const createMulawEncoder = (fromRate) => {
+  // Resample whole blocks that map to a whole number of 8 kHz samples, so
+  // no audio is lost between chunks (3 samples at 24 kHz, 441 at 22.05 kHz)
+  const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+  const blockBytes = (fromRate / gcd(fromRate, 8000)) * 2;
+  let leftover = Buffer.alloc(0);
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const pcm = Buffer.concat([leftover, chunk]);
+      const usable = pcm.length - (pcm.length % blockBytes);
+      leftover = pcm.subarray(usable);
+      callback(null, pcm16ToMulaw(resamplePcm16(pcm.subarray(0, usable), fromRate, 8000)));
+    }
+  });
+};
+
+module.exports = {
+  mulawToPcm16,
+  pcm16ToMulaw,
+  resamplePcm16,
+  readWav,
+  writeWav,
+  createMulawEncoder
+};
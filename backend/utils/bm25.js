@@ -0,0 +1,107 @@
+/**
+ * BM25
+ * Keyword relevance ranking for knowledge base chunks. Text is reduced to
+ * terms (lowercased words without stop words, with plural and -ing/-ed
+ * endings trimmed); chunks are stored with their term counts so the index can
+ * be rebuilt without re-reading documents.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on',
+  'or', 'our', 'so', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'us',
+  'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Standard BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Trim common English endings so "hours" finds "hour" and "booking" finds "book"
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith('ies') && word.length > 4) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Search terms in a text, in order
+ */
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu) || [])
+  .map(word => word.replace(/['’]s$/, '').replace(/['’]/g, ''))
+  .filter(word => word && !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * How often each term occurs in a text, and how many terms it has
+ * @returns {{terms: Object<string, number>, length: number}}
+ */
+const termCounts = (text) => {
+  const tokens = tokenize(text);
+  const terms = {};
+  tokens.forEach(token => {
+    terms[token] = (terms[token] || 0) + 1;
+  });
+  return { terms, length: tokens.length };
+};
+
+class Bm25Index {
+  /**
+   * @param {Array<{id: *, terms: Object<string, number>, length: number}>} documents - From termCounts
+   */
+  constructor(documents) {
+    this.documents = documents;
+    this.documentFrequency = new Map();
+    documents.forEach(({ terms }) => {
+      Object.keys(terms).forEach(term => {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      });
+    });
+    const totalLength = documents.reduce((sum, { length }) => sum + length, 0);
+    this.averageLength = documents.length > 0 ? totalLength / documents.length : 0;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Documents matching a query, best first
+   * @returns {Array<{id: *, score: number}>} Only documents sharing a term with the query
+   */
+  search(query, limit = 5) {
+    const queryTerms = Array.from(new Set(tokenize(query))).filter(term => this.documentFrequency.has(term));
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const count = this.documents.length;
+    const idf = new Map(queryTerms.map(term => {
+      const frequency = this.documentFrequency.get(term);
+      return [term, Math.log(1 + (count - frequency + 0.5) / (frequency + 0.5))];
+    }));
+
+    return this.documents
+      .map(({ id, terms, length }) => {
+        const score = queryTerms.reduce((sum, term) => {
+          const frequency = terms[term];
+          if (!frequency) return sum;
+          const normalization = K1 * (1 - B + B * (length / (this.averageLength || 1)));
+          return sum + idf.get(term) * (frequency * (K1 + 1)) / (frequency + normalization);
+        }, 0);
+        return { id, score };
+      })
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  tokenize,
+  termCounts,
+  Bm25Index
+};
@@ -0,0 +1,267 @@
+/**
+ * Document Text
+ * Turns knowledge base uploads (PDF, Markdown, HTML, CSV, plain text) into
+ * sections of text with a location a citation can point to ("page 3",
+ * "Pricing > Cleanings", "row 12"), then packs sections into chunks small
+ * enough to put in a prompt.
+ */
+
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+
+const FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.csv': 'csv',
+  '.txt': 'text'
+};
+
+const MAX_CHUNK_CHARS = 1000;
+// Heading text kept in a chunk's location
+const MAX_LOCATION_CHARS = 200;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Format of an upload from its file name, or null if it is not supported
+ */
+const detectFormat = (filename) => FORMATS_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+/**
+ * Markdown (and HTML converted to it) becomes one section per heading,
+ * located by the headings above it
+ */
+const markdownSections = (markdown) => {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let inFence = false;
+
+  const flush = () => {
+    const text = lines.join('\n').trim();
+    if (text) {
+      sections.push({ location: headings.filter(Boolean).join(' > ').slice(0, MAX_LOCATION_CHARS) || null, text });
+    }
+    lines = [];
+  };
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+
+    const heading = !inFence && /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      headings.length = level;
+      headings[level - 1] = stripMarkdown(heading[2]);
+      continue;
+    }
+
+    lines.push(inFence ? line : stripMarkdown(line));
+  }
+  flush();
+
+  return sections;
+};
+
+// Inline markdown down to the words a caller would hear
+const stripMarkdown = (line) => line
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/<[^>]+>/g, '')
+  .replace(/(?<!\w)(\*\*|__|\*|_|`)(?=\S)(.+?)(?<=\S)\1(?!\w)/g, '$2')
+  .replace(/^\s{0,3}>\s?/, '')
+  .replace(/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/, '');
+
+/**
+ * HTML is rewritten as markdown headings and paragraphs, so it is sectioned
+ * the same way
+ */
+const htmlToMarkdown = (html) => decodeEntities(html
+  .replace(/<!--[\s\S]*?-->/g, '')
+  .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, '')
+  .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, text) => `\n\n${'#'.repeat(level)} ${text.replace(/<[^>]+>|\s+/g, ' ').trim()}\n\n`)
+  .replace(/<li\b[^>]*>/gi, '\n- ')
+  .replace(/<\/t[dh]>/gi, ' | ')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|section|article|li|tr|table|ul|ol|blockquote|pre|header|footer|dd|dt)>/gi, '\n\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t]+/g, ' ')
+  .replace(/\n[ \t]+/g, '\n');
+
+/**
+ * Parse CSV (quoted fields, "" escapes, newlines inside quotes). The
+ * delimiter is whichever of comma, semicolon or tab the first line uses most.
+ */
+const parseCsv = (text) => {
+  const firstLine = text.slice(0, text.indexOf('\n') === -1 ? undefined : text.indexOf('\n'));
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ), ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Each CSV row is its own section, written out as "Column: value" pairs
+ */
+const csvSections = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name, index) => name.trim() || `Column ${index + 1}`);
+
+  return rows.map((cells, index) => ({
+    // Row 1 is the header
+    location: `row ${index + 2}`,
+    text: cells
+      .map((cell, column) => [columns[column] || `Column ${column + 1}`, cell.trim()])
+      .filter(([, value]) => value !== '')
+      .map(([name, value]) => `${name}: ${value}`)
+      .join('; ')
+  })).filter(section => section.text);
+};
+
+const pdfSections = async (buffer) => {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const { pages } = await parser.getText();
+    return pages
+      .map(page => ({ location: `page ${page.num}`, text: page.text.trim() }))
+      .filter(section => section.text);
+  } finally {
+    await parser.destroy();
+  }
+};
+
+/**
+ * Text sections of a document
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - From detectFormat
+ * @returns {Promise<Array<{location: string|null, text: string}>>}
+ */
+const extractSections = async (buffer, format) => {
+  switch (format) {
+    case 'pdf':
+      return pdfSections(buffer);
+    case 'markdown':
+      return markdownSections(buffer.toString('utf8'));
+    case 'html':
+      return markdownSections(htmlToMarkdown(buffer.toString('utf8')));
+    case 'csv':
+      return csvSections(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    case 'text': {
+      const text = buffer.toString('utf8').trim();
+      return text ? [{ location: null, text }] : [];
+    }
+    default:
+      throw new Error(`Unsupported document format: ${format}`);
+  }
+};
+
+// Pieces of a paragraph no longer than maxChars: whole sentences where possible
+const splitParagraph = (paragraph, maxChars) => {
+  if (paragraph.length <= maxChars) {
+    return [paragraph];
+  }
+
+  const pieces = [];
+  let current = '';
+  for (const sentence of paragraph.split(/(?<=[.!?])\s+/)) {
+    for (let start = 0; start < sentence.length; start += maxChars) {
+      const part = sentence.slice(start, start + maxChars);
+      if (current && current.length + 1 + part.length > maxChars) {
+        pieces.push(current);
+        current = '';
+      }
+      current = current ? `${current} ${part}` : part;
+    }
+  }
+  if (current) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * Pack sections into chunks on paragraph boundaries. Chunks never span
+ * sections, so each has one location.
+ * @returns {Array<{location: string|null, content: string}>}
+ */
+const chunkSections = (sections, maxChars = MAX_CHUNK_CHARS) => {
+  const chunks = [];
+
+  sections.forEach(({ location, text }) => {
+    const paragraphs = text
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/[ \t]+/g, ' ').trim())
+      .filter(Boolean)
+      .flatMap(paragraph => splitParagraph(paragraph, maxChars));
+
+    let current = '';
+    paragraphs.forEach(paragraph => {
+      if (current && current.length + 2 + paragraph.length > maxChars) {
+        chunks.push({ location, content: current });
+        current = '';
+      }
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    });
+    if (current) chunks.push({ location, content: current });
+  });
+
+  return chunks;
+};
+
+module.exports = {
+  detectFormat,
+  extractSections,
+  chunkSections,
+  parseCsv,
+  htmlToMarkdown
+};
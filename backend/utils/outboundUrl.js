@@ -0,0 +1,110 @@
+/**
+ * Outbound URL guard
+ * Custom functions and event webhooks call URLs that tenants choose, and
+ * tenants can read the responses back, so those requests may only reach
+ * public addresses: never loopback, private networks, link-local (cloud
+ * metadata) or other reserved ranges. URLs are checked when they are saved,
+ * before each request, and again when each connection resolves its host,
+ * since DNS can change in between.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../config/config');
+
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges above
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// Local development only: lets custom functions and webhooks call services on this machine
+const allowsPrivateUrls = () => config.get('outboundUrls.allowPrivate') === true
+  && config.get('server.env') !== 'production';
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check that a URL is http(s) and that its host only resolves to public addresses
+ * @param {string} url - URL about to be saved or requested
+ * @throws {Error} When the URL may not be called
+ */
+const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('URL is not valid');
+  }
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error('URL must start with http:// or https://');
+  }
+  if (allowsPrivateUrls()) {
+    return;
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  if (net.isIP(hostname)) {
+    addresses = [{ address: hostname }];
+  } else {
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      throw new Error(`Could not resolve ${hostname}`);
+    }
+  }
+
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error('URL must point to a public address, not a private, loopback or link-local one');
+  }
+};
+
+// Connections resolve their host through this, so a name that changed to a private address since the check is refused
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (!allowsPrivateUrls() && addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Spread into axios requests to tenant-chosen URLs. Redirects are not followed,
+// since a public URL could otherwise redirect to a private one.
+const OUTBOUND_REQUEST_OPTIONS = {
+  httpAgent: new http.Agent({ lookup: guardedLookup }),
+  httpsAgent: new https.Agent({ lookup: guardedLookup }),
+  proxy: false,
+  maxRedirects: 0,
+  maxContentLength: 1024 * 1024,
+  maxBodyLength: 1024 * 1024
+};
+
+module.exports = { isPrivateAddress, assertPublicUrl, OUTBOUND_REQUEST_OPTIONS };
@@ -0,0 +1,59 @@
+/**
+ * Sentence Chunker
+ * Buffers streamed LLM text and releases it one sentence at a time so each
+ * sentence can be sent to TTS as soon as it is complete.
+ */
+
+// Sentence end: terminal punctuation (plus closing quotes/brackets) followed by whitespace, or a line break
+const SENTENCE_BOUNDARY = /[.!?…]+["')\]]*\s+|\n+/g;
+
+// Titles and abbreviations whose period does not end a sentence
+const ABBREVIATION = /\b(?:mr|mrs|ms|dr|prof|sr|jr|st|vs|etc|e\.g|i\.e|approx|appt|no|ave|blvd|rd|inc|ltd|co)\.\s+$/i;
+
+class SentenceChunker {
+  /**
+   * @param {Object} options
+   * @param {number} options.minLength - Shorter fragments ("Mr.", "1.") are joined to the next sentence
+   */
+  constructor({ minLength = 12 } = {}) {
+    this.minLength = minLength;
+    this.buffer = '';
+  }
+
+  /**
+   * Add streamed text
+   * @param {string} text - Next token(s)
+   * @returns {string[]} Sentences completed by this text
+   */
+  push(text) {
+    this.buffer += text;
+    const sentences = [];
+
+    let start = 0;
+    SENTENCE_BOUNDARY.lastIndex = 0;
+    let match;
+    while ((match = SENTENCE_BOUNDARY.exec(this.buffer)) !== null) {
+      const end = match.index + match[0].length;
+      const sentence = this.buffer.slice(start, end).trim();
+      if (sentence.length >= this.minLength && !ABBREVIATION.test(this.buffer.slice(start, end))) {
+        sentences.push(sentence);
+        start = end;
+      }
+    }
+
+    this.buffer = this.buffer.slice(start);
+    return sentences;
+  }
+
+  /**
+   * Release whatever is left once the stream ends
+   * @returns {string|null} Remaining text, if any
+   */
+  flush() {
+    const rest = this.buffer.trim();
+    this.buffer = '';
+    return rest || null;
+  }
+}
+
+module.exports = SentenceChunker;
@@ -11,6 +11,9 @@ import Analytics from './pages/Analytics';
 import Sessions from './pages/Sessions';
 import CallsEnhanced from './pages/CallsEnhanced';
 import Contacts from './pages/Contacts';
+import Campaigns from './pages/Campaigns';
+import KnowledgeBases from './pages/KnowledgeBases';
+import Webhooks from './pages/Webhooks';
 import Team from './pages/Team';
 import Settings from './pages/Settings';
 import Integrations from './pages/Integrations';
@@ -45,7 +48,10 @@ function App() {
               <Route path="sessions" element={<Sessions />} />
               <Route path="calls" element={<CallsEnhanced />} />
               <Route path="contacts" element={<Contacts />} />
+              <Route path="campaigns" element={<Campaigns />} />
+              <Route path="knowledge-bases" element={<KnowledgeBases />} />
               <Route path="integrations" element={<Integrations />} />
+              <Route path="webhooks" element={<Webhooks />} />
               <Route path="team" element={<Team />} />
               <Route path="settings" element={<Settings />} />
               <Route path="help" element={<Help />} />
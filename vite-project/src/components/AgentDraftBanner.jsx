@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { GitBranch, Loader2, Phone, Upload, X } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import api from '../services/api';
+
+// Unpublished changes to an agent: try them on a test call, publish them or throw them away
+const AgentDraftBanner = ({ agent, onPublished, onDiscarded }) => {
+    const { publishAgent } = useApp();
+    const [mode, setMode] = useState(null); // 'publish' | 'test'
+    const [note, setNote] = useState('');
+    const [phoneNumber, setPhoneNumber] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState('');
+    const [error, setError] = useState('');
+
+    const run = async (work) => {
+        try {
+            setBusy(true);
+            setError('');
+            setMessage('');
+            await work();
+        } catch (error) {
+            console.error('Error updating agent draft:', error);
+            setError(error.message || 'Something went wrong');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handlePublish = () => run(async () => {
+        const updatedAgent = await publishAgent(agent.id, note.trim() || undefined);
+        setMode(null);
+        setNote('');
+        onPublished?.(updatedAgent);
+    });
+
+    const handleDiscard = () => {
+        if (!window.confirm('Discard the draft? Its changes will be lost.')) return;
+        run(async () => {
+            await api.discardAgentDraft(agent.id);
+            onDiscarded?.();
+        });
+    };
+
+    const handleTestCall = () => run(async () => {
+        const { call } = await api.initiateCallWithValidation({
+            agentId: agent.id,
+            phoneNumber,
+            customerName: 'Draft test',
+            useDraft: true
+        });
+        setMode(null);
+        setMessage(`Test call ${call.mock ? 'simulated' : 'started'} on draft v${call.agentVersion}.`);
+    });
+
+    return (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4 space-y-3">
+            <div className="flex items-center justify-between">
+                <div className="flex items-center">
+                    <GitBranch className="w-5 h-5 text-amber-600 mr-3" />
+                    <div>
+                        <p className="text-sm font-medium text-amber-900">
+                            Draft v{agent.draft.version} has unpublished changes
+                        </p>
+                        <p className="text-xs text-amber-700">
+                            Live calls use v{agent.publishedVersion}. Saved {new Date(agent.draft.updatedAt).toLocaleString()}.
+                        </p>
+                    </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <button
+                        onClick={() => setMode(mode === 'test' ? null : 'test')}
+                        disabled={busy}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        <Phone className="w-4 h-4 mr-2" />
+                        Test draft
+                    </button>
+                    <button
+                        onClick={handleDiscard}
+                        disabled={busy}
+                        className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-lg text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                    >
+                        <X className="w-4 h-4 mr-2" />
+                        Discard
+                    </button>
+                    <button
+                        onClick={() => setMode(mode === 'publish' ? null : 'publish')}
+                        disabled={busy}
+                        className="inline-flex items-center px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        <Upload className="w-4 h-4 mr-2" />
+                        Publish
+                    </button>
+                </div>
+            </div>
+
+            {mode === 'publish' && (
+                <div className="flex items-center space-x-2">
+                    <input
+                        type="text"
+                        value={note}
+                        onChange={(e) => setNote(e.target.value)}
+                        maxLength={500}
+                        placeholder="What changed? (optional)"
+                        className="flex-1 border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                        onClick={handlePublish}
+                        disabled={busy}
+                        className="inline-flex items-center px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {busy && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Publish v{agent.draft.version}
+                    </button>
+                </div>
+            )}
+
+            {mode === 'test' && (
+                <div className="flex items-center space-x-2">
+                    <input
+                        type="tel"
+                        value={phoneNumber}
+                        onChange={(e) => setPhoneNumber(e.target.value)}
+                        placeholder="Phone number to call, e.g. +14155550123"
+                        className="flex-1 border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <button
+                        onClick={handleTestCall}
+                        disabled={busy || !phoneNumber.trim()}
+                        className="inline-flex items-center px-3 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {busy && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Call
+                    </button>
+                </div>
+            )}
+
+            {message && <p className="text-sm text-green-700">{message}</p>}
+            {error && <p className="text-sm text-red-700">{error}</p>}
+        </div>
+    );
+};
+
+export default AgentDraftBanner;
@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { BookOpen, Loader2 } from 'lucide-react';
+import api from '../services/api';
+
+// Pick the knowledge bases an agent looks answers up in
+const AgentKnowledgeBases = ({ agentId }) => {
+    const [knowledgeBases, setKnowledgeBases] = useState([]);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [savedIds, setSavedIds] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    const loadKnowledgeBases = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [all, attached] = await Promise.all([
+                api.getKnowledgeBases(),
+                api.getAgentKnowledgeBases(agentId)
+            ]);
+            const ids = attached.knowledgeBases.map(knowledgeBase => knowledgeBase.id);
+            setKnowledgeBases(all.knowledgeBases || []);
+            setSelectedIds(ids);
+            setSavedIds(ids);
+        } catch (error) {
+            console.error('Error loading knowledge bases:', error);
+            setKnowledgeBases([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [agentId]);
+
+    useEffect(() => {
+        loadKnowledgeBases();
+    }, [loadKnowledgeBases]);
+
+    const toggle = (id) => {
+        setSelectedIds(prev => (prev.includes(id) ? prev.filter(selectedId => selectedId !== id) : [...prev, id]));
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const data = await api.setAgentKnowledgeBases(agentId, selectedIds);
+            const ids = data.knowledgeBases.map(knowledgeBase => knowledgeBase.id);
+            setSelectedIds(ids);
+            setSavedIds(ids);
+        } catch (error) {
+            console.error('Error saving knowledge bases:', error);
+            alert(`Failed to save knowledge bases: ${error.message}`);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const changed = selectedIds.length !== savedIds.length || selectedIds.some(id => !savedIds.includes(id));
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+                <span className="ml-2 text-gray-600">Loading knowledge bases...</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-semibold text-gray-900">Knowledge Bases</h3>
+                <p className="text-sm text-gray-600">
+                    On every caller turn the agent is given the best-matching passages from these documents. The passages used are shown with each reply in the call transcript.
+                </p>
+            </div>
+
+            {knowledgeBases.length === 0 ? (
+                <div className="text-center py-12 border border-dashed border-gray-300 rounded-lg">
+                    <BookOpen className="mx-auto h-12 w-12 text-gray-400" />
+                    <p className="mt-2 text-sm text-gray-500">
+                        No knowledge bases yet. <Link to="/knowledge-bases" className="text-blue-600 hover:text-blue-700">Create one</Link> to upload documents.
+                    </p>
+                </div>
+            ) : (
+                <div className="border border-gray-200 rounded-lg divide-y divide-gray-200">
+                    {knowledgeBases.map(knowledgeBase => (
+                        <label key={knowledgeBase.id} className="flex items-start px-4 py-3 cursor-pointer hover:bg-gray-50">
+                            <input
+                                type="checkbox"
+                                checked={selectedIds.includes(knowledgeBase.id)}
+                                onChange={() => toggle(knowledgeBase.id)}
+                                className="mt-1 mr-3"
+                            />
+                            <div>
+                                <p className="text-sm font-medium text-gray-900">{knowledgeBase.name}</p>
+                                <p className="text-sm text-gray-500">
+                                    {knowledgeBase.description ? `${knowledgeBase.description} · ` : ''}
+                                    {knowledgeBase.document_count} documents
+                                </p>
+                            </div>
+                        </label>
+                    ))}
+                </div>
+            )}
+
+            {knowledgeBases.length > 0 && (
+                <div className="flex justify-end">
+                    <button
+                        onClick={handleSave}
+                        disabled={saving || !changed}
+                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                    >
+                        {saving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+                        Save
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AgentKnowledgeBases;
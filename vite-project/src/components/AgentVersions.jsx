@@ -0,0 +1,220 @@
+import { useState, useEffect, useCallback } from 'react';
+import { GitCompare, Loader2, RotateCcw } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import api from '../services/api';
+import { FIELD_LABELS, formatVersionValue, diffLines } from '../utils/agentVersions';
+
+const STATUS_STYLES = {
+    draft: 'bg-amber-100 text-amber-800',
+    live: 'bg-green-100 text-green-800',
+    published: 'bg-gray-100 text-gray-800'
+};
+
+const LINE_STYLES = {
+    same: 'text-gray-600',
+    removed: 'bg-red-50 text-red-800',
+    added: 'bg-green-50 text-green-800'
+};
+
+const LINE_PREFIXES = { same: ' ', removed: '-', added: '+' };
+
+// Newest version against the live one, or the live one against the one before it
+const defaultComparison = (versions) => {
+    const [newest, ...older] = versions;
+    if (!newest) return { from: '', to: '' };
+    const base = newest.live ? older[0] : versions.find(version => version.live) || older[0];
+    return { from: base ? String(base.version) : '', to: String(newest.version) };
+};
+
+// An agent's version history: compare any two versions and roll back to an earlier one
+const AgentVersions = ({ agentId, publishedVersion, draftVersion, onRolledBack }) => {
+    const { rollbackAgent } = useApp();
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [comparison, setComparison] = useState({ from: '', to: '' });
+    const [changes, setChanges] = useState(null);
+    const [diffLoading, setDiffLoading] = useState(false);
+    const [rollingBack, setRollingBack] = useState(null);
+
+    const fetchVersions = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError('');
+            const data = await api.getAgentVersions(agentId);
+            setVersions(data.versions);
+            setComparison(defaultComparison(data.versions));
+        } catch (error) {
+            console.error('Error fetching agent versions:', error);
+            setError(error.message || 'Failed to load versions');
+        } finally {
+            setLoading(false);
+        }
+    }, [agentId]);
+
+    // Publishing, discarding or rolling back changes the list
+    useEffect(() => {
+        fetchVersions();
+    }, [fetchVersions, publishedVersion, draftVersion]);
+
+    useEffect(() => {
+        const { from, to } = comparison;
+        if (!from || !to) {
+            setChanges(null);
+            return;
+        }
+
+        let cancelled = false;
+        setDiffLoading(true);
+        api.getAgentVersionDiff(agentId, from, to)
+            .then(data => { if (!cancelled) setChanges(data.changes); })
+            .catch(error => {
+                console.error('Error comparing agent versions:', error);
+                if (!cancelled) setError(error.message || 'Failed to compare versions');
+            })
+            .finally(() => { if (!cancelled) setDiffLoading(false); });
+
+        return () => { cancelled = true; };
+    }, [agentId, comparison]);
+
+    const handleRollback = async (version) => {
+        if (!window.confirm(`Make v${version} live again? New calls will use it straight away.`)) return;
+        try {
+            setRollingBack(version);
+            setError('');
+            const updatedAgent = await rollbackAgent(agentId, version);
+            onRolledBack?.(updatedAgent);
+        } catch (error) {
+            console.error('Error rolling back agent:', error);
+            setError(error.message || 'Failed to roll back');
+        } finally {
+            setRollingBack(null);
+        }
+    };
+
+    const versionLabel = (version) => `v${version.version}${version.status === 'draft' ? ' (draft)' : version.live ? ' (live)' : ''}`;
+
+    if (loading && versions.length === 0) {
+        return (
+            <div className="flex items-center text-sm text-gray-600">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Loading versions...
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-medium text-gray-900">Versions</h3>
+                <p className="mt-1 text-sm text-gray-500">Saving the configuration creates a draft; publishing it makes it the live version. Calls keep the version they started on.</p>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                    <p className="text-red-800 text-sm">{error}</p>
+                </div>
+            )}
+
+            <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                        <tr>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Note</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Published</th>
+                            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Calls</th>
+                            <th className="px-4 py-3"></th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {versions.map(version => {
+                            const state = version.status === 'draft' ? 'draft' : version.live ? 'live' : 'published';
+                            return (
+                                <tr key={version.version}>
+                                    <td className="px-4 py-3 whitespace-nowrap">
+                                        <span className="text-sm font-medium text-gray-900 mr-2">v{version.version}</span>
+                                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[state]}`}>
+                                            {state}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 py-3 text-sm text-gray-700">{version.note || '—'}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-500">
+                                        {version.publishedAt
+                                            ? `${new Date(version.publishedAt).toLocaleString()}${version.publishedBy ? ` by ${version.publishedBy}` : ''}`
+                                            : '—'}
+                                    </td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-sm text-gray-700">{version.calls}</td>
+                                    <td className="px-4 py-3 whitespace-nowrap text-right">
+                                        {state === 'published' && (
+                                            <button
+                                                onClick={() => handleRollback(version.version)}
+                                                disabled={rollingBack !== null}
+                                                className="inline-flex items-center text-sm text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                                            >
+                                                {rollingBack === version.version
+                                                    ? <Loader2 className="w-4 h-4 mr-1 animate-spin" />
+                                                    : <RotateCcw className="w-4 h-4 mr-1" />}
+                                                Roll back
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {versions.length > 1 && (
+                <div className="space-y-4">
+                    <div className="flex items-center space-x-2">
+                        <GitCompare className="w-5 h-5 text-gray-500" />
+                        <span className="text-sm font-medium text-gray-700">Compare</span>
+                        <select
+                            value={comparison.from}
+                            onChange={(e) => setComparison({ ...comparison, from: e.target.value })}
+                            className="border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {versions.map(version => (
+                                <option key={version.version} value={version.version}>{versionLabel(version)}</option>
+                            ))}
+                        </select>
+                        <span className="text-sm text-gray-500">to</span>
+                        <select
+                            value={comparison.to}
+                            onChange={(e) => setComparison({ ...comparison, to: e.target.value })}
+                            className="border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                        >
+                            {versions.map(version => (
+                                <option key={version.version} value={version.version}>{versionLabel(version)}</option>
+                            ))}
+                        </select>
+                        {diffLoading && <Loader2 className="w-4 h-4 animate-spin text-gray-400" />}
+                    </div>
+
+                    {changes && changes.length === 0 && (
+                        <p className="text-sm text-gray-500">These versions are the same.</p>
+                    )}
+
+                    {changes && changes.map(change => (
+                        <div key={change.field} className="border border-gray-200 rounded-lg">
+                            <div className="px-4 py-2 bg-gray-50 border-b border-gray-200 text-sm font-medium text-gray-700">
+                                {FIELD_LABELS[change.field] || change.field}
+                            </div>
+                            <pre className="max-h-96 overflow-auto text-xs font-mono py-2">
+                                {diffLines(formatVersionValue(change.from), formatVersionValue(change.to)).map((line, index) => (
+                                    <div key={index} className={`px-4 whitespace-pre-wrap ${LINE_STYLES[line.type]}`}>
+                                        {LINE_PREFIXES[line.type]} {line.text}
+                                    </div>
+                                ))}
+                            </pre>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AgentVersions;
@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { Sparkles, Loader2, AlertTriangle, RefreshCw } from 'lucide-react';
+import api from '../services/api';
+import { SENTIMENT_STYLES, formatDisposition, formatFieldValue } from '../utils/callAnalysis';
+
+// Post-call analysis of a call: summary, outcome and extracted fields, with a retry when it failed
+const CallAnalysis = ({ call, onAnalyzed }) => {
+    const [retrying, setRetrying] = useState(false);
+    const [error, setError] = useState('');
+
+    const handleRetry = async () => {
+        try {
+            setRetrying(true);
+            setError('');
+            const { analysis } = await api.analyzeCall(call.id);
+            onAnalyzed?.(analysis);
+        } catch (error) {
+            console.error('Error analyzing call:', error);
+            setError(error.message || 'Failed to analyze the call');
+        } finally {
+            setRetrying(false);
+        }
+    };
+
+    if (call.analysis_status === 'pending') {
+        return (
+            <div className="flex items-center text-sm text-gray-600">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Analyzing call...
+            </div>
+        );
+    }
+
+    if (call.analysis_status === 'failed') {
+        return (
+            <div className="flex items-center text-sm text-red-600">
+                <AlertTriangle className="w-4 h-4 mr-2" />
+                {error || `Analysis failed${call.analysis_error ? `: ${call.analysis_error}` : ''}`}
+                <button
+                    onClick={handleRetry}
+                    disabled={retrying}
+                    className="ml-2 inline-flex items-center text-blue-600 hover:text-blue-700 font-medium disabled:opacity-50"
+                >
+                    <RefreshCw className={`w-4 h-4 mr-1 ${retrying ? 'animate-spin' : ''}`} />
+                    Retry
+                </button>
+            </div>
+        );
+    }
+
+    if (call.analysis_status !== 'completed') {
+        return null;
+    }
+
+    const fields = Object.entries(call.extracted_fields || {});
+
+    return (
+        <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+            <div className="flex items-center space-x-2">
+                <Sparkles className="w-4 h-4 text-purple-600" />
+                <h4 className="text-sm font-medium text-gray-900">Call Summary</h4>
+                <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                    {formatDisposition(call.disposition)}
+                </span>
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${SENTIMENT_STYLES[call.sentiment] || SENTIMENT_STYLES.neutral}`}>
+                    {call.sentiment}
+                </span>
+            </div>
+            {call.summary && <p className="text-sm text-gray-700">{call.summary}</p>}
+            {fields.length > 0 && (
+                <dl className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {fields.map(([name, value]) => (
+                        <div key={name}>
+                            <dt className="text-xs text-gray-500">{name}</dt>
+                            <dd className="text-sm font-medium text-gray-900">{formatFieldValue(value)}</dd>
+                        </div>
+                    ))}
+                </dl>
+            )}
+        </div>
+    );
+};
+
+export default CallAnalysis;
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { Phone, PhoneOff, Bot, AlertCircle, CheckCircle, Clock, XCircle } from 'lucide-react';
 import api from '../services/api';
+import { describeLlm } from '../utils/llmProviders';
 
 const CallInterface = ({ onCallComplete, preSelectedContact = null, agents = [] }) => {
   const [contacts, setContacts] = useState([]);
@@ -412,7 +413,7 @@ const CallInterface = ({ onCallComplete, preSelectedContact = null, agents = []
               <p className="text-blue-800"><strong>Status:</strong> {getAgentStatusText(selectedAgent)}</p>
             </div>
             <div>
-              <p className="text-blue-800"><strong>Model:</strong> {selectedAgent.model || 'gpt-4o-mini'}</p>
+              <p className="text-blue-800"><strong>Model:</strong> {describeLlm(selectedAgent)}</p>
               <p className="text-blue-800"><strong>Voice:</strong> {selectedAgent.voice || 'Default'}</p>
             </div>
           </div>
@@ -0,0 +1,146 @@
+import { useState, useEffect } from 'react';
+import { Loader2, Sparkles } from 'lucide-react';
+import api from '../services/api';
+import { SENTIMENT_STYLES, formatDisposition, formatFieldValue } from '../utils/callAnalysis';
+
+// Post-call analysis across calls: outcome and sentiment breakdowns, and the analyzed calls with their summaries
+const CallOutcomes = ({ dateFrom, agentId }) => {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [disposition, setDisposition] = useState('');
+    const [sentiment, setSentiment] = useState('');
+
+    useEffect(() => {
+        const loadOutcomes = async () => {
+            try {
+                setLoading(true);
+                setError('');
+                const params = { date_from: dateFrom, date_to: new Date().toISOString() };
+                if (agentId) params.agent_id = agentId;
+                if (disposition) params.disposition = disposition;
+                if (sentiment) params.sentiment = sentiment;
+
+                const response = await api.getCallOutcomes(params);
+                setData(response.data);
+            } catch (error) {
+                console.error('Error loading call outcomes:', error);
+                setError('Failed to load call outcomes');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadOutcomes();
+    }, [dateFrom, agentId, disposition, sentiment]);
+
+    const total = (data?.dispositions || []).reduce((sum, row) => sum + row.calls, 0);
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-medium text-gray-900">Call Outcomes</h3>
+                <div className="flex items-center space-x-3">
+                    <select
+                        value={disposition}
+                        onChange={(e) => setDisposition(e.target.value)}
+                        className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All dispositions</option>
+                        {/* Outcomes seen in the period; once one is picked, pick "All" to choose another */}
+                        {(data?.dispositions || []).map(row => (
+                            <option key={row.disposition} value={row.disposition}>{formatDisposition(row.disposition)}</option>
+                        ))}
+                    </select>
+                    <select
+                        value={sentiment}
+                        onChange={(e) => setSentiment(e.target.value)}
+                        className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                        <option value="">All sentiments</option>
+                        <option value="positive">Positive</option>
+                        <option value="neutral">Neutral</option>
+                        <option value="negative">Negative</option>
+                    </select>
+                </div>
+            </div>
+
+            {loading ? (
+                <div className="flex items-center py-8 text-sm text-gray-600">
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Loading call outcomes...
+                </div>
+            ) : error ? (
+                <p className="py-8 text-sm text-red-600">{error}</p>
+            ) : total === 0 ? (
+                <div className="text-center py-8 text-gray-500">
+                    <Sparkles className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+                    <p>No analyzed calls in this period.</p>
+                </div>
+            ) : (
+                <div className="space-y-6">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        <div>
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">By Disposition</h4>
+                            <div className="space-y-2">
+                                {data.dispositions.map(row => (
+                                    <div key={row.disposition}>
+                                        <div className="flex justify-between text-sm">
+                                            <span className="text-gray-700">{formatDisposition(row.disposition)}</span>
+                                            <span className="text-gray-500">{row.calls}</span>
+                                        </div>
+                                        <div className="h-2 bg-gray-100 rounded-full">
+                                            <div className="h-2 bg-blue-500 rounded-full" style={{ width: `${(row.calls / total) * 100}%` }} />
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                        <div>
+                            <h4 className="text-sm font-medium text-gray-700 mb-2">By Sentiment</h4>
+                            <div className="flex flex-wrap gap-2">
+                                {data.sentiments.map(row => (
+                                    <span key={row.sentiment} className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${SENTIMENT_STYLES[row.sentiment] || SENTIMENT_STYLES.neutral}`}>
+                                        {row.sentiment}: {row.calls}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="divide-y divide-gray-200">
+                        {data.calls.map(call => (
+                            <div key={call.id} className="py-3">
+                                <div className="flex items-center justify-between">
+                                    <p className="text-sm font-medium text-gray-900">
+                                        {call.customerName || 'Unknown'}
+                                        <span className="ml-2 font-normal text-gray-500">{call.agentName || 'Unknown Agent'}</span>
+                                    </p>
+                                    <div className="flex items-center space-x-2">
+                                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                            {formatDisposition(call.disposition)}
+                                        </span>
+                                        <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${SENTIMENT_STYLES[call.sentiment] || SENTIMENT_STYLES.neutral}`}>
+                                            {call.sentiment}
+                                        </span>
+                                        <span className="text-xs text-gray-500">
+                                            {call.startedAt ? new Date(call.startedAt).toLocaleDateString() : ''}
+                                        </span>
+                                    </div>
+                                </div>
+                                {call.summary && <p className="mt-1 text-sm text-gray-600">{call.summary}</p>}
+                                {Object.keys(call.fields).length > 0 && (
+                                    <p className="mt-1 text-xs text-gray-500">
+                                        {Object.entries(call.fields).map(([name, value]) => `${name}: ${formatFieldValue(value)}`).join(' · ')}
+                                    </p>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CallOutcomes;
@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { Bot, User, Loader2, AlertTriangle, FileText } from 'lucide-react';
+import api from '../services/api';
+
+const formatOffset = (seconds) => {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Recording of a call with its transcript: the line being spoken is highlighted, clicking a line seeks to it
+const CallRecordingPlayer = ({ callId }) => {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [playbackError, setPlaybackError] = useState('');
+    const [currentTime, setCurrentTime] = useState(0);
+    const audioRef = useRef(null);
+    const activeLineRef = useRef(null);
+
+    const loadConversation = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError('');
+            setPlaybackError('');
+            setData(await api.getCallConversation(callId));
+        } catch (error) {
+            console.error('Error loading call conversation:', error);
+            setError('Failed to load the call transcript');
+        } finally {
+            setLoading(false);
+        }
+    }, [callId]);
+
+    useEffect(() => {
+        loadConversation();
+    }, [loadConversation]);
+
+    const conversation = data?.conversation || [];
+    const recording = data?.recording;
+
+    // The line being spoken is the last one that started before the playhead
+    const activeIndex = recording
+        ? conversation.reduce((active, message, index) => (
+            message.offsetSeconds !== null && message.offsetSeconds <= currentTime ? index : active
+        ), -1)
+        : -1;
+
+    useEffect(() => {
+        activeLineRef.current?.scrollIntoView({ block: 'nearest' });
+    }, [activeIndex]);
+
+    const seekTo = (message) => {
+        if (!audioRef.current || message.offsetSeconds === null) return;
+        audioRef.current.currentTime = message.offsetSeconds;
+        audioRef.current.play();
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center py-4 text-sm text-gray-600">
+                <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                Loading transcript...
+            </div>
+        );
+    }
+
+    if (error) {
+        return <p className="py-4 text-sm text-red-600">{error}</p>;
+    }
+
+    return (
+        <div className="space-y-4">
+            {recording ? (
+                <audio
+                    ref={audioRef}
+                    controls
+                    preload="metadata"
+                    src={api.getRecordingAudioUrl(recording.audioPath)}
+                    onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+                    onError={() => setPlaybackError('The recording could not be played; its link may have expired.')}
+                    className="w-full"
+                />
+            ) : (
+                <div className="flex items-center text-sm text-gray-500">
+                    <AlertTriangle className="w-4 h-4 mr-2" />
+                    No recording for this call
+                </div>
+            )}
+
+            {playbackError && (
+                <div className="flex items-center text-sm text-red-600">
+                    <AlertTriangle className="w-4 h-4 mr-2" />
+                    {playbackError}
+                    <button onClick={loadConversation} className="ml-2 text-blue-600 hover:text-blue-700 font-medium">
+                        Reload
+                    </button>
+                </div>
+            )}
+
+            {conversation.length === 0 ? (
+                <p className="text-sm text-gray-500">No transcript for this call</p>
+            ) : (
+                <div className="max-h-80 overflow-y-auto space-y-2">
+                    {conversation.map((message, index) => {
+                        const isActive = index === activeIndex;
+                        const canSeek = recording && message.offsetSeconds !== null;
+                        return (
+                            <div
+                                key={index}
+                                ref={isActive ? activeLineRef : null}
+                                onClick={canSeek ? () => seekTo(message) : undefined}
+                                className={`flex items-start space-x-3 p-2 rounded-lg ${isActive ? 'bg-blue-50' : ''} ${canSeek ? 'cursor-pointer hover:bg-gray-100' : ''}`}
+                            >
+                                {message.role === 'assistant' ? (
+                                    <Bot className="w-4 h-4 mt-0.5 text-blue-600 flex-shrink-0" />
+                                ) : (
+                                    <User className="w-4 h-4 mt-0.5 text-gray-500 flex-shrink-0" />
+                                )}
+                                <div className="flex-1">
+                                    <p className={`text-sm ${isActive ? 'text-gray-900 font-medium' : 'text-gray-700'}`}>
+                                        {message.content}
+                                    </p>
+                                    {/* Knowledge base passages the agent was given for this reply */}
+                                    {message.citations?.length > 0 && (
+                                        <div className="mt-1 flex flex-wrap gap-1">
+                                            {message.citations.map(citation => (
+                                                <span
+                                                    key={citation.chunkId}
+                                                    title={citation.excerpt}
+                                                    className="inline-flex items-center px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600"
+                                                >
+                                                    <FileText className="w-3 h-3 mr-1" />
+                                                    {citation.documentName}{citation.location ? ` · ${citation.location}` : ''}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    )}
+                                </div>
+                                {canSeek && (
+                                    <span className="text-xs text-gray-400 tabular-nums">{formatOffset(message.offsetSeconds)}</span>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default CallRecordingPlayer;
@@ -1,17 +1,25 @@
 import { useState } from 'react';
 import { X, Bot } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import { LLM_PROVIDERS, MODEL_SUGGESTIONS } from '../utils/llmProviders';
+
+const EMPTY_FORM = {
+    name: '',
+    description: '',
+    aiPrompt: '',
+    voice: 'Emma',
+    language: 'English',
+    llmProvider: '',
+    model: '',
+    temperature: '',
+    maxTokens: '',
+    historyWindow: '',
+    turnTimeoutMs: ''
+};
 
 const CreateAgentModal = ({ isOpen, onClose }) => {
     const { createAgent } = useApp();
-    const [formData, setFormData] = useState({
-        name: '',
-        description: '',
-        aiPrompt: '',
-        voice: 'Emma',
-        language: 'English',
-        model: 'gpt-4'
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -23,14 +31,7 @@ const CreateAgentModal = ({ isOpen, onClose }) => {
         try {
             await createAgent(formData);
             onClose();
-            setFormData({
-                name: '',
-                description: '',
-                aiPrompt: '',
-                voice: 'Emma',
-                language: 'English',
-                model: 'gpt-4'
-            });
+            setFormData(EMPTY_FORM);
         } catch (err) {
             setError(err.message);
         } finally {
@@ -45,11 +46,20 @@ const CreateAgentModal = ({ isOpen, onClose }) => {
         });
     };
 
+    // A model name only means something to its own provider
+    const handleProviderChange = (e) => {
+        setFormData({
+            ...formData,
+            llmProvider: e.target.value,
+            model: ''
+        });
+    };
+
     if (!isOpen) return null;
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-            <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4">
+            <div className="bg-white rounded-lg shadow-xl max-w-md w-full mx-4 max-h-[90vh] overflow-y-auto">
                 <div className="flex items-center justify-between p-6 border-b border-gray-200">
                     <div className="flex items-center">
                         <div className="w-8 h-8 bg-gradient-to-r from-blue-600 to-purple-600 rounded-lg flex items-center justify-center mr-3">
@@ -156,20 +166,109 @@ const CreateAgentModal = ({ isOpen, onClose }) => {
                             </div>
                         </div>
 
-                        <div>
-                            <label className="block text-sm font-medium text-gray-700 mb-1">
-                                AI Model
-                            </label>
-                            <select
-                                name="model"
-                                value={formData.model}
-                                onChange={handleChange}
-                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                            >
-                                <option value="gpt-4">GPT-4</option>
-                                <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                                <option value="claude-3">Claude 3</option>
-                            </select>
+                        <div className="grid grid-cols-2 gap-4">
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    AI Provider
+                                </label>
+                                <select
+                                    name="llmProvider"
+                                    value={formData.llmProvider}
+                                    onChange={handleProviderChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                >
+                                    <option value="">Platform default</option>
+                                    {Object.entries(LLM_PROVIDERS).map(([value, name]) => (
+                                        <option key={value} value={value}>{name}</option>
+                                    ))}
+                                </select>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    AI Model
+                                </label>
+                                <input
+                                    type="text"
+                                    name="model"
+                                    list="create-agent-models"
+                                    value={formData.model}
+                                    onChange={handleChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="Provider default"
+                                />
+                                <datalist id="create-agent-models">
+                                    {(MODEL_SUGGESTIONS[formData.llmProvider || 'openai'] || []).map(model => (
+                                        <option key={model} value={model} />
+                                    ))}
+                                </datalist>
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Temperature
+                                </label>
+                                <input
+                                    type="number"
+                                    name="temperature"
+                                    min="0"
+                                    max="2"
+                                    step="0.1"
+                                    value={formData.temperature}
+                                    onChange={handleChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="0.7"
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Max Tokens
+                                </label>
+                                <input
+                                    type="number"
+                                    name="maxTokens"
+                                    min="16"
+                                    max="4096"
+                                    value={formData.maxTokens}
+                                    onChange={handleChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="200"
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    History Window
+                                </label>
+                                <input
+                                    type="number"
+                                    name="historyWindow"
+                                    min="2"
+                                    max="100"
+                                    value={formData.historyWindow}
+                                    onChange={handleChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="10 messages"
+                                />
+                            </div>
+
+                            <div>
+                                <label className="block text-sm font-medium text-gray-700 mb-1">
+                                    Turn Timeout (ms)
+                                </label>
+                                <input
+                                    type="number"
+                                    name="turnTimeoutMs"
+                                    min="1000"
+                                    max="60000"
+                                    step="500"
+                                    value={formData.turnTimeoutMs}
+                                    onChange={handleChange}
+                                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                    placeholder="10000"
+                                />
+                            </div>
                         </div>
 
                     </div>
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { X, Calendar, Phone, MessageSquare, Settings } from 'lucide-react';
+import { X, Calendar, Phone, MessageSquare, Mail, UserPlus, PhoneForwarded, Settings } from 'lucide-react';
 
 const EditFunctionModal = ({ isOpen, onClose, function: func, onSubmit, loading }) => {
     const [formData, setFormData] = useState({
@@ -35,6 +35,12 @@ const EditFunctionModal = ({ isOpen, onClose, function: func, onSubmit, loading
         });
     };
 
+    const handleDepartmentChange = (index, key, value) => {
+        const departments = [...(formData.config.departments || [])];
+        departments[index] = { ...departments[index], [key]: value };
+        handleConfigChange('departments', departments);
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
         onSubmit(formData);
@@ -49,6 +55,12 @@ const EditFunctionModal = ({ isOpen, onClose, function: func, onSubmit, loading
                 return <Calendar className="w-5 h-5" />;
             case 'send_sms':
                 return <MessageSquare className="w-5 h-5" />;
+            case 'send_email':
+                return <Mail className="w-5 h-5" />;
+            case 'transfer_call':
+                return <PhoneForwarded className="w-5 h-5" />;
+            case 'create_lead':
+                return <UserPlus className="w-5 h-5" />;
             default:
                 return <Settings className="w-5 h-5" />;
         }
@@ -260,6 +272,129 @@ const EditFunctionModal = ({ isOpen, onClose, function: func, onSubmit, loading
                             </div>
                         )}
 
+                        {formData.function_type === 'send_email' && (
+                            <div className="space-y-4">
+                                <h4 className="font-medium text-gray-900">Email Configuration</h4>
+                                <p className="text-sm text-gray-500">Emails are sent through the server's SMTP settings.</p>
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Fixed Recipient
+                                        </label>
+                                        <input
+                                            type="email"
+                                            value={formData.config.to || ''}
+                                            onChange={(e) => handleConfigChange('to', e.target.value)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                            placeholder="Leave empty to email the caller's address on file"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Default Subject
+                                        </label>
+                                        <input
+                                            type="text"
+                                            value={formData.config.subject || ''}
+                                            onChange={(e) => handleConfigChange('subject', e.target.value)}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                            placeholder="Follow-up from your call"
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        {formData.function_type === 'transfer_call' && (
+                            <div className="space-y-4">
+                                <h4 className="font-medium text-gray-900">Transfer Configuration</h4>
+                                <div className="space-y-2">
+                                    <label className="block text-sm font-medium text-gray-700">
+                                        Departments *
+                                    </label>
+                                    {(formData.config.departments || []).map((department, index) => (
+                                        <div key={index} className="grid grid-cols-12 gap-2">
+                                            <input
+                                                type="text"
+                                                value={department.name}
+                                                onChange={(e) => handleDepartmentChange(index, 'name', e.target.value)}
+                                                required
+                                                className="col-span-3 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="sales"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={department.destination}
+                                                onChange={(e) => handleDepartmentChange(index, 'destination', e.target.value)}
+                                                required
+                                                className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="+1234567890 or sip:desk@example.com"
+                                            />
+                                            <input
+                                                type="text"
+                                                value={department.description || ''}
+                                                onChange={(e) => handleDepartmentChange(index, 'description', e.target.value)}
+                                                className="col-span-4 px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                                placeholder="When to transfer here"
+                                            />
+                                            <button
+                                                type="button"
+                                                onClick={() => handleConfigChange('departments', formData.config.departments.filter((_, i) => i !== index))}
+                                                className="col-span-1 p-2 text-gray-400 hover:text-red-600"
+                                            >
+                                                <X className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    ))}
+                                    <button
+                                        type="button"
+                                        onClick={() => handleConfigChange('departments', [...(formData.config.departments || []), { name: '', destination: '', description: '' }])}
+                                        className="text-sm text-blue-600 hover:text-blue-700"
+                                    >
+                                        + Add department
+                                    </button>
+                                </div>
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Ring Timeout (seconds)
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="5"
+                                            max="120"
+                                            value={formData.config.timeout || 30}
+                                            onChange={(e) => handleConfigChange('timeout', parseInt(e.target.value))}
+                                            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        />
+                                    </div>
+                                    <div className="flex items-end">
+                                        <label className="flex items-center text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={Boolean(formData.config.warm_transfer)}
+                                                onChange={(e) => handleConfigChange('warm_transfer', e.target.checked)}
+                                                className="mr-2"
+                                            />
+                                            Warm transfer (agent reads a summary to the human first)
+                                        </label>
+                                    </div>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Fallback Message
+                                    </label>
+                                    <textarea
+                                        value={formData.config.fallback_message || ''}
+                                        onChange={(e) => handleConfigChange('fallback_message', e.target.value)}
+                                        rows={2}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        placeholder="Spoken to the caller if nobody answers"
+                                    />
+                                </div>
+                            </div>
+                        )}
+
                         {formData.function_type === 'custom' && (
                             <div className="space-y-4">
                                 <h4 className="font-medium text-gray-900">Custom API Configuration</h4>
@@ -303,6 +438,36 @@ const EditFunctionModal = ({ isOpen, onClose, function: func, onSubmit, loading
                                         className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                                     />
                                 </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Request Body Template
+                                    </label>
+                                    <textarea
+                                        value={formData.config.body_template || ''}
+                                        onChange={(e) => handleConfigChange('body_template', e.target.value)}
+                                        rows={4}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        placeholder='{"order": "{{args.orderNumber}}", "phone": "{{call.callerPhone}}"}'
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        JSON sent to the endpoint. Use {'{{args.name}}'} for values from the AI and {'{{call.callId}}'}, {'{{call.agentId}}'}, {'{{call.callerPhone}}'} for call details. Leave empty to send the AI's arguments as-is.
+                                    </p>
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                                        Response Path
+                                    </label>
+                                    <input
+                                        type="text"
+                                        value={formData.config.response_path || ''}
+                                        onChange={(e) => handleConfigChange('response_path', e.target.value)}
+                                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                                        placeholder="data.order.status"
+                                    />
+                                    <p className="text-xs text-gray-500 mt-1">
+                                        Only this part of the response is given to the AI. Leave empty to use the whole response.
+                                    </p>
+                                </div>
                             </div>
                         )}
                     </div>
@@ -0,0 +1,378 @@
+import { useState, useEffect } from 'react';
+import { Plus, Trash2, Flag, Square, GitBranch } from 'lucide-react';
+import { DEFAULT_FLOW, TRANSITION_TYPES, transitionLabel } from '../utils/conversationFlow';
+
+const NODE_WIDTH = 192;
+const NODE_HEIGHT = 64;
+
+// Comma-separated list that is only parsed when the field loses focus, so commas and spaces can be typed freely
+const ListInput = ({ values, onCommit, readOnly, placeholder }) => {
+    const [text, setText] = useState((values || []).join(', '));
+
+    return (
+        <input
+            type="text"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onBlur={() => onCommit(text.split(',').map(value => value.trim()).filter(Boolean))}
+            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+            readOnly={readOnly}
+            placeholder={placeholder}
+        />
+    );
+};
+
+// Visual editor for a flow agent's nodes and the transitions between them
+const FlowEditor = ({ value, onChange, readOnly }) => {
+    const flow = value || DEFAULT_FLOW;
+    const [selectedNodeId, setSelectedNodeId] = useState(flow.startNodeId);
+    const [dragging, setDragging] = useState(null);
+
+    const selectedNode = flow.nodes.find(node => node.id === selectedNodeId) || null;
+    const nodePosition = (node) => node.position || { x: 40, y: 40 };
+
+    const updateFlow = (changes) => onChange({ ...flow, ...changes });
+
+    const updateNode = (nodeId, changes) => {
+        updateFlow({ nodes: flow.nodes.map(node => (node.id === nodeId ? { ...node, ...changes } : node)) });
+    };
+
+    const updateTransition = (index, changes) => {
+        updateNode(selectedNode.id, {
+            transitions: selectedNode.transitions.map((transition, i) => (i === index ? { ...transition, ...changes } : transition))
+        });
+    };
+
+    // Nodes can be dragged around the canvas; positions are saved with the flow
+    useEffect(() => {
+        if (!dragging) return;
+
+        const handleMove = (e) => {
+            updateNode(dragging.id, {
+                position: {
+                    x: Math.max(0, dragging.originX + e.clientX - dragging.startX),
+                    y: Math.max(0, dragging.originY + e.clientY - dragging.startY)
+                }
+            });
+        };
+        const handleUp = () => setDragging(null);
+
+        window.addEventListener('mousemove', handleMove);
+        window.addEventListener('mouseup', handleUp);
+        return () => {
+            window.removeEventListener('mousemove', handleMove);
+            window.removeEventListener('mouseup', handleUp);
+        };
+    });
+
+    const startDrag = (node) => (e) => {
+        setSelectedNodeId(node.id);
+        if (readOnly) return;
+        e.preventDefault();
+        const { x, y } = nodePosition(node);
+        setDragging({ id: node.id, startX: e.clientX, startY: e.clientY, originX: x, originY: y });
+    };
+
+    const handleAddNode = () => {
+        const id = `node_${Date.now().toString(36)}`;
+        const lowest = Math.max(0, ...flow.nodes.map(node => nodePosition(node).y));
+        updateFlow({
+            nodes: [...flow.nodes, {
+                id,
+                name: 'New step',
+                type: 'conversation',
+                prompt: '',
+                transitions: [],
+                position: { x: 40, y: lowest + NODE_HEIGHT + 48 }
+            }]
+        });
+        setSelectedNodeId(id);
+    };
+
+    const handleDeleteNode = () => {
+        const nodes = flow.nodes
+            .filter(node => node.id !== selectedNode.id)
+            .map(node => ({ ...node, transitions: (node.transitions || []).filter(transition => transition.to !== selectedNode.id) }));
+        updateFlow({
+            nodes,
+            startNodeId: flow.startNodeId === selectedNode.id ? nodes[0]?.id : flow.startNodeId
+        });
+        setSelectedNodeId(nodes[0]?.id || null);
+    };
+
+    const handleAddTransition = () => {
+        const target = flow.nodes.find(node => node.id !== selectedNode.id) || selectedNode;
+        updateNode(selectedNode.id, {
+            transitions: [...(selectedNode.transitions || []), { to: target.id, type: 'llm', condition: '' }]
+        });
+    };
+
+    const handleTransitionTypeChange = (index) => (e) => {
+        const { to } = selectedNode.transitions[index];
+        const defaults = { llm: { condition: '' }, keyword: { keywords: [] }, tool: { tool: '' }, turns: { turns: 1 } };
+        updateNode(selectedNode.id, {
+            transitions: selectedNode.transitions.map((transition, i) => (
+                i === index ? { to, type: e.target.value, ...defaults[e.target.value] } : transition
+            ))
+        });
+    };
+
+    const canvasWidth = Math.max(640, ...flow.nodes.map(node => nodePosition(node).x + NODE_WIDTH + 40));
+    const canvasHeight = Math.max(448, ...flow.nodes.map(node => nodePosition(node).y + NODE_HEIGHT + 40));
+
+    return (
+        <div className="flex flex-col lg:flex-row gap-4">
+            <div className="flex-1 min-w-0">
+                {!readOnly && (
+                    <button
+                        onClick={handleAddNode}
+                        className="mb-2 inline-flex items-center px-3 py-1.5 text-sm font-medium text-blue-600 border border-blue-200 rounded-lg hover:bg-blue-50"
+                    >
+                        <Plus className="w-4 h-4 mr-1" />
+                        Add step
+                    </button>
+                )}
+                <div className="relative overflow-auto h-[28rem] bg-gray-50 border border-gray-200 rounded-lg">
+                    <div className="relative" style={{ width: canvasWidth, height: canvasHeight }}>
+                        <svg className="absolute inset-0 pointer-events-none" width={canvasWidth} height={canvasHeight}>
+                            <defs>
+                                <marker id="flow-arrow" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                                    <path d="M0,0 L8,4 L0,8 z" fill="#9CA3AF" />
+                                </marker>
+                            </defs>
+                            {flow.nodes.flatMap(node => (node.transitions || []).map((transition, index) => {
+                                const target = flow.nodes.find(candidate => candidate.id === transition.to);
+                                if (!target || target.id === node.id) return null;
+                                const from = nodePosition(node);
+                                const to = nodePosition(target);
+                                const x1 = from.x + NODE_WIDTH;
+                                const y1 = from.y + NODE_HEIGHT / 2;
+                                const x2 = to.x;
+                                const y2 = to.y + NODE_HEIGHT / 2;
+                                const bend = Math.max(40, Math.abs(x2 - x1) / 2);
+                                return (
+                                    <g key={`${node.id}-${index}`}>
+                                        <path
+                                            d={`M${x1},${y1} C${x1 + bend},${y1} ${x2 - bend},${y2} ${x2},${y2}`}
+                                            fill="none"
+                                            stroke="#9CA3AF"
+                                            strokeWidth="1.5"
+                                            markerEnd="url(#flow-arrow)"
+                                        />
+                                        <text x={(x1 + x2) / 2} y={(y1 + y2) / 2 - 4} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                                            {transitionLabel(transition).slice(0, 32)}
+                                        </text>
+                                    </g>
+                                );
+                            }))}
+                        </svg>
+
+                        {flow.nodes.map(node => {
+                            const { x, y } = nodePosition(node);
+                            const isSelected = node.id === selectedNodeId;
+                            return (
+                                <div
+                                    key={node.id}
+                                    onMouseDown={startDrag(node)}
+                                    className={`absolute p-3 bg-white rounded-lg shadow-sm border-2 select-none ${readOnly ? 'cursor-pointer' : 'cursor-move'} ${isSelected ? 'border-blue-500' : node.type === 'end' ? 'border-red-300' : 'border-gray-200'}`}
+                                    style={{ left: x, top: y, width: NODE_WIDTH, height: NODE_HEIGHT }}
+                                >
+                                    <div className="flex items-center space-x-1">
+                                        {node.id === flow.startNodeId && <Flag className="w-3 h-3 text-green-600 flex-shrink-0" />}
+                                        {node.type === 'end' && <Square className="w-3 h-3 text-red-500 flex-shrink-0" />}
+                                        <p className="text-sm font-medium text-gray-900 truncate">{node.name || node.id}</p>
+                                    </div>
+                                    <p className={`mt-1 text-xs truncate ${node.prompt?.trim() ? 'text-gray-500' : 'text-red-500'}`}>
+                                        {node.prompt?.trim() || 'Needs instructions'}
+                                    </p>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            </div>
+
+            <div className="lg:w-80 space-y-4">
+                {!selectedNode ? (
+                    <div className="text-center py-12 text-gray-500">
+                        <GitBranch className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+                        <p className="text-sm">Select a step to see its details.</p>
+                    </div>
+                ) : (
+                    <div key={selectedNode.id} className="space-y-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Step name</label>
+                            <input
+                                type="text"
+                                value={selectedNode.name || ''}
+                                onChange={(e) => updateNode(selectedNode.id, { name: e.target.value })}
+                                className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                                readOnly={readOnly}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Type</label>
+                            <select
+                                value={selectedNode.type || 'conversation'}
+                                onChange={(e) => updateNode(selectedNode.id, { type: e.target.value })}
+                                className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                                disabled={readOnly}
+                            >
+                                <option value="conversation">Conversation</option>
+                                <option value="end">End call after replying</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Instructions</label>
+                            <textarea
+                                value={selectedNode.prompt || ''}
+                                onChange={(e) => updateNode(selectedNode.id, { prompt: e.target.value })}
+                                rows={4}
+                                className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm text-sm focus:ring-blue-500 focus:border-blue-500"
+                                readOnly={readOnly}
+                                placeholder="What the agent does on this step"
+                            />
+                        </div>
+                        <div>
+                            <div className="flex items-center">
+                                <input
+                                    id="limitTools"
+                                    type="checkbox"
+                                    checked={Array.isArray(selectedNode.tools)}
+                                    onChange={(e) => updateNode(selectedNode.id, { tools: e.target.checked ? [] : undefined })}
+                                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                                    disabled={readOnly}
+                                />
+                                <label htmlFor="limitTools" className="ml-2 text-sm font-medium text-gray-700">Limit tools on this step</label>
+                            </div>
+                            {Array.isArray(selectedNode.tools) && (
+                                <ListInput
+                                    values={selectedNode.tools}
+                                    onCommit={(tools) => updateNode(selectedNode.id, { tools })}
+                                    readOnly={readOnly}
+                                    placeholder="Tool names, e.g. check_availability (blank: none)"
+                                />
+                            )}
+                        </div>
+
+                        <div>
+                            <h5 className="text-sm font-medium text-gray-700">Transitions</h5>
+                            <p className="text-xs text-gray-500">Checked in order each time the caller speaks; AI conditions are judged last.</p>
+                            <div className="mt-2 space-y-3">
+                                {/* Keyed by count too, so removing one remounts the rest with their own list text */}
+                                {(selectedNode.transitions || []).map((transition, index, transitions) => (
+                                    <div key={`${index}-${transitions.length}`} className="p-3 bg-gray-50 rounded-lg space-y-2">
+                                        <div className="flex items-center space-x-2">
+                                            <select
+                                                value={transition.type}
+                                                onChange={handleTransitionTypeChange(index)}
+                                                className="flex-1 border-gray-300 rounded-lg text-xs focus:ring-blue-500 focus:border-blue-500"
+                                                disabled={readOnly}
+                                            >
+                                                {Object.entries(TRANSITION_TYPES).map(([type, label]) => (
+                                                    <option key={type} value={type}>{label}</option>
+                                                ))}
+                                            </select>
+                                            {!readOnly && (
+                                                <button
+                                                    onClick={() => updateNode(selectedNode.id, { transitions: selectedNode.transitions.filter((_, i) => i !== index) })}
+                                                    className="p-1 text-gray-400 hover:text-red-600"
+                                                    aria-label="Remove transition"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                        </div>
+                                        {transition.type === 'llm' && (
+                                            <input
+                                                type="text"
+                                                value={transition.condition || ''}
+                                                onChange={(e) => updateTransition(index, { condition: e.target.value })}
+                                                className="block w-full border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                                                readOnly={readOnly}
+                                                placeholder="The caller wants to book an appointment"
+                                            />
+                                        )}
+                                        {transition.type === 'keyword' && (
+                                            <ListInput
+                                                values={transition.keywords}
+                                                onCommit={(keywords) => updateTransition(index, { keywords })}
+                                                readOnly={readOnly}
+                                                placeholder="Keywords, separated by commas"
+                                            />
+                                        )}
+                                        {transition.type === 'tool' && (
+                                            <input
+                                                type="text"
+                                                value={transition.tool || ''}
+                                                onChange={(e) => updateTransition(index, { tool: e.target.value.trim() })}
+                                                className="block w-full border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                                                readOnly={readOnly}
+                                                placeholder="book_appointment"
+                                            />
+                                        )}
+                                        {transition.type === 'turns' && (
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={transition.turns}
+                                                onChange={(e) => updateTransition(index, { turns: parseInt(e.target.value) || 1 })}
+                                                className="block w-full border-gray-300 rounded-lg text-sm focus:ring-blue-500 focus:border-blue-500"
+                                                readOnly={readOnly}
+                                            />
+                                        )}
+                                        <div className="flex items-center space-x-2 text-xs text-gray-600">
+                                            <span>Go to</span>
+                                            <select
+                                                value={transition.to}
+                                                onChange={(e) => updateTransition(index, { to: e.target.value })}
+                                                className="flex-1 border-gray-300 rounded-lg text-xs focus:ring-blue-500 focus:border-blue-500"
+                                                disabled={readOnly}
+                                            >
+                                                {flow.nodes.map(node => (
+                                                    <option key={node.id} value={node.id}>{node.name || node.id}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+                                    </div>
+                                ))}
+                            </div>
+                            {!readOnly && (
+                                <button
+                                    onClick={handleAddTransition}
+                                    className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-700 font-medium"
+                                >
+                                    <Plus className="w-4 h-4 mr-1" />
+                                    Add transition
+                                </button>
+                            )}
+                        </div>
+
+                        {!readOnly && (
+                            <div className="flex items-center justify-between pt-4 border-t border-gray-200">
+                                <button
+                                    onClick={() => updateFlow({ startNodeId: selectedNode.id })}
+                                    disabled={flow.startNodeId === selectedNode.id}
+                                    className="inline-flex items-center text-sm text-gray-700 hover:text-green-700 disabled:opacity-50"
+                                >
+                                    <Flag className="w-4 h-4 mr-1" />
+                                    Start here
+                                </button>
+                                <button
+                                    onClick={handleDeleteNode}
+                                    disabled={flow.nodes.length === 1}
+                                    className="inline-flex items-center text-sm text-red-600 hover:text-red-700 disabled:opacity-50"
+                                >
+                                    <Trash2 className="w-4 h-4 mr-1" />
+                                    Delete step
+                                </button>
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FlowEditor;
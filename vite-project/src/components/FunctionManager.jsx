@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Plus, Settings, Trash2, Edit, Calendar, Phone, MessageSquare, Loader2 } from 'lucide-react';
+import { Plus, Settings, Trash2, Edit, Calendar, Phone, MessageSquare, Mail, UserPlus, PhoneForwarded, Loader2 } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import CreateFunctionModal from './CreateFunctionModal';
 import EditFunctionModal from './EditFunctionModal';
@@ -79,6 +79,12 @@ const FunctionManager = ({ agentId, onClose }) => {
                 return <Calendar className="w-4 h-4" />;
             case 'send_sms':
                 return <MessageSquare className="w-4 h-4" />;
+            case 'send_email':
+                return <Mail className="w-4 h-4" />;
+            case 'transfer_call':
+                return <PhoneForwarded className="w-4 h-4" />;
+            case 'create_lead':
+                return <UserPlus className="w-4 h-4" />;
             default:
                 return <Settings className="w-4 h-4" />;
         }
@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, PhoneIncoming, Trash2, AlertTriangle, Loader2 } from 'lucide-react';
+import api from '../services/api';
+
+const PhoneNumberManager = ({ agentId }) => {
+    const [phoneNumbers, setPhoneNumbers] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [form, setForm] = useState({ phoneNumber: '', friendlyName: '' });
+    const [warning, setWarning] = useState('');
+    const [actionLoading, setActionLoading] = useState({});
+
+    const loadPhoneNumbers = useCallback(async () => {
+        try {
+            setLoading(true);
+            const data = await api.getPhoneNumbers(agentId);
+            setPhoneNumbers(data.phoneNumbers || []);
+        } catch (error) {
+            console.error('Error loading phone numbers:', error);
+            setPhoneNumbers([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [agentId]);
+
+    useEffect(() => {
+        loadPhoneNumbers();
+    }, [loadPhoneNumbers]);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        try {
+            setActionLoading({ create: true });
+            const result = await api.createPhoneNumber({ ...form, agentId });
+            setWarning(result.warning || '');
+            setForm({ phoneNumber: '', friendlyName: '' });
+            await loadPhoneNumbers();
+        } catch (error) {
+            console.error('Error adding phone number:', error);
+            alert(`Failed to add phone number: ${error.message}`);
+        } finally {
+            setActionLoading({ create: false });
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('Stop routing calls on this number to the agent?')) return;
+
+        try {
+            setActionLoading({ [id]: true });
+            await api.deletePhoneNumber(id);
+            await loadPhoneNumbers();
+        } catch (error) {
+            console.error('Error removing phone number:', error);
+        } finally {
+            setActionLoading({ [id]: false });
+        }
+    };
+
+    if (loading) {
+        return (
+            <div className="flex items-center justify-center h-64">
+                <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+                <span className="ml-2 text-gray-600">Loading phone numbers...</span>
+            </div>
+        );
+    }
+
+    return (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-semibold text-gray-900">Inbound Phone Numbers</h3>
+                <p className="text-sm text-gray-600">
+                    Calls to these Twilio numbers are answered by this agent. Known callers are greeted with their contact details and call history.
+                </p>
+            </div>
+
+            <form onSubmit={handleAdd} className="flex items-end space-x-3">
+                <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-700">Twilio number</label>
+                    <input
+                        type="tel"
+                        value={form.phoneNumber}
+                        onChange={(e) => setForm(prev => ({ ...prev, phoneNumber: e.target.value }))}
+                        placeholder="+14155550100"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                        required
+                    />
+                </div>
+                <div className="flex-1">
+                    <label className="block text-sm font-medium text-gray-700">Label (optional)</label>
+                    <input
+                        type="text"
+                        value={form.friendlyName}
+                        onChange={(e) => setForm(prev => ({ ...prev, friendlyName: e.target.value }))}
+                        placeholder="Main support line"
+                        className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                </div>
+                <button
+                    type="submit"
+                    disabled={actionLoading.create}
+                    className="flex items-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+                >
+                    <Plus className="w-4 h-4 mr-2" />
+                    {actionLoading.create ? 'Adding...' : 'Add Number'}
+                </button>
+            </form>
+
+            {warning && (
+                <div className="flex items-start p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>{warning}</span>
+                </div>
+            )}
+
+            {phoneNumbers.length === 0 ? (
+                <div className="text-center py-12 bg-gray-50 rounded-lg">
+                    <PhoneIncoming className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                    <h4 className="text-lg font-medium text-gray-900 mb-2">No Inbound Numbers</h4>
+                    <p className="text-gray-600">Add one of your Twilio numbers to let customers call this agent</p>
+                </div>
+            ) : (
+                <div className="grid gap-4">
+                    {phoneNumbers.map((number) => (
+                        <div key={number.id} className="bg-white border border-gray-200 rounded-lg p-4 flex items-center justify-between">
+                            <div className="flex items-center space-x-3">
+                                <div className="w-8 h-8 bg-blue-100 rounded-lg flex items-center justify-center">
+                                    <PhoneIncoming className="w-4 h-4" />
+                                </div>
+                                <div>
+                                    <h4 className="font-medium text-gray-900">{number.phone_number}</h4>
+                                    {number.friendly_name && (
+                                        <p className="text-sm text-gray-600">{number.friendly_name}</p>
+                                    )}
+                                </div>
+                            </div>
+                            <button
+                                onClick={() => handleDelete(number.id)}
+                                disabled={actionLoading[number.id]}
+                                className="p-2 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
+                                title="Remove number"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PhoneNumberManager;
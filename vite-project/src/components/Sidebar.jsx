@@ -1,4 +1,5 @@
 import { Link, useLocation } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
 import {
     Bot,
     BarChart3,
@@ -9,22 +10,30 @@ import {
     Zap,
     Users,
     Phone,
-    UserPlus
+    UserPlus,
+    Megaphone,
+    BookOpen,
+    Webhook
 } from 'lucide-react';
 
 const Sidebar = ({ isOpen, onClose }) => {
     const location = useLocation();
+    const { hasPermission } = useApp();
 
+    // Each entry is only shown when the user holds its permission
     const navigation = [
-        { name: 'Agents', href: '/', icon: Bot, current: location.pathname === '/' },
-        { name: 'Analytics', href: '/analytics', icon: BarChart3, current: location.pathname === '/analytics' },
-        { name: 'Sessions', href: '/sessions', icon: MessageSquare, current: location.pathname === '/sessions' },
-        { name: 'Calls', href: '/calls', icon: Phone, current: location.pathname === '/calls' },
-        { name: 'Contacts', href: '/contacts', icon: UserPlus, current: location.pathname === '/contacts' },
-        { name: 'Integrations', href: '/integrations', icon: Zap, current: location.pathname === '/integrations' },
-        { name: 'Team', href: '/team', icon: Users, current: location.pathname === '/team' },
-        { name: 'Settings', href: '/settings', icon: Settings, current: location.pathname === '/settings' },
-    ];
+        { name: 'Agents', href: '/', icon: Bot, current: location.pathname === '/', permission: 'view_agents' },
+        { name: 'Analytics', href: '/analytics', icon: BarChart3, current: location.pathname === '/analytics', permission: 'view_analytics' },
+        { name: 'Sessions', href: '/sessions', icon: MessageSquare, current: location.pathname === '/sessions', permission: 'view_analytics' },
+        { name: 'Calls', href: '/calls', icon: Phone, current: location.pathname === '/calls', permission: 'view_agents' },
+        { name: 'Contacts', href: '/contacts', icon: UserPlus, current: location.pathname === '/contacts', permission: 'view_contacts' },
+        { name: 'Campaigns', href: '/campaigns', icon: Megaphone, current: location.pathname === '/campaigns', permission: 'view_agents' },
+        { name: 'Knowledge Bases', href: '/knowledge-bases', icon: BookOpen, current: location.pathname === '/knowledge-bases', permission: 'view_agents' },
+        { name: 'Integrations', href: '/integrations', icon: Zap, current: location.pathname === '/integrations', permission: 'manage_settings' },
+        { name: 'Webhooks', href: '/webhooks', icon: Webhook, current: location.pathname === '/webhooks', permission: 'manage_settings' },
+        { name: 'Team', href: '/team', icon: Users, current: location.pathname === '/team', permission: 'view_team' },
+        { name: 'Settings', href: '/settings', icon: Settings, current: location.pathname === '/settings', permission: 'manage_settings' },
+    ].filter(item => hasPermission(item.permission));
 
     return (
         <>
@@ -0,0 +1,163 @@
+import { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Loader2, DollarSign } from 'lucide-react';
+import api from '../services/api';
+import { COST_CATEGORIES, formatCost, budgetBarColor } from '../utils/usageCosts';
+
+// What calls cost: totals by category, per day, per agent and per call, against the monthly budget
+const UsageCosts = ({ dateFrom, agentId }) => {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const loadCosts = async () => {
+            try {
+                setLoading(true);
+                setError('');
+                const params = { date_from: dateFrom, date_to: new Date().toISOString() };
+                if (agentId) params.agent_id = agentId;
+
+                const response = await api.getUsageCosts(params);
+                setData(response.data);
+            } catch (error) {
+                console.error('Error loading usage costs:', error);
+                setError('Failed to load usage costs');
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadCosts();
+    }, [dateFrom, agentId]);
+
+    const currency = data?.currency || 'USD';
+    const budget = data?.budget;
+
+    return (
+        <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900 mb-4">Usage Costs</h3>
+
+            {loading ? (
+                <div className="flex items-center py-8 text-sm text-gray-600">
+                    <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                    Loading usage costs...
+                </div>
+            ) : error ? (
+                <p className="py-8 text-sm text-red-600">{error}</p>
+            ) : (
+                <div className="space-y-6">
+                    {budget?.configured && (
+                        <div>
+                            <div className="flex justify-between text-sm mb-1">
+                                <span className="text-gray-700">
+                                    Monthly budget: {formatCost(budget.spent, currency)} of {formatCost(budget.monthlyLimit, currency)}
+                                </span>
+                                <span className={budget.exceeded ? 'text-red-600 font-medium' : 'text-gray-500'}>
+                                    {budget.blocked ? 'New calls blocked' : `${Math.round(budget.percentUsed)}%`}
+                                </span>
+                            </div>
+                            <div className="h-2 bg-gray-100 rounded-full">
+                                <div
+                                    className={`h-2 rounded-full ${budgetBarColor(budget.percentUsed, budget.alertPercent)}`}
+                                    style={{ width: `${Math.min(budget.percentUsed, 100)}%` }}
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        <div className="p-4 bg-gray-50 rounded-lg">
+                            <p className="text-sm text-gray-600">Total</p>
+                            <p className="text-xl font-semibold text-gray-900">{formatCost(data.totals.cost, currency)}</p>
+                        </div>
+                        <div className="p-4 bg-gray-50 rounded-lg">
+                            <p className="text-sm text-gray-600">Per call</p>
+                            <p className="text-xl font-semibold text-gray-900">{formatCost(data.totals.costPerCall, currency)}</p>
+                        </div>
+                        {Object.entries(COST_CATEGORIES).map(([category, { label }]) => (
+                            <div key={category} className="p-4 bg-gray-50 rounded-lg">
+                                <p className="text-sm text-gray-600">{label}</p>
+                                <p className="text-xl font-semibold text-gray-900">{formatCost(data.totals.byCategory[category]?.cost, currency)}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    <p className="text-xs text-gray-500">
+                        {data.totals.byCategory.llm.inputTokens.toLocaleString()} input and {data.totals.byCategory.llm.outputTokens.toLocaleString()} output tokens
+                        {' · '}{data.totals.byCategory.tts.characters.toLocaleString()} characters spoken
+                        {' · '}{Math.round(data.totals.byCategory.telephony.seconds / 60).toLocaleString()} call minutes
+                        {data.ttsAccount && (
+                            <> · ElevenLabs: {data.ttsAccount.characterCount.toLocaleString()} of {data.ttsAccount.characterLimit.toLocaleString()} characters this billing period</>
+                        )}
+                    </p>
+
+                    {data.totals.cost === 0 ? (
+                        <div className="text-center py-8 text-gray-500">
+                            <DollarSign className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+                            <p>No usage recorded in this period.</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div>
+                                <h4 className="text-sm font-medium text-gray-700 mb-2">Per Day</h4>
+                                <ResponsiveContainer width="100%" height={250}>
+                                    <BarChart data={data.days.map(day => ({ ...day, date: new Date(day.date).toLocaleDateString() }))}>
+                                        <CartesianGrid strokeDasharray="3 3" />
+                                        <XAxis dataKey="date" />
+                                        <YAxis />
+                                        <Tooltip formatter={(value) => formatCost(value, currency)} />
+                                        <Legend />
+                                        {Object.entries(COST_CATEGORIES).map(([category, { label, color }]) => (
+                                            <Bar key={category} dataKey={category} name={label} stackId="cost" fill={color} />
+                                        ))}
+                                    </BarChart>
+                                </ResponsiveContainer>
+                            </div>
+
+                            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                                <div>
+                                    <h4 className="text-sm font-medium text-gray-700 mb-2">Per Agent</h4>
+                                    <div className="divide-y divide-gray-200">
+                                        {data.agents.map(agent => (
+                                            <div key={agent.agentId} className="py-2 flex items-center justify-between text-sm">
+                                                <div>
+                                                    <p className="font-medium text-gray-900">{agent.agentName || 'Unknown Agent'}</p>
+                                                    <p className="text-gray-500">{agent.calls} calls · {formatCost(agent.costPerCall, currency)} per call</p>
+                                                </div>
+                                                <span className="font-semibold text-gray-900">{formatCost(agent.cost, currency)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <h4 className="text-sm font-medium text-gray-700 mb-2">Most Expensive Calls</h4>
+                                    <div className="divide-y divide-gray-200">
+                                        {data.calls.map(call => (
+                                            <div key={call.id} className="py-2 flex items-center justify-between text-sm">
+                                                <div>
+                                                    <p className="font-medium text-gray-900">
+                                                        {call.customerName || 'Unknown'}
+                                                        <span className="ml-2 font-normal text-gray-500">{call.agentName || 'Unknown Agent'}</span>
+                                                    </p>
+                                                    <p className="text-gray-500">
+                                                        {call.startedAt ? new Date(call.startedAt).toLocaleDateString() : ''}
+                                                        {Object.entries(COST_CATEGORIES).map(([category, { label }]) => ` · ${label} ${formatCost(call[category], currency)}`).join('')}
+                                                    </p>
+                                                </div>
+                                                <span className="font-semibold text-gray-900">{formatCost(call.cost, currency)}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            </div>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default UsageCosts;
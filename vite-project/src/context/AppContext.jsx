@@ -28,6 +28,7 @@ const ActionTypes = {
     UPDATE_AGENT: 'UPDATE_AGENT',
     DELETE_AGENT: 'DELETE_AGENT',
     SET_USER: 'SET_USER',
+    UPDATE_USER: 'UPDATE_USER',
     CLEAR_ERROR: 'CLEAR_ERROR',
     LOGOUT: 'LOGOUT',
 };
@@ -101,7 +102,7 @@ function appReducer(state, action) {
             return {
                 ...state,
                 agents: state.agents.map(agent =>
-                    agent.id === action.payload.id ? action.payload : agent
+                    agent.id === action.payload.id ? { ...agent, ...action.payload } : agent
                 ),
             };
 
@@ -117,6 +118,13 @@ function appReducer(state, action) {
                 user: action.payload,
             };
 
+        case ActionTypes.UPDATE_USER:
+            // Keep fields the profile endpoints don't return (role, permissions)
+            return {
+                ...state,
+                user: { ...state.user, ...action.payload },
+            };
+
         case ActionTypes.LOGOUT:
             return {
                 ...state,
@@ -194,6 +202,42 @@ export function AppProvider({ children }) {
             }
         }, []),
 
+        setAgentStatus: useCallback(async (id, status) => {
+            try {
+                dispatch({ type: ActionTypes.CLEAR_ERROR });
+                const updatedAgent = await api.setAgentStatus(id, status);
+                dispatch({ type: ActionTypes.UPDATE_AGENT, payload: updatedAgent });
+                return updatedAgent;
+            } catch (error) {
+                dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+                throw error;
+            }
+        }, []),
+
+        publishAgent: useCallback(async (id, note) => {
+            try {
+                dispatch({ type: ActionTypes.CLEAR_ERROR });
+                const updatedAgent = await api.publishAgent(id, note);
+                dispatch({ type: ActionTypes.UPDATE_AGENT, payload: updatedAgent });
+                return updatedAgent;
+            } catch (error) {
+                dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+                throw error;
+            }
+        }, []),
+
+        rollbackAgent: useCallback(async (id, version) => {
+            try {
+                dispatch({ type: ActionTypes.CLEAR_ERROR });
+                const updatedAgent = await api.rollbackAgent(id, version);
+                dispatch({ type: ActionTypes.UPDATE_AGENT, payload: updatedAgent });
+                return updatedAgent;
+            } catch (error) {
+                dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
+                throw error;
+            }
+        }, []),
+
         deleteAgent: useCallback(async (id) => {
             try {
                 dispatch({ type: ActionTypes.CLEAR_ERROR });
@@ -311,7 +355,7 @@ export function AppProvider({ children }) {
             try {
                 dispatch({ type: ActionTypes.CLEAR_ERROR });
                 const updatedUser = await api.updateUser(userData);
-                dispatch({ type: ActionTypes.SET_USER, payload: updatedUser });
+                dispatch({ type: ActionTypes.UPDATE_USER, payload: updatedUser });
                 return updatedUser;
             } catch (error) {
                 dispatch({ type: ActionTypes.SET_ERROR, payload: error.message });
@@ -393,6 +437,8 @@ export function AppProvider({ children }) {
     const value = useMemo(() => ({
         ...state,
         ...actions,
+        // Effective permissions come from /api/auth/me (or the login response)
+        hasPermission: (permission) => !!state.user?.permissions?.includes(permission),
     }), [state, actions]);
 
     return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
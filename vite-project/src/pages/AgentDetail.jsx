@@ -1,14 +1,39 @@
 import { useState, useEffect, useCallback } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Bot, Phone, MessageSquare, Settings, Play, Pause, Copy, Edit, Trash2, BarChart3, Loader2, Code } from 'lucide-react';
+import { ArrowLeft, Bot, Phone, MessageSquare, Settings, Play, Pause, Copy, Edit, Trash2, BarChart3, Loader2, Code, Plus } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import api from '../services/api';
 import FunctionManager from '../components/FunctionManager';
+import PhoneNumberManager from '../components/PhoneNumberManager';
+import FlowEditor from '../components/FlowEditor';
+import AgentDraftBanner from '../components/AgentDraftBanner';
+import AgentVersions from '../components/AgentVersions';
+import AgentKnowledgeBases from '../components/AgentKnowledgeBases';
+import { DEFAULT_FLOW } from '../utils/conversationFlow';
+import { LLM_PROVIDERS, MODEL_SUGGESTIONS, MAX_LLM_FALLBACKS, describeLlm } from '../utils/llmProviders';
+
+const TTS_PROVIDERS = {
+    elevenlabs: 'ElevenLabs',
+    openai: 'OpenAI',
+    piper: 'Piper (self-hosted)',
+    twilio: 'Twilio (built in)'
+};
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date'];
+
+// Configuration being worked on: the draft when there is one, otherwise the live version
+const toWorkingCopy = (agent) => (agent?.draft ? { ...agent, ...agent.draft.config } : agent);
+
+// Dispositions are edited as comma-separated text, like the vocabulary boost
+const toAnalysisForm = (analysisConfig) => ({
+    dispositions: (analysisConfig?.dispositions || []).join(', '),
+    fields: analysisConfig?.fields || []
+});
 
 const AgentDetail = () => {
     const { id } = useParams();
     const navigate = useNavigate();
-    const { updateAgent, deleteAgent } = useApp();
+    const { updateAgent, setAgentStatus, deleteAgent } = useApp();
     const [activeTab, setActiveTab] = useState('overview');
     const [agent, setAgent] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -20,16 +45,35 @@ const AgentDetail = () => {
     const fetchAgent = useCallback(async () => {
         try {
             setLoading(true);
-            const agentData = await api.getAgent(id);
-            setAgent(agentData);
+            const fetched = await api.getAgent(id);
+            setAgent(fetched);
+            const agentData = toWorkingCopy(fetched);
             setEditForm({
                 name: agentData.name || '',
                 description: agentData.description || '',
                 aiPrompt: agentData.aiPrompt || '',
                 voice: agentData.voice || 'Emma',
                 language: agentData.language || 'English',
-                model: agentData.model || 'gpt-4o-mini',
-                webhookUrl: agentData.webhookUrl || ''
+                model: agentData.model || '',
+                webhookUrl: agentData.webhookUrl || '',
+                llmProvider: agentData.llmProvider || '',
+                temperature: agentData.temperature ?? '',
+                maxTokens: agentData.maxTokens ?? '',
+                historyWindow: agentData.historyWindow ?? '',
+                turnTimeoutMs: agentData.turnTimeoutMs ?? '',
+                maxDurationSeconds: agentData.maxDurationSeconds ?? '',
+                maxTurns: agentData.maxTurns ?? '',
+                maxSilentReprompts: agentData.maxSilentReprompts ?? '',
+                sttProvider: agentData.sttProvider || '',
+                sttLanguage: agentData.sttLanguage || '',
+                sttKeywords: (agentData.sttKeywords || []).join(', '),
+                voiceConfig: agentData.voiceConfig || {},
+                llmConfig: agentData.llmConfig || {},
+                recordingEnabled: !!agentData.recordingEnabled,
+                recordingChannels: agentData.recordingChannels || 'mono',
+                analysisConfig: toAnalysisForm(agentData.analysisConfig),
+                agentType: agentData.agentType || 'prompt',
+                flowDefinition: agentData.flowDefinition || null
             });
         } catch (error) {
             setError('Failed to load agent details');
@@ -43,10 +87,16 @@ const AgentDetail = () => {
         fetchAgent();
     }, [fetchAgent]);
 
+    const workingCopy = toWorkingCopy(agent);
+
     const tabs = [
         { id: 'overview', name: 'Overview' },
         { id: 'configuration', name: 'Configuration' },
+        { id: 'flow', name: 'Conversation Flow' },
+        { id: 'versions', name: 'Versions' },
+        { id: 'knowledge', name: 'Knowledge' },
         { id: 'functions', name: 'Functions' },
+        { id: 'phone-numbers', name: 'Phone Numbers' },
         { id: 'analytics', name: 'Analytics' },
         { id: 'integrations', name: 'Integrations' }
     ];
@@ -73,8 +123,8 @@ const AgentDetail = () => {
         try {
             setActionLoading(true);
             const newStatus = agent.status === 'active' ? 'paused' : 'active';
-            const updatedAgent = await updateAgent(agent.id, { ...agent, status: newStatus });
-            setAgent(updatedAgent);
+            const updatedAgent = await setAgentStatus(agent.id, newStatus);
+            setAgent({ ...agent, ...updatedAgent });
         } catch (error) {
             setError('Failed to update agent status');
             console.error('Error updating agent status:', error);
@@ -90,8 +140,9 @@ const AgentDetail = () => {
     const handleSaveEdit = async () => {
         try {
             setActionLoading(true);
-            const updatedAgent = await updateAgent(agent.id, { ...agent, ...editForm });
-            setAgent(updatedAgent);
+            // Saved to the draft; the live version changes when it is published
+            const updatedAgent = await updateAgent(agent.id, { ...workingCopy, ...editForm });
+            setAgent({ ...agent, ...updatedAgent });
             setIsEditing(false);
         } catch (error) {
             setError('Failed to update agent');
@@ -103,12 +154,30 @@ const AgentDetail = () => {
 
     const handleCancelEdit = () => {
         setEditForm({
-            name: agent.name,
-            description: agent.description,
-            voice: agent.voice,
-            language: agent.language,
-            model: agent.model,
-            webhookUrl: agent.webhookUrl
+            name: workingCopy.name,
+            description: workingCopy.description,
+            voice: workingCopy.voice,
+            language: workingCopy.language,
+            model: workingCopy.model || '',
+            webhookUrl: workingCopy.webhookUrl,
+            llmProvider: workingCopy.llmProvider || '',
+            temperature: workingCopy.temperature ?? '',
+            maxTokens: workingCopy.maxTokens ?? '',
+            historyWindow: workingCopy.historyWindow ?? '',
+            turnTimeoutMs: workingCopy.turnTimeoutMs ?? '',
+            maxDurationSeconds: workingCopy.maxDurationSeconds ?? '',
+            maxTurns: workingCopy.maxTurns ?? '',
+            maxSilentReprompts: workingCopy.maxSilentReprompts ?? '',
+            sttProvider: workingCopy.sttProvider || '',
+            sttLanguage: workingCopy.sttLanguage || '',
+            sttKeywords: (workingCopy.sttKeywords || []).join(', '),
+            voiceConfig: workingCopy.voiceConfig || {},
+            llmConfig: workingCopy.llmConfig || {},
+            recordingEnabled: !!workingCopy.recordingEnabled,
+            recordingChannels: workingCopy.recordingChannels || 'mono',
+            analysisConfig: toAnalysisForm(workingCopy.analysisConfig),
+            agentType: workingCopy.agentType || 'prompt',
+            flowDefinition: workingCopy.flowDefinition || null
         });
         setIsEditing(false);
     };
@@ -135,6 +204,97 @@ const AgentDetail = () => {
         });
     };
 
+    // slot is 'primary' or 'fallback'; fields are named provider / voice
+    const handleVoiceChange = (slot) => (e) => {
+        setEditForm({
+            ...editForm,
+            voiceConfig: {
+                ...editForm.voiceConfig,
+                [slot]: { ...editForm.voiceConfig?.[slot], [e.target.name]: e.target.value }
+            }
+        });
+    };
+
+    const handleLatencyBudgetChange = (e) => {
+        setEditForm({
+            ...editForm,
+            voiceConfig: { ...editForm.voiceConfig, latencyBudgetMs: e.target.value }
+        });
+    };
+
+    // A model name only means something to its own provider
+    const handleLlmProviderChange = (e) => {
+        setEditForm({
+            ...editForm,
+            llmProvider: e.target.value,
+            model: ''
+        });
+    };
+
+    const updateLlmFallbacks = (fallbacks) => {
+        setEditForm({
+            ...editForm,
+            llmConfig: { ...editForm.llmConfig, fallbacks }
+        });
+    };
+
+    const handleLlmFallbackChange = (index) => (e) => {
+        updateLlmFallbacks((editForm.llmConfig?.fallbacks || []).map((fallback, i) => (
+            i === index ? { ...fallback, [e.target.name]: e.target.value } : fallback
+        )));
+    };
+
+    const handleRecordingToggle = (e) => {
+        setEditForm({
+            ...editForm,
+            recordingEnabled: e.target.checked
+        });
+    };
+
+    const handleDispositionsChange = (e) => {
+        setEditForm({
+            ...editForm,
+            analysisConfig: { ...editForm.analysisConfig, dispositions: e.target.value }
+        });
+    };
+
+    const updateAnalysisFields = (fields) => {
+        setEditForm({
+            ...editForm,
+            analysisConfig: { ...editForm.analysisConfig, fields }
+        });
+    };
+
+    const handleAnalysisFieldChange = (index) => (e) => {
+        updateAnalysisFields(editForm.analysisConfig.fields.map((field, i) => (
+            i === index ? { ...field, [e.target.name]: e.target.value } : field
+        )));
+    };
+
+    // Switching to a flow starts from a single greeting step
+    const handleAgentTypeChange = (e) => {
+        setEditForm({
+            ...editForm,
+            agentType: e.target.value,
+            flowDefinition: e.target.value === 'flow' ? (editForm.flowDefinition || DEFAULT_FLOW) : editForm.flowDefinition
+        });
+    };
+
+    const handleFlowChange = (flowDefinition) => {
+        setEditForm({
+            ...editForm,
+            flowDefinition
+        });
+    };
+
+    const voiceConfig = (isEditing ? editForm.voiceConfig : workingCopy?.voiceConfig) || {};
+    const llmSettings = (isEditing ? editForm : workingCopy) || {};
+    const llmFallbacks = (llmSettings.llmConfig || {}).fallbacks || [];
+    const recordingEnabled = isEditing ? editForm.recordingEnabled : !!workingCopy?.recordingEnabled;
+    const analysisConfig = isEditing ? editForm.analysisConfig : toAnalysisForm(workingCopy?.analysisConfig);
+    const agentType = (isEditing ? editForm.agentType : workingCopy?.agentType) || 'prompt';
+    const flowDefinition = isEditing ? editForm.flowDefinition : workingCopy?.flowDefinition;
+
     if (loading) {
         return (
             <div className="flex items-center justify-center h-64">
@@ -222,6 +382,17 @@ const AgentDetail = () => {
                 </div>
             </div>
 
+            {agent.draft && (
+                <AgentDraftBanner
+                    agent={agent}
+                    onPublished={(updatedAgent) => setAgent({ ...agent, ...updatedAgent })}
+                    onDiscarded={() => {
+                        setIsEditing(false);
+                        fetchAgent();
+                    }}
+                />
+            )}
+
             {/* Stats Cards */}
             <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
                 <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
@@ -305,7 +476,11 @@ const AgentDetail = () => {
                                         </div>
                                         <div>
                                             <dt className="text-sm font-medium text-gray-500">Voice</dt>
-                                            <dd className="mt-1 text-sm text-gray-900">{agent.voice || 'Default'}</dd>
+                                            <dd className="mt-1 text-sm text-gray-900">
+                                                {agent.voiceConfig?.primary?.provider
+                                                    ? `${TTS_PROVIDERS[agent.voiceConfig.primary.provider]}${agent.voiceConfig.primary.voice ? ` (${agent.voiceConfig.primary.voice})` : ''}`
+                                                    : 'Default'}
+                                            </dd>
                                         </div>
                                         <div>
                                             <dt className="text-sm font-medium text-gray-500">Language</dt>
@@ -313,7 +488,7 @@ const AgentDetail = () => {
                                         </div>
                                         <div>
                                             <dt className="text-sm font-medium text-gray-500">Model</dt>
-                                            <dd className="mt-1 text-sm text-gray-900">{agent.model || 'gpt-4'}</dd>
+                                            <dd className="mt-1 text-sm text-gray-900">{describeLlm(agent)}</dd>
                                         </div>
                                         <div>
                                             <dt className="text-sm font-medium text-gray-500">Created</dt>
@@ -406,7 +581,7 @@ const AgentDetail = () => {
                                         <input
                                             type="text"
                                             name="name"
-                                            value={isEditing ? (editForm.name || '') : (agent?.name || '')}
+                                            value={isEditing ? (editForm.name || '') : (workingCopy?.name || '')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
                                             readOnly={!isEditing}
@@ -416,7 +591,7 @@ const AgentDetail = () => {
                                         <label className="block text-sm font-medium text-gray-700">Description</label>
                                         <textarea
                                             name="description"
-                                            value={isEditing ? (editForm.description || '') : (agent?.description || '')}
+                                            value={isEditing ? (editForm.description || '') : (workingCopy?.description || '')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             rows={3}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
@@ -427,7 +602,7 @@ const AgentDetail = () => {
                                         <label className="block text-sm font-medium text-gray-700">AI Prompt</label>
                                         <textarea
                                             name="aiPrompt"
-                                            value={isEditing ? (editForm.aiPrompt || '') : (agent?.aiPrompt || '')}
+                                            value={isEditing ? (editForm.aiPrompt || '') : (workingCopy?.aiPrompt || '')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             rows={6}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
@@ -435,21 +610,6 @@ const AgentDetail = () => {
                                             placeholder="Enter the AI prompt that defines how this agent should behave..."
                                         />
                                     </div>
-                                    <div>
-                                        <label className="block text-sm font-medium text-gray-700">Voice</label>
-                                        <select
-                                            name="voice"
-                                            value={isEditing ? (editForm.voice || 'Emma') : (agent?.voice || 'Emma')}
-                                            onChange={isEditing ? handleEditFormChange : undefined}
-                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
-                                            disabled={!isEditing}
-                                        >
-                                            <option value="Emma">Emma</option>
-                                            <option value="James">James</option>
-                                            <option value="Sarah">Sarah</option>
-                                            <option value="Michael">Michael</option>
-                                        </select>
-                                    </div>
                                 </div>
 
                                 <div className="space-y-4">
@@ -457,7 +617,7 @@ const AgentDetail = () => {
                                         <label className="block text-sm font-medium text-gray-700">Language</label>
                                         <select
                                             name="language"
-                                            value={isEditing ? (editForm.language || 'English') : (agent?.language || 'English')}
+                                            value={isEditing ? (editForm.language || 'English') : (workingCopy?.language || 'English')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
                                             disabled={!isEditing}
@@ -469,42 +629,491 @@ const AgentDetail = () => {
                                         </select>
                                     </div>
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700">Model</label>
+                                        <label className="block text-sm font-medium text-gray-700">Webhook URL</label>
+                                        <input
+                                            type="url"
+                                            name="webhookUrl"
+                                            value={isEditing ? (editForm.webhookUrl || '') : (workingCopy?.webhookUrl || '')}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="https://api.example.com/webhook"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">
+                                            Receives this agent's call, booking and tool events. Its signing secret and the delivery log are on the <Link to="/webhooks" className="text-blue-600 hover:text-blue-700">Webhooks</Link> page.
+                                        </p>
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Language Model</h4>
+                                <p className="mt-1 text-sm text-gray-500">The model that writes this agent's replies. Leave blank to use the platform defaults.</p>
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Provider</label>
                                         <select
+                                            name="llmProvider"
+                                            value={llmSettings.llmProvider || ''}
+                                            onChange={isEditing ? handleLlmProviderChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            disabled={!isEditing}
+                                        >
+                                            <option value="">Platform default</option>
+                                            {Object.entries(LLM_PROVIDERS).map(([value, name]) => (
+                                                <option key={value} value={value}>{name}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Model</label>
+                                        <input
+                                            type="text"
                                             name="model"
-                                            value={isEditing ? (editForm.model || 'gpt-4o-mini') : (agent?.model || 'gpt-4o-mini')}
+                                            list="llm-model-suggestions"
+                                            value={llmSettings.model || ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder={llmSettings.llmProvider === 'azure' ? 'Deployment name' : 'Provider default'}
+                                        />
+                                        <datalist id="llm-model-suggestions">
+                                            {(MODEL_SUGGESTIONS[llmSettings.llmProvider || 'openai'] || []).map(model => (
+                                                <option key={model} value={model} />
+                                            ))}
+                                        </datalist>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Temperature</label>
+                                        <input
+                                            type="number"
+                                            name="temperature"
+                                            min="0"
+                                            max="2"
+                                            step="0.1"
+                                            value={llmSettings.temperature ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="0.7"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Lower is more predictable, higher more varied.</p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Max Tokens per Reply</label>
+                                        <input
+                                            type="number"
+                                            name="maxTokens"
+                                            min="16"
+                                            max="4096"
+                                            value={llmSettings.maxTokens ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="200"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">History Window (messages)</label>
+                                        <input
+                                            type="number"
+                                            name="historyWindow"
+                                            min="2"
+                                            max="100"
+                                            value={llmSettings.historyWindow ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="10"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Recent messages of the call sent with each turn.</p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Turn Timeout (ms)</label>
+                                        <input
+                                            type="number"
+                                            name="turnTimeoutMs"
+                                            min="1000"
+                                            max="60000"
+                                            step="500"
+                                            value={llmSettings.turnTimeoutMs ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="10000"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Time the model has to start answering before a fallback is tried.</p>
+                                    </div>
+                                </div>
+
+                                <label className="mt-6 block text-sm font-medium text-gray-700">Fallbacks</label>
+                                <p className="mt-1 text-sm text-gray-500">Tried in order when the model fails or times out. Leave empty to use the platform's fallbacks; a blank model uses the provider's default.</p>
+                                {llmFallbacks.length === 0 && (
+                                    <p className="mt-2 text-sm text-gray-500">Platform fallbacks.</p>
+                                )}
+                                <div className="mt-2 space-y-2">
+                                    {llmFallbacks.map((fallback, index) => (
+                                        <div key={index} className="flex items-center space-x-2">
+                                            <span className="w-6 text-sm text-gray-500">{index + 1}.</span>
+                                            <select
+                                                name="provider"
+                                                value={fallback.provider}
+                                                onChange={isEditing ? handleLlmFallbackChange(index) : undefined}
+                                                className="w-64 border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                disabled={!isEditing}
+                                            >
+                                                {Object.entries(LLM_PROVIDERS).map(([value, name]) => (
+                                                    <option key={value} value={value}>{name}</option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="text"
+                                                name="model"
+                                                value={fallback.model || ''}
+                                                onChange={isEditing ? handleLlmFallbackChange(index) : undefined}
+                                                className="flex-1 border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                readOnly={!isEditing}
+                                                placeholder="Provider default, e.g. claude-3-5-haiku-latest or llama3.1"
+                                            />
+                                            {isEditing && (
+                                                <button
+                                                    onClick={() => updateLlmFallbacks(llmFallbacks.filter((_, i) => i !== index))}
+                                                    className="p-2 text-gray-400 hover:text-red-600"
+                                                    aria-label="Remove fallback"
+                                                >
+                                                    <Trash2 className="w-4 h-4" />
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                </div>
+                                {isEditing && llmFallbacks.length < MAX_LLM_FALLBACKS && (
+                                    <button
+                                        onClick={() => updateLlmFallbacks([...llmFallbacks, { provider: 'anthropic', model: '' }])}
+                                        className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-700 font-medium"
+                                    >
+                                        <Plus className="w-4 h-4 mr-1" />
+                                        Add fallback
+                                    </button>
+                                )}
+                            </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Call Limits</h4>
+                                <p className="mt-1 text-sm text-gray-500">When the agent wraps up on its own. It can also end a call itself once the conversation is done. Leave blank for no limit.</p>
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Max Call Duration (seconds)</label>
+                                        <input
+                                            type="number"
+                                            name="maxDurationSeconds"
+                                            min="30"
+                                            max="14400"
+                                            value={llmSettings.maxDurationSeconds ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="No limit"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Max Turns</label>
+                                        <input
+                                            type="number"
+                                            name="maxTurns"
+                                            min="1"
+                                            max="500"
+                                            value={llmSettings.maxTurns ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="No limit"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Times the caller speaks before the agent says goodbye.</p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Silent Reprompts</label>
+                                        <input
+                                            type="number"
+                                            name="maxSilentReprompts"
+                                            min="0"
+                                            max="10"
+                                            value={llmSettings.maxSilentReprompts ?? ''}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="2"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Times a silent caller is asked if they are still there before hanging up.</p>
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Voice</h4>
+                                <p className="mt-1 text-sm text-gray-500">How this agent sounds. The fallback voice is used when the primary fails or is slower than the latency budget. Leave blank to use the platform defaults.</p>
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    {[['primary', 'Primary'], ['fallback', 'Fallback']].map(([slot, label]) => (
+                                        <div key={slot} className="space-y-4">
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700">{label} Provider</label>
+                                                <select
+                                                    name="provider"
+                                                    value={voiceConfig[slot]?.provider || ''}
+                                                    onChange={isEditing ? handleVoiceChange(slot) : undefined}
+                                                    className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                    disabled={!isEditing}
+                                                >
+                                                    <option value="">Platform default</option>
+                                                    {Object.entries(TTS_PROVIDERS).map(([value, name]) => (
+                                                        <option key={value} value={value}>{name}</option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                            <div>
+                                                <label className="block text-sm font-medium text-gray-700">{label} Voice</label>
+                                                <input
+                                                    type="text"
+                                                    name="voice"
+                                                    value={voiceConfig[slot]?.voice || ''}
+                                                    onChange={isEditing ? handleVoiceChange(slot) : undefined}
+                                                    className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                    readOnly={!isEditing}
+                                                    placeholder="Provider default, e.g. a voice ID, alloy or Polly.Joanna"
+                                                />
+                                            </div>
+                                        </div>
+                                    ))}
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Latency Budget (ms)</label>
+                                        <input
+                                            type="number"
+                                            min="200"
+                                            max="10000"
+                                            step="100"
+                                            value={voiceConfig.latencyBudgetMs || ''}
+                                            onChange={isEditing ? handleLatencyBudgetChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="1500"
+                                        />
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Speech Recognition</h4>
+                                <p className="mt-1 text-sm text-gray-500">How this agent hears callers. Leave blank to use the platform defaults.</p>
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Provider</label>
+                                        <select
+                                            name="sttProvider"
+                                            value={isEditing ? (editForm.sttProvider || '') : (workingCopy?.sttProvider || '')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
                                             disabled={!isEditing}
                                         >
-                                            <option value="gpt-4">GPT-4</option>
-                                            <option value="gpt-3.5-turbo">GPT-3.5 Turbo</option>
-                                            <option value="claude-3">Claude 3</option>
+                                            <option value="">Platform default</option>
+                                            <option value="twilio">Twilio (built in)</option>
+                                            <option value="deepgram">Deepgram</option>
+                                            <option value="whisper">Whisper (self-hosted)</option>
                                         </select>
                                     </div>
                                     <div>
-                                        <label className="block text-sm font-medium text-gray-700">Webhook URL</label>
+                                        <label className="block text-sm font-medium text-gray-700">Recognition Language</label>
                                         <input
-                                            type="url"
-                                            name="webhookUrl"
-                                            value={isEditing ? (editForm.webhookUrl || '') : (agent?.webhookUrl || '')}
+                                            type="text"
+                                            name="sttLanguage"
+                                            value={isEditing ? (editForm.sttLanguage || '') : (workingCopy?.sttLanguage || '')}
                                             onChange={isEditing ? handleEditFormChange : undefined}
                                             className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
                                             readOnly={!isEditing}
-                                            placeholder="https://api.example.com/webhook"
+                                            placeholder="Follows the agent language, e.g. en-US"
+                                        />
+                                    </div>
+                                    <div className="md:col-span-2">
+                                        <label className="block text-sm font-medium text-gray-700">Vocabulary Boost</label>
+                                        <textarea
+                                            name="sttKeywords"
+                                            value={isEditing ? (editForm.sttKeywords || '') : (workingCopy?.sttKeywords || []).join(', ')}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            rows={2}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="Product names, people and places callers say, separated by commas"
                                         />
                                     </div>
                                 </div>
                             </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Call Recording</h4>
+                                <p className="mt-1 text-sm text-gray-500">Record this agent's calls for playback on the Calls page. Dual channel keeps the caller and the agent on separate stereo channels.</p>
+                                <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-6">
+                                    <div className="flex items-center">
+                                        <input
+                                            id="recordingEnabled"
+                                            type="checkbox"
+                                            checked={recordingEnabled}
+                                            onChange={isEditing ? handleRecordingToggle : undefined}
+                                            className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                                            disabled={!isEditing}
+                                        />
+                                        <label htmlFor="recordingEnabled" className="ml-2 block text-sm font-medium text-gray-700">Record calls</label>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Channels</label>
+                                        <select
+                                            name="recordingChannels"
+                                            value={isEditing ? editForm.recordingChannels : (workingCopy?.recordingChannels || 'mono')}
+                                            onChange={isEditing ? handleEditFormChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            disabled={!isEditing || !recordingEnabled}
+                                        >
+                                            <option value="mono">Mono</option>
+                                            <option value="dual">Dual channel</option>
+                                        </select>
+                                    </div>
+                                </div>
+                            </div>
+
+                            <div className="border-t border-gray-200 pt-6">
+                                <h4 className="text-sm font-medium text-gray-900">Post-Call Analysis</h4>
+                                <p className="mt-1 text-sm text-gray-500">After each call, the transcript is summarized and sorted into one of these outcomes, and the fields below are pulled out of it. Results appear on the Calls and Analytics pages.</p>
+                                <div className="mt-4 space-y-6">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Dispositions</label>
+                                        <input
+                                            type="text"
+                                            value={analysisConfig.dispositions}
+                                            onChange={isEditing ? handleDispositionsChange : undefined}
+                                            className="mt-1 block w-full border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                            readOnly={!isEditing}
+                                            placeholder="booked, interested, not interested, callback requested, voicemail, wrong number"
+                                        />
+                                        <p className="mt-1 text-xs text-gray-500">Separated by commas. Calls that fit none of them are marked "other".</p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700">Extracted Fields</label>
+                                        {analysisConfig.fields.length === 0 && (
+                                            <p className="mt-1 text-sm text-gray-500">No fields are extracted.</p>
+                                        )}
+                                        <div className="mt-2 space-y-2">
+                                            {analysisConfig.fields.map((field, index) => (
+                                                <div key={index} className="flex items-center space-x-2">
+                                                    <input
+                                                        type="text"
+                                                        name="name"
+                                                        value={field.name}
+                                                        onChange={isEditing ? handleAnalysisFieldChange(index) : undefined}
+                                                        className="w-40 border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                        readOnly={!isEditing}
+                                                        placeholder="budget"
+                                                    />
+                                                    <select
+                                                        name="type"
+                                                        value={field.type}
+                                                        onChange={isEditing ? handleAnalysisFieldChange(index) : undefined}
+                                                        className="border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                        disabled={!isEditing}
+                                                    >
+                                                        {FIELD_TYPES.map(type => (
+                                                            <option key={type} value={type}>{type}</option>
+                                                        ))}
+                                                    </select>
+                                                    <input
+                                                        type="text"
+                                                        name="description"
+                                                        value={field.description || ''}
+                                                        onChange={isEditing ? handleAnalysisFieldChange(index) : undefined}
+                                                        className="flex-1 border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                                        readOnly={!isEditing}
+                                                        placeholder="What to extract, e.g. the caller's monthly budget in USD"
+                                                    />
+                                                    {isEditing && (
+                                                        <button
+                                                            onClick={() => updateAnalysisFields(analysisConfig.fields.filter((_, i) => i !== index))}
+                                                            className="p-2 text-gray-400 hover:text-red-600"
+                                                            aria-label="Remove field"
+                                                        >
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    )}
+                                                </div>
+                                            ))}
+                                        </div>
+                                        {isEditing && analysisConfig.fields.length < 20 && (
+                                            <button
+                                                onClick={() => updateAnalysisFields([...analysisConfig.fields, { name: '', type: 'string', description: '' }])}
+                                                className="mt-2 inline-flex items-center text-sm text-blue-600 hover:text-blue-700 font-medium"
+                                            >
+                                                <Plus className="w-4 h-4 mr-1" />
+                                                Add field
+                                            </button>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {activeTab === 'flow' && (
+                        <div className="space-y-6">
+                            <div className="flex items-start justify-between">
+                                <div>
+                                    <h3 className="text-lg font-medium text-gray-900">Conversation Flow</h3>
+                                    <p className="mt-1 text-sm text-gray-500">A flow agent moves through steps, each with its own instructions and tools. The AI prompt on the Configuration tab still applies to every step.</p>
+                                </div>
+                                <select
+                                    value={agentType}
+                                    onChange={isEditing ? handleAgentTypeChange : undefined}
+                                    className="border-gray-300 rounded-lg shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                                    disabled={!isEditing}
+                                >
+                                    <option value="prompt">Single prompt</option>
+                                    <option value="flow">Conversation flow</option>
+                                </select>
+                            </div>
+                            {agentType === 'flow' ? (
+                                <FlowEditor
+                                    value={flowDefinition}
+                                    onChange={handleFlowChange}
+                                    readOnly={!isEditing}
+                                />
+                            ) : (
+                                <div className="text-center py-12 text-gray-500">
+                                    <p>This agent follows its AI prompt freely. Click Edit and choose "Conversation flow" to build it out of steps.</p>
+                                </div>
+                            )}
                         </div>
                     )}
 
+                    {activeTab === 'versions' && (
+                        <AgentVersions
+                            agentId={id}
+                            publishedVersion={agent.publishedVersion}
+                            draftVersion={agent.draft?.version}
+                            onRolledBack={(updatedAgent) => setAgent({ ...agent, ...updatedAgent })}
+                        />
+                    )}
+
+                    {activeTab === 'knowledge' && (
+                        <AgentKnowledgeBases agentId={id} />
+                    )}
+
                     {activeTab === 'functions' && (
                         <div className="space-y-6">
                             <FunctionManager agentId={id} />
                         </div>
                     )}
 
+                    {activeTab === 'phone-numbers' && (
+                        <div className="space-y-6">
+                            <PhoneNumberManager agentId={id} />
+                        </div>
+                    )}
+
                     {activeTab === 'analytics' && (
                         <div className="space-y-6">
                             <h3 className="text-lg font-medium text-gray-900">Analytics</h3>
@@ -5,7 +5,7 @@ import { useApp } from '../context/AppContext';
 import CreateAgentModal from '../components/CreateAgentModal';
 
 const Agents = () => {
-    const { agents, loading, error, updateAgent, deleteAgent } = useApp();
+    const { agents, loading, error, setAgentStatus, deleteAgent } = useApp();
     const [actionLoading, setActionLoading] = useState({});
     const [showCreateModal, setShowCreateModal] = useState(false);
     const [showDropdown, setShowDropdown] = useState({});
@@ -42,7 +42,7 @@ const Agents = () => {
         try {
             setActionLoading({ [agent.id]: true });
             const newStatus = agent.status === 'active' ? 'paused' : 'active';
-            await updateAgent(agent.id, { ...agent, status: newStatus });
+            await setAgentStatus(agent.id, newStatus);
         } catch (error) {
             console.error('Failed to update agent status:', error);
         } finally {
@@ -2,6 +2,8 @@ import { useState, useEffect, useCallback, useMemo, memo } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, LineChart, Line, PieChart, Pie, Cell } from 'recharts';
 import { Calendar, Download, Filter, TrendingUp, TrendingDown, Loader2 } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import CallOutcomes from '../components/CallOutcomes';
+import UsageCosts from '../components/UsageCosts';
 
 const Analytics = () => {
     const { analytics, loading, error, fetchAnalytics, agents } = useApp();
@@ -24,6 +26,9 @@ const Analytics = () => {
         }
     }, []);
 
+    // Computed once per range so the outcomes panel does not refetch on every render
+    const outcomesFrom = useMemo(() => getDateFromRange(dateRange), [dateRange, getDateFromRange]);
+
     useEffect(() => {
         const params = {
             date_from: getDateFromRange(dateRange),
@@ -105,9 +110,9 @@ const Analytics = () => {
                             className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
                         >
                             <option value="all">All Agents</option>
-                            <option value="agent1">Customer Support Agent</option>
-                            <option value="agent2">Sales Assistant</option>
-                            <option value="agent3">Appointment Scheduler</option>
+                            {agents.map(agent => (
+                                <option key={agent.id} value={agent.id}>{agent.name}</option>
+                            ))}
                         </select>
                     </div>
                 </div>
@@ -259,6 +264,18 @@ const Analytics = () => {
                     </div>
                 </div>
             </div>
+
+            {/* Post-call analysis */}
+            <CallOutcomes
+                dateFrom={outcomesFrom}
+                agentId={selectedAgent !== 'all' ? selectedAgent : ''}
+            />
+
+            {/* Usage and costs */}
+            <UsageCosts
+                dateFrom={outcomesFrom}
+                agentId={selectedAgent !== 'all' ? selectedAgent : ''}
+            />
         </div>
     );
 };
@@ -1,8 +1,11 @@
 import { useState, useEffect } from 'react';
-import { Phone, PhoneOff, Clock, CheckCircle, XCircle, Plus, Bot, User } from 'lucide-react';
+import { Phone, PhoneOff, Clock, CheckCircle, XCircle, Plus, Bot, User, PlayCircle, ChevronDown, ChevronRight } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import CallInterface from '../components/CallInterface';
+import CallRecordingPlayer from '../components/CallRecordingPlayer';
+import CallAnalysis from '../components/CallAnalysis';
 import api from '../services/api';
+import { SENTIMENT_STYLES, END_REASON_LABELS, formatDisposition } from '../utils/callAnalysis';
 
 const CallsEnhanced = () => {
   const { agents } = useApp();
@@ -11,6 +14,7 @@ const CallsEnhanced = () => {
   const [error, setError] = useState(null);
   const [showCallInterface, setShowCallInterface] = useState(false);
   const [preSelectedContact, setPreSelectedContact] = useState(null);
+  const [expandedCallId, setExpandedCallId] = useState(null);
 
   // Load calls on component mount
   useEffect(() => {
@@ -40,8 +44,8 @@ const CallsEnhanced = () => {
     try {
       setLoading(true);
       setError(null);
-      const response = await api.getSessions({ limit: 50 });
-      setCalls(response.sessions || response || []);
+      const response = await api.getCalls({ limit: 50 });
+      setCalls(response.calls || []);
     } catch (error) {
       setError(error.message);
     } finally {
@@ -49,6 +53,19 @@ const CallsEnhanced = () => {
     }
   };
 
+  // Fold a re-run analysis back into the listed call
+  const handleAnalyzed = (callId, analysis) => {
+    setCalls(calls.map(call => (call.id === callId ? {
+      ...call,
+      analysis_status: analysis.status,
+      summary: analysis.summary,
+      sentiment: analysis.sentiment,
+      disposition: analysis.disposition,
+      extracted_fields: analysis.fields,
+      analysis_error: analysis.error
+    } : call)));
+  };
+
   const handleCallComplete = (callData) => {
     console.log('Call completed:', callData);
     // Refresh calls list
@@ -235,8 +252,16 @@ const CallsEnhanced = () => {
           <div className="divide-y divide-gray-200">
             {calls.map((call) => (
               <div key={call.id} className="px-6 py-4 hover:bg-gray-50">
-                <div className="flex items-center justify-between">
+                <div
+                  className="flex items-center justify-between cursor-pointer"
+                  onClick={() => setExpandedCallId(expandedCallId === call.id ? null : call.id)}
+                >
                   <div className="flex items-center space-x-4">
+                    <div className="flex-shrink-0">
+                      {expandedCallId === call.id
+                        ? <ChevronDown className="w-4 h-4 text-gray-400" />
+                        : <ChevronRight className="w-4 h-4 text-gray-400" />}
+                    </div>
                     <div className="flex-shrink-0">
                       {getStatusIcon(call.status)}
                     </div>
@@ -267,10 +292,31 @@ const CallsEnhanced = () => {
                             </p>
                           </div>
                         )}
+                        {call.end_reason && (
+                          <div className="flex items-center space-x-1">
+                            <PhoneOff className="w-4 h-4 text-gray-400" />
+                            <p className="text-sm text-gray-600">
+                              {END_REASON_LABELS[call.end_reason] || formatDisposition(call.end_reason)}
+                            </p>
+                          </div>
+                        )}
                       </div>
                     </div>
                   </div>
                   <div className="flex items-center space-x-4">
+                    {call.disposition && (
+                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                        {formatDisposition(call.disposition)}
+                      </span>
+                    )}
+                    {call.sentiment && (
+                      <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${SENTIMENT_STYLES[call.sentiment] || SENTIMENT_STYLES.neutral}`}>
+                        {call.sentiment}
+                      </span>
+                    )}
+                    {call.has_recording && (
+                      <PlayCircle className="w-5 h-5 text-blue-600" aria-label="Recorded" />
+                    )}
                     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusColor(call.status)}`}>
                       {call.status}
                     </span>
@@ -279,6 +325,12 @@ const CallsEnhanced = () => {
                     </p>
                   </div>
                 </div>
+                {expandedCallId === call.id && (
+                  <div className="mt-4 ml-8 space-y-4">
+                    <CallAnalysis call={call} onAnalyzed={(analysis) => handleAnalyzed(call.id, analysis)} />
+                    <CallRecordingPlayer callId={call.id} />
+                  </div>
+                )}
               </div>
             ))}
           </div>
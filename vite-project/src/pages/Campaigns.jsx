@@ -0,0 +1,488 @@
+import { useState, useEffect } from 'react';
+import { Plus, Megaphone, Play, Pause, BarChart3, XCircle, Loader2 } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import api from '../services/api';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyForm = {
+    name: '',
+    agentId: '',
+    contactIds: [],
+    tags: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    callingWindowStart: '09:00',
+    callingWindowEnd: '17:00',
+    callingDays: [1, 2, 3, 4, 5],
+    maxConcurrentCalls: 1,
+    maxAttempts: 3,
+    retryDelayMinutes: 30,
+    startAt: ''
+};
+
+const Campaigns = () => {
+    const { agents, hasPermission } = useApp();
+    const canManageCampaigns = hasPermission('make_calls');
+    const [campaigns, setCampaigns] = useState([]);
+    const [contacts, setContacts] = useState([]);
+    const [showCreateModal, setShowCreateModal] = useState(false);
+    const [form, setForm] = useState(emptyForm);
+    const [report, setReport] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [actionLoading, setActionLoading] = useState({});
+    const [error, setError] = useState(null);
+
+    const loadCampaigns = async () => {
+        setIsLoading(true);
+        try {
+            const data = await api.getCampaigns();
+            setCampaigns(data.campaigns || []);
+        } catch (error) {
+            console.error('Error loading campaigns:', error);
+            setError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    useEffect(() => {
+        loadCampaigns();
+    }, []);
+
+    const openCreateModal = async () => {
+        setForm(emptyForm);
+        setShowCreateModal(true);
+        try {
+            const data = await api.getContacts({ limit: 500 });
+            setContacts(data.contacts || []);
+        } catch (error) {
+            console.error('Error loading contacts:', error);
+        }
+    };
+
+    const toggleListValue = (key, value) => {
+        setForm(prev => ({
+            ...prev,
+            [key]: prev[key].includes(value) ? prev[key].filter(v => v !== value) : [...prev[key], value]
+        }));
+    };
+
+    const handleCreateSubmit = async (e) => {
+        e.preventDefault();
+        setActionLoading({ create: true });
+
+        try {
+            await api.createCampaign({
+                ...form,
+                tags: form.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+                startAt: form.startAt ? new Date(form.startAt).toISOString() : null
+            });
+            setShowCreateModal(false);
+            loadCampaigns();
+        } catch (error) {
+            console.error('Error creating campaign:', error);
+            alert(`Failed to create campaign: ${error.message}`);
+        } finally {
+            setActionLoading({ create: false });
+        }
+    };
+
+    const handleStatusChange = async (campaign, action) => {
+        setActionLoading({ [campaign.id]: true });
+        try {
+            if (action === 'pause') {
+                await api.pauseCampaign(campaign.id);
+            } else {
+                await api.resumeCampaign(campaign.id);
+            }
+            loadCampaigns();
+        } catch (error) {
+            console.error(`Error trying to ${action} campaign:`, error);
+            alert(`Failed to ${action} campaign: ${error.message}`);
+        } finally {
+            setActionLoading({ [campaign.id]: false });
+        }
+    };
+
+    const openReport = async (campaign) => {
+        try {
+            const data = await api.getCampaignReport(campaign.id);
+            setReport(data.report);
+        } catch (error) {
+            console.error('Error loading campaign report:', error);
+            alert(`Failed to load report: ${error.message}`);
+        }
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'running': return 'text-green-600 bg-green-100';
+            case 'paused': return 'text-yellow-600 bg-yellow-100';
+            case 'completed': return 'text-blue-600 bg-blue-100';
+            default: return 'text-gray-600 bg-gray-100';
+        }
+    };
+
+    const formatDate = (date) => {
+        if (!date) return '—';
+        return new Date(date).toLocaleString();
+    };
+
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+    const CreateModal = (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-10 mx-auto p-5 border max-w-2xl shadow-lg rounded-md bg-white">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-medium text-gray-900">New Campaign</h3>
+                    <button onClick={() => setShowCreateModal(false)} className="text-gray-400 hover:text-gray-600">
+                        <XCircle className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleCreateSubmit} className="space-y-4">
+                    <div className="grid grid-cols-2 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Name</label>
+                            <input
+                                type="text"
+                                value={form.name}
+                                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                                className={inputClass}
+                                required
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Agent</label>
+                            <select
+                                value={form.agentId}
+                                onChange={(e) => setForm(prev => ({ ...prev, agentId: e.target.value }))}
+                                className={inputClass}
+                                required
+                            >
+                                <option value="">Select an agent</option>
+                                {agents.map(agent => (
+                                    <option key={agent.id} value={agent.id}>{agent.name}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Contacts with any of these tags</label>
+                        <input
+                            type="text"
+                            value={form.tags}
+                            onChange={(e) => setForm(prev => ({ ...prev, tags: e.target.value }))}
+                            className={inputClass}
+                            placeholder="lead, spring-promo"
+                        />
+                    </div>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">
+                            And/or these contacts ({form.contactIds.length} selected)
+                        </label>
+                        <div className="mt-1 max-h-40 overflow-y-auto border border-gray-300 rounded-md divide-y">
+                            {contacts.length === 0 && (
+                                <p className="p-3 text-sm text-gray-500">No contacts yet</p>
+                            )}
+                            {contacts.map(contact => (
+                                <label key={contact.id} className="flex items-center px-3 py-2 text-sm">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.contactIds.includes(contact.id)}
+                                        onChange={() => toggleListValue('contactIds', contact.id)}
+                                        className="mr-3"
+                                    />
+                                    <span className="flex-1">{contact.name}</span>
+                                    <span className="text-gray-500">{contact.phone_number}</span>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-3 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Calls from</label>
+                            <input
+                                type="time"
+                                value={form.callingWindowStart}
+                                onChange={(e) => setForm(prev => ({ ...prev, callingWindowStart: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Until</label>
+                            <input
+                                type="time"
+                                value={form.callingWindowEnd}
+                                onChange={(e) => setForm(prev => ({ ...prev, callingWindowEnd: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Default time zone</label>
+                            <input
+                                type="text"
+                                value={form.timezone}
+                                onChange={(e) => setForm(prev => ({ ...prev, timezone: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        The window applies in each contact's own time zone; contacts without one use the default.
+                    </p>
+
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Calling days</label>
+                        <div className="flex space-x-2">
+                            {WEEKDAYS.map((day, index) => (
+                                <button
+                                    key={day}
+                                    type="button"
+                                    onClick={() => toggleListValue('callingDays', index)}
+                                    className={`px-3 py-1 text-sm rounded-md border ${
+                                        form.callingDays.includes(index)
+                                            ? 'bg-blue-600 text-white border-blue-600'
+                                            : 'bg-white text-gray-700 border-gray-300'
+                                    }`}
+                                >
+                                    {day}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-4 gap-4">
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Concurrent calls</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="50"
+                                value={form.maxConcurrentCalls}
+                                onChange={(e) => setForm(prev => ({ ...prev, maxConcurrentCalls: parseInt(e.target.value) }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Attempts</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="10"
+                                value={form.maxAttempts}
+                                onChange={(e) => setForm(prev => ({ ...prev, maxAttempts: parseInt(e.target.value) }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Retry after (min)</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={form.retryDelayMinutes}
+                                onChange={(e) => setForm(prev => ({ ...prev, retryDelayMinutes: parseInt(e.target.value) }))}
+                                className={inputClass}
+                            />
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700">Start</label>
+                            <input
+                                type="datetime-local"
+                                value={form.startAt}
+                                onChange={(e) => setForm(prev => ({ ...prev, startAt: e.target.value }))}
+                                className={inputClass}
+                            />
+                        </div>
+                    </div>
+                    <p className="text-xs text-gray-500">
+                        Busy and no-answer calls are retried; the wait doubles after each attempt.
+                    </p>
+
+                    <div className="flex justify-end space-x-3 pt-4">
+                        <button
+                            type="button"
+                            onClick={() => setShowCreateModal(false)}
+                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={actionLoading.create}
+                            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {actionLoading.create ? 'Creating...' : 'Create Campaign'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+
+    const ReportModal = report && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-10 mx-auto p-5 border max-w-3xl shadow-lg rounded-md bg-white">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-medium text-gray-900">{report.campaign.name} — Report</h3>
+                    <button onClick={() => setReport(null)} className="text-gray-400 hover:text-gray-600">
+                        <XCircle className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <div className="grid grid-cols-2 gap-4 mb-4">
+                    <div className="bg-gray-50 rounded-lg p-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-2">Queue</h4>
+                        {Object.entries(report.byStatus).map(([status, count]) => (
+                            <div key={status} className="flex justify-between text-sm">
+                                <span className="capitalize">{status}</span>
+                                <span className="font-medium">{count}</span>
+                            </div>
+                        ))}
+                    </div>
+                    <div className="bg-gray-50 rounded-lg p-4">
+                        <h4 className="text-sm font-medium text-gray-700 mb-2">Outcomes ({report.totalAttempts} calls placed)</h4>
+                        {Object.keys(report.byDisposition).length === 0 && (
+                            <p className="text-sm text-gray-500">No calls finished yet</p>
+                        )}
+                        {Object.entries(report.byDisposition).map(([disposition, count]) => (
+                            <div key={disposition} className="flex justify-between text-sm">
+                                <span className="capitalize">{disposition.replace('-', ' ')}</span>
+                                <span className="font-medium">{count}</span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+
+                <div className="max-h-80 overflow-y-auto">
+                    <table className="min-w-full divide-y divide-gray-200 text-sm">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Contact</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Status</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Last outcome</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Attempts</th>
+                                <th className="px-3 py-2 text-left font-medium text-gray-500">Next attempt</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-200">
+                            {report.contacts.map(contact => (
+                                <tr key={contact.id}>
+                                    <td className="px-3 py-2">
+                                        <div>{contact.customer_name}</div>
+                                        <div className="text-gray-500">{contact.phone_number}</div>
+                                    </td>
+                                    <td className="px-3 py-2 capitalize">{contact.status}</td>
+                                    <td className="px-3 py-2">{contact.disposition || '—'}</td>
+                                    <td className="px-3 py-2">{contact.attempts}</td>
+                                    <td className="px-3 py-2">{contact.status === 'retry' ? formatDate(contact.next_attempt_at) : '—'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Campaigns</h1>
+                    <p className="text-gray-600">Call a list of contacts with an agent, within calling hours</p>
+                </div>
+                {canManageCampaigns && (
+                    <button
+                        onClick={openCreateModal}
+                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        <Plus className="w-4 h-4 mr-2" />
+                        New Campaign
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            {/* Campaign list */}
+            <div className="bg-white shadow overflow-hidden sm:rounded-md">
+                {isLoading && campaigns.length === 0 ? (
+                    <div className="flex items-center justify-center h-32">
+                        <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+                    </div>
+                ) : campaigns.length === 0 ? (
+                    <div className="text-center py-12">
+                        <Megaphone className="mx-auto h-12 w-12 text-gray-400" />
+                        <h3 className="mt-2 text-sm font-medium text-gray-900">No campaigns yet</h3>
+                        <p className="mt-1 text-sm text-gray-500">Create a campaign to call a list of contacts automatically.</p>
+                    </div>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {campaigns.map(campaign => (
+                            <li key={campaign.id} className="px-6 py-4 flex items-center justify-between">
+                                <div>
+                                    <div className="flex items-center space-x-3">
+                                        <p className="text-sm font-medium text-gray-900">{campaign.name}</p>
+                                        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full capitalize ${getStatusColor(campaign.status)}`}>
+                                            {campaign.status}
+                                        </span>
+                                    </div>
+                                    <p className="text-sm text-gray-500">
+                                        {campaign.agent_name} · {campaign.finished_contacts}/{campaign.total_contacts} contacts done · {campaign.answered_contacts} answered
+                                    </p>
+                                    <p className="text-xs text-gray-400">
+                                        {campaign.calling_window_start}–{campaign.calling_window_end} · starts {formatDate(campaign.start_at)}
+                                    </p>
+                                    {campaign.last_error && (
+                                        <p className="text-xs text-red-600">{campaign.last_error}</p>
+                                    )}
+                                </div>
+                                <div className="flex items-center space-x-2">
+                                    <button
+                                        onClick={() => openReport(campaign)}
+                                        className="p-2 text-gray-400 hover:text-blue-600"
+                                        title="Report"
+                                    >
+                                        <BarChart3 className="w-4 h-4" />
+                                    </button>
+                                    {canManageCampaigns && campaign.status === 'running' && (
+                                        <button
+                                            onClick={() => handleStatusChange(campaign, 'pause')}
+                                            disabled={actionLoading[campaign.id]}
+                                            className="p-2 text-gray-400 hover:text-yellow-600 disabled:opacity-50"
+                                            title="Pause"
+                                        >
+                                            <Pause className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                    {canManageCampaigns && campaign.status === 'paused' && (
+                                        <button
+                                            onClick={() => handleStatusChange(campaign, 'resume')}
+                                            disabled={actionLoading[campaign.id]}
+                                            className="p-2 text-gray-400 hover:text-green-600 disabled:opacity-50"
+                                            title="Resume"
+                                        >
+                                            <Play className="w-4 h-4" />
+                                        </button>
+                                    )}
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {showCreateModal && CreateModal}
+            {ReportModal}
+        </div>
+    );
+};
+
+export default Campaigns;
@@ -16,7 +16,9 @@ const Contacts = () => {
     name: '',
     phone_number: '',
     company: '',
-    notes: ''
+    notes: '',
+    tags: '',
+    timezone: ''
   });
 
   // Load contacts
@@ -49,7 +51,9 @@ const Contacts = () => {
         name: formData.name,
         phone_number: formData.phone_number,
         company: formData.company || null,
-        notes: formData.notes || null
+        notes: formData.notes || null,
+        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(Boolean) : null,
+        timezone: formData.timezone || null
       };
 
       if (editingContact) {
@@ -66,7 +70,8 @@ const Contacts = () => {
         email: '',
         company: '',
         notes: '',
-        tags: ''
+        tags: '',
+        timezone: ''
       });
       loadContacts();
     } catch (error) {
@@ -110,7 +115,8 @@ const Contacts = () => {
       email: contact.email || '',
       company: contact.company || '',
       notes: contact.notes || '',
-      tags: contact.tags ? contact.tags.join(', ') : ''
+      tags: contact.tags ? contact.tags.join(', ') : '',
+      timezone: contact.timezone || ''
     });
     setShowAddModal(true);
   };
@@ -169,7 +175,8 @@ const Contacts = () => {
               email: '',
               company: '',
               notes: '',
-              tags: ''
+              tags: '',
+              timezone: ''
             });
             setShowAddModal(true);
           }}
@@ -383,6 +390,33 @@ const Contacts = () => {
                   />
                 </div>
 
+                <div className="grid grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Tags (Optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.tags}
+                      onChange={(e) => setFormData({ ...formData, tags: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="lead, spring-promo"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      Time Zone (Optional)
+                    </label>
+                    <input
+                      type="text"
+                      value={formData.timezone}
+                      onChange={(e) => setFormData({ ...formData, timezone: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                      placeholder="America/New_York"
+                    />
+                  </div>
+                </div>
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-1">
                     Notes
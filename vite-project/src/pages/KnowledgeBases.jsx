@@ -0,0 +1,409 @@
+import { useState, useEffect, useRef } from 'react';
+import { Plus, BookOpen, FileText, Upload, Search, Trash2, Edit, XCircle, Loader2 } from 'lucide-react';
+import { useApp } from '../context/AppContext';
+import api from '../services/api';
+
+const ACCEPTED_FILES = '.pdf,.md,.markdown,.html,.htm,.csv,.txt';
+
+const emptyForm = { name: '', description: '' };
+
+// File contents as base64, without the data: URL prefix
+const readAsBase64 = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const KnowledgeBases = () => {
+    const { hasPermission } = useApp();
+    const canManage = hasPermission('manage_agents');
+    const [knowledgeBases, setKnowledgeBases] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [documents, setDocuments] = useState([]);
+    const [modal, setModal] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [question, setQuestion] = useState('');
+    const [passages, setPassages] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+    const [actionLoading, setActionLoading] = useState({});
+    const [error, setError] = useState(null);
+    const fileInput = useRef(null);
+
+    const loadKnowledgeBases = async () => {
+        setIsLoading(true);
+        try {
+            const data = await api.getKnowledgeBases();
+            setKnowledgeBases(data.knowledgeBases || []);
+        } catch (error) {
+            console.error('Error loading knowledge bases:', error);
+            setError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
+    const openKnowledgeBase = async (id) => {
+        try {
+            const data = await api.getKnowledgeBase(id);
+            setSelected(data.knowledgeBase);
+            setDocuments(data.documents || []);
+            setPassages(null);
+            setQuestion('');
+        } catch (error) {
+            console.error('Error loading knowledge base:', error);
+            setError(error.message);
+        }
+    };
+
+    useEffect(() => {
+        loadKnowledgeBases();
+    }, []);
+
+    const openModal = (knowledgeBase = null) => {
+        setForm(knowledgeBase ? { name: knowledgeBase.name, description: knowledgeBase.description || '' } : emptyForm);
+        setModal(knowledgeBase ? 'edit' : 'create');
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setActionLoading({ save: true });
+
+        try {
+            if (modal === 'edit') {
+                const data = await api.updateKnowledgeBase(selected.id, form);
+                setSelected(data.knowledgeBase);
+            } else {
+                const data = await api.createKnowledgeBase(form);
+                openKnowledgeBase(data.knowledgeBase.id);
+            }
+            setModal(null);
+            loadKnowledgeBases();
+        } catch (error) {
+            console.error('Error saving knowledge base:', error);
+            alert(`Failed to save knowledge base: ${error.message}`);
+        } finally {
+            setActionLoading({ save: false });
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm(`Delete "${selected.name}"? Agents using it will stop answering from its documents.`)) return;
+        try {
+            await api.deleteKnowledgeBase(selected.id);
+            setSelected(null);
+            setDocuments([]);
+            loadKnowledgeBases();
+        } catch (error) {
+            console.error('Error deleting knowledge base:', error);
+            alert(`Failed to delete knowledge base: ${error.message}`);
+        }
+    };
+
+    const handleUpload = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        setActionLoading({ upload: true });
+        try {
+            for (const file of files) {
+                await api.uploadKnowledgeDocument(selected.id, file.name, await readAsBase64(file));
+            }
+        } catch (error) {
+            console.error('Error uploading document:', error);
+            alert(`Failed to upload document: ${error.message}`);
+        } finally {
+            setActionLoading({ upload: false });
+            openKnowledgeBase(selected.id);
+            loadKnowledgeBases();
+        }
+    };
+
+    const handleDeleteDocument = async (document) => {
+        if (!window.confirm(`Remove ${document.filename}?`)) return;
+        setActionLoading({ [document.id]: true });
+        try {
+            await api.deleteKnowledgeDocument(selected.id, document.id);
+            setDocuments(prev => prev.filter(d => d.id !== document.id));
+            loadKnowledgeBases();
+        } catch (error) {
+            console.error('Error deleting document:', error);
+            alert(`Failed to remove document: ${error.message}`);
+        } finally {
+            setActionLoading({ [document.id]: false });
+        }
+    };
+
+    const handleSearch = async (e) => {
+        e.preventDefault();
+        if (!question.trim()) return;
+        setActionLoading({ search: true });
+        try {
+            const data = await api.searchKnowledgeBase(selected.id, question);
+            setPassages(data.passages);
+        } catch (error) {
+            console.error('Error searching knowledge base:', error);
+            alert(`Failed to search: ${error.message}`);
+        } finally {
+            setActionLoading({ search: false });
+        }
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'ready': return 'text-green-600 bg-green-100';
+            case 'failed': return 'text-red-600 bg-red-100';
+            default: return 'text-yellow-600 bg-yellow-100';
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+    const FormModal = (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-20 mx-auto p-5 border max-w-lg shadow-lg rounded-md bg-white">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-medium text-gray-900">{modal === 'edit' ? 'Edit Knowledge Base' : 'New Knowledge Base'}</h3>
+                    <button onClick={() => setModal(null)} className="text-gray-400 hover:text-gray-600">
+                        <XCircle className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Name</label>
+                        <input
+                            type="text"
+                            value={form.name}
+                            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                            className={inputClass}
+                            placeholder="Pricing and policies"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Description</label>
+                        <textarea
+                            rows={3}
+                            value={form.description}
+                            onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                            className={inputClass}
+                        />
+                    </div>
+
+                    <div className="flex justify-end space-x-3 pt-4">
+                        <button
+                            type="button"
+                            onClick={() => setModal(null)}
+                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={actionLoading.save}
+                            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {actionLoading.save ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Knowledge Bases</h1>
+                    <p className="text-gray-600">Documents your agents look up answers in during calls</p>
+                </div>
+                {canManage && (
+                    <button
+                        onClick={() => openModal()}
+                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        <Plus className="w-4 h-4 mr-2" />
+                        New Knowledge Base
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                {/* Knowledge base list */}
+                <div className="bg-white shadow overflow-hidden sm:rounded-md">
+                    {isLoading && knowledgeBases.length === 0 ? (
+                        <div className="flex items-center justify-center h-32">
+                            <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+                        </div>
+                    ) : knowledgeBases.length === 0 ? (
+                        <div className="text-center py-12 px-4">
+                            <BookOpen className="mx-auto h-12 w-12 text-gray-400" />
+                            <h3 className="mt-2 text-sm font-medium text-gray-900">No knowledge bases yet</h3>
+                            <p className="mt-1 text-sm text-gray-500">Upload price lists, FAQs or policies for agents to answer from.</p>
+                        </div>
+                    ) : (
+                        <ul className="divide-y divide-gray-200">
+                            {knowledgeBases.map(knowledgeBase => (
+                                <li key={knowledgeBase.id}>
+                                    <button
+                                        onClick={() => openKnowledgeBase(knowledgeBase.id)}
+                                        className={`w-full text-left px-6 py-4 hover:bg-gray-50 ${selected?.id === knowledgeBase.id ? 'bg-blue-50' : ''}`}
+                                    >
+                                        <p className="text-sm font-medium text-gray-900">{knowledgeBase.name}</p>
+                                        <p className="text-sm text-gray-500">
+                                            {knowledgeBase.document_count} documents · {knowledgeBase.chunk_count} passages · {knowledgeBase.agent_count} agents
+                                        </p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+
+                {/* Selected knowledge base */}
+                <div className="lg:col-span-2 space-y-6">
+                    {!selected ? (
+                        <div className="bg-white shadow sm:rounded-md p-12 text-center text-sm text-gray-500">
+                            Select a knowledge base to see its documents.
+                        </div>
+                    ) : (
+                        <>
+                            <div className="bg-white shadow sm:rounded-md">
+                                <div className="px-6 py-4 border-b border-gray-200 flex items-start justify-between">
+                                    <div>
+                                        <h2 className="text-lg font-medium text-gray-900">{selected.name}</h2>
+                                        {selected.description && <p className="text-sm text-gray-500">{selected.description}</p>}
+                                    </div>
+                                    {canManage && (
+                                        <div className="flex items-center space-x-2">
+                                            <input
+                                                ref={fileInput}
+                                                type="file"
+                                                accept={ACCEPTED_FILES}
+                                                multiple
+                                                onChange={handleUpload}
+                                                className="hidden"
+                                            />
+                                            <button
+                                                onClick={() => fileInput.current?.click()}
+                                                disabled={actionLoading.upload}
+                                                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                            >
+                                                {actionLoading.upload
+                                                    ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                                                    : <Upload className="w-4 h-4 mr-2" />}
+                                                Upload
+                                            </button>
+                                            <button onClick={() => openModal(selected)} className="p-2 text-gray-400 hover:text-blue-600" title="Edit">
+                                                <Edit className="w-4 h-4" />
+                                            </button>
+                                            <button onClick={handleDelete} className="p-2 text-gray-400 hover:text-red-600" title="Delete">
+                                                <Trash2 className="w-4 h-4" />
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+
+                                {documents.length === 0 ? (
+                                    <p className="px-6 py-8 text-sm text-gray-500 text-center">
+                                        No documents yet. Upload PDF, Markdown, HTML, CSV or text files.
+                                    </p>
+                                ) : (
+                                    <ul className="divide-y divide-gray-200">
+                                        {documents.map(document => (
+                                            <li key={document.id} className="px-6 py-3 flex items-center justify-between">
+                                                <div className="flex items-center min-w-0">
+                                                    <FileText className="w-5 h-5 text-gray-400 mr-3 flex-shrink-0" />
+                                                    <div className="min-w-0">
+                                                        <div className="flex items-center space-x-2">
+                                                            <p className="text-sm font-medium text-gray-900 truncate">{document.filename}</p>
+                                                            <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full capitalize ${getStatusColor(document.status)}`}>
+                                                                {document.status}
+                                                            </span>
+                                                        </div>
+                                                        <p className="text-xs text-gray-500">
+                                                            {formatSize(document.size_bytes)} · {document.chunk_count} passages · {new Date(document.created_at).toLocaleDateString()}
+                                                        </p>
+                                                        {document.error && <p className="text-xs text-red-600">{document.error}</p>}
+                                                    </div>
+                                                </div>
+                                                {canManage && (
+                                                    <button
+                                                        onClick={() => handleDeleteDocument(document)}
+                                                        disabled={actionLoading[document.id]}
+                                                        className="p-2 text-gray-400 hover:text-red-600 disabled:opacity-50"
+                                                        title="Remove"
+                                                    >
+                                                        <Trash2 className="w-4 h-4" />
+                                                    </button>
+                                                )}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+
+                            {/* Try a question */}
+                            <div className="bg-white shadow sm:rounded-md p-6 space-y-4">
+                                <div>
+                                    <h3 className="text-sm font-medium text-gray-900">Try a question</h3>
+                                    <p className="text-sm text-gray-500">See the passages an agent would be given if a caller asked this.</p>
+                                </div>
+                                <form onSubmit={handleSearch} className="flex space-x-2">
+                                    <input
+                                        type="text"
+                                        value={question}
+                                        onChange={(e) => setQuestion(e.target.value)}
+                                        className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                                        placeholder="How much is a cleaning?"
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={actionLoading.search || !question.trim()}
+                                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                                    >
+                                        {actionLoading.search
+                                            ? <Loader2 className="w-4 h-4 mr-2 animate-spin" />
+                                            : <Search className="w-4 h-4 mr-2" />}
+                                        Search
+                                    </button>
+                                </form>
+
+                                {passages && passages.length === 0 && (
+                                    <p className="text-sm text-gray-500">Nothing matched. The agent would answer without the knowledge base.</p>
+                                )}
+                                {passages && passages.map(passage => (
+                                    <div key={passage.chunkId} className="border border-gray-200 rounded-lg p-3">
+                                        <div className="flex justify-between text-xs text-gray-500 mb-1">
+                                            <span>{passage.documentName}{passage.location ? ` · ${passage.location}` : ''}</span>
+                                            <span>score {passage.score}</span>
+                                        </div>
+                                        <p className="text-sm text-gray-800 whitespace-pre-wrap">{passage.content}</p>
+                                    </div>
+                                ))}
+                            </div>
+                        </>
+                    )}
+                </div>
+            </div>
+
+            {modal && FormModal}
+        </div>
+    );
+};
+
+export default KnowledgeBases;
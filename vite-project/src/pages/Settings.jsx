@@ -1,7 +1,8 @@
 import { useState, useEffect } from 'react';
-import { User, Mail, Lock, Key, Bell, Shield, Save, AlertCircle, CheckCircle, Phone, Settings as SettingsIcon } from 'lucide-react';
+import { User, Mail, Lock, Key, Bell, Shield, Save, AlertCircle, CheckCircle, Phone, Wallet, Settings as SettingsIcon } from 'lucide-react';
 import { useApp } from '../context/AppContext';
 import api from '../services/api';
+import { formatCost, budgetBarColor } from '../utils/usageCosts';
 
 const Settings = () => {
     const { user, updateUser, changePassword } = useApp();
@@ -39,6 +40,14 @@ const Settings = () => {
     });
     const [twilioStatus, setTwilioStatus] = useState({ connected: false, testing: false });
 
+    // Monthly budget; an empty limit means no budget
+    const [budgetForm, setBudgetForm] = useState({
+        monthlyLimit: '',
+        alertPercent: 80,
+        blockCalls: false
+    });
+    const [budgetStatus, setBudgetStatus] = useState(null);
+
     useEffect(() => {
         if (user) {
             setProfileForm({
@@ -53,6 +62,7 @@ const Settings = () => {
         { id: 'security', name: 'Security', icon: Lock },
         { id: 'notifications', name: 'Notifications', icon: Bell },
         { id: 'twilio', name: 'Twilio', icon: Phone },
+        { id: 'budget', name: 'Budget', icon: Wallet },
         { id: 'api-keys', name: 'API Keys', icon: Key }
     ];
 
@@ -157,6 +167,47 @@ const Settings = () => {
         }
     };
 
+    const applyBudgetStatus = (status) => {
+        setBudgetStatus(status);
+        setBudgetForm({
+            monthlyLimit: status.budget ? String(status.budget.monthlyLimit) : '',
+            alertPercent: status.budget?.alertPercent || 80,
+            blockCalls: status.budget?.blockCalls || false
+        });
+    };
+
+    // Load the budget on component mount
+    useEffect(() => {
+        const loadBudget = async () => {
+            try {
+                applyBudgetStatus(await api.getBudget());
+            } catch (error) {
+                console.error('Failed to load budget:', error);
+            }
+        };
+        loadBudget();
+    }, []);
+
+    const handleBudgetSubmit = async (e) => {
+        e.preventDefault();
+        setIsLoading(true);
+        setMessage({ type: '', text: '' });
+
+        try {
+            const status = await api.updateBudget({
+                monthlyLimit: budgetForm.monthlyLimit === '' ? null : Number(budgetForm.monthlyLimit),
+                alertPercent: Number(budgetForm.alertPercent),
+                blockCalls: budgetForm.blockCalls
+            });
+            applyBudgetStatus(status);
+            setMessage({ type: 'success', text: status.budget ? 'Budget saved successfully!' : 'Budget removed' });
+        } catch (error) {
+            setMessage({ type: 'error', text: error.message || 'Failed to save budget' });
+        } finally {
+            setIsLoading(false);
+        }
+    };
+
     const handleNotificationChange = (key, value) => {
         setNotifications(prev => ({
             ...prev,
@@ -419,6 +470,94 @@ const Settings = () => {
         </div>
     );
 
+    const renderBudgetTab = () => (
+        <div className="space-y-6">
+            <div>
+                <h3 className="text-lg font-medium text-gray-900">Monthly Budget</h3>
+                <p className="text-sm text-gray-500">
+                    Language model, text-to-speech and telephony costs are added up for each calendar month.
+                    You are alerted (in the log and by the <code>budget.alert</code> webhook) when spend reaches the alert level and when the budget is used up.
+                </p>
+            </div>
+
+            {budgetStatus && (
+                <div>
+                    <div className="flex justify-between text-sm mb-1">
+                        <span className="text-gray-700">
+                            Spent this month: {formatCost(budgetStatus.spent, budgetStatus.currency)}
+                            {budgetStatus.budget && ` of ${formatCost(budgetStatus.budget.monthlyLimit, budgetStatus.currency)}`}
+                        </span>
+                        {budgetStatus.blocked && <span className="text-red-600 font-medium">New calls are blocked</span>}
+                    </div>
+                    {budgetStatus.budget && (
+                        <div className="h-2 bg-gray-100 rounded-full">
+                            <div
+                                className={`h-2 rounded-full ${budgetBarColor(budgetStatus.percentUsed, budgetStatus.budget.alertPercent)}`}
+                                style={{ width: `${Math.min(budgetStatus.percentUsed, 100)}%` }}
+                            />
+                        </div>
+                    )}
+                </div>
+            )}
+
+            <form onSubmit={handleBudgetSubmit} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                        <label htmlFor="monthlyLimit" className="block text-sm font-medium text-gray-700">
+                            Monthly Limit ({budgetStatus?.currency || 'USD'})
+                        </label>
+                        <input
+                            type="number"
+                            id="monthlyLimit"
+                            min="0"
+                            step="0.01"
+                            value={budgetForm.monthlyLimit}
+                            onChange={(e) => setBudgetForm(prev => ({ ...prev, monthlyLimit: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="No budget"
+                        />
+                    </div>
+
+                    <div>
+                        <label htmlFor="alertPercent" className="block text-sm font-medium text-gray-700">
+                            Alert At (% of limit)
+                        </label>
+                        <input
+                            type="number"
+                            id="alertPercent"
+                            min="1"
+                            max="100"
+                            value={budgetForm.alertPercent}
+                            onChange={(e) => setBudgetForm(prev => ({ ...prev, alertPercent: e.target.value }))}
+                            className="mt-1 block w-full border border-gray-300 rounded-md shadow-sm p-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                    </div>
+                </div>
+
+                <label className="flex items-center">
+                    <input
+                        type="checkbox"
+                        checked={budgetForm.blockCalls}
+                        onChange={(e) => setBudgetForm(prev => ({ ...prev, blockCalls: e.target.checked }))}
+                        className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">
+                        Block new calls once the budget is used up (calls in progress are not cut off; campaigns are paused)
+                    </span>
+                </label>
+
+                <button
+                    type="submit"
+                    disabled={isLoading}
+                    className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                    <Save className="w-4 h-4 mr-2" />
+                    {isLoading ? 'Saving...' : 'Save Budget'}
+                </button>
+            </form>
+        </div>
+    );
+
     const renderApiKeysTab = () => (
         <div className="space-y-6">
             <div>
@@ -502,6 +641,7 @@ const Settings = () => {
                     {activeTab === 'security' && renderSecurityTab()}
                     {activeTab === 'notifications' && renderNotificationsTab()}
                     {activeTab === 'twilio' && renderTwilioTab()}
+                    {activeTab === 'budget' && renderBudgetTab()}
                     {activeTab === 'api-keys' && renderApiKeysTab()}
                 </div>
             </div>
@@ -1,9 +1,11 @@
 import { useState, useEffect } from 'react';
 import { Plus, UserPlus, Mail, Phone, Shield, MoreVertical, Edit, Trash2, Crown, User, Users, CheckCircle, XCircle } from 'lucide-react';
 import { useApp } from '../context/AppContext';
+import api from '../services/api';
 
 const Team = () => {
-    const { user } = useApp();
+    const { user, hasPermission } = useApp();
+    const canManageTeam = hasPermission('manage_team');
     const [teamMembers, setTeamMembers] = useState([]);
     const [showInviteModal, setShowInviteModal] = useState(false);
     const [inviteForm, setInviteForm] = useState({
@@ -17,13 +19,8 @@ const Team = () => {
     const loadTeamMembers = async () => {
         setIsLoading(true);
         try {
-            const response = await fetch('/api/team');
-            if (response.ok) {
-                const data = await response.json();
-                setTeamMembers(data.teamMembers || []);
-            } else {
-                console.error('Failed to load team members');
-            }
+            const data = await api.getTeamMembers();
+            setTeamMembers(data.teamMembers || []);
         } catch (error) {
             console.error('Error loading team members:', error);
         } finally {
@@ -58,13 +55,13 @@ const Team = () => {
 
     const formatDate = (date) => {
         if (!date) return 'N/A';
-        return date.toLocaleDateString();
+        return new Date(date).toLocaleDateString();
     };
 
     const formatLastActive = (date) => {
         if (!date) return 'Never';
         const now = new Date();
-        const diff = now - date;
+        const diff = now - new Date(date);
         const hours = Math.floor(diff / (1000 * 60 * 60));
         const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
         
@@ -82,43 +79,41 @@ const Team = () => {
         setIsLoading(true);
 
         try {
-            // Simulate API call
-            await new Promise(resolve => setTimeout(resolve, 1000));
-            
-            const newMember = {
-                id: Date.now().toString(),
-                name: inviteForm.name,
-                email: inviteForm.email,
-                role: inviteForm.role,
-                status: 'pending',
-                joinedAt: null,
-                lastActive: null,
-                avatar: null,
-                permissions: getRoleInfo(inviteForm.role).permissions || []
-            };
+            const response = await api.inviteTeamMember(inviteForm);
 
-            setTeamMembers(prev => [...prev, newMember]);
+            setTeamMembers(prev => [...prev, response.teamMember]);
             setInviteForm({ email: '', name: '', role: 'member' });
             setShowInviteModal(false);
         } catch (error) {
             console.error('Error inviting member:', error);
+            alert(`Failed to invite member: ${error.message}`);
         } finally {
             setIsLoading(false);
         }
     };
 
-    const handleRemoveMember = (memberId) => {
+    const handleRemoveMember = async (memberId) => {
         if (window.confirm('Are you sure you want to remove this team member?')) {
-            setTeamMembers(prev => prev.filter(member => member.id !== memberId));
+            try {
+                await api.removeTeamMember(memberId);
+                setTeamMembers(prev => prev.filter(member => member.id !== memberId));
+            } catch (error) {
+                console.error('Error removing member:', error);
+                alert(`Failed to remove member: ${error.message}`);
+            }
         }
     };
 
-    const handleRoleChange = (memberId, newRole) => {
-        setTeamMembers(prev => prev.map(member => 
-            member.id === memberId 
-                ? { ...member, role: newRole, permissions: getRoleInfo(newRole).permissions || [] }
-                : member
-        ));
+    const handleRoleChange = async (memberId, newRole) => {
+        try {
+            const response = await api.updateTeamMember(memberId, { role: newRole });
+            setTeamMembers(prev => prev.map(member =>
+                member.id === memberId ? response.teamMember : member
+            ));
+        } catch (error) {
+            console.error('Error changing role:', error);
+            alert(`Failed to change role: ${error.message}`);
+        }
     };
 
     const InviteModal = () => (
@@ -212,13 +207,15 @@ const Team = () => {
                     <h1 className="text-2xl font-bold text-gray-900">Team Management</h1>
                     <p className="text-gray-600">Manage your team members and their permissions</p>
                 </div>
-                <button
-                    onClick={() => setShowInviteModal(true)}
-                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
-                >
-                    <UserPlus className="w-4 h-4 mr-2" />
-                    Invite Member
-                </button>
+                {canManageTeam && (
+                    <button
+                        onClick={() => setShowInviteModal(true)}
+                        className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        <UserPlus className="w-4 h-4 mr-2" />
+                        Invite Member
+                    </button>
+                )}
             </div>
 
             {/* Team Statistics */}
@@ -329,9 +326,11 @@ const Team = () => {
                                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                     Last Active
                                 </th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                                    Actions
-                                </th>
+                                {canManageTeam && (
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                        Actions
+                                    </th>
+                                )}
                             </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
@@ -372,27 +371,32 @@ const Team = () => {
                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                             {formatLastActive(member.lastActive)}
                                         </td>
-                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                                            <div className="flex items-center space-x-2">
-                                                <select
-                                                    value={member.role}
-                                                    onChange={(e) => handleRoleChange(member.id, e.target.value)}
-                                                    className="text-xs border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
-                                                >
-                                                    {roles.map(role => (
-                                                        <option key={role.value} value={role.value}>
-                                                            {role.label}
-                                                        </option>
-                                                    ))}
-                                                </select>
-                                                <button
-                                                    onClick={() => handleRemoveMember(member.id)}
-                                                    className="text-red-600 hover:text-red-900"
-                                                >
-                                                    <Trash2 className="w-4 h-4" />
-                                                </button>
-                                            </div>
-                                        </td>
+                                        {canManageTeam && (
+                                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                                                {/* Admins cannot change their own role or remove themselves */}
+                                                {member.id !== user?.id && (
+                                                    <div className="flex items-center space-x-2">
+                                                        <select
+                                                            value={member.role}
+                                                            onChange={(e) => handleRoleChange(member.id, e.target.value)}
+                                                            className="text-xs border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500"
+                                                        >
+                                                            {roles.map(role => (
+                                                                <option key={role.value} value={role.value}>
+                                                                    {role.label}
+                                                                </option>
+                                                            ))}
+                                                        </select>
+                                                        <button
+                                                            onClick={() => handleRemoveMember(member.id)}
+                                                            className="text-red-600 hover:text-red-900"
+                                                        >
+                                                            <Trash2 className="w-4 h-4" />
+                                                        </button>
+                                                    </div>
+                                                )}
+                                            </td>
+                                        )}
                                     </tr>
                                 );
                             })}
@@ -402,7 +406,7 @@ const Team = () => {
             </div>
 
             {/* Invite Modal */}
-            {showInviteModal && <InviteModal />}
+            {canManageTeam && showInviteModal && <InviteModal />}
         </div>
     );
 };
@@ -0,0 +1,513 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, Webhook, Trash2, Edit, XCircle, Loader2, Copy, Eye, EyeOff, RotateCcw, ChevronDown, ChevronRight } from 'lucide-react';
+import api from '../services/api';
+
+const PAGE_SIZE = 25;
+
+const emptyForm = { url: '', description: '', events: [], enabled: true };
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+// A signing secret, hidden until asked for
+const Secret = ({ value }) => {
+    const [visible, setVisible] = useState(false);
+
+    return (
+        <div className="flex items-center space-x-2">
+            <code className="text-xs bg-gray-100 px-2 py-1 rounded font-mono break-all">
+                {visible ? value : `${value.slice(0, 6)}${'•'.repeat(16)}`}
+            </code>
+            <button onClick={() => setVisible(!visible)} className="p-1 text-gray-400 hover:text-gray-600" title={visible ? 'Hide' : 'Show'}>
+                {visible ? <EyeOff className="w-4 h-4" /> : <Eye className="w-4 h-4" />}
+            </button>
+            <button onClick={() => navigator.clipboard.writeText(value)} className="p-1 text-gray-400 hover:text-gray-600" title="Copy">
+                <Copy className="w-4 h-4" />
+            </button>
+        </div>
+    );
+};
+
+const Webhooks = () => {
+    const [endpoints, setEndpoints] = useState([]);
+    const [agentEndpoints, setAgentEndpoints] = useState([]);
+    const [eventTypes, setEventTypes] = useState([]);
+    const [deliveries, setDeliveries] = useState([]);
+    const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+    const [filters, setFilters] = useState({ status: '', event: '' });
+    const [expanded, setExpanded] = useState(null);
+    const [modal, setModal] = useState(null);
+    const [form, setForm] = useState(emptyForm);
+    const [isLoading, setIsLoading] = useState(false);
+    const [actionLoading, setActionLoading] = useState({});
+    const [error, setError] = useState(null);
+
+    const loadEndpoints = async () => {
+        try {
+            const data = await api.getWebhookEndpoints();
+            setEndpoints(data.endpoints || []);
+            setAgentEndpoints(data.agentEndpoints || []);
+            setEventTypes(data.eventTypes || []);
+        } catch (error) {
+            console.error('Error loading webhook endpoints:', error);
+            setError(error.message);
+        }
+    };
+
+    const loadDeliveries = useCallback(async (page = 1) => {
+        setIsLoading(true);
+        try {
+            const params = { page, limit: PAGE_SIZE };
+            if (filters.status) params.status = filters.status;
+            if (filters.event) params.event = filters.event;
+
+            const data = await api.getWebhookDeliveries(params);
+            setDeliveries(data.deliveries || []);
+            setPagination(data.pagination);
+        } catch (error) {
+            console.error('Error loading webhook deliveries:', error);
+            setError(error.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [filters]);
+
+    useEffect(() => {
+        loadEndpoints();
+    }, []);
+
+    useEffect(() => {
+        setExpanded(null);
+        loadDeliveries();
+    }, [loadDeliveries]);
+
+    const openModal = (endpoint = null) => {
+        setForm(endpoint
+            ? { url: endpoint.url, description: endpoint.description || '', events: endpoint.events || [], enabled: endpoint.enabled }
+            : emptyForm);
+        setModal(endpoint ? { type: 'edit', id: endpoint.id } : { type: 'create' });
+    };
+
+    const toggleEvent = (event) => {
+        setForm(prev => ({
+            ...prev,
+            events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+        }));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setActionLoading({ save: true });
+
+        try {
+            if (modal.type === 'edit') {
+                await api.updateWebhookEndpoint(modal.id, form);
+            } else {
+                await api.createWebhookEndpoint(form);
+            }
+            setModal(null);
+            loadEndpoints();
+        } catch (error) {
+            console.error('Error saving webhook endpoint:', error);
+            alert(`Failed to save endpoint: ${error.message}`);
+        } finally {
+            setActionLoading({ save: false });
+        }
+    };
+
+    const handleToggleEnabled = async (endpoint) => {
+        setActionLoading({ [`endpoint-${endpoint.id}`]: true });
+        try {
+            await api.updateWebhookEndpoint(endpoint.id, {
+                url: endpoint.url,
+                description: endpoint.description,
+                events: endpoint.events,
+                enabled: !endpoint.enabled
+            });
+            loadEndpoints();
+        } catch (error) {
+            console.error('Error updating webhook endpoint:', error);
+            alert(`Failed to update endpoint: ${error.message}`);
+        } finally {
+            setActionLoading({ [`endpoint-${endpoint.id}`]: false });
+        }
+    };
+
+    const handleDelete = async (endpoint) => {
+        if (!window.confirm(`Stop sending events to ${endpoint.url}?`)) return;
+        try {
+            await api.deleteWebhookEndpoint(endpoint.id);
+            loadEndpoints();
+        } catch (error) {
+            console.error('Error deleting webhook endpoint:', error);
+            alert(`Failed to delete endpoint: ${error.message}`);
+        }
+    };
+
+    const toggleDelivery = async (id) => {
+        if (expanded?.id === id) {
+            setExpanded(null);
+            return;
+        }
+        try {
+            const data = await api.getWebhookDelivery(id);
+            setExpanded(data.delivery);
+        } catch (error) {
+            console.error('Error loading webhook delivery:', error);
+            alert(`Failed to load delivery: ${error.message}`);
+        }
+    };
+
+    const handleReplay = async (id) => {
+        setActionLoading({ [`delivery-${id}`]: true });
+        try {
+            await api.replayWebhookDelivery(id);
+        } catch (error) {
+            console.error('Error replaying webhook delivery:', error);
+            alert(`Failed to replay delivery: ${error.message}`);
+        } finally {
+            setActionLoading({ [`delivery-${id}`]: false });
+            loadDeliveries(pagination.page);
+            loadEndpoints();
+            if (expanded?.id === id) {
+                const data = await api.getWebhookDelivery(id).catch(() => null);
+                setExpanded(data?.delivery || null);
+            }
+        }
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'succeeded': return 'text-green-600 bg-green-100';
+            case 'failed': return 'text-red-600 bg-red-100';
+            default: return 'text-yellow-600 bg-yellow-100';
+        }
+    };
+
+    const inputClass = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 sm:text-sm';
+
+    const FormModal = modal && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
+            <div className="relative top-20 mx-auto p-5 border max-w-lg shadow-lg rounded-md bg-white">
+                <div className="flex items-center justify-between mb-4">
+                    <h3 className="text-lg font-medium text-gray-900">{modal.type === 'edit' ? 'Edit Endpoint' : 'New Endpoint'}</h3>
+                    <button onClick={() => setModal(null)} className="text-gray-400 hover:text-gray-600">
+                        <XCircle className="w-6 h-6" />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit} className="space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">URL</label>
+                        <input
+                            type="url"
+                            value={form.url}
+                            onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+                            className={inputClass}
+                            placeholder="https://example.com/webhooks/retail-ai"
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Description</label>
+                        <input
+                            type="text"
+                            value={form.description}
+                            onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+                            className={inputClass}
+                            placeholder="CRM sync"
+                        />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700">Events</label>
+                        <p className="text-xs text-gray-500">Leave all unchecked to receive every event.</p>
+                        <div className="mt-2 grid grid-cols-2 gap-2">
+                            {eventTypes.map(event => (
+                                <label key={event} className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={form.events.includes(event)}
+                                        onChange={() => toggleEvent(event)}
+                                        className="mr-2"
+                                    />
+                                    <code>{event}</code>
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <label className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={form.enabled}
+                            onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                            className="mr-2"
+                        />
+                        Enabled
+                    </label>
+
+                    <div className="flex justify-end space-x-3 pt-4">
+                        <button
+                            type="button"
+                            onClick={() => setModal(null)}
+                            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                        >
+                            Cancel
+                        </button>
+                        <button
+                            type="submit"
+                            disabled={actionLoading.save}
+                            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                        >
+                            {actionLoading.save ? 'Saving...' : 'Save'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+
+    return (
+        <div className="space-y-6">
+            {/* Header */}
+            <div className="flex justify-between items-center">
+                <div>
+                    <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+                    <p className="text-gray-600">Signed call and booking events sent to your systems</p>
+                </div>
+                <button
+                    onClick={() => openModal()}
+                    className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    <Plus className="w-4 h-4 mr-2" />
+                    New Endpoint
+                </button>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            {/* Account endpoints */}
+            <div className="bg-white shadow sm:rounded-md">
+                <div className="px-6 py-4 border-b border-gray-200">
+                    <h2 className="text-lg font-medium text-gray-900">Endpoints</h2>
+                    <p className="text-sm text-gray-500">
+                        Each request carries an <code>X-Webhook-Signature</code> header: <code>v1=</code> followed by the HMAC-SHA256 of
+                        {' '}<code>{'{X-Webhook-Timestamp}.{body}'}</code> keyed with the endpoint&apos;s secret.
+                    </p>
+                </div>
+                {endpoints.length === 0 ? (
+                    <div className="text-center py-12 px-4">
+                        <Webhook className="mx-auto h-12 w-12 text-gray-400" />
+                        <h3 className="mt-2 text-sm font-medium text-gray-900">No endpoints yet</h3>
+                        <p className="mt-1 text-sm text-gray-500">Add one to receive events from every agent in your account.</p>
+                    </div>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {endpoints.map(endpoint => (
+                            <li key={endpoint.id} className="px-6 py-4 flex items-start justify-between">
+                                <div className="min-w-0 space-y-1">
+                                    <div className="flex items-center space-x-2">
+                                        <p className="text-sm font-medium text-gray-900 truncate">{endpoint.url}</p>
+                                        {!endpoint.enabled && (
+                                            <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full text-gray-600 bg-gray-100">Disabled</span>
+                                        )}
+                                        {endpoint.failed_count > 0 && (
+                                            <span className="inline-flex px-2 py-0.5 text-xs font-medium rounded-full text-red-600 bg-red-100">
+                                                {endpoint.failed_count} failed
+                                            </span>
+                                        )}
+                                    </div>
+                                    {endpoint.description && <p className="text-sm text-gray-500">{endpoint.description}</p>}
+                                    <p className="text-xs text-gray-500">
+                                        {endpoint.events?.length ? endpoint.events.join(', ') : 'All events'}
+                                    </p>
+                                    <Secret value={endpoint.secret} />
+                                </div>
+                                <div className="flex items-center space-x-2 flex-shrink-0">
+                                    <button
+                                        onClick={() => handleToggleEnabled(endpoint)}
+                                        disabled={actionLoading[`endpoint-${endpoint.id}`]}
+                                        className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+                                    >
+                                        {endpoint.enabled ? 'Disable' : 'Enable'}
+                                    </button>
+                                    <button onClick={() => openModal(endpoint)} className="p-2 text-gray-400 hover:text-blue-600" title="Edit">
+                                        <Edit className="w-4 h-4" />
+                                    </button>
+                                    <button onClick={() => handleDelete(endpoint)} className="p-2 text-gray-400 hover:text-red-600" title="Delete">
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </div>
+
+            {/* Agents' own webhook URLs */}
+            {agentEndpoints.length > 0 && (
+                <div className="bg-white shadow sm:rounded-md">
+                    <div className="px-6 py-4 border-b border-gray-200">
+                        <h2 className="text-lg font-medium text-gray-900">Agent webhook URLs</h2>
+                        <p className="text-sm text-gray-500">Agents with a webhook URL also receive every event of their own calls, signed with the agent&apos;s secret.</p>
+                    </div>
+                    <ul className="divide-y divide-gray-200">
+                        {agentEndpoints.map(agent => (
+                            <li key={agent.agent_id} className="px-6 py-4 space-y-1">
+                                <p className="text-sm font-medium text-gray-900">{agent.name}</p>
+                                <p className="text-sm text-gray-500 truncate">{agent.url}</p>
+                                <Secret value={agent.secret} />
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            {/* Delivery log */}
+            <div className="bg-white shadow sm:rounded-md">
+                <div className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
+                    <div>
+                        <h2 className="text-lg font-medium text-gray-900">Deliveries</h2>
+                        <p className="text-sm text-gray-500">Failed sends are retried with increasing delays before they are marked failed.</p>
+                    </div>
+                    <div className="flex space-x-2">
+                        <select
+                            value={filters.status}
+                            onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        >
+                            <option value="">All statuses</option>
+                            <option value="pending">Pending</option>
+                            <option value="succeeded">Succeeded</option>
+                            <option value="failed">Failed</option>
+                        </select>
+                        <select
+                            value={filters.event}
+                            onChange={(e) => setFilters(prev => ({ ...prev, event: e.target.value }))}
+                            className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                        >
+                            <option value="">All events</option>
+                            {eventTypes.map(event => <option key={event} value={event}>{event}</option>)}
+                        </select>
+                    </div>
+                </div>
+
+                {isLoading && deliveries.length === 0 ? (
+                    <div className="flex items-center justify-center h-32">
+                        <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+                    </div>
+                ) : deliveries.length === 0 ? (
+                    <p className="px-6 py-8 text-sm text-gray-500 text-center">No deliveries yet.</p>
+                ) : (
+                    <ul className="divide-y divide-gray-200">
+                        {deliveries.map(delivery => (
+                            <li key={delivery.id}>
+                                <div className="px-6 py-3 flex items-center justify-between">
+                                    <button onClick={() => toggleDelivery(delivery.id)} className="flex items-center min-w-0 text-left">
+                                        {expanded?.id === delivery.id
+                                            ? <ChevronDown className="w-4 h-4 text-gray-400 mr-2 flex-shrink-0" />
+                                            : <ChevronRight className="w-4 h-4 text-gray-400 mr-2 flex-shrink-0" />}
+                                        <div className="min-w-0">
+                                            <div className="flex items-center space-x-2">
+                                                <code className="text-sm text-gray-900">{delivery.event}</code>
+                                                <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full capitalize ${getStatusColor(delivery.status)}`}>
+                                                    {delivery.status}
+                                                </span>
+                                            </div>
+                                            <p className="text-xs text-gray-500 truncate">
+                                                {delivery.url} · {formatDate(delivery.created_at)} · {delivery.attempts} attempts
+                                                {delivery.last_status_code ? ` · HTTP ${delivery.last_status_code}` : ''}
+                                                {delivery.status === 'pending' && delivery.attempts > 0 ? ` · next try ${formatDate(delivery.next_attempt_at)}` : ''}
+                                            </p>
+                                        </div>
+                                    </button>
+                                    {delivery.status === 'failed' && (
+                                        <button
+                                            onClick={() => handleReplay(delivery.id)}
+                                            disabled={actionLoading[`delivery-${delivery.id}`]}
+                                            className="inline-flex items-center px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50 flex-shrink-0"
+                                        >
+                                            {actionLoading[`delivery-${delivery.id}`]
+                                                ? <Loader2 className="w-3 h-3 mr-1 animate-spin" />
+                                                : <RotateCcw className="w-3 h-3 mr-1" />}
+                                            Replay
+                                        </button>
+                                    )}
+                                </div>
+
+                                {expanded?.id === delivery.id && (
+                                    <div className="px-6 pb-4 space-y-3">
+                                        <div>
+                                            <h4 className="text-xs font-medium text-gray-700 uppercase mb-1">Attempts</h4>
+                                            {expanded.attempt_log.length === 0 ? (
+                                                <p className="text-sm text-gray-500">Not sent yet.</p>
+                                            ) : (
+                                                <table className="min-w-full text-xs">
+                                                    <thead>
+                                                        <tr className="text-left text-gray-500">
+                                                            <th className="pr-4 py-1">#</th>
+                                                            <th className="pr-4 py-1">Time</th>
+                                                            <th className="pr-4 py-1">Status</th>
+                                                            <th className="pr-4 py-1">Duration</th>
+                                                            <th className="py-1">Response</th>
+                                                        </tr>
+                                                    </thead>
+                                                    <tbody>
+                                                        {expanded.attempt_log.map(attempt => (
+                                                            <tr key={attempt.attempt} className="align-top text-gray-700">
+                                                                <td className="pr-4 py-1">{attempt.attempt}</td>
+                                                                <td className="pr-4 py-1 whitespace-nowrap">{formatDate(attempt.attempted_at)}</td>
+                                                                <td className="pr-4 py-1">{attempt.status_code || '—'}</td>
+                                                                <td className="pr-4 py-1">{attempt.duration_ms} ms</td>
+                                                                <td className="py-1 break-all">
+                                                                    {attempt.error && <span className="text-red-600">{attempt.error} </span>}
+                                                                    {attempt.response_body}
+                                                                </td>
+                                                            </tr>
+                                                        ))}
+                                                    </tbody>
+                                                </table>
+                                            )}
+                                        </div>
+                                        <div>
+                                            <h4 className="text-xs font-medium text-gray-700 uppercase mb-1">Payload</h4>
+                                            <pre className="text-xs bg-gray-50 border border-gray-200 rounded p-3 overflow-x-auto">
+                                                {JSON.stringify(expanded.payload, null, 2)}
+                                            </pre>
+                                        </div>
+                                    </div>
+                                )}
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {pagination.pages > 1 && (
+                    <div className="px-6 py-3 border-t border-gray-200 flex items-center justify-between text-sm text-gray-600">
+                        <span>Page {pagination.page} of {pagination.pages} · {pagination.total} deliveries</span>
+                        <div className="space-x-2">
+                            <button
+                                onClick={() => loadDeliveries(pagination.page - 1)}
+                                disabled={pagination.page <= 1}
+                                className="px-3 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <button
+                                onClick={() => loadDeliveries(pagination.page + 1)}
+                                disabled={pagination.page >= pagination.pages}
+                                className="px-3 py-1 border border-gray-300 rounded-md bg-white hover:bg-gray-50 disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {FormModal}
+        </div>
+    );
+};
+
+export default Webhooks;
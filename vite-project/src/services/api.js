@@ -66,6 +66,58 @@ class ApiService {
     });
   }
 
+  async setAgentStatus(id, status) {
+    return this.request(`/agents/${id}/status`, {
+      method: 'PUT',
+      body: { status },
+    });
+  }
+
+  // Agent versions API
+  async getAgentVersions(id) {
+    return this.request(`/agents/${id}/versions`);
+  }
+
+  async getAgentVersion(id, version) {
+    return this.request(`/agents/${id}/versions/${version}`);
+  }
+
+  // from and to are version numbers, 'draft' or 'published'
+  async getAgentVersionDiff(id, from, to) {
+    const queryString = new URLSearchParams({ from, to }).toString();
+    return this.request(`/agents/${id}/versions/diff?${queryString}`);
+  }
+
+  async publishAgent(id, note) {
+    return this.request(`/agents/${id}/publish`, {
+      method: 'POST',
+      body: { note },
+    });
+  }
+
+  async discardAgentDraft(id) {
+    return this.request(`/agents/${id}/draft`, {
+      method: 'DELETE',
+    });
+  }
+
+  async rollbackAgent(id, version) {
+    return this.request(`/agents/${id}/versions/${version}/rollback`, {
+      method: 'POST',
+    });
+  }
+
+  async getAgentKnowledgeBases(id) {
+    return this.request(`/agents/${id}/knowledge-bases`);
+  }
+
+  async setAgentKnowledgeBases(id, knowledgeBaseIds) {
+    return this.request(`/agents/${id}/knowledge-bases`, {
+      method: 'PUT',
+      body: { knowledgeBaseIds },
+    });
+  }
+
   // Sessions API
   async getSessions(params = {}) {
     const queryString = new URLSearchParams(params).toString();
@@ -110,6 +162,18 @@ class ApiService {
     return this.request(endpoint);
   }
 
+  async getCallOutcomes(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/analytics/outcomes?${queryString}` : '/analytics/outcomes';
+    return this.request(endpoint);
+  }
+
+  async getUsageCosts(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/analytics/costs?${queryString}` : '/analytics/costs';
+    return this.request(endpoint);
+  }
+
   async getRealtimeAnalytics() {
     return this.request('/analytics/realtime');
   }
@@ -208,10 +272,26 @@ class ApiService {
     });
   }
 
+  async getCall(callId) {
+    return this.request(`/calls/${callId}`);
+  }
+
+  // Re-runs post-call analysis, e.g. after it failed
+  async analyzeCall(callId) {
+    return this.request(`/calls/${callId}/analysis`, {
+      method: 'POST',
+    });
+  }
+
   async getCallConversation(callId) {
     return this.request(`/calls/${callId}/conversation`);
   }
 
+  // Recordings are played straight from a signed URL (from getCallConversation)
+  getRecordingAudioUrl(audioPath) {
+    return `${this.baseURL}${audioPath}`;
+  }
+
   async getCallStats() {
     return this.request('/calls/stats');
   }
@@ -228,6 +308,17 @@ class ApiService {
     });
   }
 
+  async getBudget() {
+    return this.request('/settings/budget');
+  }
+
+  async updateBudget(budget) {
+    return this.request('/settings/budget', {
+      method: 'PUT',
+      body: budget,
+    });
+  }
+
   async getIntegrations() {
     return this.request('/settings/integrations');
   }
@@ -351,6 +442,166 @@ class ApiService {
     });
   }
 
+  // Campaigns API
+  async getCampaigns() {
+    return this.request('/campaigns');
+  }
+
+  async createCampaign(campaignData) {
+    return this.request('/campaigns', {
+      method: 'POST',
+      body: campaignData,
+    });
+  }
+
+  async getCampaignReport(id) {
+    return this.request(`/campaigns/${id}/report`);
+  }
+
+  async pauseCampaign(id) {
+    return this.request(`/campaigns/${id}/pause`, {
+      method: 'POST',
+    });
+  }
+
+  async resumeCampaign(id) {
+    return this.request(`/campaigns/${id}/resume`, {
+      method: 'POST',
+    });
+  }
+
+  // Knowledge Bases API
+  async getKnowledgeBases() {
+    return this.request('/knowledge-bases');
+  }
+
+  async getKnowledgeBase(id) {
+    return this.request(`/knowledge-bases/${id}`);
+  }
+
+  async createKnowledgeBase(knowledgeBaseData) {
+    return this.request('/knowledge-bases', {
+      method: 'POST',
+      body: knowledgeBaseData,
+    });
+  }
+
+  async updateKnowledgeBase(id, knowledgeBaseData) {
+    return this.request(`/knowledge-bases/${id}`, {
+      method: 'PUT',
+      body: knowledgeBaseData,
+    });
+  }
+
+  async deleteKnowledgeBase(id) {
+    return this.request(`/knowledge-bases/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // data is the file's contents, base64 encoded
+  async uploadKnowledgeDocument(id, filename, data) {
+    return this.request(`/knowledge-bases/${id}/documents`, {
+      method: 'POST',
+      body: { filename, data },
+    });
+  }
+
+  async deleteKnowledgeDocument(id, documentId) {
+    return this.request(`/knowledge-bases/${id}/documents/${documentId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async searchKnowledgeBase(id, query) {
+    return this.request(`/knowledge-bases/${id}/search?q=${encodeURIComponent(query)}`);
+  }
+
+  // Outgoing Webhooks API
+  async getWebhookEndpoints() {
+    return this.request('/outgoing-webhooks/endpoints');
+  }
+
+  async createWebhookEndpoint(endpointData) {
+    return this.request('/outgoing-webhooks/endpoints', {
+      method: 'POST',
+      body: endpointData,
+    });
+  }
+
+  async updateWebhookEndpoint(id, endpointData) {
+    return this.request(`/outgoing-webhooks/endpoints/${id}`, {
+      method: 'PUT',
+      body: endpointData,
+    });
+  }
+
+  async deleteWebhookEndpoint(id) {
+    return this.request(`/outgoing-webhooks/endpoints/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getWebhookDeliveries(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ? `/outgoing-webhooks/deliveries?${queryString}` : '/outgoing-webhooks/deliveries';
+    return this.request(endpoint);
+  }
+
+  async getWebhookDelivery(id) {
+    return this.request(`/outgoing-webhooks/deliveries/${id}`);
+  }
+
+  async replayWebhookDelivery(id) {
+    return this.request(`/outgoing-webhooks/deliveries/${id}/replay`, {
+      method: 'POST',
+    });
+  }
+
+  // Phone Numbers API
+  async getPhoneNumbers(agentId = null) {
+    const query = agentId ? `?agentId=${encodeURIComponent(agentId)}` : '';
+    return this.request(`/phone-numbers${query}`);
+  }
+
+  async createPhoneNumber(phoneNumberData) {
+    return this.request('/phone-numbers', {
+      method: 'POST',
+      body: phoneNumberData,
+    });
+  }
+
+  async deletePhoneNumber(id) {
+    return this.request(`/phone-numbers/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Team API
+  async getTeamMembers() {
+    return this.request('/team');
+  }
+
+  async inviteTeamMember(memberData) {
+    return this.request('/team', {
+      method: 'POST',
+      body: memberData,
+    });
+  }
+
+  async updateTeamMember(id, memberData) {
+    return this.request(`/team/${id}`, {
+      method: 'PUT',
+      body: memberData,
+    });
+  }
+
+  async removeTeamMember(id) {
+    return this.request(`/team/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
 }
 
 export default new ApiService();
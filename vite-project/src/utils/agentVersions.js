@@ -0,0 +1,82 @@
+// Display helpers for agent versions and the differences between them
+
+export const FIELD_LABELS = {
+    name: 'Name',
+    description: 'Description',
+    aiPrompt: 'AI prompt',
+    voice: 'Voice',
+    language: 'Language',
+    model: 'Model',
+    webhookUrl: 'Webhook URL',
+    llmProvider: 'Language model provider',
+    temperature: 'Temperature',
+    maxTokens: 'Max tokens',
+    historyWindow: 'History window',
+    turnTimeoutMs: 'Turn timeout',
+    maxDurationSeconds: 'Max call duration',
+    maxTurns: 'Max turns',
+    maxSilentReprompts: 'Silent reprompts',
+    sttProvider: 'Speech-to-text provider',
+    sttLanguage: 'Speech-to-text language',
+    sttKeywords: 'Vocabulary boost',
+    voiceConfig: 'Voice settings',
+    llmConfig: 'Language model fallbacks',
+    recordingEnabled: 'Recording',
+    recordingChannels: 'Recording channels',
+    analysisConfig: 'Post-call analysis',
+    agentType: 'Agent type',
+    flowDefinition: 'Conversation flow'
+};
+
+// Values are compared as text: strings as they are, everything else as JSON
+export const formatVersionValue = (value) => {
+    if (value === null || value === undefined || value === '') return '';
+    if (typeof value === 'string') return value;
+    return JSON.stringify(value, null, 2);
+};
+
+// Above this many line pairs the diff just shows the old text removed and the new text added
+const MAX_DIFF_CELLS = 250000;
+
+// Line-by-line diff of two texts, from their longest common subsequence.
+// Returns [{ type: 'same' | 'removed' | 'added', text }].
+export const diffLines = (before, after) => {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [
+            ...a.map(text => ({ type: 'removed', text })),
+            ...b.map(text => ({ type: 'added', text }))
+        ];
+    }
+
+    // common[i][j]: length of the longest common subsequence of a[i..] and b[j..]
+    const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            common[i][j] = a[i] === b[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            lines.push({ type: 'same', text: a[i] });
+            i++;
+            j++;
+        } else if (common[i + 1][j] >= common[i][j + 1]) {
+            lines.push({ type: 'removed', text: a[i++] });
+        } else {
+            lines.push({ type: 'added', text: b[j++] });
+        }
+    }
+    while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+    while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+    return lines;
+};
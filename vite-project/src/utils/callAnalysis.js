@@ -0,0 +1,36 @@
+// Display helpers for post-call analysis results
+
+export const SENTIMENT_STYLES = {
+    positive: 'bg-green-100 text-green-800',
+    neutral: 'bg-gray-100 text-gray-800',
+    negative: 'bg-red-100 text-red-800'
+};
+
+// 'callback_requested' -> 'Callback requested'
+export const formatDisposition = (disposition) => {
+    if (!disposition) return '';
+    const words = disposition.replace(/_/g, ' ');
+    return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Extracted field values as shown to people; unanswered fields are null
+export const formatFieldValue = (value) => {
+    if (value === null || value === undefined) return '—';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    return String(value);
+};
+
+// Why a call ended (calls.end_reason, set by the backend as the call finishes)
+export const END_REASON_LABELS = {
+    agent_ended: 'Agent ended the call',
+    flow_completed: 'Flow completed',
+    max_turns: 'Turn limit reached',
+    max_duration: 'Time limit reached',
+    silence: 'Caller silent',
+    transferred: 'Transferred',
+    caller_hung_up: 'Caller hung up',
+    busy: 'Busy',
+    no_answer: 'No answer',
+    failed: 'Failed',
+    canceled: 'Canceled'
+};
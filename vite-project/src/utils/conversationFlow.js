@@ -0,0 +1,35 @@
+// Helpers for flow agents (see FlowEditor)
+
+// What a prompt agent starts with when it is switched to a flow
+export const DEFAULT_FLOW = {
+    startNodeId: 'greeting',
+    nodes: [{
+        id: 'greeting',
+        name: 'Greeting',
+        type: 'conversation',
+        prompt: 'Greet the caller and find out how you can help.',
+        transitions: [],
+        position: { x: 40, y: 40 }
+    }]
+};
+
+export const TRANSITION_TYPES = {
+    llm: 'Condition (judged by the AI)',
+    keyword: 'Caller says a keyword',
+    tool: 'Tool succeeded',
+    turns: 'After a number of caller turns'
+};
+
+// Short description of when a transition is taken, for the canvas
+export const transitionLabel = (transition) => {
+    switch (transition.type) {
+        case 'keyword':
+            return `says "${(transition.keywords || []).join('", "')}"`;
+        case 'tool':
+            return `${transition.tool || 'tool'} succeeded`;
+        case 'turns':
+            return `after ${transition.turns} turns`;
+        default:
+            return transition.condition || 'condition';
+    }
+};
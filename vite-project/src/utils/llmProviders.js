@@ -0,0 +1,26 @@
+// Language model choices for agents (see backend/services/llmService.js)
+
+export const LLM_PROVIDERS = {
+    openai: 'OpenAI',
+    anthropic: 'Anthropic (Claude)',
+    azure: 'Azure OpenAI',
+    openrouter: 'OpenRouter',
+    local: 'Self-hosted (Ollama, llama.cpp)'
+};
+
+// Offered as suggestions; any model the provider serves can be typed in
+export const MODEL_SUGGESTIONS = {
+    openai: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini', 'gpt-4.1'],
+    anthropic: ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest', 'claude-3-7-sonnet-latest'],
+    azure: [],
+    openrouter: ['openai/gpt-4o-mini', 'anthropic/claude-3.5-haiku', 'meta-llama/llama-3.1-70b-instruct'],
+    local: ['llama3.1', 'llama3.2', 'qwen2.5', 'mistral']
+};
+
+export const MAX_LLM_FALLBACKS = 3;
+
+// "Anthropic (Claude) · claude-3-5-haiku-latest" for an agent, or the platform default
+export const describeLlm = ({ llmProvider, model }) => {
+    const provider = LLM_PROVIDERS[llmProvider] || 'Platform default';
+    return model ? `${provider} · ${model}` : provider;
+};
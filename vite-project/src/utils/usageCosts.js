@@ -0,0 +1,25 @@
+// Display helpers for usage and cost accounting (see backend/services/usageService.js)
+
+export const COST_CATEGORIES = {
+    llm: { label: 'Language model', color: '#3B82F6' },
+    tts: { label: 'Text-to-speech', color: '#8B5CF6' },
+    telephony: { label: 'Telephony', color: '#10B981' }
+};
+
+// Call costs are fractions of a cent, so small amounts keep more digits
+export const formatCost = (amount, currency = 'USD') => {
+    const value = amount || 0;
+    return new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: value > 0 && value < 1 ? 4 : 2
+    }).format(value);
+};
+
+// Bar colour for how much of the monthly budget is used
+export const budgetBarColor = (percentUsed, alertPercent) => {
+    if (percentUsed >= 100) return 'bg-red-500';
+    if (percentUsed >= alertPercent) return 'bg-yellow-500';
+    return 'bg-green-500';
+};